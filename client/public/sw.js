@@ -303,9 +303,75 @@ self.addEventListener('sync', (event) => {
     event.waitUntil(syncPrayerRequests());
   } else if (event.tag === 'rsvp-form') {
     event.waitUntil(syncRSVPForms());
+  } else if (event.tag === ATTENDANCE_SYNC_TAG) {
+    event.waitUntil(syncAttendanceQueue());
   }
 });
 
+// Offline usher attendance (see src/services/offlineAttendance.js)
+const OFFLINE_DB_NAME = 'hwc-offline';
+const OFFLINE_DB_VERSION = 1;
+const ATTENDANCE_SYNC_TAG = 'attendance-sync';
+
+/**
+ * Replay queued usher check-ins to the bulk endpoint.
+ * Duplicates the server already has are dropped; rejected records stay
+ * queued as failed for the usher to review. The page saves a day-long
+ * sync token with the roster; once that has expired the queue is left
+ * alone and the page syncs it after signing in again.
+ */
+async function syncAttendanceQueue() {
+  const pending = (await getOfflineData('attendanceQueue')).filter((entry) => entry.status === 'pending');
+  if (pending.length === 0) return;
+
+  const syncMeta = (await getOfflineData('meta')).find((entry) => entry.key === 'sync');
+  if (!syncMeta || !syncMeta.value.token) return;
+  if (syncMeta.value.expiresAt && new Date(syncMeta.value.expiresAt) <= new Date()) {
+    console.log('[SW] Attendance sync token has expired; the page will sync after sign-in');
+    return;
+  }
+
+  const response = await fetch(`${syncMeta.value.apiUrl}/attendance/bulk`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      Authorization: `Bearer ${syncMeta.value.token}`
+    },
+    body: JSON.stringify({
+      attendanceRecords: pending.map((entry) => ({ ...entry.record, clientId: entry.clientId }))
+    })
+  });
+  if (response.status === 401 || response.status === 403) {
+    console.log('[SW] Attendance sync needs the usher to sign in again');
+    return;
+  }
+  if (!response.ok) {
+    // Throwing makes the browser retry the sync later
+    throw new Error(`Attendance sync failed with ${response.status}`);
+  }
+
+  const { results } = await response.json();
+  const failedById = {};
+  results.failed.forEach((item) => { failedById[item.record.clientId] = item.error; });
+
+  for (const entry of pending) {
+    if (failedById[entry.clientId]) {
+      await putOfflineData('attendanceQueue', { ...entry, status: 'failed', error: failedById[entry.clientId] });
+    } else {
+      await removeOfflineData('attendanceQueue', entry.clientId);
+    }
+  }
+  await putOfflineData('meta', { key: 'lastSyncedAt', value: new Date().toISOString() });
+
+  const clients = await self.clients.matchAll({ type: 'window' });
+  clients.forEach((client) => client.postMessage({
+    type: 'ATTENDANCE_SYNCED',
+    synced: pending.length - results.failed.length - results.duplicates.length,
+    duplicates: results.duplicates.length,
+    failed: results.failed.length
+  }));
+}
+
 /**
  * Sync offline contact forms when online
  */
@@ -385,21 +451,56 @@ async function syncRSVPForms() {
 }
 
 /**
- * Get offline data from IndexedDB (placeholder - implement with IndexedDB)
+ * Open the offline database. The page creates the stores; a store the
+ * page has never created simply reads as empty.
+ */
+function openOfflineDb() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(OFFLINE_DB_NAME, OFFLINE_DB_VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains('roster')) db.createObjectStore('roster', { keyPath: '_id' });
+      if (!db.objectStoreNames.contains('attendanceQueue')) db.createObjectStore('attendanceQueue', { keyPath: 'clientId' });
+      if (!db.objectStoreNames.contains('meta')) db.createObjectStore('meta', { keyPath: 'key' });
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Run a request against one store of the offline database
+ */
+async function offlineStoreRequest(storeName, mode, makeRequest) {
+  const db = await openOfflineDb();
+  if (!db.objectStoreNames.contains(storeName)) return undefined;
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeName, mode);
+    const request = makeRequest(tx.objectStore(storeName));
+    tx.oncomplete = () => resolve(request.result);
+    tx.onerror = () => reject(tx.error);
+  });
+}
+
+/**
+ * Get offline data from IndexedDB
  */
 async function getOfflineData(storeName) {
-  // This would be implemented with IndexedDB for store: storeName
-  // For now, return empty array
-  console.log(`[SW] Would get offline data from store: ${storeName}`);
-  return [];
+  return (await offlineStoreRequest(storeName, 'readonly', (store) => store.getAll())) || [];
+}
+
+/**
+ * Save an item to IndexedDB
+ */
+async function putOfflineData(storeName, item) {
+  return offlineStoreRequest(storeName, 'readwrite', (store) => store.put(item));
 }
 
 /**
- * Remove offline data from IndexedDB (placeholder)
+ * Remove offline data from IndexedDB
  */
 async function removeOfflineData(storeName, id) {
-  // This would be implemented with IndexedDB
-  console.log(`[SW] Would remove ${id} from ${storeName}`);
+  return offlineStoreRequest(storeName, 'readwrite', (store) => store.delete(id));
 }
 
 // Push notification handling
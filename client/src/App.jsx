@@ -32,6 +32,7 @@ import Blog from './pages/Blog';
 import BlogPost from './pages/BlogPost';
 import BlogCreate from './pages/BlogCreate';
 import Contact from './pages/Contact';
+import VisitorCard from './pages/VisitorCard';
 import Gallery from './pages/Gallery';
 import HomeCelebrationStyle from './pages/HomeCelebrationStyle';
 import AboutCelebrationStyle from './pages/AboutCelebrationStyle';
@@ -40,6 +41,8 @@ import AboutCelebrationStyle from './pages/AboutCelebrationStyle';
 import ProtectedRoute from './components/common/ProtectedRoute';
 import Login from './pages/Login';
 import Register from './pages/Register';
+import ResetPassword from './pages/ResetPassword';
+import VerifyEmail from './pages/VerifyEmail';
 import AdminDashboard from './pages/admin/AdminDashboard';
 import ManageContent from './pages/admin/ManageContent';
 import AnalyticsDashboard from './pages/admin/AnalyticsDashboard';
@@ -49,8 +52,23 @@ import Profile from './pages/member/Profile';
 import PrayerRequests from './pages/member/PrayerRequests';
 import MyDonations from './pages/member/MyDonations';
 import MyEvents from './pages/member/MyEvents';
+import Household from './pages/member/Household';
+import MinistryExpenses from './pages/member/MinistryExpenses';
 import ExportContent from './pages/admin/ExportContent';
 import ActivityLogs from './pages/admin/ActivityLogs';
+import ManageUsers from './pages/admin/ManageUsers';
+import RolePermissions from './pages/admin/RolePermissions';
+import LoginSecurity from './pages/admin/LoginSecurity';
+import ManageHouseholds from './pages/admin/ManageHouseholds';
+import ChildrenCheckIn from './pages/admin/ChildrenCheckIn';
+import ClassroomRoster from './pages/admin/ClassroomRoster';
+import CheckInQR from './pages/admin/CheckInQR';
+import OfflineAttendance from './pages/admin/OfflineAttendance';
+import VisitorFollowUp from './pages/admin/VisitorFollowUp';
+import PastoralCare from './pages/admin/PastoralCare';
+import PledgeCampaigns from './pages/admin/PledgeCampaigns';
+import Finance from './pages/admin/Finance';
+import ManageEvents from './pages/admin/ManageEvents';
 
 // Error Pages
 import NotFound from './pages/errors/NotFound';
@@ -282,6 +300,14 @@ function App() {
         </AppLayout>
       ),
     },
+    {
+      path: '/visitor-card',
+      element: (
+        <AppLayout>
+          <VisitorCard />
+        </AppLayout>
+      ),
+    },
     // Celebration Style Test Route
     {
       path: '/test-home',
@@ -317,6 +343,22 @@ function App() {
         </AppLayout>
       ),
     },
+    {
+      path: '/reset-password',
+      element: (
+        <AppLayout>
+          <ResetPassword />
+        </AppLayout>
+      ),
+    },
+    {
+      path: '/verify-email',
+      element: (
+        <AppLayout>
+          <VerifyEmail />
+        </AppLayout>
+      ),
+    },
     // Protected Dashboards
     {
       path: '/admin/dashboard',
@@ -368,6 +410,136 @@ function App() {
         </AppLayout>
       ),
     },
+    {
+      path: '/admin/manage-users',
+      element: (
+        <AppLayout>
+          <ProtectedRoute roles={['admin']}>
+            <ManageUsers />
+          </ProtectedRoute>
+        </AppLayout>
+      ),
+    },
+    {
+      path: '/admin/permissions',
+      element: (
+        <AppLayout>
+          <ProtectedRoute roles={['admin']}>
+            <RolePermissions />
+          </ProtectedRoute>
+        </AppLayout>
+      ),
+    },
+    {
+      path: '/admin/login-security',
+      element: (
+        <AppLayout>
+          <ProtectedRoute roles={['admin']}>
+            <LoginSecurity />
+          </ProtectedRoute>
+        </AppLayout>
+      ),
+    },
+    {
+      path: '/admin/households',
+      element: (
+        <AppLayout>
+          <ProtectedRoute roles={['admin']}>
+            <ManageHouseholds />
+          </ProtectedRoute>
+        </AppLayout>
+      ),
+    },
+    {
+      path: '/admin/children-check-in',
+      element: (
+        <AppLayout>
+          <ProtectedRoute roles={['volunteer', 'leader', 'staff', 'pastor', 'admin']}>
+            <ChildrenCheckIn />
+          </ProtectedRoute>
+        </AppLayout>
+      ),
+    },
+    {
+      path: '/admin/classroom-roster',
+      element: (
+        <AppLayout>
+          <ProtectedRoute roles={['volunteer', 'leader', 'staff', 'pastor', 'admin']}>
+            <ClassroomRoster />
+          </ProtectedRoute>
+        </AppLayout>
+      ),
+    },
+    {
+      path: '/admin/check-in-qr',
+      element: (
+        <AppLayout>
+          <ProtectedRoute roles={['volunteer', 'leader', 'staff', 'pastor', 'admin']}>
+            <CheckInQR />
+          </ProtectedRoute>
+        </AppLayout>
+      ),
+    },
+    {
+      path: '/admin/usher-attendance',
+      element: (
+        <AppLayout>
+          <ProtectedRoute roles={['volunteer', 'leader', 'staff', 'pastor', 'admin']}>
+            <OfflineAttendance />
+          </ProtectedRoute>
+        </AppLayout>
+      ),
+    },
+    {
+      path: '/admin/visitor-follow-up',
+      element: (
+        <AppLayout>
+          <ProtectedRoute roles={['staff', 'pastor', 'admin']}>
+            <VisitorFollowUp />
+          </ProtectedRoute>
+        </AppLayout>
+      ),
+    },
+    {
+      path: '/admin/pastoral-care',
+      element: (
+        <AppLayout>
+          <ProtectedRoute roles={['leader', 'staff', 'pastor', 'admin']}>
+            <PastoralCare />
+          </ProtectedRoute>
+        </AppLayout>
+      ),
+    },
+    {
+      path: '/admin/pledges',
+      element: (
+        <AppLayout>
+          <ProtectedRoute roles={['pastor', 'admin']}>
+            <PledgeCampaigns />
+          </ProtectedRoute>
+        </AppLayout>
+      ),
+    },
+    {
+      path: '/admin/finance',
+      element: (
+        <AppLayout>
+          <ProtectedRoute roles={['staff', 'pastor', 'admin']}>
+            <Finance />
+          </ProtectedRoute>
+        </AppLayout>
+      ),
+    },
+    {
+      path: '/admin/events',
+      element: (
+        <AppLayout>
+          <ProtectedRoute roles={['leader', 'staff', 'pastor', 'admin']}>
+            <ManageEvents />
+          </ProtectedRoute>
+        </AppLayout>
+      ),
+    },
     {
       path: '/member/dashboard',
       element: (
@@ -428,6 +600,26 @@ function App() {
         </AppLayout>
       ),
     },
+    {
+      path: '/member/household',
+      element: (
+        <AppLayout>
+          <ProtectedRoute roles={['member', 'pastor', 'staff', 'admin']}>
+            <Household />
+          </ProtectedRoute>
+        </AppLayout>
+      ),
+    },
+    {
+      path: '/member/ministry-expenses',
+      element: (
+        <AppLayout>
+          <ProtectedRoute roles={['member', 'pastor', 'staff', 'admin']}>
+            <MinistryExpenses />
+          </ProtectedRoute>
+        </AppLayout>
+      ),
+    },
     // Error Routes
     {
       path: '/unauthorized',
@@ -0,0 +1,377 @@
+import React, { useEffect, useState } from 'react';
+import Modal from '../ui/Modal';
+import LoadingSpinner from '../common/LoadingSpinner';
+import { getUser, updateUserProfile } from '../../services/userService';
+import { downloadMemberStatement, emailStatements } from '../../services/givingService';
+import { useAuth } from '../../hooks/useAuth';
+import { MEMBERSHIP_STATUS, MARITAL_STATUS, GENDER, NIGERIAN_STATES, FIELD_LIMITS } from '@haven-word-church/shared/constants';
+
+// Everything staff can edit; pastoral notes are added when the API returns them
+const STAFF_FIELDS = [
+  'name', 'phone', 'address', 'dateOfBirth', 'gender', 'maritalStatus', 'weddingAnniversary',
+  'emergencyContact', 'allergies', 'medicalNotes', 'membershipStatus', 'membershipDate', 'baptismDate'
+];
+
+const INPUT_CLASS = 'w-full p-2 border border-gray-300 rounded-lg text-gray-900 text-sm';
+
+const toDateInput = (value) => (value ? value.split('T')[0] : '');
+
+// Roles allowed to issue giving statements (issue_giving_statements)
+const STATEMENT_ISSUERS = ['pastor', 'admin', 'super_admin'];
+const STATEMENT_YEARS = Array.from({ length: 6 }, (_, i) => String(new Date().getFullYear() - i));
+
+/**
+ * Staff editor for a member's full profile.
+ * Pastoral notes are only shown when the server includes them, which it
+ * does for roles holding the view_pastoral_notes permission.
+ *
+ * @param {Object} props
+ * @param {string|null} props.userId - Member being edited; null keeps the modal closed
+ * @param {Function} props.onClose - Close handler
+ * @param {Function} props.onSaved - Called with the updated user
+ */
+const MemberProfileEditor = ({ userId, onClose, onSaved }) => {
+  const [profile, setProfile] = useState(null);
+  const [errors, setErrors] = useState({});
+  const [message, setMessage] = useState('');
+  const [saving, setSaving] = useState(false);
+  const { user } = useAuth();
+  const canIssueStatements = Boolean(user) && STATEMENT_ISSUERS.includes(user.role);
+  const [statementYear, setStatementYear] = useState(STATEMENT_YEARS[1]);
+  const [statementMessage, setStatementMessage] = useState('');
+
+  useEffect(() => {
+    if (!userId) return;
+    setProfile(null);
+    setErrors({});
+    setMessage('');
+    getUser(userId)
+      .then(setProfile)
+      .catch((err) => setMessage(err.message || 'Failed to load profile'));
+  }, [userId]);
+
+  const canEditNotes = Boolean(profile) && Object.prototype.hasOwnProperty.call(profile, 'pastoralNotes');
+
+  const handleChange = (field, value, part) => {
+    setProfile((prev) => ({
+      ...prev,
+      [field]: part ? { ...(prev[field] || {}), [part]: value } : value
+    }));
+  };
+
+  const handleSave = async () => {
+    const fields = canEditNotes ? [...STAFF_FIELDS, 'pastoralNotes'] : STAFF_FIELDS;
+    const changes = fields.reduce((acc, field) => {
+      acc[field] = profile[field] ?? null;
+      return acc;
+    }, {});
+    setSaving(true);
+    setErrors({});
+    setMessage('');
+    try {
+      const updated = await updateUserProfile(userId, changes);
+      onSaved(updated);
+    } catch (err) {
+      setErrors(err.errors || {});
+      setMessage(err.message || 'Failed to save profile');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDownloadStatement = async () => {
+    setStatementMessage('');
+    try {
+      const pdf = await downloadMemberStatement(userId, { year: statementYear });
+      const url = window.URL.createObjectURL(new Blob([pdf], { type: 'application/pdf' }));
+      const link = document.createElement('a');
+      link.href = url;
+      link.setAttribute('download', `giving-statement-${statementYear}-${profile.name.toLowerCase().replace(/[^a-z0-9]+/g, '-')}.pdf`);
+      document.body.appendChild(link);
+      link.click();
+      link.parentNode.removeChild(link);
+      window.URL.revokeObjectURL(url);
+    } catch (err) {
+      setStatementMessage('Failed to create statement');
+    }
+  };
+
+  const handleEmailStatement = async () => {
+    setStatementMessage('');
+    try {
+      const result = await emailStatements({ userId, year: statementYear });
+      setStatementMessage(result.message);
+    } catch (err) {
+      setStatementMessage(err.message || 'Failed to send statement');
+    }
+  };
+
+  const renderError = (field) => (
+    errors[field] ? <p className="text-xs text-red-600 mt-1">{errors[field]}</p> : null
+  );
+
+  return (
+    <Modal
+      isOpen={Boolean(userId)}
+      onClose={onClose}
+      size="lg"
+      title={profile ? `Profile: ${profile.name}` : 'Member Profile'}
+      showFooter={Boolean(profile)}
+      confirmText="Save Profile"
+      onConfirm={handleSave}
+      loading={saving}
+    >
+      {message && <p className="mb-3 text-sm text-red-600" role="alert">{message}</p>}
+      {!profile ? (
+        !message && <LoadingSpinner size="md" text="Loading profile..." />
+      ) : (
+        <div className="space-y-5 text-sm">
+          <section className="grid grid-cols-1 md:grid-cols-3 gap-3">
+            <label className="block">
+              <span className="text-gray-700">Membership status</span>
+              <select
+                value={profile.membershipStatus || MEMBERSHIP_STATUS.VISITOR}
+                onChange={(e) => handleChange('membershipStatus', e.target.value)}
+                className={`${INPUT_CLASS} capitalize`}
+              >
+                {Object.values(MEMBERSHIP_STATUS).map((status) => (
+                  <option key={status} value={status}>{status}</option>
+                ))}
+              </select>
+              {renderError('membershipStatus')}
+            </label>
+            <label className="block">
+              <span className="text-gray-700">Member since</span>
+              <input
+                type="date"
+                value={toDateInput(profile.membershipDate)}
+                onChange={(e) => handleChange('membershipDate', e.target.value)}
+                className={INPUT_CLASS}
+              />
+              {renderError('membershipDate')}
+            </label>
+            <label className="block">
+              <span className="text-gray-700">Baptism date</span>
+              <input
+                type="date"
+                value={toDateInput(profile.baptismDate)}
+                onChange={(e) => handleChange('baptismDate', e.target.value)}
+                className={INPUT_CLASS}
+              />
+              {renderError('baptismDate')}
+            </label>
+          </section>
+
+          <section className="grid grid-cols-1 md:grid-cols-2 gap-3">
+            <label className="block">
+              <span className="text-gray-700">Name</span>
+              <input
+                type="text"
+                value={profile.name || ''}
+                onChange={(e) => handleChange('name', e.target.value)}
+                className={INPUT_CLASS}
+              />
+              {renderError('name')}
+            </label>
+            <label className="block">
+              <span className="text-gray-700">Phone</span>
+              <input
+                type="tel"
+                value={profile.phone || ''}
+                onChange={(e) => handleChange('phone', e.target.value)}
+                className={INPUT_CLASS}
+              />
+              {renderError('phone')}
+            </label>
+            <label className="block">
+              <span className="text-gray-700">Date of birth</span>
+              <input
+                type="date"
+                value={toDateInput(profile.dateOfBirth)}
+                onChange={(e) => handleChange('dateOfBirth', e.target.value)}
+                className={INPUT_CLASS}
+              />
+              {renderError('dateOfBirth')}
+            </label>
+            <label className="block">
+              <span className="text-gray-700">Gender</span>
+              <select
+                value={profile.gender || ''}
+                onChange={(e) => handleChange('gender', e.target.value)}
+                className={`${INPUT_CLASS} capitalize`}
+              >
+                <option value="">Not recorded</option>
+                {Object.values(GENDER).map((gender) => (
+                  <option key={gender} value={gender}>{gender}</option>
+                ))}
+              </select>
+            </label>
+            <label className="block">
+              <span className="text-gray-700">Marital status</span>
+              <select
+                value={profile.maritalStatus || ''}
+                onChange={(e) => handleChange('maritalStatus', e.target.value)}
+                className={`${INPUT_CLASS} capitalize`}
+              >
+                <option value="">Not recorded</option>
+                {Object.values(MARITAL_STATUS).map((status) => (
+                  <option key={status} value={status}>{status}</option>
+                ))}
+              </select>
+            </label>
+            <label className="block">
+              <span className="text-gray-700">Wedding anniversary</span>
+              <input
+                type="date"
+                value={toDateInput(profile.weddingAnniversary)}
+                onChange={(e) => handleChange('weddingAnniversary', e.target.value)}
+                className={INPUT_CLASS}
+              />
+              {renderError('weddingAnniversary')}
+            </label>
+          </section>
+
+          <section>
+            <h3 className="font-semibold text-gray-900 mb-2">Address</h3>
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+              <input
+                type="text"
+                placeholder="Street"
+                value={profile.address?.street || ''}
+                onChange={(e) => handleChange('address', e.target.value, 'street')}
+                className={`${INPUT_CLASS} md:col-span-3`}
+              />
+              <input
+                type="text"
+                placeholder="City"
+                value={profile.address?.city || ''}
+                onChange={(e) => handleChange('address', e.target.value, 'city')}
+                className={INPUT_CLASS}
+              />
+              {(profile.address?.country || 'Nigeria') === 'Nigeria' ? (
+                <select
+                  value={profile.address?.state || ''}
+                  onChange={(e) => handleChange('address', e.target.value, 'state')}
+                  className={INPUT_CLASS}
+                  aria-label="State"
+                >
+                  <option value="">Select state</option>
+                  {NIGERIAN_STATES.map((state) => (
+                    <option key={state} value={state}>{state}</option>
+                  ))}
+                </select>
+              ) : (
+                <input
+                  type="text"
+                  placeholder="State / Region"
+                  value={profile.address?.state || ''}
+                  onChange={(e) => handleChange('address', e.target.value, 'state')}
+                  className={INPUT_CLASS}
+                />
+              )}
+              <input
+                type="text"
+                placeholder="Country"
+                value={profile.address?.country || 'Nigeria'}
+                onChange={(e) => handleChange('address', e.target.value, 'country')}
+                className={INPUT_CLASS}
+              />
+            </div>
+            {renderError('address')}
+          </section>
+
+          <section>
+            <h3 className="font-semibold text-gray-900 mb-2">Emergency contact</h3>
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+              <input
+                type="text"
+                placeholder="Name"
+                value={profile.emergencyContact?.name || ''}
+                onChange={(e) => handleChange('emergencyContact', e.target.value, 'name')}
+                className={INPUT_CLASS}
+              />
+              <input
+                type="text"
+                placeholder="Relationship"
+                value={profile.emergencyContact?.relationship || ''}
+                onChange={(e) => handleChange('emergencyContact', e.target.value, 'relationship')}
+                className={INPUT_CLASS}
+              />
+              <input
+                type="tel"
+                placeholder="Phone"
+                value={profile.emergencyContact?.phone || ''}
+                onChange={(e) => handleChange('emergencyContact', e.target.value, 'phone')}
+                className={INPUT_CLASS}
+              />
+            </div>
+            {renderError('emergencyContact')}
+          </section>
+
+          <section>
+            <h3 className="font-semibold text-gray-900 mb-1">Health</h3>
+            <p className="text-xs text-gray-500 mb-2">Shown to children's ministry teachers at check-in.</p>
+            <input
+              type="text"
+              placeholder="Allergies"
+              maxLength={FIELD_LIMITS.ALLERGIES_MAX}
+              value={profile.allergies || ''}
+              onChange={(e) => handleChange('allergies', e.target.value)}
+              className={`${INPUT_CLASS} mb-2`}
+            />
+            {renderError('allergies')}
+            <textarea
+              rows={2}
+              placeholder="Medical notes"
+              maxLength={FIELD_LIMITS.MEDICAL_NOTES_MAX}
+              value={profile.medicalNotes || ''}
+              onChange={(e) => handleChange('medicalNotes', e.target.value)}
+              className={INPUT_CLASS}
+            />
+            {renderError('medicalNotes')}
+          </section>
+
+          {canEditNotes && (
+            <section>
+              <h3 className="font-semibold text-gray-900 mb-1">Pastoral notes</h3>
+              <p className="text-xs text-gray-500 mb-2">Confidential. Only visible to pastors and above.</p>
+              <textarea
+                rows={5}
+                value={profile.pastoralNotes || ''}
+                onChange={(e) => handleChange('pastoralNotes', e.target.value)}
+                className={INPUT_CLASS}
+              />
+              {renderError('pastoralNotes')}
+            </section>
+          )}
+
+          {canIssueStatements && (
+            <section>
+              <h3 className="font-semibold text-gray-900 mb-2">Giving statement</h3>
+              <div className="flex flex-wrap items-center gap-2">
+                <select
+                  value={statementYear}
+                  onChange={(e) => setStatementYear(e.target.value)}
+                  className="p-2 border border-gray-300 rounded-lg text-gray-900 text-sm"
+                >
+                  {STATEMENT_YEARS.map((year) => <option key={year} value={year}>{year}</option>)}
+                </select>
+                <button type="button" className="px-3 py-2 rounded-lg bg-gray-100 text-gray-700 font-semibold hover:bg-gray-200" onClick={handleDownloadStatement}>
+                  Download PDF
+                </button>
+                {profile.email && (
+                  <button type="button" className="px-3 py-2 rounded-lg bg-gray-100 text-gray-700 font-semibold hover:bg-gray-200" onClick={handleEmailStatement}>
+                    Email to {profile.email}
+                  </button>
+                )}
+              </div>
+              {statementMessage && <p className="text-xs text-gray-600 mt-1" role="status">{statementMessage}</p>}
+            </section>
+          )}
+        </div>
+      )}
+    </Modal>
+  );
+};
+
+export default MemberProfileEditor;
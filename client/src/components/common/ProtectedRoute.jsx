@@ -6,7 +6,8 @@ import PropTypes from 'prop-types';
 const ProtectedRoute = ({ children, roles }) => {
   const { user } = useAuth();
   if (!user) return <Navigate to="/login" />;
-  if (roles && !roles.includes(user.role)) return <Navigate to="/unauthorized" />;
+  // super_admin can open every protected page
+  if (roles && !roles.includes(user.role) && user.role !== 'super_admin') return <Navigate to="/unauthorized" />;
   return children;
 };
 
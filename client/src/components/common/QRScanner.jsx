@@ -0,0 +1,76 @@
+import React, { useEffect, useRef, useState } from 'react';
+import PropTypes from 'prop-types';
+
+/**
+ * Camera QR code scanner using the browser's built-in BarcodeDetector.
+ * Browsers without it (e.g. Safari) get a hint to use the phone's camera
+ * app instead, which opens the same check-in link.
+ *
+ * @param {Function} onScan - Called once with the decoded text
+ */
+const QRScanner = ({ onScan }) => {
+  const videoRef = useRef(null);
+  const [error, setError] = useState(
+    'BarcodeDetector' in window ? '' : 'Your browser cannot scan codes here. Open your phone\'s camera app and point it at the code instead.'
+  );
+
+  useEffect(() => {
+    if (!('BarcodeDetector' in window)) return undefined;
+
+    let stream;
+    let frame;
+    let stopped = false;
+    const detector = new window.BarcodeDetector({ formats: ['qr_code'] });
+
+    const scan = async () => {
+      if (stopped) return;
+      try {
+        const codes = await detector.detect(videoRef.current);
+        if (codes.length && !stopped) {
+          stopped = true;
+          onScan(codes[0].rawValue);
+          return;
+        }
+      } catch (err) {
+        // The video may not have a frame yet; try again next tick
+      }
+      frame = requestAnimationFrame(scan);
+    };
+
+    navigator.mediaDevices.getUserMedia({ video: { facingMode: 'environment' } })
+      .then((media) => {
+        stream = media;
+        if (stopped) return;
+        videoRef.current.srcObject = media;
+        videoRef.current.play();
+        frame = requestAnimationFrame(scan);
+      })
+      .catch(() => setError('Camera access was blocked. Allow the camera for this site and try again.'));
+
+    return () => {
+      stopped = true;
+      cancelAnimationFrame(frame);
+      if (stream) stream.getTracks().forEach((track) => track.stop());
+    };
+  }, [onScan]);
+
+  if (error) {
+    return <p className="text-gray-600 text-center py-6">{error}</p>;
+  }
+
+  return (
+    <video
+      ref={videoRef}
+      className="w-full rounded-lg bg-black aspect-square object-cover"
+      muted
+      playsInline
+      aria-label="Camera preview"
+    />
+  );
+};
+
+QRScanner.propTypes = {
+  onScan: PropTypes.func.isRequired
+};
+
+export default QRScanner;
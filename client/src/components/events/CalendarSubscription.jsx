@@ -0,0 +1,86 @@
+import React, { useEffect, useState } from 'react';
+import { CalendarPlus } from 'lucide-react';
+import { calendarFeedUrl, getCalendarFeedLink, resetCalendarFeedLink, toWebcal } from '../../services/eventService';
+
+/**
+ * Links for subscribing to church events in a calendar app: the member's
+ * own feed of the dates they registered for, and the public feed of all
+ * events. The personal link is private, so it can be replaced if shared.
+ */
+const CalendarSubscription = () => {
+  const [feed, setFeed] = useState(null);
+  const [copied, setCopied] = useState(false);
+  const [busy, setBusy] = useState(false);
+  const [message, setMessage] = useState('');
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    getCalendarFeedLink()
+      .then((result) => setFeed(result.data))
+      .catch((err) => setError(err.message || 'Failed to load your calendar feed'));
+  }, []);
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(feed.url);
+      setCopied(true);
+    } catch (err) {
+      setError('Copy the link from the box instead');
+    }
+  };
+
+  const handleReset = async () => {
+    if (!window.confirm('Replace your feed link? Calendars subscribed with the old link will stop updating.')) return;
+    try {
+      setBusy(true);
+      setError('');
+      const result = await resetCalendarFeedLink();
+      setFeed(result.data);
+      setCopied(false);
+      setMessage(result.message);
+    } catch (err) {
+      setError(err.message || 'Failed to reset your calendar feed');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-xl shadow-sm p-6 mb-6">
+      <h2 className="flex items-center text-lg font-semibold text-gray-900 mb-2">
+        <CalendarPlus className="w-5 h-5 mr-2 text-blue-600" />
+        Add to your calendar
+      </h2>
+      <p className="text-sm text-gray-600 mb-4">
+        Subscribe in Google Calendar, Apple Calendar or Outlook to see the events you register for. Changes show up automatically.
+      </p>
+      {message && <p className="mb-2 text-sm text-gray-700" role="status">{message}</p>}
+      {error && <p className="mb-2 text-sm text-red-500">{error}</p>}
+      {feed && (
+        <div className="space-y-3">
+          <div className="flex flex-col sm:flex-row gap-2">
+            <input
+              readOnly
+              value={feed.url}
+              onFocus={(e) => e.target.select()}
+              aria-label="Your calendar feed link"
+              className="flex-1 px-3 py-2 border border-gray-300 rounded-lg text-sm text-gray-700"
+            />
+            <button onClick={handleCopy} className="px-4 py-2 rounded-lg border border-gray-300 text-sm hover:bg-gray-50">
+              {copied ? 'Copied' : 'Copy link'}
+            </button>
+          </div>
+          <div className="flex flex-wrap gap-4 text-sm">
+            <a href={feed.webcalUrl} className="text-blue-600 hover:underline">Subscribe to my events</a>
+            <a href={toWebcal(calendarFeedUrl())} className="text-blue-600 hover:underline">Subscribe to all church events</a>
+            <button onClick={handleReset} disabled={busy} className="text-gray-600 hover:underline disabled:opacity-50">
+              Reset link
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CalendarSubscription;
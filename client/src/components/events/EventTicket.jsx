@@ -0,0 +1,125 @@
+import React, { useEffect, useState } from 'react';
+import { Ticket } from 'lucide-react';
+import { getTicket, sendTestTicketPayment } from '../../services/eventService';
+import { formatDate } from '../../utils/helpers';
+
+const STATUS_POLL_MS = 3000;
+const STATUS_POLL_ATTEMPTS = 5;
+
+const formatTime = (value) => new Date(value).toLocaleTimeString('en-NG', {
+  timeZone: 'Africa/Lagos', hour: 'numeric', minute: '2-digit'
+});
+
+/**
+ * A ticket, for someone back from checkout or opening the link in their
+ * ticket email. The provider's webhook can arrive a little after they do,
+ * so a pending payment is checked again for a while. With the test payment
+ * provider, the payment can be completed or declined here.
+ * @param {Object} props
+ * @param {string} props.reference
+ * @param {boolean} props.testCheckout - Returned from a test checkout
+ * @param {Function} [props.onChange] - Called once the payment is settled
+ */
+const EventTicket = ({ reference, testCheckout, onChange }) => {
+  const [ticket, setTicket] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    let cancelled = false;
+    let timer;
+
+    const check = async (attempt) => {
+      try {
+        const result = await getTicket(reference);
+        if (cancelled) return;
+        setTicket(result.data);
+        const pending = result.data.paymentStatus === 'Pending' && result.data.status !== 'Cancelled';
+        if (pending && !testCheckout && attempt < STATUS_POLL_ATTEMPTS) {
+          timer = setTimeout(() => check(attempt + 1), STATUS_POLL_MS);
+        }
+      } catch (err) {
+        if (!cancelled) setError(err.status === 404 ? 'This ticket could not be found.' : err.message || 'Failed to load your ticket');
+      }
+    };
+    check(1);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [reference, testCheckout]);
+
+  const handleTestPayment = async (outcome) => {
+    try {
+      setBusy(true);
+      setError('');
+      await sendTestTicketPayment(reference, outcome);
+      const result = await getTicket(reference);
+      setTicket(result.data);
+      if (onChange) onChange();
+    } catch (err) {
+      setError(err.message || 'Failed to send test payment');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  if (!ticket) {
+    return error ? <p className="mb-6 text-sm text-red-500">{error}</p> : null;
+  }
+
+  const pending = ticket.paymentStatus === 'Pending' && ticket.status !== 'Cancelled';
+  const people = ticket.people === 1 ? '1 person' : `${ticket.people} people`;
+
+  return (
+    <div className="mb-8 bg-white dark:bg-gray-900 rounded-lg shadow p-6">
+      <h2 className="flex items-center text-xl font-semibold text-gray-900 dark:text-white mb-2">
+        <Ticket className="w-5 h-5 mr-2 text-blue-600" />
+        Your ticket
+      </h2>
+      <p className="text-sm text-gray-700 dark:text-gray-300">
+        {ticket.name} &times; {ticket.quantity} for {people} on {formatDate(ticket.date)} &middot; {ticket.price}
+      </p>
+      <p className="text-xs text-gray-500 mb-4">Reference {ticket.reference}</p>
+      {error && <p className="mb-2 text-sm text-red-500">{error}</p>}
+
+      {pending && ticket.testPayments && testCheckout && (
+        <div className="rounded-lg bg-amber-50 p-4 text-amber-800">
+          <p className="font-semibold mb-2">Test checkout: choose how this payment should end.</p>
+          <div className="flex gap-3">
+            <button className="px-3 py-1 rounded-lg bg-green-600 text-white disabled:opacity-50" disabled={busy} onClick={() => handleTestPayment('paid')}>
+              Pay
+            </button>
+            <button className="px-3 py-1 rounded-lg bg-red-600 text-white disabled:opacity-50" disabled={busy} onClick={() => handleTestPayment('failed')}>
+              Decline
+            </button>
+          </div>
+        </div>
+      )}
+      {pending && !(ticket.testPayments && testCheckout) && (
+        <p className="text-amber-700">
+          We are waiting for the payment provider to confirm your payment. Your places are held until {formatTime(ticket.holdExpiresAt)}.
+          {ticket.checkoutUrl && <> <a href={ticket.checkoutUrl} className="text-blue-600 hover:underline">Finish paying</a></>}
+        </p>
+      )}
+      {ticket.status === 'Cancelled' && ticket.paymentStatus === 'Pending' && (
+        <p className="text-red-600">
+          This ticket was not paid for{ticket.failureReason ? ` (${ticket.failureReason.toLowerCase()})` : ''}, so its places were released. No money was taken; you can register again.
+        </p>
+      )}
+      {ticket.paymentStatus === 'Refunded' && <p className="text-gray-700 dark:text-gray-300">This ticket has been refunded.</p>}
+      {ticket.status === 'Cancelled' && ticket.paymentStatus === 'Paid' && (
+        <p className="text-gray-700 dark:text-gray-300">This registration was cancelled.</p>
+      )}
+      {ticket.qrCode && (
+        <div className="text-center">
+          <img src={ticket.qrCode} alt="Ticket QR code" className="mx-auto w-56 h-56" />
+          <p className="text-sm text-gray-600 dark:text-gray-400">Show this code at the entrance. We have emailed you a copy.</p>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default EventTicket;
@@ -0,0 +1,66 @@
+import React from 'react';
+
+export const formatPrice = (amount, currency = 'NGN') => (amount > 0
+  ? new Intl.NumberFormat('en-NG', { style: 'currency', currency }).format(amount)
+  : 'Free');
+
+/**
+ * Whether registering for an event needs a ticket chosen or paid for
+ * @param {Object} event
+ * @returns {boolean}
+ */
+export const sellsTickets = (event) => (event.ticketTypes || []).length > 0
+  || Boolean(event.registrationFee && event.registrationFee.amount > 0);
+
+/**
+ * Ticket type and promo code for registering for a paid event. The
+ * server works out the price; this shows what each ticket costs.
+ * @param {Object} props
+ * @param {Object} props.event - With its active ticketTypes and acceptsPromoCodes
+ * @param {Object} props.value - { ticketType, promoCode }
+ * @param {Function} props.onChange - Called with the new value
+ */
+const TicketOptions = ({ event, value, onChange }) => {
+  const types = event.ticketTypes || [];
+  const currency = (event.registrationFee && event.registrationFee.currency) || 'NGN';
+  const inputClass = 'px-3 py-2 border border-gray-300 rounded-lg text-sm text-gray-700';
+
+  return (
+    <div className="flex flex-col sm:flex-row sm:items-end gap-3">
+      {types.length > 0 ? (
+        <label className="flex flex-col text-sm text-gray-700 dark:text-gray-300">
+          Ticket
+          <select
+            value={value.ticketType || ''}
+            onChange={(e) => onChange({ ...value, ticketType: e.target.value })}
+            className={inputClass}
+          >
+            {types.length > 1 && <option value="">Choose a ticket</option>}
+            {types.map((type) => (
+              <option key={type._id} value={type._id}>
+                {type.name}: {formatPrice(type.price, currency)}{type.admits > 1 ? ` (admits ${type.admits})` : ''}
+              </option>
+            ))}
+          </select>
+        </label>
+      ) : (
+        <p className="text-sm text-gray-700 dark:text-gray-300">
+          Registration is {formatPrice(event.registrationFee.amount, currency)} per person.
+        </p>
+      )}
+      {event.acceptsPromoCodes && (
+        <label className="flex flex-col text-sm text-gray-700 dark:text-gray-300">
+          Promo code
+          <input
+            value={value.promoCode || ''}
+            onChange={(e) => onChange({ ...value, promoCode: e.target.value.toUpperCase() })}
+            maxLength={20}
+            className={inputClass}
+          />
+        </label>
+      )}
+    </div>
+  );
+};
+
+export default TicketOptions;
@@ -0,0 +1,124 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { getDonations } from '../../services/financeService';
+import { formatCurrency, formatDate } from '../../utils/helpers';
+
+const inputClass = 'p-2 border border-gray-300 rounded text-gray-900 text-sm';
+
+const describeSource = (donation) => {
+  if (donation.provider) return `Online (${donation.provider})`;
+  if (donation.batch) return `${donation.method} · offering batch`;
+  return donation.method;
+};
+
+/**
+ * Every gift the church has recorded, online and counted, with filters
+ * @param {Object} props
+ * @param {Array<Object>} props.funds - Funds, including retired ones
+ */
+const DonationsTab = ({ funds }) => {
+  const [filters, setFilters] = useState({ fund: 'all', status: 'paid', source: 'all', from: '', to: '', search: '' });
+  const [page, setPage] = useState(1);
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState('');
+
+  const load = useCallback(async () => {
+    try {
+      const params = Object.fromEntries(Object.entries({ ...filters, page }).filter(([, value]) => value !== ''));
+      setResult(await getDonations(params));
+      setError('');
+    } catch (err) {
+      setError(err.message || 'Failed to load donations');
+    }
+  }, [filters, page]);
+
+  useEffect(() => { load(); }, [load]);
+
+  const updateFilter = (field) => (e) => {
+    setFilters((prev) => ({ ...prev, [field]: e.target.value }));
+    setPage(1);
+  };
+
+  return (
+    <div>
+      <div className="flex flex-wrap gap-2 mb-4">
+        <input value={filters.search} onChange={updateFilter('search')} placeholder="Member, reference or cheque no." className={`${inputClass} flex-1 min-w-[200px]`} />
+        <select value={filters.fund} onChange={updateFilter('fund')} className={inputClass}>
+          <option value="all">All funds</option>
+          {funds.map((fund) => <option key={fund._id} value={fund.name}>{fund.name}</option>)}
+        </select>
+        <select value={filters.source} onChange={updateFilter('source')} className={inputClass}>
+          <option value="all">All sources</option>
+          <option value="online">Online</option>
+          <option value="batch">Cash and cheque</option>
+        </select>
+        <select value={filters.status} onChange={updateFilter('status')} className={inputClass}>
+          <option value="paid">Paid</option>
+          <option value="pending">Pending</option>
+          <option value="failed">Failed</option>
+          <option value="refunded">Refunded</option>
+          <option value="all">Any status</option>
+        </select>
+        <input type="date" value={filters.from} onChange={updateFilter('from')} className={inputClass} aria-label="From" />
+        <input type="date" value={filters.to} onChange={updateFilter('to')} className={inputClass} aria-label="To" />
+      </div>
+
+      {error && <div className="mb-4 text-red-500">{error}</div>}
+
+      {result && (
+        <>
+          <p className="mb-3 text-sm text-gray-600 dark:text-gray-400">
+            {result.total} gift{result.total === 1 ? '' : 's'} · {formatCurrency(result.totalAmount)}
+          </p>
+          {result.data.length === 0 ? (
+            <p className="text-gray-500">No gifts match these filters.</p>
+          ) : (
+            <div className="overflow-x-auto bg-white dark:bg-gray-900 rounded-lg shadow">
+              <table className="w-full text-sm">
+                <thead className="text-left text-gray-500 border-b border-gray-100">
+                  <tr>
+                    <th className="p-2">Date</th>
+                    <th className="p-2">Member</th>
+                    <th className="p-2">Fund</th>
+                    <th className="p-2">Source</th>
+                    <th className="p-2">Reference</th>
+                    <th className="p-2">Status</th>
+                    <th className="p-2 text-right">Amount</th>
+                  </tr>
+                </thead>
+                <tbody className="text-gray-700 dark:text-gray-300">
+                  {result.data.map((donation) => (
+                    <tr key={donation._id} className="border-b border-gray-50">
+                      <td className="p-2 whitespace-nowrap">{formatDate(donation.date)}</td>
+                      <td className="p-2">{donation.user ? donation.user.name : <span className="text-gray-400">Loose offering</span>}</td>
+                      <td className="p-2">
+                        {donation.type}
+                        {donation.campaign && <div className="text-xs text-gray-500">{donation.campaign.title}</div>}
+                      </td>
+                      <td className="p-2">{describeSource(donation)}</td>
+                      <td className="p-2 text-xs">{donation.reference || donation.chequeNumber || '—'}</td>
+                      <td className="p-2 capitalize">{donation.status || 'paid'}</td>
+                      <td className="p-2 text-right whitespace-nowrap">{formatCurrency(donation.amount)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+          {result.totalPages > 1 && (
+            <div className="flex items-center gap-3 mt-4 text-sm">
+              <button className="px-3 py-1 rounded bg-gray-100 text-gray-700 disabled:opacity-50" disabled={page <= 1} onClick={() => setPage(page - 1)}>
+                Previous
+              </button>
+              <span className="text-gray-600 dark:text-gray-400">Page {page} of {result.totalPages}</span>
+              <button className="px-3 py-1 rounded bg-gray-100 text-gray-700 disabled:opacity-50" disabled={page >= result.totalPages} onClick={() => setPage(page + 1)}>
+                Next
+              </button>
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default DonationsTab;
@@ -0,0 +1,138 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { getFundReport, downloadFundReport } from '../../services/financeService';
+import { formatCurrency } from '../../utils/helpers';
+
+const MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+const monthLabel = (key) => `${MONTH_NAMES[Number(key.slice(5, 7)) - 1]} ${key.slice(0, 4)}`;
+
+/**
+ * Totals per fund for a year: by source (online, cash, cheque), by month,
+ * and refunds, with a CSV download
+ */
+const FundReportTab = () => {
+  const thisYear = new Date().getFullYear();
+  const [year, setYear] = useState(thisYear);
+  const [report, setReport] = useState(null);
+  const [error, setError] = useState('');
+
+  const load = useCallback(async () => {
+    try {
+      setReport(await getFundReport({ year }));
+      setError('');
+    } catch (err) {
+      setError(err.message || 'Failed to load report');
+    }
+  }, [year]);
+
+  useEffect(() => { load(); }, [load]);
+
+  const handleDownload = async () => {
+    try {
+      const csv = await downloadFundReport({ year });
+      const url = window.URL.createObjectURL(new Blob([csv], { type: 'text/csv' }));
+      const link = document.createElement('a');
+      link.href = url;
+      link.setAttribute('download', `fund-report-${year}.csv`);
+      document.body.appendChild(link);
+      link.click();
+      link.parentNode.removeChild(link);
+      window.URL.revokeObjectURL(url);
+    } catch (err) {
+      setError('Could not download the report. Please try again.');
+    }
+  };
+
+  const months = report ? [...new Set(report.data.flatMap((fund) => Object.keys(fund.months)))].sort() : [];
+
+  return (
+    <div>
+      <div className="flex flex-wrap items-center gap-3 mb-4">
+        <select value={year} onChange={(e) => setYear(Number(e.target.value))} className="p-2 border border-gray-300 rounded text-gray-900 text-sm">
+          {Array.from({ length: 6 }, (_, i) => thisYear - i).map((value) => <option key={value} value={value}>{value}</option>)}
+        </select>
+        <span className="flex-1" />
+        <button className="px-4 py-2 rounded-lg bg-gray-100 text-gray-700 font-semibold hover:bg-gray-200" onClick={handleDownload}>
+          Download CSV
+        </button>
+      </div>
+
+      {error && <div className="mb-4 text-red-500">{error}</div>}
+
+      {report && (
+        <>
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-4 mb-6">
+            <div className="bg-white dark:bg-gray-900 rounded-lg shadow p-4">
+              <div className="text-3xl font-bold text-green-600">{formatCurrency(report.total)}</div>
+              <div className="text-sm text-gray-600 dark:text-gray-400">Received in {report.period.label}</div>
+            </div>
+            <div className="bg-white dark:bg-gray-900 rounded-lg shadow p-4">
+              <div className="text-3xl font-bold text-yellow-600">{formatCurrency(report.uncountedBatches.total)}</div>
+              <div className="text-sm text-gray-600 dark:text-gray-400">
+                In {report.uncountedBatches.count} offering batch{report.uncountedBatches.count === 1 ? '' : 'es'} not yet verified
+              </div>
+            </div>
+          </div>
+
+          {report.data.length === 0 ? (
+            <p className="text-gray-500">No gifts in {report.period.label}.</p>
+          ) : (
+            <div className="overflow-x-auto bg-white dark:bg-gray-900 rounded-lg shadow">
+              <table className="w-full text-sm text-gray-700 dark:text-gray-300">
+                <thead className="text-left text-gray-500 border-b border-gray-100">
+                  <tr>
+                    <th className="p-2">Fund</th>
+                    <th className="p-2 text-right">Total</th>
+                    <th className="p-2 text-right">Gifts</th>
+                    <th className="p-2 text-right">Online</th>
+                    <th className="p-2 text-right">Cash</th>
+                    <th className="p-2 text-right">Cheque</th>
+                    <th className="p-2 text-right">Other</th>
+                    <th className="p-2 text-right">Refunded</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {report.data.map((fund) => (
+                    <tr key={fund.fund} className="border-b border-gray-50">
+                      <td className="p-2 font-medium text-gray-900 dark:text-white">{fund.fund}</td>
+                      <td className="p-2 text-right">{formatCurrency(fund.total)}</td>
+                      <td className="p-2 text-right">{fund.count}</td>
+                      <td className="p-2 text-right">{formatCurrency(fund.online)}</td>
+                      <td className="p-2 text-right">{formatCurrency(fund.cash)}</td>
+                      <td className="p-2 text-right">{formatCurrency(fund.cheque)}</td>
+                      <td className="p-2 text-right">{formatCurrency(fund.other)}</td>
+                      <td className="p-2 text-right">{fund.refunded ? formatCurrency(fund.refunded) : '—'}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+
+              <h3 className="px-2 pt-4 font-semibold text-gray-900 dark:text-white">By month</h3>
+              <table className="w-full text-sm text-gray-700 dark:text-gray-300">
+                <thead className="text-left text-gray-500 border-b border-gray-100">
+                  <tr>
+                    <th className="p-2">Fund</th>
+                    {months.map((month) => <th key={month} className="p-2 text-right whitespace-nowrap">{monthLabel(month)}</th>)}
+                  </tr>
+                </thead>
+                <tbody>
+                  {report.data.map((fund) => (
+                    <tr key={fund.fund} className="border-b border-gray-50">
+                      <td className="p-2 font-medium text-gray-900 dark:text-white">{fund.fund}</td>
+                      {months.map((month) => (
+                        <td key={month} className="p-2 text-right whitespace-nowrap">
+                          {fund.months[month] ? formatCurrency(fund.months[month]) : '—'}
+                        </td>
+                      ))}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default FundReportTab;
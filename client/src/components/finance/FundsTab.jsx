@@ -0,0 +1,129 @@
+import React, { useState } from 'react';
+import { createFund, updateFund } from '../../services/financeService';
+import { formatCurrency } from '../../utils/helpers';
+
+const inputClass = 'w-full p-2 border border-gray-300 rounded text-gray-900 text-sm';
+const emptyDraft = () => ({ name: '', description: '', sortOrder: 0 });
+
+/**
+ * The funds members can give to. Renaming a fund renames it on every gift
+ * already recorded; retiring one keeps its history but closes it to new gifts.
+ * @param {Object} props
+ * @param {Array<Object>} props.funds - Funds with their all-time totals
+ * @param {Function} props.onChange - Reload funds after a change
+ */
+const FundsTab = ({ funds, onChange }) => {
+  const [draft, setDraft] = useState(null);
+  const [editingId, setEditingId] = useState(null);
+  const [message, setMessage] = useState('');
+  const [error, setError] = useState('');
+
+  const openEditor = (fund) => {
+    setEditingId(fund ? fund._id : null);
+    setDraft(fund ? { name: fund.name, description: fund.description || '', sortOrder: fund.sortOrder } : emptyDraft());
+    setMessage('');
+    setError('');
+  };
+
+  const save = async (id, data) => {
+    try {
+      const result = id ? await updateFund(id, data) : await createFund(data);
+      setMessage(result.message);
+      setError('');
+      setDraft(null);
+      await onChange();
+    } catch (err) {
+      setError(err.errors ? Object.values(err.errors).join('. ') : err.message || 'Failed to save fund');
+    }
+  };
+
+  const handleSave = (e) => {
+    e.preventDefault();
+    const current = funds.find((fund) => fund._id === editingId);
+    if (current && current.name !== draft.name.trim() && current.count > 0
+      && !window.confirm(`Rename ${current.name} to ${draft.name.trim()} on all ${current.count} gifts recorded against it?`)) return;
+    save(editingId, { ...draft, sortOrder: Number(draft.sortOrder) || 0 });
+  };
+
+  const handleToggle = (fund) => {
+    if (fund.active && !window.confirm(`Retire ${fund.name}? Members will no longer be able to give to it; its history is kept.`)) return;
+    save(fund._id, { active: !fund.active });
+  };
+
+  const updateDraft = (field) => (e) => setDraft((prev) => ({ ...prev, [field]: e.target.value }));
+
+  return (
+    <div>
+      <div className="flex items-center mb-4">
+        <p className="flex-1 text-sm text-gray-600 dark:text-gray-400">
+          Recurring gifts already set up keep going to a fund after it is retired.
+        </p>
+        <button className="px-4 py-2 rounded-lg bg-blue-600 text-white font-semibold hover:bg-blue-700" onClick={() => openEditor(null)}>
+          New Fund
+        </button>
+      </div>
+
+      {message && <p className="mb-4 text-sm text-gray-700 dark:text-gray-300" role="status">{message}</p>}
+      {error && <div className="mb-4 text-red-500">{error}</div>}
+
+      {draft && (
+        <form onSubmit={handleSave} className="mb-6 bg-white dark:bg-gray-900 rounded-lg shadow p-4 space-y-3">
+          <h2 className="text-lg font-semibold text-gray-900 dark:text-white">{editingId ? 'Edit fund' : 'New fund'}</h2>
+          <div className="grid grid-cols-1 sm:grid-cols-4 gap-3 text-sm text-gray-700 dark:text-gray-300">
+            <label className="sm:col-span-3">
+              Name
+              <input value={draft.name} onChange={updateDraft('name')} maxLength={60} className={inputClass} required />
+            </label>
+            <label>
+              Order
+              <input type="number" value={draft.sortOrder} onChange={updateDraft('sortOrder')} className={inputClass} />
+            </label>
+          </div>
+          <textarea value={draft.description} onChange={updateDraft('description')} rows={2} placeholder="What the fund is for" className={inputClass} />
+          <div className="flex gap-2">
+            <button type="submit" className="px-4 py-2 rounded-lg bg-blue-600 text-white font-semibold hover:bg-blue-700">Save Fund</button>
+            <button type="button" className="px-4 py-2 rounded-lg bg-gray-100 text-gray-700 font-semibold hover:bg-gray-200" onClick={() => setDraft(null)}>
+              Cancel
+            </button>
+          </div>
+        </form>
+      )}
+
+      <div className="overflow-x-auto bg-white dark:bg-gray-900 rounded-lg shadow">
+        <table className="w-full text-sm text-gray-700 dark:text-gray-300">
+          <thead className="text-left text-gray-500 border-b border-gray-100">
+            <tr>
+              <th className="p-2">Fund</th>
+              <th className="p-2 text-right">Gifts</th>
+              <th className="p-2 text-right">Received</th>
+              <th className="p-2" />
+            </tr>
+          </thead>
+          <tbody>
+            {funds.map((fund) => (
+              <tr key={fund._id} className="border-b border-gray-50">
+                <td className="p-2">
+                  <div className="font-medium text-gray-900 dark:text-white">
+                    {fund.name}
+                    {!fund.active && <span className="ml-2 text-xs px-2 py-0.5 rounded-full bg-gray-100 text-gray-600">Retired</span>}
+                  </div>
+                  {fund.description && <div className="text-xs text-gray-500">{fund.description}</div>}
+                </td>
+                <td className="p-2 text-right">{fund.count}</td>
+                <td className="p-2 text-right">{formatCurrency(fund.total)}</td>
+                <td className="p-2 text-right whitespace-nowrap">
+                  <button className="text-blue-700 hover:underline mr-3" onClick={() => openEditor(fund)}>Edit</button>
+                  <button className="text-gray-600 hover:underline" onClick={() => handleToggle(fund)}>
+                    {fund.active ? 'Retire' : 'Restore'}
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default FundsTab;
@@ -0,0 +1,435 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import {
+  getBatches,
+  getBatch,
+  createBatch,
+  updateBatch,
+  deleteBatch,
+  submitBatch,
+  verifyBatch,
+  returnBatch,
+  searchMembers
+} from '../../services/financeService';
+import { formatCurrency, formatDate } from '../../utils/helpers';
+
+const inputClass = 'w-full p-2 border border-gray-300 rounded text-gray-900 text-sm';
+const primaryButton = 'px-4 py-2 rounded-lg bg-blue-600 text-white font-semibold hover:bg-blue-700 disabled:opacity-50';
+const plainButton = 'px-4 py-2 rounded-lg bg-gray-100 text-gray-700 font-semibold hover:bg-gray-200';
+
+const STATUS_STYLES = {
+  draft: 'bg-yellow-100 text-yellow-800',
+  submitted: 'bg-blue-100 text-blue-700',
+  verified: 'bg-green-100 text-green-700'
+};
+
+const today = () => new Date().toISOString().slice(0, 10);
+const toInputDate = (value) => new Date(value).toLocaleDateString('en-CA', { timeZone: 'Africa/Lagos' });
+const emptyEntry = (fund) => ({ fund, method: 'Cash', amount: '', member: null, chequeNumber: '', note: '' });
+const errorText = (err, fallback) => (err.errors ? Object.values(err.errors).join('. ') : err.message || fallback);
+
+/**
+ * Find a member to credit an envelope gift to
+ */
+const MemberPicker = ({ value, onChange }) => {
+  const [search, setSearch] = useState('');
+  const [matches, setMatches] = useState([]);
+
+  useEffect(() => {
+    if (search.trim().length < 2) {
+      setMatches([]);
+      return undefined;
+    }
+    const timer = setTimeout(async () => {
+      try {
+        setMatches((await searchMembers(search.trim())).data);
+      } catch (err) {
+        setMatches([]);
+      }
+    }, 300);
+    return () => clearTimeout(timer);
+  }, [search]);
+
+  if (value) {
+    return (
+      <div className="flex items-center gap-2 text-sm">
+        <span className="text-gray-900 dark:text-white">{value.name}</span>
+        <button type="button" className="text-xs text-gray-500 hover:underline" onClick={() => onChange(null)}>Clear</button>
+      </div>
+    );
+  }
+  return (
+    <div className="relative">
+      <input value={search} onChange={(e) => setSearch(e.target.value)} placeholder="Loose offering" className={inputClass} />
+      {matches.length > 0 && (
+        <ul className="absolute z-10 mt-1 w-full bg-white border border-gray-200 rounded shadow text-sm">
+          {matches.map((member) => (
+            <li key={member._id}>
+              <button
+                type="button"
+                className="w-full text-left px-2 py-1 hover:bg-gray-100 text-gray-900"
+                onClick={() => {
+                  onChange(member);
+                  setSearch('');
+                }}
+              >
+                {member.name} <span className="text-xs text-gray-500">{member.email}</span>
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+/**
+ * Cash and cheque offerings. Counters enter a service's offering and submit
+ * it; someone who did not count it re-counts and verifies, which records the
+ * gifts. A batch with mistakes is returned to the counters with a reason.
+ * @param {Object} props
+ * @param {Array<Object>} props.funds - Funds, including retired ones
+ */
+const OfferingBatchesTab = ({ funds }) => {
+  const [status, setStatus] = useState('');
+  const [batches, setBatches] = useState([]);
+  const [batch, setBatch] = useState(null);
+  const [draft, setDraft] = useState(null);
+  const [verifyTotal, setVerifyTotal] = useState('');
+  const [returnReason, setReturnReason] = useState('');
+  const [message, setMessage] = useState('');
+  const [error, setError] = useState('');
+  const [busy, setBusy] = useState(false);
+
+  const openFunds = funds.filter((fund) => fund.active);
+  const defaultFund = openFunds[0] ? openFunds[0].name : '';
+
+  const load = useCallback(async () => {
+    try {
+      setBatches((await getBatches(status ? { status } : {})).data);
+      setError('');
+    } catch (err) {
+      setError(err.message || 'Failed to load batches');
+    }
+  }, [status]);
+
+  useEffect(() => { load(); }, [load]);
+
+  const openBatch = async (id) => {
+    try {
+      const { data } = await getBatch(id);
+      setBatch(data);
+      setDraft(data.status === 'draft' ? {
+        serviceDate: toInputDate(data.serviceDate),
+        service: data.service || '',
+        entries: data.entries.map((entry) => ({
+          ...entry,
+          chequeNumber: entry.chequeNumber || '',
+          note: entry.note || ''
+        }))
+      } : null);
+      setVerifyTotal('');
+      setReturnReason('');
+      setMessage('');
+      setError('');
+    } catch (err) {
+      setError(err.message || 'Failed to load batch');
+    }
+  };
+
+  const startBatch = () => {
+    setBatch({ status: 'draft' });
+    setDraft({ serviceDate: today(), service: 'Sunday Service', entries: [emptyEntry(defaultFund)] });
+    setMessage('');
+    setError('');
+  };
+
+  const close = () => {
+    setBatch(null);
+    setDraft(null);
+    load();
+  };
+
+  const run = async (action, done) => {
+    try {
+      setBusy(true);
+      setError('');
+      const result = await action();
+      if (done) await done(result);
+      setMessage(result.message);
+    } catch (err) {
+      setError(errorText(err, 'Something went wrong'));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const payload = () => ({
+    ...draft,
+    entries: draft.entries.map((entry) => ({
+      ...entry,
+      amount: parseFloat(entry.amount),
+      member: entry.member ? entry.member._id : undefined
+    }))
+  });
+
+  const handleSave = () => run(
+    () => (batch._id ? updateBatch(batch._id, payload()) : createBatch(payload())),
+    (result) => openBatch(result.data._id)
+  );
+
+  const updateEntry = (index, field, value) => setDraft((prev) => ({
+    ...prev,
+    entries: prev.entries.map((entry, i) => (i === index ? { ...entry, [field]: value } : entry))
+  }));
+
+  const draftTotal = draft ? draft.entries.reduce((sum, entry) => sum + (parseFloat(entry.amount) || 0), 0) : 0;
+
+  if (batch) {
+    return (
+      <div className="bg-white dark:bg-gray-900 rounded-lg shadow p-4 space-y-4">
+        <div className="flex flex-wrap items-center gap-2">
+          <h2 className="text-lg font-semibold text-gray-900 dark:text-white flex-1">
+            {batch._id ? `${batch.service || 'Offering'} · ${formatDate(batch.serviceDate)}` : 'New offering batch'}
+            <span className={`ml-2 text-xs px-2 py-0.5 rounded-full ${STATUS_STYLES[batch.status]}`}>{batch.status}</span>
+          </h2>
+          <button className="text-sm text-blue-700 hover:underline" onClick={close}>Back to batches</button>
+        </div>
+
+        {batch._id && (
+          <p className="text-sm text-gray-600 dark:text-gray-400">
+            Counted by {batch.countedBy?.name}
+            {batch.editors?.length > 1 && ` with ${batch.editors.filter((editor) => editor._id !== batch.countedBy?._id).map((editor) => editor.name).join(', ')}`}
+            {batch.submittedBy && ` · submitted by ${batch.submittedBy.name}`}
+            {batch.verifiedBy && ` · verified by ${batch.verifiedBy.name} on ${formatDate(batch.verifiedAt)}`}
+          </p>
+        )}
+        {batch.returns?.length > 0 && batch.status === 'draft' && (
+          <div className="text-sm bg-yellow-50 text-yellow-800 rounded p-3">
+            Returned by {batch.returns[batch.returns.length - 1].by?.name}: {batch.returns[batch.returns.length - 1].reason}
+          </div>
+        )}
+        {message && <p className="text-sm text-gray-700 dark:text-gray-300" role="status">{message}</p>}
+        {error && <div className="text-red-500 text-sm">{error}</div>}
+
+        {draft ? (
+          <>
+            <div className="grid grid-cols-1 sm:grid-cols-2 gap-3 text-sm text-gray-700 dark:text-gray-300">
+              <label>
+                Service date
+                <input type="date" max={today()} value={draft.serviceDate} onChange={(e) => setDraft({ ...draft, serviceDate: e.target.value })} className={inputClass} />
+              </label>
+              <label>
+                Service
+                <input value={draft.service} onChange={(e) => setDraft({ ...draft, service: e.target.value })} className={inputClass} />
+              </label>
+            </div>
+            <table className="w-full text-sm">
+              <thead className="text-left text-gray-500 border-b border-gray-100">
+                <tr>
+                  <th className="p-1">Fund</th>
+                  <th className="p-1">Method</th>
+                  <th className="p-1">Amount</th>
+                  <th className="p-1">Member (envelope)</th>
+                  <th className="p-1">Cheque no.</th>
+                  <th className="p-1">Note</th>
+                  <th className="p-1" />
+                </tr>
+              </thead>
+              <tbody>
+                {draft.entries.map((entry, index) => (
+                  <tr key={index} className="align-top">
+                    <td className="p-1">
+                      <select value={entry.fund} onChange={(e) => updateEntry(index, 'fund', e.target.value)} className={inputClass}>
+                        {!openFunds.some((fund) => fund.name === entry.fund) && <option value={entry.fund}>{entry.fund}</option>}
+                        {openFunds.map((fund) => <option key={fund._id} value={fund.name}>{fund.name}</option>)}
+                      </select>
+                    </td>
+                    <td className="p-1">
+                      <select value={entry.method} onChange={(e) => updateEntry(index, 'method', e.target.value)} className={inputClass}>
+                        <option value="Cash">Cash</option>
+                        <option value="Cheque">Cheque</option>
+                      </select>
+                    </td>
+                    <td className="p-1">
+                      <input type="number" min="0" step="0.01" value={entry.amount} onChange={(e) => updateEntry(index, 'amount', e.target.value)} className={inputClass} />
+                    </td>
+                    <td className="p-1 min-w-[160px]">
+                      <MemberPicker value={entry.member} onChange={(member) => updateEntry(index, 'member', member)} />
+                    </td>
+                    <td className="p-1">
+                      <input value={entry.chequeNumber} disabled={entry.method !== 'Cheque'} onChange={(e) => updateEntry(index, 'chequeNumber', e.target.value)} className={inputClass} />
+                    </td>
+                    <td className="p-1">
+                      <input value={entry.note} onChange={(e) => updateEntry(index, 'note', e.target.value)} className={inputClass} />
+                    </td>
+                    <td className="p-1">
+                      <button
+                        type="button"
+                        className="text-xs text-red-600 hover:underline"
+                        onClick={() => setDraft({ ...draft, entries: draft.entries.filter((_, i) => i !== index) })}
+                      >
+                        Remove
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            <div className="flex flex-wrap items-center gap-2">
+              <button
+                type="button"
+                className="text-sm text-blue-700 hover:underline"
+                onClick={() => setDraft({ ...draft, entries: [...draft.entries, emptyEntry(defaultFund)] })}
+              >
+                Add entry
+              </button>
+              <span className="flex-1 text-right font-semibold text-gray-900 dark:text-white">Total {formatCurrency(draftTotal)}</span>
+            </div>
+            <div className="flex flex-wrap gap-2">
+              <button className={primaryButton} disabled={busy} onClick={handleSave}>Save</button>
+              {batch._id && (
+                <button
+                  className={plainButton}
+                  disabled={busy}
+                  onClick={() => {
+                    if (!window.confirm('Submit this batch? Someone who did not count it must then verify it.')) return;
+                    run(() => submitBatch(batch._id), () => openBatch(batch._id));
+                  }}
+                >
+                  Submit for Verification
+                </button>
+              )}
+              {batch._id && (
+                <button
+                  className="px-4 py-2 rounded-lg text-red-600 font-semibold hover:bg-red-50"
+                  disabled={busy}
+                  onClick={() => {
+                    if (!window.confirm('Discard this draft batch?')) return;
+                    run(() => deleteBatch(batch._id), close);
+                  }}
+                >
+                  Discard
+                </button>
+              )}
+            </div>
+            <p className="text-xs text-gray-500">Save your changes before submitting.</p>
+          </>
+        ) : (
+          <>
+            <table className="w-full text-sm text-gray-700 dark:text-gray-300">
+              <thead className="text-left text-gray-500 border-b border-gray-100">
+                <tr>
+                  <th className="p-2">Fund</th>
+                  <th className="p-2">Method</th>
+                  <th className="p-2">Member</th>
+                  <th className="p-2">Cheque no.</th>
+                  <th className="p-2 text-right">Amount</th>
+                </tr>
+              </thead>
+              <tbody>
+                {batch.entries.map((entry) => (
+                  <tr key={entry._id} className="border-b border-gray-50">
+                    <td className="p-2">{entry.fund}</td>
+                    <td className="p-2">{entry.method}</td>
+                    <td className="p-2">{entry.member ? entry.member.name : '—'}</td>
+                    <td className="p-2">{entry.chequeNumber || '—'}</td>
+                    <td className="p-2 text-right">{formatCurrency(entry.amount)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            {batch.status === 'verified' && (
+              <p className="text-right font-semibold text-gray-900 dark:text-white">Total {formatCurrency(batch.total)}</p>
+            )}
+
+            {batch.status === 'submitted' && (
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                <div className="space-y-2">
+                  <h3 className="font-semibold text-gray-900 dark:text-white">Verify</h3>
+                  <p className="text-sm text-gray-600 dark:text-gray-400">
+                    Count the cash and cheques yourself and enter your total. It must match the counters&apos; total.
+                  </p>
+                  <input type="number" min="0" step="0.01" value={verifyTotal} onChange={(e) => setVerifyTotal(e.target.value)} placeholder="Your count (NGN)" className={inputClass} />
+                  <button
+                    className={primaryButton}
+                    disabled={busy || !verifyTotal}
+                    onClick={() => run(() => verifyBatch(batch._id, parseFloat(verifyTotal)), () => openBatch(batch._id))}
+                  >
+                    Verify and Record Gifts
+                  </button>
+                </div>
+                <div className="space-y-2">
+                  <h3 className="font-semibold text-gray-900 dark:text-white">Return to counters</h3>
+                  <textarea value={returnReason} onChange={(e) => setReturnReason(e.target.value)} rows={2} placeholder="What needs to be checked" className={inputClass} />
+                  <button
+                    className={plainButton}
+                    disabled={busy || !returnReason.trim()}
+                    onClick={() => run(() => returnBatch(batch._id, returnReason), () => openBatch(batch._id))}
+                  >
+                    Return Batch
+                  </button>
+                </div>
+              </div>
+            )}
+          </>
+        )}
+      </div>
+    );
+  }
+
+  return (
+    <div>
+      <div className="flex flex-wrap items-center gap-2 mb-4">
+        {[['', 'All'], ['draft', 'Draft'], ['submitted', 'Awaiting verification'], ['verified', 'Verified']].map(([value, label]) => (
+          <button
+            key={value || 'all'}
+            className={`px-3 py-1 rounded-full text-sm font-semibold ${status === value ? 'bg-blue-600 text-white' : 'bg-gray-100 text-gray-700'}`}
+            onClick={() => setStatus(value)}
+          >
+            {label}
+          </button>
+        ))}
+        <span className="flex-1" />
+        <button className={primaryButton} onClick={startBatch}>New Batch</button>
+      </div>
+
+      {error && <div className="mb-4 text-red-500">{error}</div>}
+
+      {batches.length === 0 ? (
+        <p className="text-gray-500">No offering batches yet.</p>
+      ) : (
+        <div className="overflow-x-auto bg-white dark:bg-gray-900 rounded-lg shadow">
+          <table className="w-full text-sm text-gray-700 dark:text-gray-300">
+            <thead className="text-left text-gray-500 border-b border-gray-100">
+              <tr>
+                <th className="p-2">Service</th>
+                <th className="p-2">Counted by</th>
+                <th className="p-2">Status</th>
+                <th className="p-2">Banked</th>
+                <th className="p-2 text-right">Total</th>
+              </tr>
+            </thead>
+            <tbody>
+              {batches.map((row) => (
+                <tr key={row._id} className="border-b border-gray-50 cursor-pointer hover:bg-gray-50 dark:hover:bg-gray-800" onClick={() => openBatch(row._id)}>
+                  <td className="p-2">
+                    <div className="font-medium text-gray-900 dark:text-white">{row.service || 'Offering'}</div>
+                    <div className="text-xs text-gray-500">{formatDate(row.serviceDate)}</div>
+                  </td>
+                  <td className="p-2">{row.countedBy?.name}</td>
+                  <td className="p-2">
+                    <span className={`text-xs px-2 py-0.5 rounded-full ${STATUS_STYLES[row.status]}`}>{row.status}</span>
+                  </td>
+                  <td className="p-2">{row.status === 'verified' ? (row.banked ? 'Yes' : 'Not yet') : '—'}</td>
+                  <td className="p-2 text-right">{formatCurrency(row.total)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default OfferingBatchesTab;
@@ -0,0 +1,207 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import {
+  getReconciliation,
+  importBankStatement,
+  autoMatchStatement,
+  updateStatementLine
+} from '../../services/financeService';
+import { formatCurrency, formatDate } from '../../utils/helpers';
+
+const STATUSES = [['unmatched', 'Unmatched'], ['matched', 'Matched'], ['ignored', 'Ignored']];
+
+/**
+ * Bank reconciliation: import the church account's statement as CSV and
+ * match each credit with the offering batches banked or the online gift it
+ * was. Clear matches are made on import; the rest are matched here by hand.
+ */
+const ReconciliationTab = () => {
+  const [status, setStatus] = useState('unmatched');
+  const [result, setResult] = useState(null);
+  const [file, setFile] = useState(null);
+  const [matching, setMatching] = useState(null);
+  const [selected, setSelected] = useState([]);
+  const [message, setMessage] = useState('');
+  const [error, setError] = useState('');
+  const [busy, setBusy] = useState(false);
+
+  const load = useCallback(async () => {
+    try {
+      setResult(await getReconciliation({ status }));
+      setError('');
+    } catch (err) {
+      setError(err.message || 'Failed to load reconciliation');
+    }
+  }, [status]);
+
+  useEffect(() => { load(); }, [load]);
+
+  const run = async (action) => {
+    try {
+      setBusy(true);
+      setError('');
+      const response = await action();
+      setMessage(response.message);
+      setMatching(null);
+      await load();
+    } catch (err) {
+      setError(err.errors ? Object.values(err.errors).join('. ') : err.message || 'Something went wrong');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleImport = (e) => {
+    e.preventDefault();
+    if (!file) return;
+    run(async () => {
+      const response = await importBankStatement(file);
+      setFile(null);
+      e.target.reset();
+      return response;
+    });
+  };
+
+  const startMatching = (line) => {
+    setMatching(line._id);
+    setSelected([]);
+  };
+
+  const toggleBatch = (id) => setSelected((prev) => (prev.includes(id) ? prev.filter((value) => value !== id) : [...prev, id]));
+
+  const selectedTotal = result
+    ? Math.round(result.unbankedBatches.filter((batch) => selected.includes(batch._id)).reduce((sum, batch) => sum + batch.total, 0) * 100) / 100
+    : 0;
+
+  const describeMatch = (line) => {
+    if (line.donation) {
+      return `Online gift ${line.donation.reference} (${line.donation.type}${line.donation.user ? `, ${line.donation.user.name}` : ''})`;
+    }
+    return line.batches.map((batch) => `${batch.service || 'Offering'} ${formatDate(batch.serviceDate)}`).join(', ');
+  };
+
+  return (
+    <div>
+      <form onSubmit={handleImport} className="bg-white dark:bg-gray-900 rounded-lg shadow p-4 mb-6 flex flex-wrap items-center gap-3">
+        <div className="flex-1 min-w-[240px]">
+          <h2 className="font-semibold text-gray-900 dark:text-white">Import bank statement</h2>
+          <p className="text-xs text-gray-500">
+            A CSV export with a date column and an amount or credit column. Debits are ignored, and lines already imported are skipped.
+          </p>
+        </div>
+        <input type="file" accept=".csv,text/csv" onChange={(e) => setFile(e.target.files[0] || null)} className="text-sm text-gray-700 dark:text-gray-300" />
+        <button type="submit" disabled={!file || busy} className="px-4 py-2 rounded-lg bg-blue-600 text-white font-semibold hover:bg-blue-700 disabled:opacity-50">
+          Import
+        </button>
+      </form>
+
+      {message && <p className="mb-4 text-sm text-gray-700 dark:text-gray-300" role="status">{message}</p>}
+      {error && <div className="mb-4 text-red-500">{error}</div>}
+
+      <div className="flex flex-wrap items-center gap-2 mb-4">
+        {STATUSES.map(([value, label]) => (
+          <button
+            key={value}
+            className={`px-3 py-1 rounded-full text-sm font-semibold ${status === value ? 'bg-blue-600 text-white' : 'bg-gray-100 text-gray-700'}`}
+            onClick={() => setStatus(value)}
+          >
+            {label}
+            {result?.summary[value] && ` (${result.summary[value].count})`}
+          </button>
+        ))}
+        <span className="flex-1" />
+        {status === 'unmatched' && (
+          <button className="text-sm text-blue-700 hover:underline" disabled={busy} onClick={() => run(autoMatchStatement)}>
+            Try automatic matching again
+          </button>
+        )}
+      </div>
+
+      {result && result.unbankedBatches.length > 0 && status === 'unmatched' && (
+        <p className="mb-4 text-sm text-gray-600 dark:text-gray-400">
+          {result.unbankedBatches.length} verified batch{result.unbankedBatches.length === 1 ? '' : 'es'} totalling{' '}
+          {formatCurrency(result.unbankedBatches.reduce((sum, batch) => sum + batch.total, 0))} not yet matched to a deposit.
+        </p>
+      )}
+
+      {result && (result.data.length === 0 ? (
+        <p className="text-gray-500">No {status} statement lines.</p>
+      ) : (
+        <div className="space-y-3">
+          {result.data.map((line) => (
+            <div key={line._id} className="bg-white dark:bg-gray-900 rounded-lg shadow p-4 text-sm">
+              <div className="flex flex-wrap items-start gap-3">
+                <div className="flex-1">
+                  <div className="font-semibold text-gray-900 dark:text-white">
+                    {formatCurrency(line.amount)} · {formatDate(line.date)}
+                  </div>
+                  <div className="text-gray-600 dark:text-gray-400">{line.description || '—'}{line.reference && ` · ${line.reference}`}</div>
+                  {line.status === 'matched' && (
+                    <div className="mt-1 text-gray-700 dark:text-gray-300">
+                      {describeMatch(line)}
+                      <span className="text-xs text-gray-500">
+                        {line.matchedAutomatically ? ' · matched automatically' : line.matchedBy && ` · matched by ${line.matchedBy.name}`}
+                      </span>
+                      {line.difference !== 0 && (
+                        <div className="text-xs text-red-600">Differs from the deposit by {formatCurrency(line.difference)}</div>
+                      )}
+                    </div>
+                  )}
+                </div>
+                {line.status === 'unmatched' && (
+                  <>
+                    <button className="text-blue-700 hover:underline" onClick={() => startMatching(line)}>Match</button>
+                    <button className="text-gray-600 hover:underline" disabled={busy} onClick={() => run(() => updateStatementLine(line._id, { status: 'ignored' }))}>
+                      Ignore
+                    </button>
+                  </>
+                )}
+                {line.status !== 'unmatched' && (
+                  <button className="text-gray-600 hover:underline" disabled={busy} onClick={() => run(() => updateStatementLine(line._id, { status: 'unmatched' }))}>
+                    {line.status === 'matched' ? 'Unmatch' : 'Restore'}
+                  </button>
+                )}
+              </div>
+
+              {matching === line._id && (
+                <div className="mt-3 border-t border-gray-100 pt-3">
+                  {result.unbankedBatches.length === 0 ? (
+                    <p className="text-gray-500">Every verified batch is already matched to a deposit.</p>
+                  ) : (
+                    <>
+                      <p className="text-gray-600 dark:text-gray-400 mb-2">Choose the batches banked in this deposit.</p>
+                      <div className="space-y-1 max-h-60 overflow-y-auto">
+                        {result.unbankedBatches.map((batch) => (
+                          <label key={batch._id} className="flex items-center gap-2 text-gray-700 dark:text-gray-300">
+                            <input type="checkbox" checked={selected.includes(batch._id)} onChange={() => toggleBatch(batch._id)} />
+                            <span className="flex-1">{batch.service || 'Offering'} · {formatDate(batch.serviceDate)}</span>
+                            <span>{formatCurrency(batch.total)}</span>
+                          </label>
+                        ))}
+                      </div>
+                      <div className="flex flex-wrap items-center gap-3 mt-3">
+                        <span className={selectedTotal === line.amount ? 'text-green-700' : 'text-gray-600'}>
+                          Selected {formatCurrency(selectedTotal)} of {formatCurrency(line.amount)}
+                        </span>
+                        <span className="flex-1" />
+                        <button
+                          className="px-3 py-1 rounded bg-blue-600 text-white font-semibold disabled:opacity-50"
+                          disabled={busy || selected.length === 0}
+                          onClick={() => run(() => updateStatementLine(line._id, { status: 'matched', batches: selected }))}
+                        >
+                          Match
+                        </button>
+                        <button className="px-3 py-1 rounded bg-gray-100 text-gray-700" onClick={() => setMatching(null)}>Cancel</button>
+                      </div>
+                    </>
+                  )}
+                </div>
+              )}
+            </div>
+          ))}
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default ReconciliationTab;
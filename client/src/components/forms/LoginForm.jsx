@@ -1,7 +1,94 @@
 import React, { useState } from 'react';
 import Button from '../ui/Button';
 
-const LoginForm = ({ onLogin, loading, error }) => {
+const inputClassName = 'w-full p-3 border border-gray-300 dark:border-gray-700 rounded-lg bg-white dark:bg-gray-900 text-gray-900 dark:text-white focus:outline-none focus:ring-2 focus:ring-primary-500 focus:border-primary-500 transition-colors duration-200';
+
+/**
+ * Second login step: a code from the authenticator app, or a recovery code
+ * @param {Function} onSubmit - Called with { code } or { recoveryCode }
+ * @param {Function} [onCancel] - Go back to the password step
+ */
+export const TwoFactorCodeForm = ({ onSubmit, onCancel, loading, error }) => {
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
+  const [value, setValue] = useState('');
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!value.trim()) return;
+    await onSubmit(useRecoveryCode ? { recoveryCode: value.trim() } : { code: value.trim() });
+  };
+
+  const toggleMode = () => {
+    setUseRecoveryCode(!useRecoveryCode);
+    setValue('');
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-4">
+      <p className="text-sm text-gray-600 dark:text-gray-400">
+        {useRecoveryCode
+          ? 'Enter one of the recovery codes you saved when you set up two-factor authentication.'
+          : 'Enter the 6-digit code from your authenticator app.'}
+      </p>
+      {useRecoveryCode ? (
+        <input
+          type="text"
+          name="recoveryCode"
+          placeholder="xxxxx-xxxxx"
+          value={value}
+          onChange={(e) => setValue(e.target.value)}
+          className={`${inputClassName} font-mono`}
+          required
+          aria-label="Recovery code"
+          autoComplete="off"
+          autoFocus
+        />
+      ) : (
+        <input
+          type="text"
+          name="code"
+          placeholder="123456"
+          value={value}
+          onChange={(e) => setValue(e.target.value.replace(/\D/g, ''))}
+          className={`${inputClassName} font-mono tracking-widest text-center text-lg`}
+          required
+          aria-label="Authentication code"
+          inputMode="numeric"
+          maxLength={6}
+          autoComplete="one-time-code"
+          autoFocus
+        />
+      )}
+      {error && <div className="text-red-600 dark:text-red-400 text-sm font-medium" role="alert">{error}</div>}
+      <Button
+        type="submit"
+        disabled={loading}
+        loading={loading}
+        variant="primary"
+        size="lg"
+        fullWidth
+      >
+        Verify
+      </Button>
+      <div className="flex justify-between text-sm">
+        <button type="button" onClick={toggleMode} className="text-blue-600 hover:text-blue-700 font-medium">
+          {useRecoveryCode ? 'Use your authenticator app' : 'Use a recovery code'}
+        </button>
+        {onCancel && (
+          <button type="button" onClick={onCancel} className="text-gray-600 hover:text-gray-800">
+            Back to sign in
+          </button>
+        )}
+      </div>
+    </form>
+  );
+};
+
+/**
+ * Email/password login. When the account has two-factor authentication,
+ * pass twoFactorRequired to switch to the code step.
+ */
+const LoginForm = ({ onLogin, onVerifyCode, onCancelTwoFactor, twoFactorRequired, loading, error }) => {
   const [form, setForm] = useState({ email: '', password: '' });
 
   const handleChange = (e) => {
@@ -14,6 +101,17 @@ const LoginForm = ({ onLogin, loading, error }) => {
     await onLogin(form);
   };
 
+  if (twoFactorRequired) {
+    return (
+      <TwoFactorCodeForm
+        onSubmit={onVerifyCode}
+        onCancel={onCancelTwoFactor}
+        loading={loading}
+        error={error}
+      />
+    );
+  }
+
   return (
     <form onSubmit={handleSubmit} className="space-y-4">
       <input
@@ -22,7 +120,7 @@ const LoginForm = ({ onLogin, loading, error }) => {
         placeholder="Email"
         value={form.email}
         onChange={handleChange}
-        className="w-full p-3 border border-gray-300 dark:border-gray-700 rounded-lg bg-white dark:bg-gray-900 text-gray-900 dark:text-white focus:outline-none focus:ring-2 focus:ring-primary-500 focus:border-primary-500 transition-colors duration-200"
+        className={inputClassName}
         required
         aria-label="Email address"
         autoComplete="email"
@@ -33,7 +131,7 @@ const LoginForm = ({ onLogin, loading, error }) => {
         placeholder="Password"
         value={form.password}
         onChange={handleChange}
-        className="w-full p-3 border border-gray-300 dark:border-gray-700 rounded-lg bg-white dark:bg-gray-900 text-gray-900 dark:text-white focus:outline-none focus:ring-2 focus:ring-primary-500 focus:border-primary-500 transition-colors duration-200"
+        className={inputClassName}
         required
         aria-label="Password"
         autoComplete="current-password"
@@ -1,8 +1,11 @@
 import React, { useState, useEffect } from 'react';
 import { validateEmail, validatePhone, validateRequired, validateLength } from '../../utils/validators';
 import LoadingSpinner from '../common/LoadingSpinner';
+import TicketOptions, { sellsTickets } from '../events/TicketOptions';
 import Button from '../ui/Button';
-import { submitRSVP, getEventDetails } from '../../services/api';
+import { useAuth } from '../../hooks/useAuth';
+import { getEvent, registerForEvent, submitRsvp } from '../../services/eventService';
+import { formatDate } from '../../utils/helpers';
 import PropTypes from 'prop-types';
 
 /**
@@ -17,30 +20,39 @@ import PropTypes from 'prop-types';
  * - Nigerian context integration
  * - Real-time validation
  * 
+ * Signed-in members are registered on their account; visitors RSVP with
+ * their contact details. Either way the RSVP takes places on the event and
+ * joins its waitlist when it is full.
+ *
  * @param {Object} props - Component props
  * @param {string} props.eventId - Event ID for RSVP
+ * @param {string} props.occurrence - Date (YYYY-MM-DD) of a recurring event to RSVP for
  * @param {Object} props.eventData - Pre-loaded event data (optional)
  * @param {Function} props.onSuccess - Callback for successful RSVP
  * @param {Function} props.onError - Callback for RSVP error
  * @param {string} props.className - Additional CSS classes
  * @param {boolean} props.allowGuests - Whether to allow guest registration
- * @param {number} props.maxGuests - Maximum number of guests allowed
+ * @param {number} props.maxGuests - Maximum number of guests allowed; defaults to the event's limit
  */
 const RSVPForm = ({
   eventId,
+  occurrence = null,
   eventData = null,
   onSuccess,
   onError,
   className = '',
   allowGuests = true,
-  maxGuests = 5
+  maxGuests: maxGuestsProp
 }) => {
+  const { user } = useAuth();
+  const [firstName = '', ...lastNames] = (user?.name || '').split(' ');
+
   // Form state
   const [formData, setFormData] = useState({
-    firstName: '',
-    lastName: '',
-    email: '',
-    phone: '',
+    firstName,
+    lastName: lastNames.join(' '),
+    email: user?.email || '',
+    phone: user?.phone || '',
     attendance: 'yes',
     guestCount: 0,
     guests: [],
@@ -64,6 +76,9 @@ const RSVPForm = ({
   const [isSubmitted, setIsSubmitted] = useState(false);
   const [isLoading, setIsLoading] = useState(!eventData && !!eventId);
   const [submitError, setSubmitError] = useState('');
+  const [response, setResponse] = useState(null);
+  // Ticket type and promo code, for a paid event
+  const [ticket, setTicket] = useState({});
 
   // Transportation options
   const transportationOptions = [
@@ -100,6 +115,13 @@ const RSVPForm = ({
     'Apata Area'
   ];
 
+  // The date being RSVPed for: one of a series' upcoming dates, or the event itself
+  const date = (occurrence && event?.upcomingOccurrences?.find((item) => item.occurrence === occurrence)) || event;
+  const maxGuests = maxGuestsProp ?? event?.maxGuestsPerRegistration ?? 5;
+  const remainingSpots = event?.maxAttendees
+    ? Math.max(event.maxAttendees - (date?.registeredCount ?? event.currentAttendeeCount ?? 0), 0)
+    : null;
+
   /**
    * Load event details if not provided
    */
@@ -109,8 +131,8 @@ const RSVPForm = ({
 
       try {
         setIsLoading(true);
-        const eventDetails = await getEventDetails(eventId);
-        setEvent(eventDetails);
+        const result = await getEvent(eventId);
+        setEvent(result.data);
       } catch (error) {
         setSubmitError('Failed to load event details. Please refresh the page.');
         if (onError) {
@@ -232,14 +254,9 @@ const RSVPForm = ({
     const guestErrors = validateGuests();
     Object.assign(newErrors, guestErrors);
 
-    // Check event capacity if available
-    if (event?.capacity && event?.currentAttendees) {
-      const totalAttendees = 1 + formData.guestCount;
-      const remainingSpots = event.capacity - event.currentAttendees;
-      
-      if (totalAttendees > remainingSpots) {
-        newErrors.guestCount = `Only ${remainingSpots} spots remaining for this event`;
-      }
+    // Without a waitlist, a party that does not fit is turned away
+    if (remainingSpots !== null && event.waitlistEnabled === false && 1 + formData.guestCount > remainingSpots) {
+      newErrors.guestCount = `Only ${remainingSpots} spots remaining for this event`;
     }
 
     setErrors(newErrors);
@@ -364,22 +381,37 @@ const RSVPForm = ({
     setSubmitError('');
 
     try {
-      // Prepare RSVP data
+      // Prepare RSVP data in the shape registrations are stored
+      const { volunteer, comments, emergencyContact, emergencyPhone, ...details } = formData;
       const rsvpData = {
-        ...formData,
-        eventId: eventId || event?.id,
-        timestamp: new Date().toISOString(),
-        source: 'website_rsvp_form',
-        totalAttendees: 1 + formData.guestCount
+        ...details,
+        eventId: eventId || event?._id,
+        occurrence: occurrence || undefined,
+        guests: details.guests.map((guest) => ({ ...guest, age: guest.age === '' ? undefined : Number(guest.age) })),
+        pickupLocation: details.transportation === 'church_bus' ? details.pickupLocation : undefined,
+        volunteerAreas: volunteer ? details.volunteerAreas : [],
+        emergencyContact: emergencyContact || emergencyPhone ? { name: emergencyContact, phone: emergencyPhone } : undefined,
+        notes: comments || undefined,
+        ticketType: ticket.ticketType || undefined,
+        promoCode: ticket.promoCode || undefined
       };
 
-      // Submit RSVP
-      await submitRSVP(rsvpData);
+      // Members register on their account; visitors RSVP with their details
+      const result = user
+        ? await registerForEvent(rsvpData.eventId, rsvpData)
+        : await submitRsvp(rsvpData);
+
+      // Paid places are held while the payment provider takes payment
+      if (result.data?.checkoutUrl) {
+        window.location.assign(result.data.checkoutUrl);
+        return;
+      }
 
       // Success handling
+      setResponse(result);
       setIsSubmitted(true);
       if (onSuccess) {
-        onSuccess(rsvpData);
+        onSuccess(rsvpData, result);
       }
 
     } catch (error) {
@@ -417,17 +449,19 @@ const RSVPForm = ({
             </svg>
           </div>
           <h3 className="text-lg font-medium text-gray-900 dark:text-white mb-2">
-            RSVP Confirmed!
+            {response?.data?.waitlisted ? 'You\'re on the Waitlist' : 'RSVP Confirmed!'}
           </h3>
           <p className="text-gray-600 dark:text-gray-300 mb-4">
-            Thank you for registering for {event?.title}. We&apos;re excited to see you there!
+            {response?.data?.waitlisted
+              ? `${event?.title} is full, so you are number ${response.data.position} on the waitlist. We'll let you know if a place opens up.`
+              : `Thank you for registering for ${event?.title}. We're excited to see you there!`}
           </p>
-          {formData.attendance === 'yes' && (
+          {formData.attendance === 'yes' && !response?.data?.waitlisted && (
             <div className="bg-blue-50 dark:bg-blue-900/50 border border-blue-200 dark:border-blue-800 rounded-lg p-4 mb-4">
               <p className="text-sm text-blue-800 dark:text-blue-200">
                 <strong>Event Details:</strong><br />
-                📅 {event?.date} at {event?.time}<br />
-                📍 {event?.location}<br />
+                📅 {formatDate(date?.startDate)} at {date?.startTime}<br />
+                📍 {date?.location?.venue}<br />
                 👥 Total Attendees: {1 + formData.guestCount}
               </p>
             </div>
@@ -454,10 +488,17 @@ const RSVPForm = ({
             {event.description}
           </div>
           <div className="flex flex-wrap gap-4 justify-center text-sm md:text-base mt-2">
-            <span className="inline-flex items-center gap-1"><span role="img" aria-label="calendar">📅</span> {event.date}</span>
-            <span className="inline-flex items-center gap-1"><span role="img" aria-label="clock">⏰</span> {event.time}</span>
-            <span className="inline-flex items-center gap-1"><span role="img" aria-label="location">📍</span> {event.location}</span>
+            <span className="inline-flex items-center gap-1"><span role="img" aria-label="calendar">📅</span> {formatDate(date.startDate)}</span>
+            <span className="inline-flex items-center gap-1"><span role="img" aria-label="clock">⏰</span> {date.startTime}</span>
+            <span className="inline-flex items-center gap-1"><span role="img" aria-label="location">📍</span> {date.location?.venue}</span>
           </div>
+          {remainingSpots !== null && (
+            <div className="text-sm mt-2">
+              {remainingSpots > 0
+                ? `${remainingSpots} places left`
+                : event.waitlistEnabled === false ? 'This event is full' : 'This event is full; RSVP to join the waitlist'}
+            </div>
+          )}
         </div>
       )}
       <form onSubmit={handleSubmit} className="space-y-5">
@@ -524,6 +565,11 @@ const RSVPForm = ({
         {/* Show additional fields only if attending */}
         {formData.attendance === 'yes' && (
           <>
+            {/* Tickets, for a paid event */}
+            {event && sellsTickets(event) && (
+              <TicketOptions event={event} value={ticket} onChange={setTicket} />
+            )}
+
             {/* Guest Information */}
             {allowGuests && (
               <div>
@@ -927,6 +973,7 @@ const RSVPForm = ({
 
 RSVPForm.propTypes = {
   eventId: PropTypes.string,
+  occurrence: PropTypes.string,
   eventData: PropTypes.object,
   onSuccess: PropTypes.func,
   onError: PropTypes.func,
@@ -2,12 +2,11 @@ import React, { useState } from 'react';
 import Button from '../ui/Button';
 import PropTypes from 'prop-types';
 
-const RegisterForm = ({ onRegister, loading }) => {
+const RegisterForm = ({ onRegister, loading, invitation }) => {
   const [form, setForm] = useState({
-    name: '',
-    email: '',
+    name: invitation?.name || '',
+    email: invitation?.email || '',
     password: '',
-    role: 'member',
   });
   const [error, setError] = useState('');
 
@@ -27,6 +26,11 @@ const RegisterForm = ({ onRegister, loading }) => {
 
   return (
     <form onSubmit={handleSubmit} className="space-y-4 max-w-md mx-auto">
+      {invitation && (
+        <p className="text-sm text-gray-700 dark:text-gray-300">
+          You have been invited to join as <strong className="capitalize">{invitation.role}</strong>.
+        </p>
+      )}
       <input
         type="text"
         name="name"
@@ -46,6 +50,7 @@ const RegisterForm = ({ onRegister, loading }) => {
         onChange={handleChange}
         className="w-full p-3 border border-gray-300 dark:border-gray-700 rounded-lg bg-white dark:bg-gray-900 text-gray-900 dark:text-white focus:outline-none focus:ring-2 focus:ring-primary-500 focus:border-primary-500 transition-colors duration-200"
         required
+        readOnly={Boolean(invitation)}
         aria-label="Email address"
         autoComplete="email"
       />
@@ -60,17 +65,6 @@ const RegisterForm = ({ onRegister, loading }) => {
         aria-label="Password"
         autoComplete="new-password"
       />
-      <select
-        name="role"
-        value={form.role}
-        onChange={handleChange}
-        className="w-full p-3 border border-gray-300 dark:border-gray-700 rounded-lg bg-white dark:bg-gray-900 text-gray-900 dark:text-white focus:outline-none focus:ring-2 focus:ring-primary-500 focus:border-primary-500 transition-colors duration-200"
-        aria-label="Role"
-      >
-        <option value="member">Member</option>
-        <option value="pastor">Pastor</option>
-        <option value="staff">Staff</option>
-      </select>
       {error && <div className="text-red-600 dark:text-red-400 text-sm font-medium" role="alert">{error}</div>}
       <Button
         type="submit"
@@ -90,7 +84,12 @@ const RegisterForm = ({ onRegister, loading }) => {
 
 RegisterForm.propTypes = {
   onRegister: PropTypes.func,
-  loading: PropTypes.bool
+  loading: PropTypes.bool,
+  invitation: PropTypes.shape({
+    email: PropTypes.string,
+    name: PropTypes.string,
+    role: PropTypes.string
+  })
 };
 
 export default RegisterForm;
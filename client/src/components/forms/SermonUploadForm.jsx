@@ -15,7 +15,7 @@ import {
 } from 'lucide-react';
 import Button from '../ui/Button';
 import { useApi } from '../../hooks/useApi';
-import { FILE_LIMITS } from '../../../shared/constants';
+import { FILE_LIMITS } from '@haven-word-church/shared/constants';
 
 /**
  * SermonUploadForm Component
@@ -0,0 +1,136 @@
+import React, { useEffect, useState } from 'react';
+import PropTypes from 'prop-types';
+import Button from '../ui/Button';
+import LoadingSpinner from '../common/LoadingSpinner';
+import { setupTwoFactor, enableTwoFactor } from '../../services/authService';
+
+/**
+ * One-time recovery codes, shown once after enabling 2FA or regenerating them
+ */
+export const RecoveryCodes = ({ codes }) => {
+  const handleDownload = () => {
+    const blob = new Blob([`Haven Word Church recovery codes\n\n${codes.join('\n')}\n`], { type: 'text/plain' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = 'havenword-recovery-codes.txt';
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  return (
+    <div>
+      <p className="text-sm text-gray-600 mb-3">
+        Save these recovery codes somewhere safe. Each one can be used once to sign in if you lose
+        access to your authenticator app. They will not be shown again.
+      </p>
+      <ul className="grid grid-cols-2 gap-2 p-4 bg-gray-50 rounded-lg font-mono text-sm text-gray-900">
+        {codes.map((code) => <li key={code}>{code}</li>)}
+      </ul>
+      <button type="button" onClick={handleDownload} className="mt-2 text-sm text-blue-600 hover:text-blue-700 font-medium">
+        Download codes
+      </button>
+    </div>
+  );
+};
+
+RecoveryCodes.propTypes = {
+  codes: PropTypes.arrayOf(PropTypes.string).isRequired
+};
+
+/**
+ * Authenticator app enrollment: scan the QR code, confirm a code, save the recovery codes
+ * @param {string} [setupToken] - Present when setup is enforced during login
+ * @param {Function} onComplete - Called with the enable result once the codes are saved
+ * @param {Function} [onCancel]
+ */
+const TwoFactorSetup = ({ setupToken, onComplete, onCancel }) => {
+  const [setup, setSetup] = useState(null);
+  const [code, setCode] = useState('');
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+
+  useEffect(() => {
+    setupTwoFactor(setupToken)
+      .then(setSetup)
+      .catch((err) => setError(err.message || 'Failed to start two-factor setup'));
+  }, [setupToken]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    setSubmitting(true);
+    try {
+      setResult(await enableTwoFactor(code, setupToken));
+    } catch (err) {
+      setError(err.message || 'Invalid authentication code');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  if (result) {
+    return (
+      <div className="space-y-4">
+        <RecoveryCodes codes={result.recoveryCodes} />
+        <Button onClick={() => onComplete(result)} variant="primary" fullWidth>
+          I have saved my recovery codes
+        </Button>
+      </div>
+    );
+  }
+
+  if (!setup) {
+    return error
+      ? <p className="text-sm text-red-600" role="alert">{error}</p>
+      : <LoadingSpinner size="md" text="Preparing setup..." />;
+  }
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-4">
+      <p className="text-sm text-gray-600">
+        Scan this QR code with an authenticator app such as Google Authenticator, Authy or
+        Microsoft Authenticator, then enter the 6-digit code it shows.
+      </p>
+      <div className="flex justify-center">
+        <img src={setup.qrCode} alt="Two-factor authentication QR code" className="w-48 h-48" />
+      </div>
+      <p className="text-xs text-gray-500 text-center">
+        Can&apos;t scan it? Enter this key instead:
+        <span className="block mt-1 font-mono text-sm text-gray-900 break-all">{setup.secret}</span>
+      </p>
+      <input
+        type="text"
+        value={code}
+        onChange={(e) => setCode(e.target.value.replace(/\D/g, ''))}
+        placeholder="123456"
+        inputMode="numeric"
+        maxLength={6}
+        autoComplete="one-time-code"
+        required
+        aria-label="Authentication code"
+        className="w-full p-3 border border-gray-300 rounded-lg text-gray-900 font-mono tracking-widest text-center text-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+      />
+      {error && <p className="text-sm text-red-600" role="alert">{error}</p>}
+      <div className="flex gap-2">
+        {onCancel && (
+          <Button type="button" onClick={onCancel} variant="outline" fullWidth>
+            Cancel
+          </Button>
+        )}
+        <Button type="submit" disabled={submitting || code.length !== 6} loading={submitting} variant="primary" fullWidth>
+          Turn On
+        </Button>
+      </div>
+    </form>
+  );
+};
+
+TwoFactorSetup.propTypes = {
+  setupToken: PropTypes.string,
+  onComplete: PropTypes.func.isRequired,
+  onCancel: PropTypes.func
+};
+
+export default TwoFactorSetup;
@@ -0,0 +1,142 @@
+import React, { useState } from 'react';
+import { pledgeToCampaign } from '../../services/givingService';
+import Button from '../ui/Button';
+import { Target } from 'lucide-react';
+
+/**
+ * Progress bar for a campaign or pledge
+ * @param {Object} props
+ * @param {number} props.value
+ * @param {number} props.max
+ * @param {string} [props.color] - Tailwind background class
+ */
+export const ProgressBar = ({ value, max, color = 'bg-green-500' }) => {
+  const percent = max > 0 ? Math.min(100, Math.round((value / max) * 100)) : 0;
+  return (
+    <div className="w-full bg-gray-200 rounded-full h-2.5">
+      <div className={`${color} h-2.5 rounded-full transition-all`} style={{ width: `${percent}%` }} />
+    </div>
+  );
+};
+
+/**
+ * Open pledge campaigns with the member's pledge and what they have given
+ * @param {Object} props
+ * @param {Array<Object>} props.campaigns - From getCampaigns()
+ * @param {Function} props.formatCurrency
+ * @param {Function} props.onChange - Reload campaigns after a pledge
+ * @param {Function} props.onGive - Give towards a campaign
+ */
+const PledgeCampaignsPanel = ({ campaigns, formatCurrency, onChange, onGive }) => {
+  const [editing, setEditing] = useState(null);
+  const [amount, setAmount] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  if (campaigns.length === 0) return null;
+
+  const startEditing = (campaign) => {
+    setEditing(campaign._id);
+    setAmount(campaign.myPledge ? String(campaign.myPledge) : '');
+    setError('');
+  };
+
+  const handleSave = async (campaign, value) => {
+    try {
+      setSaving(true);
+      setError('');
+      await pledgeToCampaign(campaign._id, value);
+      setEditing(null);
+      await onChange();
+    } catch (err) {
+      console.error('Error saving pledge:', err);
+      setError(err.message || 'Failed to save pledge');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-xl shadow-sm mb-6">
+      <div className="p-6 border-b border-gray-200">
+        <h2 className="text-xl font-semibold text-gray-900">Pledge Campaigns</h2>
+      </div>
+      <div className="p-6 space-y-6">
+        {campaigns.map((campaign) => (
+          <div key={campaign._id}>
+            <div className="flex items-start justify-between">
+              <div>
+                <h3 className="font-semibold text-gray-900 flex items-center">
+                  <Target className="w-4 h-4 mr-2 text-purple-600" />
+                  {campaign.title}
+                </h3>
+                {campaign.description && <p className="text-sm text-gray-600 mt-1">{campaign.description}</p>}
+              </div>
+              <Button onClick={() => onGive(campaign)} variant="outline" size="sm">
+                Give
+              </Button>
+            </div>
+
+            <div className="mt-3">
+              <div className="flex justify-between text-sm text-gray-600 mb-1">
+                <span>{formatCurrency(campaign.given)} given of {formatCurrency(campaign.targetAmount)}</span>
+                <span>{campaign.percentGiven}%</span>
+              </div>
+              <ProgressBar value={campaign.given} max={campaign.targetAmount} />
+              <p className="text-xs text-gray-500 mt-1">
+                {formatCurrency(campaign.pledged)} pledged by {campaign.pledgers} member{campaign.pledgers === 1 ? '' : 's'}
+                {campaign.endDate && ` · closes ${new Date(campaign.endDate).toLocaleDateString('en-NG', { month: 'short', day: 'numeric', year: 'numeric' })}`}
+              </p>
+            </div>
+
+            <div className="mt-3 bg-gray-50 rounded-lg p-3">
+              {editing === campaign._id ? (
+                <div className="flex flex-col md:flex-row md:items-center gap-2">
+                  <input
+                    type="number"
+                    value={amount}
+                    onChange={(e) => setAmount(e.target.value)}
+                    min="0"
+                    placeholder="Amount you pledge (NGN)"
+                    className="flex-1 px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                  />
+                  <Button onClick={() => handleSave(campaign, parseFloat(amount) || 0)} variant="primary" size="sm" disabled={saving}>
+                    Save Pledge
+                  </Button>
+                  {campaign.myPledge > 0 && (
+                    <Button onClick={() => handleSave(campaign, 0)} variant="ghost" size="sm" disabled={saving}>
+                      Withdraw
+                    </Button>
+                  )}
+                  <Button onClick={() => setEditing(null)} variant="ghost" size="sm">
+                    Cancel
+                  </Button>
+                </div>
+              ) : campaign.myPledge > 0 ? (
+                <div>
+                  <div className="flex justify-between text-sm mb-1">
+                    <span className="text-gray-700">
+                      You have given {formatCurrency(campaign.myGiven)} of your {formatCurrency(campaign.myPledge)} pledge
+                    </span>
+                    <button onClick={() => startEditing(campaign)} className="text-blue-600 underline">Change</button>
+                  </div>
+                  <ProgressBar value={campaign.myGiven} max={campaign.myPledge} color="bg-purple-500" />
+                </div>
+              ) : (
+                <div className="flex justify-between text-sm">
+                  <span className="text-gray-700">
+                    {campaign.myGiven > 0 ? `You have given ${formatCurrency(campaign.myGiven)}.` : 'You have not pledged yet.'}
+                  </span>
+                  <button onClick={() => startEditing(campaign)} className="text-blue-600 underline">Make a pledge</button>
+                </div>
+              )}
+              {editing === campaign._id && error && <p className="text-xs text-red-600 mt-1">{error}</p>}
+            </div>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default PledgeCampaignsPanel;
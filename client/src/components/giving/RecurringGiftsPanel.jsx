@@ -0,0 +1,338 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  getRecurringGifts,
+  createRecurringGift,
+  updateRecurringGift,
+  cancelRecurringGift,
+  retryRecurringSetup
+} from '../../services/givingService';
+import Button from '../ui/Button';
+import Modal from '../ui/Modal';
+import { Repeat, Plus, Pause, Play, X, CreditCard } from 'lucide-react';
+
+const STATUS_STYLES = {
+  pending_setup: { label: 'Awaiting first gift', className: 'bg-yellow-100 text-yellow-800' },
+  active: { label: 'Active', className: 'bg-green-100 text-green-700' },
+  paused: { label: 'Paused', className: 'bg-gray-100 text-gray-700' },
+  ended: { label: 'Ended', className: 'bg-gray-100 text-gray-500' }
+};
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+const emptyForm = (funds) => ({
+  frequency: 'monthly',
+  type: funds.includes('Tithe') ? 'Tithe' : funds[0] || '',
+  campaign: '',
+  amount: '',
+  startDate: today(),
+  endDate: ''
+});
+
+/**
+ * The member's recurring gifts, with set up, pause, resume and cancel
+ * @param {Object} props
+ * @param {Array<string>} props.funds - Funds a gift can go to
+ * @param {Array<Object>} props.campaigns - Open pledge campaigns
+ * @param {Function} props.formatCurrency
+ * @param {*} props.refreshKey - Reload when this changes (e.g. after checkout)
+ */
+const RecurringGiftsPanel = ({ funds, campaigns = [], formatCurrency, refreshKey }) => {
+  const [gifts, setGifts] = useState([]);
+  const [summary, setSummary] = useState({ active: 0, monthlyTotal: 0 });
+  const [error, setError] = useState('');
+  const [busyId, setBusyId] = useState(null);
+  const [showModal, setShowModal] = useState(false);
+  const [form, setForm] = useState(() => emptyForm(funds));
+  const [formErrors, setFormErrors] = useState({});
+  const [submitting, setSubmitting] = useState(false);
+
+  const fetchGifts = useCallback(async () => {
+    try {
+      const response = await getRecurringGifts();
+      setGifts(response.data);
+      setSummary(response.summary);
+    } catch (err) {
+      console.error('Error fetching recurring gifts:', err);
+      setError('Failed to load recurring gifts');
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchGifts();
+  }, [fetchGifts, refreshKey]);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setForm(prev => ({ ...prev, [name]: value }));
+  };
+
+  /**
+   * Create the schedule and go to checkout for its first gift
+   */
+  const handleCreate = async () => {
+    try {
+      setSubmitting(true);
+      setFormErrors({});
+      const { checkoutUrl } = await createRecurringGift({
+        ...form,
+        amount: parseFloat(form.amount),
+        campaign: form.campaign || undefined,
+        endDate: form.endDate || undefined
+      });
+      window.location.assign(checkoutUrl);
+    } catch (err) {
+      console.error('Error setting up recurring gift:', err);
+      setFormErrors(err.errors || { general: err.message || 'Could not set up the gift. Please try again.' });
+      setSubmitting(false);
+    }
+  };
+
+  const runAction = async (gift, action) => {
+    try {
+      setBusyId(gift._id);
+      setError('');
+      await action();
+      await fetchGifts();
+    } catch (err) {
+      console.error('Error updating recurring gift:', err);
+      setError(err.message || 'Failed to update recurring gift');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleRetry = (gift) => runAction(gift, async () => {
+    const { checkoutUrl } = await retryRecurringSetup(gift._id);
+    window.location.assign(checkoutUrl);
+  });
+
+  const handleCancel = (gift) => {
+    if (!window.confirm('Stop this recurring gift? Your saved card will be removed.')) return;
+    runAction(gift, () => cancelRecurringGift(gift._id));
+  };
+
+  const formatDate = (date) => new Date(date).toLocaleDateString('en-NG', {
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric'
+  });
+
+  return (
+    <div className="bg-white rounded-xl shadow-sm mb-6">
+      <div className="p-6 border-b border-gray-200 flex items-center justify-between">
+        <div>
+          <h2 className="text-xl font-semibold text-gray-900">Recurring Gifts</h2>
+          {summary.active > 0 && (
+            <p className="text-sm text-gray-600 mt-1">
+              About {formatCurrency(summary.monthlyTotal)} a month across {summary.active} active gift{summary.active === 1 ? '' : 's'}
+            </p>
+          )}
+        </div>
+        <Button
+          onClick={() => {
+            setForm(emptyForm(funds));
+            setFormErrors({});
+            setShowModal(true);
+          }}
+          variant="outline"
+          size="sm"
+          className="flex items-center"
+        >
+          <Plus className="w-4 h-4 mr-2" />
+          Set Up
+        </Button>
+      </div>
+
+      <div className="p-6">
+        {error && <p className="text-sm text-red-600 mb-4">{error}</p>}
+        {gifts.length === 0 ? (
+          <div className="text-center py-6 text-gray-600">
+            <Repeat className="w-10 h-10 text-gray-300 mx-auto mb-2" />
+            Give your tithe or offering automatically every week or month.
+          </div>
+        ) : (
+          <div className="space-y-3">
+            {gifts.map((gift) => {
+              const status = STATUS_STYLES[gift.status] || STATUS_STYLES.ended;
+              return (
+                <div key={gift._id} className="border border-gray-200 rounded-lg p-4 flex flex-col md:flex-row md:items-center justify-between">
+                  <div>
+                    <div className="flex items-center space-x-2">
+                      <h3 className="font-semibold text-gray-900">
+                        {formatCurrency(gift.amount)} {gift.frequency} · {gift.campaign ? gift.campaign.title : gift.type}
+                      </h3>
+                      <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${status.className}`}>{status.label}</span>
+                    </div>
+                    <p className="text-sm text-gray-600 mt-1">
+                      {gift.status === 'active' && gift.nextChargeAt && `Next gift ${formatDate(gift.nextChargeAt)}`}
+                      {gift.status === 'pending_setup' && 'Pay the first gift to start the schedule'}
+                      {gift.status === 'paused' && 'No gifts will be taken until you resume'}
+                      {gift.endDate && ` · until ${formatDate(gift.endDate)}`}
+                      {gift.authorization?.last4 && (
+                        <span className="inline-flex items-center ml-2">
+                          <CreditCard className="w-3 h-3 mr-1" />
+                          {gift.authorization.brand} •••• {gift.authorization.last4}
+                        </span>
+                      )}
+                    </p>
+                    {gift.lastFailureReason && (
+                      <p className="text-xs text-red-600 mt-1">{gift.lastFailureReason}</p>
+                    )}
+                  </div>
+                  <div className="flex items-center space-x-2 mt-3 md:mt-0">
+                    {gift.status === 'pending_setup' && (
+                      <Button onClick={() => handleRetry(gift)} variant="primary" size="sm" disabled={busyId === gift._id}>
+                        Pay First Gift
+                      </Button>
+                    )}
+                    {gift.status === 'active' && (
+                      <Button
+                        onClick={() => runAction(gift, () => updateRecurringGift(gift._id, { status: 'paused' }))}
+                        variant="ghost"
+                        size="sm"
+                        className="flex items-center"
+                        disabled={busyId === gift._id}
+                      >
+                        <Pause className="w-4 h-4 mr-1" />
+                        Pause
+                      </Button>
+                    )}
+                    {gift.status === 'paused' && (
+                      <Button
+                        onClick={() => runAction(gift, () => updateRecurringGift(gift._id, { status: 'active' }))}
+                        variant="ghost"
+                        size="sm"
+                        className="flex items-center"
+                        disabled={busyId === gift._id}
+                      >
+                        <Play className="w-4 h-4 mr-1" />
+                        Resume
+                      </Button>
+                    )}
+                    {gift.status !== 'ended' && (
+                      <Button
+                        onClick={() => handleCancel(gift)}
+                        variant="ghost"
+                        size="sm"
+                        className="flex items-center text-red-600"
+                        disabled={busyId === gift._id}
+                      >
+                        <X className="w-4 h-4 mr-1" />
+                        Cancel
+                      </Button>
+                    )}
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+        )}
+      </div>
+
+      <Modal
+        isOpen={showModal}
+        onClose={() => setShowModal(false)}
+        title="Set Up a Recurring Gift"
+        size="lg"
+      >
+        <div className="space-y-4">
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Frequency *</label>
+              <select
+                name="frequency"
+                value={form.frequency}
+                onChange={handleChange}
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+              >
+                <option value="weekly">Weekly</option>
+                <option value="monthly">Monthly</option>
+              </select>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Amount (NGN) *</label>
+              <input
+                type="number"
+                name="amount"
+                value={form.amount}
+                onChange={handleChange}
+                min="100"
+                step="0.01"
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+              />
+              {formErrors.amount && <p className="text-xs text-red-600 mt-1">{formErrors.amount}</p>}
+            </div>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Give to *</label>
+            <select
+              name={form.campaign ? 'campaign' : 'type'}
+              value={form.campaign ? `campaign:${form.campaign}` : form.type}
+              onChange={(e) => {
+                const { value } = e.target;
+                setForm(prev => (value.startsWith('campaign:')
+                  ? { ...prev, campaign: value.slice('campaign:'.length) }
+                  : { ...prev, campaign: '', type: value }));
+              }}
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+            >
+              {funds.map(fund => (
+                <option key={fund} value={fund}>{fund}</option>
+              ))}
+              {campaigns.map(campaign => (
+                <option key={campaign._id} value={`campaign:${campaign._id}`}>{campaign.title} (pledge campaign)</option>
+              ))}
+            </select>
+            {(formErrors.type || formErrors.campaign) && (
+              <p className="text-xs text-red-600 mt-1">{formErrors.type || formErrors.campaign}</p>
+            )}
+          </div>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Start date *</label>
+              <input
+                type="date"
+                name="startDate"
+                value={form.startDate}
+                min={today()}
+                onChange={handleChange}
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+              />
+              {formErrors.startDate && <p className="text-xs text-red-600 mt-1">{formErrors.startDate}</p>}
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">End date (optional)</label>
+              <input
+                type="date"
+                name="endDate"
+                value={form.endDate}
+                min={form.startDate}
+                onChange={handleChange}
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+              />
+              {formErrors.endDate && <p className="text-xs text-red-600 mt-1">{formErrors.endDate}</p>}
+            </div>
+          </div>
+          <p className="text-sm text-gray-600">
+            You will pay the first gift now with a card, which is saved for the gifts that follow. Those are
+            taken every {form.frequency === 'weekly' ? 'week' : 'month'} from your start date until you pause or
+            cancel; if you start today, today&apos;s payment is the first of them.
+          </p>
+          {(formErrors.general || formErrors.frequency) && (
+            <p className="text-sm text-red-600">{formErrors.general || formErrors.frequency}</p>
+          )}
+        </div>
+        <div className="flex justify-end space-x-3 mt-6">
+          <Button onClick={() => setShowModal(false)} variant="ghost" size="md">
+            Cancel
+          </Button>
+          <Button onClick={handleCreate} variant="primary" size="md" disabled={submitting || !form.amount}>
+            {submitting ? 'Opening payment...' : 'Continue to Payment'}
+          </Button>
+        </div>
+      </Modal>
+    </div>
+  );
+};
+
+export default RecurringGiftsPanel;
@@ -0,0 +1,194 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { getRoster, updateRosterEntry, removeRosterEntry } from '../../services/ministryService';
+import { formatDate } from '../../utils/helpers';
+import { MINISTRY_MEMBER_ROLES, MINISTRY_MEMBER_STATUS } from '@haven-word-church/shared/constants';
+
+const ROLE_LABELS = {
+  [MINISTRY_MEMBER_ROLES.LEADER]: 'Leader',
+  [MINISTRY_MEMBER_ROLES.ASSISTANT]: 'Assistant',
+  [MINISTRY_MEMBER_ROLES.MEMBER]: 'Member'
+};
+
+/**
+ * A ministry's roster for its leaders and assistants: join requests to
+ * approve or decline, and the members with their roles
+ * @param {Object} props
+ * @param {string} props.ministryId
+ * @param {Function} [props.onChange] - Called after the roster changes
+ */
+const MinistryRoster = ({ ministryId, onChange }) => {
+  const [roster, setRoster] = useState(null);
+  const [confirmed, setConfirmed] = useState({});
+  const [declining, setDeclining] = useState(null);
+  const [reason, setReason] = useState('');
+  const [message, setMessage] = useState('');
+  const [error, setError] = useState('');
+
+  const load = useCallback(async () => {
+    try {
+      setRoster(await getRoster(ministryId));
+      setError('');
+    } catch (err) {
+      setError(err.message || 'Failed to load the roster');
+    }
+  }, [ministryId]);
+
+  useEffect(() => { load(); }, [load]);
+
+  const run = async (action) => {
+    try {
+      setError('');
+      const response = await action();
+      setMessage(response.message);
+      await load();
+      if (onChange) onChange();
+      return true;
+    } catch (err) {
+      setError(err.errors ? Object.values(err.errors).join('. ') : err.message || 'Something went wrong');
+      return false;
+    }
+  };
+
+  const handleDecline = async (entry) => {
+    const done = await run(() => updateRosterEntry(ministryId, entry._id, { decision: 'decline', reason }));
+    if (done) {
+      setDeclining(null);
+      setReason('');
+    }
+  };
+
+  const handleRemove = (entry) => {
+    if (!window.confirm(`Remove ${entry.user.name} from ${roster.ministry.name}?`)) return;
+    run(() => removeRosterEntry(ministryId, entry._id));
+  };
+
+  if (!roster) return error ? <div className="text-red-500">{error}</div> : null;
+
+  const pending = roster.data.filter((entry) => entry.status === MINISTRY_MEMBER_STATUS.PENDING);
+  const active = roster.data.filter((entry) => entry.status === MINISTRY_MEMBER_STATUS.ACTIVE);
+  const { requirements } = roster.ministry;
+
+  return (
+    <div className="space-y-6">
+      {message && <p className="text-sm text-gray-700 dark:text-gray-300" role="status">{message}</p>}
+      {error && <div className="text-red-500">{error}</div>}
+
+      <div>
+        <h3 className="text-lg font-semibold text-gray-900 dark:text-white mb-2">Join requests ({pending.length})</h3>
+        {pending.length === 0 ? (
+          <p className="text-sm text-gray-500">No one is waiting to join.</p>
+        ) : (
+          <div className="space-y-3">
+            {pending.map((entry) => {
+              const problems = Object.values(entry.problems || {});
+              return (
+                <div key={entry._id} className="bg-gray-50 dark:bg-gray-800 rounded-lg p-3 text-sm">
+                  <div className="font-semibold text-gray-900 dark:text-white">{entry.user.name}</div>
+                  <div className="text-gray-600 dark:text-gray-400">
+                    {[entry.user.email, entry.user.phone, entry.age !== null && `age ${entry.age}`, entry.user.gender].filter(Boolean).join(' · ')}
+                    {' · '}asked {formatDate(entry.requestedAt)}
+                  </div>
+                  {entry.message && <p className="mt-1 text-gray-700 dark:text-gray-300">&ldquo;{entry.message}&rdquo;</p>}
+                  {problems.length > 0 && (
+                    <ul className="mt-1 text-red-600 list-disc list-inside">
+                      {problems.map((problem) => <li key={problem}>{problem}</li>)}
+                    </ul>
+                  )}
+                  {requirements.length > 0 && problems.length === 0 && (
+                    <label className="mt-2 flex items-start gap-2 text-gray-700 dark:text-gray-300">
+                      <input
+                        type="checkbox"
+                        checked={Boolean(confirmed[entry._id])}
+                        onChange={(e) => setConfirmed((prev) => ({ ...prev, [entry._id]: e.target.checked }))}
+                      />
+                      <span>They meet the requirements: {requirements.join('; ')}</span>
+                    </label>
+                  )}
+                  {declining === entry._id ? (
+                    <div className="mt-2 space-y-2">
+                      <textarea
+                        value={reason}
+                        onChange={(e) => setReason(e.target.value)}
+                        rows={2}
+                        maxLength={500}
+                        placeholder="Optional note to the member"
+                        className="w-full p-2 border border-gray-300 rounded text-gray-900 text-sm"
+                      />
+                      <div className="flex gap-2">
+                        <button className="px-3 py-1 rounded bg-red-600 text-white font-semibold" onClick={() => handleDecline(entry)}>Decline Request</button>
+                        <button className="px-3 py-1 rounded bg-gray-100 text-gray-700" onClick={() => setDeclining(null)}>Cancel</button>
+                      </div>
+                    </div>
+                  ) : (
+                    <div className="mt-2 flex gap-3">
+                      <button
+                        className="text-green-700 hover:underline disabled:opacity-50 disabled:no-underline"
+                        disabled={problems.length > 0 || (requirements.length > 0 && !confirmed[entry._id])}
+                        onClick={() => run(() => updateRosterEntry(ministryId, entry._id, { decision: 'approve', requirementsMet: Boolean(confirmed[entry._id]) }))}
+                      >
+                        Approve
+                      </button>
+                      <button className="text-red-600 hover:underline" onClick={() => { setDeclining(entry._id); setReason(''); }}>Decline</button>
+                    </div>
+                  )}
+                </div>
+              );
+            })}
+          </div>
+        )}
+      </div>
+
+      <div>
+        <h3 className="text-lg font-semibold text-gray-900 dark:text-white mb-2">Members ({active.length})</h3>
+        {active.length === 0 ? (
+          <p className="text-sm text-gray-500">No members yet.</p>
+        ) : (
+          <table className="w-full text-sm text-gray-700 dark:text-gray-300">
+            <thead className="text-left text-gray-500 border-b border-gray-100">
+              <tr>
+                <th className="p-2">Name</th>
+                <th className="p-2">Contact</th>
+                <th className="p-2">Joined</th>
+                <th className="p-2">Role</th>
+                <th className="p-2" />
+              </tr>
+            </thead>
+            <tbody>
+              {active.map((entry) => {
+                const lockedLeader = !roster.canAssignLeaders && entry.role === MINISTRY_MEMBER_ROLES.LEADER;
+                return (
+                  <tr key={entry._id} className="border-b border-gray-50">
+                    <td className="p-2 font-medium text-gray-900 dark:text-white">{entry.user.name}</td>
+                    <td className="p-2">{entry.user.phone || entry.user.email}</td>
+                    <td className="p-2">{formatDate(entry.joinedAt)}</td>
+                    <td className="p-2">
+                      <select
+                        value={entry.role}
+                        disabled={lockedLeader}
+                        onChange={(e) => run(() => updateRosterEntry(ministryId, entry._id, { role: e.target.value }))}
+                        className="p-1 border border-gray-300 rounded text-gray-900 text-sm"
+                      >
+                        {Object.values(MINISTRY_MEMBER_ROLES).map((role) => (
+                          <option key={role} value={role} disabled={role === MINISTRY_MEMBER_ROLES.LEADER && !roster.canAssignLeaders}>
+                            {ROLE_LABELS[role]}
+                          </option>
+                        ))}
+                      </select>
+                    </td>
+                    <td className="p-2 text-right">
+                      {!lockedLeader && (
+                        <button className="text-gray-600 hover:underline" onClick={() => handleRemove(entry)}>Remove</button>
+                      )}
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default MinistryRoster;
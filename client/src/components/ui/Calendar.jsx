@@ -22,7 +22,7 @@ import PropTypes from 'prop-types';
  * @param {Date} props.minDate - Minimum selectable date
  * @param {Date} props.maxDate - Maximum selectable date
  * @param {Date[]} props.disabledDates - Array of disabled dates
- * @param {Object[]} props.events - Array of event objects with date and details
+ * @param {Object[]} props.events - Array of event objects with date (or startDate, as event occurrences have) and details
  * @param {boolean} props.multiSelect - Allow multiple date selection
  * @param {boolean} props.showEvents - Show event indicators
  * @param {'en'|'ig'|'yo'|'ha'} props.locale - Language locale
@@ -160,7 +160,7 @@ const Calendar = ({
   }, [selectedDate, selectedDates, multiSelect]);
 
   const getEventsForDate = useCallback((date) => {
-    return events.filter(event => isSameDay(new Date(event.date), date));
+    return events.filter(event => isSameDay(new Date(event.date || event.startDate), date));
   }, [events]);
 
   // Event handlers
@@ -1,6 +1,17 @@
 import React, { createContext, useState, useEffect } from 'react';
-import { setToken, removeToken, getUserFromToken } from '../services/storageService';
-import { login as loginService } from '../services/authService';
+import {
+  setToken,
+  removeToken,
+  getUserFromToken,
+  setRefreshToken,
+  getRefreshToken,
+  removeRefreshToken
+} from '../services/storageService';
+import {
+  login as loginService,
+  logout as logoutService,
+  verifyTwoFactor as verifyTwoFactorService
+} from '../services/authService';
 import PropTypes from 'prop-types';
 
 export const AuthContext = createContext();
@@ -10,16 +21,39 @@ export const AuthContext = createContext();
 export const AuthProvider = ({ children }) => {
   const [user, setUser] = useState(getUserFromToken());
 
-  const login = async (email, password) => {
-    const { token, user } = await loginService(email, password);
+  // Store the tokens of a finished login (password, or password + 2FA)
+  const completeLogin = ({ token, refreshToken, user }) => {
     setToken(token);
+    setRefreshToken(refreshToken);
     setUser(user);
     return { token, user };
   };
 
-  const logout = () => {
+  /**
+   * Sign in with email and password. When the account uses two-factor
+   * authentication the result is a challenge ({ twoFactorRequired, challengeToken }
+   * or { twoFactorSetupRequired, setupToken }) and nothing is stored yet.
+   */
+  const login = async (email, password) => {
+    const result = await loginService(email, password);
+    if (result.twoFactorRequired || result.twoFactorSetupRequired) return result;
+    return completeLogin(result);
+  };
+
+  const verifyTwoFactor = async (challengeToken, factor) => {
+    const result = await verifyTwoFactorService(challengeToken, factor);
+    return { ...completeLogin(result), recoveryCodesRemaining: result.recoveryCodesRemaining };
+  };
+
+  const logout = async () => {
+    const refreshToken = getRefreshToken();
     removeToken();
+    removeRefreshToken();
     setUser(null);
+    if (refreshToken) {
+      // Revoke the session server-side; local sign-out already happened
+      await logoutService(refreshToken).catch(() => {});
+    }
   };
 
   useEffect(() => {
@@ -27,7 +61,7 @@ export const AuthProvider = ({ children }) => {
   }, []);
 
   return (
-    <AuthContext.Provider value={{ user, login, logout }}>
+    <AuthContext.Provider value={{ user, login, verifyTwoFactor, completeLogin, logout }}>
       {children}
     </AuthContext.Provider>
   );
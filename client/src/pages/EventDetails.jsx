@@ -1,5 +1,308 @@
-import React from 'react';
+import React, { useCallback, useEffect, useState } from 'react';
+import { Helmet } from 'react-helmet-async';
+import { Link, useParams, useSearchParams } from 'react-router-dom';
+import { Calendar, CalendarPlus, Clock, MapPin } from 'lucide-react';
+import LoadingSpinner from '../components/common/LoadingSpinner';
+import RSVPForm from '../components/forms/RSVPForm';
+import EventTicket from '../components/events/EventTicket';
+import TicketOptions, { sellsTickets } from '../components/events/TicketOptions';
+import { useAuth } from '../hooks/useAuth';
+import {
+  eventCalendarUrl,
+  getEvent,
+  getMyRegistration,
+  registerForEvent,
+  unregisterFromEvent
+} from '../services/eventService';
+import { formatDate } from '../utils/helpers';
 
-const EventDetails = () => <div>Event Details Page</div>;
+const describeAddress = (location = {}) => {
+  const address = location.address || {};
+  return [address.street, address.city, address.state].filter(Boolean).join(', ');
+};
+
+const formatDeadline = (value) => new Date(value).toLocaleString('en-NG', {
+  timeZone: 'Africa/Lagos', weekday: 'short', day: 'numeric', month: 'short', hour: 'numeric', minute: '2-digit'
+});
+
+/**
+ * Registration for an event or one of its dates: register, join the
+ * waitlist when it is full, or claim a place offered from the waitlist.
+ * Registrations with a ticket link to it, or to paying for it.
+ * @param {Object} props
+ * @param {Object} props.mine - The member's registrations and waitlist places
+ * @param {string|null} props.occurrence
+ * @param {boolean} props.full
+ * @param {boolean} props.waitlistEnabled
+ * @param {boolean} props.busy
+ * @param {Function} props.onRegister
+ * @param {Function} props.onLeave
+ */
+const RegistrationAction = ({ mine, occurrence, full, waitlistEnabled, busy, onRegister, onLeave }) => {
+  const registered = mine.registrations.find((entry) => entry.occurrence === occurrence);
+  const waiting = mine.waitlist.find((entry) => entry.occurrence === occurrence);
+  const buttonClass = 'px-3 py-1 rounded-lg bg-blue-600 text-white font-semibold hover:bg-blue-700 disabled:opacity-50';
+
+  if (registered) {
+    const unpaid = registered.paymentStatus === 'Pending';
+    return (
+      <span className="flex items-center gap-3">
+        <span className={unpaid ? 'text-amber-700' : 'text-green-700'}>
+          {unpaid ? 'Your places are held until you pay' : 'You are registered'}
+        </span>
+        {registered.ticketReference && (
+          <Link to={`?ticket=${registered.ticketReference}`} className="text-blue-600 hover:underline">
+            {unpaid ? 'Pay now' : 'View ticket'}
+          </Link>
+        )}
+        <button className="text-gray-600 hover:underline" disabled={busy} onClick={onLeave}>Cancel registration</button>
+      </span>
+    );
+  }
+  if (waiting && waiting.status === 'Offered') {
+    return (
+      <span className="flex items-center gap-3">
+        <span className="text-amber-700">A place is held for you until {formatDeadline(waiting.offerExpiresAt)}</span>
+        <button className={buttonClass} disabled={busy} onClick={onRegister}>Claim place</button>
+        <button className="text-gray-600 hover:underline" disabled={busy} onClick={onLeave}>Decline</button>
+      </span>
+    );
+  }
+  if (waiting) {
+    return (
+      <span className="flex items-center gap-3">
+        <span>Number {waiting.position} on the waitlist</span>
+        <button className="text-gray-600 hover:underline" disabled={busy} onClick={onLeave}>Leave waitlist</button>
+      </span>
+    );
+  }
+  if (full && !waitlistEnabled) return <span className="text-gray-500">Full</span>;
+  return (
+    <button className={buttonClass} disabled={busy} onClick={onRegister}>
+      {full ? 'Join waitlist' : 'Register'}
+    </button>
+  );
+};
+
+/**
+ * An event's page, with registration (and its waitlist) and links to add
+ * the event, or one of its dates, to a calendar app. Visitors who are not
+ * signed in RSVP with the RSVP form instead. Paid registrations go to the
+ * payment provider's checkout, which returns here with `ticket` set.
+ */
+const EventDetails = () => {
+  const { id } = useParams();
+  const [searchParams] = useSearchParams();
+  const { user } = useAuth();
+  const [event, setEvent] = useState(null);
+  const [mine, setMine] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [busy, setBusy] = useState(false);
+  const [message, setMessage] = useState('');
+  const [error, setError] = useState('');
+  // The date a visitor is RSVPing for; null for a one-off event, undefined when the form is closed
+  const [rsvpFor, setRsvpFor] = useState(undefined);
+  // The ticket type and promo code a member registers with
+  const [choice, setChoice] = useState({});
+  // Waitlist offers link to the date offered
+  const highlighted = searchParams.get('occurrence');
+  const ticketReference = searchParams.get('ticket');
+
+  const loadEvent = useCallback(async () => {
+    try {
+      const result = await getEvent(id);
+      setEvent(result.data);
+    } catch (err) {
+      setError(err.status === 404 ? 'This event could not be found.' : err.message || 'Failed to load event');
+    } finally {
+      setLoading(false);
+    }
+  }, [id]);
+
+  const loadMine = useCallback(async () => {
+    if (!user) return;
+    try {
+      const result = await getMyRegistration(id);
+      setMine(result.data);
+    } catch (err) {
+      // Registration is unavailable without it; the page still shows the event
+    }
+  }, [id, user]);
+
+  useEffect(() => { loadEvent(); }, [loadEvent]);
+  useEffect(() => { loadMine(); }, [loadMine]);
+
+  const run = async (action) => {
+    try {
+      setBusy(true);
+      setError('');
+      const response = await action();
+      if (response.data && response.data.checkoutUrl) {
+        window.location.assign(response.data.checkoutUrl);
+        return;
+      }
+      setMessage(response.message);
+      await Promise.all([loadEvent(), loadMine()]);
+    } catch (err) {
+      setError(err.message || 'Something went wrong');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleRegister = (occurrence) => run(() => registerForEvent(id, { ...choice, ...(occurrence ? { occurrence } : {}) }));
+  const handleLeave = (occurrence) => run(() => unregisterFromEvent(id, occurrence ? { occurrence } : {}));
+
+  if (loading) return <LoadingSpinner />;
+  if (!event) {
+    return (
+      <div className="max-w-3xl mx-auto py-12 px-4">
+        <p className="text-red-500 mb-4">{error}</p>
+        <Link to="/events" className="text-blue-600 hover:underline">Back to events</Link>
+      </div>
+    );
+  }
+
+  const occurrences = event.upcomingOccurrences || [];
+  const isSeries = Boolean(event.upcomingOccurrences);
+  const address = describeAddress(event.location);
+  const canRegister = event.requiresRegistration && event.status === 'Published';
+  const isFull = (count, waiting = 0) => Boolean(event.maxAttendees) && (count >= event.maxAttendees || waiting > 0);
+  const registration = (occurrence, full) => {
+    if (!user) {
+      if (full && event.waitlistEnabled === false) return <span className="text-gray-500">Full</span>;
+      return (
+        <button className="px-3 py-1 rounded-lg bg-blue-600 text-white font-semibold hover:bg-blue-700" onClick={() => setRsvpFor(occurrence)}>
+          {full ? 'Join waitlist' : 'RSVP'}
+        </button>
+      );
+    }
+    return mine ? (
+      <RegistrationAction
+        mine={mine}
+        occurrence={occurrence}
+        full={full}
+        waitlistEnabled={event.waitlistEnabled !== false}
+        busy={busy}
+        onRegister={() => handleRegister(occurrence)}
+        onLeave={() => handleLeave(occurrence)}
+      />
+    ) : null;
+  };
+
+  return (
+    <div className="max-w-4xl mx-auto py-8 px-4">
+      <Helmet>
+        <title>{event.title} | Haven Word Church</title>
+      </Helmet>
+      <Link to="/events" className="text-sm text-blue-600 hover:underline">&larr; All events</Link>
+      <h1 className="text-3xl font-bold text-gray-900 dark:text-white mt-2 mb-2">{event.title}</h1>
+      {event.status !== 'Published' && (
+        <p className="mb-2 text-sm font-semibold text-red-600">{event.status}</p>
+      )}
+
+      <div className="grid sm:grid-cols-2 gap-4 my-6 text-gray-700 dark:text-gray-300">
+        <div className="flex items-center gap-2">
+          <Calendar className="h-5 w-5 text-gray-500" />
+          <span>
+            {isSeries ? `${event.recurrence.pattern} from ${formatDate(event.startDate)}` : formatDate(event.startDate)}
+          </span>
+        </div>
+        <div className="flex items-center gap-2">
+          <Clock className="h-5 w-5 text-gray-500" />
+          <span>{event.startTime} – {event.endTime}</span>
+        </div>
+        {event.location && (
+          <div className="flex items-center gap-2">
+            <MapPin className="h-5 w-5 text-gray-500" />
+            <span>{event.location.venue}{address && `, ${address}`}</span>
+          </div>
+        )}
+      </div>
+
+      <p className="text-gray-600 dark:text-gray-400 mb-6 whitespace-pre-line">{event.description}</p>
+
+      {message && <p className="mb-4 text-sm text-gray-700 dark:text-gray-300" role="status">{message}</p>}
+      {error && <p className="mb-4 text-sm text-red-500">{error}</p>}
+
+      {ticketReference && (
+        <EventTicket
+          key={ticketReference}
+          reference={ticketReference}
+          testCheckout={searchParams.get('checkout') === 'test'}
+          onChange={() => Promise.all([loadEvent(), loadMine()])}
+        />
+      )}
+      {canRegister && user && sellsTickets(event) && (
+        <div className="mb-6">
+          <TicketOptions event={event} value={choice} onChange={setChoice} />
+        </div>
+      )}
+
+      {canRegister && !user && (
+        <p className="mb-6 text-gray-700 dark:text-gray-300">
+          <Link to="/login" className="text-blue-600 hover:underline">Sign in</Link> to register with your account, or RSVP below.
+        </p>
+      )}
+      {canRegister && !user && rsvpFor !== undefined && (
+        <div className="mb-8">
+          <RSVPForm
+            key={rsvpFor || 'event'}
+            eventId={event._id}
+            occurrence={rsvpFor || undefined}
+            eventData={event}
+            onSuccess={loadEvent}
+          />
+          <button className="mt-2 text-sm text-gray-600 hover:underline" onClick={() => setRsvpFor(undefined)}>Close</button>
+        </div>
+      )}
+      {canRegister && !isSeries && (mine || !user) && rsvpFor === undefined && (
+        <div className="mb-6 text-sm text-gray-700 dark:text-gray-300">
+          {registration(null, isFull(event.currentAttendeeCount || 0))}
+        </div>
+      )}
+
+      <a
+        href={eventCalendarUrl(event._id)}
+        className="inline-flex items-center px-4 py-2 mb-8 rounded-lg bg-blue-600 text-white font-semibold hover:bg-blue-700"
+      >
+        <CalendarPlus className="h-5 w-5 mr-2" />
+        {isSeries ? 'Add all dates to calendar' : 'Add to calendar'}
+      </a>
+
+      {isSeries && (
+        <div className="bg-white dark:bg-gray-900 rounded-lg shadow p-4">
+          <h2 className="text-xl font-semibold text-gray-900 dark:text-white mb-4">Coming dates</h2>
+          {occurrences.length === 0 ? (
+            <p className="text-gray-500">No dates in the next three months.</p>
+          ) : (
+            <ul className="divide-y divide-gray-200 dark:divide-gray-700 text-sm text-gray-700 dark:text-gray-300">
+              {occurrences.map((occurrence) => (
+                <li
+                  key={occurrence.occurrence}
+                  className={`flex flex-wrap items-center gap-3 py-2 ${occurrence.occurrence === highlighted ? 'bg-blue-50 dark:bg-gray-800' : ''}`}
+                >
+                  <span className="flex-1">
+                    {formatDate(occurrence.startDate)}, {occurrence.startTime}
+                    {occurrence.location && occurrence.location.venue !== event.location.venue && ` at ${occurrence.location.venue}`}
+                    {occurrence.status === 'Cancelled' && <span className="ml-2 text-red-600">Cancelled</span>}
+                    {occurrence.isRescheduled && occurrence.status !== 'Cancelled' && <span className="ml-2 text-amber-600">Moved</span>}
+                  </span>
+                  {canRegister && occurrence.status !== 'Cancelled' && new Date(occurrence.startDate) > new Date()
+                    && registration(occurrence.occurrence, isFull(occurrence.registeredCount, occurrence.waitlistCount))}
+                  {occurrence.status !== 'Cancelled' && (
+                    <a href={eventCalendarUrl(event._id, occurrence.occurrence)} className="text-blue-600 hover:underline">
+                      Add this date
+                    </a>
+                  )}
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
 
 export default EventDetails;
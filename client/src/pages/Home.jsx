@@ -1,4 +1,4 @@
-import React, { useState } from 'react';
+import React, { useCallback, useEffect, useState } from 'react';
 import { Link } from 'react-router-dom';
 import SEOHead from '../components/common/SEOHead';
 import Button from '../components/ui/Button';
@@ -9,6 +9,16 @@ import ContactForm from '../components/forms/ContactForm';
 import RSVPForm from '../components/forms/RSVPForm';
 import LoadingSpinner from '../components/common/LoadingSpinner';
 import { useApi } from '../hooks/useApi';
+import { getEvents, getUpcomingEvents } from '../services/eventService';
+
+// Calendar dot colours by kind of event
+const CALENDAR_TYPES = {
+  Service: 'service',
+  'Prayer Meeting': 'meeting',
+  'Bible Study': 'meeting',
+  'Men Fellowship': 'meeting',
+  'Women Fellowship': 'meeting'
+};
 
 const Home = () => {
   const [isCalendarOpen, setIsCalendarOpen] = useState(false);
@@ -18,10 +28,28 @@ const Home = () => {
   const [newsletterEmail, setNewsletterEmail] = useState('');
   const [newsletterSubmitted, setNewsletterSubmitted] = useState(false);
   const [selectedService, setSelectedService] = useState(null);
+  const [calendarEvents, setCalendarEvents] = useState([]);
+  const [findingService, setFindingService] = useState(false);
 
   // API calls for dynamic content
   const { data: upcomingEvents, loading: eventsLoading } = useApi('/api/events/upcoming?limit=3');
 
+  // Every date of recurring services and events in the month on show
+  const loadCalendarMonth = useCallback(async (month) => {
+    const from = new Date(month.getFullYear(), month.getMonth(), 1).toLocaleDateString('en-CA');
+    const to = new Date(month.getFullYear(), month.getMonth() + 1, 0).toLocaleDateString('en-CA');
+    try {
+      const result = await getEvents({ from, to });
+      setCalendarEvents(result.data.map((event) => ({ ...event, type: CALENDAR_TYPES[event.category] || 'event' })));
+    } catch (err) {
+      setCalendarEvents([]);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (isCalendarOpen) loadCalendarMonth(new Date());
+  }, [isCalendarOpen, loadCalendarMonth]);
+
   // Refactor serviceSchedule to merge Sunday services
   const serviceSchedule = [
     {
@@ -46,10 +74,31 @@ const Home = () => {
   ];
 
   const handleEventRSVP = (event) => {
+    setSelectedService(null);
     setSelectedEvent(event);
     setIsRSVPOpen(true);
   };
 
+  // RSVPs for a service day go to the next date of a service taking registrations that day
+  const handleServiceRSVP = async (schedule) => {
+    setSelectedService(schedule);
+    setSelectedEvent(null);
+    setIsRSVPOpen(true);
+    try {
+      setFindingService(true);
+      const result = await getUpcomingEvents({ days: 14, limit: 50 });
+      const weekday = (date) => new Date(date).toLocaleDateString('en-US', { timeZone: 'Africa/Lagos', weekday: 'long' });
+      setSelectedEvent(result.data.find((event) => event.category === 'Service'
+        && event.requiresRegistration
+        && new Date(event.startDate) > new Date()
+        && (!schedule || weekday(event.startDate) === schedule.day)) || null);
+    } catch (err) {
+      setSelectedEvent(null);
+    } finally {
+      setFindingService(false);
+    }
+  };
+
   const handleNewsletterSubmit = async (e) => {
     e.preventDefault();
     try {
@@ -107,7 +156,7 @@ const Home = () => {
               <Button 
                   className="relative inline-block font-semibold leading-6 text-white bg-gradient-to-r from-blue-500 via-cyan-400 to-purple-500 dark:from-blue-700 dark:via-cyan-600 dark:to-purple-700 shadow-2xl shadow-blue-400/40 dark:shadow-cyan-900/60 rounded-2xl transition-transform duration-300 ease-in-out hover:scale-105 active:scale-95 text-base px-8 py-3 min-w-[160px] focus:outline-none focus:ring-4 focus:ring-blue-300 dark:focus:ring-cyan-800 before:absolute before:inset-0 before:rounded-2xl before:bg-gradient-to-r before:from-blue-400 before:via-cyan-300 before:to-purple-400 before:opacity-0 group-hover:before:opacity-30 before:transition-opacity before:duration-300 after:absolute after:inset-0 after:rounded-2xl after:shadow-[0_8px_30px_0_rgba(59,130,246,0.25)] after:opacity-80 after:pointer-events-none"
                   style={{ boxShadow: '0 6px 24px 0 rgba(59,130,246,0.25), 0 1.5px 4px 0 rgba(59,130,246,0.15)' }}
-                  onClick={() => setIsRSVPOpen(true)}
+                  onClick={() => handleServiceRSVP(null)}
                 variant="primary" 
                 size="lg"
                   icon={
@@ -182,14 +231,11 @@ const Home = () => {
                     background: `linear-gradient(135deg, var(--color-primary, #2563eb) 0%, #7f5af0 60%, #00c6fb 100%)`,
                     boxShadow: '0 8px 32px 0 rgba(31, 38, 135, 0.37)',
                   }}
-                  onClick={() => {
-                    setSelectedService(schedule);
-                    setIsRSVPOpen(true);
-                  }}
+                  onClick={() => handleServiceRSVP(schedule)}
                   tabIndex={0}
                   role="button"
                   aria-label={`RSVP for ${schedule.day}`}
-                  onKeyDown={e => { if (e.key === 'Enter' || e.key === ' ') { setSelectedService(schedule); setIsRSVPOpen(true); } }}
+                  onKeyDown={e => { if (e.key === 'Enter' || e.key === ' ') handleServiceRSVP(schedule); }}
                 >
                   {/* Glassmorphism overlay */}
                   <div className="absolute inset-0 bg-white/20 dark:bg-gray-900/30 backdrop-blur-[6px] rounded-[2.5rem] pointer-events-none z-0 group-hover:bg-white/30 group-hover:dark:bg-gray-900/40 transition" />
@@ -414,7 +460,7 @@ const Home = () => {
           title="Church Calendar"
           size="lg"
         >
-          <Calendar />
+          <Calendar events={calendarEvents} onMonthChange={loadCalendarMonth} onYearChange={loadCalendarMonth} />
         </Modal>
 
         <Modal
@@ -429,19 +475,26 @@ const Home = () => {
         <Modal
           isOpen={isRSVPOpen}
           onClose={() => setIsRSVPOpen(false)}
-          title={selectedService ? `RSVP for ${selectedService.day}` : "RSVP for Service"}
+          title={selectedService ? `RSVP for ${selectedService.day}` : selectedEvent ? `RSVP for ${selectedEvent.title}` : "RSVP for Service"}
           size="md"
         >
-          <RSVPForm
-            eventData={selectedService ? {
-              title: selectedService.day,
-              description: selectedService.services.map(svc => `${svc.name} at ${svc.time}`).join(' | '),
-              date: selectedService.day,
-              time: selectedService.services.map(svc => svc.time).join(' / '),
-              location: 'Haven Word Church',
-            } : null}
-            onSubmit={() => setIsRSVPOpen(false)}
-          />
+          {findingService ? (
+            <div className="flex justify-center py-8">
+              <LoadingSpinner size="lg" />
+            </div>
+          ) : selectedEvent ? (
+            <RSVPForm
+              key={`${selectedEvent._id || selectedEvent.id}-${selectedEvent.occurrence || ''}`}
+              eventId={selectedEvent._id || selectedEvent.id}
+              occurrence={selectedEvent.occurrence || undefined}
+            />
+          ) : (
+            <p className="py-6 text-center text-gray-600 dark:text-gray-300">
+              {selectedService
+                ? `There are no ${selectedService.day} services taking RSVPs in the next two weeks. Just come along — everyone is welcome!`
+                : 'There are no services taking RSVPs in the next two weeks. Just come along — everyone is welcome!'}
+            </p>
+          )}
         </Modal>
       </div>
     </>
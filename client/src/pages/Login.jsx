@@ -7,11 +7,22 @@ import { useAuth } from '../hooks/useAuth';
 import SEOHead from '../components/SEOHead';
 import LoadingSpinner from '../components/common/LoadingSpinner';
 import Button from '../components/ui/Button';
+import { TwoFactorCodeForm } from '../components/forms/LoginForm';
+import TwoFactorSetup from '../components/forms/TwoFactorSetup';
+
+// Throttled sign-ins (429) say how long to wait
+const withRetryHint = (error) => {
+  const message = error.message || 'An error occurred';
+  const seconds = error.data?.retryAfter;
+  if (!seconds) return message;
+  const wait = seconds >= 60 ? `${Math.ceil(seconds / 60)} minute(s)` : `${seconds} second(s)`;
+  return `${message}. Try again in ${wait}.`;
+};
 
 const Login = () => {
   const navigate = useNavigate();
   const location = useLocation();
-  const { login, user } = useAuth();
+  const { login, verifyTwoFactor, completeLogin, user } = useAuth();
 
   // State management
   const [activeTab, setActiveTab] = useState('login');
@@ -25,13 +36,15 @@ const Login = () => {
     lastName: '',
     phone: '',
     dateOfBirth: '',
-    role: 'member' // Default role
   });
   const [errors, setErrors] = useState({});
   const [message, setMessage] = useState('');
   const [messageType, setMessageType] = useState('');
   const [isSubmitting, setIsSubmitting] = useState(false);
   const [showRedirectSpinner, setShowRedirectSpinner] = useState(false);
+  const [unverifiedEmail, setUnverifiedEmail] = useState('');
+  // Second login step: { twoFactorRequired, challengeToken } or { twoFactorSetupRequired, setupToken }
+  const [twoFactor, setTwoFactor] = useState(null);
 
   // Redirect if already logged in
   useEffect(() => {
@@ -58,6 +71,10 @@ const Login = () => {
     } else if (!/.+@.+\..+/.test(formData.email)) {
       newErrors.email = 'Please enter a valid email address';
     }
+    if (activeTab === 'forgot') {
+      setErrors(newErrors);
+      return Object.keys(newErrors).length === 0;
+    }
     if (!formData.password) {
       newErrors.password = 'Password is required';
     } else if (activeTab === 'register' && formData.password.length < 8) {
@@ -70,7 +87,6 @@ const Login = () => {
       if (!formData.confirmPassword) newErrors.confirmPassword = 'Please confirm your password';
       if (formData.password !== formData.confirmPassword) newErrors.confirmPassword = 'Passwords do not match';
       if (!formData.dateOfBirth) newErrors.dateOfBirth = 'Date of birth is required';
-      if (!formData.role) newErrors.role = 'Role is required';
     }
     setErrors(newErrors);
     return Object.keys(newErrors).length === 0;
@@ -81,18 +97,22 @@ const Login = () => {
     e.preventDefault();
     setMessage('');
     setMessageType('');
+    setUnverifiedEmail('');
     if (!validateForm()) return;
     setIsSubmitting(true);
     try {
-      if (activeTab === 'login') {
-        const result = await login(formData.email, formData.password);
-        setMessage('Login successful! Redirecting...');
+      if (activeTab === 'forgot') {
+        const { forgotPassword } = await import('../services/authService');
+        await forgotPassword(formData.email);
+        setMessage('If an account exists for that email, we have sent a link to reset your password. The link expires in 1 hour.');
         setMessageType('success');
-        setShowRedirectSpinner(true);
-        setTimeout(() => {
-          if (result && result.user && result.user.role === 'admin') navigate('/admin/dashboard', { replace: true });
-          else navigate('/member/dashboard', { replace: true });
-        }, 1500);
+      } else if (activeTab === 'login') {
+        const result = await login(formData.email, formData.password);
+        if (result.twoFactorRequired || result.twoFactorSetupRequired) {
+          setTwoFactor(result);
+          return;
+        }
+        redirectAfterLogin(result);
       } else {
         // Registration logic: call your register API here
         const { register } = await import('../services/authService');
@@ -100,17 +120,66 @@ const Login = () => {
           name: `${formData.firstName} ${formData.lastName}`.trim(),
           email: formData.email,
           password: formData.password,
-          role: formData.role,
         };
         await register(regData);
-        setMessage('Registration successful! You can now log in.');
+        setMessage('Registration successful! Please check your email and click the link to verify your account.');
         setMessageType('success');
         setTimeout(() => {
           setActiveTab('login');
         }, 2000);
       }
     } catch (error) {
-      setMessage(error.response?.data?.message || error.message || 'An error occurred');
+      if (error.data?.code === 'EMAIL_NOT_VERIFIED') setUnverifiedEmail(formData.email);
+      setMessage(withRetryHint(error));
+      setMessageType('error');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const redirectAfterLogin = (result) => {
+    setMessage('Login successful! Redirecting...');
+    setMessageType('success');
+    setShowRedirectSpinner(true);
+    setTimeout(() => {
+      if (result && result.user && result.user.role === 'admin') navigate('/admin/dashboard', { replace: true });
+      else navigate('/member/dashboard', { replace: true });
+    }, 1500);
+  };
+
+  // Second step for accounts with two-factor authentication
+  const handleVerifyCode = async (factor) => {
+    setMessage('');
+    setIsSubmitting(true);
+    try {
+      redirectAfterLogin(await verifyTwoFactor(twoFactor.challengeToken, factor));
+    } catch (error) {
+      setMessage(withRetryHint(error));
+      setMessageType('error');
+      // An expired challenge can only be restarted from the password step
+      if (error.data?.code === 'TWO_FACTOR_EXPIRED') setTwoFactor(null);
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const cancelTwoFactor = () => {
+    setTwoFactor(null);
+    setMessage('');
+    setFormData(prev => ({ ...prev, password: '' }));
+  };
+
+  // Send a new verification link to an unverified account
+  const handleResendVerification = async () => {
+    setIsSubmitting(true);
+    try {
+      const { resendVerification } = await import('../services/authService');
+      await resendVerification(unverifiedEmail);
+      setUnverifiedEmail('');
+      setMessage('A new verification link has been sent. Please check your inbox.');
+      setMessageType('success');
+    } catch (error) {
+      setMessage(error.message || 'Failed to resend verification email');
       setMessageType('error');
     } finally {
       setIsSubmitting(false);
@@ -122,6 +191,8 @@ const Login = () => {
     setActiveTab(tab);
     setErrors({});
     setMessage('');
+    setUnverifiedEmail('');
+    setTwoFactor(null);
     setFormData({
       email: '',
       password: '',
@@ -130,7 +201,6 @@ const Login = () => {
       lastName: '',
       phone: '',
       dateOfBirth: '',
-      role: 'member' // Reset role to default
     });
   };
 
@@ -145,8 +215,8 @@ const Login = () => {
   return (
     <>
       <SEOHead
-        title={`${activeTab === 'login' ? 'Member Login' : 'Member Registration'} - Haven Word Church`}
-        description={`${activeTab === 'login' ? 'Sign in to your member account' : 'Join our church community'} at Haven Word Church. Access member resources, track attendance, and stay connected.`}
+        title={`${activeTab === 'register' ? 'Member Registration' : 'Member Login'} - Haven Word Church`}
+        description={`${activeTab === 'register' ? 'Join our church community' : 'Sign in to your member account'} at Haven Word Church. Access member resources, track attendance, and stay connected.`}
         keywords="church login, member portal, Haven Word Church, church registration, member access"
       />
       <div className="min-h-screen bg-gradient-to-br from-blue-50 via-white to-purple-50 py-12 px-4 sm:px-6 lg:px-8 pt-24">
@@ -162,7 +232,7 @@ const Login = () => {
               Welcome to Haven Word Church
             </h1>
             <p className="text-gray-600">
-              {activeTab === 'login' ? 'Sign in to your member account' : 'Join our church family'}
+              {activeTab === 'register' ? 'Join our church family' : activeTab === 'forgot' ? 'Reset your password' : twoFactor ? 'Two-step verification' : 'Sign in to your member account'}
             </p>
           </div>
           {/* Tab Navigation */}
@@ -201,204 +271,246 @@ const Login = () => {
                 ) : (
                   <AlertCircle className="w-5 h-5 mr-2 flex-shrink-0" />
                 )}
-                <span className="text-sm">{message}</span>
+                <div className="text-sm">
+                  <span>{message}</span>
+                  {unverifiedEmail && (
+                    <button
+                      type="button"
+                      onClick={handleResendVerification}
+                      disabled={isSubmitting}
+                      className="block mt-1 font-medium underline hover:no-underline"
+                    >
+                      Resend verification email
+                    </button>
+                  )}
+                </div>
               </div>
             )}
+            {/* Two-factor step */}
+            {twoFactor?.twoFactorRequired && (
+              <TwoFactorCodeForm onSubmit={handleVerifyCode} onCancel={cancelTwoFactor} loading={isSubmitting} />
+            )}
+            {twoFactor?.twoFactorSetupRequired && (
+              <>
+                <p className="text-sm text-gray-700 mb-4">
+                  Your account role requires two-factor authentication. Set it up now to finish signing in.
+                </p>
+                <TwoFactorSetup
+                  setupToken={twoFactor.setupToken}
+                  onComplete={(result) => redirectAfterLogin(completeLogin(result))}
+                  onCancel={cancelTwoFactor}
+                />
+              </>
+            )}
             {/* Form */}
-            <form onSubmit={handleSubmit} className="space-y-4">
-              {/* Register Fields */}
-              {activeTab === 'register' && (
-                <>
-                  <div className="grid grid-cols-2 gap-4">
+            {!twoFactor && (
+              <form onSubmit={handleSubmit} className="space-y-4">
+                {/* Register Fields */}
+                {activeTab === 'register' && (
+                  <>
+                    <div className="grid grid-cols-2 gap-4">
+                      <div>
+                        <label className="block text-sm font-medium text-gray-700 mb-1">First Name</label>
+                        <div className="relative">
+                          <User className="absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400 w-5 h-5" />
+                          <input
+                            type="text"
+                            name="firstName"
+                            value={formData.firstName}
+                            onChange={handleInputChange}
+                            className={`w-full pl-10 pr-3 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 text-gray-900 ${
+                              errors.firstName ? 'border-red-500' : 'border-gray-300'
+                            }`}
+                            placeholder="John"
+                          />
+                        </div>
+                        {errors.firstName && (
+                          <p className="text-red-500 text-xs mt-1">{errors.firstName}</p>
+                        )}
+                      </div>
+                      <div>
+                        <label className="block text-sm font-medium text-gray-700 mb-1">Last Name</label>
+                        <div className="relative">
+                          <User className="absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400 w-5 h-5" />
+                          <input
+                            type="text"
+                            name="lastName"
+                            value={formData.lastName}
+                            onChange={handleInputChange}
+                            className={`w-full pl-10 pr-3 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 text-gray-900 ${
+                              errors.lastName ? 'border-red-500' : 'border-gray-300'
+                            }`}
+                            placeholder="Doe"
+                          />
+                        </div>
+                        {errors.lastName && (
+                          <p className="text-red-500 text-xs mt-1">{errors.lastName}</p>
+                        )}
+                      </div>
+                    </div>
                     <div>
-                      <label className="block text-sm font-medium text-gray-700 mb-1">First Name</label>
+                      <label className="block text-sm font-medium text-gray-700 mb-1">Phone Number</label>
                       <div className="relative">
-                        <User className="absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400 w-5 h-5" />
+                        <Phone className="absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400 w-5 h-5" />
                         <input
-                          type="text"
-                          name="firstName"
-                          value={formData.firstName}
+                          type="tel"
+                          name="phone"
+                          value={formData.phone}
                           onChange={handleInputChange}
                           className={`w-full pl-10 pr-3 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 text-gray-900 ${
-                            errors.firstName ? 'border-red-500' : 'border-gray-300'
+                            errors.phone ? 'border-red-500' : 'border-gray-300'
                           }`}
-                          placeholder="John"
+                          placeholder="+234 XXX XXX XXXX"
                         />
                       </div>
-                      {errors.firstName && (
-                        <p className="text-red-500 text-xs mt-1">{errors.firstName}</p>
+                      {errors.phone && (
+                        <p className="text-red-500 text-xs mt-1">{errors.phone}</p>
                       )}
                     </div>
                     <div>
-                      <label className="block text-sm font-medium text-gray-700 mb-1">Last Name</label>
+                      <label className="block text-sm font-medium text-gray-700 mb-1">Date of Birth</label>
                       <div className="relative">
-                        <User className="absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400 w-5 h-5" />
+                        <Calendar className="absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400 w-5 h-5" />
                         <input
-                          type="text"
-                          name="lastName"
-                          value={formData.lastName}
+                          type="date"
+                          name="dateOfBirth"
+                          value={formData.dateOfBirth}
                           onChange={handleInputChange}
                           className={`w-full pl-10 pr-3 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 text-gray-900 ${
-                            errors.lastName ? 'border-red-500' : 'border-gray-300'
+                            errors.dateOfBirth ? 'border-red-500' : 'border-gray-300'
                           }`}
-                          placeholder="Doe"
                         />
                       </div>
-                      {errors.lastName && (
-                        <p className="text-red-500 text-xs mt-1">{errors.lastName}</p>
+                      {errors.dateOfBirth && (
+                        <p className="text-red-500 text-xs mt-1">{errors.dateOfBirth}</p>
                       )}
                     </div>
+                  </>
+                )}
+                {/* Email Field */}
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Email Address</label>
+                  <div className="relative">
+                    <Mail className="absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400 w-5 h-5" />
+                    <input
+                      type="email"
+                      name="email"
+                      value={formData.email}
+                      onChange={handleInputChange}
+                      className={`w-full pl-10 pr-3 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 text-gray-900 ${
+                        errors.email ? 'border-red-500' : 'border-gray-300'
+                      }`}
+                      placeholder="john@example.com"
+                    />
                   </div>
+                  {errors.email && (
+                    <p className="text-red-500 text-xs mt-1">{errors.email}</p>
+                  )}
+                </div>
+                {/* Password Field */}
+                {activeTab !== 'forgot' && (
                   <div>
-                    <label className="block text-sm font-medium text-gray-700 mb-1">Phone Number</label>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">Password</label>
                     <div className="relative">
-                      <Phone className="absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400 w-5 h-5" />
+                      <Lock className="absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400 w-5 h-5" />
                       <input
-                        type="tel"
-                        name="phone"
-                        value={formData.phone}
+                        type={showPassword ? 'text' : 'password'}
+                        name="password"
+                        value={formData.password}
                         onChange={handleInputChange}
-                        className={`w-full pl-10 pr-3 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 text-gray-900 ${
-                          errors.phone ? 'border-red-500' : 'border-gray-300'
+                        required
+                        className={`w-full pl-10 pr-10 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 text-gray-900 ${
+                          errors.password ? 'border-red-500' : 'border-gray-300'
                         }`}
-                        placeholder="+234 XXX XXX XXXX"
+                        placeholder={activeTab === 'register' ? 'At least 8 characters' : 'Enter your password'}
                       />
+                      <Button
+                        type="button"
+                        onClick={() => setShowPassword(!showPassword)}
+                        variant="ghost"
+                        size="sm"
+                        className="absolute right-3 top-1/2 transform -translate-y-1/2 text-gray-400 hover:text-gray-600 p-1"
+                        ariaLabel={showPassword ? 'Hide password' : 'Show password'}
+                        title={showPassword ? 'Hide password' : 'Show password'}
+                      >
+                        {showPassword ? <EyeOff className="w-5 h-5" /> : <Eye className="w-5 h-5" />}
+                      </Button>
                     </div>
-                    {errors.phone && (
-                      <p className="text-red-500 text-xs mt-1">{errors.phone}</p>
+                    {errors.password && (
+                      <p className="text-red-500 text-xs mt-1">{errors.password}</p>
+                    )}
+                    {activeTab === 'login' && (
+                      <div className="text-right mt-1">
+                        <button
+                          type="button"
+                          onClick={() => switchTab('forgot')}
+                          className="text-blue-600 hover:text-blue-700 text-xs font-medium"
+                        >
+                          Forgot password?
+                        </button>
+                      </div>
                     )}
                   </div>
+                )}
+                {/* Confirm Password Field (Register only) */}
+                {activeTab === 'register' && (
                   <div>
-                    <label className="block text-sm font-medium text-gray-700 mb-1">Date of Birth</label>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">Confirm Password</label>
                     <div className="relative">
-                      <Calendar className="absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400 w-5 h-5" />
+                      <Shield className="absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400 w-5 h-5" />
                       <input
-                        type="date"
-                        name="dateOfBirth"
-                        value={formData.dateOfBirth}
+                        type={showConfirmPassword ? 'text' : 'password'}
+                        name="confirmPassword"
+                        value={formData.confirmPassword}
                         onChange={handleInputChange}
-                        className={`w-full pl-10 pr-3 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 text-gray-900 ${
-                          errors.dateOfBirth ? 'border-red-500' : 'border-gray-300'
+                        className={`w-full pl-10 pr-10 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 text-gray-900 ${
+                          errors.confirmPassword ? 'border-red-500' : 'border-gray-300'
                         }`}
+                        placeholder="Confirm your password"
                       />
+                      <Button
+                        type="button"
+                        onClick={() => setShowConfirmPassword(!showConfirmPassword)}
+                        variant="ghost"
+                        size="sm"
+                        className="absolute right-3 top-1/2 transform -translate-y-1/2 text-gray-400 hover:text-gray-600 p-1"
+                        ariaLabel={showConfirmPassword ? 'Hide confirm password' : 'Show confirm password'}
+                        title={showConfirmPassword ? 'Hide confirm password' : 'Show confirm password'}
+                      >
+                        {showConfirmPassword ? <EyeOff className="w-5 h-5" /> : <Eye className="w-5 h-5" />}
+                      </Button>
                     </div>
-                    {errors.dateOfBirth && (
-                      <p className="text-red-500 text-xs mt-1">{errors.dateOfBirth}</p>
+                    {errors.confirmPassword && (
+                      <p className="text-red-500 text-xs mt-1">{errors.confirmPassword}</p>
                     )}
                   </div>
-                  <div>
-                    <label className="block text-sm font-medium text-gray-700 mb-1">Role</label>
-                    <select
-                      name="role"
-                      value={formData.role || 'member'}
-                      onChange={handleInputChange}
-                      className="w-full p-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 text-gray-900"
-                    >
-                      <option value="member">Member</option>
-                      <option value="pastor">Pastor</option>
-                    </select>
-                  </div>
-                </>
-              )}
-              {/* Email Field */}
-              <div>
-                <label className="block text-sm font-medium text-gray-700 mb-1">Email Address</label>
-                <div className="relative">
-                  <Mail className="absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400 w-5 h-5" />
-                  <input
-                    type="email"
-                    name="email"
-                    value={formData.email}
-                    onChange={handleInputChange}
-                    className={`w-full pl-10 pr-3 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 text-gray-900 ${
-                      errors.email ? 'border-red-500' : 'border-gray-300'
-                    }`}
-                    placeholder="john@example.com"
-                  />
-                </div>
-                {errors.email && (
-                  <p className="text-red-500 text-xs mt-1">{errors.email}</p>
                 )}
-              </div>
-              {/* Password Field */}
-              <div>
-                <label className="block text-sm font-medium text-gray-700 mb-1">Password</label>
-                <div className="relative">
-                  <Lock className="absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400 w-5 h-5" />
-                  <input
-                    type={showPassword ? 'text' : 'password'}
-                    name="password"
-                    value={formData.password}
-                    onChange={handleInputChange}
-                    required
-                    className={`w-full pl-10 pr-10 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 text-gray-900 ${
-                      errors.password ? 'border-red-500' : 'border-gray-300'
-                    }`}
-                    placeholder={activeTab === 'register' ? 'At least 8 characters' : 'Enter your password'}
-                  />
-                  <Button
-                    type="button"
-                    onClick={() => setShowPassword(!showPassword)}
-                    variant="ghost"
-                    size="sm"
-                    className="absolute right-3 top-1/2 transform -translate-y-1/2 text-gray-400 hover:text-gray-600 p-1"
-                    ariaLabel={showPassword ? 'Hide password' : 'Show password'}
-                    title={showPassword ? 'Hide password' : 'Show password'}
-                  >
-                    {showPassword ? <EyeOff className="w-5 h-5" /> : <Eye className="w-5 h-5" />}
-                  </Button>
-                </div>
-                {errors.password && (
-                  <p className="text-red-500 text-xs mt-1">{errors.password}</p>
-                )}
-              </div>
-              {/* Confirm Password Field (Register only) */}
-              {activeTab === 'register' && (
-                <div>
-                  <label className="block text-sm font-medium text-gray-700 mb-1">Confirm Password</label>
-                  <div className="relative">
-                    <Shield className="absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400 w-5 h-5" />
-                    <input
-                      type={showConfirmPassword ? 'text' : 'password'}
-                      name="confirmPassword"
-                      value={formData.confirmPassword}
-                      onChange={handleInputChange}
-                      className={`w-full pl-10 pr-10 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 text-gray-900 ${
-                        errors.confirmPassword ? 'border-red-500' : 'border-gray-300'
-                      }`}
-                      placeholder="Confirm your password"
-                    />
-                    <Button
+                {/* Submit Button */}
+                <Button
+                  type="submit"
+                  disabled={isSubmitting}
+                  loading={isSubmitting}
+                  variant="primary"
+                  size="lg"
+                  fullWidth
+                  rightIcon={<ArrowRight className="w-4 h-4" />}
+                  className="bg-gradient-to-r from-primary-600 to-accent-600 hover:from-primary-700 hover:to-accent-700"
+                >
+                  {activeTab === 'login' ? 'Sign In' : activeTab === 'forgot' ? 'Send Reset Link' : 'Create Account'}
+                </Button>
+                {activeTab === 'forgot' && (
+                  <div className="text-center">
+                    <button
                       type="button"
-                      onClick={() => setShowConfirmPassword(!showConfirmPassword)}
-                      variant="ghost"
-                      size="sm"
-                      className="absolute right-3 top-1/2 transform -translate-y-1/2 text-gray-400 hover:text-gray-600 p-1"
-                      ariaLabel={showConfirmPassword ? 'Hide confirm password' : 'Show confirm password'}
-                      title={showConfirmPassword ? 'Hide confirm password' : 'Show confirm password'}
+                      onClick={() => switchTab('login')}
+                      className="text-blue-600 hover:text-blue-700 text-sm font-medium"
                     >
-                      {showConfirmPassword ? <EyeOff className="w-5 h-5" /> : <Eye className="w-5 h-5" />}
-                    </Button>
+                      Back to Sign In
+                    </button>
                   </div>
-                  {errors.confirmPassword && (
-                    <p className="text-red-500 text-xs mt-1">{errors.confirmPassword}</p>
-                  )}
-                </div>
-              )}
-              {/* Submit Button */}
-              <Button
-                type="submit"
-                disabled={isSubmitting}
-                loading={isSubmitting}
-                variant="primary"
-                size="lg"
-                fullWidth
-                rightIcon={<ArrowRight className="w-4 h-4" />}
-                className="bg-gradient-to-r from-primary-600 to-accent-600 hover:from-primary-700 hover:to-accent-700"
-              >
-                {activeTab === 'login' ? 'Sign In' : 'Create Account'}
-              </Button>
-            </form>
+                )}
+              </form>
+            )}
           </div>
           {/* Church Info */}
           <div className="bg-white rounded-lg shadow-lg p-6">
@@ -1,5 +1,6 @@
 import React, { useState, useEffect } from 'react';
 import { Helmet } from 'react-helmet-async';
+import { useNavigate } from 'react-router-dom';
 import { 
   Users, 
   Heart, 
@@ -29,6 +30,7 @@ import PropTypes from 'prop-types';
  * Features Nigerian church context and ministry programs
  */
 const Ministries = () => {
+  const navigate = useNavigate();
   // State management
   const [ministries, setMinistries] = useState([]);
   const [loading, setLoading] = useState(true);
@@ -323,6 +325,8 @@ const Ministries = () => {
               variant="primary"
               size="md"
               leftIcon={<UserCheck className="h-5 w-5" />}
+              disabled={!ministry._id}
+              onClick={() => navigate(`/ministries/${ministry._id}`)}
             >
               Join Ministry
             </Button>
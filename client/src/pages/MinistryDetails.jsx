@@ -1,5 +1,217 @@
-import React from 'react';
+import React, { useCallback, useEffect, useState } from 'react';
+import { Helmet } from 'react-helmet-async';
+import { Link, useParams } from 'react-router-dom';
+import { Calendar, MapPin, UserCheck, Users } from 'lucide-react';
+import LoadingSpinner from '../components/common/LoadingSpinner';
+import MinistryRoster from '../components/ministries/MinistryRoster';
+import { useAuth } from '../hooks/useAuth';
+import { getMinistry, getMyMembership, joinMinistry, leaveMinistry } from '../services/ministryService';
+import { MINISTRY_MEMBER_STATUS } from '@haven-word-church/shared/constants';
 
-const MinistryDetails = () => <div>Ministry Details Page</div>;
+const capitalize = (value) => (value ? value.charAt(0).toUpperCase() + value.slice(1) : '');
+
+const describeAgeRange = ({ min, max } = {}) => {
+  if (typeof min === 'number' && typeof max === 'number') return `Ages ${min} to ${max}`;
+  if (typeof min === 'number') return `Ages ${min} and over`;
+  if (typeof max === 'number') return `Ages ${max} and under`;
+  return null;
+};
+
+/**
+ * A ministry's page. Signed-in members can ask to join (or leave); the
+ * ministry's leaders and assistants also see its roster and join requests.
+ */
+const MinistryDetails = () => {
+  const { id } = useParams();
+  const { user } = useAuth();
+  const [ministry, setMinistry] = useState(null);
+  const [membership, setMembership] = useState(null);
+  const [joinMessage, setJoinMessage] = useState('');
+  const [meetsRequirements, setMeetsRequirements] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [busy, setBusy] = useState(false);
+  const [message, setMessage] = useState('');
+  const [error, setError] = useState('');
+
+  const loadMinistry = useCallback(async () => {
+    try {
+      const result = await getMinistry(id);
+      setMinistry(result.data);
+    } catch (err) {
+      setError(err.status === 404 ? 'This ministry could not be found.' : err.message || 'Failed to load ministry');
+    } finally {
+      setLoading(false);
+    }
+  }, [id]);
+
+  const loadMembership = useCallback(async () => {
+    if (!user) return;
+    try {
+      const result = await getMyMembership(id);
+      setMembership(result.data);
+    } catch (err) {
+      // Joining is unavailable without it; the page still shows the ministry
+    }
+  }, [id, user]);
+
+  useEffect(() => { loadMinistry(); }, [loadMinistry]);
+  useEffect(() => { loadMembership(); }, [loadMembership]);
+
+  const run = async (action) => {
+    try {
+      setBusy(true);
+      setError('');
+      const response = await action();
+      setMessage(response.message);
+      await Promise.all([loadMinistry(), loadMembership()]);
+    } catch (err) {
+      setError(err.errors ? Object.values(err.errors).join('. ') : err.message || 'Something went wrong');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleJoin = (e) => {
+    e.preventDefault();
+    run(() => joinMinistry(id, { message: joinMessage, meetsRequirements }));
+  };
+
+  const handleLeave = () => {
+    const pending = membership.membership.status === MINISTRY_MEMBER_STATUS.PENDING;
+    if (!window.confirm(pending ? 'Withdraw your request to join?' : `Leave ${ministry.name}?`)) return;
+    run(() => leaveMinistry(id));
+  };
+
+  if (loading) return <LoadingSpinner />;
+  if (!ministry) {
+    return (
+      <div className="max-w-3xl mx-auto py-12 px-4">
+        <p className="text-red-500 mb-4">{error}</p>
+        <Link to="/ministries" className="text-blue-600 hover:underline">Back to ministries</Link>
+      </div>
+    );
+  }
+
+  const { requirements = [], ageRange, gender } = ministry.membership || {};
+  const schedule = ministry.meetingSchedule || {};
+  const current = membership && membership.membership;
+  const isMember = current && current.status === MINISTRY_MEMBER_STATUS.ACTIVE;
+  const isPending = current && current.status === MINISTRY_MEMBER_STATUS.PENDING;
+  const problems = membership ? Object.values(membership.problems) : [];
+  const ageLabel = describeAgeRange(ageRange);
+
+  return (
+    <div className="max-w-4xl mx-auto py-8 px-4">
+      <Helmet>
+        <title>{ministry.name} | Haven Word Church</title>
+      </Helmet>
+      <Link to="/ministries" className="text-sm text-blue-600 hover:underline">&larr; All ministries</Link>
+      <h1 className="text-3xl font-bold text-gray-900 dark:text-white mt-2 mb-2">{ministry.name}</h1>
+      <p className="text-gray-600 dark:text-gray-400 mb-6">{ministry.detailedDescription || ministry.description}</p>
+
+      <div className="grid sm:grid-cols-2 gap-4 mb-6 text-gray-700 dark:text-gray-300">
+        <div className="flex items-center gap-2">
+          <UserCheck className="h-5 w-5 text-gray-500" />
+          <span><strong>Leader:</strong> {ministry.leader && ministry.leader.name}</span>
+        </div>
+        <div className="flex items-center gap-2">
+          <Users className="h-5 w-5 text-gray-500" />
+          <span>{ministry.memberCountDisplay || `${ministry.membership.currentCount} members`}</span>
+        </div>
+        {schedule.dayOfWeek && (
+          <div className="flex items-center gap-2">
+            <Calendar className="h-5 w-5 text-gray-500" />
+            <span>{capitalize(schedule.frequency)} on {capitalize(schedule.dayOfWeek)}s{schedule.time && ` at ${schedule.time}`}</span>
+          </div>
+        )}
+        {schedule.location && (
+          <div className="flex items-center gap-2">
+            <MapPin className="h-5 w-5 text-gray-500" />
+            <span>{schedule.location}</span>
+          </div>
+        )}
+      </div>
+
+      {(requirements.length > 0 || ageLabel || (gender && gender !== 'all')) && (
+        <div className="mb-6 bg-gray-50 dark:bg-gray-800 rounded-lg p-4 text-sm text-gray-700 dark:text-gray-300">
+          <h2 className="font-semibold text-gray-900 dark:text-white mb-1">Who can join</h2>
+          <ul className="list-disc list-inside">
+            {ageLabel && <li>{ageLabel}</li>}
+            {gender && gender !== 'all' && <li>{gender === 'male' ? 'Men' : 'Women'} only</li>}
+            {requirements.map((requirement) => <li key={requirement}>{requirement}</li>)}
+          </ul>
+        </div>
+      )}
+
+      {message && <p className="mb-4 text-sm text-gray-700 dark:text-gray-300" role="status">{message}</p>}
+      {error && <div className="mb-4 text-red-500">{error}</div>}
+
+      <div className="mb-8 bg-white dark:bg-gray-900 rounded-lg shadow p-4">
+        {!user && (
+          <p className="text-gray-700 dark:text-gray-300">
+            <Link to="/login" className="text-blue-600 hover:underline">Sign in</Link> to join this ministry.
+          </p>
+        )}
+        {user && isMember && (
+          <div className="flex flex-wrap items-center gap-3">
+            <span className="flex-1 text-gray-700 dark:text-gray-300">You are a {current.role} of this ministry.</span>
+            <button className="text-gray-600 hover:underline" disabled={busy} onClick={handleLeave}>Leave ministry</button>
+          </div>
+        )}
+        {user && isPending && (
+          <div className="flex flex-wrap items-center gap-3">
+            <span className="flex-1 text-gray-700 dark:text-gray-300">Your request to join is waiting for the ministry leaders.</span>
+            <button className="text-gray-600 hover:underline" disabled={busy} onClick={handleLeave}>Withdraw request</button>
+          </div>
+        )}
+        {user && membership && !isMember && !isPending && (
+          problems.length > 0 ? (
+            <div className="text-sm text-gray-700 dark:text-gray-300">
+              <ul className="list-disc list-inside text-red-600 mb-2">
+                {problems.map((problem) => <li key={problem}>{problem}</li>)}
+              </ul>
+              <Link to="/member/profile" className="text-blue-600 hover:underline">Update your profile</Link>
+            </div>
+          ) : (
+            <form onSubmit={handleJoin} className="space-y-3 text-sm text-gray-700 dark:text-gray-300">
+              <h2 className="text-lg font-semibold text-gray-900 dark:text-white">Join {ministry.name}</h2>
+              {current && current.status === MINISTRY_MEMBER_STATUS.DECLINED && current.declineReason && (
+                <p className="text-gray-500">Your last request was declined: {current.declineReason}</p>
+              )}
+              <textarea
+                value={joinMessage}
+                onChange={(e) => setJoinMessage(e.target.value)}
+                rows={2}
+                maxLength={500}
+                placeholder="Tell the leaders a little about yourself (optional)"
+                className="w-full p-2 border border-gray-300 rounded text-gray-900 text-sm"
+              />
+              {requirements.length > 0 && (
+                <label className="flex items-start gap-2">
+                  <input type="checkbox" checked={meetsRequirements} onChange={(e) => setMeetsRequirements(e.target.checked)} />
+                  <span>I meet the requirements listed above</span>
+                </label>
+              )}
+              <button
+                type="submit"
+                disabled={busy || (requirements.length > 0 && !meetsRequirements)}
+                className="px-4 py-2 rounded-lg bg-blue-600 text-white font-semibold hover:bg-blue-700 disabled:opacity-50"
+              >
+                Ask to Join
+              </button>
+            </form>
+          )
+        )}
+      </div>
+
+      {membership && membership.canManage && (
+        <div className="bg-white dark:bg-gray-900 rounded-lg shadow p-4">
+          <h2 className="text-xl font-semibold text-gray-900 dark:text-white mb-4">Roster</h2>
+          <MinistryRoster ministryId={ministry._id} onChange={loadMinistry} />
+        </div>
+      )}
+    </div>
+  );
+};
 
 export default MinistryDetails;
@@ -1,33 +1,69 @@
-import React, { useState } from 'react';
+import React, { useEffect, useState } from 'react';
+import { useSearchParams } from 'react-router-dom';
 import RegisterForm from '../components/forms/RegisterForm';
 import { register as registerService } from '../services/authService';
-import { useNavigate } from 'react-router-dom';
+import { getInvitationByToken } from '../services/userService';
 import Header from '../components/common/Header';
 import Footer from '../components/common/Footer';
 
 const Register = () => {
+  const [searchParams] = useSearchParams();
+  const inviteToken = searchParams.get('invite');
   const [loading, setLoading] = useState(false);
-  const navigate = useNavigate();
+  const [registered, setRegistered] = useState(null);
+  const [invitation, setInvitation] = useState(null);
+  const [inviteError, setInviteError] = useState('');
+  const [checkingInvite, setCheckingInvite] = useState(Boolean(inviteToken));
+
+  useEffect(() => {
+    if (!inviteToken) return;
+    getInvitationByToken(inviteToken)
+      .then(setInvitation)
+      .catch((err) => setInviteError(err.message || 'Invitation is invalid or has expired'))
+      .finally(() => setCheckingInvite(false));
+  }, [inviteToken]);
 
   const handleRegister = async (form, setError) => {
     setLoading(true);
     try {
-      await registerService(form);
-      navigate('/login');
+      const result = await registerService(invitation ? { ...form, inviteToken } : form);
+      setRegistered({ email: form.email, requiresVerification: result.requiresVerification });
     } catch (err) {
-      setError(err.response?.data?.message || 'Registration failed');
+      setError(err.message || 'Registration failed');
     } finally {
       setLoading(false);
     }
   };
 
+  const renderContent = () => {
+    if (registered) {
+      return registered.requiresVerification ? (
+        <p className="text-center text-gray-700">
+          We sent a verification link to <strong>{registered.email}</strong>.
+          Please check your inbox and click the link to activate your account.
+        </p>
+      ) : (
+        <p className="text-center text-gray-700">
+          Your account has been created. You can now <a href="/login" className="text-blue-600 underline">log in</a>.
+        </p>
+      );
+    }
+    if (checkingInvite) {
+      return <p className="text-center text-gray-500">Checking your invitation...</p>;
+    }
+    if (inviteError) {
+      return <p className="text-center text-red-600" role="alert">{inviteError}</p>;
+    }
+    return <RegisterForm onRegister={handleRegister} loading={loading} invitation={invitation} />;
+  };
+
   return (
     <div className="min-h-screen flex flex-col">
       <Header />
       <main className="flex-1 flex flex-col justify-center items-center bg-gray-50 py-8">
         <div className="w-full max-w-md bg-white p-8 rounded shadow">
           <h2 className="text-2xl font-bold mb-4 text-center">Register</h2>
-          <RegisterForm onRegister={handleRegister} loading={loading} />
+          {renderContent()}
           <p className="mt-4 text-sm text-center">
             Already have an account? <a href="/login" className="text-blue-600 underline">Login</a>
           </p>
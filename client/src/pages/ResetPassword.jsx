@@ -0,0 +1,114 @@
+import React, { useState } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { Lock, AlertCircle, CheckCircle } from 'lucide-react';
+import SEOHead from '../components/SEOHead';
+import Button from '../components/ui/Button';
+import { resetPassword } from '../services/authService';
+
+const ResetPassword = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+
+  const [password, setPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [error, setError] = useState('');
+  const [done, setDone] = useState(false);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    if (password.length < 8) {
+      setError('Password must be at least 8 characters long');
+      return;
+    }
+    if (password !== confirmPassword) {
+      setError('Passwords do not match');
+      return;
+    }
+    setIsSubmitting(true);
+    try {
+      await resetPassword(token, password);
+      setDone(true);
+    } catch (err) {
+      setError(err.message || 'Failed to reset password');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <>
+      <SEOHead
+        title="Reset Password - Haven Word Church"
+        description="Choose a new password for your Haven Word Church member account."
+      />
+      <div className="min-h-screen bg-gradient-to-br from-blue-50 via-white to-purple-50 py-12 px-4 sm:px-6 lg:px-8 pt-24">
+        <div className="max-w-md mx-auto bg-white rounded-lg shadow-lg p-6">
+          <h1 className="text-2xl font-bold text-gray-900 mb-4 text-center">Reset Password</h1>
+
+          {!token ? (
+            <div className="p-3 rounded-lg flex items-center bg-red-50 text-red-700 border border-red-200">
+              <AlertCircle className="w-5 h-5 mr-2 flex-shrink-0" />
+              <span className="text-sm">This reset link is incomplete. Please use the link from your email.</span>
+            </div>
+          ) : done ? (
+            <div className="text-center">
+              <div className="p-3 mb-4 rounded-lg flex items-center bg-green-50 text-green-700 border border-green-200">
+                <CheckCircle className="w-5 h-5 mr-2 flex-shrink-0" />
+                <span className="text-sm">Your password has been reset. All devices have been signed out.</span>
+              </div>
+              <Link to="/login" className="text-blue-600 hover:text-blue-700 font-medium">
+                Continue to Sign In
+              </Link>
+            </div>
+          ) : (
+            <form onSubmit={handleSubmit} className="space-y-4">
+              {error && (
+                <div className="p-3 rounded-lg flex items-center bg-red-50 text-red-700 border border-red-200">
+                  <AlertCircle className="w-5 h-5 mr-2 flex-shrink-0" />
+                  <span className="text-sm">{error}</span>
+                </div>
+              )}
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">New Password</label>
+                <div className="relative">
+                  <Lock className="absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400 w-5 h-5" />
+                  <input
+                    type="password"
+                    value={password}
+                    onChange={(e) => setPassword(e.target.value)}
+                    className="w-full pl-10 pr-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 text-gray-900"
+                    placeholder="At least 8 characters"
+                    autoComplete="new-password"
+                    required
+                  />
+                </div>
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Confirm New Password</label>
+                <div className="relative">
+                  <Lock className="absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400 w-5 h-5" />
+                  <input
+                    type="password"
+                    value={confirmPassword}
+                    onChange={(e) => setConfirmPassword(e.target.value)}
+                    className="w-full pl-10 pr-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 text-gray-900"
+                    placeholder="Confirm your new password"
+                    autoComplete="new-password"
+                    required
+                  />
+                </div>
+              </div>
+              <Button type="submit" variant="primary" size="lg" fullWidth loading={isSubmitting} disabled={isSubmitting}>
+                Reset Password
+              </Button>
+            </form>
+          )}
+        </div>
+      </div>
+    </>
+  );
+};
+
+export default ResetPassword;
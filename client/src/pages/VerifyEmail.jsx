@@ -0,0 +1,63 @@
+import React, { useEffect, useState } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { AlertCircle, CheckCircle } from 'lucide-react';
+import SEOHead from '../components/SEOHead';
+import LoadingSpinner from '../components/common/LoadingSpinner';
+import { verifyEmail } from '../services/authService';
+
+const VerifyEmail = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const [status, setStatus] = useState(token ? 'verifying' : 'error');
+  const [message, setMessage] = useState(token ? '' : 'This verification link is incomplete. Please use the link from your email.');
+
+  useEffect(() => {
+    if (!token) return;
+    verifyEmail(token)
+      .then((data) => {
+        setStatus('success');
+        setMessage(data.message || 'Email verified successfully');
+      })
+      .catch((err) => {
+        setStatus('error');
+        setMessage(err.message || 'This verification link is invalid or has expired.');
+      });
+  }, [token]);
+
+  return (
+    <>
+      <SEOHead
+        title="Verify Email - Haven Word Church"
+        description="Confirm the email address for your Haven Word Church member account."
+      />
+      <div className="min-h-screen bg-gradient-to-br from-blue-50 via-white to-purple-50 py-12 px-4 sm:px-6 lg:px-8 pt-24">
+        <div className="max-w-md mx-auto bg-white rounded-lg shadow-lg p-6 text-center">
+          <h1 className="text-2xl font-bold text-gray-900 mb-4">Email Verification</h1>
+          {status === 'verifying' ? (
+            <LoadingSpinner size="lg" text="Verifying your email..." />
+          ) : (
+            <>
+              <div className={`p-3 mb-4 rounded-lg flex items-center ${
+                status === 'success'
+                  ? 'bg-green-50 text-green-700 border border-green-200'
+                  : 'bg-red-50 text-red-700 border border-red-200'
+              }`}>
+                {status === 'success' ? (
+                  <CheckCircle className="w-5 h-5 mr-2 flex-shrink-0" />
+                ) : (
+                  <AlertCircle className="w-5 h-5 mr-2 flex-shrink-0" />
+                )}
+                <span className="text-sm">{message}</span>
+              </div>
+              <Link to="/login" className="text-blue-600 hover:text-blue-700 font-medium">
+                {status === 'success' ? 'Continue to Sign In' : 'Back to Sign In'}
+              </Link>
+            </>
+          )}
+        </div>
+      </div>
+    </>
+  );
+};
+
+export default VerifyEmail;
@@ -0,0 +1,159 @@
+import React, { useState } from 'react';
+import { useSearchParams } from 'react-router-dom';
+import { CheckCircle } from 'lucide-react';
+import SEOHead from '../components/common/SEOHead';
+import Button from '../components/ui/Button';
+import { submitVisitorCard } from '../services/visitorService';
+import { VISITOR_SOURCES } from '@haven-word-church/shared/constants';
+
+const INPUT_CLASS = 'w-full px-3 py-2 border border-gray-300 rounded-lg text-gray-900 focus:ring-2 focus:ring-blue-500 focus:border-transparent';
+
+const SOURCE_LABELS = {
+  [VISITOR_SOURCES.FRIEND]: 'A friend or family member',
+  [VISITOR_SOURCES.SOCIAL_MEDIA]: 'Social media',
+  [VISITOR_SOURCES.WEBSITE]: 'Our website',
+  [VISITOR_SOURCES.OUTREACH]: 'An outreach or event',
+  [VISITOR_SOURCES.PASSING_BY]: 'I was passing by',
+  [VISITOR_SOURCES.OTHER]: 'Other'
+};
+
+const EMPTY_CARD = { name: '', email: '', phone: '', howHeard: '', prayerRequest: '' };
+
+/**
+ * Visitor Card Page
+ * A digital welcome card for first-time guests; no account needed. A
+ * service's QR code can link here with ?event=<id>.
+ */
+const VisitorCard = () => {
+  const [searchParams] = useSearchParams();
+  const [card, setCard] = useState(EMPTY_CARD);
+  const [errors, setErrors] = useState({});
+  const [submitting, setSubmitting] = useState(false);
+  const [submitted, setSubmitted] = useState('');
+
+  const handleChange = (field, value) => {
+    setCard((prev) => ({ ...prev, [field]: value }));
+    setErrors((prev) => ({ ...prev, [field]: undefined, contact: undefined, form: undefined }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+    try {
+      const result = await submitVisitorCard({ ...card, event: searchParams.get('event') || undefined });
+      setSubmitted(result.message);
+      setCard(EMPTY_CARD);
+    } catch (err) {
+      setErrors(err.errors || { form: err.message || 'Something went wrong. Please try again.' });
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const renderError = (field) => errors[field] && (
+    <p className="mt-1 text-sm text-red-600">{errors[field]}</p>
+  );
+
+  return (
+    <div className="max-w-xl mx-auto py-12 px-4">
+      <SEOHead
+        title="Visitor Card - Haven Word Church"
+        description="New to Haven Word Church? Tell us a little about yourself so we can welcome you."
+      />
+
+      <h1 className="text-3xl font-bold text-primary-700 dark:text-white mb-2">Welcome to Haven Word Church</h1>
+      <p className="text-gray-600 dark:text-gray-400 mb-8">
+        We are so glad you joined us. Leave your details and someone from our welcome team will be in touch.
+      </p>
+
+      {submitted ? (
+        <div className="bg-green-50 border border-green-200 rounded-lg p-6 text-center" role="status">
+          <CheckCircle className="w-12 h-12 text-green-600 mx-auto mb-3" />
+          <p className="text-green-800 font-medium">{submitted}</p>
+          <button className="mt-4 text-sm text-blue-700 underline" onClick={() => setSubmitted('')}>
+            Fill in another card
+          </button>
+        </div>
+      ) : (
+        <form onSubmit={handleSubmit} className="bg-white dark:bg-gray-900 rounded-lg shadow p-6 space-y-4" noValidate>
+          <div>
+            <label htmlFor="visitor-name" className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">Full name *</label>
+            <input
+              id="visitor-name"
+              className={INPUT_CLASS}
+              value={card.name}
+              onChange={(e) => handleChange('name', e.target.value)}
+              autoComplete="name"
+              required
+            />
+            {renderError('name')}
+          </div>
+
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+            <div>
+              <label htmlFor="visitor-email" className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">Email</label>
+              <input
+                id="visitor-email"
+                type="email"
+                className={INPUT_CLASS}
+                value={card.email}
+                onChange={(e) => handleChange('email', e.target.value)}
+                autoComplete="email"
+              />
+              {renderError('email')}
+            </div>
+            <div>
+              <label htmlFor="visitor-phone" className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">Phone</label>
+              <input
+                id="visitor-phone"
+                type="tel"
+                className={INPUT_CLASS}
+                value={card.phone}
+                onChange={(e) => handleChange('phone', e.target.value)}
+                autoComplete="tel"
+              />
+              {renderError('phone')}
+            </div>
+          </div>
+          {renderError('contact')}
+
+          <div>
+            <label htmlFor="visitor-how-heard" className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">How did you hear about us?</label>
+            <select
+              id="visitor-how-heard"
+              className={INPUT_CLASS}
+              value={card.howHeard}
+              onChange={(e) => handleChange('howHeard', e.target.value)}
+            >
+              <option value="">Choose one...</option>
+              {Object.values(VISITOR_SOURCES).map((source) => (
+                <option key={source} value={source}>{SOURCE_LABELS[source]}</option>
+              ))}
+            </select>
+            {renderError('howHeard')}
+          </div>
+
+          <div>
+            <label htmlFor="visitor-prayer" className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">How can we pray for you?</label>
+            <textarea
+              id="visitor-prayer"
+              rows={4}
+              className={INPUT_CLASS}
+              value={card.prayerRequest}
+              onChange={(e) => handleChange('prayerRequest', e.target.value)}
+            />
+            {renderError('prayerRequest')}
+          </div>
+
+          {errors.form && <p className="text-sm text-red-600">{errors.form}</p>}
+
+          <Button type="submit" disabled={submitting}>
+            {submitting ? 'Sending...' : 'Send Visitor Card'}
+          </Button>
+        </form>
+      )}
+    </div>
+  );
+};
+
+export default VisitorCard;
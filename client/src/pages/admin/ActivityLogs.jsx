@@ -101,6 +101,10 @@ const ActivityLogs = () => {
           <option value="bulk_action">Bulk Action</option>
           <option value="settings_change">Settings Change</option>
           <option value="password_change">Password Change</option>
+          <option value="role_change">Role Change</option>
+          <option value="two_factor">Two-Factor</option>
+          <option value="account_lock">Account Lock</option>
+          <option value="account_unlock">Account Unlock</option>
           <option value="error">Error</option>
           <option value="other">Other</option>
         </select>
@@ -19,6 +19,151 @@ const AdminDashboard = () => (
           Manage Users
         </Link>
       </div>
+      {/* Households */}
+      <div className="bg-white dark:bg-gray-900 rounded-lg shadow p-6">
+        <h2 className="text-xl font-semibold mb-2 text-teal-700 dark:text-teal-300">Households</h2>
+        <p className="text-gray-600 dark:text-gray-400 mb-4">Link families together and check in whole households.</p>
+        <Link
+          to="/admin/households"
+          className="inline-block px-4 py-2 rounded bg-teal-600 text-white font-medium hover:bg-teal-700 transition"
+        >
+          Manage Households
+        </Link>
+      </div>
+      {/* Events */}
+      <div className="bg-white dark:bg-gray-900 rounded-lg shadow p-6">
+        <h2 className="text-xl font-semibold mb-2 text-violet-700 dark:text-violet-300">Events</h2>
+        <p className="text-gray-600 dark:text-gray-400 mb-4">Create events and recurring services, move or cancel single dates, and take attendance.</p>
+        <Link
+          to="/admin/events"
+          className="inline-block px-4 py-2 rounded bg-violet-600 text-white font-medium hover:bg-violet-700 transition"
+        >
+          Manage Events
+        </Link>
+      </div>
+      {/* Check-In */}
+      <div className="bg-white dark:bg-gray-900 rounded-lg shadow p-6">
+        <h2 className="text-xl font-semibold mb-2 text-cyan-700 dark:text-cyan-300">Check-In</h2>
+        <p className="text-gray-600 dark:text-gray-400 mb-4">Project or print a code members scan to check themselves in, or take attendance as an usher, even without signal.</p>
+        <div className="flex flex-wrap gap-2">
+          <Link
+            to="/admin/check-in-qr"
+            className="inline-block px-4 py-2 rounded bg-cyan-600 text-white font-medium hover:bg-cyan-700 transition"
+          >
+            Show Check-In Code
+          </Link>
+          <Link
+            to="/admin/usher-attendance"
+            className="inline-block px-4 py-2 rounded bg-cyan-100 text-cyan-700 font-medium hover:bg-cyan-200 transition"
+          >
+            Usher Attendance
+          </Link>
+        </div>
+      </div>
+      {/* Children's Ministry */}
+      <div className="bg-white dark:bg-gray-900 rounded-lg shadow p-6">
+        <h2 className="text-xl font-semibold mb-2 text-pink-700 dark:text-pink-300">Children&apos;s Ministry</h2>
+        <p className="text-gray-600 dark:text-gray-400 mb-4">Secure kiosk check-in with pickup codes and live classroom rosters.</p>
+        <div className="flex flex-wrap gap-2">
+          <Link
+            to="/admin/children-check-in"
+            className="inline-block px-4 py-2 rounded bg-pink-600 text-white font-medium hover:bg-pink-700 transition"
+          >
+            Check-In Kiosk
+          </Link>
+          <Link
+            to="/admin/classroom-roster"
+            className="inline-block px-4 py-2 rounded bg-pink-100 text-pink-700 font-medium hover:bg-pink-200 transition"
+          >
+            Classroom Roster
+          </Link>
+        </div>
+      </div>
+      {/* Visitor Follow-Up */}
+      <div className="bg-white dark:bg-gray-900 rounded-lg shadow p-6">
+        <h2 className="text-xl font-semibold mb-2 text-amber-700 dark:text-amber-300">Visitor Follow-Up</h2>
+        <p className="text-gray-600 dark:text-gray-400 mb-4">Track every first-timer from welcome email to newcomers class.</p>
+        <div className="flex flex-wrap gap-2">
+          <Link
+            to="/admin/visitor-follow-up"
+            className="inline-block px-4 py-2 rounded bg-amber-600 text-white font-medium hover:bg-amber-700 transition"
+          >
+            Follow-Up Board
+          </Link>
+          <Link
+            to="/visitor-card"
+            className="inline-block px-4 py-2 rounded bg-amber-100 text-amber-700 font-medium hover:bg-amber-200 transition"
+          >
+            Visitor Card
+          </Link>
+        </div>
+      </div>
+      {/* Pastoral Care */}
+      <div className="bg-white dark:bg-gray-900 rounded-lg shadow p-6">
+        <h2 className="text-xl font-semibold mb-2 text-rose-700 dark:text-rose-300">Pastoral Care</h2>
+        <p className="text-gray-600 dark:text-gray-400 mb-4">Regular members who have stopped coming, with their attendance trend.</p>
+        <Link
+          to="/admin/pastoral-care"
+          className="inline-block px-4 py-2 rounded bg-rose-600 text-white font-medium hover:bg-rose-700 transition"
+        >
+          At-Risk Members
+        </Link>
+      </div>
+      {/* Pledge Campaigns */}
+      <div className="bg-white dark:bg-gray-900 rounded-lg shadow p-6">
+        <h2 className="text-xl font-semibold mb-2 text-emerald-700 dark:text-emerald-300">Pledge Campaigns</h2>
+        <p className="text-gray-600 dark:text-gray-400 mb-4">Campaign targets against what has been pledged and given, and recurring giving.</p>
+        <Link
+          to="/admin/pledges"
+          className="inline-block px-4 py-2 rounded bg-emerald-600 text-white font-medium hover:bg-emerald-700 transition"
+        >
+          Manage Pledges
+        </Link>
+      </div>
+      {/* Finance */}
+      <div className="bg-white dark:bg-gray-900 rounded-lg shadow p-6">
+        <h2 className="text-xl font-semibold mb-2 text-teal-700 dark:text-teal-300">Finance</h2>
+        <p className="text-gray-600 dark:text-gray-400 mb-4">All gifts, counted offerings, bank reconciliation and fund reports.</p>
+        <Link
+          to="/admin/finance"
+          className="inline-block px-4 py-2 rounded bg-teal-600 text-white font-medium hover:bg-teal-700 transition"
+        >
+          Open Finance
+        </Link>
+      </div>
+      {/* Ministry Budgets */}
+      <div className="bg-white dark:bg-gray-900 rounded-lg shadow p-6">
+        <h2 className="text-xl font-semibold mb-2 text-orange-700 dark:text-orange-300">Ministry Budgets</h2>
+        <p className="text-gray-600 dark:text-gray-400 mb-4">Set ministry budgets and approve expense requests from leaders.</p>
+        <Link
+          to="/member/ministry-expenses"
+          className="inline-block px-4 py-2 rounded bg-orange-600 text-white font-medium hover:bg-orange-700 transition"
+        >
+          Review Expenses
+        </Link>
+      </div>
+      {/* Roles & Permissions */}
+      <div className="bg-white dark:bg-gray-900 rounded-lg shadow p-6">
+        <h2 className="text-xl font-semibold mb-2 text-indigo-700 dark:text-indigo-300">Roles & Permissions</h2>
+        <p className="text-gray-600 dark:text-gray-400 mb-4">Choose what each role is allowed to do.</p>
+        <Link
+          to="/admin/permissions"
+          className="inline-block px-4 py-2 rounded bg-indigo-600 text-white font-medium hover:bg-indigo-700 transition"
+        >
+          Edit Permissions
+        </Link>
+      </div>
+      {/* Sign-in Security */}
+      <div className="bg-white dark:bg-gray-900 rounded-lg shadow p-6">
+        <h2 className="text-xl font-semibold mb-2 text-red-700 dark:text-red-300">Sign-in Security</h2>
+        <p className="text-gray-600 dark:text-gray-400 mb-4">Review failed sign-ins, locked accounts and blocked addresses.</p>
+        <Link
+          to="/admin/login-security"
+          className="inline-block px-4 py-2 rounded bg-red-600 text-white font-medium hover:bg-red-700 transition"
+        >
+          View Sign-in Activity
+        </Link>
+      </div>
       {/* Content Moderation */}
       <div className="bg-white dark:bg-gray-900 rounded-lg shadow p-6">
         <h2 className="text-xl font-semibold mb-2 text-green-700 dark:text-green-300">Content Moderation</h2>
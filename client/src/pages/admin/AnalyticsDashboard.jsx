@@ -2,6 +2,7 @@ import React, { useState, useEffect, useCallback } from 'react';
 import { useAuth } from '../../hooks/useAuth';
 import { useApi } from '../../hooks/useApi';
 import LoadingSpinner from '../../components/common/LoadingSpinner';
+import { getAttendanceForecast } from '../../services/analyticsService';
 import { 
   Users, 
   FileText, 
@@ -11,9 +12,21 @@ import {
   Activity,
   BarChart3,
   PieChart,
-  Download
+  Download,
+  AlertTriangle
 } from 'lucide-react';
 
+const FORECAST_WARNINGS = {
+  overflow: { label: 'Expect overflow', className: 'bg-red-100 text-red-700 dark:bg-red-900 dark:text-red-300' },
+  near_capacity: { label: 'Near capacity', className: 'bg-yellow-100 text-yellow-800 dark:bg-yellow-900 dark:text-yellow-300' }
+};
+
+const CONFIDENCE_LABELS = {
+  high: 'High confidence',
+  medium: 'Medium confidence',
+  low: 'Low confidence'
+};
+
 const AnalyticsDashboard = () => {
   const { user } = useAuth();
   const { apiCall } = useApi();
@@ -27,6 +40,8 @@ const AnalyticsDashboard = () => {
     topContent: [],
     recentActivity: []
   });
+  const [forecast, setForecast] = useState({ forecasts: [], summary: {} });
+  const [forecastDays, setForecastDays] = useState(28);
 
   const loadAnalytics = useCallback(async () => {
     setLoading(true);
@@ -40,12 +55,27 @@ const AnalyticsDashboard = () => {
     }
   }, [apiCall, timeRange]);
 
+  const loadForecast = useCallback(async () => {
+    try {
+      const response = await getAttendanceForecast({ days: forecastDays });
+      setForecast(response.data || { forecasts: [], summary: {} });
+    } catch (error) {
+      console.error('Error loading attendance forecast:', error);
+    }
+  }, [forecastDays]);
+
   useEffect(() => {
     if (user && user.role === 'admin') {
       loadAnalytics();
     }
   }, [user, timeRange, loadAnalytics]);
 
+  useEffect(() => {
+    if (user && user.role === 'admin') {
+      loadForecast();
+    }
+  }, [user, loadForecast]);
+
   const formatNumber = (num) => {
     if (num >= 1000000) return (num / 1000000).toFixed(1) + 'M';
     if (num >= 1000) return (num / 1000).toFixed(1) + 'K';
@@ -96,6 +126,8 @@ const AnalyticsDashboard = () => {
     </div>
   );
 
+  const overflowing = forecast.forecasts.filter((item) => item.warning === 'overflow');
+
   if (!user || user.role !== 'admin') {
     return (
       <div className="max-w-4xl mx-auto py-12 px-4">
@@ -148,6 +180,22 @@ const AnalyticsDashboard = () => {
         </p>
       </div>
 
+      {/* Capacity Warning */}
+      {overflowing.length > 0 && (
+        <div className="mb-8 flex items-start p-4 rounded-lg border border-red-200 bg-red-50 dark:bg-red-900/30 dark:border-red-800">
+          <AlertTriangle className="w-5 h-5 text-red-600 mr-3 mt-0.5 flex-shrink-0" />
+          <div>
+            <p className="font-semibold text-red-700 dark:text-red-300">
+              Expect overflow at {overflowing.length} upcoming {overflowing.length === 1 ? 'event' : 'events'}
+            </p>
+            <p className="text-sm text-red-600 dark:text-red-400">
+              {overflowing.map((item) => `${item.event.title} (${new Date(item.event.startDate).toLocaleDateString()})`).join(', ')}
+              {' '}- plan overflow seating, extra ushers or an additional service.
+            </p>
+          </div>
+        </div>
+      )}
+
       {/* Overview Stats */}
       <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6 mb-8">
         <StatCard
@@ -180,6 +228,86 @@ const AnalyticsDashboard = () => {
         />
       </div>
 
+      {/* Attendance Forecast */}
+      <ChartCard title="Attendance Forecast" className="mb-8">
+        <div className="flex items-center justify-between mb-4">
+          <p className="text-sm text-gray-500">
+            Expected turnout from past attendance, holidays and registrations, against venue capacity
+          </p>
+          <select
+            value={forecastDays}
+            onChange={(e) => setForecastDays(Number(e.target.value))}
+            className="px-3 py-1 border border-gray-300 rounded-md text-sm dark:bg-gray-700 dark:border-gray-600 dark:text-white"
+          >
+            <option value={7}>Next 7 days</option>
+            <option value={28}>Next 4 weeks</option>
+            <option value={90}>Next 90 days</option>
+          </select>
+        </div>
+        {forecast.forecasts.length > 0 ? (
+          <div className="space-y-4">
+            {forecast.forecasts.map((item) => {
+              const scale = Math.max(item.capacity || 0, item.range?.high || 0, item.expected || 0, 1);
+              const warning = FORECAST_WARNINGS[item.warning];
+              return (
+                <div key={item.event._id}>
+                  <div className="flex items-center justify-between text-sm mb-1">
+                    <div>
+                      <span className="font-medium text-gray-900 dark:text-white">{item.event.title}</span>
+                      <span className="text-gray-500 ml-2">
+                        {new Date(item.event.startDate).toLocaleDateString()} {item.event.startTime}
+                        {item.factors.holiday && ` · ${item.factors.holiday.name}`}
+                      </span>
+                    </div>
+                    <div className="flex items-center space-x-2">
+                      {warning && (
+                        <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${warning.className}`}>
+                          {warning.label}
+                        </span>
+                      )}
+                      <span className="text-xs text-gray-500">{CONFIDENCE_LABELS[item.confidence]}</span>
+                    </div>
+                  </div>
+                  {item.expected !== null ? (
+                    <>
+                      <div className="relative h-4 bg-gray-100 dark:bg-gray-700 rounded">
+                        <div
+                          className="absolute h-4 bg-blue-200 dark:bg-blue-900 rounded"
+                          style={{ left: `${(item.range.low / scale) * 100}%`, width: `${((item.range.high - item.range.low) / scale) * 100}%` }}
+                        />
+                        <div
+                          className={`absolute h-4 rounded ${item.warning === 'overflow' ? 'bg-red-500' : 'bg-blue-500'}`}
+                          style={{ width: `${(item.expected / scale) * 100}%`, opacity: 0.8 }}
+                        />
+                        {item.capacity && (
+                          <div
+                            className="absolute -top-1 h-6 w-0.5 bg-gray-900 dark:bg-white"
+                            style={{ left: `${(item.capacity / scale) * 100}%` }}
+                            title={`Capacity ${item.capacity}`}
+                          />
+                        )}
+                      </div>
+                      <p className="text-xs text-gray-500 mt-1">
+                        Expect {formatNumber(item.expected)} ({item.range.low}-{item.range.high})
+                        {item.capacity ? ` of ${formatNumber(item.capacity)} seats (${item.utilisation}%)` : ' - no capacity set'}
+                        {item.factors.registered > 0 && ` · ${item.factors.registered} registered`}
+                      </p>
+                    </>
+                  ) : (
+                    <p className="text-xs text-gray-500">Not enough history or registrations to forecast yet</p>
+                  )}
+                </div>
+              );
+            })}
+          </div>
+        ) : (
+          <div className="text-center py-8 text-gray-500">
+            <BarChart3 className="w-8 h-8 mx-auto mb-2 text-gray-400" />
+            <p>No published events in this period</p>
+          </div>
+        )}
+      </ChartCard>
+
       {/* Charts Row */}
       <div className="grid grid-cols-1 lg:grid-cols-2 gap-6 mb-8">
         {/* User Activity Chart */}
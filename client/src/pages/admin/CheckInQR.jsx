@@ -0,0 +1,130 @@
+import React, { useCallback, useEffect, useRef, useState } from 'react';
+import { useSearchParams } from 'react-router-dom';
+import { getCurrentServices, getCheckInQr } from '../../services/memberService';
+
+const formatTime = (value) => new Date(value).toLocaleTimeString('en-NG', { hour: '2-digit', minute: '2-digit', timeZone: 'Africa/Lagos' });
+
+/**
+ * Usher screen for QR self check-in. The projected code changes every few
+ * seconds, so the page fetches the next one as each expires. Printing
+ * switches to the event's fixed printed code.
+ */
+const CheckInQR = () => {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const eventId = searchParams.get('event') || '';
+  const [events, setEvents] = useState([]);
+  const [qr, setQr] = useState(null);
+  const [printedQr, setPrintedQr] = useState(null);
+  const [error, setError] = useState('');
+  const containerRef = useRef(null);
+
+  useEffect(() => {
+    getCurrentServices()
+      .then((result) => setEvents(result.data))
+      .catch(() => setEvents([]));
+  }, []);
+
+  const fetchQr = useCallback(async () => {
+    try {
+      const result = await getCheckInQr(eventId);
+      setQr(result.data);
+      setError('');
+    } catch (err) {
+      setError(err.message || 'Failed to load check-in code');
+    }
+  }, [eventId]);
+
+  // Fetch a new code as soon as the current one expires
+  useEffect(() => {
+    if (!eventId) {
+      setQr(null);
+      return undefined;
+    }
+    if (!qr || qr.event._id !== eventId) {
+      fetchQr();
+      return undefined;
+    }
+    const wait = Math.max(new Date(qr.expiresAt) - Date.now(), 1000);
+    const timer = setTimeout(fetchQr, wait);
+    return () => clearTimeout(timer);
+  }, [eventId, qr, fetchQr]);
+
+  const handlePrint = async () => {
+    try {
+      const result = await getCheckInQr(eventId, { printed: true });
+      setPrintedQr(result.data);
+      // Let the printed code render before the print dialog opens
+      setTimeout(() => window.print(), 300);
+    } catch (err) {
+      setError(err.message || 'Failed to load printable code');
+    }
+  };
+
+  const handleFullscreen = () => {
+    if (containerRef.current && containerRef.current.requestFullscreen) {
+      containerRef.current.requestFullscreen();
+    }
+  };
+
+  return (
+    <div className="max-w-3xl mx-auto py-12 px-4">
+      <div className="print:hidden flex flex-wrap items-center gap-2 mb-6">
+        <h1 className="text-2xl font-bold text-primary-700 dark:text-white flex-1">Check-In QR Code</h1>
+        <select
+          value={eventId}
+          onChange={(e) => setSearchParams(e.target.value ? { event: e.target.value } : {})}
+          className="p-2 border border-gray-300 rounded-lg text-gray-900"
+          aria-label="Event"
+        >
+          <option value="">Choose today&apos;s service or event...</option>
+          {events.map((event) => (
+            <option key={event._id} value={event._id}>{event.title} ({event.startTime})</option>
+          ))}
+        </select>
+        <button
+          className="px-4 py-2 rounded-lg bg-gray-100 text-gray-700 font-semibold hover:bg-gray-200 disabled:opacity-50"
+          disabled={!qr}
+          onClick={handleFullscreen}
+        >
+          Project
+        </button>
+        <button
+          className="px-4 py-2 rounded-lg bg-gray-100 text-gray-700 font-semibold hover:bg-gray-200 disabled:opacity-50"
+          disabled={!qr}
+          onClick={handlePrint}
+        >
+          Print
+        </button>
+      </div>
+
+      {events.length === 0 && <p className="text-gray-500 text-sm">No published events today.</p>}
+      {error && <div className="mb-4 text-red-500">{error}</div>}
+
+      {qr && (
+        <div ref={containerRef} className="print:hidden bg-white rounded-lg shadow p-8 flex flex-col items-center justify-center text-center">
+          <h2 className="text-3xl font-bold text-gray-900 mb-2">{qr.event.title}</h2>
+          <p className="text-gray-600 mb-6">Scan with your phone to check in</p>
+          <img src={qr.qrCode} alt={`Check-in code for ${qr.event.title}`} className="w-full max-w-md" />
+          <p className="mt-6 text-sm text-gray-500">
+            {qr.window ? `Check-in open ${formatTime(qr.window.opensAt)} to ${formatTime(qr.window.closesAt)}` : 'This event does not take place today'} &middot; {qr.checkedIn} checked in
+          </p>
+        </div>
+      )}
+
+      {printedQr && printedQr.event._id === eventId && (
+        <div className="hidden print:flex flex-col items-center text-center">
+          <h2 className="text-3xl font-bold text-gray-900 mb-2">{printedQr.event.title}</h2>
+          <p className="text-gray-600 mb-6">Scan with your phone to check in</p>
+          <img src={printedQr.qrCode} alt={`Printed check-in code for ${printedQr.event.title}`} className="w-full max-w-md" />
+          {printedQr.window && (
+            <p className="mt-6 text-sm text-gray-500">
+              Works from {formatTime(printedQr.window.opensAt)} to {formatTime(printedQr.window.closesAt)}{printedQr.occurrence && ' on each date'}
+            </p>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CheckInQR;
@@ -0,0 +1,266 @@
+import React, { useEffect, useState } from 'react';
+import { findCheckInHouseholds, checkInChildren } from '../../services/householdService';
+import { endpoints } from '../../services/api';
+import { CHILDREN_CLASSROOMS } from '@haven-word-church/shared/constants';
+
+const classroomName = (id) => (CHILDREN_CLASSROOMS.find((room) => room.id === id) || {}).name || id;
+
+/**
+ * Children's ministry check-in kiosk. A volunteer finds the family, picks
+ * who is dropping off and which children are staying, then prints a tag for
+ * each child and one pickup slip for the guardian with the matching code.
+ */
+const ChildrenCheckIn = () => {
+  const [events, setEvents] = useState([]);
+  const [eventId, setEventId] = useState('');
+  const [search, setSearch] = useState('');
+  const [households, setHouseholds] = useState([]);
+  const [household, setHousehold] = useState(null);
+  const [guardianId, setGuardianId] = useState('');
+  // Selected children: { [userId]: classroom }
+  const [selected, setSelected] = useState({});
+  const [result, setResult] = useState(null);
+  const [message, setMessage] = useState('');
+  const [busy, setBusy] = useState(false);
+
+  useEffect(() => {
+    endpoints.events.getUpcoming({ limit: 20 })
+      .then((res) => setEvents(res.data.data || []))
+      .catch(() => setEvents([]));
+  }, []);
+
+  const reset = () => {
+    setSearch('');
+    setHouseholds([]);
+    setHousehold(null);
+    setGuardianId('');
+    setSelected({});
+    setResult(null);
+    setMessage('');
+  };
+
+  const handleSearch = async (e) => {
+    e.preventDefault();
+    setMessage('');
+    try {
+      const { data } = await findCheckInHouseholds(search);
+      setHouseholds(data);
+      if (data.length === 0) setMessage('No family found. Check the spelling or ask at the welcome desk.');
+    } catch (err) {
+      setMessage(err.message || 'Search failed');
+    }
+  };
+
+  const chooseHousehold = (found) => {
+    setHousehold(found);
+    setGuardianId(found.adults.length === 1 ? found.adults[0]._id : '');
+    setSelected(Object.fromEntries(found.children.map((child) => [child._id, child.suggestedClassroom || ''])));
+  };
+
+  const toggleChild = (child) => {
+    setSelected((prev) => {
+      const next = { ...prev };
+      if (child._id in next) delete next[child._id];
+      else next[child._id] = child.suggestedClassroom || '';
+      return next;
+    });
+  };
+
+  const handleCheckIn = async () => {
+    const event = events.find((ev) => ev._id === eventId);
+    const children = Object.entries(selected).map(([userId, classroom]) => ({ userId, classroom }));
+    if (!event || !guardianId || children.length === 0) return;
+    if (children.some((child) => !child.classroom)) {
+      setMessage('Choose a classroom for every child.');
+      return;
+    }
+    setBusy(true);
+    setMessage('');
+    try {
+      const { data } = await checkInChildren({
+        householdId: household._id,
+        guardianId,
+        activityId: event._id,
+        activityTitle: event.title,
+        children
+      });
+      setResult(data);
+    } catch (err) {
+      setMessage(err.message || 'Check-in failed');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  if (result) {
+    return (
+      <div className="max-w-3xl mx-auto py-12 px-4">
+        <div className="print:hidden flex justify-between items-center mb-6">
+          <h1 className="text-2xl font-bold text-primary-700 dark:text-white">Checked in: {result.household.name}</h1>
+          <div className="flex gap-2">
+            <button
+              className="px-4 py-2 rounded-lg bg-blue-600 text-white font-semibold hover:bg-blue-700"
+              onClick={() => window.print()}
+            >
+              Print Tags
+            </button>
+            <button
+              className="px-4 py-2 rounded-lg bg-gray-100 text-gray-700 font-semibold hover:bg-gray-200"
+              onClick={reset}
+            >
+              Next Family
+            </button>
+          </div>
+        </div>
+
+        {result.duplicates.length > 0 && (
+          <p className="print:hidden mb-4 text-sm text-yellow-700" role="status">
+            Already checked in today (use their existing tag): {result.duplicates.map((d) => d.name).join(', ')}
+          </p>
+        )}
+
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          {result.tags.map((tag) => (
+            <div key={tag.attendanceId} className="border-2 border-gray-900 rounded-lg p-4 bg-white break-inside-avoid">
+              <div className="text-xs uppercase text-gray-500">{result.activityTitle}</div>
+              <div className="text-2xl font-bold text-gray-900">{tag.name}</div>
+              <div className="text-sm text-gray-700">{classroomName(tag.classroom)}</div>
+              {tag.allergies && <div className="mt-2 text-sm font-semibold text-red-700">Allergies: {tag.allergies}</div>}
+              {tag.medicalNotes && <div className="text-sm text-red-700">Medical: {tag.medicalNotes}</div>}
+              <div className="mt-3 text-3xl font-mono font-bold tracking-widest text-gray-900">{tag.pickupCode}</div>
+            </div>
+          ))}
+
+          {result.guardianSlip && (
+            <div className="border-2 border-dashed border-gray-900 rounded-lg p-4 bg-white break-inside-avoid">
+              <div className="text-xs uppercase text-gray-500">Guardian pickup slip</div>
+              <div className="text-lg font-bold text-gray-900">{result.guardianSlip.name}</div>
+              <div className="text-sm text-gray-700">{result.guardianSlip.children.join(', ')}</div>
+              <div className="mt-3 text-3xl font-mono font-bold tracking-widest text-gray-900">{result.guardianSlip.pickupCode}</div>
+              <div className="mt-2 text-xs text-gray-500">Show this code to collect your children. Keep it safe.</div>
+            </div>
+          )}
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="max-w-3xl mx-auto py-12 px-4">
+      <h1 className="text-2xl font-bold mb-6 text-primary-700 dark:text-white">Children&apos;s Check-In</h1>
+
+      <select
+        value={eventId}
+        onChange={(e) => setEventId(e.target.value)}
+        className="w-full p-2 mb-4 border border-gray-300 rounded-lg text-gray-900"
+        aria-label="Service or event"
+      >
+        <option value="">Choose the service or event...</option>
+        {events.map((event) => (
+          <option key={event._id} value={event._id}>{event.title}</option>
+        ))}
+      </select>
+
+      <form onSubmit={handleSearch} className="flex gap-2 mb-4">
+        <input
+          type="search"
+          placeholder="Family or parent's name"
+          value={search}
+          onChange={(e) => setSearch(e.target.value)}
+          className="flex-1 p-3 text-lg border border-gray-300 rounded-lg text-gray-900"
+        />
+        <button
+          type="submit"
+          disabled={search.trim().length < 2}
+          className="px-4 py-2 rounded-lg bg-blue-600 text-white font-semibold hover:bg-blue-700 disabled:opacity-50"
+        >
+          Find
+        </button>
+      </form>
+
+      {message && <p className="mb-4 text-sm text-gray-700 dark:text-gray-300" role="status">{message}</p>}
+
+      {!household && households.map((found) => (
+        <button
+          key={found._id}
+          onClick={() => chooseHousehold(found)}
+          className="block w-full text-left bg-white dark:bg-gray-900 rounded-lg shadow p-4 mb-2 hover:bg-blue-50"
+        >
+          <div className="font-semibold text-gray-900 dark:text-white">{found.name}</div>
+          <div className="text-sm text-gray-500">
+            {found.children.length ? found.children.map((c) => c.name).join(', ') : 'No children on file'}
+          </div>
+        </button>
+      ))}
+
+      {household && (
+        <div className="bg-white dark:bg-gray-900 rounded-lg shadow p-4">
+          <div className="flex justify-between items-center mb-4">
+            <h2 className="text-lg font-semibold text-gray-900 dark:text-white">{household.name}</h2>
+            <button className="text-sm text-blue-600" onClick={() => setHousehold(null)}>Change family</button>
+          </div>
+
+          <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1" htmlFor="guardian">
+            Dropped off by
+          </label>
+          <select
+            id="guardian"
+            value={guardianId}
+            onChange={(e) => setGuardianId(e.target.value)}
+            className="w-full p-2 mb-4 border border-gray-300 rounded-lg text-gray-900"
+          >
+            <option value="">Choose a parent or guardian...</option>
+            {household.adults.map((adult) => (
+              <option key={adult._id} value={adult._id}>{adult.name}</option>
+            ))}
+          </select>
+
+          {household.children.length === 0 ? (
+            <p className="text-sm text-gray-500">No children on file. Add them to the household first.</p>
+          ) : (
+            <ul className="divide-y divide-gray-100 mb-4">
+              {household.children.map((child) => (
+                <li key={child._id} className="py-3 flex flex-wrap items-center gap-3">
+                  <input
+                    type="checkbox"
+                    checked={child._id in selected}
+                    onChange={() => toggleChild(child)}
+                    aria-label={`Check in ${child.name}`}
+                    className="h-5 w-5"
+                  />
+                  <div className="flex-1">
+                    <div className="font-medium text-gray-900 dark:text-white">{child.name}</div>
+                    {child.allergies && <div className="text-sm text-red-600">Allergies: {child.allergies}</div>}
+                  </div>
+                  {child._id in selected && (
+                    <select
+                      value={selected[child._id]}
+                      onChange={(e) => setSelected({ ...selected, [child._id]: e.target.value })}
+                      className="p-1 border border-gray-300 rounded text-sm"
+                      aria-label={`Classroom for ${child.name}`}
+                    >
+                      <option value="">Classroom...</option>
+                      {CHILDREN_CLASSROOMS.map((room) => (
+                        <option key={room.id} value={room.id}>{room.name} ({room.minAge}-{room.maxAge})</option>
+                      ))}
+                    </select>
+                  )}
+                </li>
+              ))}
+            </ul>
+          )}
+
+          <button
+            className="w-full px-4 py-3 rounded-lg bg-green-600 text-white text-lg font-semibold hover:bg-green-700 disabled:opacity-50"
+            disabled={busy || !eventId || !guardianId || Object.keys(selected).length === 0}
+            onClick={handleCheckIn}
+          >
+            {busy ? 'Checking in...' : 'Check In & Print Tags'}
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ChildrenCheckIn;
@@ -0,0 +1,137 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { getClassroomRoster, checkOutChild } from '../../services/householdService';
+import { CHILDREN_CLASSROOMS } from '@haven-word-church/shared/constants';
+
+// The roster refreshes itself so new arrivals appear without a reload
+const REFRESH_MS = 15000;
+
+const formatTime = (value) => new Date(value).toLocaleTimeString('en-NG', { hour: '2-digit', minute: '2-digit' });
+
+/**
+ * Live roster for a children's classroom teacher: who is in the room,
+ * their allergies and medical notes, and pickup with the guardian's code.
+ */
+const ClassroomRoster = () => {
+  const [classroom, setClassroom] = useState(CHILDREN_CLASSROOMS[0].id);
+  const [records, setRecords] = useState([]);
+  const [summary, setSummary] = useState(null);
+  const [error, setError] = useState('');
+  const [codes, setCodes] = useState({});
+  const [pickupErrors, setPickupErrors] = useState({});
+
+  const fetchRoster = useCallback(async () => {
+    try {
+      const result = await getClassroomRoster({ classroom });
+      setRecords(result.data);
+      setSummary(result.summary);
+      setError('');
+    } catch (err) {
+      setError(err.message || 'Failed to load roster');
+    }
+  }, [classroom]);
+
+  useEffect(() => {
+    fetchRoster();
+    const timer = setInterval(fetchRoster, REFRESH_MS);
+    return () => clearInterval(timer);
+  }, [fetchRoster]);
+
+  const handlePickup = async (record) => {
+    try {
+      await checkOutChild(record._id, codes[record._id] || '');
+      setCodes((prev) => ({ ...prev, [record._id]: '' }));
+      setPickupErrors((prev) => ({ ...prev, [record._id]: '' }));
+      fetchRoster();
+    } catch (err) {
+      setPickupErrors((prev) => ({ ...prev, [record._id]: err.message || 'Pickup failed' }));
+    }
+  };
+
+  const present = records.filter((record) => !record.checkOutTime);
+  const pickedUp = records.filter((record) => record.checkOutTime);
+
+  return (
+    <div className="max-w-4xl mx-auto py-12 px-4">
+      <div className="flex flex-wrap justify-between items-center gap-2 mb-6">
+        <h1 className="text-2xl font-bold text-primary-700 dark:text-white">Classroom Roster</h1>
+        <select
+          value={classroom}
+          onChange={(e) => setClassroom(e.target.value)}
+          className="p-2 border border-gray-300 rounded-lg text-gray-900"
+          aria-label="Classroom"
+        >
+          {CHILDREN_CLASSROOMS.map((room) => (
+            <option key={room.id} value={room.id}>{room.name}</option>
+          ))}
+        </select>
+      </div>
+
+      {summary && (
+        <p className="mb-4 text-sm text-gray-600 dark:text-gray-400">
+          {summary.present} in the room, {summary.pickedUp} picked up
+        </p>
+      )}
+      {error && <div className="mb-4 text-red-500">{error}</div>}
+
+      {present.length === 0 ? (
+        <p className="text-gray-500 text-sm mb-6">No children checked in to this classroom yet.</p>
+      ) : (
+        <ul className="space-y-3 mb-8">
+          {present.map((record) => (
+            <li key={record._id} className="bg-white dark:bg-gray-900 rounded-lg shadow p-4">
+              <div className="flex flex-wrap justify-between gap-3">
+                <div>
+                  <div className="font-semibold text-gray-900 dark:text-white">{record.user?.name}</div>
+                  <div className="text-sm text-gray-500">
+                    {record.childCheckIn.household?.name} &middot; dropped off by {record.childCheckIn.guardian?.name}
+                    {record.childCheckIn.guardian?.phone && ` (${record.childCheckIn.guardian.phone})`} at {formatTime(record.checkInTime)}
+                  </div>
+                  {record.childCheckIn.allergies && (
+                    <div className="mt-1 text-sm font-semibold text-red-700">Allergies: {record.childCheckIn.allergies}</div>
+                  )}
+                  {record.childCheckIn.medicalNotes && (
+                    <div className="text-sm text-red-700 whitespace-pre-line">Medical: {record.childCheckIn.medicalNotes}</div>
+                  )}
+                </div>
+                <div className="flex items-start gap-2">
+                  <input
+                    type="text"
+                    placeholder="Pickup code"
+                    value={codes[record._id] || ''}
+                    onChange={(e) => setCodes({ ...codes, [record._id]: e.target.value })}
+                    onKeyDown={(e) => e.key === 'Enter' && handlePickup(record)}
+                    className="w-28 p-1 border border-gray-300 rounded text-sm font-mono uppercase text-gray-900"
+                    aria-label={`Pickup code for ${record.user?.name}`}
+                  />
+                  <button
+                    className="px-2 py-1 rounded text-xs font-semibold bg-green-100 text-green-700 hover:bg-green-200 disabled:opacity-50"
+                    disabled={!codes[record._id]}
+                    onClick={() => handlePickup(record)}
+                  >
+                    Release
+                  </button>
+                </div>
+              </div>
+              {pickupErrors[record._id] && (
+                <p className="mt-2 text-sm text-red-600" role="alert">{pickupErrors[record._id]}</p>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {pickedUp.length > 0 && (
+        <>
+          <h2 className="text-lg font-semibold mb-2 text-gray-900 dark:text-white">Picked up</h2>
+          <ul className="text-sm text-gray-600 dark:text-gray-400 space-y-1">
+            {pickedUp.map((record) => (
+              <li key={record._id}>{record.user?.name} at {formatTime(record.checkOutTime)}</li>
+            ))}
+          </ul>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default ClassroomRoster;
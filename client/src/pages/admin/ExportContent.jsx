@@ -1,8 +1,12 @@
 import React, { useEffect, useState, useRef } from 'react';
 import { endpoints } from '../../services/api';
+import { emailStatements } from '../../services/givingService';
 import LoadingSpinner from '../../components/common/LoadingSpinner';
 import Button from '../../components/ui/Button';
-import { Download, Trash2, FilePlus, RefreshCw, CheckCircle, XCircle } from 'lucide-react';
+import { Download, Trash2, FilePlus, RefreshCw, CheckCircle, XCircle, FileText, Mail } from 'lucide-react';
+
+// Statements are usually for last year
+const STATEMENT_YEARS = Array.from({ length: 6 }, (_, i) => new Date().getFullYear() - i);
 
 const ExportContent = () => {
   const [options, setOptions] = useState(null);
@@ -18,6 +22,7 @@ const ExportContent = () => {
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
   const [success, setSuccess] = useState('');
+  const [statementYear, setStatementYear] = useState(String(new Date().getFullYear() - 1));
   const pollRef = useRef(null);
 
   // Fetch export options and history
@@ -83,6 +88,31 @@ const ExportContent = () => {
     }
   };
 
+  const handleStatementsExport = async () => {
+    setError('');
+    setSuccess('');
+    setProgress(null);
+    try {
+      const res = await endpoints.adminExport.createGivingStatements({ year: statementYear });
+      setExportJob(res.data.data);
+      setSuccess(`Creating ${statementYear} giving statements. Progress will update below.`);
+    } catch (err) {
+      setError(err.message || 'Failed to start statements export');
+    }
+  };
+
+  const handleEmailStatements = async () => {
+    if (!window.confirm(`Email ${statementYear} giving statements to every member who gave that year?`)) return;
+    setError('');
+    setSuccess('');
+    try {
+      const res = await emailStatements({ year: statementYear });
+      setSuccess(res.message);
+    } catch (err) {
+      setError(err.message || 'Failed to send statements');
+    }
+  };
+
   const handleDownload = async (jobId, fileName) => {
     setError('');
     setSuccess('');
@@ -210,6 +240,29 @@ const ExportContent = () => {
         </Button>
       </form>
 
+      {/* Giving Statements */}
+      <div className="bg-white dark:bg-gray-900 rounded shadow p-6 mb-8">
+        <h2 className="text-xl font-bold mb-2">Giving Statements</h2>
+        <p className="mb-4 text-gray-600 dark:text-gray-300">A PDF contribution statement for every member who gave in the year, totalled by fund.</p>
+        <div className="flex flex-wrap items-center gap-3">
+          <select
+            className="rounded border px-3 py-2 dark:bg-gray-800 dark:border-gray-700"
+            value={statementYear}
+            onChange={e => setStatementYear(e.target.value)}
+          >
+            {STATEMENT_YEARS.map(year => (
+              <option key={year} value={year}>{year}</option>
+            ))}
+          </select>
+          <Button size="sm" onClick={handleStatementsExport}>
+            <FileText className="inline w-4 h-4 mr-1" /> Download All (ZIP)
+          </Button>
+          <Button size="sm" variant="outline" onClick={handleEmailStatements}>
+            <Mail className="inline w-4 h-4 mr-1" /> Email to Givers
+          </Button>
+        </div>
+      </div>
+
       {/* Export Progress */}
       {progress && (
         <div className="mb-8 bg-gray-50 dark:bg-gray-800 rounded shadow p-4">
@@ -0,0 +1,84 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { getFunds } from '../../services/financeService';
+import DonationsTab from '../../components/finance/DonationsTab';
+import OfferingBatchesTab from '../../components/finance/OfferingBatchesTab';
+import ReconciliationTab from '../../components/finance/ReconciliationTab';
+import FundReportTab from '../../components/finance/FundReportTab';
+import FundsTab from '../../components/finance/FundsTab';
+
+const TABS = [
+  { id: 'donations', label: 'Donations' },
+  { id: 'batches', label: 'Offering Batches' },
+  { id: 'reconciliation', label: 'Reconciliation' },
+  { id: 'reports', label: 'Fund Report' },
+  { id: 'funds', label: 'Funds' }
+];
+
+/**
+ * Finance administration: every gift, cash and cheque offering batches,
+ * bank reconciliation, per-fund reports and the funds themselves. The
+ * server only answers users with the finance permission.
+ */
+const Finance = () => {
+  const [activeTab, setActiveTab] = useState('donations');
+  const [funds, setFunds] = useState([]);
+  const [error, setError] = useState('');
+  const [forbidden, setForbidden] = useState(false);
+
+  const loadFunds = useCallback(async () => {
+    try {
+      const result = await getFunds();
+      setFunds(result.data);
+      setError('');
+    } catch (err) {
+      if (err.status === 403) setForbidden(true);
+      else setError(err.message || 'Failed to load funds');
+    }
+  }, []);
+
+  useEffect(() => { loadFunds(); }, [loadFunds]);
+
+  if (forbidden) {
+    return (
+      <div className="max-w-3xl mx-auto py-12 px-4">
+        <h1 className="text-2xl font-bold text-primary-700 dark:text-white mb-4">Finance</h1>
+        <p className="text-gray-600 dark:text-gray-400">
+          You need the finance permission to see church finances. Ask an administrator if you count or record offerings.
+        </p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="max-w-6xl mx-auto py-12 px-4">
+      <h1 className="text-2xl font-bold text-primary-700 dark:text-white mb-6">Finance</h1>
+      {error && <div className="mb-4 text-red-500">{error}</div>}
+
+      <div className="mb-6 border-b border-gray-200 dark:border-gray-700">
+        <nav className="-mb-px flex flex-wrap gap-x-8">
+          {TABS.map((tab) => (
+            <button
+              key={tab.id}
+              onClick={() => setActiveTab(tab.id)}
+              className={`py-2 px-1 border-b-2 font-medium text-sm ${
+                activeTab === tab.id
+                  ? 'border-blue-500 text-blue-600 dark:text-blue-400'
+                  : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300 dark:text-gray-400 dark:hover:text-gray-300'
+              }`}
+            >
+              {tab.label}
+            </button>
+          ))}
+        </nav>
+      </div>
+
+      {activeTab === 'donations' && <DonationsTab funds={funds} />}
+      {activeTab === 'batches' && <OfferingBatchesTab funds={funds} />}
+      {activeTab === 'reconciliation' && <ReconciliationTab />}
+      {activeTab === 'reports' && <FundReportTab />}
+      {activeTab === 'funds' && <FundsTab funds={funds} onChange={loadFunds} />}
+    </div>
+  );
+};
+
+export default Finance;
@@ -0,0 +1,179 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { useNotifications } from '../../context/NotificationContext';
+import LoadingSpinner from '../../components/common/LoadingSpinner';
+import { getLoginSources, unblockIp, unlockUser } from '../../services/userService';
+
+const PERIODS = [
+  { hours: 1, label: 'Last hour' },
+  { hours: 24, label: 'Last 24 hours' },
+  { hours: 24 * 7, label: 'Last 7 days' },
+  { hours: 24 * 30, label: 'Last 30 days' }
+];
+
+const formatDateTime = (value) => new Date(value).toLocaleString();
+
+/**
+ * Suspicious sign-in sources, built from failed logins in the activity log,
+ * plus the accounts that are currently locked out.
+ */
+const LoginSecurity = () => {
+  const { showNotification } = useNotifications();
+  const [hours, setHours] = useState(24);
+  const [data, setData] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  const loadSources = useCallback(async () => {
+    setLoading(true);
+    try {
+      setData(await getLoginSources({ hours }));
+    } catch (err) {
+      showNotification(err.message || 'Failed to load sign-in activity', 'error');
+    } finally {
+      setLoading(false);
+    }
+  }, [hours, showNotification]);
+
+  useEffect(() => {
+    loadSources();
+  }, [loadSources]);
+
+  const handleUnblock = async (ip) => {
+    try {
+      await unblockIp(ip);
+      showNotification(`${ip} unblocked`, 'success');
+      loadSources();
+    } catch (err) {
+      showNotification(err.message || 'Failed to unblock address', 'error');
+    }
+  };
+
+  const handleUnlock = async (account) => {
+    try {
+      await unlockUser(account._id);
+      showNotification(`${account.email} unlocked`, 'success');
+      loadSources();
+    } catch (err) {
+      showNotification(err.message || 'Failed to unlock account', 'error');
+    }
+  };
+
+  return (
+    <div className="max-w-6xl mx-auto py-12 px-4">
+      <div className="flex items-center justify-between mb-6">
+        <h1 className="text-2xl font-bold text-primary-700 dark:text-white">Sign-in Security</h1>
+        <select
+          value={hours}
+          onChange={(e) => setHours(Number(e.target.value))}
+          className="p-2 border border-gray-300 rounded-lg text-gray-900 text-sm"
+          aria-label="Period"
+        >
+          {PERIODS.map((period) => (
+            <option key={period.hours} value={period.hours}>{period.label}</option>
+          ))}
+        </select>
+      </div>
+
+      {loading && !data ? (
+        <div className="flex justify-center py-12">
+          <LoadingSpinner size="lg" text="Loading sign-in activity..." />
+        </div>
+      ) : data && (
+        <>
+          <h2 className="text-lg font-semibold mb-3 text-gray-900 dark:text-white">Locked Accounts</h2>
+          {data.lockedAccounts.length === 0 ? (
+            <p className="text-gray-500 text-sm mb-10">No accounts are locked right now.</p>
+          ) : (
+            <div className="overflow-x-auto mb-10">
+              <table className="min-w-full bg-white dark:bg-gray-900 rounded-lg shadow text-sm">
+                <thead>
+                  <tr>
+                    <th className="px-4 py-2 text-left">Name</th>
+                    <th className="px-4 py-2 text-left">Email</th>
+                    <th className="px-4 py-2 text-left">Role</th>
+                    <th className="px-4 py-2 text-left">Locked Until</th>
+                    <th className="px-4 py-2 text-left">Actions</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {data.lockedAccounts.map((account) => (
+                    <tr key={account._id} className="border-t border-gray-200 dark:border-gray-700">
+                      <td className="px-4 py-2">{account.name}</td>
+                      <td className="px-4 py-2">{account.email}</td>
+                      <td className="px-4 py-2 capitalize">{account.role.replace('_', ' ')}</td>
+                      <td className="px-4 py-2">{formatDateTime(account.lockedUntil)}</td>
+                      <td className="px-4 py-2">
+                        <button
+                          className="px-2 py-1 rounded text-xs font-semibold bg-yellow-100 text-yellow-800 hover:bg-yellow-200"
+                          onClick={() => handleUnlock(account)}
+                        >
+                          Unlock
+                        </button>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+
+          <h2 className="text-lg font-semibold mb-1 text-gray-900 dark:text-white">Suspicious Sources</h2>
+          <p className="text-gray-500 text-sm mb-3">
+            Addresses with at least {data.minFailures} failed sign-ins. Many accounts tried from one address
+            usually means password guessing.
+          </p>
+          {data.sources.length === 0 ? (
+            <p className="text-gray-500 text-sm">No suspicious sign-in activity in this period.</p>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="min-w-full bg-white dark:bg-gray-900 rounded-lg shadow text-sm">
+                <thead>
+                  <tr>
+                    <th className="px-4 py-2 text-left">IP Address</th>
+                    <th className="px-4 py-2 text-right">Failures</th>
+                    <th className="px-4 py-2 text-right">Successes</th>
+                    <th className="px-4 py-2 text-right">Accounts Tried</th>
+                    <th className="px-4 py-2 text-left">Last Seen</th>
+                    <th className="px-4 py-2 text-left">Status</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {data.sources.map((source) => (
+                    <tr key={source.ip} className="border-t border-gray-200 dark:border-gray-700">
+                      <td className="px-4 py-2 font-mono" title={source.userAgents.join('\n')}>{source.ip}</td>
+                      <td className="px-4 py-2 text-right">{source.failures}</td>
+                      <td className="px-4 py-2 text-right">{source.successes}</td>
+                      <td className="px-4 py-2 text-right">{source.accountsTargeted}</td>
+                      <td className="px-4 py-2">{formatDateTime(source.lastSeen)}</td>
+                      <td className="px-4 py-2">
+                        {source.blockedUntil ? (
+                          <span className="inline-flex items-center gap-2">
+                            <span
+                              className="inline-block px-2 py-1 rounded bg-red-100 text-red-700 text-xs"
+                              title={`Blocked until ${formatDateTime(source.blockedUntil)}`}
+                            >
+                              Blocked
+                            </span>
+                            <button
+                              className="text-xs font-semibold text-blue-600 hover:text-blue-700"
+                              onClick={() => handleUnblock(source.ip)}
+                            >
+                              Unblock
+                            </button>
+                          </span>
+                        ) : (
+                          <span className="text-gray-500 text-xs">Allowed</span>
+                        )}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default LoginSecurity;
@@ -1,5 +1,914 @@
-import React from 'react';
+import React, { useCallback, useEffect, useState } from 'react';
+import {
+  getManagedEvents,
+  getEventOccurrences,
+  createEvent,
+  updateEvent,
+  deleteEvent,
+  restoreOccurrence,
+  getEventAttendees,
+  getEventWaitlist,
+  updateAttendance,
+  checkInTicket,
+  refundAttendee
+} from '../../services/eventService';
+import QRScanner from '../../components/common/QRScanner';
+import { formatPrice } from '../../components/events/TicketOptions';
 
-const ManageEvents = () => <div>Manage Events Page</div>;
+const CATEGORIES = [
+  'Service', 'Prayer Meeting', 'Bible Study', 'Youth Program',
+  'Children Program', 'Men Fellowship', 'Women Fellowship',
+  'Conference', 'Seminar', 'Workshop', 'Concert', 'Outreach',
+  'Community Service', 'Wedding', 'Dedication', 'Memorial',
+  'Fellowship', 'Retreat', 'Revival', 'Training', 'Other'
+];
+const TYPES = ['Regular', 'Special', 'One-time', 'Recurring'];
+const STATUSES = ['Draft', 'Published', 'Cancelled', 'Postponed', 'Completed'];
+const VISIBILITIES = ['Public', 'Members Only', 'Ministry Only', 'Private'];
+const PATTERNS = ['None', 'Daily', 'Weekly', 'Bi-weekly', 'Monthly', 'Quarterly', 'Yearly'];
+const WEEK_PATTERNS = ['Weekly', 'Bi-weekly'];
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const ATTENDANCE_STATUSES = ['Registered', 'Confirmed', 'Attended', 'No-show'];
+const DISCOUNT_TYPES = [{ value: 'percent', label: '% off' }, { value: 'fixed', label: 'off' }];
+const NEW_TICKET_TYPE = { name: '', price: '', admits: 1, quantity: '', salesStart: '', salesEnd: '', isActive: true };
+const NEW_PROMO_CODE = { code: '', discountType: 'percent', value: '', maxUses: '', validUntil: '', isActive: true };
+const SCOPES = [
+  { value: 'this', label: 'This date only' },
+  { value: 'following', label: 'This and following dates' },
+  { value: 'all', label: 'All dates' }
+];
+
+// Event days are church-local (Lagos)
+const lagosDay = (value) => new Date(value).toLocaleDateString('en-CA', { timeZone: 'Africa/Lagos' });
+const addDays = (key, days) => {
+  const date = new Date(`${key}T12:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().slice(0, 10);
+};
+const spanDays = (event) => Math.round(
+  (new Date(`${lagosDay(event.endDate)}T12:00:00Z`) - new Date(`${lagosDay(event.startDate)}T12:00:00Z`)) / 86400000
+);
+const formatDay = (value) => new Date(value).toLocaleDateString('en-NG', {
+  timeZone: 'Africa/Lagos', weekday: 'short', day: 'numeric', month: 'short', year: 'numeric'
+});
+
+// Ticket sales open at the start of their first day and close at the end of their last, Lagos time
+const lagosStart = (day) => (day ? `${day}T00:00:00+01:00` : null);
+const lagosEnd = (day) => (day ? `${day}T23:59:59+01:00` : null);
+
+const isRecurring = (event) => Boolean(event.recurrence && event.recurrence.pattern && event.recurrence.pattern !== 'None');
+
+const describeRecurrence = ({ pattern, interval = 1, daysOfWeek = [] } = {}) => {
+  if (!pattern || pattern === 'None') return 'One-off';
+  const every = interval > 1 ? `${pattern}, every ${interval}` : pattern;
+  return daysOfWeek.length && WEEK_PATTERNS.includes(pattern) ? `${every} on ${daysOfWeek.join(', ')}` : every;
+};
+
+const describeErrors = (err, fallback) => (Array.isArray(err.errors)
+  ? err.errors.map((error) => error.msg || error.message).join('. ')
+  : err.message || fallback);
+
+/**
+ * The form's values for a new event, a series, or one of its dates. Editing
+ * "this" or "following" starts from the chosen date rather than the series'.
+ */
+// Registrations and waitlist entries are a member's, or a visitor's from the RSVP form
+const registrantName = (entry) => {
+  if (entry.user) return entry.user.name;
+  return entry.contact ? `${entry.contact.firstName} ${entry.contact.lastName} (visitor)` : 'Former member';
+};
+
+const registrantContact = (entry) => {
+  const person = entry.user || entry.contact;
+  return person && (person.phone || person.email);
+};
+
+const draftFor = (event, occurrence = null, scope = 'all') => {
+  const today = new Date().toLocaleDateString('en-CA');
+  if (!event) {
+    return {
+      title: '', description: '', category: 'Service', type: 'Regular', status: 'Draft', visibility: 'Public',
+      startDate: today, endDate: today, startTime: '09:00', endTime: '11:00', venue: '',
+      requiresRegistration: false, maxAttendees: '', maxGuestsPerRegistration: 5, waitlistEnabled: true, waitlistClaimHours: 24,
+      pattern: 'None', interval: 1, daysOfWeek: [], endRecurrence: '', occurrences: '', reason: '',
+      fee: '', ticketTypes: [], promoCodes: []
+    };
+  }
+  const recurrence = event.recurrence || {};
+  const draft = {
+    title: event.title,
+    description: event.description,
+    category: event.category,
+    type: event.type,
+    status: event.status,
+    visibility: event.visibility,
+    startDate: lagosDay(event.startDate),
+    endDate: lagosDay(event.endDate),
+    startTime: event.startTime,
+    endTime: event.endTime,
+    venue: (event.location && event.location.venue) || '',
+    requiresRegistration: Boolean(event.requiresRegistration),
+    maxAttendees: event.maxAttendees || '',
+    maxGuestsPerRegistration: event.maxGuestsPerRegistration ?? 5,
+    waitlistEnabled: event.waitlistEnabled !== false,
+    waitlistClaimHours: event.waitlistClaimHours || 24,
+    fee: (event.registrationFee && event.registrationFee.amount) || '',
+    // Ticket types keep their ids so existing tickets still point at them
+    ticketTypes: (event.ticketTypes || []).map((type) => ({
+      _id: type._id,
+      name: type.name,
+      price: type.price,
+      admits: type.admits || 1,
+      quantity: type.quantity || '',
+      salesStart: type.salesStart ? lagosDay(type.salesStart) : '',
+      salesEnd: type.salesEnd ? lagosDay(type.salesEnd) : '',
+      isActive: type.isActive !== false
+    })),
+    promoCodes: (event.promoCodes || []).map((promo) => ({
+      code: promo.code,
+      discountType: promo.discountType,
+      value: promo.value,
+      maxUses: promo.maxUses || '',
+      validUntil: promo.validUntil ? lagosDay(promo.validUntil) : '',
+      ticketTypes: promo.ticketTypes || [],
+      isActive: promo.isActive !== false,
+      uses: promo.uses || 0
+    })),
+    pattern: recurrence.pattern || 'None',
+    interval: recurrence.interval || 1,
+    daysOfWeek: recurrence.daysOfWeek || [],
+    endRecurrence: recurrence.endRecurrence ? lagosDay(recurrence.endRecurrence) : '',
+    occurrences: recurrence.occurrences || '',
+    reason: ''
+  };
+  if (occurrence && scope !== 'all') {
+    draft.startDate = scope === 'this' ? lagosDay(occurrence.startDate) : occurrence.occurrence;
+    draft.endDate = addDays(draft.startDate, spanDays(event));
+  }
+  if (occurrence && scope === 'this') {
+    draft.startTime = occurrence.startTime;
+    draft.endTime = occurrence.endTime;
+    draft.venue = occurrence.location.venue || '';
+    draft.status = occurrence.status;
+    draft.reason = occurrence.exceptionReason || '';
+  }
+  return draft;
+};
+
+const toPayload = (draft, event) => ({
+  title: draft.title,
+  description: draft.description,
+  category: draft.category,
+  type: draft.type,
+  status: draft.status,
+  visibility: draft.visibility,
+  startDate: draft.startDate,
+  endDate: draft.endDate,
+  startTime: draft.startTime,
+  endTime: draft.endTime,
+  location: { ...((event && event.location) || {}), venue: draft.venue },
+  requiresRegistration: draft.requiresRegistration,
+  maxAttendees: draft.maxAttendees ? Number(draft.maxAttendees) : null,
+  maxGuestsPerRegistration: Number(draft.maxGuestsPerRegistration) || 0,
+  waitlistEnabled: draft.waitlistEnabled,
+  waitlistClaimHours: Number(draft.waitlistClaimHours) || 24,
+  registrationFee: { ...((event && event.registrationFee) || {}), amount: Number(draft.fee) || 0 },
+  ticketTypes: draft.ticketTypes.map((type) => ({
+    ...(type._id ? { _id: type._id } : {}),
+    name: type.name,
+    price: Number(type.price) || 0,
+    admits: Number(type.admits) || 1,
+    quantity: type.quantity ? Number(type.quantity) : null,
+    salesStart: lagosStart(type.salesStart),
+    salesEnd: lagosEnd(type.salesEnd),
+    isActive: type.isActive
+  })),
+  // Uses are counted by the server as tickets are bought
+  promoCodes: draft.promoCodes.map((promo) => ({
+    code: promo.code,
+    discountType: promo.discountType,
+    value: Number(promo.value) || 0,
+    maxUses: promo.maxUses ? Number(promo.maxUses) : null,
+    validUntil: lagosEnd(promo.validUntil),
+    ticketTypes: promo.ticketTypes || [],
+    isActive: promo.isActive
+  })),
+  recurrence: draft.pattern === 'None' ? { pattern: 'None' } : {
+    pattern: draft.pattern,
+    interval: Number(draft.interval) || 1,
+    daysOfWeek: WEEK_PATTERNS.includes(draft.pattern) ? draft.daysOfWeek : [],
+    endRecurrence: draft.endRecurrence || null,
+    occurrences: draft.occurrences ? Number(draft.occurrences) : null
+  }
+});
+
+// Updates send only what changed
+const changedFields = (payload, original) => Object.keys(payload).reduce((changes, field) => (
+  JSON.stringify(payload[field]) === JSON.stringify(original[field]) ? changes : { ...changes, [field]: payload[field] }
+), {});
+
+/**
+ * Events for organisers. Recurring events are edited as a series or date by
+ * date: any date can be moved or cancelled on its own, or the series changed
+ * from that date on. Registrations, attendance and waitlists are kept per date.
+ * Paid events sell ticket types, optionally discounted by promo codes; tickets
+ * are scanned at the door and can be refunded from the attendee list.
+ */
+const ManageEvents = () => {
+  const [status, setStatus] = useState('all');
+  const [events, setEvents] = useState([]);
+  const [draft, setDraft] = useState(null);
+  const [editing, setEditing] = useState(null);
+  const [selected, setSelected] = useState(null);
+  const [occurrences, setOccurrences] = useState([]);
+  const [attendance, setAttendance] = useState(null);
+  const [waitlist, setWaitlist] = useState(null);
+  // Bumped after each scan so the scanner starts again for the next ticket
+  const [scans, setScans] = useState(null);
+  const [message, setMessage] = useState('');
+  const [error, setError] = useState('');
+
+  const load = useCallback(async () => {
+    try {
+      const result = await getManagedEvents({ status, limit: 50 });
+      setEvents(result.data);
+      setError('');
+    } catch (err) {
+      setError(err.message || 'Failed to load events');
+    }
+  }, [status]);
+
+  useEffect(() => { load(); }, [load]);
+
+  const loadOccurrences = useCallback(async (event) => {
+    try {
+      const result = await getEventOccurrences(event._id);
+      setOccurrences(result.data);
+    } catch (err) {
+      setError(err.message || 'Failed to load dates');
+    }
+  }, []);
+
+  const loadAttendance = async (event, occurrence = null) => {
+    try {
+      const result = await getEventAttendees(event._id, occurrence ? { occurrence } : {});
+      setWaitlist(null);
+      setAttendance({ event, occurrence, ...result.data });
+    } catch (err) {
+      setError(err.message || 'Failed to load attendees');
+    }
+  };
+
+  const openAttendance = (event, occurrence = null) => {
+    setScans(null);
+    loadAttendance(event, occurrence);
+  };
+
+  const loadWaitlist = async (event, occurrence = null) => {
+    try {
+      const result = await getEventWaitlist(event._id, occurrence ? { occurrence } : {});
+      setAttendance(null);
+      setWaitlist({ event, ...result.data });
+    } catch (err) {
+      setError(err.message || 'Failed to load the waitlist');
+    }
+  };
+
+  const refresh = async (response) => {
+    setMessage(response.message);
+    setError('');
+    await load();
+    if (selected) await loadOccurrences(selected);
+  };
+
+  const openEditor = (event, occurrence = null, scope = 'all') => {
+    const initial = draftFor(event, occurrence, scope);
+    setEditing(event ? { event, occurrence, scope, initial } : null);
+    setDraft(initial);
+    setMessage('');
+  };
+
+  const closeEditor = () => {
+    setDraft(null);
+    setEditing(null);
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    try {
+      let response;
+      if (!editing) {
+        response = await createEvent(toPayload(draft));
+      } else if (editing.scope === 'this') {
+        response = await updateEvent(editing.event._id, {
+          scope: 'this',
+          occurrence: editing.occurrence.occurrence,
+          startDate: draft.startDate,
+          startTime: draft.startTime,
+          endTime: draft.endTime,
+          location: { venue: draft.venue },
+          status: draft.status,
+          reason: draft.reason
+        });
+      } else {
+        const changes = changedFields(toPayload(draft, editing.event), toPayload(editing.initial, editing.event));
+        if (Object.keys(changes).length === 0) {
+          closeEditor();
+          return;
+        }
+        response = await updateEvent(editing.event._id, {
+          ...changes,
+          scope: editing.scope,
+          occurrence: editing.occurrence ? editing.occurrence.occurrence : undefined
+        });
+      }
+      closeEditor();
+      await refresh(response);
+    } catch (err) {
+      setError(describeErrors(err, 'Failed to save event'));
+    }
+  };
+
+  const run = async (action) => {
+    try {
+      await refresh(await action());
+    } catch (err) {
+      setError(describeErrors(err, 'Something went wrong'));
+    }
+  };
+
+  const handleDelete = (event) => {
+    const what = isRecurring(event) ? `every date of ${event.title}` : event.title;
+    if (!window.confirm(`Delete ${what}? Registrations will be lost.`)) return;
+    if (selected && selected._id === event._id) setSelected(null);
+    run(() => deleteEvent(event._id));
+  };
+
+  const handleCancelDate = (event, occurrence) => {
+    const reason = window.prompt(`Cancel ${event.title} on ${formatDay(occurrence.startDate)}? Registered people will be told. Reason (optional):`);
+    if (reason === null) return;
+    run(() => deleteEvent(event._id, { scope: 'this', occurrence: occurrence.occurrence, reason }));
+  };
+
+  const handleEndSeries = (event, occurrence) => {
+    if (!window.confirm(`End ${event.title} before ${formatDay(occurrence.startDate)}? Later dates and their registrations will be removed.`)) return;
+    run(() => deleteEvent(event._id, { scope: 'following', occurrence: occurrence.occurrence }));
+  };
+
+  const toggleDates = (event) => {
+    if (selected && selected._id === event._id) {
+      setSelected(null);
+      return;
+    }
+    setSelected(event);
+    setAttendance(null);
+    setWaitlist(null);
+    loadOccurrences(event);
+  };
+
+  const handleAttendance = async (attendee, value) => {
+    try {
+      await updateAttendance(attendance.event._id, attendee._id, value);
+      await loadAttendance(attendance.event, attendance.occurrence);
+    } catch (err) {
+      setError(err.message || 'Failed to update attendance');
+    }
+  };
+
+  const handleRefund = async (attendee) => {
+    if (!window.confirm(`Cancel ${registrantName(attendee)}'s registration and refund ${formatPrice(attendee.ticket.amount, attendee.ticket.currency)}?`)) return;
+    try {
+      const response = await refundAttendee(attendance.event._id, attendee._id);
+      setMessage(response.message);
+      setError('');
+      await loadAttendance(attendance.event, attendance.occurrence);
+    } catch (err) {
+      setError(describeErrors(err, 'Failed to refund ticket'));
+    }
+  };
+
+  const handleScan = async (token) => {
+    try {
+      const response = await checkInTicket(attendance.event._id, token);
+      setMessage(response.message);
+      setError('');
+      await loadAttendance(attendance.event, attendance.occurrence);
+    } catch (err) {
+      setError(describeErrors(err, 'Failed to check in ticket'));
+    }
+    setScans((count) => count + 1);
+  };
+
+  const updateDraft = (field) => (e) => setDraft((prev) => ({
+    ...prev,
+    [field]: e.target.type === 'checkbox' ? e.target.checked : e.target.value
+  }));
+
+  const toggleWeekday = (day) => setDraft((prev) => ({
+    ...prev,
+    daysOfWeek: prev.daysOfWeek.includes(day) ? prev.daysOfWeek.filter((d) => d !== day) : [...prev.daysOfWeek, day]
+  }));
+
+  const updateListItem = (list, index, field) => (e) => setDraft((prev) => ({
+    ...prev,
+    [list]: prev[list].map((item, i) => (i === index
+      ? { ...item, [field]: e.target.type === 'checkbox' ? e.target.checked : e.target.value }
+      : item))
+  }));
+
+  const addListItem = (list, item) => setDraft((prev) => ({ ...prev, [list]: [...prev[list], { ...item }] }));
+
+  const removeListItem = (list, index) => setDraft((prev) => ({ ...prev, [list]: prev[list].filter((item, i) => i !== index) }));
+
+  const inputClass = 'w-full p-2 border border-gray-300 rounded text-gray-900';
+  const onlyThisDate = editing && editing.scope === 'this';
+
+  return (
+    <div className="max-w-6xl mx-auto py-12 px-4">
+      <div className="flex flex-wrap items-center gap-2 mb-6">
+        <h1 className="text-2xl font-bold text-primary-700 dark:text-white flex-1">Manage Events</h1>
+        <button
+          className="px-4 py-2 rounded-lg bg-blue-600 text-white font-semibold hover:bg-blue-700"
+          onClick={() => openEditor(null)}
+        >
+          New Event
+        </button>
+      </div>
+
+      {message && <p className="mb-4 text-sm text-gray-700 dark:text-gray-300" role="status">{message}</p>}
+      {error && <div className="mb-4 text-red-500">{error}</div>}
+
+      {draft && (
+        <form onSubmit={handleSave} className="mb-6 bg-white dark:bg-gray-900 rounded-lg shadow p-4 space-y-3 text-sm text-gray-700 dark:text-gray-300">
+          <h2 className="text-lg font-semibold text-gray-900 dark:text-white">
+            {!editing ? 'New event' : editing.occurrence ? `${editing.event.title}, ${formatDay(editing.occurrence.startDate)}` : `Edit ${editing.event.title}`}
+          </h2>
+
+          {editing && editing.occurrence && (
+            <fieldset className="flex flex-wrap gap-4">
+              <legend className="sr-only">Apply changes to</legend>
+              {SCOPES.map((scope) => (
+                <label key={scope.value} className="flex items-center gap-1">
+                  <input
+                    type="radio"
+                    name="scope"
+                    checked={editing.scope === scope.value}
+                    onChange={() => openEditor(editing.event, editing.occurrence, scope.value)}
+                  />
+                  {scope.label}
+                </label>
+              ))}
+            </fieldset>
+          )}
+
+          {!onlyThisDate && (
+            <>
+              <input value={draft.title} onChange={updateDraft('title')} placeholder="Title" className={inputClass} required />
+              <textarea value={draft.description} onChange={updateDraft('description')} placeholder="Description" rows={2} className={inputClass} required />
+              <div className="grid grid-cols-2 sm:grid-cols-4 gap-3">
+                <label>
+                  Category
+                  <select value={draft.category} onChange={updateDraft('category')} className={inputClass}>
+                    {CATEGORIES.map((value) => <option key={value} value={value}>{value}</option>)}
+                  </select>
+                </label>
+                <label>
+                  Type
+                  <select value={draft.type} onChange={updateDraft('type')} className={inputClass}>
+                    {TYPES.map((value) => <option key={value} value={value}>{value}</option>)}
+                  </select>
+                </label>
+                <label>
+                  Visibility
+                  <select value={draft.visibility} onChange={updateDraft('visibility')} className={inputClass}>
+                    {VISIBILITIES.map((value) => <option key={value} value={value}>{value}</option>)}
+                  </select>
+                </label>
+              </div>
+            </>
+          )}
+
+          <div className="grid grid-cols-2 sm:grid-cols-4 gap-3">
+            <label>
+              {onlyThisDate ? 'Date' : editing && editing.scope === 'following' ? 'New series starts' : 'Starts'}
+              <input type="date" value={draft.startDate} onChange={updateDraft('startDate')} className={inputClass} required />
+            </label>
+            {!onlyThisDate && (
+              <label>
+                Ends
+                <input type="date" value={draft.endDate} min={draft.startDate} onChange={updateDraft('endDate')} className={inputClass} required />
+              </label>
+            )}
+            <label>
+              From
+              <input type="time" value={draft.startTime} onChange={updateDraft('startTime')} className={inputClass} required />
+            </label>
+            <label>
+              To
+              <input type="time" value={draft.endTime} onChange={updateDraft('endTime')} className={inputClass} required />
+            </label>
+            <label className="col-span-2">
+              Venue
+              <input value={draft.venue} onChange={updateDraft('venue')} className={inputClass} required />
+            </label>
+            <label>
+              Status
+              <select value={draft.status} onChange={updateDraft('status')} className={inputClass}>
+                {(onlyThisDate ? ['Published', 'Cancelled'] : STATUSES).map((value) => <option key={value} value={value}>{value}</option>)}
+              </select>
+            </label>
+          </div>
+
+          {onlyThisDate && (
+            <input value={draft.reason} onChange={updateDraft('reason')} placeholder="Note shown with this date, e.g. Combined service at the stadium" maxLength={300} className={inputClass} />
+          )}
+
+          {!onlyThisDate && (
+            <>
+              <div className="grid grid-cols-2 sm:grid-cols-4 gap-3">
+                <label>
+                  Repeats
+                  <select value={draft.pattern} onChange={updateDraft('pattern')} className={inputClass}>
+                    {PATTERNS.map((value) => <option key={value} value={value}>{value === 'None' ? 'Does not repeat' : value}</option>)}
+                  </select>
+                </label>
+                {draft.pattern !== 'None' && (
+                  <>
+                    <label>
+                      Every
+                      <input type="number" min={1} max={52} value={draft.interval} onChange={updateDraft('interval')} className={inputClass} />
+                    </label>
+                    <label>
+                      Until (optional)
+                      <input type="date" value={draft.endRecurrence} min={draft.startDate} onChange={updateDraft('endRecurrence')} className={inputClass} />
+                    </label>
+                    <label>
+                      Or number of dates
+                      <input type="number" min={1} value={draft.occurrences} onChange={updateDraft('occurrences')} className={inputClass} />
+                    </label>
+                  </>
+                )}
+              </div>
+              {WEEK_PATTERNS.includes(draft.pattern) && (
+                <div className="flex flex-wrap gap-3">
+                  {WEEKDAYS.map((day) => (
+                    <label key={day} className="flex items-center gap-1">
+                      <input type="checkbox" checked={draft.daysOfWeek.includes(day)} onChange={() => toggleWeekday(day)} />
+                      {day.slice(0, 3)}
+                    </label>
+                  ))}
+                </div>
+              )}
+              <div className="flex flex-wrap items-center gap-4">
+                <label className="flex items-center gap-2">
+                  <input type="checkbox" checked={draft.requiresRegistration} onChange={updateDraft('requiresRegistration')} />
+                  Members register to attend
+                </label>
+                {draft.requiresRegistration && (
+                  <label className="flex items-center gap-2">
+                    Places{draft.pattern !== 'None' && ' per date'}
+                    <input type="number" min={1} value={draft.maxAttendees} onChange={updateDraft('maxAttendees')} className="w-24 p-2 border border-gray-300 rounded text-gray-900" />
+                  </label>
+                )}
+                {draft.requiresRegistration && (
+                  <label className="flex items-center gap-2">
+                    Guests per registration
+                    <input type="number" min={0} max={20} value={draft.maxGuestsPerRegistration} onChange={updateDraft('maxGuestsPerRegistration')} className="w-20 p-2 border border-gray-300 rounded text-gray-900" />
+                  </label>
+                )}
+                {draft.requiresRegistration && draft.maxAttendees && (
+                  <label className="flex items-center gap-2">
+                    <input type="checkbox" checked={draft.waitlistEnabled} onChange={updateDraft('waitlistEnabled')} />
+                    Waitlist when full
+                  </label>
+                )}
+                {draft.requiresRegistration && draft.maxAttendees && draft.waitlistEnabled && (
+                  <label className="flex items-center gap-2">
+                    Hours to claim a freed place
+                    <input type="number" min={1} max={168} value={draft.waitlistClaimHours} onChange={updateDraft('waitlistClaimHours')} className="w-20 p-2 border border-gray-300 rounded text-gray-900" />
+                  </label>
+                )}
+              </div>
+              {draft.requiresRegistration && (
+                <fieldset className="space-y-2">
+                  <legend className="font-semibold text-gray-900 dark:text-white">Tickets</legend>
+                  {draft.ticketTypes.length === 0 ? (
+                    <label className="flex items-center gap-2">
+                      Fee per person (leave empty for a free event)
+                      <input type="number" min={0} value={draft.fee} onChange={updateDraft('fee')} className="w-28 p-2 border border-gray-300 rounded text-gray-900" />
+                    </label>
+                  ) : (
+                    <table className="w-full">
+                      <thead className="text-left text-gray-500">
+                        <tr>
+                          <th className="p-1">Name</th>
+                          <th className="p-1">Price</th>
+                          <th className="p-1">Admits</th>
+                          <th className="p-1">On sale</th>
+                          <th className="p-1">Sales open</th>
+                          <th className="p-1">Sales close</th>
+                          <th className="p-1">Active</th>
+                          <th className="p-1" />
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {draft.ticketTypes.map((type, index) => (
+                          <tr key={type._id || `new-${index}`}>
+                            <td className="p-1"><input value={type.name} onChange={updateListItem('ticketTypes', index, 'name')} placeholder="e.g. Early bird" maxLength={60} className={inputClass} required /></td>
+                            <td className="p-1"><input type="number" min={0} value={type.price} onChange={updateListItem('ticketTypes', index, 'price')} className={inputClass} required /></td>
+                            <td className="p-1"><input type="number" min={1} max={10} value={type.admits} onChange={updateListItem('ticketTypes', index, 'admits')} className={inputClass} /></td>
+                            <td className="p-1"><input type="number" min={1} value={type.quantity} onChange={updateListItem('ticketTypes', index, 'quantity')} placeholder="No limit" className={inputClass} /></td>
+                            <td className="p-1"><input type="date" value={type.salesStart} onChange={updateListItem('ticketTypes', index, 'salesStart')} className={inputClass} /></td>
+                            <td className="p-1"><input type="date" value={type.salesEnd} min={type.salesStart} onChange={updateListItem('ticketTypes', index, 'salesEnd')} className={inputClass} /></td>
+                            <td className="p-1"><input type="checkbox" checked={type.isActive} onChange={updateListItem('ticketTypes', index, 'isActive')} aria-label="Active" /></td>
+                            <td className="p-1">
+                              {type._id ? (
+                                <span className="text-xs text-gray-500">Untick Active to stop selling</span>
+                              ) : (
+                                <button type="button" className="text-red-600 hover:underline" onClick={() => removeListItem('ticketTypes', index)}>Remove</button>
+                              )}
+                            </td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  )}
+                  <button type="button" className="text-blue-700 hover:underline" onClick={() => addListItem('ticketTypes', NEW_TICKET_TYPE)}>
+                    Add ticket type
+                  </button>
+
+                  {draft.promoCodes.length > 0 && (
+                    <table className="w-full">
+                      <thead className="text-left text-gray-500">
+                        <tr>
+                          <th className="p-1">Promo code</th>
+                          <th className="p-1">Discount</th>
+                          <th className="p-1" />
+                          <th className="p-1">Uses</th>
+                          <th className="p-1">Valid until</th>
+                          <th className="p-1">Active</th>
+                          <th className="p-1" />
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {draft.promoCodes.map((promo, index) => (
+                          <tr key={index}>
+                            <td className="p-1">
+                              <input
+                                value={promo.code}
+                                onChange={updateListItem('promoCodes', index, 'code')}
+                                pattern="[A-Za-z0-9-]{3,20}"
+                                title="3 to 20 letters, numbers or dashes"
+                                className={`${inputClass} uppercase`}
+                                required
+                              />
+                            </td>
+                            <td className="p-1"><input type="number" min={0} max={promo.discountType === 'percent' ? 100 : undefined} value={promo.value} onChange={updateListItem('promoCodes', index, 'value')} className={inputClass} required /></td>
+                            <td className="p-1">
+                              <select value={promo.discountType} onChange={updateListItem('promoCodes', index, 'discountType')} className={inputClass}>
+                                {DISCOUNT_TYPES.map((type) => <option key={type.value} value={type.value}>{type.label}</option>)}
+                              </select>
+                            </td>
+                            <td className="p-1 whitespace-nowrap">
+                              {promo.uses || 0} of
+                              <input type="number" min={1} value={promo.maxUses} onChange={updateListItem('promoCodes', index, 'maxUses')} placeholder="No limit" className="ml-1 w-24 p-2 border border-gray-300 rounded text-gray-900" />
+                            </td>
+                            <td className="p-1"><input type="date" value={promo.validUntil} onChange={updateListItem('promoCodes', index, 'validUntil')} className={inputClass} /></td>
+                            <td className="p-1"><input type="checkbox" checked={promo.isActive} onChange={updateListItem('promoCodes', index, 'isActive')} aria-label="Active" /></td>
+                            <td className="p-1">
+                              {promo.uses ? (
+                                <span className="text-xs text-gray-500">In use</span>
+                              ) : (
+                                <button type="button" className="text-red-600 hover:underline" onClick={() => removeListItem('promoCodes', index)}>Remove</button>
+                              )}
+                            </td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  )}
+                  {(draft.ticketTypes.length > 0 || Number(draft.fee) > 0) && (
+                    <button type="button" className="text-blue-700 hover:underline" onClick={() => addListItem('promoCodes', NEW_PROMO_CODE)}>
+                      Add promo code
+                    </button>
+                  )}
+                </fieldset>
+              )}
+            </>
+          )}
+
+          <div className="flex gap-2">
+            <button type="submit" className="px-4 py-2 rounded-lg bg-blue-600 text-white font-semibold hover:bg-blue-700">
+              Save Event
+            </button>
+            <button type="button" className="px-4 py-2 rounded-lg bg-gray-100 text-gray-700 font-semibold hover:bg-gray-200" onClick={closeEditor}>
+              Cancel
+            </button>
+          </div>
+        </form>
+      )}
+
+      <div className="flex gap-2 mb-4">
+        {['all', 'Published', 'Draft', 'Cancelled'].map((value) => (
+          <button
+            key={value}
+            className={`px-3 py-1 rounded-full text-sm font-semibold ${status === value ? 'bg-blue-600 text-white' : 'bg-gray-100 text-gray-700'}`}
+            onClick={() => setStatus(value)}
+          >
+            {value === 'all' ? 'All' : value}
+          </button>
+        ))}
+      </div>
+
+      {events.length === 0 ? (
+        <p className="text-gray-500">No events yet.</p>
+      ) : (
+        <div className="space-y-4">
+          {events.map((event) => (
+            <div key={event._id} className="bg-white dark:bg-gray-900 rounded-lg shadow p-4">
+              <div className="flex flex-wrap items-start gap-3">
+                <div className="flex-1">
+                  <h2 className="font-semibold text-gray-900 dark:text-white">
+                    {event.title}
+                    {event.status !== 'Published' && <span className="ml-2 text-xs px-2 py-0.5 rounded-full bg-gray-100 text-gray-600">{event.status}</span>}
+                  </h2>
+                  <p className="text-sm text-gray-500">
+                    {event.category} · {describeRecurrence(event.recurrence)} · from {formatDay(event.startDate)} {event.startTime}–{event.endTime}
+                    {event.location && ` · ${event.location.venue}`}
+                  </p>
+                </div>
+                <button className="text-sm text-blue-700 hover:underline" onClick={() => openEditor(event)}>Edit</button>
+                {isRecurring(event) ? (
+                  <button className="text-sm text-blue-700 hover:underline" onClick={() => toggleDates(event)}>
+                    {selected && selected._id === event._id ? 'Hide dates' : 'Dates'}
+                  </button>
+                ) : (
+                  <>
+                    <button className="text-sm text-blue-700 hover:underline" onClick={() => openAttendance(event)}>Attendees</button>
+                    {event.maxAttendees && (
+                      <button className="text-sm text-blue-700 hover:underline" onClick={() => loadWaitlist(event)}>Waitlist</button>
+                    )}
+                  </>
+                )}
+                <button className="text-sm text-red-600 hover:underline" onClick={() => handleDelete(event)}>Delete</button>
+              </div>
+
+              {selected && selected._id === event._id && (
+                occurrences.length === 0 ? (
+                  <p className="mt-3 text-sm text-gray-500">No dates in the next 90 days.</p>
+                ) : (
+                  <table className="w-full text-sm mt-3 text-gray-700 dark:text-gray-300">
+                    <thead className="text-left text-gray-500 border-b border-gray-100">
+                      <tr>
+                        <th className="p-2">Date</th>
+                        <th className="p-2">Time</th>
+                        <th className="p-2">Venue</th>
+                        <th className="p-2">Registered</th>
+                        <th className="p-2" />
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {occurrences.map((occurrence) => {
+                        const cancelled = occurrence.status === 'Cancelled';
+                        return (
+                          <tr key={occurrence.occurrence} className={`border-b border-gray-50 ${cancelled ? 'text-gray-400' : ''}`}>
+                            <td className="p-2">
+                              <span className={cancelled ? 'line-through' : ''}>{formatDay(occurrence.startDate)}</span>
+                              {cancelled && <span className="ml-2 text-xs px-2 py-0.5 rounded-full bg-red-100 text-red-700">Cancelled</span>}
+                              {!cancelled && occurrence.isRescheduled && <span className="ml-2 text-xs px-2 py-0.5 rounded-full bg-yellow-100 text-yellow-800">Moved</span>}
+                              {occurrence.exceptionReason && <div className="text-xs text-gray-500">{occurrence.exceptionReason}</div>}
+                            </td>
+                            <td className="p-2">{occurrence.startTime}–{occurrence.endTime}</td>
+                            <td className="p-2">{occurrence.location.venue}</td>
+                            <td className="p-2">
+                              {occurrence.registeredCount}{event.maxAttendees ? ` / ${event.maxAttendees}` : ''}
+                              {occurrence.waitlistCount > 0 && <span className="ml-1 text-xs text-gray-500">+{occurrence.waitlistCount} waiting</span>}
+                            </td>
+                            <td className="p-2 text-right space-x-3 whitespace-nowrap">
+                              <button className="text-blue-700 hover:underline" onClick={() => openEditor(event, occurrence, 'this')}>Edit</button>
+                              <button className="text-blue-700 hover:underline" onClick={() => openAttendance(event, occurrence.occurrence)}>Attendees</button>
+                              {event.maxAttendees && (
+                                <button className="text-blue-700 hover:underline" onClick={() => loadWaitlist(event, occurrence.occurrence)}>Waitlist</button>
+                              )}
+                              {cancelled || occurrence.isRescheduled ? (
+                                <button className="text-gray-600 hover:underline" onClick={() => run(() => restoreOccurrence(event._id, occurrence.occurrence))}>Restore</button>
+                              ) : (
+                                <button className="text-red-600 hover:underline" onClick={() => handleCancelDate(event, occurrence)}>Cancel</button>
+                              )}
+                              <button className="text-gray-600 hover:underline" onClick={() => handleEndSeries(event, occurrence)}>End series here</button>
+                            </td>
+                          </tr>
+                        );
+                      })}
+                    </tbody>
+                  </table>
+                )
+              )}
+
+              {attendance && attendance.event._id === event._id && (
+                <div className="mt-3 border-t border-gray-100 pt-3 text-sm text-gray-700 dark:text-gray-300">
+                  <div className="flex items-center mb-2">
+                    <h3 className="flex-1 font-semibold text-gray-900 dark:text-white">
+                      Attendees{attendance.occurrence && `, ${attendance.occurrence}`} ({attendance.totalPlaces} places{attendance.capacity ? ` of ${attendance.capacity}` : ''}, {attendance.totalAttendees} registrations)
+                    </h3>
+                    {(event.ticketTypes || []).length > 0 || (event.registrationFee && event.registrationFee.amount > 0) ? (
+                      <button className="mr-3 text-blue-700 hover:underline" onClick={() => setScans(scans === null ? 0 : null)}>
+                        {scans === null ? 'Scan tickets' : 'Stop scanning'}
+                      </button>
+                    ) : null}
+                    <button className="text-gray-600 hover:underline" onClick={() => setAttendance(null)}>Close</button>
+                  </div>
+                  {scans !== null && (
+                    <div className="mb-3 max-w-sm">
+                      <QRScanner key={scans} onScan={handleScan} />
+                    </div>
+                  )}
+                  {attendance.attendees.length === 0 ? (
+                    <p className="text-gray-500">No one has registered.</p>
+                  ) : (
+                    <table className="w-full">
+                      <tbody>
+                        {attendance.attendees.map((attendee) => (
+                          <tr key={attendee._id} className="border-b border-gray-50">
+                            <td className="p-2 font-medium text-gray-900 dark:text-white">
+                              {registrantName(attendee)}
+                              {attendee.guestCount > 0 && <span className="ml-1 font-normal text-gray-500">+{attendee.guestCount}</span>}
+                            </td>
+                            <td className="p-2">{registrantContact(attendee)}</td>
+                            <td className="p-2">{!attendance.occurrence && attendee.occurrence}</td>
+                            <td className="p-2">
+                              {attendee.ticket && attendee.ticket.reference && (
+                                <>
+                                  {attendee.ticket.name} &times; {attendee.ticket.quantity} &middot; {formatPrice(attendee.ticket.amount, attendee.ticket.currency)}
+                                  <span className="ml-1 text-xs text-gray-500">
+                                    {attendee.paymentStatus === 'Paid' && attendee.ticket.refundRequestedAt ? 'Refund pending' : attendee.paymentStatus}
+                                  </span>
+                                </>
+                              )}
+                            </td>
+                            <td className="p-2 text-right whitespace-nowrap">
+                              {attendee.paymentStatus === 'Paid' && attendee.ticket && attendee.ticket.reference && !attendee.ticket.refundRequestedAt && (
+                                <button className="mr-3 text-red-600 hover:underline" onClick={() => handleRefund(attendee)}>Refund</button>
+                              )}
+                              {attendee.status === 'Cancelled' ? 'Cancelled' : (
+                                <select
+                                  value={attendee.status}
+                                  onChange={(e) => handleAttendance(attendee, e.target.value)}
+                                  className="p-1 border border-gray-300 rounded text-gray-900 text-sm"
+                                >
+                                  {ATTENDANCE_STATUSES.map((value) => <option key={value} value={value}>{value}</option>)}
+                                </select>
+                              )}
+                            </td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  )}
+                </div>
+              )}
+
+              {waitlist && waitlist.event._id === event._id && (
+                <div className="mt-3 border-t border-gray-100 pt-3 text-sm text-gray-700 dark:text-gray-300">
+                  <div className="flex items-center mb-2">
+                    <h3 className="flex-1 font-semibold text-gray-900 dark:text-white">
+                      Waitlist{waitlist.occurrence && `, ${waitlist.occurrence}`} ({waitlist.registered} of {waitlist.capacity} registered, {waitlist.placesLeft} free)
+                    </h3>
+                    <button className="text-gray-600 hover:underline" onClick={() => setWaitlist(null)}>Close</button>
+                  </div>
+                  <p className="mb-2 text-gray-500">
+                    Freed places are offered in this order. Each offer holds the place for {waitlist.claimHours} hours, then passes to the next person.
+                  </p>
+                  {waitlist.waitlist.length === 0 ? (
+                    <p className="text-gray-500">No one is waiting.</p>
+                  ) : (
+                    <table className="w-full">
+                      <tbody>
+                        {waitlist.waitlist.map((entry) => (
+                          <tr key={entry._id} className={`border-b border-gray-50 ${['Waiting', 'Offered'].includes(entry.status) ? '' : 'text-gray-400'}`}>
+                            <td className="p-2 w-8">{entry.position}</td>
+                            <td className="p-2 font-medium">
+                              {registrantName(entry)}
+                              {entry.guestCount > 0 && <span className="ml-1 font-normal text-gray-500">+{entry.guestCount}</span>}
+                            </td>
+                            <td className="p-2">{registrantContact(entry)}</td>
+                            <td className="p-2">Joined {formatDay(entry.joinedAt)}</td>
+                            <td className="p-2 text-right">
+                              {entry.status === 'Offered' ? `Offered until ${new Date(entry.offerExpiresAt).toLocaleString('en-NG', { timeZone: 'Africa/Lagos' })}` : entry.status}
+                            </td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  )}
+                </div>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
 
 export default ManageEvents;
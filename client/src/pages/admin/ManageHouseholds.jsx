@@ -0,0 +1,307 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import {
+  getHouseholds,
+  createHousehold,
+  addHouseholdMember,
+  addHouseholdChild,
+  removeHouseholdMember,
+  checkInHousehold
+} from '../../services/householdService';
+import { getUsers } from '../../services/userService';
+import { endpoints } from '../../services/api';
+import { HOUSEHOLD_ROLES } from '@haven-word-church/shared/constants';
+
+const ROLES = Object.values(HOUSEHOLD_ROLES);
+
+/**
+ * Staff view of households: link accounts into families, add children
+ * without logins and check a whole family in to an event.
+ */
+const ManageHouseholds = () => {
+  const [households, setHouseholds] = useState([]);
+  const [users, setUsers] = useState([]);
+  const [events, setEvents] = useState([]);
+  const [search, setSearch] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+  const [newHousehold, setNewHousehold] = useState({ name: '', adult: '' });
+  // Per-household form state, keyed by household id
+  const [memberForms, setMemberForms] = useState({});
+  const [checkInEvent, setCheckInEvent] = useState({});
+
+  const fetchHouseholds = useCallback(async (query) => {
+    try {
+      setLoading(true);
+      setError('');
+      const result = await getHouseholds({ search: query || undefined, limit: 50 });
+      setHouseholds(result.data);
+    } catch (err) {
+      setError(err.message || 'Failed to load households');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchHouseholds('');
+    getUsers().then(setUsers).catch(() => setUsers([]));
+    endpoints.events.getUpcoming({ limit: 20 })
+      .then((res) => setEvents(res.data.data || []))
+      .catch(() => setEvents([]));
+  }, [fetchHouseholds]);
+
+  // Only people who are not in a household yet can be linked
+  const unlinkedUsers = users.filter((u) => !u.household && u.hasLogin !== false);
+
+  const replaceHousehold = (updated) => {
+    setHouseholds((prev) => prev.map((h) => (h._id === updated._id ? updated : h)));
+    const memberIds = updated.members.map((m) => m.user._id);
+    setUsers((prev) => prev.map((u) => (memberIds.includes(u._id) ? { ...u, household: updated._id } : u)));
+  };
+
+  const updateMemberForm = (id, changes) => {
+    setMemberForms((prev) => ({ ...prev, [id]: { userId: '', role: HOUSEHOLD_ROLES.ADULT, childName: '', ...prev[id], ...changes } }));
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    setMessage('');
+    try {
+      const { data } = await createHousehold({
+        name: newHousehold.name,
+        members: [{ user: newHousehold.adult, role: HOUSEHOLD_ROLES.ADULT }]
+      });
+      setHouseholds((prev) => [data, ...prev]);
+      setUsers((prev) => prev.map((u) => (u._id === newHousehold.adult ? { ...u, household: data._id } : u)));
+      setNewHousehold({ name: '', adult: '' });
+    } catch (err) {
+      setMessage(err.message || 'Failed to create household');
+    }
+  };
+
+  const handleAddMember = async (household) => {
+    const form = memberForms[household._id] || {};
+    if (!form.userId) return;
+    try {
+      const { data } = await addHouseholdMember(household._id, form.userId, form.role || HOUSEHOLD_ROLES.ADULT);
+      replaceHousehold(data);
+      updateMemberForm(household._id, { userId: '' });
+    } catch (err) {
+      alert(err.message || 'Failed to add member');
+    }
+  };
+
+  const handleAddChild = async (household) => {
+    const form = memberForms[household._id] || {};
+    if (!form.childName) return;
+    try {
+      const { data } = await addHouseholdChild(household._id, { name: form.childName });
+      replaceHousehold(data);
+      updateMemberForm(household._id, { childName: '' });
+    } catch (err) {
+      alert(err.message || 'Failed to add child');
+    }
+  };
+
+  const handleRemove = async (household, member) => {
+    if (!window.confirm(`Remove ${member.name} from ${household.name}?`)) return;
+    try {
+      const { data } = await removeHouseholdMember(household._id, member._id);
+      replaceHousehold(data);
+      setUsers((prev) => prev.map((u) => (u._id === member._id ? { ...u, household: null } : u)));
+    } catch (err) {
+      alert(err.message || 'Failed to remove member');
+    }
+  };
+
+  const handleCheckIn = async (household) => {
+    const event = events.find((ev) => ev._id === checkInEvent[household._id]);
+    if (!event) return;
+    try {
+      const result = await checkInHousehold(household._id, {
+        activityType: 'event',
+        activityId: event._id,
+        activityTitle: event.title,
+        attendanceDate: new Date().toISOString()
+      });
+      const duplicates = result.summary.duplicates ? ` (${result.summary.duplicates} already checked in)` : '';
+      setMessage(`${result.message}${duplicates}`);
+    } catch (err) {
+      setMessage(err.message || 'Check-in failed');
+    }
+  };
+
+  return (
+    <div className="max-w-5xl mx-auto py-12 px-4">
+      <h1 className="text-2xl font-bold mb-6 text-primary-700 dark:text-white">Households</h1>
+
+      <form onSubmit={handleCreate} className="bg-white dark:bg-gray-900 rounded-lg shadow p-4 mb-6">
+        <h2 className="text-lg font-semibold mb-3 text-gray-900 dark:text-white">New Household</h2>
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+          <input
+            type="text"
+            placeholder="Household name, e.g. The Okafor Family"
+            required
+            value={newHousehold.name}
+            onChange={(e) => setNewHousehold({ ...newHousehold, name: e.target.value })}
+            className="p-2 border border-gray-300 rounded-lg text-gray-900"
+          />
+          <select
+            required
+            value={newHousehold.adult}
+            onChange={(e) => setNewHousehold({ ...newHousehold, adult: e.target.value })}
+            className="p-2 border border-gray-300 rounded-lg text-gray-900"
+            aria-label="First adult"
+          >
+            <option value="">First adult...</option>
+            {unlinkedUsers.map((u) => (
+              <option key={u._id} value={u._id}>{u.name} ({u.email})</option>
+            ))}
+          </select>
+          <button
+            type="submit"
+            className="px-4 py-2 rounded-lg bg-blue-600 text-white font-semibold hover:bg-blue-700"
+          >
+            Create Household
+          </button>
+        </div>
+      </form>
+
+      <div className="flex gap-2 mb-4">
+        <input
+          type="search"
+          placeholder="Search households"
+          value={search}
+          onChange={(e) => setSearch(e.target.value)}
+          onKeyDown={(e) => e.key === 'Enter' && fetchHouseholds(search)}
+          className="flex-1 p-2 border border-gray-300 rounded-lg text-gray-900"
+        />
+        <button
+          type="button"
+          onClick={() => fetchHouseholds(search)}
+          className="px-4 py-2 rounded-lg bg-gray-100 text-gray-700 font-semibold hover:bg-gray-200"
+        >
+          Search
+        </button>
+      </div>
+
+      {message && <p className="mb-4 text-sm text-gray-700 dark:text-gray-300" role="status">{message}</p>}
+
+      {loading ? (
+        <div className="text-center text-gray-500">Loading households...</div>
+      ) : error ? (
+        <div className="text-center text-red-500">{error}</div>
+      ) : households.length === 0 ? (
+        <p className="text-gray-500 text-sm">No households found.</p>
+      ) : (
+        <div className="space-y-4">
+          {households.map((household) => {
+            const form = memberForms[household._id] || {};
+            return (
+              <div key={household._id} className="bg-white dark:bg-gray-900 rounded-lg shadow p-4">
+                <div className="flex flex-wrap items-center justify-between gap-2 mb-3">
+                  <h2 className="text-lg font-semibold text-gray-900 dark:text-white">{household.name}</h2>
+                  <div className="flex items-center gap-2">
+                    <select
+                      value={checkInEvent[household._id] || ''}
+                      onChange={(e) => setCheckInEvent({ ...checkInEvent, [household._id]: e.target.value })}
+                      className="p-1 border border-gray-300 rounded text-sm"
+                      aria-label={`Event to check ${household.name} in to`}
+                    >
+                      <option value="">Check in to...</option>
+                      {events.map((event) => (
+                        <option key={event._id} value={event._id}>{event.title}</option>
+                      ))}
+                    </select>
+                    <button
+                      className="px-2 py-1 rounded text-xs font-semibold bg-green-100 text-green-700 hover:bg-green-200 disabled:opacity-50"
+                      disabled={!checkInEvent[household._id]}
+                      onClick={() => handleCheckIn(household)}
+                    >
+                      Check In Family
+                    </button>
+                  </div>
+                </div>
+
+                <table className="min-w-full text-sm mb-3">
+                  <tbody>
+                    {household.members.map(({ user: member, role }) => (
+                      <tr key={member._id} className="border-t border-gray-200 dark:border-gray-700">
+                        <td className="py-2">
+                          {member.name}
+                          {household.primaryContact?._id === member._id && (
+                            <span className="ml-2 text-xs text-blue-600">Primary contact</span>
+                          )}
+                        </td>
+                        <td className="py-2 capitalize">{role}</td>
+                        <td className="py-2 text-gray-500">{member.hasLogin === false ? 'No login' : member.email}</td>
+                        <td className="py-2 text-right">
+                          <button
+                            className="px-2 py-1 rounded text-xs font-semibold bg-red-100 text-red-700 hover:bg-red-200"
+                            onClick={() => handleRemove(household, member)}
+                          >
+                            Remove
+                          </button>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+                  <div className="flex gap-2">
+                    <select
+                      value={form.userId || ''}
+                      onChange={(e) => updateMemberForm(household._id, { userId: e.target.value })}
+                      className="flex-1 p-1 border border-gray-300 rounded text-sm"
+                      aria-label={`Account to add to ${household.name}`}
+                    >
+                      <option value="">Link an account...</option>
+                      {unlinkedUsers.map((u) => (
+                        <option key={u._id} value={u._id}>{u.name}</option>
+                      ))}
+                    </select>
+                    <select
+                      value={form.role || HOUSEHOLD_ROLES.ADULT}
+                      onChange={(e) => updateMemberForm(household._id, { role: e.target.value })}
+                      className="p-1 border border-gray-300 rounded text-sm capitalize"
+                      aria-label="Household role"
+                    >
+                      {ROLES.map((role) => (
+                        <option key={role} value={role}>{role}</option>
+                      ))}
+                    </select>
+                    <button
+                      className="px-2 py-1 rounded text-xs font-semibold bg-blue-100 text-blue-700 hover:bg-blue-200"
+                      onClick={() => handleAddMember(household)}
+                    >
+                      Add
+                    </button>
+                  </div>
+                  <div className="flex gap-2">
+                    <input
+                      type="text"
+                      placeholder="Child's name (no login)"
+                      value={form.childName || ''}
+                      onChange={(e) => updateMemberForm(household._id, { childName: e.target.value })}
+                      className="flex-1 p-1 border border-gray-300 rounded text-sm text-gray-900"
+                    />
+                    <button
+                      className="px-2 py-1 rounded text-xs font-semibold bg-blue-100 text-blue-700 hover:bg-blue-200"
+                      onClick={() => handleAddChild(household)}
+                    >
+                      Add Child
+                    </button>
+                  </div>
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ManageHouseholds;
@@ -1,129 +1,306 @@
 import React, { useEffect, useState } from 'react';
-import axios from 'axios';
+import { useAuth } from '../../hooks/useAuth';
+import {
+  getUsers,
+  updateUserRole,
+  updateUserStatus,
+  unlockUser,
+  getInvitations,
+  createInvitation,
+  revokeInvitation
+} from '../../services/userService';
+import MemberProfileEditor from '../../components/admin/MemberProfileEditor';
+import { USER_ROLES, ROLE_HIERARCHY } from '@haven-word-church/shared/constants';
 
-const getRoleAction = (user, currentUser) => {
-  if (user.role === 'admin') return 'Demote to Member';
-  if (user.role === 'member') return 'Promote to Pastor';
-  if (user.role === 'pastor') return 'Promote to Admin';
-  return '';
-};
+// Account roles from lowest to highest; members self-register, the rest are invited
+const ROLES = Object.values(USER_ROLES)
+  .filter((role) => role !== USER_ROLES.GUEST)
+  .sort((a, b) => ROLE_HIERARCHY[a] - ROLE_HIERARCHY[b]);
+const INVITABLE_ROLES = ROLES.filter((role) => role !== USER_ROLES.MEMBER);
 
-const getNextRole = (user) => {
-  if (user.role === 'admin') return 'member';
-  if (user.role === 'member') return 'pastor';
-  if (user.role === 'pastor') return 'admin';
-  return user.role;
+const INVITATION_STATUS_STYLES = {
+  pending: 'bg-blue-100 text-blue-700',
+  accepted: 'bg-green-100 text-green-700',
+  revoked: 'bg-gray-100 text-gray-600',
+  expired: 'bg-yellow-100 text-yellow-700'
 };
 
 const ManageUsers = () => {
+  const { user: currentUser } = useAuth();
   const [users, setUsers] = useState([]);
+  const [invitations, setInvitations] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
-  const [currentUser, setCurrentUser] = useState(null);
+  const [inviteForm, setInviteForm] = useState({ name: '', email: '', role: 'staff' });
+  const [inviting, setInviting] = useState(false);
+  const [inviteMessage, setInviteMessage] = useState('');
+  const [editingUserId, setEditingUserId] = useState(null);
 
   useEffect(() => {
-    const fetchUsers = async () => {
+    const fetchData = async () => {
       try {
         setLoading(true);
         setError('');
-        const token = localStorage.getItem('token');
-        const res = await axios.get('/api/users', {
-          headers: { Authorization: `Bearer ${token}` },
-        });
-        setUsers(res.data);
-        // Get current user from token (assumes JWT payload has id)
-        const payload = token ? JSON.parse(atob(token.split('.')[1])) : null;
-        setCurrentUser(payload);
+        const [userList, invitationList] = await Promise.all([getUsers(), getInvitations()]);
+        setUsers(userList);
+        setInvitations(invitationList);
       } catch (err) {
-        setError(err.response?.data?.message || 'Failed to fetch users');
+        setError(err.message || 'Failed to fetch users');
       } finally {
         setLoading(false);
       }
     };
-    fetchUsers();
+    fetchData();
   }, []);
 
-  const handleRoleChange = async (user) => {
+  const isSelf = (user) => currentUser && currentUser.id === user._id;
+  const isLocked = (user) => user.lockedUntil && new Date(user.lockedUntil) > new Date();
+
+  const handleRoleChange = async (user, role) => {
+    if (role === user.role) return;
+    if (!window.confirm(`Change ${user.name}'s role from ${user.role} to ${role}?`)) return;
     try {
-      const token = localStorage.getItem('token');
-      const nextRole = getNextRole(user);
-      const res = await axios.patch(`/api/users/${user._id}/role`, { role: nextRole }, {
-        headers: { Authorization: `Bearer ${token}` },
-      });
-      setUsers((prev) => prev.map((u) => (u._id === user._id ? res.data : u)));
+      const updated = await updateUserRole(user._id, role);
+      setUsers((prev) => prev.map((u) => (u._id === user._id ? updated : u)));
     } catch (err) {
-      alert(err.response?.data?.message || 'Failed to update role');
+      alert(err.message || 'Failed to update role');
     }
   };
 
   const handleStatusChange = async (user) => {
     try {
-      const token = localStorage.getItem('token');
-      const res = await axios.patch(`/api/users/${user._id}/status`, { active: !user.active }, {
-        headers: { Authorization: `Bearer ${token}` },
-      });
-      setUsers((prev) => prev.map((u) => (u._id === user._id ? res.data : u)));
+      const updated = await updateUserStatus(user._id, !user.active);
+      setUsers((prev) => prev.map((u) => (u._id === user._id ? updated : u)));
+    } catch (err) {
+      alert(err.message || 'Failed to update status');
+    }
+  };
+
+  const handleUnlock = async (user) => {
+    try {
+      const updated = await unlockUser(user._id);
+      setUsers((prev) => prev.map((u) => (u._id === user._id ? updated : u)));
     } catch (err) {
-      alert(err.response?.data?.message || 'Failed to update status');
+      alert(err.message || 'Failed to unlock account');
+    }
+  };
+
+  const handleProfileSaved = (updated) => {
+    setUsers((prev) => prev.map((u) => (u._id === updated._id ? { ...u, ...updated } : u)));
+    setEditingUserId(null);
+  };
+
+  const handleInvite = async (e) => {
+    e.preventDefault();
+    setInviting(true);
+    setInviteMessage('');
+    try {
+      const { message, invitation } = await createInvitation(inviteForm);
+      setInvitations((prev) => [
+        invitation,
+        ...prev.map((i) => (i.email === invitation.email && i.status === 'pending' ? { ...i, status: 'revoked' } : i))
+      ]);
+      setInviteForm({ name: '', email: '', role: 'staff' });
+      setInviteMessage(message);
+    } catch (err) {
+      setInviteMessage(err.message || 'Failed to send invitation');
+    } finally {
+      setInviting(false);
+    }
+  };
+
+  const handleRevoke = async (invitation) => {
+    try {
+      await revokeInvitation(invitation._id);
+      setInvitations((prev) => prev.map((i) => (i._id === invitation._id ? { ...i, status: 'revoked' } : i)));
+    } catch (err) {
+      alert(err.message || 'Failed to revoke invitation');
     }
   };
 
   return (
     <div className="max-w-5xl mx-auto py-12 px-4">
       <h1 className="text-2xl font-bold mb-6 text-primary-700 dark:text-white">User Management</h1>
+
+      {/* Invite staff, pastors and admins */}
+      <form onSubmit={handleInvite} className="bg-white dark:bg-gray-900 rounded-lg shadow p-4 mb-8">
+        <h2 className="text-lg font-semibold mb-3 text-gray-900 dark:text-white">Invite Staff</h2>
+        <div className="grid grid-cols-1 md:grid-cols-4 gap-3">
+          <input
+            type="text"
+            placeholder="Name (optional)"
+            value={inviteForm.name}
+            onChange={(e) => setInviteForm({ ...inviteForm, name: e.target.value })}
+            className="p-2 border border-gray-300 rounded-lg text-gray-900"
+          />
+          <input
+            type="email"
+            placeholder="Email"
+            required
+            value={inviteForm.email}
+            onChange={(e) => setInviteForm({ ...inviteForm, email: e.target.value })}
+            className="p-2 border border-gray-300 rounded-lg text-gray-900"
+          />
+          <select
+            value={inviteForm.role}
+            onChange={(e) => setInviteForm({ ...inviteForm, role: e.target.value })}
+            className="p-2 border border-gray-300 rounded-lg text-gray-900 capitalize"
+            aria-label="Role"
+          >
+            {INVITABLE_ROLES.map((role) => (
+              <option key={role} value={role}>{role.replace('_', ' ')}</option>
+            ))}
+          </select>
+          <button
+            type="submit"
+            disabled={inviting}
+            className="px-4 py-2 rounded-lg bg-blue-600 text-white font-semibold hover:bg-blue-700 disabled:opacity-50"
+          >
+            {inviting ? 'Sending...' : 'Send Invitation'}
+          </button>
+        </div>
+        {inviteMessage && <p className="mt-2 text-sm text-gray-600 dark:text-gray-300">{inviteMessage}</p>}
+      </form>
+
       {loading ? (
         <div className="text-center text-gray-500">Loading users...</div>
       ) : error ? (
         <div className="text-center text-red-500">{error}</div>
       ) : (
-        <div className="overflow-x-auto">
-          <table className="min-w-full bg-white dark:bg-gray-900 rounded-lg shadow">
-            <thead>
-              <tr>
-                <th className="px-4 py-2 text-left">Name</th>
-                <th className="px-4 py-2 text-left">Email</th>
-                <th className="px-4 py-2 text-left">Role</th>
-                <th className="px-4 py-2 text-left">Status</th>
-                <th className="px-4 py-2 text-left">Created</th>
-                <th className="px-4 py-2 text-left">Actions</th>
-              </tr>
-            </thead>
-            <tbody>
-              {users.map((user) => (
-                <tr key={user._id} className="border-t border-gray-200 dark:border-gray-700">
-                  <td className="px-4 py-2">{user.name}</td>
-                  <td className="px-4 py-2">{user.email}</td>
-                  <td className="px-4 py-2 capitalize">{user.role}</td>
-                  <td className="px-4 py-2">
-                    {user.active ? (
-                      <span className="inline-block px-2 py-1 rounded bg-green-100 text-green-700 text-xs">Active</span>
-                    ) : (
-                      <span className="inline-block px-2 py-1 rounded bg-red-100 text-red-700 text-xs">Inactive</span>
-                    )}
-                  </td>
-                  <td className="px-4 py-2">{new Date(user.createdAt).toLocaleDateString()}</td>
-                  <td className="px-4 py-2 space-x-2">
-                    <button
-                      className={`px-2 py-1 rounded text-xs font-semibold ${user.role === 'admin' ? 'bg-yellow-100 text-yellow-700' : 'bg-blue-100 text-blue-700'} ${currentUser && currentUser.id === user._id ? 'opacity-50 cursor-not-allowed' : 'hover:bg-blue-200'}`}
-                      disabled={currentUser && currentUser.id === user._id}
-                      onClick={() => handleRoleChange(user)}
-                    >
-                      {getRoleAction(user, currentUser)}
-                    </button>
-                    <button
-                      className={`px-2 py-1 rounded text-xs font-semibold ${user.active ? 'bg-red-100 text-red-700 hover:bg-red-200' : 'bg-green-100 text-green-700 hover:bg-green-200'} ${currentUser && currentUser.id === user._id ? 'opacity-50 cursor-not-allowed' : ''}`}
-                      disabled={currentUser && currentUser.id === user._id}
-                      onClick={() => handleStatusChange(user)}
-                    >
-                      {user.active ? 'Deactivate' : 'Reactivate'}
-                    </button>
-                  </td>
+        <>
+          <div className="overflow-x-auto">
+            <table className="min-w-full bg-white dark:bg-gray-900 rounded-lg shadow">
+              <thead>
+                <tr>
+                  <th className="px-4 py-2 text-left">Name</th>
+                  <th className="px-4 py-2 text-left">Email</th>
+                  <th className="px-4 py-2 text-left">Role</th>
+                  <th className="px-4 py-2 text-left">Status</th>
+                  <th className="px-4 py-2 text-left">Created</th>
+                  <th className="px-4 py-2 text-left">Actions</th>
                 </tr>
-              ))}
-            </tbody>
-          </table>
-        </div>
+              </thead>
+              <tbody>
+                {users.map((user) => (
+                  <tr key={user._id} className="border-t border-gray-200 dark:border-gray-700">
+                    <td className="px-4 py-2">
+                      {user.name}
+                      {user.membershipStatus && (
+                        <span className="block text-xs text-gray-500 capitalize">{user.membershipStatus}</span>
+                      )}
+                      {user.hasLogin === false && (
+                        <span className="block text-xs text-gray-500">Child, no login</span>
+                      )}
+                    </td>
+                    <td className="px-4 py-2">{user.email}</td>
+                    <td className="px-4 py-2">
+                      <select
+                        value={user.role}
+                        disabled={isSelf(user)}
+                        onChange={(e) => handleRoleChange(user, e.target.value)}
+                        className="p-1 border border-gray-300 rounded text-sm capitalize disabled:opacity-50"
+                        aria-label={`Role for ${user.name}`}
+                      >
+                        {ROLES.map((role) => (
+                          <option key={role} value={role}>{role.replace('_', ' ')}</option>
+                        ))}
+                      </select>
+                    </td>
+                    <td className="px-4 py-2">
+                      {user.active ? (
+                        <span className="inline-block px-2 py-1 rounded bg-green-100 text-green-700 text-xs">Active</span>
+                      ) : (
+                        <span className="inline-block px-2 py-1 rounded bg-red-100 text-red-700 text-xs">Inactive</span>
+                      )}
+                      {isLocked(user) && (
+                        <span
+                          className="ml-1 inline-block px-2 py-1 rounded bg-yellow-100 text-yellow-800 text-xs"
+                          title={`Locked until ${new Date(user.lockedUntil).toLocaleString()}`}
+                        >
+                          Locked
+                        </span>
+                      )}
+                    </td>
+                    <td className="px-4 py-2">{new Date(user.createdAt).toLocaleDateString()}</td>
+                    <td className="px-4 py-2 space-x-2">
+                      <button
+                        className="px-2 py-1 rounded text-xs font-semibold bg-blue-100 text-blue-700 hover:bg-blue-200"
+                        onClick={() => setEditingUserId(user._id)}
+                      >
+                        Profile
+                      </button>
+                      <button
+                        className={`px-2 py-1 rounded text-xs font-semibold ${user.active ? 'bg-red-100 text-red-700 hover:bg-red-200' : 'bg-green-100 text-green-700 hover:bg-green-200'} ${isSelf(user) ? 'opacity-50 cursor-not-allowed' : ''}`}
+                        disabled={isSelf(user)}
+                        onClick={() => handleStatusChange(user)}
+                      >
+                        {user.active ? 'Deactivate' : 'Reactivate'}
+                      </button>
+                      {isLocked(user) && (
+                        <button
+                          className="px-2 py-1 rounded text-xs font-semibold bg-yellow-100 text-yellow-800 hover:bg-yellow-200"
+                          onClick={() => handleUnlock(user)}
+                        >
+                          Unlock
+                        </button>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          <h2 className="text-lg font-semibold mt-10 mb-3 text-gray-900 dark:text-white">Invitations</h2>
+          {invitations.length === 0 ? (
+            <p className="text-gray-500 text-sm">No invitations sent yet.</p>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="min-w-full bg-white dark:bg-gray-900 rounded-lg shadow">
+                <thead>
+                  <tr>
+                    <th className="px-4 py-2 text-left">Email</th>
+                    <th className="px-4 py-2 text-left">Role</th>
+                    <th className="px-4 py-2 text-left">Status</th>
+                    <th className="px-4 py-2 text-left">Expires</th>
+                    <th className="px-4 py-2 text-left">Actions</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {invitations.map((invitation) => (
+                    <tr key={invitation._id} className="border-t border-gray-200 dark:border-gray-700">
+                      <td className="px-4 py-2">{invitation.email}</td>
+                      <td className="px-4 py-2 capitalize">{invitation.role}</td>
+                      <td className="px-4 py-2">
+                        <span className={`inline-block px-2 py-1 rounded text-xs capitalize ${INVITATION_STATUS_STYLES[invitation.status]}`}>
+                          {invitation.status}
+                        </span>
+                      </td>
+                      <td className="px-4 py-2">{new Date(invitation.expiresAt).toLocaleDateString()}</td>
+                      <td className="px-4 py-2">
+                        {invitation.status === 'pending' && (
+                          <button
+                            className="px-2 py-1 rounded text-xs font-semibold bg-red-100 text-red-700 hover:bg-red-200"
+                            onClick={() => handleRevoke(invitation)}
+                          >
+                            Revoke
+                          </button>
+                        )}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </>
       )}
+
+      <MemberProfileEditor
+        userId={editingUserId}
+        onClose={() => setEditingUserId(null)}
+        onSaved={handleProfileSaved}
+      />
     </div>
   );
 };
@@ -0,0 +1,234 @@
+import React, { useCallback, useEffect, useMemo, useState } from 'react';
+import {
+  refreshOfflineData,
+  getRoster,
+  getMeta,
+  getQueue,
+  queueCheckIn,
+  discardQueued,
+  syncQueue,
+  QUEUE_CHANGED_EVENT
+} from '../../services/offlineAttendance';
+
+const formatTime = (value) => new Date(value).toLocaleTimeString('en-NG', { hour: '2-digit', minute: '2-digit' });
+
+/**
+ * Usher attendance that keeps working without signal. Download the roster
+ * before the service; check-ins are kept on the device and sent to the
+ * server as soon as there is a connection.
+ */
+const OfflineAttendance = () => {
+  const [online, setOnline] = useState(navigator.onLine);
+  const [roster, setRoster] = useState([]);
+  const [rosterSavedAt, setRosterSavedAt] = useState(null);
+  const [events, setEvents] = useState([]);
+  const [eventId, setEventId] = useState('');
+  const [queue, setQueue] = useState([]);
+  const [search, setSearch] = useState('');
+  const [message, setMessage] = useState('');
+  const [busy, setBusy] = useState(false);
+  // Members checked in on this device this session, by event
+  const [checkedIn, setCheckedIn] = useState({});
+
+  const loadLocal = useCallback(async () => {
+    const [members, savedAt, cachedEvents, queued] = await Promise.all([
+      getRoster(), getMeta('rosterSavedAt'), getMeta('events'), getQueue()
+    ]);
+    setRoster(members);
+    setRosterSavedAt(savedAt);
+    setEvents(cachedEvents || []);
+    setQueue(queued);
+  }, []);
+
+  const runSync = useCallback(async () => {
+    try {
+      const result = await syncQueue();
+      if (result.synced || result.duplicates || result.failed) {
+        setMessage(`Synced ${result.synced}; ${result.duplicates} were already recorded; ${result.failed} need attention`);
+      }
+    } catch (err) {
+      // Still offline or the server is unreachable; the queue is kept
+    }
+  }, []);
+
+  useEffect(() => {
+    loadLocal().then(() => navigator.onLine && runSync());
+
+    const handleOnline = () => { setOnline(true); runSync(); };
+    const handleOffline = () => setOnline(false);
+    const handleQueueChanged = () => getQueue().then(setQueue);
+    const handleWorkerMessage = (e) => {
+      if (e.data && e.data.type === 'ATTENDANCE_SYNCED') handleQueueChanged();
+    };
+
+    window.addEventListener('online', handleOnline);
+    window.addEventListener('offline', handleOffline);
+    window.addEventListener(QUEUE_CHANGED_EVENT, handleQueueChanged);
+    if ('serviceWorker' in navigator) navigator.serviceWorker.addEventListener('message', handleWorkerMessage);
+    return () => {
+      window.removeEventListener('online', handleOnline);
+      window.removeEventListener('offline', handleOffline);
+      window.removeEventListener(QUEUE_CHANGED_EVENT, handleQueueChanged);
+      if ('serviceWorker' in navigator) navigator.serviceWorker.removeEventListener('message', handleWorkerMessage);
+    };
+  }, [loadLocal, runSync]);
+
+  const handleDownload = async () => {
+    setBusy(true);
+    setMessage('');
+    try {
+      const { members } = await refreshOfflineData();
+      await loadLocal();
+      setMessage(`Saved ${members} members and today's events on this device`);
+    } catch (err) {
+      setMessage(err.message || 'Download failed');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleCheckIn = async (member) => {
+    const event = events.find((ev) => ev._id === eventId);
+    if (!event) return;
+    const { queued } = await queueCheckIn(member, event);
+    setCheckedIn((prev) => ({ ...prev, [`${eventId}:${member._id}`]: true }));
+    setMessage(queued ? `${member.name} checked in` : `${member.name} is already checked in`);
+    setSearch('');
+    if (queued && navigator.onLine) runSync();
+  };
+
+  const pending = queue.filter((entry) => entry.status === 'pending');
+  const failed = queue.filter((entry) => entry.status === 'failed');
+
+  const matches = useMemo(() => {
+    const term = search.trim().toLowerCase();
+    if (term.length < 2) return [];
+    return roster
+      .filter((member) => member.name.toLowerCase().includes(term) || (member.phone || '').includes(term))
+      .slice(0, 20);
+  }, [roster, search]);
+
+  return (
+    <div className="max-w-3xl mx-auto py-12 px-4">
+      <div className="flex flex-wrap items-center justify-between gap-2 mb-4">
+        <h1 className="text-2xl font-bold text-primary-700 dark:text-white">Usher Attendance</h1>
+        <span className={`px-3 py-1 rounded-full text-sm font-semibold ${online ? 'bg-green-100 text-green-700' : 'bg-yellow-100 text-yellow-800'}`}>
+          {online ? 'Online' : 'Offline'}
+        </span>
+      </div>
+
+      <div
+        className={`mb-4 p-3 rounded-lg flex flex-wrap items-center justify-between gap-2 ${pending.length ? 'bg-yellow-50 border border-yellow-200' : 'bg-gray-50 border border-gray-200'}`}
+        role="status"
+      >
+        <span className="text-sm font-medium text-gray-800">
+          {pending.length === 0
+            ? 'All check-ins synced'
+            : `${pending.length} ${pending.length === 1 ? 'record' : 'records'} pending sync`}
+        </span>
+        <button
+          className="px-3 py-1 rounded text-sm font-semibold bg-blue-100 text-blue-700 hover:bg-blue-200 disabled:opacity-50"
+          disabled={!online || pending.length === 0}
+          onClick={runSync}
+        >
+          Sync Now
+        </button>
+      </div>
+
+      <div className="bg-white dark:bg-gray-900 rounded-lg shadow p-4 mb-4 flex flex-wrap items-center gap-2">
+        <div className="flex-1 text-sm text-gray-600 dark:text-gray-400">
+          {roster.length
+            ? `${roster.length} members saved${rosterSavedAt ? ` on ${new Date(rosterSavedAt).toLocaleString('en-NG')}` : ''}`
+            : 'No roster on this device yet. Download it while you have signal.'}
+        </div>
+        <button
+          className="px-3 py-2 rounded-lg bg-gray-100 text-gray-700 text-sm font-semibold hover:bg-gray-200 disabled:opacity-50"
+          disabled={!online || busy}
+          onClick={handleDownload}
+        >
+          {busy ? 'Downloading...' : 'Download Roster'}
+        </button>
+      </div>
+
+      <select
+        value={eventId}
+        onChange={(e) => setEventId(e.target.value)}
+        className="w-full p-2 mb-4 border border-gray-300 rounded-lg text-gray-900"
+        aria-label="Service or event"
+      >
+        <option value="">Choose the service or event...</option>
+        {events.map((event) => (
+          <option key={event._id} value={event._id}>{event.title} ({event.startTime})</option>
+        ))}
+      </select>
+
+      <input
+        type="search"
+        placeholder="Search by name or phone"
+        value={search}
+        onChange={(e) => setSearch(e.target.value)}
+        disabled={!eventId}
+        className="w-full p-3 text-lg mb-2 border border-gray-300 rounded-lg text-gray-900 disabled:bg-gray-100"
+      />
+
+      {message && <p className="mb-2 text-sm text-gray-700 dark:text-gray-300" role="status">{message}</p>}
+
+      <ul className="divide-y divide-gray-100 bg-white dark:bg-gray-900 rounded-lg shadow mb-6">
+        {matches.map((member) => {
+          const done = checkedIn[`${eventId}:${member._id}`];
+          return (
+            <li key={member._id} className="p-3 flex items-center justify-between gap-2">
+              <div>
+                <div className="font-medium text-gray-900 dark:text-white">{member.name}</div>
+                {member.phone && <div className="text-xs text-gray-500">{member.phone}</div>}
+              </div>
+              <button
+                className="px-3 py-2 rounded-lg text-sm font-semibold bg-green-600 text-white hover:bg-green-700 disabled:bg-green-100 disabled:text-green-700"
+                disabled={done}
+                onClick={() => handleCheckIn(member)}
+              >
+                {done ? 'Checked In' : 'Check In'}
+              </button>
+            </li>
+          );
+        })}
+      </ul>
+
+      {pending.length > 0 && (
+        <>
+          <h2 className="text-lg font-semibold mb-2 text-gray-900 dark:text-white">Waiting to sync</h2>
+          <ul className="text-sm text-gray-600 dark:text-gray-400 space-y-1 mb-6">
+            {pending.map((entry) => (
+              <li key={entry.clientId}>
+                {entry.memberName} &middot; {entry.record.activityTitle} &middot; {formatTime(entry.record.checkInTime)}
+              </li>
+            ))}
+          </ul>
+        </>
+      )}
+
+      {failed.length > 0 && (
+        <>
+          <h2 className="text-lg font-semibold mb-2 text-red-700">Not accepted by the server</h2>
+          <ul className="space-y-2">
+            {failed.map((entry) => (
+              <li key={entry.clientId} className="flex items-center justify-between gap-2 text-sm">
+                <span className="text-gray-700 dark:text-gray-300">
+                  {entry.memberName} &middot; {entry.record.activityTitle}: {entry.error}
+                </span>
+                <button
+                  className="px-2 py-1 rounded text-xs font-semibold bg-red-100 text-red-700 hover:bg-red-200"
+                  onClick={() => discardQueued(entry.clientId)}
+                >
+                  Discard
+                </button>
+              </li>
+            ))}
+          </ul>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default OfflineAttendance;
@@ -0,0 +1,334 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { useAuth } from '../../hooks/useAuth';
+import {
+  getAbsentees,
+  moveAbsentee,
+  assignAbsentee,
+  addAbsenteeNote,
+  runAbsenteeDetection,
+  getCareSettings,
+  updateCareSettings
+} from '../../services/careService';
+import { ABSENTEE_CARE_STAGES } from '@haven-word-church/shared/constants';
+
+// Roles allowed to change the care settings (EDIT_USERS)
+const SETTINGS_EDITORS = ['pastor', 'admin', 'super_admin'];
+
+const formatDate = (value) => (value
+  ? new Date(value).toLocaleDateString('en-NG', { day: 'numeric', month: 'short', year: 'numeric' })
+  : 'Never');
+
+/**
+ * Pastoral care dashboard. Lists regular members who have stopped coming to
+ * services, with their recent attendance, so the care team can reach out.
+ * Members drop off the list on their own once they are back.
+ */
+const PastoralCare = () => {
+  const { user } = useAuth();
+  const [status, setStatus] = useState('open');
+  const [days, setDays] = useState([]);
+  const [members, setMembers] = useState([]);
+  const [summary, setSummary] = useState(null);
+  const [settings, setSettings] = useState(null);
+  const [draft, setDraft] = useState(null);
+  const [showSettings, setShowSettings] = useState(false);
+  const [expanded, setExpanded] = useState(null);
+  const [note, setNote] = useState('');
+  const [message, setMessage] = useState('');
+  const [error, setError] = useState('');
+  const canEditSettings = user && SETTINGS_EDITORS.includes(user.role);
+
+  const load = useCallback(async () => {
+    try {
+      const result = await getAbsentees({ status });
+      setDays(result.data.days);
+      setMembers(result.data.members);
+      setSummary(result.summary);
+      setError('');
+    } catch (err) {
+      setError(err.message || 'Failed to load at-risk members');
+    }
+  }, [status]);
+
+  const loadSettings = useCallback(async () => {
+    try {
+      const result = await getCareSettings();
+      setSettings(result.data);
+      setDraft({
+        absenceThreshold: result.data.absenceThreshold,
+        regularMinServices: result.data.regularMinServices,
+        team: result.data.team.map((member) => member._id)
+      });
+    } catch (err) {
+      // Care givers working only their own tasks cannot see the settings
+      setSettings(null);
+    }
+  }, []);
+
+  useEffect(() => { load(); }, [load]);
+  useEffect(() => { loadSettings(); }, [loadSettings]);
+
+  // Keep the trend figures when a task comes back from an update
+  const applyTask = (updated) => {
+    setMembers((prev) => prev
+      .map((entry) => (entry._id === updated._id ? { ...entry, ...updated } : entry))
+      .filter((entry) => (status === 'open' ? entry.status === 'open' : entry.status === 'closed')));
+  };
+
+  const run = async (action) => {
+    try {
+      const result = await action();
+      if (result.data) applyTask(result.data);
+      setError('');
+    } catch (err) {
+      setError(err.message || 'Something went wrong');
+    }
+  };
+
+  const handleAddNote = async (e, taskId) => {
+    e.preventDefault();
+    if (!note.trim()) return;
+    await run(() => addAbsenteeNote(taskId, note));
+    setNote('');
+  };
+
+  const handleDetect = async () => {
+    try {
+      const result = await runAbsenteeDetection();
+      setMessage(result.message);
+      load();
+    } catch (err) {
+      setError(err.message || 'Failed to check for absent members');
+    }
+  };
+
+  const handleSaveSettings = async () => {
+    try {
+      await updateCareSettings(draft);
+      await loadSettings();
+      setShowSettings(false);
+      setMessage('Care settings saved');
+    } catch (err) {
+      setError(err.errors ? Object.values(err.errors).join('. ') : err.message || 'Failed to save care settings');
+    }
+  };
+
+  const toggleTeamMember = (id) => setDraft((prev) => ({
+    ...prev,
+    team: prev.team.includes(id) ? prev.team.filter((memberId) => memberId !== id) : [...prev.team, id]
+  }));
+
+  return (
+    <div className="max-w-6xl mx-auto py-12 px-4">
+      <div className="flex flex-wrap items-center gap-2 mb-6">
+        <h1 className="text-2xl font-bold text-primary-700 dark:text-white flex-1">Pastoral Care</h1>
+        {canEditSettings && (
+          <>
+            <button
+              className="px-4 py-2 rounded-lg bg-gray-100 text-gray-700 font-semibold hover:bg-gray-200"
+              onClick={handleDetect}
+            >
+              Check Now
+            </button>
+            <button
+              className="px-4 py-2 rounded-lg bg-gray-100 text-gray-700 font-semibold hover:bg-gray-200"
+              onClick={() => setShowSettings((prev) => !prev)}
+            >
+              Settings
+            </button>
+          </>
+        )}
+      </div>
+
+      {summary && (
+        <div className="grid grid-cols-1 sm:grid-cols-3 gap-4 mb-6">
+          <div className="bg-white dark:bg-gray-900 rounded-lg shadow p-4">
+            <div className="text-3xl font-bold text-red-600">{summary.open}</div>
+            <div className="text-sm text-gray-600 dark:text-gray-400">Members at risk</div>
+          </div>
+          <div className="bg-white dark:bg-gray-900 rounded-lg shadow p-4">
+            <div className="text-3xl font-bold text-yellow-600">{summary.unassigned}</div>
+            <div className="text-sm text-gray-600 dark:text-gray-400">Not yet assigned</div>
+          </div>
+          <div className="bg-white dark:bg-gray-900 rounded-lg shadow p-4">
+            <div className="text-3xl font-bold text-green-600">{summary.returnedLast30Days}</div>
+            <div className="text-sm text-gray-600 dark:text-gray-400">Back at church (30 days)</div>
+          </div>
+        </div>
+      )}
+
+      {message && <p className="mb-4 text-sm text-gray-700 dark:text-gray-300" role="status">{message}</p>}
+      {error && <div className="mb-4 text-red-500">{error}</div>}
+
+      {showSettings && draft && settings && (
+        <div className="mb-6 bg-white dark:bg-gray-900 rounded-lg shadow p-4">
+          <h2 className="text-lg font-semibold mb-3 text-gray-900 dark:text-white">Absentee detection</h2>
+          <div className="flex flex-wrap gap-4 mb-4 text-sm text-gray-700 dark:text-gray-300">
+            <label className="flex items-center gap-2">
+              Flag after missing
+              <input
+                type="number"
+                min={2}
+                max={12}
+                value={draft.absenceThreshold}
+                onChange={(e) => setDraft((prev) => ({ ...prev, absenceThreshold: e.target.value }))}
+                className="w-16 p-1 border border-gray-300 rounded text-gray-900"
+              />
+              services in a row
+            </label>
+            <label className="flex items-center gap-2">
+              if they came to at least
+              <input
+                type="number"
+                min={1}
+                max={settings.regularWindow}
+                value={draft.regularMinServices}
+                onChange={(e) => setDraft((prev) => ({ ...prev, regularMinServices: e.target.value }))}
+                className="w-16 p-1 border border-gray-300 rounded text-gray-900"
+              />
+              of the {settings.regularWindow} services before
+            </label>
+          </div>
+          <h3 className="font-medium text-gray-900 dark:text-white mb-1">Care team</h3>
+          <p className="text-sm text-gray-500 mb-2">Each absent member goes to whoever on the team has the fewest open care tasks.</p>
+          <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-2 mb-4">
+            {settings.candidates.map((member) => (
+              <label key={member._id} className="flex items-center gap-2 text-sm text-gray-700 dark:text-gray-300">
+                <input
+                  type="checkbox"
+                  checked={draft.team.includes(member._id)}
+                  onChange={() => toggleTeamMember(member._id)}
+                />
+                {member.name} <span className="text-gray-400">({member.role})</span>
+              </label>
+            ))}
+          </div>
+          <button className="px-4 py-2 rounded-lg bg-blue-600 text-white font-semibold hover:bg-blue-700" onClick={handleSaveSettings}>
+            Save Settings
+          </button>
+        </div>
+      )}
+
+      <div className="flex gap-2 mb-4">
+        {['open', 'closed'].map((value) => (
+          <button
+            key={value}
+            className={`px-3 py-1 rounded-full text-sm font-semibold ${status === value ? 'bg-blue-600 text-white' : 'bg-gray-100 text-gray-700'}`}
+            onClick={() => setStatus(value)}
+          >
+            {value === 'open' ? 'At risk' : 'Recently closed'}
+          </button>
+        ))}
+      </div>
+
+      {members.length === 0 ? (
+        <p className="text-gray-500">{status === 'open' ? 'No members are currently flagged.' : 'Nothing closed recently.'}</p>
+      ) : (
+        <div className="bg-white dark:bg-gray-900 rounded-lg shadow overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead className="text-left text-gray-500 border-b border-gray-100">
+              <tr>
+                <th className="p-3">Member</th>
+                <th className="p-3">Last {days.length} services</th>
+                <th className="p-3">Missed in a row</th>
+                <th className="p-3">Last attended</th>
+                <th className="p-3">Assigned to</th>
+                <th className="p-3">Stage</th>
+              </tr>
+            </thead>
+            <tbody>
+              {members.map((entry) => (
+                <React.Fragment key={entry._id}>
+                  <tr className="border-b border-gray-50 align-top">
+                    <td className="p-3">
+                      <button
+                        className="font-medium text-left text-gray-900 dark:text-white hover:underline"
+                        onClick={() => setExpanded(expanded === entry._id ? null : entry._id)}
+                      >
+                        {entry.member ? entry.member.name : 'Unknown member'}
+                      </button>
+                      {entry.member && entry.member.phone && (
+                        <div><a href={`tel:${entry.member.phone}`} className="text-xs text-blue-700">{entry.member.phone}</a></div>
+                      )}
+                    </td>
+                    <td className="p-3">
+                      <div className="flex gap-0.5" aria-label={`Attended ${entry.attendanceRate}% of the last ${days.length} services`}>
+                        {entry.trend.map((attended, index) => (
+                          <span
+                            key={days[index]}
+                            title={`${days[index]}: ${attended ? 'present' : 'absent'}`}
+                            className={`inline-block w-3 h-5 rounded-sm ${attended ? 'bg-green-500' : 'bg-gray-200'}`}
+                          />
+                        ))}
+                      </div>
+                      <div className="text-xs text-gray-500 mt-1">{entry.attendanceRate}%</div>
+                    </td>
+                    <td className="p-3 font-semibold text-red-600">{entry.missedStreak}</td>
+                    <td className="p-3 text-gray-700 dark:text-gray-300">{formatDate(entry.lastAttended)}</td>
+                    <td className="p-3">
+                      {settings ? (
+                        <select
+                          value={entry.assignedTo ? entry.assignedTo._id : ''}
+                          onChange={(e) => run(() => assignAbsentee(entry._id, e.target.value || null))}
+                          className="p-1 border border-gray-200 rounded text-gray-700"
+                          aria-label="Assigned to"
+                        >
+                          <option value="">Unassigned</option>
+                          {settings.candidates.map((member) => (
+                            <option key={member._id} value={member._id}>{member.name}</option>
+                          ))}
+                        </select>
+                      ) : (
+                        <span className="text-gray-700 dark:text-gray-300">{entry.assignedTo ? entry.assignedTo.name : 'Unassigned'}</span>
+                      )}
+                    </td>
+                    <td className="p-3">
+                      <select
+                        value={entry.stage}
+                        onChange={(e) => run(() => moveAbsentee(entry._id, e.target.value))}
+                        className="p-1 border border-gray-200 rounded text-gray-700"
+                        aria-label="Stage"
+                      >
+                        {ABSENTEE_CARE_STAGES.map((stage) => (
+                          <option key={stage.id} value={stage.id}>{stage.name}</option>
+                        ))}
+                      </select>
+                    </td>
+                  </tr>
+                  {expanded === entry._id && (
+                    <tr className="border-b border-gray-100 bg-gray-50 dark:bg-gray-800">
+                      <td colSpan={6} className="p-3">
+                        <ul className="space-y-2 mb-3">
+                          {entry.notes.map((item) => (
+                            <li key={item._id} className="text-gray-700 dark:text-gray-300">
+                              {item.text}
+                              <span className="text-xs text-gray-500"> &middot; {item.author ? item.author.name : ''}, {formatDate(item.createdAt)}</span>
+                            </li>
+                          ))}
+                          {entry.notes.length === 0 && <li className="text-gray-500">No notes yet.</li>}
+                        </ul>
+                        <form onSubmit={(e) => handleAddNote(e, entry._id)} className="flex gap-2">
+                          <input
+                            className="flex-1 p-2 border border-gray-300 rounded-lg text-gray-900"
+                            placeholder="Add a note, e.g. spoke on the phone, travelling for work"
+                            value={note}
+                            onChange={(e) => setNote(e.target.value)}
+                          />
+                          <button type="submit" className="px-3 py-2 rounded-lg bg-blue-600 text-white font-semibold hover:bg-blue-700">
+                            Add
+                          </button>
+                        </form>
+                      </td>
+                    </tr>
+                  )}
+                </React.Fragment>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PastoralCare;
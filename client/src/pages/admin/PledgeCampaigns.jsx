@@ -0,0 +1,298 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import {
+  getFunds,
+  getManagedCampaigns,
+  createCampaign,
+  updateCampaign,
+  getCampaignPledges
+} from '../../services/givingService';
+import { ProgressBar } from '../../components/giving/PledgeCampaignsPanel';
+import { formatCurrency } from '../../utils/helpers';
+
+const formatDate = (value) => (value
+  ? new Date(value).toLocaleDateString('en-NG', { day: 'numeric', month: 'short', year: 'numeric' })
+  : '—');
+
+const toInputDate = (value) => (value ? new Date(value).toISOString().slice(0, 10) : '');
+
+const emptyDraft = (funds) => ({
+  title: '',
+  description: '',
+  type: funds.includes('Building Fund') ? 'Building Fund' : funds[0] || '',
+  targetAmount: '',
+  startDate: new Date().toISOString().slice(0, 10),
+  endDate: ''
+});
+
+/**
+ * Pledge campaigns for finance staff. Shows each campaign's target against
+ * what has been pledged and given, who pledged, and the recurring giving
+ * the church can count on each month.
+ */
+const PledgeCampaigns = () => {
+  const [status, setStatus] = useState('active');
+  const [campaigns, setCampaigns] = useState([]);
+  const [funds, setFunds] = useState([]);
+  const [recurring, setRecurring] = useState(null);
+  const [draft, setDraft] = useState(null);
+  const [editingId, setEditingId] = useState(null);
+  const [expanded, setExpanded] = useState(null);
+  const [pledges, setPledges] = useState([]);
+  const [message, setMessage] = useState('');
+  const [error, setError] = useState('');
+
+  const load = useCallback(async () => {
+    try {
+      const result = await getManagedCampaigns({ status });
+      setCampaigns(result.data);
+      setRecurring(result.recurring);
+      setError('');
+    } catch (err) {
+      setError(err.message || 'Failed to load campaigns');
+    }
+  }, [status]);
+
+  useEffect(() => { load(); }, [load]);
+
+  useEffect(() => {
+    getFunds()
+      .then((result) => setFunds(result.data.map((fund) => fund.name)))
+      .catch((err) => setError(err.message || 'Failed to load funds'));
+  }, []);
+
+  const openEditor = (campaign) => {
+    setEditingId(campaign ? campaign._id : null);
+    setDraft(campaign
+      ? {
+        title: campaign.title,
+        description: campaign.description || '',
+        type: campaign.type,
+        targetAmount: campaign.targetAmount,
+        startDate: toInputDate(campaign.startDate),
+        endDate: toInputDate(campaign.endDate)
+      }
+      : emptyDraft(funds));
+    setMessage('');
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    try {
+      const data = { ...draft, endDate: draft.endDate || null };
+      if (editingId) await updateCampaign(editingId, data);
+      else await createCampaign(data);
+      setMessage(editingId ? 'Campaign updated' : 'Campaign created');
+      setDraft(null);
+      load();
+    } catch (err) {
+      setError(err.errors ? Object.values(err.errors).join('. ') : err.message || 'Failed to save campaign');
+    }
+  };
+
+  const handleToggleStatus = async (campaign) => {
+    const closing = campaign.status === 'active';
+    if (closing && !window.confirm(`Close ${campaign.title}? Members will no longer be able to pledge or give to it.`)) return;
+    try {
+      await updateCampaign(campaign._id, { status: closing ? 'closed' : 'active' });
+      load();
+    } catch (err) {
+      setError(err.message || 'Failed to update campaign');
+    }
+  };
+
+  const togglePledges = async (campaign) => {
+    if (expanded === campaign._id) {
+      setExpanded(null);
+      return;
+    }
+    try {
+      const result = await getCampaignPledges(campaign._id);
+      setPledges(result.data);
+      setExpanded(campaign._id);
+    } catch (err) {
+      setError(err.message || 'Failed to load pledges');
+    }
+  };
+
+  const updateDraft = (field) => (e) => setDraft((prev) => ({ ...prev, [field]: e.target.value }));
+
+  return (
+    <div className="max-w-6xl mx-auto py-12 px-4">
+      <div className="flex flex-wrap items-center gap-2 mb-6">
+        <h1 className="text-2xl font-bold text-primary-700 dark:text-white flex-1">Pledge Campaigns</h1>
+        <button
+          className="px-4 py-2 rounded-lg bg-blue-600 text-white font-semibold hover:bg-blue-700"
+          onClick={() => openEditor(null)}
+        >
+          New Campaign
+        </button>
+      </div>
+
+      {recurring && (
+        <div className="grid grid-cols-1 sm:grid-cols-2 gap-4 mb-6">
+          <div className="bg-white dark:bg-gray-900 rounded-lg shadow p-4">
+            <div className="text-3xl font-bold text-green-600">{recurring.active}</div>
+            <div className="text-sm text-gray-600 dark:text-gray-400">Active recurring gifts</div>
+          </div>
+          <div className="bg-white dark:bg-gray-900 rounded-lg shadow p-4">
+            <div className="text-3xl font-bold text-blue-600">{formatCurrency(recurring.monthlyTotal)}</div>
+            <div className="text-sm text-gray-600 dark:text-gray-400">Recurring giving per month</div>
+          </div>
+        </div>
+      )}
+
+      {message && <p className="mb-4 text-sm text-gray-700 dark:text-gray-300" role="status">{message}</p>}
+      {error && <div className="mb-4 text-red-500">{error}</div>}
+
+      {draft && (
+        <form onSubmit={handleSave} className="mb-6 bg-white dark:bg-gray-900 rounded-lg shadow p-4 space-y-3">
+          <h2 className="text-lg font-semibold text-gray-900 dark:text-white">{editingId ? 'Edit campaign' : 'New campaign'}</h2>
+          <input
+            value={draft.title}
+            onChange={updateDraft('title')}
+            placeholder="Title, e.g. New Sanctuary"
+            className="w-full p-2 border border-gray-300 rounded text-gray-900"
+            required
+          />
+          <textarea
+            value={draft.description}
+            onChange={updateDraft('description')}
+            placeholder="What the campaign is for"
+            rows={2}
+            className="w-full p-2 border border-gray-300 rounded text-gray-900"
+          />
+          <div className="grid grid-cols-1 sm:grid-cols-4 gap-3 text-sm text-gray-700 dark:text-gray-300">
+            <label>
+              Fund
+              <select value={draft.type} onChange={updateDraft('type')} className="w-full p-2 border border-gray-300 rounded text-gray-900">
+                {!funds.includes(draft.type) && <option value={draft.type}>{draft.type}</option>}
+                {funds.map((fund) => <option key={fund} value={fund}>{fund}</option>)}
+              </select>
+            </label>
+            <label>
+              Target (NGN)
+              <input
+                type="number"
+                min={1}
+                value={draft.targetAmount}
+                onChange={updateDraft('targetAmount')}
+                className="w-full p-2 border border-gray-300 rounded text-gray-900"
+                required
+              />
+            </label>
+            <label>
+              Starts
+              <input type="date" value={draft.startDate} onChange={updateDraft('startDate')} className="w-full p-2 border border-gray-300 rounded text-gray-900" />
+            </label>
+            <label>
+              Ends (optional)
+              <input type="date" value={draft.endDate} onChange={updateDraft('endDate')} className="w-full p-2 border border-gray-300 rounded text-gray-900" />
+            </label>
+          </div>
+          <div className="flex gap-2">
+            <button type="submit" className="px-4 py-2 rounded-lg bg-blue-600 text-white font-semibold hover:bg-blue-700">
+              Save Campaign
+            </button>
+            <button type="button" className="px-4 py-2 rounded-lg bg-gray-100 text-gray-700 font-semibold hover:bg-gray-200" onClick={() => setDraft(null)}>
+              Cancel
+            </button>
+          </div>
+        </form>
+      )}
+
+      <div className="flex gap-2 mb-4">
+        {['active', 'closed', 'all'].map((value) => (
+          <button
+            key={value}
+            className={`px-3 py-1 rounded-full text-sm font-semibold ${status === value ? 'bg-blue-600 text-white' : 'bg-gray-100 text-gray-700'}`}
+            onClick={() => setStatus(value)}
+          >
+            {value.charAt(0).toUpperCase() + value.slice(1)}
+          </button>
+        ))}
+      </div>
+
+      {campaigns.length === 0 ? (
+        <p className="text-gray-500">No campaigns yet.</p>
+      ) : (
+        <div className="space-y-4">
+          {campaigns.map((campaign) => (
+            <div key={campaign._id} className="bg-white dark:bg-gray-900 rounded-lg shadow p-4">
+              <div className="flex flex-wrap items-start gap-2 mb-3">
+                <div className="flex-1">
+                  <h2 className="font-semibold text-gray-900 dark:text-white">
+                    {campaign.title}
+                    {campaign.status === 'closed' && <span className="ml-2 text-xs px-2 py-0.5 rounded-full bg-gray-100 text-gray-600">Closed</span>}
+                  </h2>
+                  <p className="text-sm text-gray-500">
+                    {campaign.type} · {formatDate(campaign.startDate)} to {formatDate(campaign.endDate)}
+                  </p>
+                </div>
+                <button className="text-sm text-blue-700 hover:underline" onClick={() => openEditor(campaign)}>Edit</button>
+                <button className="text-sm text-gray-600 hover:underline" onClick={() => handleToggleStatus(campaign)}>
+                  {campaign.status === 'active' ? 'Close' : 'Reopen'}
+                </button>
+              </div>
+
+              <div className="space-y-2 text-sm text-gray-700 dark:text-gray-300">
+                <div>
+                  <div className="flex justify-between mb-1">
+                    <span>Given {formatCurrency(campaign.given)} by {campaign.givers} member{campaign.givers === 1 ? '' : 's'}</span>
+                    <span>{campaign.percentGiven}% of {formatCurrency(campaign.targetAmount)}</span>
+                  </div>
+                  <ProgressBar value={campaign.given} max={campaign.targetAmount} />
+                </div>
+                <div>
+                  <div className="flex justify-between mb-1">
+                    <span>Pledged {formatCurrency(campaign.pledged)} by {campaign.pledgers} member{campaign.pledgers === 1 ? '' : 's'}</span>
+                    <span>{campaign.percentPledged}%</span>
+                  </div>
+                  <ProgressBar value={campaign.pledged} max={campaign.targetAmount} color="bg-purple-500" />
+                </div>
+              </div>
+
+              <button className="mt-3 text-sm text-blue-700 hover:underline" onClick={() => togglePledges(campaign)}>
+                {expanded === campaign._id ? 'Hide pledges' : 'Show pledges'}
+              </button>
+              {expanded === campaign._id && (
+                pledges.length === 0 ? (
+                  <p className="mt-2 text-sm text-gray-500">No pledges or gifts yet.</p>
+                ) : (
+                  <table className="w-full text-sm mt-2">
+                    <thead className="text-left text-gray-500 border-b border-gray-100">
+                      <tr>
+                        <th className="p-2">Member</th>
+                        <th className="p-2">Pledged</th>
+                        <th className="p-2">Given</th>
+                        <th className="p-2">Last gift</th>
+                        <th className="p-2 w-1/4">Progress</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {pledges.map((row) => (
+                        <tr key={row.member._id} className="border-b border-gray-50">
+                          <td className="p-2">
+                            <div className="font-medium text-gray-900 dark:text-white">{row.member.name}</div>
+                            {row.member.phone && <a href={`tel:${row.member.phone}`} className="text-xs text-blue-700">{row.member.phone}</a>}
+                          </td>
+                          <td className="p-2">{row.pledged ? formatCurrency(row.pledged) : '—'}</td>
+                          <td className="p-2">{formatCurrency(row.given)}</td>
+                          <td className="p-2">{formatDate(row.lastGift)}</td>
+                          <td className="p-2">
+                            {row.pledged > 0 && <ProgressBar value={row.given} max={row.pledged} color="bg-purple-500" />}
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                )
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PledgeCampaigns;
@@ -0,0 +1,139 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { RotateCcw } from 'lucide-react';
+import { useNotifications } from '../../context/NotificationContext';
+import LoadingSpinner from '../../components/common/LoadingSpinner';
+import {
+  getRolePermissions,
+  updateRolePermissions,
+  resetRolePermissions
+} from '../../services/userService';
+
+const formatLabel = (value) => value.replace(/_/g, ' ');
+
+/**
+ * Role -> permission matrix.
+ * A role holds its own grants plus everything granted to the roles below it,
+ * so inherited permissions are shown ticked but can only be changed on the lower role.
+ */
+const RolePermissions = () => {
+  const { showNotification } = useNotifications();
+  const [roles, setRoles] = useState([]);
+  const [permissions, setPermissions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [savingRole, setSavingRole] = useState('');
+
+  const loadPermissions = useCallback(async () => {
+    try {
+      const data = await getRolePermissions();
+      setRoles(data.roles);
+      setPermissions(data.permissions);
+    } catch (err) {
+      showNotification(err.message || 'Failed to load permissions', 'error');
+    } finally {
+      setLoading(false);
+    }
+  }, [showNotification]);
+
+  useEffect(() => {
+    loadPermissions();
+  }, [loadPermissions]);
+
+  const handleToggle = async (role, permission) => {
+    const grants = role.grants.includes(permission)
+      ? role.grants.filter((p) => p !== permission)
+      : [...role.grants, permission];
+    setSavingRole(role.role);
+    try {
+      await updateRolePermissions(role.role, grants);
+      // Grants flow up the hierarchy, so reload every role
+      await loadPermissions();
+    } catch (err) {
+      showNotification(err.message || 'Failed to update permissions', 'error');
+    } finally {
+      setSavingRole('');
+    }
+  };
+
+  const handleReset = async (role) => {
+    setSavingRole(role.role);
+    try {
+      await resetRolePermissions(role.role);
+      await loadPermissions();
+      showNotification(`Permissions for ${formatLabel(role.role)} reset to defaults`, 'success');
+    } catch (err) {
+      showNotification(err.message || 'Failed to reset permissions', 'error');
+    } finally {
+      setSavingRole('');
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <LoadingSpinner size="lg" text="Loading permissions..." />
+      </div>
+    );
+  }
+
+  return (
+    <div className="max-w-6xl mx-auto py-12 px-4">
+      <h1 className="text-2xl font-bold mb-2 text-primary-700 dark:text-white">Roles & Permissions</h1>
+      <p className="mb-6 text-gray-600 dark:text-gray-400 text-sm">
+        Each role also has every permission of the roles to its left. Ministry leaders can always manage
+        their own ministry and its events.
+      </p>
+      <div className="overflow-x-auto">
+        <table className="min-w-full bg-white dark:bg-gray-900 rounded-lg shadow text-sm">
+          <thead>
+            <tr>
+              <th className="px-4 py-2 text-left">Permission</th>
+              {roles.map((role) => (
+                <th key={role.role} className="px-3 py-2 text-center capitalize whitespace-nowrap">
+                  {formatLabel(role.role)}
+                  {role.editable && !role.isDefault && (
+                    <button
+                      type="button"
+                      onClick={() => handleReset(role)}
+                      disabled={savingRole === role.role}
+                      className="ml-1 align-middle text-gray-400 hover:text-gray-700"
+                      title="Reset to defaults"
+                      aria-label={`Reset ${formatLabel(role.role)} to defaults`}
+                    >
+                      <RotateCcw className="w-3 h-3 inline" />
+                    </button>
+                  )}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {permissions.map((permission) => (
+              <tr key={permission} className="border-t border-gray-200 dark:border-gray-700">
+                <td className="px-4 py-2 capitalize">{formatLabel(permission)}</td>
+                {roles.map((role) => {
+                  const granted = role.grants.includes(permission);
+                  const inherited = !granted && role.permissions.includes(permission);
+                  return (
+                    <td key={role.role} className="px-3 py-2 text-center">
+                      <input
+                        type="checkbox"
+                        checked={granted || inherited}
+                        disabled={!role.editable || inherited || savingRole === role.role}
+                        onChange={() => handleToggle(role, permission)}
+                        title={inherited ? 'Inherited from a lower role' : undefined}
+                        aria-label={`${formatLabel(permission)} for ${formatLabel(role.role)}`}
+                        className="h-4 w-4 text-blue-600 border-gray-300 rounded disabled:opacity-50"
+                      />
+                    </td>
+                  );
+                })}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default RolePermissions;
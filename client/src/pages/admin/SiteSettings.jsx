@@ -1,8 +1,10 @@
 import React, { useState, useEffect } from 'react';
 import { useAuth } from '../../hooks/useAuth';
 import { useApi } from '../../hooks/useApi';
+import { getSiteSettings, updateSiteSettings } from '../../services/api';
 import LoadingSpinner from '../../components/common/LoadingSpinner';
 import Button from '../../components/ui/Button';
+import { USER_ROLES, ROLE_HIERARCHY } from '@haven-word-church/shared/constants';
 import { 
   Settings, 
   Palette, 
@@ -12,6 +14,11 @@ import {
   RefreshCw
 } from 'lucide-react';
 
+// Account roles from lowest to highest
+const ACCOUNT_ROLES = Object.values(USER_ROLES)
+  .filter((role) => role !== USER_ROLES.GUEST)
+  .sort((a, b) => ROLE_HIERARCHY[a] - ROLE_HIERARCHY[b]);
+
 const SiteSettings = () => {
   const { user } = useAuth();
   const { apiCall } = useApi();
@@ -58,8 +65,9 @@ const SiteSettings = () => {
       requireEmailVerification: true,
       requirePhoneVerification: false,
       maxLoginAttempts: 5,
+      lockoutMinutes: 15,
       sessionTimeout: 24,
-      enableTwoFactor: false,
+      enforceTwoFactorRoles: [],
       allowRegistration: true
     }
   });
@@ -73,9 +81,13 @@ const SiteSettings = () => {
   const loadSettings = async () => {
     setLoading(true);
     try {
-      const response = await apiCall('GET', '/admin/settings');
+      const response = await getSiteSettings();
       if (response.data) {
-        setSettings(response.data);
+        // Only the security section is stored server-side so far
+        setSettings(prev => ({
+          ...prev,
+          security: { ...prev.security, ...response.data.security }
+        }));
       }
     } catch (error) {
       console.error('Error loading settings:', error);
@@ -94,10 +106,19 @@ const SiteSettings = () => {
     }));
   };
 
+  const toggleEnforcedRole = (role) => {
+    const roles = settings.security.enforceTwoFactorRoles;
+    handleSettingChange(
+      'security',
+      'enforceTwoFactorRoles',
+      roles.includes(role) ? roles.filter((r) => r !== role) : [...roles, role]
+    );
+  };
+
   const saveSettings = async () => {
     setSaving(true);
     try {
-      await apiCall('PUT', '/admin/settings', settings);
+      await updateSiteSettings({ security: settings.security });
       alert('Settings saved successfully!');
     } catch (error) {
       console.error('Error saving settings:', error);
@@ -481,20 +502,24 @@ const SiteSettings = () => {
           </label>
         </div>
         
-        <div className="flex items-center justify-between">
-          <div>
-            <h4 className="text-sm font-medium text-gray-900 dark:text-white">Enable Two-Factor Authentication</h4>
-            <p className="text-sm text-gray-500">Require 2FA for admin accounts</p>
+        <div>
+          <h4 className="text-sm font-medium text-gray-900 dark:text-white">Require Two-Factor Authentication</h4>
+          <p className="text-sm text-gray-500">
+            Users with these roles must set up an authenticator app before they can sign in
+          </p>
+          <div className="mt-3 flex flex-wrap gap-4">
+            {ACCOUNT_ROLES.map((role) => (
+              <label key={role} className="inline-flex items-center text-sm text-gray-700 dark:text-gray-300 capitalize">
+                <input
+                  type="checkbox"
+                  checked={settings.security.enforceTwoFactorRoles.includes(role)}
+                  onChange={() => toggleEnforcedRole(role)}
+                  className="h-4 w-4 mr-2 text-blue-600 border-gray-300 rounded"
+                />
+                {role.replace('_', ' ')}
+              </label>
+            ))}
           </div>
-          <label className="relative inline-flex items-center cursor-pointer">
-            <input
-              type="checkbox"
-              checked={settings.security.enableTwoFactor}
-              onChange={(e) => handleSettingChange('security', 'enableTwoFactor', e.target.checked)}
-              className="sr-only peer"
-            />
-            <div className="w-11 h-6 bg-gray-200 peer-focus:outline-none peer-focus:ring-4 peer-focus:ring-blue-300 dark:peer-focus:ring-blue-800 rounded-full peer dark:bg-gray-700 peer-checked:after:translate-x-full peer-checked:after:border-white after:content-[''] after:absolute after:top-[2px] after:left-[2px] after:bg-white after:border-gray-300 after:border after:rounded-full after:h-5 after:w-5 after:transition-all dark:border-gray-600 peer-checked:bg-blue-600"></div>
-          </label>
         </div>
       </div>
       
@@ -512,6 +537,19 @@ const SiteSettings = () => {
             className="w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500 dark:bg-gray-700 dark:border-gray-600 dark:text-white"
           />
         </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+            Lockout Duration (minutes)
+          </label>
+          <input
+            type="number"
+            value={settings.security.lockoutMinutes}
+            onChange={(e) => handleSettingChange('security', 'lockoutMinutes', parseInt(e.target.value))}
+            min="1"
+            max="1440"
+            className="w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500 dark:bg-gray-700 dark:border-gray-600 dark:text-white"
+          />
+        </div>
         <div>
           <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
             Session Timeout (hours)
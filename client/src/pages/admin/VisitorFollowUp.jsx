@@ -0,0 +1,330 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { useAuth } from '../../hooks/useAuth';
+import {
+  getFollowUpBoard,
+  moveFollowUp,
+  completeFollowUpStep,
+  assignFollowUp,
+  addFollowUpNote,
+  getFollowUpTeam,
+  updateFollowUpTeam
+} from '../../services/visitorService';
+import { FOLLOW_UP_STAGES, FOLLOW_UP_STEPS } from '@haven-word-church/shared/constants';
+
+const STEP_LABELS = Object.fromEntries(FOLLOW_UP_STEPS.map((step) => [step.key, step.label]));
+// Roles allowed to change who is on the team (EDIT_USERS)
+const TEAM_EDITORS = ['pastor', 'admin', 'super_admin'];
+
+const formatDate = (value) => new Date(value).toLocaleDateString('en-NG', { day: 'numeric', month: 'short' });
+
+const nextStep = (task) => task.steps.find((step) => step.status === 'pending');
+
+const isOverdue = (step) => {
+  const today = new Date();
+  today.setHours(0, 0, 0, 0);
+  return new Date(step.dueAt) < today;
+};
+
+/**
+ * Kanban board for the first-timer follow-up team. Each card is a visitor;
+ * drag it (or use "Move to") as they progress. Automatic steps are emailed
+ * by the server each morning; the rest are ticked off here.
+ */
+const VisitorFollowUp = () => {
+  const { user } = useAuth();
+  const [columns, setColumns] = useState([]);
+  const [assignedFilter, setAssignedFilter] = useState('');
+  const [team, setTeam] = useState(null);
+  const [selected, setSelected] = useState(null);
+  const [note, setNote] = useState('');
+  const [error, setError] = useState('');
+  const [showTeam, setShowTeam] = useState(false);
+  const [teamDraft, setTeamDraft] = useState({ team: [], newcomersClass: '' });
+  const [dragging, setDragging] = useState(null);
+
+  const loadBoard = useCallback(async () => {
+    try {
+      const result = await getFollowUpBoard(assignedFilter ? { assignedTo: assignedFilter } : {});
+      setColumns(result.data);
+      setError('');
+    } catch (err) {
+      setError(err.message || 'Failed to load follow-up board');
+    }
+  }, [assignedFilter]);
+
+  const loadTeam = useCallback(async () => {
+    try {
+      const result = await getFollowUpTeam();
+      setTeam(result.data);
+      setTeamDraft({ team: result.data.team.map((member) => member._id), newcomersClass: result.data.newcomersClass });
+    } catch (err) {
+      setTeam(null);
+    }
+  }, []);
+
+  useEffect(() => { loadBoard(); }, [loadBoard]);
+  useEffect(() => { loadTeam(); }, [loadTeam]);
+
+  // Replace a task on the board (and in the open panel) after a change
+  const applyTask = (updated) => {
+    setColumns((prev) => prev.map((column) => ({
+      ...column,
+      tasks: [
+        ...column.tasks.filter((task) => task._id !== updated._id),
+        ...(column.id === updated.stage ? [updated] : [])
+      ]
+    })));
+    setSelected((prev) => (prev && prev._id === updated._id ? updated : prev));
+  };
+
+  const run = async (action) => {
+    try {
+      const result = await action();
+      if (result.data) applyTask(result.data);
+      setError('');
+    } catch (err) {
+      setError(err.message || 'Something went wrong');
+    }
+  };
+
+  const handleDrop = (stage) => {
+    if (dragging && dragging.stage !== stage) run(() => moveFollowUp(dragging._id, stage));
+    setDragging(null);
+  };
+
+  const handleAddNote = async (e) => {
+    e.preventDefault();
+    if (!note.trim()) return;
+    await run(() => addFollowUpNote(selected._id, note));
+    setNote('');
+  };
+
+  const handleSaveTeam = async () => {
+    try {
+      await updateFollowUpTeam(teamDraft);
+      await loadTeam();
+      setShowTeam(false);
+    } catch (err) {
+      setError(err.message || 'Failed to save the follow-up team');
+    }
+  };
+
+  const toggleTeamMember = (id) => setTeamDraft((prev) => ({
+    ...prev,
+    team: prev.team.includes(id) ? prev.team.filter((memberId) => memberId !== id) : [...prev.team, id]
+  }));
+
+  return (
+    <div className="py-12 px-4">
+      <div className="flex flex-wrap items-center gap-2 mb-6">
+        <h1 className="text-2xl font-bold text-primary-700 dark:text-white flex-1">First-Timer Follow-Up</h1>
+        <select
+          value={assignedFilter}
+          onChange={(e) => setAssignedFilter(e.target.value)}
+          className="p-2 border border-gray-300 rounded-lg text-gray-900"
+          aria-label="Assigned to"
+        >
+          <option value="">Everyone&apos;s visitors</option>
+          <option value="me">Assigned to me</option>
+          <option value="none">Unassigned</option>
+          {team && team.team.map((member) => (
+            <option key={member._id} value={member._id}>{member.name}</option>
+          ))}
+        </select>
+        {user && TEAM_EDITORS.includes(user.role) && (
+          <button
+            className="px-4 py-2 rounded-lg bg-gray-100 text-gray-700 font-semibold hover:bg-gray-200"
+            onClick={() => setShowTeam((prev) => !prev)}
+          >
+            Team
+          </button>
+        )}
+      </div>
+
+      {error && <div className="mb-4 text-red-500">{error}</div>}
+
+      {team && team.team.length === 0 && (
+        <p className="mb-4 p-3 rounded-lg bg-yellow-50 border border-yellow-200 text-sm text-yellow-800">
+          No follow-up team has been chosen, so new visitors are not being assigned to anyone.
+        </p>
+      )}
+
+      {showTeam && team && (
+        <div className="mb-6 bg-white dark:bg-gray-900 rounded-lg shadow p-4">
+          <h2 className="text-lg font-semibold mb-2 text-gray-900 dark:text-white">Follow-up team</h2>
+          <p className="text-sm text-gray-500 mb-3">New visitors go to whoever on the team has the fewest open follow-ups.</p>
+          <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-2 mb-4">
+            {team.candidates.map((member) => (
+              <label key={member._id} className="flex items-center gap-2 text-sm text-gray-700 dark:text-gray-300">
+                <input
+                  type="checkbox"
+                  checked={teamDraft.team.includes(member._id)}
+                  onChange={() => toggleTeamMember(member._id)}
+                />
+                {member.name} <span className="text-gray-400">({member.role})</span>
+              </label>
+            ))}
+          </div>
+          <label htmlFor="newcomers-class" className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+            Next newcomers class (sent in the day-7 invitation)
+          </label>
+          <input
+            id="newcomers-class"
+            className="w-full p-2 mb-3 border border-gray-300 rounded-lg text-gray-900"
+            placeholder="e.g. Sunday 3 November, 12:30 PM, Fellowship Hall"
+            value={teamDraft.newcomersClass}
+            onChange={(e) => setTeamDraft((prev) => ({ ...prev, newcomersClass: e.target.value }))}
+          />
+          <button className="px-4 py-2 rounded-lg bg-blue-600 text-white font-semibold hover:bg-blue-700" onClick={handleSaveTeam}>
+            Save Team
+          </button>
+        </div>
+      )}
+
+      <div className="flex gap-4 overflow-x-auto pb-4">
+        {columns.map((column) => (
+          <section
+            key={column.id}
+            className="flex-shrink-0 w-72 bg-gray-50 dark:bg-gray-800 rounded-lg p-3"
+            onDragOver={(e) => e.preventDefault()}
+            onDrop={() => handleDrop(column.id)}
+            aria-label={column.name}
+          >
+            <h2 className="font-semibold text-gray-800 dark:text-gray-100 mb-3">
+              {column.name} <span className="text-gray-400 font-normal">{column.tasks.length}</span>
+            </h2>
+            <ul className="space-y-2 min-h-[4rem]">
+              {column.tasks.map((task) => {
+                const step = nextStep(task);
+                return (
+                  <li
+                    key={task._id}
+                    draggable
+                    onDragStart={() => setDragging(task)}
+                    className="bg-white dark:bg-gray-900 rounded-lg shadow-sm p-3 cursor-grab"
+                  >
+                    <button className="text-left w-full" onClick={() => setSelected(task)}>
+                      <div className="font-medium text-gray-900 dark:text-white">{task.visitor ? task.visitor.name : 'Unknown visitor'}</div>
+                      <div className="text-xs text-gray-500">
+                        Visited {task.visitor ? formatDate(task.visitor.visitDate) : ''}
+                        {task.assignedTo ? ` · ${task.assignedTo.name}` : ' · Unassigned'}
+                      </div>
+                      {step && task.status === 'open' && (
+                        <div className={`mt-1 text-xs font-medium ${isOverdue(step) ? 'text-red-600' : 'text-gray-600 dark:text-gray-400'}`}>
+                          Next: {STEP_LABELS[step.key] || step.key} ({formatDate(step.dueAt)})
+                        </div>
+                      )}
+                    </button>
+                    <select
+                      value={task.stage}
+                      onChange={(e) => run(() => moveFollowUp(task._id, e.target.value))}
+                      className="mt-2 w-full p-1 text-xs border border-gray-200 rounded text-gray-700"
+                      aria-label={`Move ${task.visitor ? task.visitor.name : 'visitor'} to`}
+                    >
+                      {FOLLOW_UP_STAGES.map((stage) => (
+                        <option key={stage.id} value={stage.id}>Move to: {stage.name}</option>
+                      ))}
+                    </select>
+                  </li>
+                );
+              })}
+            </ul>
+          </section>
+        ))}
+      </div>
+
+      {selected && (
+        <div className="fixed inset-0 bg-black bg-opacity-40 flex justify-end z-50" onClick={() => setSelected(null)}>
+          <aside
+            className="w-full max-w-md h-full overflow-y-auto bg-white dark:bg-gray-900 p-6"
+            onClick={(e) => e.stopPropagation()}
+            aria-label="Visitor details"
+          >
+            <div className="flex items-start justify-between mb-4">
+              <h2 className="text-xl font-bold text-gray-900 dark:text-white">{selected.visitor ? selected.visitor.name : 'Visitor'}</h2>
+              <button className="text-gray-500 hover:text-gray-800" onClick={() => setSelected(null)} aria-label="Close">&times;</button>
+            </div>
+
+            {selected.visitor && (
+              <dl className="text-sm text-gray-700 dark:text-gray-300 space-y-1 mb-4">
+                {selected.visitor.phone && <div><dt className="inline font-medium">Phone: </dt><dd className="inline"><a href={`tel:${selected.visitor.phone}`} className="text-blue-700">{selected.visitor.phone}</a></dd></div>}
+                {selected.visitor.email && <div><dt className="inline font-medium">Email: </dt><dd className="inline">{selected.visitor.email}</dd></div>}
+                <div><dt className="inline font-medium">First visit: </dt><dd className="inline">{formatDate(selected.visitor.visitDate)}</dd></div>
+                {selected.visitor.prayerRequest && (
+                  <div><dt className="font-medium">Prayer request</dt><dd className="italic">{selected.visitor.prayerRequest}</dd></div>
+                )}
+              </dl>
+            )}
+
+            <label htmlFor="follow-up-assignee" className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">Assigned to</label>
+            <select
+              id="follow-up-assignee"
+              value={selected.assignedTo ? selected.assignedTo._id : ''}
+              onChange={(e) => run(() => assignFollowUp(selected._id, e.target.value || null))}
+              className="w-full p-2 mb-4 border border-gray-300 rounded-lg text-gray-900"
+            >
+              <option value="">Unassigned</option>
+              {team && team.candidates.map((member) => (
+                <option key={member._id} value={member._id}>{member.name}</option>
+              ))}
+            </select>
+
+            <h3 className="font-semibold text-gray-900 dark:text-white mb-2">Steps</h3>
+            <ul className="space-y-2 mb-6">
+              {selected.steps.map((step) => (
+                <li key={step.key} className="flex items-center justify-between gap-2 text-sm">
+                  <span className={step.status === 'pending' && isOverdue(step) ? 'text-red-600' : 'text-gray-700 dark:text-gray-300'}>
+                    {STEP_LABELS[step.key] || step.key} &middot; {formatDate(step.dueAt)}
+                  </span>
+                  {step.status === 'pending' ? (
+                    <span className="flex gap-1">
+                      <button
+                        className="px-2 py-1 rounded text-xs font-semibold bg-green-100 text-green-700 hover:bg-green-200"
+                        onClick={() => run(() => completeFollowUpStep(selected._id, step.key))}
+                      >
+                        Done
+                      </button>
+                      <button
+                        className="px-2 py-1 rounded text-xs font-semibold bg-gray-100 text-gray-600 hover:bg-gray-200"
+                        onClick={() => run(() => completeFollowUpStep(selected._id, step.key, { skip: true }))}
+                      >
+                        Skip
+                      </button>
+                    </span>
+                  ) : (
+                    <span className="text-xs text-gray-500">
+                      {step.status === 'done' ? `Done ${formatDate(step.completedAt)}${step.completedBy ? '' : ' (automatic)'}` : 'Skipped'}
+                    </span>
+                  )}
+                </li>
+              ))}
+            </ul>
+
+            <h3 className="font-semibold text-gray-900 dark:text-white mb-2">Notes</h3>
+            <ul className="space-y-2 mb-3 text-sm">
+              {selected.notes.map((entry) => (
+                <li key={entry._id} className="p-2 rounded bg-gray-50 dark:bg-gray-800 text-gray-700 dark:text-gray-300">
+                  <p>{entry.text}</p>
+                  <p className="text-xs text-gray-500 mt-1">{entry.author ? entry.author.name : ''} &middot; {formatDate(entry.createdAt)}</p>
+                </li>
+              ))}
+            </ul>
+            <form onSubmit={handleAddNote} className="flex gap-2">
+              <input
+                className="flex-1 p-2 border border-gray-300 rounded-lg text-gray-900 text-sm"
+                placeholder="Add a note, e.g. call outcome"
+                value={note}
+                onChange={(e) => setNote(e.target.value)}
+              />
+              <button type="submit" className="px-3 py-2 rounded-lg bg-blue-600 text-white text-sm font-semibold hover:bg-blue-700">
+                Add
+              </button>
+            </form>
+          </aside>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default VisitorFollowUp;
@@ -1,8 +1,10 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
+import { useSearchParams } from 'react-router-dom';
 import { useAuth } from '../../hooks/useAuth';
 import { useNotifications } from '../../context/NotificationContext';
 import { getAttendance, exportAttendance } from '../../services/memberService';
 import LoadingSpinner from '../../components/common/LoadingSpinner';
+import QRScanner from '../../components/common/QRScanner';
 import SEOHead from '../../components/common/SEOHead';
 import Button from '../../components/ui/Button';
 import { 
@@ -53,6 +55,7 @@ const Attendance = () => {
   });
   const [showQRScanner, setShowQRScanner] = useState(false);
   const [checkingIn, setCheckingIn] = useState(false);
+  const [searchParams, setSearchParams] = useSearchParams();
 
   // Service types for filtering
   const serviceTypes = [
@@ -73,18 +76,10 @@ const Attendance = () => {
     { value: 'last_year', label: 'Last Year' }
   ];
 
-  /**
-   * Fetch attendance data on component mount and filter changes
-   */
-  useEffect(() => {
-    fetchAttendanceData();
-    fetchCurrentServices();
-  }, [filters]);
-
   /**
    * Fetch attendance records from API
    */
-  const fetchAttendanceData = async () => {
+  const fetchAttendanceData = useCallback(async () => {
     try {
       setLoading(true);
       const response = await getAttendance(filters);
@@ -96,30 +91,30 @@ const Attendance = () => {
     } finally {
       setLoading(false);
     }
-  };
+  }, [filters, showNotification]);
 
   /**
    * Fetch current/upcoming services for check-in
    */
-  const fetchCurrentServices = async () => {
+  const fetchCurrentServices = useCallback(async () => {
     try {
       const response = await memberService.getCurrentServices();
-      setCurrentServices(response.data);
+      setCurrentServices(response.data.filter((service) => service.checkIn.isOpen));
     } catch (error) {
       console.error('Error fetching current services:', error);
     }
-  };
+  }, []);
 
   /**
-   * Handle service check-in
-   * @param {string} serviceId - Service ID to check into
+   * Handle service check-in from a scanned code
+   * @param {string} token - Check-in token from the usher's QR code
    */
-  const handleCheckIn = async (serviceId) => {
+  const handleCheckIn = useCallback(async (token) => {
     try {
       setCheckingIn(true);
-      const response = await memberService.checkInToService(serviceId);
+      const response = await memberService.scanCheckInCode(token);
       
-      showNotification('Successfully checked in to service!', 'success');
+      showNotification(response.message, 'success');
       
       // Update attendance data
       fetchAttendanceData();
@@ -127,12 +122,45 @@ const Attendance = () => {
       
     } catch (error) {
       console.error('Error checking in:', error);
-      const message = error.response?.data?.message || 'Failed to check in to service';
-      showNotification(message, 'error');
+      showNotification(error.message || 'Failed to check in to service', 'error');
     } finally {
       setCheckingIn(false);
     }
-  };
+  }, [fetchAttendanceData, fetchCurrentServices, showNotification]);
+
+  /**
+   * The QR code holds a link to this page; pull the token out of it
+   * @param {string} text - Decoded QR code
+   */
+  const handleScan = useCallback((text) => {
+    setShowQRScanner(false);
+    let token = text;
+    try {
+      token = new URL(text).searchParams.get('checkin') || text;
+    } catch (err) {
+      // Not a link; treat the text as the token itself
+    }
+    handleCheckIn(token);
+  }, [handleCheckIn]);
+
+  /**
+   * Fetch attendance data on component mount and filter changes
+   */
+  useEffect(() => {
+    fetchAttendanceData();
+    fetchCurrentServices();
+  }, [fetchAttendanceData, fetchCurrentServices]);
+
+  /**
+   * Scanning the usher's code with the phone's camera app opens this page
+   * with ?checkin=<token>; check in straight away
+   */
+  useEffect(() => {
+    const token = searchParams.get('checkin');
+    if (!token) return;
+    setSearchParams({}, { replace: true });
+    handleCheckIn(token);
+  }, [searchParams, setSearchParams, handleCheckIn]);
 
   /**
    * Calculate attendance percentage
@@ -276,7 +304,7 @@ const Attendance = () => {
                     <div className="flex items-start justify-between mb-3">
                       <div>
                         <h3 className="font-semibold text-gray-900">{service.title}</h3>
-                        <p className="text-sm text-gray-600">{service.type}</p>
+                        <p className="text-sm text-gray-600">{service.category}</p>
                       </div>
                       <Church className="w-5 h-5 text-blue-600" />
                     </div>
@@ -284,20 +312,20 @@ const Attendance = () => {
                     <div className="space-y-2 mb-4">
                       <div className="flex items-center gap-2 text-sm text-gray-600">
                         <Calendar className="w-4 h-4" />
-                        {formatDate(service.date)}
+                        {formatDate(service.startDate)}
                       </div>
                       <div className="flex items-center gap-2 text-sm text-gray-600">
                         <Clock className="w-4 h-4" />
-                        {formatTime(service.startTime)} - {formatTime(service.endTime)}
+                        {service.startTime} - {service.endTime}
                       </div>
                       <div className="flex items-center gap-2 text-sm text-gray-600">
                         <MapPin className="w-4 h-4" />
-                        {service.location || 'Main Sanctuary'}
+                        {service.location?.venue || 'Main Sanctuary'}
                       </div>
                     </div>
                     
                     <Button
-                      onClick={() => handleCheckIn(service._id)}
+                      onClick={() => setShowQRScanner(true)}
                       disabled={checkingIn || service.checkedIn}
                       loading={checkingIn}
                       variant={service.checkedIn ? 'outline' : 'primary'}
@@ -306,7 +334,7 @@ const Attendance = () => {
                       leftIcon={service.checkedIn ? <CheckCircle className="w-4 h-4" /> : <Smartphone className="w-4 h-4" />}
                       className={service.checkedIn ? 'bg-green-100 text-green-800 border-green-200' : ''}
                     >
-                      {service.checkedIn ? 'Checked In' : 'Check In'}
+                      {service.checkedIn ? 'Checked In' : 'Scan to Check In'}
                     </Button>
                   </div>
                 ))}
@@ -314,6 +342,19 @@ const Attendance = () => {
             </div>
           )}
 
+          {currentServices.length === 0 && (
+            <div className="mb-8 flex justify-end">
+              <Button
+                onClick={() => setShowQRScanner(true)}
+                variant="outline"
+                size="md"
+                leftIcon={<QrCode className="w-4 h-4" />}
+              >
+                Scan Check-In Code
+              </Button>
+            </div>
+          )}
+
           {/* Statistics Cards */}
           <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6 mb-8">
             <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6">
@@ -579,7 +620,7 @@ const Attendance = () => {
         </div>
       </div>
 
-      {/* QR Scanner Modal (Placeholder) */}
+      {/* QR Scanner Modal */}
       {showQRScanner && (
         <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
           <div className="bg-white rounded-lg p-6 w-full max-w-md">
@@ -597,11 +638,13 @@ const Attendance = () => {
               </Button>
             </div>
             
-            <div className="text-center py-8">
-              <QrCode className="w-16 h-16 text-gray-400 mx-auto mb-4" />
-              <p className="text-gray-600 mb-4">
-                QR Code scanner would be implemented here using a camera library like react-qr-scanner
+            <div className="text-center">
+              <p className="text-sm text-gray-600 mb-4">
+                Point your camera at the check-in code on the screen
               </p>
+              <div className="mb-4">
+                <QRScanner onScan={handleScan} />
+              </div>
               <Button
                 onClick={() => setShowQRScanner(false)}
                 variant="outline"
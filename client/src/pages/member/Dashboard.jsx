@@ -9,10 +9,17 @@ import Button from '../../components/ui/Button';
 import { useAuth } from '../../hooks/useAuth';
 import { formatDate, formatCurrency } from '../../utils/helpers';
 import { getDashboard } from '../../services/memberService';
+import { getCampaigns } from '../../services/givingService';
+import { getBudgets } from '../../services/expenseService';
+import { getMyMinistries } from '../../services/ministryService';
+import { ProgressBar } from '../../components/giving/PledgeCampaignsPanel';
 
 const Dashboard = () => {
   useAuth();
   const [dashboardData, setDashboardData] = useState(null);
+  const [pledges, setPledges] = useState([]);
+  const [leadsMinistry, setLeadsMinistry] = useState(false);
+  const [ministries, setMinistries] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
 
@@ -20,8 +27,18 @@ const Dashboard = () => {
     const fetchData = async () => {
       try {
         setLoading(true);
-        const data = await getDashboard();
+        const [data, campaigns, budgets, myMinistries] = await Promise.all([
+          getDashboard(),
+          // Pledges are a nice-to-have; the dashboard loads without them
+          getCampaigns().catch(() => ({ data: [] })),
+          // Only ministry leaders and budget managers can see ministry budgets
+          getBudgets().catch(() => ({ data: [] })),
+          getMyMinistries().catch(() => ({ data: [] }))
+        ]);
         setDashboardData(data);
+        setPledges(campaigns.data.filter((campaign) => campaign.myPledge > 0));
+        setLeadsMinistry(budgets.data.length > 0);
+        setMinistries(myMinistries.data);
       } catch (err) {
         setError('Failed to load dashboard data.');
       } finally {
@@ -309,6 +326,58 @@ const Dashboard = () => {
             </div>
             {/* Right Column */}
             <div className="space-y-6">
+              {/* My Ministries */}
+              <div className="bg-white rounded-xl shadow-sm">
+                <div className="p-6 border-b border-gray-200 flex items-center justify-between">
+                  <h2 className="text-xl font-semibold text-gray-900">My Ministries</h2>
+                  <Link className="text-blue-600 hover:text-blue-800 font-medium text-sm" to="/ministries">
+                    Find a ministry
+                  </Link>
+                </div>
+                <div className="p-6">
+                  {ministries.length === 0 ? (
+                    <div className="text-gray-500 text-center">You have not joined a ministry yet.</div>
+                  ) : (
+                    <div className="space-y-3">
+                      {ministries.map((entry) => (
+                        <Link
+                          key={entry._id}
+                          to={`/ministries/${entry.ministry._id}`}
+                          className="flex items-center justify-between p-3 rounded-lg bg-gray-50 hover:bg-gray-100 transition-colors"
+                        >
+                          <div>
+                            <div className="font-medium text-gray-900">{entry.ministry.name}</div>
+                            <div className="text-xs text-gray-500 capitalize">
+                              {entry.status === 'pending' ? 'Request pending' : entry.role}
+                              {entry.ministry.meetingSchedule && entry.ministry.meetingSchedule.dayOfWeek && ` · meets ${entry.ministry.meetingSchedule.dayOfWeek}s`}
+                            </div>
+                          </div>
+                          <ChevronRight className="w-4 h-4 text-gray-400" />
+                        </Link>
+                      ))}
+                    </div>
+                  )}
+                </div>
+              </div>
+              {/* My Pledges */}
+              {pledges.length > 0 && (
+                <div className="bg-white rounded-xl shadow-sm">
+                  <div className="p-6 border-b border-gray-200">
+                    <h2 className="text-xl font-semibold text-gray-900">My Pledges</h2>
+                  </div>
+                  <div className="p-6 space-y-4">
+                    {pledges.map((pledge) => (
+                      <div key={pledge._id}>
+                        <div className="flex justify-between text-sm mb-1">
+                          <span className="font-medium text-gray-900">{pledge.title}</span>
+                          <span className="text-gray-600">{formatCurrency(pledge.myGiven)} / {formatCurrency(pledge.myPledge)}</span>
+                        </div>
+                        <ProgressBar value={pledge.myGiven} max={pledge.myPledge} color="bg-purple-500" />
+                      </div>
+                    ))}
+                  </div>
+                </div>
+              )}
               {/* Notifications */}
               <div className="bg-white rounded-xl shadow-sm">
                 <div className="p-6 border-b border-gray-200">
@@ -439,6 +508,22 @@ const Dashboard = () => {
                       <User className="w-6 h-6 mx-auto mb-2" />
                       <span className="text-sm font-medium">Update Profile</span>
                     </Link>
+                    <Link
+                      to="/member/household"
+                      className="col-span-2 bg-teal-50 text-teal-700 p-4 rounded-lg text-center hover:bg-teal-100 transition-colors"
+                    >
+                      <Users className="w-6 h-6 mx-auto mb-2" />
+                      <span className="text-sm font-medium">My Household</span>
+                    </Link>
+                    {leadsMinistry && (
+                      <Link
+                        to="/member/ministry-expenses"
+                        className="col-span-2 bg-yellow-50 text-yellow-700 p-4 rounded-lg text-center hover:bg-yellow-100 transition-colors"
+                      >
+                        <TrendingUp className="w-6 h-6 mx-auto mb-2" />
+                        <span className="text-sm font-medium">Ministry Expenses</span>
+                      </Link>
+                    )}
                   </div>
                 </div>
               </div>
@@ -0,0 +1,429 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useAuth } from '../../hooks/useAuth';
+import { useNotifications } from '../../context/NotificationContext';
+import {
+  getMyHousehold,
+  createMyHousehold,
+  updateMyHousehold,
+  addMyChild,
+  updateMyChild,
+  removeMyChild,
+  registerChildForEvent,
+  unregisterChildFromEvent
+} from '../../services/householdService';
+import { endpoints } from '../../services/api';
+import LoadingSpinner from '../../components/common/LoadingSpinner';
+import SEOHead from '../../components/common/SEOHead';
+import Button from '../../components/ui/Button';
+import { HOUSEHOLD_ROLES, NIGERIAN_STATES, FIELD_LIMITS } from '@haven-word-church/shared/constants';
+import { Home, UserPlus, Users, Edit2, Trash2, Save, X, Calendar } from 'lucide-react';
+
+const INPUT_CLASS = 'w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent';
+
+const EMPTY_CHILD = { name: '', dateOfBirth: '', allergies: '', medicalNotes: '' };
+
+const toDateInput = (value) => (value ? value.split('T')[0] : '');
+
+/**
+ * Household Page Component
+ * Lets a member set up their household, add children who have no login of
+ * their own, keep the children's details up to date and register them for events.
+ *
+ * @component
+ * @returns {JSX.Element} Household page component
+ */
+const Household = () => {
+  const { user } = useAuth();
+  const { showNotification } = useNotifications();
+
+  const [loading, setLoading] = useState(true);
+  const [household, setHousehold] = useState(null);
+  const [editingDetails, setEditingDetails] = useState(false);
+  const [details, setDetails] = useState({ name: '', address: {} });
+  const [childForm, setChildForm] = useState(EMPTY_CHILD);
+  // null = adding a new child, otherwise the child being edited
+  const [editingChildId, setEditingChildId] = useState(null);
+  const [showChildForm, setShowChildForm] = useState(false);
+  const [errors, setErrors] = useState({});
+  const [saving, setSaving] = useState(false);
+  const [events, setEvents] = useState([]);
+  const [selectedEvent, setSelectedEvent] = useState({});
+
+  const applyHousehold = useCallback((data) => {
+    setHousehold(data);
+    setDetails({ name: data.name, address: data.address || {} });
+  }, []);
+
+  const fetchHousehold = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await getMyHousehold();
+      applyHousehold(response.data);
+    } catch (error) {
+      // 404 just means no household yet
+      if (error.status !== 404) showNotification(error.message || 'Failed to load household', 'error');
+      setHousehold(null);
+    } finally {
+      setLoading(false);
+    }
+  }, [applyHousehold, showNotification]);
+
+  useEffect(() => {
+    fetchHousehold();
+    endpoints.events.getUpcoming({ limit: 20 })
+      .then((res) => setEvents(res.data.data || []))
+      .catch(() => setEvents([]));
+  }, [fetchHousehold]);
+
+  const myRole = household?.members.find((m) => m.user._id === user?.id)?.role;
+  const isAdult = myRole === HOUSEHOLD_ROLES.ADULT;
+  const children = household ? household.members.filter((m) => m.role === HOUSEHOLD_ROLES.CHILD) : [];
+  const adults = household ? household.members.filter((m) => m.role === HOUSEHOLD_ROLES.ADULT) : [];
+
+  const handleCreate = async () => {
+    try {
+      setSaving(true);
+      const response = await createMyHousehold();
+      applyHousehold(response.data);
+      showNotification('Household created', 'success');
+    } catch (error) {
+      showNotification(error.message || 'Failed to create household', 'error');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleSaveDetails = async () => {
+    try {
+      setSaving(true);
+      setErrors({});
+      const response = await updateMyHousehold(details);
+      applyHousehold(response.data);
+      setEditingDetails(false);
+      showNotification('Household updated', 'success');
+    } catch (error) {
+      setErrors(error.errors || {});
+      showNotification(error.message || 'Failed to update household', 'error');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const openChildForm = (child) => {
+    setErrors({});
+    setEditingChildId(child ? child._id : null);
+    setChildForm(child ? {
+      name: child.name,
+      dateOfBirth: toDateInput(child.dateOfBirth),
+      allergies: child.allergies || '',
+      medicalNotes: child.medicalNotes || ''
+    } : EMPTY_CHILD);
+    setShowChildForm(true);
+  };
+
+  const handleSaveChild = async (e) => {
+    e.preventDefault();
+    try {
+      setSaving(true);
+      setErrors({});
+      if (editingChildId) {
+        await updateMyChild(editingChildId, childForm);
+        await fetchHousehold();
+      } else {
+        const response = await addMyChild(childForm);
+        applyHousehold(response.data);
+      }
+      setShowChildForm(false);
+      showNotification(editingChildId ? 'Child details updated' : 'Child added', 'success');
+    } catch (error) {
+      setErrors(error.errors || {});
+      showNotification(error.message || 'Failed to save child', 'error');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleRemoveChild = async (child) => {
+    if (!window.confirm(`Remove ${child.name} from your household?`)) return;
+    try {
+      const response = await removeMyChild(child._id);
+      applyHousehold(response.data);
+      showNotification('Removed from household', 'success');
+    } catch (error) {
+      showNotification(error.message || 'Failed to remove child', 'error');
+    }
+  };
+
+  const handleEventRegistration = async (child, register) => {
+    const eventId = selectedEvent[child._id];
+    if (!eventId) return;
+    try {
+      const response = register
+        ? await registerChildForEvent(eventId, child._id)
+        : await unregisterChildFromEvent(eventId, child._id);
+      showNotification(response.message, 'success');
+    } catch (error) {
+      showNotification(error.message || 'Registration failed', 'error');
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="min-h-screen bg-gray-50 flex items-center justify-center">
+        <LoadingSpinner size="lg" />
+      </div>
+    );
+  }
+
+  return (
+    <>
+      <SEOHead
+        title="My Household - Haven Word Church"
+        description="Manage your family and children's details"
+      />
+
+      <div className="min-h-screen bg-gray-50 pt-24 pb-8">
+        <div className="max-w-4xl mx-auto px-4 sm:px-6 lg:px-8 space-y-6">
+          <div>
+            <h1 className="text-3xl font-bold text-gray-900">My Household</h1>
+            <p className="mt-2 text-gray-600">
+              Keep your family together for check-in, events and church letters
+            </p>
+          </div>
+
+          {!household ? (
+            <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-8 text-center">
+              <Home className="w-12 h-12 text-gray-400 mx-auto mb-4" />
+              <p className="text-gray-700">You are not part of a household yet.</p>
+              <p className="text-sm text-gray-500 mt-1">
+                Start one to add your children. To link your spouse's account, contact the church office.
+              </p>
+              <Button onClick={handleCreate} loading={saving} className="mt-4">
+                Start My Household
+              </Button>
+            </div>
+          ) : (
+            <>
+              {/* Household details */}
+              <div className="bg-white rounded-lg shadow-sm border border-gray-200">
+                <div className="px-6 py-4 border-b border-gray-200 flex items-center justify-between">
+                  <h3 className="text-lg font-semibold text-gray-900">{household.name}</h3>
+                  {isAdult && (
+                    <Button
+                      onClick={() => setEditingDetails(!editingDetails)}
+                      variant="ghost"
+                      size="sm"
+                      leftIcon={editingDetails ? <X className="w-4 h-4" /> : <Edit2 className="w-4 h-4" />}
+                    >
+                      {editingDetails ? 'Cancel' : 'Edit'}
+                    </Button>
+                  )}
+                </div>
+                <div className="p-6">
+                  {editingDetails ? (
+                    <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+                      <div className="md:col-span-2">
+                        <label className="block text-sm font-medium text-gray-700 mb-1">Household name</label>
+                        <input
+                          type="text"
+                          value={details.name}
+                          onChange={(e) => setDetails({ ...details, name: e.target.value })}
+                          className={INPUT_CLASS}
+                        />
+                        {errors.name && <p className="text-xs text-red-600 mt-1">{errors.name}</p>}
+                      </div>
+                      <input
+                        type="text"
+                        placeholder="Street address"
+                        value={details.address.street || ''}
+                        onChange={(e) => setDetails({ ...details, address: { ...details.address, street: e.target.value } })}
+                        className={`${INPUT_CLASS} md:col-span-2`}
+                      />
+                      <input
+                        type="text"
+                        placeholder="City"
+                        value={details.address.city || ''}
+                        onChange={(e) => setDetails({ ...details, address: { ...details.address, city: e.target.value } })}
+                        className={INPUT_CLASS}
+                      />
+                      <select
+                        value={details.address.state || ''}
+                        onChange={(e) => setDetails({ ...details, address: { ...details.address, state: e.target.value } })}
+                        className={INPUT_CLASS}
+                        aria-label="State"
+                      >
+                        <option value="">Select state</option>
+                        {NIGERIAN_STATES.map((state) => (
+                          <option key={state} value={state}>{state}</option>
+                        ))}
+                      </select>
+                      {errors.address && <p className="text-xs text-red-600 md:col-span-2">{errors.address}</p>}
+                      <div className="md:col-span-2">
+                        <Button onClick={handleSaveDetails} loading={saving} leftIcon={<Save className="w-4 h-4" />}>
+                          Save
+                        </Button>
+                      </div>
+                    </div>
+                  ) : (
+                    <div className="text-gray-700 space-y-1">
+                      <p>
+                        {[household.address?.street, household.address?.city, household.address?.state].filter(Boolean).join(', ')
+                          || 'No household address yet; letters go to the primary contact\'s address.'}
+                      </p>
+                      <p className="text-sm text-gray-500">
+                        Primary contact: {household.primaryContact?.name || 'Not set'}
+                      </p>
+                    </div>
+                  )}
+                </div>
+              </div>
+
+              {/* Adults */}
+              <div className="bg-white rounded-lg shadow-sm border border-gray-200">
+                <div className="px-6 py-4 border-b border-gray-200">
+                  <h3 className="text-lg font-semibold text-gray-900">Adults</h3>
+                </div>
+                <ul className="divide-y divide-gray-100">
+                  {adults.map(({ user: adult }) => (
+                    <li key={adult._id} className="px-6 py-3 flex items-center gap-3">
+                      <Users className="w-4 h-4 text-gray-400" />
+                      <span className="text-gray-900">{adult.name}</span>
+                      <span className="text-sm text-gray-500">{adult.email}</span>
+                    </li>
+                  ))}
+                </ul>
+              </div>
+
+              {/* Children */}
+              <div className="bg-white rounded-lg shadow-sm border border-gray-200">
+                <div className="px-6 py-4 border-b border-gray-200 flex items-center justify-between">
+                  <h3 className="text-lg font-semibold text-gray-900">Children</h3>
+                  {isAdult && (
+                    <Button onClick={() => openChildForm(null)} variant="ghost" size="sm" leftIcon={<UserPlus className="w-4 h-4" />}>
+                      Add Child
+                    </Button>
+                  )}
+                </div>
+
+                {showChildForm && (
+                  <form onSubmit={handleSaveChild} className="px-6 py-4 border-b border-gray-200 grid grid-cols-1 md:grid-cols-3 gap-3">
+                    <div>
+                      <input
+                        type="text"
+                        placeholder="Child's name"
+                        required
+                        value={childForm.name}
+                        onChange={(e) => setChildForm({ ...childForm, name: e.target.value })}
+                        className={INPUT_CLASS}
+                      />
+                      {errors.name && <p className="text-xs text-red-600 mt-1">{errors.name}</p>}
+                    </div>
+                    <div>
+                      <input
+                        type="date"
+                        aria-label="Date of birth"
+                        value={childForm.dateOfBirth}
+                        onChange={(e) => setChildForm({ ...childForm, dateOfBirth: e.target.value })}
+                        className={INPUT_CLASS}
+                      />
+                      {errors.dateOfBirth && <p className="text-xs text-red-600 mt-1">{errors.dateOfBirth}</p>}
+                    </div>
+                    <div>
+                      <input
+                        type="text"
+                        placeholder="Allergies, e.g. peanuts"
+                        maxLength={FIELD_LIMITS.ALLERGIES_MAX}
+                        value={childForm.allergies}
+                        onChange={(e) => setChildForm({ ...childForm, allergies: e.target.value })}
+                        className={INPUT_CLASS}
+                      />
+                      {errors.allergies && <p className="text-xs text-red-600 mt-1">{errors.allergies}</p>}
+                    </div>
+                    <div className="md:col-span-3">
+                      <textarea
+                        rows={2}
+                        placeholder="Medical notes the children's teachers should know"
+                        maxLength={FIELD_LIMITS.MEDICAL_NOTES_MAX}
+                        value={childForm.medicalNotes}
+                        onChange={(e) => setChildForm({ ...childForm, medicalNotes: e.target.value })}
+                        className={INPUT_CLASS}
+                      />
+                      {errors.medicalNotes && <p className="text-xs text-red-600 mt-1">{errors.medicalNotes}</p>}
+                    </div>
+                    <div className="flex gap-2">
+                      <Button type="submit" loading={saving} size="sm">
+                        {editingChildId ? 'Save' : 'Add'}
+                      </Button>
+                      <Button type="button" variant="ghost" size="sm" onClick={() => setShowChildForm(false)}>
+                        Cancel
+                      </Button>
+                    </div>
+                  </form>
+                )}
+
+                {children.length === 0 ? (
+                  <p className="px-6 py-8 text-center text-gray-500">No children added yet.</p>
+                ) : (
+                  <ul className="divide-y divide-gray-100">
+                    {children.map(({ user: child }) => (
+                      <li key={child._id} className="px-6 py-4 space-y-3">
+                        <div className="flex items-center justify-between">
+                          <div>
+                            <div className="font-medium text-gray-900">{child.name}</div>
+                            {child.dateOfBirth && (
+                              <div className="text-sm text-gray-500">
+                                Born {new Date(child.dateOfBirth).toLocaleDateString('en-NG', { year: 'numeric', month: 'long', day: 'numeric' })}
+                              </div>
+                            )}
+                            {child.allergies && (
+                              <div className="text-sm text-red-600">Allergies: {child.allergies}</div>
+                            )}
+                          </div>
+                          {isAdult && (
+                            <div className="flex gap-2">
+                              <Button variant="ghost" size="sm" onClick={() => openChildForm(child)} aria-label={`Edit ${child.name}`}>
+                                <Edit2 className="w-4 h-4" />
+                              </Button>
+                              <Button variant="ghost" size="sm" onClick={() => handleRemoveChild(child)} aria-label={`Remove ${child.name}`}>
+                                <Trash2 className="w-4 h-4 text-red-600" />
+                              </Button>
+                            </div>
+                          )}
+                        </div>
+
+                        {isAdult && events.length > 0 && (
+                          <div className="flex flex-wrap items-center gap-2">
+                            <Calendar className="w-4 h-4 text-gray-400" />
+                            <select
+                              value={selectedEvent[child._id] || ''}
+                              onChange={(e) => setSelectedEvent({ ...selectedEvent, [child._id]: e.target.value })}
+                              className="px-2 py-1 border border-gray-300 rounded text-sm"
+                              aria-label={`Event for ${child.name}`}
+                            >
+                              <option value="">Choose an event...</option>
+                              {events.map((event) => (
+                                <option key={event._id} value={event._id}>{event.title}</option>
+                              ))}
+                            </select>
+                            <Button size="sm" variant="outline" disabled={!selectedEvent[child._id]} onClick={() => handleEventRegistration(child, true)}>
+                              Register
+                            </Button>
+                            <Button size="sm" variant="ghost" disabled={!selectedEvent[child._id]} onClick={() => handleEventRegistration(child, false)}>
+                              Cancel Registration
+                            </Button>
+                          </div>
+                        )}
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </div>
+            </>
+          )}
+        </div>
+      </div>
+    </>
+  );
+};
+
+export default Household;
@@ -0,0 +1,405 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { Helmet } from 'react-helmet-async';
+import { useAuth } from '../../hooks/useAuth';
+import {
+  getBudgets,
+  setBudget,
+  getExpenses,
+  createExpense,
+  updateExpense,
+  deleteExpense,
+  reviewExpense,
+  uploadReceipt
+} from '../../services/expenseService';
+import { ProgressBar } from '../../components/giving/PledgeCampaignsPanel';
+import { formatCurrency, formatDate } from '../../utils/helpers';
+import { EXPENSE_STATUS, MINISTRY_BUDGET } from '@haven-word-church/shared/constants';
+
+const inputClass = 'w-full p-2 border border-gray-300 rounded text-gray-900 text-sm';
+const STATUSES = [[EXPENSE_STATUS.PENDING, 'Pending'], [EXPENSE_STATUS.APPROVED, 'Approved'], [EXPENSE_STATUS.REJECTED, 'Rejected'], ['', 'All']];
+const STATUS_STYLES = {
+  [EXPENSE_STATUS.PENDING]: 'bg-yellow-100 text-yellow-800',
+  [EXPENSE_STATUS.APPROVED]: 'bg-green-100 text-green-800',
+  [EXPENSE_STATUS.REJECTED]: 'bg-red-100 text-red-800'
+};
+const ALERT_PERCENT = Math.min(...MINISTRY_BUDGET.ALERT_PERCENTS);
+
+const emptyForm = (ministry = '') => ({
+  ministry,
+  title: '',
+  amount: '',
+  spentOn: new Date().toISOString().slice(0, 10),
+  description: '',
+  receipts: []
+});
+
+const barColor = (percent) => {
+  if (percent >= 100) return 'bg-red-500';
+  if (percent >= ALERT_PERCENT) return 'bg-yellow-500';
+  return 'bg-green-500';
+};
+
+/**
+ * Ministry spending. Leaders request expenses for the ministries they lead,
+ * with receipts, and follow their budget against what has been approved.
+ * Budget managers (pastors and admins) also set budgets and review requests.
+ */
+const MinistryExpenses = () => {
+  const { user } = useAuth();
+  const thisYear = new Date().getFullYear();
+  const [year, setYear] = useState(thisYear);
+  const [budgets, setBudgets] = useState(null);
+  const [status, setStatus] = useState(EXPENSE_STATUS.PENDING);
+  const [expenses, setExpenses] = useState([]);
+  const [form, setForm] = useState(null);
+  const [editingId, setEditingId] = useState(null);
+  const [uploading, setUploading] = useState(false);
+  const [budgetDraft, setBudgetDraft] = useState(null);
+  const [rejecting, setRejecting] = useState(null);
+  const [note, setNote] = useState('');
+  const [message, setMessage] = useState('');
+  const [error, setError] = useState('');
+  const [forbidden, setForbidden] = useState(false);
+
+  const load = useCallback(async () => {
+    try {
+      const [budgetResult, expenseResult] = await Promise.all([
+        getBudgets({ year }),
+        getExpenses({ year, status: status || undefined, limit: 100 })
+      ]);
+      setBudgets(budgetResult);
+      setExpenses(expenseResult.data);
+      setError('');
+    } catch (err) {
+      if (err.status === 403) setForbidden(true);
+      else setError(err.message || 'Failed to load ministry expenses');
+    }
+  }, [year, status]);
+
+  useEffect(() => { load(); }, [load]);
+
+  const run = async (action) => {
+    try {
+      setError('');
+      const response = await action();
+      setMessage(response.message);
+      await load();
+      return true;
+    } catch (err) {
+      setError(err.errors ? Object.values(err.errors).join('. ') : err.message || 'Something went wrong');
+      return false;
+    }
+  };
+
+  const openForm = (expense) => {
+    setEditingId(expense ? expense._id : null);
+    setForm(expense
+      ? {
+        ministry: expense.ministry._id,
+        title: expense.title,
+        amount: expense.amount,
+        spentOn: expense.spentOn.slice(0, 10),
+        description: expense.description || '',
+        receipts: expense.receipts
+      }
+      : emptyForm(budgets && budgets.data.length === 1 ? budgets.data[0].ministry._id : ''));
+    setMessage('');
+  };
+
+  const updateForm = (field) => (e) => setForm((prev) => ({ ...prev, [field]: e.target.value }));
+
+  const handleReceipt = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    try {
+      setUploading(true);
+      const result = await uploadReceipt(file);
+      setForm((prev) => ({
+        ...prev,
+        receipts: [...prev.receipts, { url: result.url, publicId: result.publicId, fileName: result.fileName, format: result.format }]
+      }));
+    } catch (err) {
+      setError(err.message || 'Could not upload the receipt');
+    } finally {
+      setUploading(false);
+    }
+  };
+
+  const removeReceipt = (index) => setForm((prev) => ({ ...prev, receipts: prev.receipts.filter((_, i) => i !== index) }));
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const data = { ...form, amount: Number(form.amount) };
+    const saved = await run(() => (editingId ? updateExpense(editingId, data) : createExpense(data)));
+    if (saved) setForm(null);
+  };
+
+  const handleWithdraw = (expense) => {
+    if (!window.confirm(`Withdraw ${expense.title}?`)) return;
+    run(() => deleteExpense(expense._id));
+  };
+
+  const handleApprove = (expense) => run(async () => {
+    const response = await reviewExpense(expense._id, { decision: EXPENSE_STATUS.APPROVED });
+    if (response.budgetAlert) {
+      response.message = `${response.message} ${expense.ministry.name} has now used ${response.budgetAlert}% or more of its budget; its leader has been told.`;
+    }
+    return response;
+  });
+
+  const handleReject = async (expense) => {
+    const done = await run(() => reviewExpense(expense._id, { decision: EXPENSE_STATUS.REJECTED, note }));
+    if (done) {
+      setRejecting(null);
+      setNote('');
+    }
+  };
+
+  const handleBudgetSave = async (e) => {
+    e.preventDefault();
+    const saved = await run(() => setBudget(budgetDraft.ministry, { year, amount: budgetDraft.amount === '' ? null : Number(budgetDraft.amount) }));
+    if (saved) setBudgetDraft(null);
+  };
+
+  if (forbidden) {
+    return (
+      <div className="max-w-3xl mx-auto py-8 px-4">
+        <h1 className="text-2xl font-bold mb-4 text-gray-900 dark:text-white">Ministry Expenses</h1>
+        <p className="text-gray-600 dark:text-gray-400">Only ministry leaders and those who manage ministry budgets can see ministry expenses.</p>
+      </div>
+    );
+  }
+
+  const canManage = budgets && budgets.canManage;
+
+  return (
+    <div className="max-w-5xl mx-auto py-8 px-4">
+      <Helmet>
+        <title>Ministry Expenses | Haven Word Church</title>
+      </Helmet>
+      <div className="flex flex-wrap items-center gap-3 mb-6">
+        <h1 className="flex-1 text-2xl font-bold text-gray-900 dark:text-white">Ministry Expenses</h1>
+        <select value={year} onChange={(e) => setYear(Number(e.target.value))} className="p-2 border border-gray-300 rounded text-gray-900 text-sm">
+          {Array.from({ length: 4 }, (_, i) => thisYear + 1 - i).map((value) => <option key={value} value={value}>{value}</option>)}
+        </select>
+        <button className="px-4 py-2 rounded-lg bg-blue-600 text-white font-semibold hover:bg-blue-700" onClick={() => openForm(null)}>
+          Request Expense
+        </button>
+      </div>
+
+      {message && <p className="mb-4 text-sm text-gray-700 dark:text-gray-300" role="status">{message}</p>}
+      {error && <div className="mb-4 text-red-500">{error}</div>}
+
+      {form && (
+        <form onSubmit={handleSubmit} className="mb-6 bg-white dark:bg-gray-900 rounded-lg shadow p-4 space-y-3">
+          <h2 className="text-lg font-semibold text-gray-900 dark:text-white">{editingId ? 'Edit expense' : 'Request an expense'}</h2>
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-3 text-sm text-gray-700 dark:text-gray-300">
+            <label>
+              Ministry
+              <select value={form.ministry} onChange={updateForm('ministry')} className={inputClass} disabled={Boolean(editingId)} required>
+                <option value="">Choose a ministry</option>
+                {budgets && budgets.data.map((row) => <option key={row.ministry._id} value={row.ministry._id}>{row.ministry.name}</option>)}
+              </select>
+            </label>
+            <label>
+              What for
+              <input value={form.title} onChange={updateForm('title')} maxLength={120} className={inputClass} required />
+            </label>
+            <label>
+              Amount
+              <input type="number" min="1" step="0.01" value={form.amount} onChange={updateForm('amount')} className={inputClass} required />
+            </label>
+            <label>
+              Date spent
+              <input type="date" value={form.spentOn} onChange={updateForm('spentOn')} className={inputClass} required />
+            </label>
+          </div>
+          <textarea value={form.description} onChange={updateForm('description')} rows={2} maxLength={1000} placeholder="Details for the approver" className={inputClass} />
+          <div className="text-sm text-gray-700 dark:text-gray-300">
+            <div className="mb-1">Receipts (photos or PDFs, up to {MINISTRY_BUDGET.MAX_RECEIPTS})</div>
+            {form.receipts.map((receipt, index) => (
+              <div key={receipt.url} className="flex items-center gap-2">
+                <a href={receipt.url} target="_blank" rel="noopener noreferrer" className="text-blue-700 hover:underline">
+                  {receipt.fileName || `Receipt ${index + 1}`}
+                </a>
+                <button type="button" className="text-xs text-gray-500 hover:underline" onClick={() => removeReceipt(index)}>Remove</button>
+              </div>
+            ))}
+            {form.receipts.length < MINISTRY_BUDGET.MAX_RECEIPTS && (
+              <input type="file" accept="image/jpeg,image/png,image/webp,application/pdf" onChange={handleReceipt} disabled={uploading} className="mt-1" />
+            )}
+            {uploading && <span className="ml-2 text-gray-500">Uploading…</span>}
+          </div>
+          <div className="flex gap-2">
+            <button type="submit" disabled={uploading || form.receipts.length === 0} className="px-4 py-2 rounded-lg bg-blue-600 text-white font-semibold hover:bg-blue-700 disabled:opacity-50">
+              {editingId ? 'Save Expense' : 'Submit for Approval'}
+            </button>
+            <button type="button" className="px-4 py-2 rounded-lg bg-gray-100 text-gray-700 font-semibold hover:bg-gray-200" onClick={() => setForm(null)}>
+              Cancel
+            </button>
+          </div>
+        </form>
+      )}
+
+      {budgets && (
+        <div className="mb-8 overflow-x-auto bg-white dark:bg-gray-900 rounded-lg shadow">
+          <table className="w-full text-sm text-gray-700 dark:text-gray-300">
+            <thead className="text-left text-gray-500 border-b border-gray-100">
+              <tr>
+                <th className="p-2">Ministry</th>
+                <th className="p-2 text-right">Budget {year}</th>
+                <th className="p-2 text-right">Approved</th>
+                <th className="p-2 text-right">Pending</th>
+                <th className="p-2 text-right">Remaining</th>
+                <th className="p-2 w-40" />
+              </tr>
+            </thead>
+            <tbody>
+              {budgets.data.map((row) => (
+                <tr key={row.ministry._id} className="border-b border-gray-50">
+                  <td className="p-2 font-medium text-gray-900 dark:text-white">{row.ministry.name}</td>
+                  <td className="p-2 text-right">
+                    {budgetDraft && budgetDraft.ministry === row.ministry._id ? (
+                      <form onSubmit={handleBudgetSave} className="flex justify-end gap-1">
+                        <input
+                          type="number"
+                          min="0"
+                          value={budgetDraft.amount}
+                          onChange={(e) => setBudgetDraft((prev) => ({ ...prev, amount: e.target.value }))}
+                          placeholder="Annual"
+                          className="w-28 p-1 border border-gray-300 rounded text-gray-900 text-sm"
+                        />
+                        <button type="submit" className="text-blue-700 hover:underline">Save</button>
+                        <button type="button" className="text-gray-500 hover:underline" onClick={() => setBudgetDraft(null)}>Cancel</button>
+                      </form>
+                    ) : (
+                      <>
+                        {row.budget === null ? '—' : formatCurrency(row.budget)}
+                        {canManage && (
+                          <button
+                            className="ml-2 text-xs text-blue-700 hover:underline"
+                            onClick={() => setBudgetDraft({ ministry: row.ministry._id, amount: row.budget === null ? '' : row.budget })}
+                          >
+                            Edit
+                          </button>
+                        )}
+                      </>
+                    )}
+                  </td>
+                  <td className="p-2 text-right">{formatCurrency(row.approved)}</td>
+                  <td className="p-2 text-right">{row.pending ? formatCurrency(row.pending) : '—'}</td>
+                  <td className={`p-2 text-right ${row.remaining < 0 ? 'text-red-600' : ''}`}>
+                    {row.remaining === null ? '—' : formatCurrency(row.remaining)}
+                  </td>
+                  <td className="p-2">
+                    {row.budget ? (
+                      <div title={`${row.percentUsed}% used`}>
+                        <ProgressBar value={row.approved} max={row.budget} color={barColor(row.percentUsed)} />
+                        <div className="text-xs text-gray-500 mt-1">{row.percentUsed}% used</div>
+                      </div>
+                    ) : (
+                      <span className="text-xs text-gray-500">No budget set</span>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+            {budgets.data.length > 1 && (
+              <tfoot className="font-semibold text-gray-900 dark:text-white">
+                <tr>
+                  <td className="p-2">Total</td>
+                  <td className="p-2 text-right">{formatCurrency(budgets.totals.budget)}</td>
+                  <td className="p-2 text-right">{formatCurrency(budgets.totals.approved)}</td>
+                  <td className="p-2 text-right">{formatCurrency(budgets.totals.pending)}</td>
+                  <td className="p-2" colSpan={2} />
+                </tr>
+              </tfoot>
+            )}
+          </table>
+          {canManage && (
+            <p className="p-2 text-xs text-gray-500">
+              Clearing a year&apos;s budget falls back to the ministry&apos;s standing annual budget.
+            </p>
+          )}
+        </div>
+      )}
+
+      <div className="flex flex-wrap gap-2 mb-4">
+        {STATUSES.map(([value, label]) => (
+          <button
+            key={label}
+            className={`px-3 py-1 rounded-full text-sm font-semibold ${status === value ? 'bg-blue-600 text-white' : 'bg-gray-100 text-gray-700'}`}
+            onClick={() => setStatus(value)}
+          >
+            {label}
+          </button>
+        ))}
+      </div>
+
+      {expenses.length === 0 ? (
+        <p className="text-gray-500">No {status} expenses for {year}.</p>
+      ) : (
+        <div className="space-y-3">
+          {expenses.map((expense) => {
+            const isMine = user && expense.requestedBy && expense.requestedBy._id === user.id;
+            return (
+              <div key={expense._id} className="bg-white dark:bg-gray-900 rounded-lg shadow p-4 text-sm">
+                <div className="flex flex-wrap items-start gap-3">
+                  <div className="flex-1">
+                    <div className="font-semibold text-gray-900 dark:text-white">
+                      {expense.title} · {formatCurrency(expense.amount)}
+                      <span className={`ml-2 text-xs px-2 py-0.5 rounded-full ${STATUS_STYLES[expense.status]}`}>{expense.status}</span>
+                    </div>
+                    <div className="text-gray-600 dark:text-gray-400">
+                      {expense.ministry.name} · {formatDate(expense.spentOn)} · requested by {expense.requestedBy ? expense.requestedBy.name : 'a former member'}
+                    </div>
+                    {expense.description && <p className="mt-1 text-gray-700 dark:text-gray-300">{expense.description}</p>}
+                    <div className="mt-1 flex flex-wrap gap-3">
+                      {expense.receipts.map((receipt, index) => (
+                        <a key={receipt.url} href={receipt.url} target="_blank" rel="noopener noreferrer" className="text-blue-700 hover:underline">
+                          {receipt.fileName || `Receipt ${index + 1}`}
+                        </a>
+                      ))}
+                    </div>
+                    {expense.reviewedBy && (
+                      <div className="mt-1 text-xs text-gray-500">
+                        {expense.status === EXPENSE_STATUS.APPROVED ? 'Approved' : 'Rejected'} by {expense.reviewedBy.name} on {formatDate(expense.reviewedAt)}
+                        {expense.reviewNote && `: ${expense.reviewNote}`}
+                      </div>
+                    )}
+                  </div>
+                  {expense.status === EXPENSE_STATUS.PENDING && isMine && (
+                    <>
+                      <button className="text-blue-700 hover:underline" onClick={() => openForm(expense)}>Edit</button>
+                      <button className="text-gray-600 hover:underline" onClick={() => handleWithdraw(expense)}>Withdraw</button>
+                    </>
+                  )}
+                  {expense.status === EXPENSE_STATUS.PENDING && canManage && !isMine && (
+                    <>
+                      <button className="text-green-700 hover:underline" onClick={() => handleApprove(expense)}>Approve</button>
+                      <button className="text-red-600 hover:underline" onClick={() => { setRejecting(expense._id); setNote(''); }}>Reject</button>
+                    </>
+                  )}
+                </div>
+                {rejecting === expense._id && (
+                  <div className="mt-3 border-t border-gray-100 pt-3 space-y-2">
+                    <textarea value={note} onChange={(e) => setNote(e.target.value)} rows={2} maxLength={500} placeholder="Why is this expense rejected?" className={inputClass} />
+                    <div className="flex gap-2">
+                      <button className="px-3 py-1 rounded bg-red-600 text-white font-semibold disabled:opacity-50" disabled={!note.trim()} onClick={() => handleReject(expense)}>
+                        Reject Expense
+                      </button>
+                      <button className="px-3 py-1 rounded bg-gray-100 text-gray-700" onClick={() => setRejecting(null)}>Cancel</button>
+                    </div>
+                  </div>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default MinistryExpenses;
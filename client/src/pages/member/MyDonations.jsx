@@ -1,14 +1,20 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import { Helmet } from 'react-helmet-async';
+import { useSearchParams } from 'react-router-dom';
 import { useAuth } from '../../hooks/useAuth';
 import { useNotifications } from '../../context/NotificationContext';
 import { 
   getDonations, 
-  createDonation 
+  createDonation,
+  getDonationStatus,
+  sendTestPayment
 } from '../../services/memberService';
+import { getFunds, getCampaigns, downloadMyStatement } from '../../services/givingService';
 import LoadingSpinner from '../../components/common/LoadingSpinner';
 import Button from '../../components/ui/Button';
 import Modal from '../../components/ui/Modal';
+import RecurringGiftsPanel from '../../components/giving/RecurringGiftsPanel';
+import PledgeCampaignsPanel from '../../components/giving/PledgeCampaignsPanel';
 import { 
   Gift, 
   Plus, 
@@ -21,12 +27,29 @@ import {
   Building2,
   Wallet,
   BarChart3,
-  PieChart
+  PieChart,
+  CheckCircle,
+  Clock,
+  XCircle,
+  RotateCcw
 } from 'lucide-react';
 
+// Payment status badges
+const STATUS_STYLES = {
+  paid: { label: 'Paid', className: 'bg-green-100 text-green-700', icon: CheckCircle },
+  pending: { label: 'Awaiting payment', className: 'bg-yellow-100 text-yellow-800', icon: Clock },
+  failed: { label: 'Failed', className: 'bg-red-100 text-red-700', icon: XCircle },
+  refunded: { label: 'Refunded', className: 'bg-gray-100 text-gray-700', icon: RotateCcw }
+};
+
+// How long to wait for the provider's webhook after returning from checkout
+const STATUS_POLL_MS = 3000;
+const STATUS_POLL_ATTEMPTS = 5;
+
 const MyDonations = () => {
   const { user } = useAuth();
   const { showNotification } = useNotifications();
+  const [searchParams, setSearchParams] = useSearchParams();
   
   // State management
   const [loading, setLoading] = useState(true);
@@ -35,6 +58,8 @@ const MyDonations = () => {
   const [currentPage, setCurrentPage] = useState(1);
   const [total, setTotal] = useState(0);
   const [totalAmount, setTotalAmount] = useState(0);
+  const [paidCount, setPaidCount] = useState(0);
+  const [testPayments, setTestPayments] = useState(false);
   const [filters, setFilters] = useState({
     type: 'all',
     year: new Date().getFullYear().toString()
@@ -47,26 +72,32 @@ const MyDonations = () => {
   const [formData, setFormData] = useState({
     amount: '',
     type: 'Offering',
-    method: 'Bank Transfer'
+    campaign: ''
   });
   const [submitting, setSubmitting] = useState(false);
+  const [formError, setFormError] = useState('');
+
+  // Gift the member has just returned from checkout with
+  const [returned, setReturned] = useState(null);
+  const [testCheckout, setTestCheckout] = useState(false);
+  const [sendingTest, setSendingTest] = useState(false);
+
+  // Open pledge campaigns
+  const [campaigns, setCampaigns] = useState([]);
+
+  // Funds open for gifts, set by the finance team
+  const [funds, setFunds] = useState([]);
+
+  // Giving statement download
+  const [showStatementModal, setShowStatementModal] = useState(false);
+  const [statementPeriod, setStatementPeriod] = useState({ mode: 'year', year: '', from: '', to: '' });
+  const [statementError, setStatementError] = useState('');
+  const [downloadingStatement, setDownloadingStatement] = useState(false);
 
   // Donation types
   const donationTypes = [
     { value: 'all', label: 'All Types' },
-    { value: 'Tithe', label: 'Tithe' },
-    { value: 'Offering', label: 'Offering' },
-    { value: 'Building Fund', label: 'Building Fund' },
-    { value: 'Missions', label: 'Missions' },
-    { value: 'Other', label: 'Other' }
-  ];
-
-  // Payment methods
-  const paymentMethods = [
-    { value: 'Bank Transfer', label: 'Bank Transfer', icon: Building2 },
-    { value: 'Credit Card', label: 'Credit Card', icon: CreditCard },
-    { value: 'Cash', label: 'Cash', icon: DollarSign },
-    { value: 'Mobile Money', label: 'Mobile Money', icon: Wallet }
+    ...funds.map(fund => ({ value: fund, label: fund }))
   ];
 
   // Year options (current year and 5 years back)
@@ -75,17 +106,10 @@ const MyDonations = () => {
     return { value: year.toString(), label: year.toString() };
   });
 
-  /**
-   * Fetch donations on component mount and filter changes
-   */
-  useEffect(() => {
-    fetchDonations();
-  }, [currentPage, filters, fetchDonations]);
-
   /**
    * Fetch donations from API
    */
-  const fetchDonations = async () => {
+  const fetchDonations = useCallback(async () => {
     try {
       setLoading(true);
       const params = {
@@ -99,12 +123,109 @@ const MyDonations = () => {
       setTotalPages(response.totalPages);
       setTotal(response.total);
       setTotalAmount(response.totalAmount);
+      setPaidCount(response.paidCount || 0);
+      setTestPayments(Boolean(response.testPayments));
     } catch (error) {
       console.error('Error fetching donations:', error);
       showNotification('Failed to load donations', 'error');
     } finally {
       setLoading(false);
     }
+  }, [currentPage, filters, showNotification]);
+
+  const fetchCampaigns = useCallback(async () => {
+    try {
+      const response = await getCampaigns();
+      setCampaigns(response.data);
+    } catch (error) {
+      console.error('Error fetching campaigns:', error);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchCampaigns();
+  }, [fetchCampaigns]);
+
+  useEffect(() => {
+    const fetchFunds = async () => {
+      try {
+        const response = await getFunds();
+        const names = response.data.map(fund => fund.name);
+        setFunds(names);
+        // Offering is the default, unless the finance team has retired it
+        setFormData(prev => (names.length === 0 || names.includes(prev.type) ? prev : { ...prev, type: names[0] }));
+      } catch (error) {
+        console.error('Error fetching funds:', error);
+      }
+    };
+    fetchFunds();
+  }, []);
+
+  /**
+   * Fetch donations on component mount and filter changes
+   */
+  useEffect(() => {
+    fetchDonations();
+  }, [fetchDonations]);
+
+  /**
+   * Check the gift the member has returned from checkout with. The webhook
+   * can arrive a little after the member does, so keep asking for a while.
+   */
+  const reference = searchParams.get('reference');
+  const isTestCheckout = searchParams.get('checkout') === 'test';
+  useEffect(() => {
+    if (!reference) return undefined;
+    let cancelled = false;
+    let timer;
+
+    const check = async (attempt) => {
+      try {
+        const { donation } = await getDonationStatus(reference);
+        if (cancelled) return;
+        setReturned(donation);
+        if (donation.status === 'pending' && isTestCheckout) {
+          setTestCheckout(true);
+        } else if (donation.status === 'pending' && attempt < STATUS_POLL_ATTEMPTS) {
+          timer = setTimeout(() => check(attempt + 1), STATUS_POLL_MS);
+        } else {
+          fetchDonations();
+          if (donation.campaign) fetchCampaigns();
+        }
+      } catch (error) {
+        console.error('Error checking donation:', error);
+      }
+    };
+    check(1);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [reference, isTestCheckout, fetchDonations, fetchCampaigns]);
+
+  const dismissReturned = () => {
+    setReturned(null);
+    setSearchParams({});
+  };
+
+  /**
+   * Complete, decline or refund a gift with the test payment provider
+   */
+  const handleTestPayment = async (donationReference, outcome) => {
+    try {
+      setSendingTest(true);
+      const { donation } = await sendTestPayment(donationReference, outcome);
+      if (returned && returned.reference === donationReference) setReturned(donation);
+      setTestCheckout(false);
+      fetchDonations();
+      if (donation.campaign) fetchCampaigns();
+    } catch (error) {
+      console.error('Error sending test payment:', error);
+      showNotification(error.message || 'Failed to send test payment', 'error');
+    } finally {
+      setSendingTest(false);
+    }
   };
 
   /**
@@ -131,33 +252,70 @@ const MyDonations = () => {
   };
 
   /**
-   * Handle donation creation
+   * Start an online gift and go to the payment page
    */
   const handleCreate = async () => {
     if (!formData.amount || parseFloat(formData.amount) <= 0) {
-      showNotification('Please enter a valid amount', 'error');
+      setFormError('Please enter a valid amount');
       return;
     }
 
     try {
       setSubmitting(true);
-      await createDonation({
+      setFormError('');
+      const { checkoutUrl } = await createDonation({
         ...formData,
-        amount: parseFloat(formData.amount)
+        amount: parseFloat(formData.amount),
+        campaign: formData.campaign || undefined
       });
-      
-      showNotification('Donation recorded successfully', 'success');
-      setShowCreateModal(false);
-      setFormData({ amount: '', type: 'Offering', method: 'Bank Transfer' });
-      fetchDonations();
+      window.location.assign(checkoutUrl);
     } catch (error) {
-      console.error('Error creating donation:', error);
-      showNotification('Failed to record donation', 'error');
-    } finally {
+      console.error('Error starting donation:', error);
+      setFormError(error.message || 'Could not start the payment. Please try again.');
       setSubmitting(false);
     }
   };
 
+  /**
+   * Download a giving statement PDF for a year or a date range
+   */
+  const handleDownloadStatement = async () => {
+    const { mode, year, from, to } = statementPeriod;
+    if (mode === 'range' && (!from || !to)) {
+      setStatementError('Please choose both dates');
+      return;
+    }
+
+    try {
+      setDownloadingStatement(true);
+      setStatementError('');
+      const pdf = await downloadMyStatement(mode === 'year' ? { year } : { from, to });
+      const url = window.URL.createObjectURL(new Blob([pdf], { type: 'application/pdf' }));
+      const link = document.createElement('a');
+      link.href = url;
+      link.setAttribute('download', `giving-statement-${mode === 'year' ? year : `${from}-to-${to}`}.pdf`);
+      document.body.appendChild(link);
+      link.click();
+      link.parentNode.removeChild(link);
+      window.URL.revokeObjectURL(url);
+      setShowStatementModal(false);
+    } catch (error) {
+      console.error('Error downloading statement:', error);
+      setStatementError('Could not create your statement. Please try again.');
+    } finally {
+      setDownloadingStatement(false);
+    }
+  };
+
+  /**
+   * Open the Give Online modal, optionally towards a pledge campaign
+   */
+  const openGiveModal = (campaign) => {
+    setFormData(prev => ({ ...prev, campaign: campaign ? campaign._id : '' }));
+    setFormError('');
+    setShowCreateModal(true);
+  };
+
   /**
    * Format currency for display
    */
@@ -201,7 +359,8 @@ const MyDonations = () => {
       'Bank Transfer': <Building2 className="w-4 h-4" />,
       'Credit Card': <CreditCard className="w-4 h-4" />,
       'Cash': <DollarSign className="w-4 h-4" />,
-      'Mobile Money': <Wallet className="w-4 h-4" />
+      'Mobile Money': <Wallet className="w-4 h-4" />,
+      'Online': <CreditCard className="w-4 h-4" />
     };
     return icons[method] || <DollarSign className="w-4 h-4" />;
   };
@@ -228,17 +387,17 @@ const MyDonations = () => {
             <div className="flex flex-col md:flex-row md:items-center justify-between">
               <div>
                 <h1 className="text-2xl font-bold text-gray-900">My Donations</h1>
-                <p className="text-gray-600 mt-1">Track and manage your giving history</p>
+                <p className="text-gray-600 mt-1">Give online and track your giving history</p>
               </div>
               <div className="mt-4 md:mt-0">
                 <Button
-                  onClick={() => setShowCreateModal(true)}
+                  onClick={() => openGiveModal()}
                   variant="primary"
                   size="md"
                   className="flex items-center"
                 >
                   <Plus className="w-4 h-4 mr-2" />
-                  Record Donation
+                  Give Online
                 </Button>
               </div>
             </div>
@@ -247,6 +406,34 @@ const MyDonations = () => {
 
         {/* Content */}
         <div className="container mx-auto px-4 py-8">
+          {/* Returned from checkout */}
+          {returned && (
+            <div className={`rounded-xl p-4 mb-6 flex items-start justify-between ${STATUS_STYLES[returned.status]?.className || ''}`}>
+              <div>
+                {returned.status === 'paid' && (
+                  <p className="font-semibold">Thank you! Your {returned.type.toLowerCase()} of {formatCurrency(returned.amount)} has been received.</p>
+                )}
+                {returned.status === 'pending' && (
+                  <p className="font-semibold">
+                    {testCheckout
+                      ? 'Test checkout: choose how this payment should end.'
+                      : 'We are waiting for the payment provider to confirm your gift. This page will update when it does.'}
+                  </p>
+                )}
+                {returned.status === 'failed' && (
+                  <p className="font-semibold">
+                    Your payment of {formatCurrency(returned.amount)} did not go through{returned.failureReason ? `: ${returned.failureReason}` : '.'} No money was taken; you can try again.
+                  </p>
+                )}
+                {returned.status === 'refunded' && (
+                  <p className="font-semibold">Your gift of {formatCurrency(returned.amount)} has been refunded.</p>
+                )}
+                <p className="text-sm mt-1">Reference {returned.reference}</p>
+              </div>
+              <button onClick={dismissReturned} className="text-sm underline ml-4">Dismiss</button>
+            </div>
+          )}
+
           {/* Statistics */}
           <div className="grid grid-cols-1 md:grid-cols-3 gap-6 mb-6">
             <div className="bg-white rounded-xl p-6 shadow-sm">
@@ -266,7 +453,7 @@ const MyDonations = () => {
                 </div>
                 <span className="text-2xl font-bold text-blue-600">{total}</span>
               </div>
-              <h3 className="font-semibold text-gray-900 mb-1">Total Donations</h3>
+              <h3 className="font-semibold text-gray-900 mb-1">Donations</h3>
               <p className="text-sm text-gray-600">This {filters.year}</p>
             </div>
             <div className="bg-white rounded-xl p-6 shadow-sm">
@@ -275,7 +462,7 @@ const MyDonations = () => {
                   <PieChart className="w-6 h-6 text-purple-600" />
                 </div>
                 <span className="text-2xl font-bold text-purple-600">
-                  {total > 0 ? formatCurrency(totalAmount / total) : formatCurrency(0)}
+                  {paidCount > 0 ? formatCurrency(totalAmount / paidCount) : formatCurrency(0)}
                 </span>
               </div>
               <h3 className="font-semibold text-gray-900 mb-1">Average Donation</h3>
@@ -283,6 +470,20 @@ const MyDonations = () => {
             </div>
           </div>
 
+          <PledgeCampaignsPanel
+            campaigns={campaigns}
+            formatCurrency={formatCurrency}
+            onChange={fetchCampaigns}
+            onGive={openGiveModal}
+          />
+
+          <RecurringGiftsPanel
+            funds={funds}
+            campaigns={campaigns}
+            formatCurrency={formatCurrency}
+            refreshKey={returned && returned.status}
+          />
+
           {/* Filters */}
           <div className="bg-white rounded-xl shadow-sm p-6 mb-6">
             <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
@@ -345,12 +546,17 @@ const MyDonations = () => {
                   Donation History ({total})
                 </h2>
                 <Button
+                  onClick={() => {
+                    setStatementPeriod({ mode: 'year', year: filters.year, from: '', to: '' });
+                    setStatementError('');
+                    setShowStatementModal(true);
+                  }}
                   variant="ghost"
                   size="sm"
                   className="flex items-center"
                 >
                   <Download className="w-4 h-4 mr-2" />
-                  Export
+                  Statement
                 </Button>
               </div>
             </div>
@@ -363,16 +569,16 @@ const MyDonations = () => {
                   <p className="text-gray-600 mb-6">
                     {filters.type !== 'all' || filters.year !== new Date().getFullYear().toString()
                       ? 'Try adjusting your filters.'
-                      : 'Record your first donation to get started.'
+                      : 'Make your first gift online to get started.'
                     }
                   </p>
                   {filters.type === 'all' && filters.year === new Date().getFullYear().toString() && (
                     <Button
-                      onClick={() => setShowCreateModal(true)}
+                      onClick={() => openGiveModal()}
                       variant="primary"
                       size="md"
                     >
-                      Record Donation
+                      Give Online
                     </Button>
                   )}
                 </div>
@@ -401,6 +607,24 @@ const MyDonations = () => {
                         </div>
                         <div className="text-right">
                           <p className="text-xl font-bold text-gray-900">{formatCurrency(donation.amount)}</p>
+                          {STATUS_STYLES[donation.status] && (
+                            <span className={`inline-flex items-center px-2 py-0.5 mt-1 rounded-full text-xs font-medium ${STATUS_STYLES[donation.status].className}`}>
+                              {React.createElement(STATUS_STYLES[donation.status].icon, { className: 'w-3 h-3 mr-1' })}
+                              {STATUS_STYLES[donation.status].label}
+                            </span>
+                          )}
+                          {donation.status === 'failed' && donation.failureReason && (
+                            <p className="text-xs text-red-600 mt-1">{donation.failureReason}</p>
+                          )}
+                          {testPayments && donation.provider === 'fake' && donation.status === 'paid' && (
+                            <button
+                              onClick={() => handleTestPayment(donation.reference, 'refunded')}
+                              disabled={sendingTest}
+                              className="block ml-auto text-xs text-gray-500 underline mt-1"
+                            >
+                              Test refund
+                            </button>
+                          )}
                         </div>
                       </div>
                     </div>
@@ -444,11 +668,11 @@ const MyDonations = () => {
         </div>
       </div>
 
-      {/* Create Modal */}
+      {/* Give Online Modal */}
       <Modal
         isOpen={showCreateModal}
         onClose={() => setShowCreateModal(false)}
-        title="Record Donation"
+        title="Give Online"
         size="lg"
       >
         <div className="space-y-4">
@@ -462,46 +686,55 @@ const MyDonations = () => {
               value={formData.amount}
               onChange={handleInputChange}
               placeholder="0.00"
-              min="0"
+              min="100"
               step="0.01"
               className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
               required
             />
           </div>
-          <div>
-            <label className="block text-sm font-medium text-gray-700 mb-2">
-              Donation Type *
-            </label>
-            <select
-              name="type"
-              value={formData.type}
-              onChange={handleInputChange}
-              className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
-            >
-              {donationTypes.slice(1).map(type => (
-                <option key={type.value} value={type.value}>
-                  {type.label}
-                </option>
-              ))}
-            </select>
-          </div>
-          <div>
-            <label className="block text-sm font-medium text-gray-700 mb-2">
-              Payment Method *
-            </label>
-            <select
-              name="method"
-              value={formData.method}
-              onChange={handleInputChange}
-              className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
-            >
-              {paymentMethods.map(method => (
-                <option key={method.value} value={method.value}>
-                  {method.label}
-                </option>
-              ))}
-            </select>
-          </div>
+          {campaigns.length > 0 && (
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                Pledge Campaign
+              </label>
+              <select
+                name="campaign"
+                value={formData.campaign}
+                onChange={handleInputChange}
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+              >
+                <option value="">None</option>
+                {campaigns.map(campaign => (
+                  <option key={campaign._id} value={campaign._id}>
+                    {campaign.title}
+                  </option>
+                ))}
+              </select>
+            </div>
+          )}
+          {!formData.campaign && (
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                Donation Type *
+              </label>
+              <select
+                name="type"
+                value={formData.type}
+                onChange={handleInputChange}
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+              >
+                {donationTypes.slice(1).map(type => (
+                  <option key={type.value} value={type.value}>
+                    {type.label}
+                  </option>
+                ))}
+              </select>
+            </div>
+          )}
+          <p className="text-sm text-gray-600">
+            You will be taken to our payment partner to pay by card, bank transfer or USSD, then brought back here.
+          </p>
+          {formError && <p className="text-sm text-red-600">{formError}</p>}
         </div>
         <div className="flex justify-end space-x-3 mt-6">
           <Button
@@ -517,10 +750,114 @@ const MyDonations = () => {
             size="md"
             disabled={submitting}
           >
-            {submitting ? 'Recording...' : 'Record Donation'}
+            {submitting ? 'Opening payment...' : 'Continue to Payment'}
+          </Button>
+        </div>
+      </Modal>
+
+      {/* Giving Statement Modal */}
+      <Modal
+        isOpen={showStatementModal}
+        onClose={() => setShowStatementModal(false)}
+        title="Giving Statement"
+        size="md"
+      >
+        <div className="space-y-4">
+          <p className="text-sm text-gray-600">
+            A PDF of the gifts we received from you, totalled by fund, for your tax or employer records.
+          </p>
+          <div className="flex space-x-4">
+            <label className="flex items-center text-sm text-gray-700">
+              <input
+                type="radio"
+                checked={statementPeriod.mode === 'year'}
+                onChange={() => setStatementPeriod(prev => ({ ...prev, mode: 'year' }))}
+                className="mr-2"
+              />
+              Whole year
+            </label>
+            <label className="flex items-center text-sm text-gray-700">
+              <input
+                type="radio"
+                checked={statementPeriod.mode === 'range'}
+                onChange={() => setStatementPeriod(prev => ({ ...prev, mode: 'range' }))}
+                className="mr-2"
+              />
+              Date range
+            </label>
+          </div>
+          {statementPeriod.mode === 'year' ? (
+            <select
+              value={statementPeriod.year}
+              onChange={(e) => setStatementPeriod(prev => ({ ...prev, year: e.target.value }))}
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+            >
+              {yearOptions.map(year => (
+                <option key={year.value} value={year.value}>{year.label}</option>
+              ))}
+            </select>
+          ) : (
+            <div className="grid grid-cols-2 gap-4">
+              <input
+                type="date"
+                value={statementPeriod.from}
+                onChange={(e) => setStatementPeriod(prev => ({ ...prev, from: e.target.value }))}
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+              />
+              <input
+                type="date"
+                value={statementPeriod.to}
+                min={statementPeriod.from}
+                onChange={(e) => setStatementPeriod(prev => ({ ...prev, to: e.target.value }))}
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+              />
+            </div>
+          )}
+          {statementError && <p className="text-sm text-red-600">{statementError}</p>}
+        </div>
+        <div className="flex justify-end space-x-3 mt-6">
+          <Button onClick={() => setShowStatementModal(false)} variant="ghost" size="md">
+            Cancel
+          </Button>
+          <Button onClick={handleDownloadStatement} variant="primary" size="md" disabled={downloadingStatement}>
+            {downloadingStatement ? 'Preparing...' : 'Download PDF'}
           </Button>
         </div>
       </Modal>
+
+      {/* Test Checkout Modal (fake payment provider only) */}
+      <Modal
+        isOpen={testCheckout && Boolean(returned)}
+        onClose={() => setTestCheckout(false)}
+        title="Test Checkout"
+        size="md"
+      >
+        {returned && (
+          <>
+            <p className="text-gray-700">
+              This is the test payment provider; no money moves. Pay {formatCurrency(returned.amount)} for {returned.type}?
+            </p>
+            <div className="flex justify-end space-x-3 mt-6">
+              <Button
+                onClick={() => handleTestPayment(returned.reference, 'failed')}
+                variant="ghost"
+                size="md"
+                disabled={sendingTest}
+              >
+                Decline
+              </Button>
+              <Button
+                onClick={() => handleTestPayment(returned.reference, 'paid')}
+                variant="primary"
+                size="md"
+                disabled={sendingTest}
+              >
+                Pay
+              </Button>
+            </div>
+          </>
+        )}
+      </Modal>
     </>
   );
 };
@@ -9,6 +9,7 @@ import {
 import LoadingSpinner from '../../components/common/LoadingSpinner';
 import Button from '../../components/ui/Button';
 import Modal from '../../components/ui/Modal';
+import CalendarSubscription from '../../components/events/CalendarSubscription';
 import { 
   Calendar, 
   Clock, 
@@ -261,6 +262,8 @@ const MyEvents = () => {
 
         {/* Content */}
         <div className="container mx-auto px-4 py-8">
+          <CalendarSubscription />
+
           {/* Filters */}
           <div className="bg-white rounded-xl shadow-sm p-6 mb-6">
             <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
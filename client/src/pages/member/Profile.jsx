@@ -7,9 +7,20 @@ import {
   changePassword,
   uploadProfilePhoto
 } from '../../services/memberService';
+import {
+  getSessions,
+  revokeSession,
+  revokeOtherSessions,
+  getTwoFactorStatus,
+  disableTwoFactor,
+  regenerateRecoveryCodes
+} from '../../services/authService';
+import TwoFactorSetup, { RecoveryCodes } from '../../components/forms/TwoFactorSetup';
 import LoadingSpinner from '../../components/common/LoadingSpinner';
 import SEOHead from '../../components/common/SEOHead';
 import Button from '../../components/ui/Button';
+import { getUploadUrl } from '../../utils/helpers';
+import { MARITAL_STATUS, GENDER, NIGERIAN_STATES } from '@haven-word-church/shared/constants';
 import { 
   User, 
   Mail, 
@@ -24,25 +35,47 @@ import {
   Save,
   X,
   Eye,
-  EyeOff
+  EyeOff,
+  Monitor,
+  LogOut,
+  Droplets
 } from 'lucide-react';
 
+// Fields a member edits here; membership and baptism records are kept by the church office
+const EDITABLE_FIELDS = ['name', 'phone', 'address', 'dateOfBirth', 'gender', 'maritalStatus', 'weddingAnniversary', 'emergencyContact'];
+
+const INPUT_CLASS = 'w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent';
+
+const formatLabel = (value) => (value ? value.charAt(0).toUpperCase() + value.slice(1) : '');
+
+/**
+ * Address as a single line for display
+ * @param {Object} address - Structured address
+ * @returns {string} Joined address parts
+ */
+const formatAddress = (address) => (
+  address ? [address.street, address.city, address.state, address.country].filter(Boolean).join(', ') : ''
+);
+
 /**
  * Member Profile Page Component
  * Allows members to view and edit their profile information
  * 
  * Features:
- * - Personal information management
+ * - Personal information, address and emergency contact management
+ * - Read-only church record (membership status, baptism)
  * - Profile photo upload
  * - Ministry involvement tracking
  * - Password change functionality
+ * - Two-factor authentication enrollment and recovery codes
+ * - Active session list with per-device sign out
  * - Activity overview
  * 
  * @component
  * @returns {JSX.Element} Profile page component
  */
 const Profile = () => {
-  const { updateUser } = useAuth();
+  const { user } = useAuth();
   const { showNotification } = useNotifications();
   
   // State management
@@ -50,6 +83,7 @@ const Profile = () => {
   const [profileData, setProfileData] = useState(null);
   const [isEditing, setIsEditing] = useState(false);
   const [editedData, setEditedData] = useState({});
+  const [profileErrors, setProfileErrors] = useState({});
   const [showPasswordForm, setShowPasswordForm] = useState(false);
   const [passwordData, setPasswordData] = useState({
     currentPassword: '',
@@ -62,12 +96,21 @@ const Profile = () => {
     confirm: false
   });
   const [uploading, setUploading] = useState(false);
+  const [sessions, setSessions] = useState([]);
+  const [twoFactorStatus, setTwoFactorStatus] = useState(null);
+  const [showTwoFactorSetup, setShowTwoFactorSetup] = useState(false);
+  // 'disable' | 'regenerate' while asking for a current code
+  const [twoFactorAction, setTwoFactorAction] = useState(null);
+  const [twoFactorForm, setTwoFactorForm] = useState({ password: '', code: '' });
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
 
   /**
    * Fetch member profile data on component mount
    */
   useEffect(() => {
     fetchProfileData();
+    fetchSessions();
+    fetchTwoFactorStatus();
   }, [fetchProfileData]);
 
   /**
@@ -87,6 +130,91 @@ const Profile = () => {
     }
   };
 
+  /**
+   * Fetch the devices currently signed in to this account
+   */
+  const fetchSessions = async () => {
+    try {
+      setSessions(await getSessions());
+    } catch (error) {
+      console.error('Error fetching sessions:', error);
+    }
+  };
+
+  /**
+   * Fetch whether two-factor authentication is on for this account
+   */
+  const fetchTwoFactorStatus = async () => {
+    try {
+      setTwoFactorStatus(await getTwoFactorStatus());
+    } catch (error) {
+      console.error('Error fetching two-factor status:', error);
+    }
+  };
+
+  /**
+   * Setup finished and the recovery codes were saved
+   */
+  const handleTwoFactorEnabled = () => {
+    setShowTwoFactorSetup(false);
+    fetchTwoFactorStatus();
+    showNotification('Two-factor authentication is on', 'success');
+  };
+
+  const closeTwoFactorAction = () => {
+    setTwoFactorAction(null);
+    setTwoFactorForm({ password: '', code: '' });
+  };
+
+  /**
+   * Disable 2FA or replace the recovery codes; both need a current code
+   */
+  const handleTwoFactorAction = async (e) => {
+    e.preventDefault();
+    try {
+      if (twoFactorAction === 'disable') {
+        await disableTwoFactor(twoFactorForm);
+        showNotification('Two-factor authentication turned off', 'success');
+      } else {
+        const result = await regenerateRecoveryCodes(twoFactorForm.code);
+        setRecoveryCodes(result.recoveryCodes);
+      }
+      closeTwoFactorAction();
+      fetchTwoFactorStatus();
+    } catch (error) {
+      showNotification(error.message || 'Two-factor update failed', 'error');
+    }
+  };
+
+  /**
+   * Sign out a single device
+   * @param {string} sessionId - Session to revoke
+   */
+  const handleRevokeSession = async (sessionId) => {
+    try {
+      await revokeSession(sessionId);
+      setSessions(prev => prev.filter(session => session._id !== sessionId));
+      showNotification('Device signed out', 'success');
+    } catch (error) {
+      console.error('Error revoking session:', error);
+      showNotification('Failed to sign out device', 'error');
+    }
+  };
+
+  /**
+   * Sign out every device except this one
+   */
+  const handleRevokeOtherSessions = async () => {
+    try {
+      await revokeOtherSessions();
+      setSessions(prev => prev.filter(session => session.current));
+      showNotification('Signed out of all other devices', 'success');
+    } catch (error) {
+      console.error('Error revoking sessions:', error);
+      showNotification('Failed to sign out other devices', 'error');
+    }
+  };
+
   /**
    * Handle profile photo upload
    * @param {Event} event - File input change event
@@ -115,7 +243,7 @@ const Profile = () => {
       
       setProfileData(prev => ({
         ...prev,
-        profilePhoto: response.data.profilePhoto
+        avatar: response.profilePhoto
       }));
       
       showNotification('Profile photo updated successfully', 'success');
@@ -127,22 +255,47 @@ const Profile = () => {
     }
   };
 
+  /**
+   * Update one editable field, or one part of a nested field such as address
+   * @param {string} field - Profile field
+   * @param {string} value - New value
+   * @param {string} [part] - Key within a nested field
+   */
+  const handleFieldChange = (field, value, part) => {
+    setEditedData(prev => ({
+      ...prev,
+      [field]: part ? { ...(prev[field] || {}), [part]: value } : value
+    }));
+  };
+
+  const toggleEditing = () => {
+    if (isEditing) setEditedData(profileData);
+    setProfileErrors({});
+    setIsEditing(!isEditing);
+  };
+
   /**
    * Handle profile information update
    */
   const handleProfileUpdate = async () => {
     try {
       setLoading(true);
-      const response = await updateProfile(editedData);
+      setProfileErrors({});
+      const changes = EDITABLE_FIELDS.reduce((acc, field) => {
+        acc[field] = editedData[field] ?? null;
+        return acc;
+      }, {});
+      const response = await updateProfile(changes);
       
       setProfileData(response.data);
+      setEditedData(response.data);
       setIsEditing(false);
-      updateUser(response.data);
       
       showNotification('Profile updated successfully', 'success');
     } catch (error) {
       console.error('Error updating profile:', error);
-      showNotification('Failed to update profile', 'error');
+      setProfileErrors(error.errors || {});
+      showNotification(error.message || 'Failed to update profile', 'error');
     } finally {
       setLoading(false);
     }
@@ -188,6 +341,7 @@ const Profile = () => {
    * @returns {string} Formatted date
    */
   const formatDate = (dateString) => {
+    if (!dateString) return 'Not recorded';
     return new Date(dateString).toLocaleDateString('en-NG', {
       year: 'numeric',
       month: 'long',
@@ -239,9 +393,9 @@ const Profile = () => {
                   {/* Profile Photo */}
                   <div className="relative inline-block">
                     <div className="w-32 h-32 rounded-full bg-gray-200 flex items-center justify-center overflow-hidden">
-                      {profileData?.profilePhoto ? (
+                      {profileData?.avatar ? (
                         <img
-                          src={profileData.profilePhoto}
+                          src={getUploadUrl(profileData.avatar)}
                           alt="Profile"
                           className="w-full h-full object-cover"
                         />
@@ -255,7 +409,7 @@ const Profile = () => {
                       <Camera className="w-4 h-4" />
                       <input
                         type="file"
-                        accept="image/*"
+                        accept="image/jpeg,image/png,image/webp"
                         onChange={handlePhotoUpload}
                         className="hidden"
                         disabled={uploading}
@@ -270,13 +424,13 @@ const Profile = () => {
                   </div>
 
                   <h2 className="mt-4 text-xl font-semibold text-gray-900">
-                    {profileData?.firstName} {profileData?.lastName}
+                    {profileData?.name || user?.name}
                   </h2>
                   <p className="text-gray-600">{profileData?.email}</p>
                   
-                  {profileData?.membershipType && (
+                  {profileData?.membershipStatus && (
                     <span className="inline-block mt-2 px-3 py-1 bg-green-100 text-green-800 text-sm font-medium rounded-full">
-                      {profileData.membershipType}
+                      {formatLabel(profileData.membershipStatus)}
                     </span>
                   )}
                 </div>
@@ -297,12 +451,20 @@ const Profile = () => {
                   </div>
                 </div>
 
-                {/* Member Since */}
-                {profileData?.joinDate && (
-                  <div className="mt-4 text-center text-sm text-gray-600">
-                    Member since {formatDate(profileData.joinDate)}
+                {/* Church Record (kept by the church office) */}
+                <div className="mt-6 pt-4 border-t border-gray-200 space-y-2 text-sm text-gray-600">
+                  <div className="flex items-center gap-2">
+                    <Users className="w-4 h-4 text-gray-400" />
+                    Member since: {formatDate(profileData?.membershipDate)}
                   </div>
-                )}
+                  <div className="flex items-center gap-2">
+                    <Droplets className="w-4 h-4 text-gray-400" />
+                    Baptised: {formatDate(profileData?.baptismDate)}
+                  </div>
+                  <p className="text-xs text-gray-500">
+                    Contact the church office to update your church record
+                  </p>
+                </div>
               </div>
             </div>
 
@@ -315,7 +477,7 @@ const Profile = () => {
                     Personal Information
                   </h3>
                   <Button
-                    onClick={() => setIsEditing(!isEditing)}
+                    onClick={toggleEditing}
                     variant="ghost"
                     size="sm"
                     leftIcon={isEditing ? <X className="w-4 h-4" /> : <Edit2 className="w-4 h-4" />}
@@ -327,50 +489,25 @@ const Profile = () => {
 
                 <div className="p-6">
                   <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
-                    {/* First Name */}
+                    {/* Name */}
                     <div>
                       <label className="block text-sm font-medium text-gray-700 mb-2">
-                        First Name
+                        Full Name
                       </label>
                       {isEditing ? (
                         <input
                           type="text"
-                          value={editedData.firstName || ''}
-                          onChange={(e) => setEditedData(prev => ({
-                            ...prev,
-                            firstName: e.target.value
-                          }))}
-                          className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                          value={editedData.name || ''}
+                          onChange={(e) => handleFieldChange('name', e.target.value)}
+                          className={INPUT_CLASS}
                         />
                       ) : (
                         <div className="flex items-center gap-2 text-gray-900">
                           <User className="w-4 h-4 text-gray-400" />
-                          {profileData?.firstName || 'Not provided'}
-                        </div>
-                      )}
-                    </div>
-
-                    {/* Last Name */}
-                    <div>
-                      <label className="block text-sm font-medium text-gray-700 mb-2">
-                        Last Name
-                      </label>
-                      {isEditing ? (
-                        <input
-                          type="text"
-                          value={editedData.lastName || ''}
-                          onChange={(e) => setEditedData(prev => ({
-                            ...prev,
-                            lastName: e.target.value
-                          }))}
-                          className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
-                        />
-                      ) : (
-                        <div className="flex items-center gap-2 text-gray-900">
-                          <User className="w-4 h-4 text-gray-400" />
-                          {profileData?.lastName || 'Not provided'}
+                          {profileData?.name || 'Not provided'}
                         </div>
                       )}
+                      {profileErrors.name && <p className="text-xs text-red-600 mt-1">{profileErrors.name}</p>}
                     </div>
 
                     {/* Email */}
@@ -396,11 +533,8 @@ const Profile = () => {
                         <input
                           type="tel"
                           value={editedData.phone || ''}
-                          onChange={(e) => setEditedData(prev => ({
-                            ...prev,
-                            phone: e.target.value
-                          }))}
-                          className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                          onChange={(e) => handleFieldChange('phone', e.target.value)}
+                          className={INPUT_CLASS}
                           placeholder="+234 XXX XXX XXXX"
                         />
                       ) : (
@@ -409,6 +543,7 @@ const Profile = () => {
                           {profileData?.phone || 'Not provided'}
                         </div>
                       )}
+                      {profileErrors.phone && <p className="text-xs text-red-600 mt-1">{profileErrors.phone}</p>}
                     </div>
 
                     {/* Date of Birth */}
@@ -420,11 +555,8 @@ const Profile = () => {
                         <input
                           type="date"
                           value={editedData.dateOfBirth ? editedData.dateOfBirth.split('T')[0] : ''}
-                          onChange={(e) => setEditedData(prev => ({
-                            ...prev,
-                            dateOfBirth: e.target.value
-                          }))}
-                          className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                          onChange={(e) => handleFieldChange('dateOfBirth', e.target.value)}
+                          className={INPUT_CLASS}
                         />
                       ) : (
                         <div className="flex items-center gap-2 text-gray-900">
@@ -432,6 +564,77 @@ const Profile = () => {
                           {profileData?.dateOfBirth ? formatDate(profileData.dateOfBirth) : 'Not provided'}
                         </div>
                       )}
+                      {profileErrors.dateOfBirth && <p className="text-xs text-red-600 mt-1">{profileErrors.dateOfBirth}</p>}
+                    </div>
+
+                    {/* Gender */}
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-2">
+                        Gender
+                      </label>
+                      {isEditing ? (
+                        <select
+                          value={editedData.gender || ''}
+                          onChange={(e) => handleFieldChange('gender', e.target.value)}
+                          className={INPUT_CLASS}
+                        >
+                          <option value="">Prefer not to say</option>
+                          {Object.values(GENDER).map((gender) => (
+                            <option key={gender} value={gender}>{formatLabel(gender)}</option>
+                          ))}
+                        </select>
+                      ) : (
+                        <div className="flex items-center gap-2 text-gray-900">
+                          <User className="w-4 h-4 text-gray-400" />
+                          {formatLabel(profileData?.gender) || 'Not provided'}
+                        </div>
+                      )}
+                    </div>
+
+                    {/* Marital Status */}
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-2">
+                        Marital Status
+                      </label>
+                      {isEditing ? (
+                        <select
+                          value={editedData.maritalStatus || ''}
+                          onChange={(e) => handleFieldChange('maritalStatus', e.target.value)}
+                          className={INPUT_CLASS}
+                        >
+                          <option value="">Prefer not to say</option>
+                          {Object.values(MARITAL_STATUS).map((status) => (
+                            <option key={status} value={status}>{formatLabel(status)}</option>
+                          ))}
+                        </select>
+                      ) : (
+                        <div className="flex items-center gap-2 text-gray-900">
+                          <Heart className="w-4 h-4 text-gray-400" />
+                          {formatLabel(profileData?.maritalStatus) || 'Not provided'}
+                        </div>
+                      )}
+                    </div>
+
+                    {/* Wedding Anniversary */}
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-2">
+                        Wedding Anniversary
+                      </label>
+                      {isEditing ? (
+                        <input
+                          type="date"
+                          value={editedData.weddingAnniversary ? editedData.weddingAnniversary.split('T')[0] : ''}
+                          onChange={(e) => handleFieldChange('weddingAnniversary', e.target.value)}
+                          disabled={editedData.maritalStatus === MARITAL_STATUS.SINGLE}
+                          className={`${INPUT_CLASS} disabled:bg-gray-100`}
+                        />
+                      ) : (
+                        <div className="flex items-center gap-2 text-gray-900">
+                          <Calendar className="w-4 h-4 text-gray-400" />
+                          {profileData?.weddingAnniversary ? formatDate(profileData.weddingAnniversary) : 'Not provided'}
+                        </div>
+                      )}
+                      {profileErrors.weddingAnniversary && <p className="text-xs text-red-600 mt-1">{profileErrors.weddingAnniversary}</p>}
                     </div>
 
                     {/* Address */}
@@ -440,22 +643,103 @@ const Profile = () => {
                         Address
                       </label>
                       {isEditing ? (
-                        <textarea
-                          value={editedData.address || ''}
-                          onChange={(e) => setEditedData(prev => ({
-                            ...prev,
-                            address: e.target.value
-                          }))}
-                          rows={3}
-                          className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
-                          placeholder="Enter your address"
-                        />
+                        <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+                          <input
+                            type="text"
+                            value={editedData.address?.street || ''}
+                            onChange={(e) => handleFieldChange('address', e.target.value, 'street')}
+                            className={`${INPUT_CLASS} md:col-span-2`}
+                            placeholder="Street address"
+                          />
+                          <input
+                            type="text"
+                            value={editedData.address?.city || ''}
+                            onChange={(e) => handleFieldChange('address', e.target.value, 'city')}
+                            className={INPUT_CLASS}
+                            placeholder="City"
+                          />
+                          {(editedData.address?.country || 'Nigeria') === 'Nigeria' ? (
+                            <select
+                              value={editedData.address?.state || ''}
+                              onChange={(e) => handleFieldChange('address', e.target.value, 'state')}
+                              className={INPUT_CLASS}
+                              aria-label="State"
+                            >
+                              <option value="">Select state</option>
+                              {NIGERIAN_STATES.map((state) => (
+                                <option key={state} value={state}>{state}</option>
+                              ))}
+                            </select>
+                          ) : (
+                            <input
+                              type="text"
+                              value={editedData.address?.state || ''}
+                              onChange={(e) => handleFieldChange('address', e.target.value, 'state')}
+                              className={INPUT_CLASS}
+                              placeholder="State / Region"
+                            />
+                          )}
+                          <input
+                            type="text"
+                            value={editedData.address?.country || 'Nigeria'}
+                            onChange={(e) => handleFieldChange('address', e.target.value, 'country')}
+                            className={INPUT_CLASS}
+                            placeholder="Country"
+                          />
+                        </div>
                       ) : (
                         <div className="flex items-start gap-2 text-gray-900">
                           <MapPin className="w-4 h-4 text-gray-400 mt-0.5" />
-                          <span>{profileData?.address || 'Not provided'}</span>
+                          <span>{formatAddress(profileData?.address) || 'Not provided'}</span>
+                        </div>
+                      )}
+                      {profileErrors.address && <p className="text-xs text-red-600 mt-1">{profileErrors.address}</p>}
+                    </div>
+
+                    {/* Emergency Contact */}
+                    <div className="md:col-span-2">
+                      <label className="block text-sm font-medium text-gray-700 mb-2">
+                        Emergency Contact
+                      </label>
+                      {isEditing ? (
+                        <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+                          <input
+                            type="text"
+                            value={editedData.emergencyContact?.name || ''}
+                            onChange={(e) => handleFieldChange('emergencyContact', e.target.value, 'name')}
+                            className={INPUT_CLASS}
+                            placeholder="Name"
+                          />
+                          <input
+                            type="text"
+                            value={editedData.emergencyContact?.relationship || ''}
+                            onChange={(e) => handleFieldChange('emergencyContact', e.target.value, 'relationship')}
+                            className={INPUT_CLASS}
+                            placeholder="Relationship"
+                          />
+                          <input
+                            type="tel"
+                            value={editedData.emergencyContact?.phone || ''}
+                            onChange={(e) => handleFieldChange('emergencyContact', e.target.value, 'phone')}
+                            className={INPUT_CLASS}
+                            placeholder="+234 XXX XXX XXXX"
+                          />
+                        </div>
+                      ) : (
+                        <div className="flex items-start gap-2 text-gray-900">
+                          <Shield className="w-4 h-4 text-gray-400 mt-0.5" />
+                          <span>
+                            {profileData?.emergencyContact?.name
+                              ? [
+                                profileData.emergencyContact.name,
+                                profileData.emergencyContact.relationship && `(${profileData.emergencyContact.relationship})`,
+                                profileData.emergencyContact.phone
+                              ].filter(Boolean).join(' ')
+                              : 'Not provided'}
+                          </span>
                         </div>
                       )}
+                      {profileErrors.emergencyContact && <p className="text-xs text-red-600 mt-1">{profileErrors.emergencyContact}</p>}
                     </div>
                   </div>
 
@@ -640,6 +924,167 @@ const Profile = () => {
                   </div>
                 )}
               </div>
+
+              {/* Two-Factor Authentication */}
+              <div className="bg-white rounded-lg shadow-sm border border-gray-200">
+                <div className="px-6 py-4 border-b border-gray-200 flex items-center justify-between">
+                  <h3 className="text-lg font-semibold text-gray-900">
+                    Two-Factor Authentication
+                  </h3>
+                  {twoFactorStatus && (
+                    <span className={`inline-block px-2 py-0.5 text-xs font-medium rounded-full ${
+                      twoFactorStatus.enabled ? 'bg-green-100 text-green-800' : 'bg-gray-100 text-gray-700'
+                    }`}>
+                      {twoFactorStatus.enabled ? 'On' : 'Off'}
+                    </span>
+                  )}
+                </div>
+                <div className="p-6">
+                  {recoveryCodes ? (
+                    <div className="max-w-md space-y-4">
+                      <RecoveryCodes codes={recoveryCodes} />
+                      <Button onClick={() => setRecoveryCodes(null)} variant="primary" size="md">
+                        Done
+                      </Button>
+                    </div>
+                  ) : showTwoFactorSetup ? (
+                    <div className="max-w-md">
+                      <TwoFactorSetup onComplete={handleTwoFactorEnabled} onCancel={() => setShowTwoFactorSetup(false)} />
+                    </div>
+                  ) : twoFactorAction ? (
+                    <form onSubmit={handleTwoFactorAction} className="max-w-md space-y-4">
+                      {twoFactorAction === 'disable' && (
+                        <input
+                          type="password"
+                          value={twoFactorForm.password}
+                          onChange={(e) => setTwoFactorForm(prev => ({ ...prev, password: e.target.value }))}
+                          className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                          placeholder="Current password"
+                          autoComplete="current-password"
+                          required
+                        />
+                      )}
+                      <input
+                        type="text"
+                        value={twoFactorForm.code}
+                        onChange={(e) => setTwoFactorForm(prev => ({ ...prev, code: e.target.value.replace(/\D/g, '') }))}
+                        className="w-full px-3 py-2 border border-gray-300 rounded-lg font-mono tracking-widest focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                        placeholder="6-digit code from your app"
+                        inputMode="numeric"
+                        maxLength={6}
+                        autoComplete="one-time-code"
+                        required
+                      />
+                      <div className="flex gap-2">
+                        <Button type="button" onClick={closeTwoFactorAction} variant="outline" size="md">
+                          Cancel
+                        </Button>
+                        <Button
+                          type="submit"
+                          variant={twoFactorAction === 'disable' ? 'danger' : 'primary'}
+                          size="md"
+                        >
+                          {twoFactorAction === 'disable' ? 'Turn Off' : 'Generate New Codes'}
+                        </Button>
+                      </div>
+                    </form>
+                  ) : twoFactorStatus?.enabled ? (
+                    <div className="space-y-3">
+                      <p className="text-gray-600">
+                        Signing in requires a code from your authenticator app.
+                        {' '}{twoFactorStatus.recoveryCodesRemaining} recovery code(s) left.
+                      </p>
+                      <div className="flex gap-2">
+                        <Button onClick={() => setTwoFactorAction('regenerate')} variant="outline" size="sm">
+                          New Recovery Codes
+                        </Button>
+                        {!twoFactorStatus.required && (
+                          <Button
+                            onClick={() => setTwoFactorAction('disable')}
+                            variant="ghost"
+                            size="sm"
+                            className="text-red-600 hover:bg-red-50"
+                          >
+                            Turn Off
+                          </Button>
+                        )}
+                      </div>
+                    </div>
+                  ) : (
+                    <div className="space-y-3">
+                      <p className="text-gray-600">
+                        Protect your account with a code from an authenticator app in addition to your password.
+                      </p>
+                      <Button
+                        onClick={() => setShowTwoFactorSetup(true)}
+                        variant="primary"
+                        size="sm"
+                        leftIcon={<Shield className="w-4 h-4" />}
+                      >
+                        Set Up Two-Factor Authentication
+                      </Button>
+                    </div>
+                  )}
+                </div>
+              </div>
+
+              {/* Active Sessions */}
+              <div className="bg-white rounded-lg shadow-sm border border-gray-200">
+                <div className="px-6 py-4 border-b border-gray-200 flex items-center justify-between">
+                  <h3 className="text-lg font-semibold text-gray-900">
+                    Active Sessions
+                  </h3>
+                  {sessions.length > 1 && (
+                    <Button
+                      onClick={handleRevokeOtherSessions}
+                      variant="ghost"
+                      size="sm"
+                      leftIcon={<LogOut className="w-4 h-4" />}
+                      className="text-red-600 hover:bg-red-50"
+                    >
+                      Sign Out Other Devices
+                    </Button>
+                  )}
+                </div>
+                <div className="p-6">
+                  {sessions.length > 0 ? (
+                    <ul className="divide-y divide-gray-200">
+                      {sessions.map((session) => (
+                        <li key={session._id} className="flex items-center justify-between py-3">
+                          <div className="flex items-start gap-3">
+                            <Monitor className="w-5 h-5 text-gray-400 mt-0.5" />
+                            <div>
+                              <div className="font-medium text-gray-900">
+                                {session.deviceName || session.userAgent || 'Unknown device'}
+                                {session.current && (
+                                  <span className="ml-2 inline-block px-2 py-0.5 bg-green-100 text-green-800 text-xs font-medium rounded-full">
+                                    This device
+                                  </span>
+                                )}
+                              </div>
+                              <div className="text-sm text-gray-600">
+                                {session.ip && `${session.ip} · `}Last active {formatDate(session.lastUsedAt)}
+                              </div>
+                            </div>
+                          </div>
+                          {!session.current && (
+                            <Button
+                              onClick={() => handleRevokeSession(session._id)}
+                              variant="ghost"
+                              size="sm"
+                              className="text-red-600 hover:bg-red-50"
+                            >
+                              Sign Out
+                            </Button>
+                          )}
+                        </li>
+                      ))}
+                    </ul>
+                  ) : (
+                    <p className="text-gray-600">No active sessions found.</p>
+                  )}
+                </div>
+              </div>
             </div>
           </div>
         </div>
@@ -0,0 +1,7 @@
+import api from './api';
+
+// Attendance forecast for upcoming events
+export const getAttendanceForecast = async (params) => {
+  const res = await api.get('/attendance/forecast', { params });
+  return res.data;
+};
@@ -1,5 +1,5 @@
 import axios from 'axios';
-import { getToken } from './storageService';
+import { getToken, setToken, getRefreshToken, setRefreshToken, removeToken, removeRefreshToken } from './storageService';
 
 // Create axios instance with base configuration
 const api = axios.create({
@@ -22,6 +22,33 @@ api.interceptors.request.use(
   (error) => Promise.reject(error)
 );
 
+// Endpoints that must never trigger a token refresh
+const AUTH_ENDPOINTS = ['/auth/login', '/auth/2fa/verify', '/auth/refresh', '/auth/logout'];
+
+// Single in-flight refresh shared by every request that hits a 401 at the same time
+let refreshPromise = null;
+
+const refreshAccessToken = () => {
+  if (!refreshPromise) {
+    refreshPromise = axios
+      .post(`${api.defaults.baseURL}/auth/refresh`, { refreshToken: getRefreshToken() })
+      .then(({ data }) => {
+        setToken(data.token);
+        setRefreshToken(data.refreshToken);
+        return data.token;
+      })
+      .catch((err) => {
+        removeToken();
+        removeRefreshToken();
+        throw err;
+      })
+      .finally(() => {
+        refreshPromise = null;
+      });
+  }
+  return refreshPromise;
+};
+
 // Response interceptor - Handle common responses and errors
 api.interceptors.response.use(
   (response) => {
@@ -35,8 +62,27 @@ api.interceptors.response.use(
     }
     return response;
   },
-  (error) => {
-    const { response, request, message } = error;
+  async (error) => {
+    const { response, request, message, config } = error;
+
+    // Access token expired: refresh once and replay the original request
+    if (
+      response?.status === 401 &&
+      config &&
+      !config._retry &&
+      getRefreshToken() &&
+      !AUTH_ENDPOINTS.includes(config.url)
+    ) {
+      config._retry = true;
+      try {
+        const token = await refreshAccessToken();
+        config.headers['Authorization'] = `Bearer ${token}`;
+        return api(config);
+      } catch {
+        // Fall through and surface the original 401
+      }
+    }
+
     if (response) {
       const { status, data } = response;
       switch (status) {
@@ -87,6 +133,7 @@ export const endpoints = {
   events: {
     getAll: (params) => api.get('/events', { params }),
     getById: (id) => api.get(`/events/${id}`),
+    getUpcoming: (params) => api.get('/events/upcoming', { params }),
     create: (eventData) => api.post('/events', eventData),
     update: (id, eventData) => api.put(`/events/${id}`, eventData),
     delete: (id) => api.delete(`/events/${id}`),
@@ -186,6 +233,7 @@ export const endpoints = {
   adminExport: {
     getOptions: () => api.get('/admin/export/options'),
     create: (exportData) => api.post('/admin/export', exportData),
+    createGivingStatements: (period) => api.post('/admin/export/giving-statements', period),
     getStatus: (jobId) => api.get(`/admin/export/${jobId}`),
     download: (jobId) => api.get(`/admin/export/${jobId}/download`, { responseType: 'blob' }),
     getHistory: (params) => api.get('/admin/export/history', { params }),
@@ -223,16 +271,6 @@ export function sendContactMessage() {
   return Promise.resolve({ success: true });
 }
 
-export function getEventDetails(id) {
-  // TODO: Implement real API call
-  return Promise.resolve({ id });
-}
-
-export function submitRSVP() {
-  // TODO: Implement real API call
-  return Promise.resolve({ success: true });
-}
-
 export function getBlogPostById(id) {
   return endpoints.blog.getById(id).then(res => res.data);
 }
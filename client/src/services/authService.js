@@ -9,3 +9,83 @@ export const register = async (data) => {
   const res = await api.post('/auth/register', data);
   return res.data;
 };
+
+export const refresh = async (refreshToken) => {
+  const res = await api.post('/auth/refresh', { refreshToken });
+  return res.data;
+};
+
+export const logout = async (refreshToken) => {
+  const res = await api.post('/auth/logout', { refreshToken });
+  return res.data;
+};
+
+// Active sessions
+export const getSessions = async () => {
+  const res = await api.get('/auth/sessions');
+  return res.data;
+};
+
+export const revokeSession = async (id) => {
+  const res = await api.delete(`/auth/sessions/${id}`);
+  return res.data;
+};
+
+export const revokeOtherSessions = async () => {
+  const res = await api.delete('/auth/sessions');
+  return res.data;
+};
+
+// Email verification
+export const verifyEmail = async (token) => {
+  const res = await api.post('/auth/verify-email', { token });
+  return res.data;
+};
+
+export const resendVerification = async (email) => {
+  const res = await api.post('/auth/resend-verification', { email });
+  return res.data;
+};
+
+// Password reset
+export const forgotPassword = async (email) => {
+  const res = await api.post('/auth/forgot-password', { email });
+  return res.data;
+};
+
+export const resetPassword = async (token, password) => {
+  const res = await api.post('/auth/reset-password', { token, password });
+  return res.data;
+};
+
+// Two-factor authentication
+export const verifyTwoFactor = async (challengeToken, { code, recoveryCode }) => {
+  const res = await api.post('/auth/2fa/verify', { challengeToken, code, recoveryCode });
+  return res.data;
+};
+
+export const getTwoFactorStatus = async () => {
+  const res = await api.get('/auth/2fa');
+  return res.data;
+};
+
+// setupToken is only passed when 2FA setup is enforced during login
+export const setupTwoFactor = async (setupToken) => {
+  const res = await api.post('/auth/2fa/setup', { setupToken });
+  return res.data;
+};
+
+export const enableTwoFactor = async (code, setupToken) => {
+  const res = await api.post('/auth/2fa/enable', { code, setupToken });
+  return res.data;
+};
+
+export const disableTwoFactor = async ({ password, code, recoveryCode }) => {
+  const res = await api.post('/auth/2fa/disable', { password, code, recoveryCode });
+  return res.data;
+};
+
+export const regenerateRecoveryCodes = async (code) => {
+  const res = await api.post('/auth/2fa/recovery-codes', { code });
+  return res.data;
+};
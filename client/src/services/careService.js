@@ -0,0 +1,37 @@
+import api from './api';
+
+// Absentee care (pastoral care team)
+export const getAbsentees = async (params = {}) => {
+  const res = await api.get('/care/absentees', { params });
+  return res.data;
+};
+
+export const moveAbsentee = async (taskId, stage) => {
+  const res = await api.put(`/care/absentees/${taskId}/stage`, { stage });
+  return res.data;
+};
+
+export const assignAbsentee = async (taskId, assignedTo) => {
+  const res = await api.put(`/care/absentees/${taskId}/assign`, { assignedTo });
+  return res.data;
+};
+
+export const addAbsenteeNote = async (taskId, text) => {
+  const res = await api.post(`/care/absentees/${taskId}/notes`, { text });
+  return res.data;
+};
+
+export const runAbsenteeDetection = async () => {
+  const res = await api.post('/care/absentees/detect');
+  return res.data;
+};
+
+export const getCareSettings = async () => {
+  const res = await api.get('/care/settings');
+  return res.data;
+};
+
+export const updateCareSettings = async (data) => {
+  const res = await api.put('/care/settings', data);
+  return res.data;
+};
@@ -0,0 +1,134 @@
+import api from './api';
+
+// Events and their occurrences. A recurring event is one document; its
+// dates are expanded by the server and named by their original date
+// ("YYYY-MM-DD") in `occurrence`.
+
+export const getEvents = async (params) => {
+  const res = await api.get('/events', { params });
+  return res.data;
+};
+
+export const getUpcomingEvents = async (params) => {
+  const res = await api.get('/events/upcoming', { params });
+  return res.data;
+};
+
+export const getEvent = async (id, params) => {
+  const res = await api.get(`/events/${id}`, { params });
+  return res.data;
+};
+
+export const getManagedEvents = async (params) => {
+  const res = await api.get('/events/manage', { params });
+  return res.data;
+};
+
+export const getEventOccurrences = async (id, params) => {
+  const res = await api.get(`/events/manage/${id}/occurrences`, { params });
+  return res.data;
+};
+
+export const createEvent = async (data) => {
+  const res = await api.post('/events', data);
+  return res.data;
+};
+
+// `scope` is all, following or this; the last two need `occurrence`
+export const updateEvent = async (id, data) => {
+  const res = await api.put(`/events/${id}`, data);
+  return res.data;
+};
+
+export const deleteEvent = async (id, params) => {
+  const res = await api.delete(`/events/${id}`, { params });
+  return res.data;
+};
+
+export const restoreOccurrence = async (id, occurrence) => {
+  const res = await api.delete(`/events/${id}/occurrences/${occurrence}`);
+  return res.data;
+};
+
+export const registerForEvent = async (id, data) => {
+  const res = await api.post(`/events/${id}/register`, data);
+  return res.data;
+};
+
+export const unregisterFromEvent = async (id, params) => {
+  const res = await api.delete(`/events/${id}/register`, { params });
+  return res.data;
+};
+
+// The public RSVP form, for visitors without an account
+export const submitRsvp = async (data) => {
+  const res = await api.post('/rsvp', data);
+  return res.data;
+};
+
+// The caller's (or a household child's, with `memberId`) registrations and waitlist places
+export const getMyRegistration = async (id, params) => {
+  const res = await api.get(`/events/${id}/register`, { params });
+  return res.data;
+};
+
+export const getEventWaitlist = async (id, params) => {
+  const res = await api.get(`/events/${id}/waitlist`, { params });
+  return res.data;
+};
+
+export const getEventAttendees = async (id, params) => {
+  const res = await api.get(`/events/${id}/attendees`, { params });
+  return res.data;
+};
+
+export const updateAttendance = async (id, attendeeId, status) => {
+  const res = await api.patch(`/events/${id}/attendees/${attendeeId}`, { status });
+  return res.data;
+};
+
+// A ticket by its reference; paid tickets carry their QR code
+export const getTicket = async (reference) => {
+  const res = await api.get(`/events/tickets/${reference}`);
+  return res.data;
+};
+
+// Complete or decline a test checkout (fake payment provider only)
+export const sendTestTicketPayment = async (reference, outcome) => {
+  const res = await api.post(`/events/tickets/${reference}/test-payment`, { outcome });
+  return res.data;
+};
+
+export const checkInTicket = async (id, token) => {
+  const res = await api.post(`/events/${id}/tickets/check-in`, { token });
+  return res.data;
+};
+
+// Cancel a registration and refund its ticket
+export const refundAttendee = async (id, attendeeId) => {
+  const res = await api.post(`/events/${id}/attendees/${attendeeId}/refund`);
+  return res.data;
+};
+
+// Calendar files and feeds are fetched by calendar apps, not through axios
+const calendarUrl = (path, params) => {
+  const query = new URLSearchParams(Object.entries(params).filter(([, value]) => value)).toString();
+  return `${api.defaults.baseURL}${path}${query ? `?${query}` : ''}`;
+};
+
+export const toWebcal = (url) => url.replace(/^https?:/, 'webcal:');
+
+export const eventCalendarUrl = (id, occurrence) => calendarUrl(`/events/${id}/calendar.ics`, occurrence ? { occurrence } : {});
+
+// `category` or `ministry` narrow the public feed
+export const calendarFeedUrl = (params = {}) => calendarUrl('/events/calendar.ics', params);
+
+export const getCalendarFeedLink = async () => {
+  const res = await api.get('/events/calendar/feed');
+  return res.data;
+};
+
+export const resetCalendarFeedLink = async () => {
+  const res = await api.post('/events/calendar/feed/reset');
+  return res.data;
+};
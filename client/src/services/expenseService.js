@@ -0,0 +1,51 @@
+import api from './api';
+
+// Ministry budgets and expense requests. Ministry leaders see their own
+// ministries; budget managers see and review all of them.
+
+export const getBudgets = async (params) => {
+  const res = await api.get('/expenses/budgets', { params });
+  return res.data;
+};
+
+export const setBudget = async (ministryId, data) => {
+  const res = await api.put(`/expenses/budgets/${ministryId}`, data);
+  return res.data;
+};
+
+export const getExpenses = async (params) => {
+  const res = await api.get('/expenses', { params });
+  return res.data;
+};
+
+export const createExpense = async (data) => {
+  const res = await api.post('/expenses', data);
+  return res.data;
+};
+
+export const updateExpense = async (id, data) => {
+  const res = await api.put(`/expenses/${id}`, data);
+  return res.data;
+};
+
+export const deleteExpense = async (id) => {
+  const res = await api.delete(`/expenses/${id}`);
+  return res.data;
+};
+
+export const reviewExpense = async (id, data) => {
+  const res = await api.post(`/expenses/${id}/review`, data);
+  return res.data;
+};
+
+// Upload a receipt photo or PDF; attach the result to an expense
+export const uploadReceipt = async (file) => {
+  const formData = new FormData();
+  formData.append('receipt', file);
+  const res = await api.post('/upload/receipt', formData, {
+    headers: {
+      'Content-Type': 'multipart/form-data',
+    },
+  });
+  return res.data;
+};
@@ -0,0 +1,108 @@
+import api from './api';
+
+// Finance administration; every call needs the finance permission
+
+export const searchMembers = async (search) => {
+  const res = await api.get('/finance/members', { params: { search } });
+  return res.data;
+};
+
+export const getDonations = async (params) => {
+  const res = await api.get('/finance/donations', { params });
+  return res.data;
+};
+
+// Funds
+export const getFunds = async () => {
+  const res = await api.get('/finance/funds');
+  return res.data;
+};
+
+export const createFund = async (data) => {
+  const res = await api.post('/finance/funds', data);
+  return res.data;
+};
+
+export const updateFund = async (id, data) => {
+  const res = await api.put(`/finance/funds/${id}`, data);
+  return res.data;
+};
+
+// Offering batches
+export const getBatches = async (params) => {
+  const res = await api.get('/finance/batches', { params });
+  return res.data;
+};
+
+export const getBatch = async (id) => {
+  const res = await api.get(`/finance/batches/${id}`);
+  return res.data;
+};
+
+export const createBatch = async (data) => {
+  const res = await api.post('/finance/batches', data);
+  return res.data;
+};
+
+export const updateBatch = async (id, data) => {
+  const res = await api.put(`/finance/batches/${id}`, data);
+  return res.data;
+};
+
+export const deleteBatch = async (id) => {
+  const res = await api.delete(`/finance/batches/${id}`);
+  return res.data;
+};
+
+export const submitBatch = async (id) => {
+  const res = await api.post(`/finance/batches/${id}/submit`);
+  return res.data;
+};
+
+export const verifyBatch = async (id, total) => {
+  const res = await api.post(`/finance/batches/${id}/verify`, { total });
+  return res.data;
+};
+
+export const returnBatch = async (id, reason) => {
+  const res = await api.post(`/finance/batches/${id}/return`, { reason });
+  return res.data;
+};
+
+// Bank reconciliation
+export const getReconciliation = async (params) => {
+  const res = await api.get('/finance/reconciliation', { params });
+  return res.data;
+};
+
+export const importBankStatement = async (file) => {
+  const formData = new FormData();
+  formData.append('statement', file);
+  const res = await api.post('/finance/reconciliation/import', formData, {
+    headers: {
+      'Content-Type': 'multipart/form-data',
+    },
+  });
+  return res.data;
+};
+
+export const autoMatchStatement = async () => {
+  const res = await api.post('/finance/reconciliation/auto-match');
+  return res.data;
+};
+
+export const updateStatementLine = async (id, data) => {
+  const res = await api.put(`/finance/reconciliation/${id}`, data);
+  return res.data;
+};
+
+// Reports
+export const getFundReport = async (params) => {
+  const res = await api.get('/finance/reports/funds', { params });
+  return res.data;
+};
+
+export const downloadFundReport = async (params) => {
+  const res = await api.get('/finance/reports/funds', { params: { ...params, format: 'csv' }, responseType: 'blob' });
+  return res.data;
+};
@@ -0,0 +1,80 @@
+import api from './api';
+
+// Funds open for gifts
+export const getFunds = async () => {
+  const res = await api.get('/giving/funds');
+  return res.data;
+};
+
+// Recurring gifts
+export const getRecurringGifts = async () => {
+  const res = await api.get('/giving/recurring');
+  return res.data;
+};
+
+export const createRecurringGift = async (data) => {
+  const res = await api.post('/giving/recurring', data);
+  return res.data;
+};
+
+export const updateRecurringGift = async (id, data) => {
+  const res = await api.put(`/giving/recurring/${id}`, data);
+  return res.data;
+};
+
+export const cancelRecurringGift = async (id) => {
+  const res = await api.delete(`/giving/recurring/${id}`);
+  return res.data;
+};
+
+export const retryRecurringSetup = async (id) => {
+  const res = await api.post(`/giving/recurring/${id}/checkout`);
+  return res.data;
+};
+
+// Pledge campaigns
+export const getCampaigns = async () => {
+  const res = await api.get('/giving/campaigns');
+  return res.data;
+};
+
+export const pledgeToCampaign = async (id, amount) => {
+  const res = await api.put(`/giving/campaigns/${id}/pledge`, { amount });
+  return res.data;
+};
+
+export const getManagedCampaigns = async (params) => {
+  const res = await api.get('/giving/campaigns/manage', { params });
+  return res.data;
+};
+
+export const createCampaign = async (data) => {
+  const res = await api.post('/giving/campaigns', data);
+  return res.data;
+};
+
+export const updateCampaign = async (id, data) => {
+  const res = await api.put(`/giving/campaigns/${id}`, data);
+  return res.data;
+};
+
+export const getCampaignPledges = async (id) => {
+  const res = await api.get(`/giving/campaigns/${id}/pledges`);
+  return res.data;
+};
+
+// Giving statements (PDF blobs)
+export const downloadMyStatement = async (params) => {
+  const res = await api.get('/giving/statement', { params, responseType: 'blob' });
+  return res.data;
+};
+
+export const downloadMemberStatement = async (userId, params) => {
+  const res = await api.get(`/giving/statements/${userId}`, { params, responseType: 'blob' });
+  return res.data;
+};
+
+export const emailStatements = async (data) => {
+  const res = await api.post('/giving/statements/email', data);
+  return res.data;
+};
@@ -0,0 +1,101 @@
+import api from './api';
+
+// My household (members)
+export const getMyHousehold = async () => {
+  const res = await api.get('/households/mine');
+  return res.data;
+};
+
+export const createMyHousehold = async (data = {}) => {
+  const res = await api.post('/households/mine', data);
+  return res.data;
+};
+
+export const updateMyHousehold = async (data) => {
+  const res = await api.put('/households/mine', data);
+  return res.data;
+};
+
+export const addMyChild = async (data) => {
+  const res = await api.post('/households/mine/children', data);
+  return res.data;
+};
+
+export const updateMyChild = async (userId, data) => {
+  const res = await api.put(`/households/mine/children/${userId}`, data);
+  return res.data;
+};
+
+export const removeMyChild = async (userId) => {
+  const res = await api.delete(`/households/mine/members/${userId}`);
+  return res.data;
+};
+
+// Event registration on behalf of a child
+export const registerChildForEvent = async (eventId, memberId) => {
+  const res = await api.post(`/events/${eventId}/register`, { memberId });
+  return res.data;
+};
+
+export const unregisterChildFromEvent = async (eventId, memberId) => {
+  const res = await api.delete(`/events/${eventId}/register`, { params: { memberId } });
+  return res.data;
+};
+
+// Households (staff)
+export const getHouseholds = async (params = {}) => {
+  const res = await api.get('/households', { params });
+  return res.data;
+};
+
+export const createHousehold = async (data) => {
+  const res = await api.post('/households', data);
+  return res.data;
+};
+
+export const updateHousehold = async (id, data) => {
+  const res = await api.put(`/households/${id}`, data);
+  return res.data;
+};
+
+export const addHouseholdMember = async (id, userId, role) => {
+  const res = await api.post(`/households/${id}/members`, { userId, role });
+  return res.data;
+};
+
+export const addHouseholdChild = async (id, data) => {
+  const res = await api.post(`/households/${id}/children`, data);
+  return res.data;
+};
+
+export const removeHouseholdMember = async (id, userId) => {
+  const res = await api.delete(`/households/${id}/members/${userId}`);
+  return res.data;
+};
+
+// Whole-family check-in
+export const checkInHousehold = async (id, data) => {
+  const res = await api.post(`/attendance/household/${id}`, data);
+  return res.data;
+};
+
+// Children's ministry check-in
+export const findCheckInHouseholds = async (search) => {
+  const res = await api.get('/attendance/children/households', { params: { search } });
+  return res.data;
+};
+
+export const checkInChildren = async (data) => {
+  const res = await api.post('/attendance/children/check-in', data);
+  return res.data;
+};
+
+export const getClassroomRoster = async (params = {}) => {
+  const res = await api.get('/attendance/children/roster', { params });
+  return res.data;
+};
+
+export const checkOutChild = async (attendanceId, pickupCode) => {
+  const res = await api.patch(`/attendance/${attendanceId}/checkout`, { pickupCode });
+  return res.data;
+};
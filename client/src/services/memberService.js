@@ -17,6 +17,22 @@ export const exportAttendance = async (filters) => {
   return res;
 };
 
+// QR self check-in
+export const getCurrentServices = async () => {
+  const res = await api.get('/attendance/qr/events');
+  return res.data;
+};
+
+export const scanCheckInCode = async (token) => {
+  const res = await api.post('/attendance/qr/scan', { token });
+  return res.data;
+};
+
+export const getCheckInQr = async (eventId, params = {}) => {
+  const res = await api.get(`/attendance/qr/${eventId}`, { params });
+  return res.data;
+};
+
 // Prayer Requests
 export const getPrayerRequests = async (params = {}) => {
   const res = await api.get('/members/prayer-requests', { params });
@@ -44,11 +60,23 @@ export const getDonations = async (params = {}) => {
   return res.data;
 };
 
+// Starts an online gift; send the member to the returned checkoutUrl
 export const createDonation = async (data) => {
   const res = await api.post('/members/donations', data);
   return res.data;
 };
 
+export const getDonationStatus = async (reference) => {
+  const res = await api.get(`/members/donations/${encodeURIComponent(reference)}`);
+  return res.data;
+};
+
+// Only available with the fake payment provider outside production
+export const sendTestPayment = async (reference, outcome) => {
+  const res = await api.post(`/members/donations/${encodeURIComponent(reference)}/test-payment`, { outcome });
+  return res.data;
+};
+
 // Profile Management
 export const getProfile = async () => {
   const res = await api.get('/members/profile');
@@ -90,12 +118,16 @@ export const memberService = {
   getDashboard,
   getAttendance,
   exportAttendance,
+  getCurrentServices,
+  scanCheckInCode,
   getPrayerRequests,
   createPrayerRequest,
   updatePrayerRequest,
   deletePrayerRequest,
   getDonations,
   createDonation,
+  getDonationStatus,
+  sendTestPayment,
   getProfile,
   updateProfile,
   changePassword,
@@ -0,0 +1,45 @@
+import api from './api';
+
+// Ministries and their rosters
+
+export const getMinistry = async (id) => {
+  const res = await api.get(`/ministries/${id}`);
+  return res.data;
+};
+
+// Membership (signed-in members)
+export const getMyMinistries = async () => {
+  const res = await api.get('/ministries/mine');
+  return res.data;
+};
+
+export const getMyMembership = async (ministryId) => {
+  const res = await api.get(`/ministries/${ministryId}/membership`);
+  return res.data;
+};
+
+export const joinMinistry = async (ministryId, data) => {
+  const res = await api.post(`/ministries/${ministryId}/join`, data);
+  return res.data;
+};
+
+export const leaveMinistry = async (ministryId) => {
+  const res = await api.post(`/ministries/${ministryId}/leave`);
+  return res.data;
+};
+
+// Roster (ministry leaders and assistants)
+export const getRoster = async (ministryId, params) => {
+  const res = await api.get(`/ministries/${ministryId}/roster`, { params });
+  return res.data;
+};
+
+export const updateRosterEntry = async (ministryId, memberId, data) => {
+  const res = await api.put(`/ministries/${ministryId}/roster/${memberId}`, data);
+  return res.data;
+};
+
+export const removeRosterEntry = async (ministryId, memberId) => {
+  const res = await api.delete(`/ministries/${ministryId}/roster/${memberId}`);
+  return res.data;
+};
@@ -0,0 +1,192 @@
+import api from './api';
+
+/**
+ * Offline attendance for ushers.
+ * The member roster and today's events are kept in IndexedDB so check-ins
+ * can be taken without signal. Check-ins wait in a queue until they are
+ * replayed to POST /api/attendance/bulk, either by the service worker
+ * (Background Sync) or by the page when it comes back online.
+ *
+ * The service worker cannot refresh the page's 15-minute access token, so
+ * it replays with a day-long sync token that only the bulk endpoint accepts.
+ *
+ * public/sw.js opens the same database; keep DB_NAME, DB_VERSION and the
+ * store names in step with it.
+ */
+
+const DB_NAME = 'hwc-offline';
+const DB_VERSION = 1;
+const STORES = { ROSTER: 'roster', QUEUE: 'attendanceQueue', META: 'meta' };
+export const SYNC_TAG = 'attendance-sync';
+export const QUEUE_CHANGED_EVENT = 'hwc:attendance-queue-changed';
+
+const openDb = () => new Promise((resolve, reject) => {
+  const request = indexedDB.open(DB_NAME, DB_VERSION);
+  request.onupgradeneeded = () => {
+    const db = request.result;
+    if (!db.objectStoreNames.contains(STORES.ROSTER)) db.createObjectStore(STORES.ROSTER, { keyPath: '_id' });
+    if (!db.objectStoreNames.contains(STORES.QUEUE)) db.createObjectStore(STORES.QUEUE, { keyPath: 'clientId' });
+    if (!db.objectStoreNames.contains(STORES.META)) db.createObjectStore(STORES.META, { keyPath: 'key' });
+  };
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+/**
+ * Run one transaction and resolve with the value of the last request
+ */
+const withStore = async (storeName, mode, fn) => {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeName, mode);
+    const request = fn(tx.objectStore(storeName));
+    tx.oncomplete = () => resolve(request ? request.result : undefined);
+    tx.onerror = () => reject(tx.error);
+  });
+};
+
+const notifyChanged = () => window.dispatchEvent(new Event(QUEUE_CHANGED_EVENT));
+
+// Attendance days are church-local, like the server's day keys
+const lagosDay = (value) => new Date(value).toLocaleDateString('en-CA', { timeZone: 'Africa/Lagos' });
+
+// Roster and events
+
+export const saveRoster = async (members) => {
+  await withStore(STORES.ROSTER, 'readwrite', (store) => {
+    store.clear();
+    members.forEach((member) => store.put(member));
+  });
+  await withStore(STORES.META, 'readwrite', (store) => store.put({ key: 'rosterSavedAt', value: new Date().toISOString() }));
+};
+
+export const getRoster = () => withStore(STORES.ROSTER, 'readonly', (store) => store.getAll());
+
+export const getMeta = async (key) => {
+  const entry = await withStore(STORES.META, 'readonly', (store) => store.get(key));
+  return entry ? entry.value : null;
+};
+
+export const setMeta = (key, value) => withStore(STORES.META, 'readwrite', (store) => store.put({ key, value }));
+
+/**
+ * Get a fresh sync token for the service worker while there is signal
+ */
+const saveSyncToken = async () => {
+  const res = await api.post('/attendance/sync-token');
+  await setMeta('sync', { apiUrl: api.defaults.baseURL, ...res.data.data });
+};
+
+/**
+ * Download the roster, today's events and a sync token while there is signal
+ * @returns {Promise<{ members: number, events: Array }>}
+ */
+export const refreshOfflineData = async () => {
+  const [roster, events] = await Promise.all([
+    api.get('/attendance/roster'),
+    api.get('/attendance/qr/events'),
+    saveSyncToken()
+  ]);
+  await saveRoster(roster.data.data);
+  await setMeta('events', events.data.data);
+  return { members: roster.data.data.length, events: events.data.data };
+};
+
+// Queue
+
+export const getQueue = () => withStore(STORES.QUEUE, 'readonly', (store) => store.getAll());
+
+/**
+ * Queue a check-in. A member already queued for the same event that day
+ * is not queued twice.
+ * @param {Object} member - Roster entry
+ * @param {Object} event - Event being checked in to
+ * @returns {Promise<{ queued: boolean }>}
+ */
+export const queueCheckIn = async (member, event) => {
+  const now = new Date();
+  const queue = await getQueue();
+  const already = queue.some((entry) => entry.status !== 'failed'
+    && entry.record.user === member._id
+    && entry.record.activityId === event._id
+    && lagosDay(entry.record.checkInTime) === lagosDay(now));
+  if (already) return { queued: false };
+
+  // Midnight in Lagos (UTC+1 all year)
+  const attendanceDate = new Date(`${lagosDay(now)}T00:00:00+01:00`);
+  await withStore(STORES.QUEUE, 'readwrite', (store) => store.put({
+    clientId: `${member._id}-${event._id}-${now.getTime()}`,
+    status: 'pending',
+    memberName: member.name,
+    queuedAt: now.toISOString(),
+    record: {
+      user: member._id,
+      activityType: event.activityType || 'event',
+      activityId: event._id,
+      activityTitle: event.title,
+      attendanceDate: attendanceDate.toISOString(),
+      checkInTime: now.toISOString(),
+      recordingMethod: 'mobile_app'
+    }
+  }));
+  notifyChanged();
+  requestBackgroundSync();
+  return { queued: true };
+};
+
+/**
+ * Drop a failed check-in the usher has reviewed
+ */
+export const discardQueued = async (clientId) => {
+  await withStore(STORES.QUEUE, 'readwrite', (store) => store.delete(clientId));
+  notifyChanged();
+};
+
+/**
+ * Ask the service worker to replay the queue when the connection returns.
+ * Browsers without Background Sync rely on syncQueue() from the page.
+ */
+export const requestBackgroundSync = () => {
+  if (!('serviceWorker' in navigator) || !navigator.serviceWorker.controller) return;
+  navigator.serviceWorker.ready
+    .then((registration) => registration.sync && registration.sync.register(SYNC_TAG))
+    .catch(() => {});
+};
+
+/**
+ * Replay pending check-ins to the bulk endpoint.
+ * Records the server already has (checked in by QR code or another usher)
+ * are treated as done; records it rejects stay in the queue as failed so
+ * the usher can see why.
+ * @returns {Promise<{ synced: number, duplicates: number, failed: number }>}
+ */
+export const syncQueue = async () => {
+  const pending = (await getQueue()).filter((entry) => entry.status === 'pending');
+  if (pending.length === 0) return { synced: 0, duplicates: 0, failed: 0 };
+
+  const res = await api.post('/attendance/bulk', {
+    attendanceRecords: pending.map((entry) => ({ ...entry.record, clientId: entry.clientId }))
+  });
+  const { failed, duplicates } = res.data.results;
+  const failedById = Object.fromEntries(failed.map((item) => [item.record.clientId, item.error]));
+
+  await withStore(STORES.QUEUE, 'readwrite', (store) => {
+    pending.forEach((entry) => {
+      if (failedById[entry.clientId]) {
+        store.put({ ...entry, status: 'failed', error: failedById[entry.clientId] });
+      } else {
+        store.delete(entry.clientId);
+      }
+    });
+  });
+  await setMeta('lastSyncedAt', new Date().toISOString());
+  notifyChanged();
+  // Back online, so start the service worker's next offline spell with a full day
+  await saveSyncToken().catch(() => {});
+
+  return {
+    synced: pending.length - failed.length - duplicates.length,
+    duplicates: duplicates.length,
+    failed: failed.length
+  };
+};
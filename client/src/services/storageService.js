@@ -693,6 +693,18 @@ export function removeToken() {
   return storageService.removeLocal(STORAGE_KEYS.AUTH_TOKEN);
 }
 
+export function setRefreshToken(token) {
+  return storageService.setLocal(STORAGE_KEYS.REFRESH_TOKEN, token);
+}
+
+export function getRefreshToken() {
+  return storageService.getLocal(STORAGE_KEYS.REFRESH_TOKEN, null);
+}
+
+export function removeRefreshToken() {
+  return storageService.removeLocal(STORAGE_KEYS.REFRESH_TOKEN);
+}
+
 export function getUserFromToken() {
   const token = getToken();
   if (!token) return null;
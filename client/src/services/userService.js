@@ -0,0 +1,81 @@
+import api from './api';
+
+// Users (admin)
+export const getUsers = async () => {
+  const res = await api.get('/users');
+  return res.data;
+};
+
+export const updateUserRole = async (id, role) => {
+  const res = await api.patch(`/users/${id}/role`, { role });
+  return res.data;
+};
+
+export const updateUserStatus = async (id, active) => {
+  const res = await api.patch(`/users/${id}/status`, { active });
+  return res.data;
+};
+
+export const getUser = async (id) => {
+  const res = await api.get(`/users/${id}`);
+  return res.data;
+};
+
+export const updateUserProfile = async (id, data) => {
+  const res = await api.put(`/users/${id}/profile`, data);
+  return res.data;
+};
+
+export const unlockUser = async (id) => {
+  const res = await api.patch(`/users/${id}/unlock`);
+  return res.data;
+};
+
+// Invitations (admin)
+export const getInvitations = async () => {
+  const res = await api.get('/invitations');
+  return res.data;
+};
+
+export const createInvitation = async (data) => {
+  const res = await api.post('/invitations', data);
+  return res.data;
+};
+
+export const revokeInvitation = async (id) => {
+  const res = await api.delete(`/invitations/${id}`);
+  return res.data;
+};
+
+// Role permissions (admin)
+export const getRolePermissions = async () => {
+  const res = await api.get('/admin/permissions');
+  return res.data;
+};
+
+export const updateRolePermissions = async (role, permissions) => {
+  const res = await api.put(`/admin/permissions/${role}`, { permissions });
+  return res.data;
+};
+
+export const resetRolePermissions = async (role) => {
+  const res = await api.delete(`/admin/permissions/${role}`);
+  return res.data;
+};
+
+// Sign-in security (admin)
+export const getLoginSources = async (params = {}) => {
+  const res = await api.get('/admin/security/login-sources', { params });
+  return res.data;
+};
+
+export const unblockIp = async (ip) => {
+  const res = await api.delete(`/admin/security/blocked-ips/${encodeURIComponent(ip)}`);
+  return res.data;
+};
+
+// Public lookup used by the register page
+export const getInvitationByToken = async (token) => {
+  const res = await api.get(`/invitations/token/${token}`);
+  return res.data;
+};
@@ -0,0 +1,43 @@
+import api from './api';
+
+// Public visitor card
+export const submitVisitorCard = async (data) => {
+  const res = await api.post('/visitors/card', data);
+  return res.data;
+};
+
+// Follow-up board (follow-up team)
+export const getFollowUpBoard = async (params = {}) => {
+  const res = await api.get('/visitors/board', { params });
+  return res.data;
+};
+
+export const moveFollowUp = async (taskId, stage) => {
+  const res = await api.put(`/visitors/tasks/${taskId}/stage`, { stage });
+  return res.data;
+};
+
+export const completeFollowUpStep = async (taskId, key, { skip = false } = {}) => {
+  const res = await api.post(`/visitors/tasks/${taskId}/steps/${key}/complete`, { skip });
+  return res.data;
+};
+
+export const assignFollowUp = async (taskId, assignedTo) => {
+  const res = await api.put(`/visitors/tasks/${taskId}/assign`, { assignedTo });
+  return res.data;
+};
+
+export const addFollowUpNote = async (taskId, text) => {
+  const res = await api.post(`/visitors/tasks/${taskId}/notes`, { text });
+  return res.data;
+};
+
+export const getFollowUpTeam = async () => {
+  const res = await api.get('/visitors/team');
+  return res.data;
+};
+
+export const updateFollowUpTeam = async (data) => {
+  const res = await api.put('/visitors/team', data);
+  return res.data;
+};
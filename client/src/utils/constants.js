@@ -3,6 +3,7 @@
 // Storage Keys
 export const STORAGE_KEYS = {
   AUTH_TOKEN: 'auth_token',
+  REFRESH_TOKEN: 'refresh_token',
   USER_PREFERENCES: 'user_preferences',
   RECENT_SEARCHES: 'recent_searches',
 };
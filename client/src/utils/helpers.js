@@ -1,5 +1,5 @@
 import { format, parseISO, isValid, formatDistanceToNow, isBefore, isAfter } from 'date-fns';
-import { DATE_FORMATS, VALIDATION_RULES } from './constants';
+import { DATE_FORMATS, VALIDATION_RULES, API_CONFIG } from './constants';
 
 // ====================
 // DATE & TIME HELPERS
@@ -466,6 +466,16 @@ export const buildUrl = (baseUrl, params = {}) => {
   return url.toString();
 };
 
+/**
+ * Resolve a file the API serves itself (e.g. /uploads/profiles/...) to a full URL
+ * @param {string} path - Absolute URL or server-relative path
+ * @returns {string} URL usable in an <img> tag
+ */
+export const getUploadUrl = (path) => {
+  if (!path) return '';
+  return new URL(path, API_CONFIG.BASE_URL).toString();
+};
+
 /**
  * Extract domain from URL
  * @param {string} url - URL string
@@ -622,6 +632,7 @@ const helpers = {
   
   // URL helpers
   buildUrl,
+  getUploadUrl,
   getDomain,
   
   // Utility helpers
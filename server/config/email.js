@@ -84,7 +84,7 @@ const createTransporter = async () => {
   const config = EMAIL_PROVIDERS[provider];
   
   try {
-    const transporter = nodemailer.createTransporter(config);
+    const transporter = nodemailer.createTransport(config);
     
     // Verify connection
     await transporter.verify();
@@ -100,7 +100,7 @@ const createTransporter = async () => {
     for (const fallback of fallbackProviders) {
       try {
         const fallbackConfig = EMAIL_PROVIDERS[fallback];
-        const fallbackTransporter = nodemailer.createTransporter(fallbackConfig);
+        const fallbackTransporter = nodemailer.createTransport(fallbackConfig);
         
         await fallbackTransporter.verify();
         console.log(`✅ Email configured with fallback ${fallback}`);
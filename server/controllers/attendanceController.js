@@ -1,6 +1,17 @@
 const Attendance = require('../models/Attendance');
 const User = require('../models/User');
+const Household = require('../models/Household');
+const Event = require('../models/Event');
+const QRCode = require('qrcode');
 const { validationResult } = require('express-validator');
+const { logActivity } = require('../utils/activityLogger');
+const { generatePickupCode, pickupCodeMatches, classroomForAge } = require('../utils/childCheckIn');
+const { issueCheckInToken, verifyCheckInToken, checkInWindow, activityTypeFor } = require('../utils/checkInQr');
+const { forecastUpcoming } = require('../utils/attendanceForecast');
+const { dayKey, addDays, atTime, expandEvent, windowFilter } = require('../utils/eventOccurrences');
+const { signActionToken } = require('../utils/tokenService');
+const jwt = require('jsonwebtoken');
+const { HOUSEHOLD_ROLES, ATTENDANCE_FORECAST } = require('../../shared/constants');
 
 /**
  * Attendance Controller for Haven Word Church
@@ -9,6 +20,9 @@ const { validationResult } = require('express-validator');
  * Features:
  * - CRUD operations for attendance records
  * - Bulk attendance recording
+ * - Whole-family check-in through households
+ * - Children's ministry secure check-in with pickup codes
+ * - QR code self check-in with rotating codes
  * - Attendance statistics and reports
  * - Member attendance history
  * - Check-in/check-out functionality
@@ -126,6 +140,90 @@ const createAttendance = async (req, res) => {
   }
 };
 
+/**
+ * Save a batch of attendance records, skipping unknown users and anyone
+ * already checked in to the same activity that day
+ * 
+ * @param {Array<Object>} attendanceRecords - Records to create
+ * @param {string} recordedBy - User ID of the usher/admin recording them
+ * @returns {Promise<Object>} { successful, failed, duplicates }
+ */
+const recordAttendanceBatch = async (attendanceRecords, recordedBy) => {
+  const results = {
+    successful: [],
+    failed: [],
+    duplicates: []
+  };
+
+  for (const record of attendanceRecords) {
+    try {
+      // Check if user exists
+      const userExists = await User.findById(record.user);
+      if (!userExists) {
+        results.failed.push({
+          record,
+          error: 'User not found'
+        });
+        continue;
+      }
+
+      // Check for duplicate
+      const attendanceDate = record.attendanceDate ? new Date(record.attendanceDate) : new Date();
+      const existingAttendance = await Attendance.findOne({
+        user: record.user,
+        activityId: record.activityId,
+        attendanceDate: {
+          $gte: new Date(attendanceDate).setHours(0, 0, 0, 0),
+          $lt: new Date(attendanceDate).setHours(23, 59, 59, 999)
+        },
+        isActive: true
+      });
+
+      if (existingAttendance) {
+        results.duplicates.push({
+          record,
+          existingId: existingAttendance._id
+        });
+        continue;
+      }
+
+      // Create attendance record
+      const attendance = new Attendance({
+        ...record,
+        recordedBy,
+        attendanceDate,
+        checkInTime: record.checkInTime || new Date(),
+        status: record.status || 'present',
+        location: record.location || 'Main Campus',
+        weatherCondition: record.weatherCondition || 'sunny',
+        transportationMode: record.transportationMode || 'walking',
+        recordingMethod: record.recordingMethod || 'bulk_import'
+      });
+
+      await attendance.save();
+      results.successful.push(attendance._id);
+
+    } catch (error) {
+      results.failed.push({
+        record,
+        error: error.message
+      });
+    }
+  }
+
+  return results;
+};
+
+/**
+ * Shape the batch results the way the bulk endpoints report them
+ */
+const summarizeBatch = (total, results) => ({
+  total,
+  successful: results.successful.length,
+  failed: results.failed.length,
+  duplicates: results.duplicates.length
+});
+
 /**
  * Bulk create attendance records
  * 
@@ -145,84 +243,636 @@ const bulkCreateAttendance = async (req, res) => {
       });
     }
 
-    const results = {
-      successful: [],
-      failed: [],
-      duplicates: []
-    };
+    const results = await recordAttendanceBatch(attendanceRecords, req.user.id);
 
-    for (const record of attendanceRecords) {
-      try {
-        // Check if user exists
-        const userExists = await User.findById(record.user);
-        if (!userExists) {
-          results.failed.push({
-            record,
-            error: 'User not found'
-          });
-          continue;
-        }
+    res.status(201).json({
+      success: true,
+      message: 'Bulk attendance processing completed',
+      summary: summarizeBatch(attendanceRecords.length, results),
+      results
+    });
 
-        // Check for duplicate
-        const existingAttendance = await Attendance.findOne({
-          user: record.user,
-          activityId: record.activityId,
-          attendanceDate: {
-            $gte: new Date(record.attendanceDate).setHours(0, 0, 0, 0),
-            $lt: new Date(record.attendanceDate).setHours(23, 59, 59, 999)
-          },
-          isActive: true
-        });
+  } catch (error) {
+    console.error('Error in bulk attendance creation:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error processing bulk attendance',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
 
-        if (existingAttendance) {
-          results.duplicates.push({
-            record,
-            existingId: existingAttendance._id
-          });
-          continue;
-        }
+/**
+ * Check in a whole family at once.
+ * Builds one record per household member (or the chosen subset) and runs
+ * them through the same batch as bulk attendance, so duplicates are skipped.
+ * 
+ * @route POST /api/attendance/household/:householdId
+ * @access Private (manage_attendance)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const checkInHousehold = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
 
-        // Create attendance record
-        const attendance = new Attendance({
-          ...record,
-          recordedBy: req.user.id,
-          attendanceDate: record.attendanceDate || new Date(),
-          checkInTime: record.checkInTime || new Date(),
-          status: record.status || 'present',
-          location: record.location || 'Main Campus',
-          weatherCondition: record.weatherCondition || 'sunny',
-          transportationMode: record.transportationMode || 'walking',
-          recordingMethod: record.recordingMethod || 'bulk_import'
-        });
+    const household = await Household.findById(req.params.householdId);
+    if (!household) {
+      return res.status(404).json({
+        success: false,
+        message: 'Household not found'
+      });
+    }
 
-        await attendance.save();
-        results.successful.push(attendance._id);
+    const { memberIds, ...details } = req.body;
+    const members = Array.isArray(memberIds) && memberIds.length
+      ? household.members.filter((m) => memberIds.includes(m.user.toString()))
+      : household.members;
 
-      } catch (error) {
-        results.failed.push({
-          record,
-          error: error.message
-        });
+    if (members.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No household members selected'
+      });
+    }
+
+    const attendanceRecords = members.map((member) => ({
+      ...details,
+      user: member.user,
+      notes: details.notes || `Family check-in: ${household.name}`,
+      // An usher at the desk, not an import
+      recordingMethod: details.recordingMethod || 'manual'
+    }));
+    const results = await recordAttendanceBatch(attendanceRecords, req.user.id);
+
+    res.status(201).json({
+      success: true,
+      message: `Checked in ${results.successful.length} of ${members.length} from ${household.name}`,
+      summary: summarizeBatch(attendanceRecords.length, results),
+      results
+    });
+
+  } catch (error) {
+    console.error('Error in household check-in:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error checking in household',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Start and end of today, for "already checked in today" checks and rosters
+ */
+const todayRange = () => {
+  // The church's day, whatever the server's time zone
+  const key = dayKey(new Date());
+  return { key, start: atTime(key, '00:00'), end: atTime(addDays(key, 1), '00:00') };
+};
+
+/**
+ * Today's occurrence of an event, or null when it does not take place today.
+ * A recurring event's occurrence carries its original date as `occurrence`.
+ * @param {Object} event
+ * @param {string} key - Today, "YYYY-MM-DD"
+ * @returns {Object|null}
+ */
+const occurrenceOn = (event, key) => expandEvent(event, key, key)[0] || null;
+
+/**
+ * Find households for the children's check-in kiosk by family name or by
+ * the name of anyone in it. Children come back with a suggested classroom.
+ * 
+ * @route GET /api/attendance/children/households
+ * @access Private (manage_attendance)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const lookupCheckInHouseholds = async (req, res) => {
+  try {
+    const search = (req.query.search || '').trim();
+    if (search.length < 2) {
+      return res.status(400).json({
+        success: false,
+        message: 'Enter at least 2 characters to search'
+      });
+    }
+
+    const pattern = { $regex: search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), $options: 'i' };
+    const people = await User.find({ name: pattern, household: { $ne: null } }).select('household').limit(50);
+    const households = await Household.find({
+      $or: [{ name: pattern }, { _id: { $in: people.map((p) => p.household) } }]
+    })
+      .populate('members.user', 'name phone dateOfBirth allergies medicalNotes hasLogin active')
+      .sort({ name: 1 })
+      .limit(10);
+
+    const data = households.map((household) => ({
+      _id: household._id,
+      name: household.name,
+      adults: household.members
+        .filter((m) => m.role === HOUSEHOLD_ROLES.ADULT && m.user)
+        .map(({ user }) => ({ _id: user._id, name: user.name, phone: user.phone })),
+      children: household.members
+        .filter((m) => m.role === HOUSEHOLD_ROLES.CHILD && m.user && m.user.active !== false)
+        .map(({ user }) => ({
+          _id: user._id,
+          name: user.name,
+          dateOfBirth: user.dateOfBirth,
+          allergies: user.allergies,
+          medicalNotes: user.medicalNotes,
+          suggestedClassroom: classroomForAge(user.dateOfBirth)
+        }))
+    }));
+
+    res.json({
+      success: true,
+      data
+    });
+
+  } catch (error) {
+    console.error('Error looking up households for check-in:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error looking up households',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Kiosk check-in for children's ministry.
+ * Every child checked in together shares one pickup code, printed on each
+ * child's tag and on the guardian's slip. Allergies and medical notes are
+ * copied from the child's profile onto the record for the teacher.
+ * 
+ * @route POST /api/attendance/children/check-in
+ * @access Private (manage_attendance)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const checkInChildren = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { householdId, guardianId, activityId, activityTitle, children } = req.body;
+    const household = await Household.findById(householdId);
+    if (!household) {
+      return res.status(404).json({
+        success: false,
+        message: 'Household not found'
+      });
+    }
+
+    if (household.roleOf(guardianId) !== HOUSEHOLD_ROLES.ADULT) {
+      return res.status(400).json({
+        success: false,
+        message: 'The guardian must be an adult in this household'
+      });
+    }
+    if (children.some((child) => household.roleOf(child.userId) !== HOUSEHOLD_ROLES.CHILD)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Only children in this household can be checked in here'
+      });
+    }
+
+    const [guardian, profiles] = await Promise.all([
+      User.findById(guardianId).select('name phone'),
+      User.find({ _id: { $in: children.map((child) => child.userId) } }).select('name allergies medicalNotes')
+    ]);
+    // The household can still list an account that has since been deleted
+    if (!guardian) {
+      return res.status(404).json({
+        success: false,
+        message: 'Guardian not found'
+      });
+    }
+
+    // A child already checked in to this activity today keeps their first tag
+    const { start, end } = todayRange();
+    const existing = await Attendance.find({
+      user: { $in: profiles.map((p) => p._id) },
+      activityId,
+      attendanceDate: { $gte: start, $lt: end },
+      isActive: true
+    }).select('user');
+    const alreadyIn = existing.map((record) => record.user.toString());
+
+    const pickupCode = generatePickupCode();
+    const now = new Date();
+    const tags = [];
+    const duplicates = [];
+
+    for (const child of children) {
+      const profile = profiles.find((p) => p._id.toString() === child.userId);
+      if (alreadyIn.includes(child.userId)) {
+        duplicates.push({ userId: child.userId, name: profile.name });
+        continue;
       }
+      const attendance = await Attendance.create({
+        user: profile._id,
+        activityType: 'children_service',
+        activityId,
+        activityTitle,
+        attendanceDate: start,
+        checkInTime: now,
+        recordedBy: req.user.id,
+        recordingMethod: 'kiosk',
+        childCheckIn: {
+          classroom: child.classroom,
+          household: household._id,
+          guardian: guardian._id,
+          pickupCode,
+          allergies: profile.allergies,
+          medicalNotes: profile.medicalNotes
+        }
+      });
+      tags.push({
+        attendanceId: attendance._id,
+        name: profile.name,
+        classroom: child.classroom,
+        allergies: profile.allergies || '',
+        medicalNotes: profile.medicalNotes || '',
+        pickupCode
+      });
     }
 
     res.status(201).json({
       success: true,
-      message: 'Bulk attendance processing completed',
+      message: `Checked in ${tags.length} of ${children.length} from ${household.name}`,
+      data: {
+        household: { _id: household._id, name: household.name },
+        activityTitle,
+        checkInTime: now,
+        tags,
+        // Nothing new was checked in, so there is no new slip to hand over
+        guardianSlip: tags.length ? {
+          name: guardian.name,
+          pickupCode,
+          children: tags.map((tag) => tag.name)
+        } : null,
+        duplicates
+      }
+    });
+
+  } catch (error) {
+    console.error('Error in children check-in:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error checking in children',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Live roster for a children's classroom: today's kiosk check-ins with
+ * allergies, medical notes and who dropped each child off. Pickup codes
+ * are never included.
+ * 
+ * @route GET /api/attendance/children/roster
+ * @access Private (manage_attendance)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getClassroomRoster = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { activityId, classroom } = req.query;
+    const { start, end } = todayRange();
+    const query = {
+      'childCheckIn.classroom': classroom || { $exists: true },
+      attendanceDate: { $gte: start, $lt: end },
+      isActive: true
+    };
+    if (activityId) query.activityId = activityId;
+
+    const records = await Attendance.find(query)
+      .populate('user', 'name dateOfBirth')
+      .populate('childCheckIn.guardian', 'name phone')
+      .populate('childCheckIn.household', 'name')
+      .sort({ checkInTime: 1 });
+
+    res.json({
+      success: true,
+      data: records,
       summary: {
-        total: attendanceRecords.length,
-        successful: results.successful.length,
-        failed: results.failed.length,
-        duplicates: results.duplicates.length
-      },
-      results
+        checkedIn: records.length,
+        present: records.filter((record) => !record.checkOutTime).length,
+        pickedUp: records.filter((record) => record.checkOutTime).length
+      }
     });
 
   } catch (error) {
-    console.error('Error in bulk attendance creation:', error);
+    console.error('Error fetching classroom roster:', error);
     res.status(500).json({
       success: false,
-      message: 'Error processing bulk attendance',
+      message: 'Error fetching classroom roster',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Everyone an usher may check in, for the offline attendance app to keep
+ * on the device
+ * 
+ * @route GET /api/attendance/roster
+ * @access Private (manage_attendance)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getAttendanceRoster = async (req, res) => {
+  try {
+    const members = await User.find({ active: { $ne: false } })
+      .select('name phone avatar membershipStatus household')
+      .sort({ name: 1 })
+      .lean();
+
+    res.json({
+      success: true,
+      data: members,
+      generatedAt: new Date()
+    });
+
+  } catch (error) {
+    console.error('Error fetching attendance roster:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching attendance roster',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Token the usher's service worker uses to replay offline check-ins.
+ * It outlives the access token, so a queue taken without signal during a
+ * service can still be sent hours later, but it is only accepted by the
+ * bulk route and dies with the session it was issued from.
+ * 
+ * @route POST /api/attendance/sync-token
+ * @access Private (manage_attendance)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const issueSyncToken = async (req, res) => {
+  try {
+    const token = signActionToken({ _id: req.user.id, email: req.user.email }, 'attendance_sync', req.user.sid);
+
+    res.json({
+      success: true,
+      data: {
+        token,
+        expiresAt: new Date(jwt.decode(token).exp * 1000)
+      }
+    });
+
+  } catch (error) {
+    console.error('Error issuing attendance sync token:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error issuing attendance sync token',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Today's published events with their self check-in window, and whether
+ * the signed-in member is already checked in to each
+ * 
+ * @route GET /api/attendance/qr/events
+ * @access Private
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getCheckInEvents = async (req, res) => {
+  try {
+    const { key, start, end } = todayRange();
+    const events = await Event.find({ status: 'Published', ...windowFilter(key, key) })
+      .select('title category startDate endDate startTime endTime location recurrence');
+    // Recurring events are expanded, so a weekly service is listed every week
+    const occurrences = events
+      .map((event) => occurrenceOn(event, key))
+      .filter(Boolean)
+      .sort((a, b) => a.startDate - b.startDate);
+
+    const mine = await Attendance.find({
+      user: req.user.id,
+      activityId: { $in: occurrences.map((occurrence) => occurrence._id) },
+      attendanceDate: { $gte: start, $lt: end },
+      isActive: true
+    }).select('activityId');
+    const checkedIn = mine.map((record) => record.activityId.toString());
+
+    const now = new Date();
+    const data = occurrences.map((event) => {
+      const { opensAt, closesAt } = checkInWindow(event);
+      return {
+        ...event,
+        activityType: activityTypeFor(event),
+        checkIn: { opensAt, closesAt, isOpen: now >= opensAt && now <= closesAt },
+        checkedIn: checkedIn.includes(event._id.toString())
+      };
+    });
+
+    res.json({
+      success: true,
+      data
+    });
+
+  } catch (error) {
+    console.error('Error fetching check-in events:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching check-in events',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Current QR code for an event, for ushers to project. The code rotates,
+ * so the usher screen asks again when it expires. `?printed=true` returns
+ * a code that does not rotate, for printing.
+ * 
+ * @route GET /api/attendance/qr/:eventId
+ * @access Private (manage_attendance)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getCheckInQr = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const event = await Event.findById(req.params.eventId)
+      .select('title category status startDate endDate startTime endTime location recurrence');
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found'
+      });
+    }
+
+    const { token, expiresAt } = issueCheckInToken(event._id.toString(), { printed: req.query.printed === 'true' });
+    const url = `${process.env.FRONTEND_URL || ''}/member/attendance?checkin=${token}`;
+    const qrCode = await QRCode.toDataURL(url, { width: 480, margin: 2 });
+    const { key, start, end } = todayRange();
+    const checkedIn = await Attendance.countDocuments({
+      activityId: event._id,
+      attendanceDate: { $gte: start, $lt: end },
+      isActive: true
+    });
+    const today = occurrenceOn(event, key);
+
+    res.json({
+      success: true,
+      data: {
+        event,
+        occurrence: today && today.occurrence,
+        url,
+        qrCode,
+        expiresAt,
+        // Codes only check people in on a day the event takes place
+        window: today ? checkInWindow(today) : null,
+        checkedIn
+      }
+    });
+
+  } catch (error) {
+    console.error('Error generating check-in QR code:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error generating check-in QR code',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Check the signed-in member in from a scanned QR code
+ * 
+ * @route POST /api/attendance/qr/scan
+ * @access Private
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const scanCheckInQr = async (req, res) => {
+  try {
+    const verified = verifyCheckInToken(req.body.token);
+    if (verified.error) {
+      return res.status(400).json({
+        success: false,
+        code: verified.error === 'expired' ? 'QR_EXPIRED' : 'QR_INVALID',
+        message: verified.error === 'expired'
+          ? 'This code has changed. Scan the code on the screen again.'
+          : 'This is not a valid check-in code'
+      });
+    }
+
+    const event = await Event.findById(verified.eventId);
+    if (!event || event.status !== 'Published') {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found'
+      });
+    }
+
+    const { key, start, end } = todayRange();
+    const today = occurrenceOn(event, key);
+    if (!today) {
+      return res.status(400).json({
+        success: false,
+        code: 'CHECK_IN_CLOSED',
+        message: `${event.title} does not take place today`
+      });
+    }
+
+    const now = new Date();
+    const { opensAt, closesAt } = checkInWindow(today);
+    if (now < opensAt || now > closesAt) {
+      return res.status(400).json({
+        success: false,
+        code: 'CHECK_IN_CLOSED',
+        message: now < opensAt
+          ? `Check-in opens at ${opensAt.toLocaleTimeString('en-NG', { timeZone: 'Africa/Lagos', hour: '2-digit', minute: '2-digit' })}`
+          : 'Check-in for this event has closed'
+      });
+    }
+
+    const existing = await Attendance.findOne({
+      user: req.user.id,
+      activityId: event._id,
+      attendanceDate: { $gte: start, $lt: end },
+      isActive: true
+    });
+    if (existing) {
+      return res.status(409).json({
+        success: false,
+        code: 'ALREADY_CHECKED_IN',
+        message: `You are already checked in to ${event.title}`,
+        data: existing
+      });
+    }
+
+    const attendedBefore = await Attendance.exists({ user: req.user.id, isActive: true });
+    const attendance = await Attendance.create({
+      user: req.user.id,
+      activityType: activityTypeFor(event),
+      activityId: event._id,
+      occurrence: today.occurrence || undefined,
+      activityTitle: event.title,
+      attendanceDate: start,
+      checkInTime: now,
+      isFirstTime: !attendedBefore,
+      recordedBy: req.user.id,
+      recordingMethod: 'qr_code'
+    });
+    await Event.updateOne({ _id: event._id }, { $inc: { 'stats.attendance': 1 } });
+
+    res.status(201).json({
+      success: true,
+      message: `Welcome! You are checked in to ${event.title}`,
+      data: attendance
+    });
+
+  } catch (error) {
+    console.error('Error in QR check-in:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error checking in',
       error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
     });
   }
@@ -281,7 +931,9 @@ const getAllAttendance = async (req, res) => {
 
     // Execute query
     const [attendance, total] = await Promise.all([
+      // Children's allergies and medical notes are only shown on the classroom roster
       Attendance.find(query)
+        .select('-childCheckIn')
         .populate('user', 'firstName lastName email membershipNumber profilePicture')
         .populate('recordedBy', 'firstName lastName')
         .populate('guestBroughtBy', 'firstName lastName')
@@ -329,6 +981,7 @@ const getAttendanceById = async (req, res) => {
       _id: req.params.id,
       isActive: true
     })
+    .select('-childCheckIn')
     .populate('user', 'firstName lastName email membershipNumber profilePicture')
     .populate('recordedBy', 'firstName lastName')
     .populate('guestBroughtBy', 'firstName lastName');
@@ -359,7 +1012,7 @@ const getAttendanceById = async (req, res) => {
  * Update attendance record
  * 
  * @route PUT /api/attendance/:id
- * @access Private (Admin, Ushers)
+ * @access Private (manage_attendance)
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  */
@@ -386,10 +1039,20 @@ const updateAttendance = async (req, res) => {
       });
     }
 
+    // A child checked in to a classroom is only released through check-out,
+    // with the guardian's pickup code
+    const isChildCheckIn = Boolean(attendance.childCheckIn && attendance.childCheckIn.classroom);
+    if (isChildCheckIn && (req.body.status !== undefined || req.body.checkOutTime !== undefined)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Children are checked out with their pickup code'
+      });
+    }
+
     // Update allowed fields
     const allowedUpdates = [
-      'status', 'checkOutTime', 'notes', 'transportationMode',
-      'weatherCondition', 'recordingMethod'
+      ...(isChildCheckIn ? [] : ['status', 'checkOutTime']),
+      'notes', 'transportationMode', 'weatherCondition', 'recordingMethod'
     ];
 
     allowedUpdates.forEach(field => {
@@ -424,9 +1087,11 @@ const updateAttendance = async (req, res) => {
 
 /**
  * Check out attendance (mark departure time)
+ * Children checked in at the kiosk are only released when the guardian's
+ * pickup code matches the one on the child's tag.
  * 
  * @route PATCH /api/attendance/:id/checkout
- * @access Private (Admin, Ushers, Owner)
+ * @access Private (manage_attendance, Owner)
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  */
@@ -435,7 +1100,7 @@ const checkOut = async (req, res) => {
     const attendance = await Attendance.findOne({
       _id: req.params.id,
       isActive: true
-    });
+    }).select('+childCheckIn.pickupCode');
 
     if (!attendance) {
       return res.status(404).json({
@@ -451,6 +1116,36 @@ const checkOut = async (req, res) => {
       });
     }
 
+    const isChildCheckIn = Boolean(attendance.childCheckIn && attendance.childCheckIn.classroom);
+    if (isChildCheckIn) {
+      if (req.permissionScope !== 'all') {
+        return res.status(403).json({
+          success: false,
+          message: 'Children can only be released by a children\'s ministry volunteer'
+        });
+      }
+      if (!pickupCodeMatches(req.body.pickupCode, attendance.childCheckIn.pickupCode)) {
+        await logActivity({
+          user: req.user.id,
+          action: 'other',
+          targetType: 'Attendance',
+          targetId: attendance._id,
+          description: 'Child pickup refused: pickup code did not match',
+          metadata: { child: attendance.user, classroom: attendance.childCheckIn.classroom },
+          ip: req.ip,
+          userAgent: req.get('User-Agent'),
+          status: 'failure'
+        });
+        return res.status(403).json({
+          success: false,
+          code: 'PICKUP_CODE_MISMATCH',
+          message: 'Pickup code does not match. Ask the guardian for their slip.'
+        });
+      }
+      attendance.childCheckIn.pickedUpAt = new Date();
+      attendance.childCheckIn.releasedBy = req.user.id;
+    }
+
     await attendance.checkOut();
 
     res.json({
@@ -620,6 +1315,52 @@ const getAttendanceStats = async (req, res) => {
   }
 };
 
+/**
+ * Forecast attendance for upcoming events against venue capacity
+ * 
+ * @route GET /api/attendance/forecast
+ * @access Private (view_analytics)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getAttendanceForecast = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const days = parseInt(req.query.days, 10) || ATTENDANCE_FORECAST.DEFAULT_DAYS;
+    const forecasts = await forecastUpcoming({ days, category: req.query.category });
+
+    res.json({
+      success: true,
+      data: {
+        forecasts,
+        summary: {
+          events: forecasts.length,
+          overflow: forecasts.filter((f) => f.warning === 'overflow').length,
+          nearCapacity: forecasts.filter((f) => f.warning === 'near_capacity').length,
+          withoutCapacity: forecasts.filter((f) => !f.capacity).length
+        },
+        days
+      }
+    });
+
+  } catch (error) {
+    console.error('Error forecasting attendance:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error forecasting attendance',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
 /**
  * Get member attendance history
  * 
@@ -713,11 +1454,21 @@ const getMemberAttendanceHistory = async (req, res) => {
 module.exports = {
   createAttendance,
   bulkCreateAttendance,
+  checkInHousehold,
+  lookupCheckInHouseholds,
+  checkInChildren,
+  getClassroomRoster,
+  getAttendanceRoster,
+  issueSyncToken,
+  getCheckInEvents,
+  getCheckInQr,
+  scanCheckInQr,
   getAllAttendance,
   getAttendanceById,
   updateAttendance,
   checkOut,
   deleteAttendance,
   getAttendanceStats,
+  getAttendanceForecast,
   getMemberAttendanceHistory
 };
\ No newline at end of file
@@ -1,17 +1,136 @@
+const QRCode = require('qrcode');
 const User = require('../models/User');
-const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+const Settings = require('../models/Settings');
+const Invitation = require('../models/Invitation');
 const { logActivity } = require('../utils/activityLogger');
+const {
+  sendWelcomeEmail,
+  sendVerificationEmail,
+  sendPasswordResetEmail,
+  sendAccountLockedEmail
+} = require('../utils/sendEmail');
+const {
+  hashToken,
+  createSession,
+  rotateSession,
+  signActionToken,
+  verifyActionToken
+} = require('../utils/tokenService');
+const {
+  generateSecret,
+  verifyCode,
+  buildOtpAuthUrl,
+  generateRecoveryCodes,
+  normalizeRecoveryCode
+} = require('../utils/totp');
+const {
+  checkIp,
+  recordIpFailure,
+  checkAccount,
+  recordAccountFailure,
+  resetAccount
+} = require('../utils/loginProtection');
 
+const EMAIL_PATTERN = /^\S+@\S+\.\S+$/;
+
+// Emails go out in the background; a mail outage must not fail the request
+const sendInBackground = (promise, label) => {
+  promise.catch((err) => console.error(`${label} email failed:`, err.message));
+};
+
+const firstNameOf = (user) => (user.name || '').split(' ')[0];
+
+const TWO_FACTOR_FIELDS = '+twoFactor.secret +twoFactor.pendingSecret +twoFactor.recoveryCodes +twoFactor.lastUsedStep';
+
+const getSecuritySettings = async () => {
+  const settings = await Settings.findOne().select('security');
+  return settings?.security || {};
+};
+
+const isTwoFactorEnforced = (security, role) => (security.enforceTwoFactorRoles || []).includes(role);
+
+const THROTTLE_MESSAGES = {
+  IP_BLOCKED: 'Too many failed sign-in attempts from your network. Please try again later',
+  ACCOUNT_LOCKED: 'This account is temporarily locked after too many failed sign-in attempts',
+  LOGIN_THROTTLED: 'Too many failed attempts. Please wait a moment before trying again'
+};
+
+const sendThrottled = (res, { code, retryAfter }) => res
+  .status(429)
+  .set('Retry-After', String(retryAfter))
+  .json({ message: THROTTLE_MESSAGES[code], code, retryAfter });
+
+// Count a failed password or 2FA attempt against the client IP and the account.
+// Returns the throttle to report when this failure locked the account.
+const recordLoginFailure = async (req, user, security) => {
+  const ipResult = await recordIpFailure(req.ip);
+  if (ipResult.blocked) {
+    await logActivity({ user: null, action: 'login', status: 'failure', ip: req.ip, userAgent: req.get('User-Agent'), error: 'IP blocked after repeated failed sign-ins', metadata: { blockedUntil: ipResult.blockedUntil } });
+  }
+  if (!user) return null;
+
+  const result = await recordAccountFailure(user, security);
+  if (!result.locked) return null;
+  await logActivity({ user: user._id, action: 'account_lock', targetType: 'User', targetId: user._id, description: `Locked after ${result.failures} failed sign-in attempts`, metadata: { lockedUntil: result.lockedUntil }, ip: req.ip, userAgent: req.get('User-Agent') });
+  sendInBackground(sendAccountLockedEmail(user.email, firstNameOf(user), result.lockedUntil, req.ip), 'Account locked');
+  return { code: 'ACCOUNT_LOCKED', retryAfter: Math.ceil((result.lockedUntil - Date.now()) / 1000) };
+};
+
+// Open a session once every login step has passed
+const startSession = async (user, req, deviceName) => {
+  if (user.failedLoginCount || user.lockedUntil) await resetAccount(user);
+  const { token, refreshToken } = await createSession(user, req, deviceName);
+  await logActivity({ user: user._id, action: 'login', status: 'success', ip: req.ip, userAgent: req.get('User-Agent') });
+  return { token, refreshToken, user: { id: user._id, name: user.name, role: user.role, email: user.email } };
+};
+
+// Self-registration always creates a member; staff, pastor and admin accounts
+// are only created through an admin-issued invitation
 exports.register = async (req, res) => {
+  let invitation = null;
   try {
-    const { name, email, password, role } = req.body;
+    const { name, email, password, inviteToken } = req.body;
     const existing = await User.findOne({ email });
     if (existing) return res.status(400).json({ message: 'Email already in use' });
-    const user = new User({ name, email, password, role });
+
+    if (inviteToken) {
+      // Claim the invitation atomically so it can only ever be used once
+      invitation = await Invitation.findOneAndUpdate(
+        Invitation.usableFilter({ tokenHash: hashToken(inviteToken) }),
+        { acceptedAt: new Date() },
+        { new: true }
+      );
+      if (!invitation) return res.status(400).json({ message: 'Invitation is invalid or has expired' });
+      if (invitation.email !== String(email).trim().toLowerCase()) {
+        await Invitation.updateOne({ _id: invitation._id }, { acceptedAt: null });
+        return res.status(400).json({ message: 'This invitation was sent to a different email address' });
+      }
+    }
+
+    const user = new User({ name, email, password, role: invitation ? invitation.role : 'member' });
+    // The invitation link was delivered to this address, so it is already verified
+    if (invitation) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+    }
     await user.save();
     await logActivity({ user: user._id, action: 'registration', status: 'success', ip: req.ip, userAgent: req.get('User-Agent') });
-    res.status(201).json({ message: 'User registered' });
+
+    if (invitation) {
+      invitation.acceptedBy = user._id;
+      await invitation.save();
+      await logActivity({ user: invitation.invitedBy, action: 'role_change', targetType: 'User', targetId: user._id, description: `Granted ${invitation.role} role to ${user.email} via invitation`, metadata: { from: null, to: invitation.role, via: 'invitation', invitation: invitation._id }, ip: req.ip, userAgent: req.get('User-Agent') });
+      return res.status(201).json({ message: 'Registration successful. You can now log in.', requiresVerification: false });
+    }
+
+    sendInBackground(sendWelcomeEmail(user.email, firstNameOf(user), signActionToken(user, 'verify_email')), 'Welcome');
+    res.status(201).json({ message: 'Registration successful. Please check your email to verify your account.', requiresVerification: true });
   } catch (err) {
+    // Give the invitation back if the account could not be created
+    if (invitation && !invitation.acceptedBy) {
+      await Invitation.updateOne({ _id: invitation._id }, { acceptedAt: null }).catch(() => {});
+    }
     await logActivity({ user: null, action: 'registration', status: 'failure', ip: req.ip, userAgent: req.get('User-Agent'), error: err.message });
     res.status(500).json({ message: 'Server error' });
   }
@@ -19,21 +138,440 @@ exports.register = async (req, res) => {
 
 exports.login = async (req, res) => {
   try {
-    const { email, password } = req.body;
+    const { email, password, deviceName } = req.body;
+    const ipThrottle = await checkIp(req.ip);
+    if (ipThrottle) return sendThrottled(res, ipThrottle);
+
     const user = await User.findOne({ email });
+    const accountThrottle = user && checkAccount(user);
+    if (accountThrottle) return sendThrottled(res, accountThrottle);
+
+    const security = await getSecuritySettings();
     if (!user || !(await user.comparePassword(password))) {
-      await logActivity({ user: null, action: 'login', status: 'failure', ip: req.ip, userAgent: req.get('User-Agent'), error: 'Invalid credentials' });
+      await logActivity({ user: user ? user._id : null, action: 'login', status: 'failure', ip: req.ip, userAgent: req.get('User-Agent'), error: 'Invalid credentials', metadata: { email } });
+      const lockout = await recordLoginFailure(req, user, security);
+      if (lockout) return sendThrottled(res, lockout);
       return res.status(401).json({ message: 'Invalid credentials' });
     }
-    await logActivity({ user: user._id, action: 'login', status: 'success', ip: req.ip, userAgent: req.get('User-Agent') });
-    const token = jwt.sign(
-      { id: user._id, role: user.role, name: user.name, email: user.email },
-      process.env.JWT_SECRET,
-      { expiresIn: '1d' }
-    );
-    res.json({ token, user: { id: user._id, name: user.name, role: user.role, email: user.email } });
+    if (!user.active) {
+      await logActivity({ user: user._id, action: 'login', status: 'failure', ip: req.ip, userAgent: req.get('User-Agent'), error: 'Account is inactive' });
+      return res.status(403).json({ message: 'Account is inactive' });
+    }
+    if (!user.emailVerified && security.requireEmailVerification) {
+      await logActivity({ user: user._id, action: 'login', status: 'failure', ip: req.ip, userAgent: req.get('User-Agent'), error: 'Email not verified' });
+      return res.status(403).json({ message: 'Please verify your email address before logging in', code: 'EMAIL_NOT_VERIFIED' });
+    }
+    // Password is correct; the session is only issued after the second step
+    if (user.twoFactor?.enabled) {
+      return res.json({ twoFactorRequired: true, challengeToken: signActionToken(user, 'two_factor') });
+    }
+    if (isTwoFactorEnforced(security, user.role)) {
+      return res.json({ twoFactorSetupRequired: true, setupToken: signActionToken(user, 'two_factor_setup') });
+    }
+    res.json(await startSession(user, req, deviceName));
   } catch (err) {
     await logActivity({ user: null, action: 'login', status: 'failure', ip: req.ip, userAgent: req.get('User-Agent'), error: err.message });
     res.status(500).json({ message: 'Server error' });
   }
 };
+
+// POST /api/auth/refresh - Exchange a refresh token for a new token pair
+exports.refresh = async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+    if (!refreshToken) return res.status(400).json({ message: 'Refresh token is required' });
+
+    const tokenHash = hashToken(refreshToken);
+    const session = await Session.findOne({ tokenHash });
+
+    if (!session) {
+      // A rotated-out token being replayed means it leaked: kill that session
+      const reused = await Session.findOne({ previousTokenHash: tokenHash, revokedAt: null });
+      if (reused) {
+        reused.revokedAt = new Date();
+        reused.revokedReason = 'token_reuse';
+        await reused.save();
+        await logActivity({ user: reused.user, action: 'logout', targetType: 'Session', targetId: reused._id, status: 'failure', ip: req.ip, userAgent: req.get('User-Agent'), error: 'Refresh token reuse detected' });
+      }
+      return res.status(401).json({ message: 'Invalid refresh token' });
+    }
+
+    if (!session.isActive()) {
+      return res.status(401).json({ message: 'Session expired. Please log in again' });
+    }
+
+    const user = await User.findById(session.user);
+    if (!user || !user.active) {
+      session.revokedAt = new Date();
+      session.revokedReason = 'deactivated';
+      await session.save();
+      return res.status(401).json({ message: 'Account is inactive' });
+    }
+
+    const tokens = await rotateSession(session, user, req);
+    res.json({ ...tokens, user: { id: user._id, name: user.name, role: user.role, email: user.email } });
+  } catch (err) {
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// POST /api/auth/logout - Revoke the session behind a refresh token
+exports.logout = async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+    if (!refreshToken) return res.status(400).json({ message: 'Refresh token is required' });
+
+    const session = await Session.findOne({ tokenHash: hashToken(refreshToken), revokedAt: null });
+    if (session) {
+      session.revokedAt = new Date();
+      session.revokedReason = 'logout';
+      await session.save();
+      await logActivity({ user: session.user, action: 'logout', targetType: 'Session', targetId: session._id, status: 'success', ip: req.ip, userAgent: req.get('User-Agent') });
+    }
+    res.json({ message: 'Logged out successfully' });
+  } catch (err) {
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// GET /api/auth/sessions - List the current user's active sessions
+exports.getSessions = async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      user: req.user.id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    })
+      .select('deviceName userAgent ip lastUsedAt createdAt expiresAt')
+      .sort({ lastUsedAt: -1 })
+      .lean();
+
+    res.json(sessions.map((session) => ({
+      ...session,
+      current: req.user.sid ? session._id.toString() === req.user.sid.toString() : false
+    })));
+  } catch (err) {
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// DELETE /api/auth/sessions/:id - Revoke one of the current user's sessions
+exports.revokeSession = async (req, res) => {
+  try {
+    const session = await Session.findOneAndUpdate(
+      { _id: req.params.id, user: req.user.id, revokedAt: null },
+      { revokedAt: new Date(), revokedReason: 'user_revoked' },
+      { new: true }
+    );
+    if (!session) return res.status(404).json({ message: 'Session not found' });
+    await logActivity({ user: req.user.id, action: 'logout', targetType: 'Session', targetId: session._id, description: 'Session revoked by user', status: 'success', ip: req.ip, userAgent: req.get('User-Agent') });
+    res.json({ message: 'Session revoked' });
+  } catch (err) {
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// DELETE /api/auth/sessions - Revoke every session except the current one
+exports.revokeOtherSessions = async (req, res) => {
+  try {
+    const query = { user: req.user.id, revokedAt: null };
+    if (req.user.sid) query._id = { $ne: req.user.sid };
+    const result = await Session.updateMany(query, { revokedAt: new Date(), revokedReason: 'user_revoked' });
+    await logActivity({ user: req.user.id, action: 'logout', targetType: 'Session', description: `Revoked ${result.modifiedCount} other session(s)`, status: 'success', ip: req.ip, userAgent: req.get('User-Agent') });
+    res.json({ message: 'Other sessions revoked', revoked: result.modifiedCount });
+  } catch (err) {
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// POST /api/auth/verify-email - Confirm an email address from the emailed link
+exports.verifyEmail = async (req, res) => {
+  try {
+    const { token } = req.body;
+    const user = token ? await verifyActionToken(token, 'verify_email') : null;
+    if (!user) return res.status(400).json({ success: false, message: 'Invalid or expired token' });
+
+    if (!user.emailVerified) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+      await user.save();
+      await logActivity({ user: user._id, action: 'update', targetType: 'User', targetId: user._id, description: 'Email address verified', status: 'success', ip: req.ip, userAgent: req.get('User-Agent') });
+    }
+    res.json({ success: true, message: 'Email verified successfully' });
+  } catch (err) {
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+};
+
+// POST /api/auth/resend-verification - Send a fresh verification link
+exports.resendVerification = async (req, res) => {
+  try {
+    const { email } = req.body;
+    if (!email || !EMAIL_PATTERN.test(email)) {
+      return res.status(400).json({ success: false, message: 'Please enter a valid email address', errors: { email: 'Please enter a valid email address' } });
+    }
+    const user = await User.findOne({ email });
+    if (user && !user.emailVerified) {
+      sendInBackground(sendVerificationEmail(user.email, firstNameOf(user), signActionToken(user, 'verify_email')), 'Verification');
+    }
+    // Same answer either way so the endpoint cannot be used to probe for accounts
+    res.json({ success: true, message: 'If that account needs verifying, a new link has been sent' });
+  } catch (err) {
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+};
+
+// POST /api/auth/forgot-password - Email a password reset link
+exports.forgotPassword = async (req, res) => {
+  try {
+    const { email } = req.body;
+    if (!email || !EMAIL_PATTERN.test(email)) {
+      return res.status(400).json({ success: false, message: 'Please enter a valid email address', errors: { email: 'Please enter a valid email address' } });
+    }
+    const user = await User.findOne({ email });
+    if (user && user.active) {
+      sendInBackground(sendPasswordResetEmail(user.email, firstNameOf(user), signActionToken(user, 'password_reset')), 'Password reset');
+      await logActivity({ user: user._id, action: 'password_change', description: 'Password reset requested', status: 'success', ip: req.ip, userAgent: req.get('User-Agent') });
+    }
+    // Same answer either way so the endpoint cannot be used to probe for accounts
+    res.json({ success: true, message: 'Password reset email sent if an account exists for that address' });
+  } catch (err) {
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+};
+
+// POST /api/auth/reset-password - Set a new password using the emailed token
+exports.resetPassword = async (req, res) => {
+  try {
+    const { token, password } = req.body;
+    if (!password || password.length < 8) {
+      return res.status(400).json({ success: false, message: 'Password must be at least 8 characters long', errors: { password: 'Password must be at least 8 characters long' } });
+    }
+    const user = token ? await verifyActionToken(token, 'password_reset') : null;
+    if (!user) return res.status(400).json({ success: false, message: 'Invalid or expired token' });
+
+    user.password = password;
+    // Following the emailed link proves the address belongs to them
+    if (!user.emailVerified) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+    }
+    await user.save();
+    await Session.revokeAllForUser(user._id, 'password_change');
+    await logActivity({ user: user._id, action: 'password_change', description: 'Password reset via email link', status: 'success', ip: req.ip, userAgent: req.get('User-Agent') });
+    res.json({ success: true, message: 'Password reset successful. Please log in with your new password' });
+  } catch (err) {
+    await logActivity({ user: null, action: 'password_change', status: 'failure', ip: req.ip, userAgent: req.get('User-Agent'), error: err.message });
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+};
+
+/*
+ * Two-factor authentication (TOTP)
+ */
+
+const logTwoFactor = (req, userId, description, status = 'success', error) => logActivity({
+  user: userId,
+  action: 'two_factor',
+  targetType: 'User',
+  targetId: userId,
+  description,
+  status,
+  error,
+  ip: req.ip,
+  userAgent: req.get('User-Agent')
+});
+
+const hashRecoveryCodes = (codes) => codes.map((code) => hashToken(code));
+
+// The user setting up 2FA: either signed in, or mid-login with a setup token
+const findSetupUser = async (req) => {
+  if (req.body.setupToken) {
+    const user = await verifyActionToken(req.body.setupToken, 'two_factor_setup');
+    return user && User.findById(user._id).select(TWO_FACTOR_FIELDS);
+  }
+  return User.findById(req.user.id).select(TWO_FACTOR_FIELDS);
+};
+
+/**
+ * Check an authenticator code or a recovery code. Accepted codes are consumed
+ * atomically, so the same code cannot be used twice.
+ * @returns {Promise<string|null>} 'totp' or 'recovery_code' when accepted
+ */
+const checkSecondFactor = async (user, { code, recoveryCode }) => {
+  if (recoveryCode) {
+    const hash = hashToken(normalizeRecoveryCode(recoveryCode));
+    const result = await User.updateOne(
+      { _id: user._id, 'twoFactor.recoveryCodes': hash },
+      { $pull: { 'twoFactor.recoveryCodes': hash } }
+    );
+    return result.modifiedCount === 1 ? 'recovery_code' : null;
+  }
+  const lastUsedStep = user.twoFactor.lastUsedStep ?? -1;
+  const step = verifyCode(user.twoFactor.secret, code, lastUsedStep);
+  if (step === null) return null;
+  const result = await User.updateOne(
+    { _id: user._id, $or: [{ 'twoFactor.lastUsedStep': { $lt: step } }, { 'twoFactor.lastUsedStep': null }] },
+    { $set: { 'twoFactor.lastUsedStep': step } }
+  );
+  return result.modifiedCount === 1 ? 'totp' : null;
+};
+
+// GET /api/auth/2fa - Two-factor status for the current user
+exports.getTwoFactorStatus = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select('role twoFactor.enabled twoFactor.enabledAt +twoFactor.recoveryCodes');
+    if (!user) return res.status(404).json({ message: 'User not found' });
+    const security = await getSecuritySettings();
+    res.json({
+      enabled: Boolean(user.twoFactor?.enabled),
+      enabledAt: user.twoFactor?.enabledAt,
+      recoveryCodesRemaining: user.twoFactor?.enabled ? (user.twoFactor.recoveryCodes || []).length : 0,
+      required: isTwoFactorEnforced(security, user.role)
+    });
+  } catch (err) {
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// POST /api/auth/2fa/setup - Generate a secret and QR code for the authenticator app
+exports.setupTwoFactor = async (req, res) => {
+  try {
+    const user = await findSetupUser(req);
+    if (!user) return res.status(401).json({ message: 'Your sign-in attempt has expired, please log in again', code: 'TWO_FACTOR_EXPIRED' });
+    if (user.twoFactor?.enabled) return res.status(400).json({ message: 'Two-factor authentication is already enabled' });
+
+    const secret = generateSecret();
+    user.twoFactor.pendingSecret = secret;
+    await user.save();
+
+    const otpauthUrl = buildOtpAuthUrl(secret, user.email);
+    const qrCode = await QRCode.toDataURL(otpauthUrl);
+    res.json({ secret, otpauthUrl, qrCode });
+  } catch (err) {
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// POST /api/auth/2fa/enable - Confirm the first code and switch 2FA on
+exports.enableTwoFactor = async (req, res) => {
+  try {
+    const user = await findSetupUser(req);
+    if (!user) return res.status(401).json({ message: 'Your sign-in attempt has expired, please log in again', code: 'TWO_FACTOR_EXPIRED' });
+    if (user.twoFactor?.enabled) return res.status(400).json({ message: 'Two-factor authentication is already enabled' });
+    if (!user.twoFactor?.pendingSecret) return res.status(400).json({ message: 'Start two-factor setup first' });
+
+    const step = verifyCode(user.twoFactor.pendingSecret, req.body.code);
+    if (step === null) {
+      await logTwoFactor(req, user._id, 'Two-factor setup code rejected', 'failure', 'Invalid code');
+      return res.status(400).json({ message: 'Invalid authentication code' });
+    }
+
+    const recoveryCodes = generateRecoveryCodes();
+    user.twoFactor.secret = user.twoFactor.pendingSecret;
+    user.twoFactor.pendingSecret = undefined;
+    user.twoFactor.recoveryCodes = hashRecoveryCodes(recoveryCodes);
+    user.twoFactor.lastUsedStep = step;
+    user.twoFactor.enabled = true;
+    user.twoFactor.enabledAt = new Date();
+    await user.save();
+    await logTwoFactor(req, user._id, 'Two-factor authentication enabled');
+
+    const response = { success: true, message: 'Two-factor authentication enabled', recoveryCodes };
+    // Enforced setup during login finishes by signing the user in
+    if (req.body.setupToken) Object.assign(response, await startSession(user, req, req.body.deviceName));
+    res.json(response);
+  } catch (err) {
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// POST /api/auth/2fa/verify - Second login step: exchange the challenge for a session
+exports.verifyTwoFactor = async (req, res) => {
+  try {
+    const { challengeToken, code, recoveryCode, deviceName } = req.body;
+    const ipThrottle = await checkIp(req.ip);
+    if (ipThrottle) return sendThrottled(res, ipThrottle);
+
+    const challenged = challengeToken ? await verifyActionToken(challengeToken, 'two_factor') : null;
+    const user = challenged && await User.findById(challenged._id).select(TWO_FACTOR_FIELDS);
+    if (!user || !user.active || !user.twoFactor?.enabled) {
+      return res.status(401).json({ message: 'Your sign-in attempt has expired, please log in again', code: 'TWO_FACTOR_EXPIRED' });
+    }
+    const accountThrottle = checkAccount(user);
+    if (accountThrottle) return sendThrottled(res, accountThrottle);
+
+    const method = await checkSecondFactor(user, { code, recoveryCode });
+    if (!method) {
+      await logTwoFactor(req, user._id, 'Two-factor login code rejected', 'failure', recoveryCode ? 'Invalid recovery code' : 'Invalid code');
+      const lockout = await recordLoginFailure(req, user, await getSecuritySettings());
+      if (lockout) return sendThrottled(res, lockout);
+      return res.status(401).json({ message: recoveryCode ? 'Invalid recovery code' : 'Invalid authentication code' });
+    }
+
+    const response = await startSession(user, req, deviceName);
+    if (method === 'recovery_code') {
+      const remaining = user.twoFactor.recoveryCodes.length - 1;
+      await logTwoFactor(req, user._id, `Signed in with a recovery code (${remaining} left)`);
+      response.recoveryCodesRemaining = remaining;
+    }
+    res.json(response);
+  } catch (err) {
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// POST /api/auth/2fa/disable - Turn 2FA off (password and a current code required)
+exports.disableTwoFactor = async (req, res) => {
+  try {
+    const { password, code, recoveryCode } = req.body;
+    const user = await User.findById(req.user.id).select(TWO_FACTOR_FIELDS);
+    if (!user) return res.status(404).json({ message: 'User not found' });
+    if (!user.twoFactor?.enabled) return res.status(400).json({ message: 'Two-factor authentication is not enabled' });
+
+    const security = await getSecuritySettings();
+    if (isTwoFactorEnforced(security, user.role)) {
+      return res.status(403).json({ message: 'Two-factor authentication is required for your role' });
+    }
+    if (!password || !(await user.comparePassword(password))) {
+      await logTwoFactor(req, user._id, 'Two-factor disable rejected', 'failure', 'Invalid password');
+      return res.status(400).json({ message: 'Password is incorrect' });
+    }
+    if (!(await checkSecondFactor(user, { code, recoveryCode }))) {
+      await logTwoFactor(req, user._id, 'Two-factor disable rejected', 'failure', 'Invalid code');
+      return res.status(400).json({ message: 'Invalid authentication code' });
+    }
+
+    await User.updateOne(
+      { _id: user._id },
+      {
+        $set: { 'twoFactor.enabled': false },
+        $unset: { 'twoFactor.secret': 1, 'twoFactor.recoveryCodes': 1, 'twoFactor.lastUsedStep': 1, 'twoFactor.enabledAt': 1 }
+      }
+    );
+    await logTwoFactor(req, user._id, 'Two-factor authentication disabled');
+    res.json({ success: true, message: 'Two-factor authentication disabled' });
+  } catch (err) {
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// POST /api/auth/2fa/recovery-codes - Replace all recovery codes (current code required)
+exports.regenerateRecoveryCodes = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select(TWO_FACTOR_FIELDS);
+    if (!user) return res.status(404).json({ message: 'User not found' });
+    if (!user.twoFactor?.enabled) return res.status(400).json({ message: 'Two-factor authentication is not enabled' });
+    if (!(await checkSecondFactor(user, { code: req.body.code }))) {
+      await logTwoFactor(req, user._id, 'Recovery code regeneration rejected', 'failure', 'Invalid code');
+      return res.status(400).json({ message: 'Invalid authentication code' });
+    }
+
+    const recoveryCodes = generateRecoveryCodes();
+    await User.updateOne({ _id: user._id }, { $set: { 'twoFactor.recoveryCodes': hashRecoveryCodes(recoveryCodes) } });
+    await logTwoFactor(req, user._id, 'Recovery codes regenerated');
+    res.json({ success: true, recoveryCodes });
+  } catch (err) {
+    res.status(500).json({ message: 'Server error' });
+  }
+};
@@ -0,0 +1,288 @@
+const mongoose = require('mongoose');
+const Attendance = require('../models/Attendance');
+const CareTask = require('../models/CareTask');
+const Settings = require('../models/Settings');
+const User = require('../models/User');
+const NotificationService = require('../utils/notificationService');
+const { logActivity } = require('../utils/activityLogger');
+const { getPermissionsForRole } = require('../utils/permissions');
+const { getCareSettings, recentServiceDays, attendedDays, detectAbsentees } = require('../utils/absenteeCare');
+const { validateStringLength } = require('../../shared/validators');
+const {
+  CARE_TASK_TYPES,
+  ABSENTEE_CARE_STAGES,
+  ABSENTEE_DETECTION,
+  FIELD_LIMITS,
+  PERMISSIONS,
+  ROLE_HIERARCHY
+} = require('../../shared/constants');
+
+const STAGE_IDS = ABSENTEE_CARE_STAGES.map((stage) => stage.id);
+const CLOSED_STAGES = ['returned', 'closed'];
+// Closed tasks listed under ?status=closed
+const CLOSED_VISIBLE_DAYS = 60;
+
+const populateTask = (query) => query
+  .populate('member', 'name email phone avatar')
+  .populate('assignedTo', 'name email')
+  .populate('notes.author', 'name');
+
+const logTaskChange = (req, task, description, metadata) => logActivity({
+  user: req.user.id,
+  action: 'update',
+  targetType: 'CareTask',
+  targetId: task._id,
+  description,
+  metadata,
+  ip: req.ip,
+  userAgent: req.get('User-Agent')
+});
+
+/**
+ * Active users whose role lets them give pastoral care
+ */
+const findCareStaff = async (filter = {}) => {
+  const roles = [];
+  for (const role of Object.keys(ROLE_HIERARCHY)) {
+    if ((await getPermissionsForRole(role)).includes(PERMISSIONS.PASTORAL_CARE)) roles.push(role);
+  }
+  return User.find({ ...filter, role: { $in: roles }, active: true }).select('name email role').sort({ name: 1 });
+};
+
+// Lets a user without PASTORAL_CARE work the absentee tasks assigned to them
+exports.isAssignedCare = async (req) => {
+  const query = { type: CARE_TASK_TYPES.ABSENTEE_CARE, assignedTo: req.user.id };
+  if (req.params.id) {
+    if (!mongoose.isValidObjectId(req.params.id)) return false;
+    query._id = req.params.id;
+  }
+  return Boolean(await CareTask.exists(query));
+};
+
+// Loads an absentee task by id for the routes below
+exports.loadAbsenteeTask = async (req, res, next) => {
+  try {
+    const task = mongoose.isValidObjectId(req.params.id)
+      && await CareTask.findOne({ _id: req.params.id, type: CARE_TASK_TYPES.ABSENTEE_CARE });
+    if (!task) return res.status(404).json({ message: 'Care task not found.' });
+    req.task = task;
+    next();
+  } catch (err) {
+    res.status(500).json({ message: 'Failed to load care task.' });
+  }
+};
+
+// GET /api/care/absentees - At-risk members with their recent attendance
+exports.getAbsentees = async (req, res) => {
+  try {
+    const query = { type: CARE_TASK_TYPES.ABSENTEE_CARE };
+    if (req.query.status === 'closed') {
+      const since = new Date();
+      since.setDate(since.getDate() - CLOSED_VISIBLE_DAYS);
+      query.status = 'closed';
+      query.closedAt = { $gte: since };
+    } else {
+      query.status = 'open';
+    }
+    // Care givers without the permission only see their own
+    if (req.permissionScope === 'owner') query.assignedTo = req.user.id;
+
+    const tasks = await populateTask(CareTask.find(query)).sort({ createdAt: -1 });
+    const memberIds = tasks.filter((task) => task.member).map((task) => task.member._id);
+
+    // Newest first from the helper; the trend reads oldest to newest
+    const days = await recentServiceDays(ABSENTEE_DETECTION.TREND_SERVICES);
+    const [attendance, lastSeen] = await Promise.all([
+      attendedDays(days, memberIds),
+      Attendance.aggregate([
+        { $match: { user: { $in: memberIds }, activityType: 'service', isActive: true } },
+        { $group: { _id: '$user', lastAttended: { $max: '$attendanceDate' }, total: { $sum: 1 } } }
+      ])
+    ]);
+    const lastById = Object.fromEntries(lastSeen.map((row) => [row._id.toString(), row]));
+    const trendDays = [...days].reverse();
+
+    const members = tasks.map((task) => {
+      const memberId = task.member ? task.member._id.toString() : '';
+      const attended = attendance.get(memberId) || new Set();
+      const trend = trendDays.map((day) => attended.has(day));
+      const lastIndex = trend.lastIndexOf(true);
+      return {
+        ...task.toObject(),
+        trend,
+        missedStreak: lastIndex === -1 ? trend.length : trend.length - 1 - lastIndex,
+        attendanceRate: trend.length ? Math.round((trend.filter(Boolean).length / trend.length) * 100) : 0,
+        lastAttended: lastById[memberId] ? lastById[memberId].lastAttended : null
+      };
+    });
+
+    const [open, unassigned, returned] = await Promise.all([
+      CareTask.countDocuments({ type: CARE_TASK_TYPES.ABSENTEE_CARE, status: 'open' }),
+      CareTask.countDocuments({ type: CARE_TASK_TYPES.ABSENTEE_CARE, status: 'open', assignedTo: null }),
+      CareTask.countDocuments({
+        type: CARE_TASK_TYPES.ABSENTEE_CARE,
+        stage: 'returned',
+        closedAt: { $gte: new Date(Date.now() - 30 * 24 * 60 * 60 * 1000) }
+      })
+    ]);
+
+    res.json({
+      data: { days: trendDays, members },
+      summary: { open, unassigned, returnedLast30Days: returned }
+    });
+  } catch (err) {
+    res.status(500).json({ message: 'Failed to load at-risk members.' });
+  }
+};
+
+// PUT /api/care/absentees/:id/stage
+exports.moveAbsentee = async (req, res) => {
+  try {
+    const { stage } = req.body;
+    if (!STAGE_IDS.includes(stage)) {
+      return res.status(400).json({ message: 'Invalid stage.' });
+    }
+    const from = req.task.stage;
+    const closing = CLOSED_STAGES.includes(stage);
+    req.task.stage = stage;
+    req.task.status = closing ? 'closed' : 'open';
+    req.task.closedAt = closing ? new Date() : undefined;
+    await req.task.save();
+    await logTaskChange(req, req.task, `Moved absentee care from ${from} to ${stage}`, { from, to: stage });
+
+    res.json({ message: 'Care task updated.', data: await populateTask(CareTask.findById(req.task._id)) });
+  } catch (err) {
+    res.status(500).json({ message: 'Failed to update care task.' });
+  }
+};
+
+// PUT /api/care/absentees/:id/assign
+exports.assignAbsentee = async (req, res) => {
+  try {
+    const { assignedTo } = req.body;
+    let assignee = null;
+    if (assignedTo) {
+      [assignee] = mongoose.isValidObjectId(assignedTo) ? await findCareStaff({ _id: assignedTo }) : [];
+      if (!assignee) {
+        return res.status(400).json({ message: 'That person cannot be given care tasks.' });
+      }
+    }
+    req.task.assignedTo = assignee ? assignee._id : undefined;
+    await req.task.save();
+    await logTaskChange(req, req.task, assignee ? `Assigned absentee care to ${assignee.name}` : 'Unassigned absentee care');
+
+    const task = await populateTask(CareTask.findById(req.task._id));
+    if (assignee && assignee._id.toString() !== req.user.id) {
+      NotificationService.sendToUser(
+        assignee._id.toString(),
+        'Member may need care',
+        `${req.user.name} asked you to reach out to ${task.member ? task.member.name : 'a member'}.`,
+        'care',
+        { careTaskId: task._id, type: task.type }
+      ).catch((error) => console.error('Error notifying care task assignee:', error.message));
+    }
+
+    res.json({ message: assignee ? 'Care task assigned.' : 'Care task unassigned.', data: task });
+  } catch (err) {
+    res.status(500).json({ message: 'Failed to assign care task.' });
+  }
+};
+
+// POST /api/care/absentees/:id/notes
+exports.addAbsenteeNote = async (req, res) => {
+  try {
+    const result = validateStringLength(req.body.text, 1, FIELD_LIMITS.CARE_NOTE_MAX, 'Note');
+    if (!result.isValid) return res.status(400).json({ message: result.error });
+    req.task.notes.push({ text: result.value, author: req.user.id });
+    await req.task.save();
+
+    res.status(201).json({ message: 'Note added.', data: await populateTask(CareTask.findById(req.task._id)) });
+  } catch (err) {
+    res.status(500).json({ message: 'Failed to add note.' });
+  }
+};
+
+// POST /api/care/absentees/detect - Run the nightly check now
+exports.runAbsenteeDetection = async (req, res) => {
+  try {
+    const result = await detectAbsentees();
+    res.json({
+      message: `${result.flagged} newly flagged, ${result.returned} back at church.`,
+      data: result
+    });
+  } catch (err) {
+    res.status(500).json({ message: 'Failed to check for absent members.' });
+  }
+};
+
+// GET /api/care/settings
+exports.getSettings = async (req, res) => {
+  try {
+    const care = await getCareSettings();
+    const teamIds = care.team.map(String);
+    const candidates = await findCareStaff();
+    res.json({
+      data: {
+        absenceThreshold: care.absenceThreshold,
+        regularMinServices: care.regularMinServices,
+        regularWindow: ABSENTEE_DETECTION.REGULAR_WINDOW,
+        team: candidates.filter((user) => teamIds.includes(user._id.toString())),
+        candidates
+      }
+    });
+  } catch (err) {
+    res.status(500).json({ message: 'Failed to load care settings.' });
+  }
+};
+
+// PUT /api/care/settings
+exports.updateSettings = async (req, res) => {
+  try {
+    const updates = {};
+    const errors = {};
+    if (req.body.absenceThreshold !== undefined) {
+      const value = Number(req.body.absenceThreshold);
+      if (Number.isInteger(value) && value >= 2 && value <= 12) updates['care.absenceThreshold'] = value;
+      else errors.absenceThreshold = 'Missed services must be a whole number from 2 to 12';
+    }
+    if (req.body.regularMinServices !== undefined) {
+      const value = Number(req.body.regularMinServices);
+      if (Number.isInteger(value) && value >= 1 && value <= ABSENTEE_DETECTION.REGULAR_WINDOW) {
+        updates['care.regularMinServices'] = value;
+      } else {
+        errors.regularMinServices = `Regular attendance must be a whole number from 1 to ${ABSENTEE_DETECTION.REGULAR_WINDOW}`;
+      }
+    }
+    if (req.body.team !== undefined) {
+      const ids = Array.isArray(req.body.team) ? [...new Set(req.body.team.map(String))] : [];
+      const members = ids.every((id) => mongoose.isValidObjectId(id)) ? await findCareStaff({ _id: { $in: ids } }) : [];
+      if (members.length === ids.length) updates['care.team'] = members.map((member) => member._id);
+      else errors.team = 'Everyone on the team must be staff who can give pastoral care';
+    }
+    if (Object.keys(errors).length) {
+      return res.status(400).json({ message: 'Please correct the highlighted fields.', errors });
+    }
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({ message: 'Nothing to update.' });
+    }
+
+    const settings = await Settings.findOneAndUpdate({}, { $set: updates }, { new: true, runValidators: true });
+    if (!settings) {
+      return res.status(400).json({ message: 'Save the church settings before setting up pastoral care.' });
+    }
+    await logActivity({
+      user: req.user.id,
+      action: 'settings_change',
+      targetType: 'Settings',
+      targetId: settings._id,
+      description: 'Updated absentee care settings',
+      metadata: { absenceThreshold: settings.care.absenceThreshold, team: settings.care.team.length },
+      ip: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+
+    res.json({ message: 'Care settings saved.' });
+  } catch (err) {
+    res.status(500).json({ message: 'Failed to save care settings.' });
+  }
+};
@@ -1,6 +1,58 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
 const Event = require('../models/Event');
+const Household = require('../models/Household');
+const Ministry = require('../models/Ministry');
+const User = require('../models/User');
 const { validationResult } = require('express-validator');
 const { logActivity } = require('../utils/activityLogger');
+const NotificationService = require('../utils/notificationService');
+const { ledMinistryIds } = require('../utils/ministryBudget');
+const {
+  dayKey,
+  addDays,
+  isDayKey,
+  isRecurring,
+  isOccurrence,
+  findException,
+  occurrenceTiming,
+  occurrenceAttendees,
+  partySize,
+  placesTaken,
+  isRegistrant,
+  expandEvent,
+  windowFilter,
+  windowProblem,
+  splitSeries,
+  truncateSeries
+} = require('../utils/eventOccurrences');
+const {
+  occurrenceWaitlist,
+  findWaitlistEntry,
+  placesLeft,
+  waitlistPosition,
+  fillFromWaitlist,
+  fillAllFromWaitlists,
+  notifyOffers
+} = require('../utils/eventWaitlist');
+const { eventComponents, occurrenceComponent, buildCalendar } = require('../utils/icalendar');
+const { EVENT_TICKETS, PAYMENT_PROVIDERS } = require('../../shared/constants');
+const emailNotificationService = require('../services/emailNotificationService');
+const { exportRegistration } = require('../services/registrationExporters');
+const {
+  priceTicket,
+  countPromoUse,
+  releaseRegistration,
+  sendTicket,
+  startTicketCheckout,
+  refundTicket,
+  refundTickets,
+  isRefundable,
+  refreshTicket,
+  ticketSummary
+} = require('../utils/eventTickets');
+const { verifyTicketToken } = require('../utils/checkInQr');
+const payments = require('../services/payments');
 
 /**
  * Event Controller for Haven Word Church
@@ -8,13 +60,62 @@ const { logActivity } = require('../utils/activityLogger');
  * 
  * Features:
  * - Complete CRUD operations for events
- * - Event registration and capacity management
+ * - Event registration and capacity management, with waitlists
+ * - Paid tickets, with ticket types, promo codes and refunds
  * - Public and member-specific event queries
  * - Featured events and filtering
+ * - Recurring series expanded into occurrences, with per-occurrence
+ *   exceptions, registration and attendance
+ * - iCalendar feeds and per-event .ics downloads
  * - Analytics and engagement tracking
  * - Nigerian timezone and cultural context
  */
 
+const EDIT_SCOPES = ['all', 'following', 'this'];
+const ATTENDANCE_STATUSES = ['Registered', 'Confirmed', 'Attended', 'No-show'];
+// Never taken from a request body
+const PROTECTED_FIELDS = ['attendees', 'waitlist', 'stats', 'createdBy', 'updatedBy'];
+// Calendar feeds carry recent and coming events; cancelled and postponed ones
+// stay in so subscribers see the change rather than the event vanishing
+const FEED_STATUSES = ['Published', 'Postponed', 'Cancelled'];
+const FEED_PAST_DAYS = 90;
+const FEED_FUTURE_DAYS = 730;
+
+/**
+ * A request body without the fields it may not set. Promo code uses are
+ * counted by registrations, so they are kept from the event being edited.
+ * @param {Object} data
+ * @param {Object} [existing] - The event, when updating
+ * @returns {Object}
+ */
+const withoutProtectedFields = (data, existing) => {
+  const changes = { ...data };
+  PROTECTED_FIELDS.forEach((field) => delete changes[field]);
+  if (Array.isArray(changes.promoCodes)) {
+    changes.promoCodes = changes.promoCodes.map((promo) => {
+      const current = existing && existing.promoCodes.find((item) => item.code === String(promo.code || '').trim().toUpperCase());
+      return { ...promo, uses: current ? current.uses : 0 };
+    });
+  }
+  return changes;
+};
+
+const describeOccurrence = (date) => new Date(date).toLocaleDateString('en-NG', {
+  timeZone: 'Africa/Lagos', weekday: 'long', day: 'numeric', month: 'long'
+});
+
+/**
+ * Expand events into their occurrences within a window, soonest first
+ * @param {Array} events
+ * @param {string} from - "YYYY-MM-DD"
+ * @param {string} to - "YYYY-MM-DD"
+ * @param {Object} [options] - Passed to expandEvent
+ * @returns {Array}
+ */
+const expandEvents = (events, from, to, options) => events
+  .flatMap((event) => expandEvent(event, from, to, options))
+  .sort((a, b) => a.startDate - b.startDate);
+
 /**
  * Get all published events with optional filtering
  * @route GET /api/events
@@ -25,10 +126,13 @@ const getAllEvents = async (req, res) => {
     const {
       category,
       type,
-      status = 'published',
+      status = 'Published',
       featured,
       upcoming,
       past,
+      from,
+      to,
+      includeCancelled,
       limit = 20,
       page = 1,
       search
@@ -39,7 +143,7 @@ const getAllEvents = async (req, res) => {
     
     // Status filter (public users only see published events)
     if (!req.user || req.user.role !== 'admin') {
-      query.status = 'published';
+      query.status = 'Published';
     } else if (status && status !== 'all') {
       query.status = status;
     }
@@ -51,7 +155,7 @@ const getAllEvents = async (req, res) => {
 
     // Event type filter
     if (type) {
-      query.eventType = type;
+      query.type = type;
     }
 
     // Featured filter
@@ -59,6 +163,24 @@ const getAllEvents = async (req, res) => {
       query.isFeatured = true;
     }
 
+    // A date window lists each occurrence of recurring events in it
+    if (from || to) {
+      const problem = windowProblem(from, to);
+      if (problem) {
+        return res.status(400).json({ success: false, message: problem });
+      }
+      if (search) {
+        query.$text = { $search: search };
+      }
+      const events = await Event.find({ ...query, $and: [windowFilter(from, to)] })
+        .populate('ministry', 'name slug');
+      return res.json({
+        success: true,
+        data: expandEvents(events, from, to, { includeCancelled: includeCancelled === 'true' }),
+        window: { from, to }
+      });
+    }
+
     // Date filters
     const now = new Date();
     if (upcoming === 'true') {
@@ -81,8 +203,9 @@ const getAllEvents = async (req, res) => {
 
     // Execute query with population
     const events = await Event.find(query)
-      .populate('createdBy', 'firstName lastName')
-      .populate('lastModifiedBy', 'firstName lastName')
+      .select('-attendees -waitlist -promoCodes')
+      .populate('createdBy', 'name')
+      .populate('updatedBy', 'name')
       .sort({ startDate: 1, createdAt: -1 })
       .skip(skip)
       .limit(parseInt(limit));
@@ -135,7 +258,7 @@ const getEvent = async (req, res) => {
     }
 
     // Check if user can access this event
-    if (event.status !== 'published' && (!req.user || req.user.role !== 'admin')) {
+    if (event.status !== 'Published' && (!req.user || req.user.role !== 'admin')) {
       return res.status(404).json({
         success: false,
         message: 'Event not found'
@@ -143,17 +266,45 @@ const getEvent = async (req, res) => {
     }
 
     // Populate creator information
-    await event.populate('createdBy', 'firstName lastName');
-    await event.populate('lastModifiedBy', 'firstName lastName');
+    await event.populate('createdBy', 'name');
+    await event.populate('updatedBy', 'name');
 
     // Increment view count if this is a public view
-    if (event.status === 'published') {
-      await event.incrementViews();
+    if (event.status === 'Published') {
+      await Event.updateOne({ _id: event._id }, { $inc: { 'stats.views': 1 } });
+    }
+
+    // Attendee lists, waitlists and promo codes are for organisers
+    const data = event.toObject({ virtuals: true });
+    delete data.attendees;
+    delete data.waitlist;
+    delete data.promoCodes;
+    data.acceptsPromoCodes = event.promoCodes.some((promo) => promo.isActive);
+    data.ticketTypes = event.ticketTypes.filter((type) => type.isActive);
+
+    // The dates of a recurring event from today, each with its own
+    // registrations, and one occurrence of it when asked for
+    const { occurrence } = req.query;
+    if (isRecurring(event)) {
+      delete data.currentAttendeeCount;
+      delete data.isRegistrationOpen;
+      if (occurrence !== undefined) {
+        if (!isOccurrence(event, occurrence)) {
+          return res.status(404).json({
+            success: false,
+            message: 'This event does not take place on that date'
+          });
+        }
+        [data.occurrenceDetails] = expandEvent(event, occurrence, occurrence, { includeCancelled: true })
+          .filter((item) => item.occurrence === occurrence);
+      }
+      const today = dayKey(new Date());
+      data.upcomingOccurrences = expandEvent(event, today, addDays(today, 90), { includeCancelled: true });
     }
 
     res.json({
       success: true,
-      data: event
+      data
     });
 
   } catch (error) {
@@ -185,15 +336,19 @@ const createEvent = async (req, res) => {
 
     // Create event with creator information
     const eventData = {
-      ...req.body,
+      organizer: req.user.id,
+      ...withoutProtectedFields(req.body),
       createdBy: req.user.id
     };
+    if (eventData.recurrence) {
+      eventData.recurrence = { ...eventData.recurrence, exceptions: [], splitFrom: undefined };
+    }
 
     const event = new Event(eventData);
     await event.save();
 
     // Populate creator information
-    await event.populate('createdBy', 'firstName lastName');
+    await event.populate('createdBy', 'name');
 
     res.status(201).json({
       success: true,
@@ -234,8 +389,128 @@ const createEvent = async (req, res) => {
   }
 };
 
+/**
+ * Record a change to one occurrence of a series as an exception. A status
+ * of Cancelled cancels it and any other status restores it; a new date,
+ * times or venue override the series'.
+ * @param {Document} event - Series master (not saved here)
+ * @param {string} key - The occurrence's original date
+ * @param {Object} changes - Request body fields
+ * @param {string} [reason] - Shown with the occurrence
+ */
+const applyOccurrenceChange = (event, key, changes, reason) => {
+  let exception = findException(event, key);
+  if (!exception) {
+    event.recurrence.exceptions.push({ date: key });
+    exception = event.recurrence.exceptions[event.recurrence.exceptions.length - 1];
+  }
+
+  if (changes.status) exception.cancelled = changes.status === 'Cancelled';
+  if (changes.startDate) {
+    exception.startDate = dayKey(changes.startDate) === key ? undefined : new Date(changes.startDate);
+  }
+  if (changes.startTime) exception.startTime = changes.startTime === event.startTime ? undefined : changes.startTime;
+  if (changes.endTime) exception.endTime = changes.endTime === event.endTime ? undefined : changes.endTime;
+  if (changes.location && changes.location.venue) {
+    exception.venue = changes.location.venue === event.location.venue ? undefined : changes.location.venue;
+  }
+  if (reason !== undefined) exception.reason = reason;
+
+  // Nothing left to override: the occurrence follows the series again
+  if (!exception.cancelled && !exception.startDate && !exception.startTime && !exception.endTime && !exception.venue) {
+    event.recurrence.exceptions.pull(exception._id);
+  }
+};
+
+/**
+ * Tell the people registered for an occurrence that it was cancelled,
+ * moved or reinstated
+ * @param {Object} event
+ * @param {string} key - The occurrence's original date
+ * @param {Object} before - occurrenceTiming() from before the change
+ */
+const notifyOccurrenceAttendees = (event, key, before) => {
+  const after = occurrenceTiming(event, key);
+  const when = describeOccurrence(before.startDate);
+  let message;
+  if (after.cancelled && !before.cancelled) {
+    message = `${event.title} on ${when} has been cancelled.`;
+  } else if (!after.cancelled && before.cancelled) {
+    message = `${event.title} on ${describeOccurrence(after.startDate)} will go ahead after all.`;
+  } else if (!after.cancelled && (after.startDate.getTime() !== before.startDate.getTime() || after.venue !== before.venue)) {
+    message = `${event.title} on ${when} is now on ${describeOccurrence(after.startDate)} at ${after.startTime}, ${after.venue}.`;
+  }
+  if (!message) return;
+
+  notifyRegistrants(event, occurrenceAttendees(event, key), message, key);
+};
+
+/**
+ * Send an event update to registrations: members in the app, visitors who
+ * RSVPed without an account by email
+ * @param {Object} event
+ * @param {Object[]} attendees
+ * @param {string} message
+ * @param {string} [key] - The occurrence the update is about
+ */
+const notifyRegistrants = (event, attendees, message, key) => {
+  const userIds = new Set(attendees.filter((attendee) => attendee.user).map((attendee) => attendee.user.toString()));
+  for (const userId of userIds) {
+    NotificationService.sendToUser(userId, 'Event update', message, 'event', { eventId: event._id, occurrence: key })
+      .catch((error) => console.error('Error notifying event attendees:', error.message));
+  }
+
+  const emails = new Set();
+  for (const { contact } of attendees.filter((attendee) => !attendee.user && attendee.contact)) {
+    if (emails.has(contact.email)) continue;
+    emails.add(contact.email);
+    emailNotificationService.sendCustomNotification(
+      { name: contact.firstName, email: contact.email },
+      `Update: ${event.title}`,
+      message,
+      `${process.env.FRONTEND_URL}/events/${event._id}`,
+      'View Event'
+    ).catch((error) => console.error('Error emailing event attendees:', error.message));
+  }
+};
+
+// Mention the tickets refunded by a cancellation in its response
+const withRefunds = (message, refunded) => (refunded > 0
+  ? `${message}. ${refunded} paid ${refunded === 1 ? 'ticket is' : 'tickets are'} being refunded.`
+  : message);
+
+const logSeriesChange = (req, event, description, metadata) => logActivity({
+  user: req.user.id,
+  action: 'update',
+  targetType: 'Event',
+  targetId: event._id,
+  description,
+  metadata,
+  ip: req.ip,
+  userAgent: req.get('User-Agent')
+});
+
+/**
+ * Check an edit scope and its occurrence against an event
+ * @returns {string|null} What is wrong, or null when they can be used
+ */
+const scopeProblem = (event, scope, occurrence) => {
+  if (!EDIT_SCOPES.includes(scope)) return 'Scope must be all, following or this';
+  if (scope !== 'all' && !(isRecurring(event) && isOccurrence(event, occurrence))) {
+    return 'Choose one of this event\'s dates to change';
+  }
+  return null;
+};
+
 /**
  * Update existing event
+ * For a recurring event, `scope` says what the change applies to: the whole
+ * series ("all", the default), one occurrence ("this") or an occurrence and
+ * those after it ("following", which ends the series there and starts a new
+ * one). The last two name the occurrence by its original date in
+ * `occurrence`. A change to one occurrence can only cancel it (status
+ * Cancelled) or move it (startDate, startTime, endTime, location.venue).
+ * Cancelling an event or a date refunds its paid tickets.
  * @route PUT /api/events/:id
  * @access Private (Admin/Staff)
  */
@@ -252,19 +527,9 @@ const updateEvent = async (req, res) => {
     }
 
     const { id } = req.params;
-    const updateData = {
-      ...req.body,
-      lastModifiedBy: req.user.id
-    };
+    const { scope = 'all', occurrence, reason, ...body } = req.body;
 
-    const event = await Event.findByIdAndUpdate(
-      id,
-      updateData,
-      { 
-        new: true, 
-        runValidators: true 
-      }
-    );
+    const event = await Event.findById(id);
 
     if (!event) {
       return res.status(404).json({
@@ -272,15 +537,80 @@ const updateEvent = async (req, res) => {
         message: 'Event not found'
       });
     }
+    const changes = withoutProtectedFields(body, event);
+
+    const problem = scopeProblem(event, scope, occurrence);
+    if (problem) {
+      return res.status(400).json({
+        success: false,
+        message: problem
+      });
+    }
+
+    // Places freed by a change (more room, a date restored) go to the waitlist
+    let updated = event;
+    let offers;
+    let refunded = 0;
+    const wasCancelled = event.status === 'Cancelled';
+    if (scope === 'this') {
+      const before = occurrenceTiming(event, occurrence);
+      applyOccurrenceChange(event, occurrence, changes, reason);
+      offers = fillFromWaitlist(event, occurrence);
+      event.updatedBy = req.user.id;
+      await event.save();
+      notifyOccurrenceAttendees(event, occurrence, before);
+      if (!before.cancelled && occurrenceTiming(event, occurrence).cancelled) {
+        refunded = await refundTickets(event, occurrenceAttendees(event, occurrence));
+      }
+      await logSeriesChange(req, event, `Changed ${event.title} on ${occurrence}`, { occurrence, changes });
+    } else {
+      const following = scope === 'following' ? splitSeries(event, occurrence) : null;
+      if (following) {
+        updated = new Event({
+          ...following,
+          ...changes,
+          recurrence: {
+            ...following.recurrence,
+            ...(changes.recurrence || {}),
+            exceptions: following.recurrence.exceptions,
+            splitFrom: event._id
+          },
+          updatedBy: req.user.id
+        });
+        offers = fillAllFromWaitlists(updated);
+        // Check the new series before the old one is cut short
+        await updated.validate();
+        event.updatedBy = req.user.id;
+        await event.save();
+        await updated.save();
+        await logSeriesChange(req, event, `Split ${event.title} from ${occurrence}`, { occurrence, newSeries: updated._id });
+      } else {
+        // Exceptions stay with the series through edits to its pattern
+        if (changes.recurrence) {
+          changes.recurrence = {
+            ...changes.recurrence,
+            exceptions: event.recurrence.exceptions,
+            splitFrom: event.recurrence.splitFrom
+          };
+        }
+        event.set({ ...changes, updatedBy: req.user.id });
+        offers = fillAllFromWaitlists(event);
+        await event.save();
+      }
+      if (!wasCancelled && updated.status === 'Cancelled') {
+        refunded = await refundTickets(updated, updated.attendees);
+      }
+    }
+    notifyOffers(updated, offers).catch((error) => console.error('Error notifying waitlist:', error.message));
 
     // Populate creator and modifier information
-    await event.populate('createdBy', 'firstName lastName');
-    await event.populate('lastModifiedBy', 'firstName lastName');
+    await updated.populate('createdBy', 'name');
+    await updated.populate('updatedBy', 'name');
 
     res.json({
       success: true,
-      message: 'Event updated successfully',
-      data: event
+      message: withRefunds(updated === event ? 'Event updated successfully' : 'The series now continues as a new event from that date', refunded),
+      data: updated
     });
 
   } catch (error) {
@@ -318,14 +648,66 @@ const updateEvent = async (req, res) => {
 
 /**
  * Delete event
+ * For a recurring event, `scope` and `occurrence` in the query string work
+ * as for updates: "this" cancels one occurrence and "following" ends the
+ * series before it. Paid tickets for the dates removed are refunded.
  * @route DELETE /api/events/:id
  * @access Private (Admin only)
  */
 const deleteEvent = async (req, res) => {
   try {
     const { id } = req.params;
+    const { scope = 'all', occurrence, reason } = req.query;
+
+    if (scope !== 'all') {
+      const series = await Event.findById(id);
+      if (!series) {
+        return res.status(404).json({
+          success: false,
+          message: 'Event not found'
+        });
+      }
+      const problem = scopeProblem(series, scope, occurrence);
+      if (problem) {
+        return res.status(400).json({
+          success: false,
+          message: problem
+        });
+      }
+
+      if (scope === 'this') {
+        const before = occurrenceTiming(series, occurrence);
+        applyOccurrenceChange(series, occurrence, { status: 'Cancelled' }, reason);
+        series.updatedBy = req.user.id;
+        await series.save();
+        notifyOccurrenceAttendees(series, occurrence, before);
+        const refunded = before.cancelled ? 0 : await refundTickets(series, occurrenceAttendees(series, occurrence));
+        await logSeriesChange(req, series, `Cancelled ${series.title} on ${occurrence}`, { occurrence, reason });
+        return res.json({
+          success: true,
+          message: withRefunds('That date has been cancelled', refunded)
+        });
+      }
+
+      // Ending the series at its first date removes all of it
+      if (addDays(occurrence, -1) >= dayKey(series.startDate)) {
+        const dropped = series.attendees.filter((attendee) => attendee.occurrence >= occurrence && attendee.status !== 'Cancelled');
+        // Refunded while the registrations are still on the event
+        const refunded = await refundTickets(series, dropped);
+        truncateSeries(series, occurrence);
+        series.updatedBy = req.user.id;
+        await series.save();
+        const message = `${series.title} will not take place from ${describeOccurrence(occurrenceTiming(series, occurrence).startDate)} onwards.`;
+        notifyRegistrants(series, dropped, message);
+        await logSeriesChange(req, series, `Ended ${series.title} before ${occurrence}`, { occurrence });
+        return res.json({
+          success: true,
+          message: withRefunds('The series now ends before that date', refunded)
+        });
+      }
+    }
 
-    const event = await Event.findByIdAndDelete(id);
+    const event = await Event.findById(id);
 
     if (!event) {
       return res.status(404).json({
@@ -334,9 +716,13 @@ const deleteEvent = async (req, res) => {
       });
     }
 
+    // Refunded before the record of the payments goes
+    const refunded = await refundTickets(event, event.attendees);
+    await event.deleteOne();
+
     res.json({
       success: true,
-      message: 'Event deleted successfully'
+      message: withRefunds('Event deleted successfully', refunded)
     });
 
   } catch (error) {
@@ -349,6 +735,152 @@ const deleteEvent = async (req, res) => {
   }
 };
 
+/**
+ * Put an occurrence back to the series' date, times and venue, undoing a
+ * cancellation or move
+ * @route DELETE /api/events/:id/occurrences/:date
+ * @access Private (Admin/Staff)
+ */
+const restoreOccurrence = async (req, res) => {
+  try {
+    const { id, date } = req.params;
+    const event = await Event.findById(id);
+
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found'
+      });
+    }
+
+    const exception = findException(event, date);
+    if (!exception) {
+      return res.status(404).json({
+        success: false,
+        message: 'That date has not been changed'
+      });
+    }
+
+    const before = occurrenceTiming(event, date);
+    event.recurrence.exceptions.pull(exception._id);
+    const offers = fillFromWaitlist(event, date);
+    event.updatedBy = req.user.id;
+    await event.save();
+    notifyOccurrenceAttendees(event, date, before);
+    notifyOffers(event, offers).catch((error) => console.error('Error notifying waitlist:', error.message));
+    await logSeriesChange(req, event, `Restored ${event.title} on ${date}`, { occurrence: date });
+
+    res.json({
+      success: true,
+      message: 'That date now follows the series again'
+    });
+
+  } catch (error) {
+    console.error('Restore occurrence error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while restoring the occurrence',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Get events for organisers, in any status
+ * Ministry leaders without the permission see their ministries' events.
+ * @route GET /api/events/manage
+ * @access Private (Admin/Staff/Ministry leader)
+ */
+const getManagedEvents = async (req, res) => {
+  try {
+    const { status, search, limit = 20, page = 1 } = req.query;
+    const query = {};
+
+    if (req.permissionScope === 'owner') {
+      query.ministry = { $in: await ledMinistryIds(req.user) };
+    }
+    if (status && status !== 'all') {
+      query.status = status;
+    }
+    if (search) {
+      query.title = { $regex: search, $options: 'i' };
+    }
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const [events, total] = await Promise.all([
+      Event.find(query)
+        .select('-attendees -waitlist')
+        .populate('ministry', 'name')
+        .sort({ startDate: -1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      Event.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      data: events,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(total / parseInt(limit)),
+        totalItems: total,
+        itemsPerPage: parseInt(limit)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get managed events error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching events',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Get an event's occurrences over a window (default: the next 90 days),
+ * including cancelled ones
+ * @route GET /api/events/manage/:id/occurrences
+ * @access Private (Admin/Staff/Ministry leader)
+ */
+const getEventOccurrences = async (req, res) => {
+  try {
+    const from = req.query.from || dayKey(new Date());
+    const to = req.query.to || addDays(isDayKey(from) ? from : dayKey(new Date()), 90);
+    const problem = windowProblem(from, to);
+    if (problem) {
+      return res.status(400).json({
+        success: false,
+        message: problem
+      });
+    }
+
+    const event = await Event.findById(req.params.id);
+
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: expandEvent(event, from, to, { includeCancelled: true }),
+      window: { from, to }
+    });
+
+  } catch (error) {
+    console.error('Get event occurrences error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching occurrences',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
 /**
  * Get featured events
  * @route GET /api/events/featured
@@ -376,19 +908,28 @@ const getFeaturedEvents = async (req, res) => {
 };
 
 /**
- * Get upcoming events
+ * Get upcoming events, with recurring ones expanded into their occurrences
+ * over the next `days` (default 60)
  * @route GET /api/events/upcoming
  * @access Public
  */
 const getUpcomingEvents = async (req, res) => {
   try {
-    const { limit = 10 } = req.query;
+    const { limit = 10, days = 60 } = req.query;
+    const now = new Date();
+    const from = dayKey(now);
+    const to = addDays(from, Math.min(Math.max(parseInt(days) || 60, 1), 366));
 
-    const events = await Event.findUpcoming(parseInt(limit));
+    // Each occurrence of a recurring event is listed on its own date
+    const events = await Event.find({ status: 'Published', ...windowFilter(from, to) })
+      .populate('ministry', 'name slug');
+    const occurrences = expandEvents(events, from, to)
+      .filter((occurrence) => occurrence.endDate >= now)
+      .slice(0, parseInt(limit) || 10);
 
     res.json({
       success: true,
-      data: events
+      data: occurrences
     });
 
   } catch (error) {
@@ -401,15 +942,196 @@ const getUpcomingEvents = async (req, res) => {
   }
 };
 
+/**
+ * Work out who a registration is for: the caller, or a child in their
+ * household passed as `memberId`
+ * @returns {Promise<string|null>} User ID, or null if the caller may not act for them
+ */
+const resolveRegistrant = async (req) => {
+  const memberId = (req.body && req.body.memberId) || req.query.memberId;
+  if (!memberId) return req.user.id;
+  return (await Household.canActFor(req.user.id, memberId)) ? String(memberId) : null;
+};
+
+/**
+ * Work out which occurrence a registration is for: the `occurrence` date
+ * for a recurring event, null for a one-off event
+ * @returns {{ occurrence: string|null }|{ problem: string }}
+ */
+const resolveOccurrence = (event, req) => {
+  if (!isRecurring(event)) return { occurrence: null };
+  const occurrence = (req.body && req.body.occurrence) || req.query.occurrence;
+  return isOccurrence(event, occurrence)
+    ? { occurrence }
+    : { problem: 'Choose which date of this event to register for' };
+};
+
+const isRegistrationFor = (attendee, registrant, occurrence) => isRegistrant(attendee, registrant)
+  && (attendee.occurrence || null) === occurrence
+  && attendee.status !== 'Cancelled';
+
+// What a registration can say beyond who it is for: guests and the RSVP form's details
+const REGISTRATION_DETAILS = [
+  'guests', 'dietaryRestrictions', 'accessibilityNeeds', 'transportation',
+  'pickupLocation', 'volunteerAreas', 'emergencyContact', 'newsletter', 'notes'
+];
+
+const registrationDetails = (body = {}) => REGISTRATION_DETAILS.reduce((details, field) => (
+  body[field] === undefined ? details : { ...details, [field]: body[field] }
+), { guestCount: parseInt(body.guestCount) || 0 });
+
+const ticketChoice = (body = {}) => ({ ticketType: body.ticketType, promoCode: body.promoCode });
+
+// Registrations racing for the same event are retried on a fresh copy
+const REGISTRATION_ATTEMPTS = 5;
+
+/**
+ * One attempt at placeRegistration. Places are counted in memory, so the
+ * save is version-checked: if another registration saved the event since
+ * it was loaded, this throws a VersionError and nothing is written.
+ */
+const attemptRegistration = async (event, occurrence, registrant, details, choice) => {
+  const timing = occurrenceTiming(event, occurrence || dayKey(event.startDate));
+
+  // Check if event allows registration
+  if (!event.requiresRegistration || event.status !== 'Published' || timing.cancelled) {
+    return { problem: 'Registration is not available for this event' };
+  }
+
+  // Check if registration is still open; a series' deadline is its first date's
+  if ((!occurrence && event.registrationDeadline && new Date() > event.registrationDeadline) || new Date() >= timing.startDate) {
+    return { problem: 'Registration deadline has passed' };
+  }
+
+  if (details.guestCount > event.maxGuestsPerRegistration) {
+    return { problem: `You can bring up to ${event.maxGuestsPerRegistration} guests to this event` };
+  }
+
+  // Check if user is already registered
+  if (occurrenceAttendees(event, occurrence).some((attendee) => isRegistrationFor(attendee, registrant, occurrence))) {
+    return { problem: 'You are already registered for this event' };
+  }
+
+  const priced = priceTicket(event, { ...choice, guestCount: details.guestCount }, occurrence);
+  if (priced.problem) return { problem: priced.problem };
+  const { ticket } = priced;
+
+  // Lapsed offers pass on first, so places are counted as they stand now
+  const offers = fillFromWaitlist(event, occurrence);
+  const entry = findWaitlistEntry(event, occurrence, registrant);
+  const finish = async (claimed) => {
+    await event.increment().save();
+    notifyOffers(event, offers.filter((offer) => offer !== claimed))
+      .catch((error) => console.error('Error notifying waitlist:', error.message));
+  };
+
+  if (entry && entry.status === 'Waiting') {
+    await finish();
+    return { problem: `You are already on the waitlist (number ${waitlistPosition(event, occurrence, registrant)})` };
+  }
+  if (entry && partySize(details) > partySize(entry)) {
+    await finish();
+    return { problem: `The place offered to you is for ${partySize(entry)}; register with up to ${entry.guestCount} guests` };
+  }
+
+  // Check capacity; an offer from the waitlist holds its places, and no one
+  // goes ahead of a party still waiting for room
+  const queued = occurrenceWaitlist(event, occurrence).some((item) => item.status === 'Waiting');
+  if (!entry && (queued || placesLeft(event, occurrence) < partySize(details))) {
+    if (!event.waitlistEnabled) {
+      const left = placesLeft(event, occurrence);
+      return { problem: left > 0 ? `Only ${left} places are left` : 'Event is at full capacity' };
+    }
+
+    event.waitlist.push({
+      user: registrant.userId,
+      contact: registrant.contact,
+      occurrence: occurrence || undefined,
+      guestCount: details.guestCount,
+      joinedAt: new Date()
+    });
+    await finish();
+    return { waitlisted: true, position: waitlistPosition(event, occurrence, registrant) };
+  }
+
+  if (entry) {
+    entry.status = 'Claimed';
+  }
+
+  // Add user to attendees
+  event.attendees.push({
+    ...details,
+    user: registrant.userId,
+    contact: registrant.contact,
+    occurrence: occurrence || undefined,
+    registeredAt: new Date(),
+    status: 'Registered',
+    paymentStatus: ticket && ticket.amount > 0 ? 'Pending' : 'Not Required',
+    ticket: ticket || undefined,
+    source: registrant.userId ? 'member' : 'rsvp_form'
+  });
+  event.stats.registrations = (event.stats.registrations || 0) + 1;
+  if (ticket) countPromoUse(event, ticket, 1);
+  await finish(entry);
+
+  const attendee = event.attendees[event.attendees.length - 1];
+  exportRegistration(event, attendee);
+  if (attendee.paymentStatus === 'Pending') {
+    return { waitlisted: false, attendee, checkoutUrl: await startTicketCheckout(event, attendee) };
+  }
+  if (ticket) sendTicket(event, attendee).catch((error) => console.error('Error emailing event ticket:', error.message));
+  return { waitlisted: false, attendee };
+};
+
+/**
+ * Register someone for an event or one of its dates, or put them on its
+ * waitlist when there is no room for their party. Member registration and
+ * the public RSVP form both come through here. For a paid event the
+ * registration waits for payment, and checkoutUrl is where to pay.
+ * @param {Document} event - Saved here; reloaded if another registration got in first
+ * @param {string|null} occurrence - From resolveOccurrence
+ * @param {Object} registrant - { userId } for a member; { email, contact } for a visitor
+ * @param {Object} details - From registrationDetails
+ * @param {Object} [choice] - { ticketType, promoCode } for a paid event
+ * @returns {Promise<Object>} { problem } when refused; otherwise { waitlisted, position } or { waitlisted, attendee, checkoutUrl }
+ */
+const placeRegistration = async (event, occurrence, registrant, details, choice = {}) => {
+  let current = event;
+  for (let attempt = 1; ; attempt += 1) {
+    try {
+      return await attemptRegistration(current, occurrence, registrant, details, choice);
+    } catch (error) {
+      if (error.name !== 'VersionError' || attempt === REGISTRATION_ATTEMPTS) throw error;
+      current = await Event.findById(event._id);
+      if (!current) return { problem: 'Event not found' };
+    }
+  }
+};
+
 /**
  * Register for an event
+ * Parents can register a child in their household by sending `memberId`.
+ * Recurring events take registrations per occurrence: send its original
+ * date as `occurrence`. Each occurrence has its own places.
+ * Registrations can bring guests (`guestCount`, `guests`), who take places
+ * too, and carry the RSVP form's details.
+ * When there is no room, the registrant joins the waitlist; someone
+ * offered a place from the waitlist claims it by registering.
+ * Paid events take a `ticketType` and optional `promoCode`; the response's
+ * checkoutUrl is where to pay, and the places are held until then.
  * @route POST /api/events/:id/register
  * @access Private (Member)
  */
 const registerForEvent = async (req, res) => {
   try {
     const { id } = req.params;
-    const userId = req.user.id;
+    const userId = await resolveRegistrant(req);
+    if (!userId) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only register yourself or children in your household'
+      });
+    }
 
     const event = await Event.findById(id);
 
@@ -420,58 +1142,57 @@ const registerForEvent = async (req, res) => {
       });
     }
 
-    // Check if event allows registration
-    if (!event.registration.isRequired && !event.registration.isOpen) {
-      return res.status(400).json({
-        success: false,
-        message: 'Registration is not available for this event'
-      });
-    }
-
-    // Check if registration is still open
-    if (event.registration.deadline && new Date() > event.registration.deadline) {
+    const { occurrence, problem } = resolveOccurrence(event, req);
+    if (problem) {
       return res.status(400).json({
         success: false,
-        message: 'Registration deadline has passed'
+        message: problem
       });
     }
 
-    // Check if user is already registered
-    const isAlreadyRegistered = event.registration.attendees.some(
-      attendee => attendee.user.toString() === userId
-    );
-
-    if (isAlreadyRegistered) {
+    const result = await placeRegistration(event, occurrence, { userId }, registrationDetails(req.body), ticketChoice(req.body));
+    if (result.problem) {
       return res.status(400).json({
         success: false,
-        message: 'You are already registered for this event'
+        message: result.problem
       });
     }
 
-    // Check capacity
-    if (event.capacity && event.registration.attendees.length >= event.capacity) {
-      return res.status(400).json({
-        success: false,
-        message: 'Event is at full capacity'
+    if (result.waitlisted) {
+      return res.status(202).json({
+        success: true,
+        message: 'This event is full, so you have been added to the waitlist. We will let you know if a place opens up.',
+        data: { waitlisted: true, position: result.position }
       });
     }
 
-    // Add user to attendees
-    event.registration.attendees.push({
-      user: userId,
-      registeredAt: new Date(),
-      status: 'registered'
-    });
-
-    await event.save();
-
     res.json({
       success: true,
-      message: 'Successfully registered for the event'
+      message: result.checkoutUrl
+        ? 'Your places are held while you pay for your tickets'
+        : 'Successfully registered for the event',
+      data: {
+        waitlisted: false,
+        checkoutUrl: result.checkoutUrl,
+        ticketReference: result.attendee.ticket.reference
+      }
     });
 
   } catch (error) {
     console.error('Event registration error:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: Object.values(error.errors).map((err) => ({ field: err.path, message: err.message }))
+      });
+    }
     res.status(500).json({
       success: false,
       message: 'Server error during registration',
@@ -481,16 +1202,33 @@ const registerForEvent = async (req, res) => {
 };
 
 /**
- * Unregister from an event
- * @route DELETE /api/events/:id/register
- * @access Private (Member)
+ * RSVP to an event from the public RSVP form, with or without an account
+ * Visitors are known by email: sending the form again for a date they are
+ * on the waitlist for claims a place offered to them. `attendance: "no"`
+ * is thanked and not recorded.
+ * @route POST /api/rsvp
+ * @access Public
  */
-const unregisterFromEvent = async (req, res) => {
+const submitRsvp = async (req, res) => {
   try {
-    const { id } = req.params;
-    const userId = req.user.id;
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
 
-    const event = await Event.findById(id);
+    const { eventId, firstName, lastName, email, phone, attendance = 'yes' } = req.body;
+    if (attendance === 'no') {
+      return res.json({
+        success: true,
+        message: 'Thank you for letting us know. We hope to see you another time!'
+      });
+    }
+
+    const event = await Event.findOne({ _id: eventId, visibility: 'Public' });
 
     if (!event) {
       return res.status(404).json({
@@ -499,25 +1237,165 @@ const unregisterFromEvent = async (req, res) => {
       });
     }
 
-    // Check if user is registered
-    const attendeeIndex = event.registration.attendees.findIndex(
-      attendee => attendee.user.toString() === userId
+    const { occurrence, problem } = resolveOccurrence(event, req);
+    if (problem) {
+      return res.status(400).json({
+        success: false,
+        message: problem
+      });
+    }
+
+    const contact = { firstName, lastName, email: email.toLowerCase(), phone };
+    const result = await placeRegistration(
+      event,
+      occurrence,
+      { email: contact.email, contact },
+      registrationDetails(req.body),
+      ticketChoice(req.body)
     );
+    if (result.problem) {
+      return res.status(400).json({
+        success: false,
+        message: result.problem
+      });
+    }
+
+    const when = describeOccurrence(occurrenceTiming(event, occurrence || dayKey(event.startDate)).startDate);
+    const party = result.waitlisted ? '' : ` (${partySize(result.attendee)} ${partySize(result.attendee) === 1 ? 'person' : 'people'})`;
+    NotificationService.sendToUser(
+      event.organizer,
+      result.waitlisted ? 'New RSVP on the waitlist' : 'New RSVP',
+      `${firstName} ${lastName} ${result.waitlisted ? 'joined the waitlist for' : 'RSVPed for'} ${event.title} on ${when}${party}.`,
+      'event',
+      { eventId: event._id, occurrence }
+    ).catch((error) => console.error('Error notifying event organiser:', error.message));
+    // Ticketed registrations are confirmed by their ticket, once paid for
+    if (result.waitlisted || !result.attendee.ticket.reference) {
+      emailNotificationService.sendCustomNotification(
+        { name: firstName, email: contact.email },
+        result.waitlisted ? `You are on the waitlist for ${event.title}` : `You are registered for ${event.title}`,
+        result.waitlisted
+          ? `${event.title} on ${when} is full, so you are number ${result.position} on the waitlist. We will email you if a place opens up.`
+          : `Thank you for your RSVP to ${event.title} on ${when}${party}. We look forward to seeing you!`,
+        `${process.env.FRONTEND_URL}/events/${event._id}${occurrence ? `?occurrence=${occurrence}` : ''}`,
+        'View Event'
+      ).catch((error) => console.error('Error emailing RSVP confirmation:', error.message));
+    }
 
-    if (attendeeIndex === -1) {
+    res.status(result.waitlisted ? 202 : 201).json({
+      success: true,
+      message: result.waitlisted
+        ? 'This event is full, so you have been added to the waitlist. We will email you if a place opens up.'
+        : result.checkoutUrl ? 'Your places are held while you pay for your tickets' : 'RSVP submitted successfully!',
+      data: {
+        waitlisted: result.waitlisted,
+        position: result.position,
+        checkoutUrl: result.checkoutUrl,
+        ticketReference: result.attendee && result.attendee.ticket.reference
+      }
+    });
+
+  } catch (error) {
+    console.error('RSVP error:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: Object.values(error.errors).map((err) => ({ field: err.path, message: err.message }))
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Failed to submit RSVP.',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Unregister from an event, or leave its waitlist
+ * Takes the same optional `memberId` and `occurrence` (query string) as registration.
+ * The freed place is offered to the next person on the waitlist. Paid
+ * tickets are refunded up to EVENT_TICKETS.REFUND_CUTOFF_HOURS before the date.
+ * @route DELETE /api/events/:id/register
+ * @access Private (Member)
+ */
+const unregisterFromEvent = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const userId = await resolveRegistrant(req);
+    if (!userId) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only unregister yourself or children in your household'
+      });
+    }
+
+    const event = await Event.findById(id);
+
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found'
+      });
+    }
+
+    const { occurrence, problem } = resolveOccurrence(event, req);
+    if (problem) {
+      return res.status(400).json({
+        success: false,
+        message: problem
+      });
+    }
+
+    // Check if user is registered
+    const attendeeIndex = event.attendees.findIndex(
+      (attendee) => isRegistrationFor(attendee, { userId }, occurrence)
+    );
+    const entry = attendeeIndex === -1 ? findWaitlistEntry(event, occurrence, { userId }) : null;
+
+    if (attendeeIndex === -1 && !entry) {
       return res.status(400).json({
         success: false,
         message: 'You are not registered for this event'
       });
     }
 
-    // Remove user from attendees
-    event.registration.attendees.splice(attendeeIndex, 1);
+    const attendee = entry ? null : event.attendees[attendeeIndex];
+    const refund = Boolean(attendee && attendee.paymentStatus === 'Paid' && isRefundable(event, attendee));
+    if (entry) {
+      entry.status = 'Left';
+    } else if (attendee.ticket.reference) {
+      // Ticketed registrations are kept, cancelled, as the record of their payment
+      releaseRegistration(event, attendee, attendee.paymentStatus === 'Pending' ? 'Cancelled before payment' : undefined);
+    } else {
+      // Remove user from attendees
+      event.attendees.splice(attendeeIndex, 1);
+      event.stats.registrations = Math.max((event.stats.registrations || 1) - 1, 0);
+    }
+    const offers = fillFromWaitlist(event, occurrence);
     await event.save();
+    notifyOffers(event, offers).catch((error) => console.error('Error notifying waitlist:', error.message));
+    const refunded = refund && await refundTicket(event, attendee);
+
+    let message = entry ? 'You have left the waitlist' : 'Successfully unregistered from the event';
+    if (refund) {
+      message += refunded
+        ? '. Your ticket will be refunded.'
+        : '. We could not start your refund; the church office will be in touch.';
+    } else if (attendee && attendee.paymentStatus === 'Paid') {
+      message += `. Tickets are not refunded within ${EVENT_TICKETS.REFUND_CUTOFF_HOURS} hours of the event.`;
+    }
 
     res.json({
       success: true,
-      message: 'Successfully unregistered from the event'
+      message
     });
 
   } catch (error) {
@@ -530,17 +1408,82 @@ const unregisterFromEvent = async (req, res) => {
   }
 };
 
+/**
+ * The caller's registrations and waitlist places for an event
+ * Takes the same optional `memberId` (query string) as registration.
+ * @route GET /api/events/:id/register
+ * @access Private (Member)
+ */
+const getMyRegistration = async (req, res) => {
+  try {
+    const userId = await resolveRegistrant(req);
+    if (!userId) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only view yourself or children in your household'
+      });
+    }
+
+    const event = await Event.findById(req.params.id).select('recurrence startDate attendees waitlist');
+
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found'
+      });
+    }
+
+    const now = new Date();
+    const waitlist = event.waitlist
+      .filter((entry) => isRegistrant(entry, { userId })
+        && (entry.status === 'Waiting' || (entry.status === 'Offered' && entry.offerExpiresAt > now)))
+      .map((entry) => ({
+        occurrence: entry.occurrence || null,
+        status: entry.status,
+        guestCount: entry.guestCount,
+        position: entry.status === 'Waiting' ? waitlistPosition(event, entry.occurrence || null, { userId }) : null,
+        offerExpiresAt: entry.status === 'Offered' ? entry.offerExpiresAt : null
+      }));
+
+    res.json({
+      success: true,
+      data: {
+        registrations: event.attendees
+          .filter((attendee) => isRegistrant(attendee, { userId }) && attendee.status !== 'Cancelled')
+          .map((attendee) => ({
+            occurrence: attendee.occurrence || null,
+            status: attendee.status,
+            guestCount: attendee.guestCount,
+            paymentStatus: attendee.paymentStatus,
+            ticketReference: attendee.ticket.reference || null
+          })),
+        waitlist
+      }
+    });
+
+  } catch (error) {
+    console.error('Get registration error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching registration',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
 /**
  * Get event attendees (Admin only)
+ * For a recurring event, pass `occurrence` for one date's attendees.
  * @route GET /api/events/:id/attendees
  * @access Private (Admin/Staff)
  */
 const getEventAttendees = async (req, res) => {
   try {
     const { id } = req.params;
+    const { occurrence } = req.query;
 
     const event = await Event.findById(id)
-      .populate('registration.attendees.user', 'firstName lastName email phone');
+      .populate('attendees.user', 'name email phone');
 
     if (!event) {
       return res.status(404).json({
@@ -549,13 +1492,26 @@ const getEventAttendees = async (req, res) => {
       });
     }
 
+    if (occurrence !== undefined && !isOccurrence(event, occurrence)) {
+      return res.status(400).json({
+        success: false,
+        message: 'This event does not take place on that date'
+      });
+    }
+
+    const attendees = occurrence === undefined
+      ? event.attendees
+      : event.attendees.filter((attendee) => (attendee.occurrence || null) === (isRecurring(event) ? occurrence : null));
+
     res.json({
       success: true,
       data: {
         eventTitle: event.title,
-        totalAttendees: event.registration.attendees.length,
-        capacity: event.capacity,
-        attendees: event.registration.attendees
+        occurrence: occurrence || null,
+        totalAttendees: attendees.filter((attendee) => attendee.status !== 'Cancelled').length,
+        totalPlaces: attendees.filter((attendee) => attendee.status !== 'Cancelled').reduce((total, attendee) => total + partySize(attendee), 0),
+        capacity: event.maxAttendees,
+        attendees
       }
     });
 
@@ -569,6 +1525,567 @@ const getEventAttendees = async (req, res) => {
   }
 };
 
+/**
+ * Get an event's waitlist in order, with who has been offered a place
+ * For a recurring event, pass `occurrence` for one date's waitlist.
+ * Entries that were claimed, lapsed or withdrawn follow the open ones.
+ * @route GET /api/events/:id/waitlist
+ * @access Private (Admin/Staff)
+ */
+const getEventWaitlist = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const event = await Event.findById(id).populate('waitlist.user', 'name email phone');
+
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found'
+      });
+    }
+
+    const recurring = isRecurring(event);
+    const { occurrence = null } = req.query;
+    if (recurring ? !isOccurrence(event, occurrence) : occurrence !== null) {
+      return res.status(400).json({
+        success: false,
+        message: recurring ? 'Choose which date of this event to show' : 'This event does not take place on that date'
+      });
+    }
+
+    const open = occurrenceWaitlist(event, occurrence);
+    const closed = event.waitlist
+      .filter((entry) => !open.includes(entry) && (entry.occurrence || null) === occurrence)
+      .sort((a, b) => b.joinedAt - a.joinedAt);
+    let position = 0;
+
+    res.json({
+      success: true,
+      data: {
+        eventTitle: event.title,
+        occurrence,
+        capacity: event.maxAttendees,
+        registered: placesTaken(event, occurrence),
+        placesLeft: event.maxAttendees ? placesLeft(event, occurrence) : null,
+        claimHours: event.waitlistClaimHours,
+        waitlist: [...open, ...closed].map((entry) => ({
+          ...entry.toObject(),
+          position: entry.status === 'Waiting' ? (position += 1) : null
+        }))
+      }
+    });
+
+  } catch (error) {
+    console.error('Get event waitlist error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching waitlist',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Record whether a registered person came
+ * @route PATCH /api/events/:id/attendees/:attendeeId
+ * @access Private (Admin/Staff/Volunteer)
+ */
+const updateAttendance = async (req, res) => {
+  try {
+    const { id, attendeeId } = req.params;
+    const { status } = req.body;
+
+    if (!ATTENDANCE_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Status must be one of ${ATTENDANCE_STATUSES.join(', ')}`
+      });
+    }
+
+    const event = await Event.findById(id);
+    const attendee = event && event.attendees.id(attendeeId);
+
+    if (!attendee) {
+      return res.status(404).json({
+        success: false,
+        message: 'Registration not found'
+      });
+    }
+
+    attendee.status = status;
+    event.stats.attendance = event.attendees.filter((entry) => entry.status === 'Attended').length;
+    await event.save();
+
+    res.json({
+      success: true,
+      message: 'Attendance updated',
+      data: attendee
+    });
+
+  } catch (error) {
+    console.error('Update attendance error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating attendance',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * A ticket, by its reference, with its QR code once paid for. Someone back
+ * from checkout before the provider's webhook sees their payment checked
+ * with the provider. The reference is the proof of purchase, as on the
+ * emailed ticket.
+ * @route GET /api/events/tickets/:reference
+ * @access Public
+ */
+const getTicket = async (req, res) => {
+  try {
+    const { reference } = req.params;
+    const event = await Event.findOne({ 'attendees.ticket.reference': reference });
+    const attendee = event && event.attendees.find((item) => item.ticket.reference === reference);
+
+    if (!attendee) {
+      return res.status(404).json({
+        success: false,
+        message: 'Ticket not found'
+      });
+    }
+
+    await refreshTicket(event, attendee);
+
+    res.json({
+      success: true,
+      data: {
+        ...(await ticketSummary(event, attendee)),
+        testPayments: attendee.ticket.provider === PAYMENT_PROVIDERS.FAKE
+          && process.env.PAYMENT_PROVIDER === PAYMENT_PROVIDERS.FAKE && process.env.NODE_ENV !== 'production'
+      }
+    });
+
+  } catch (error) {
+    console.error('Get ticket error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching ticket',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Complete or decline a test checkout, for tickets paid with the fake
+ * provider. The outcome arrives as a signed webhook, like a real payment.
+ * Only the ticket's holder may use it: the member it belongs to, or the
+ * signed-in member whose email is on a visitor's ticket.
+ * @route POST /api/events/tickets/:reference/test-payment
+ * @access Private (ticket holder; mounted only with the fake provider)
+ */
+const sendTestTicketPayment = async (req, res) => {
+  try {
+    const { reference } = req.params;
+    const { outcome } = req.body;
+    if (!['paid', 'failed'].includes(outcome)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Outcome must be paid or failed'
+      });
+    }
+
+    const event = await Event.findOne({ 'attendees.ticket.reference': reference });
+    const attendee = event && event.attendees.find((item) => item.ticket.reference === reference
+      && item.ticket.provider === PAYMENT_PROVIDERS.FAKE);
+    const holder = attendee && (attendee.user
+      ? String(attendee.user) === String(req.user.id)
+      : Boolean(attendee.contact) && attendee.contact.email === String(req.user.email).toLowerCase());
+
+    if (!holder) {
+      return res.status(404).json({
+        success: false,
+        message: 'Ticket not found'
+      });
+    }
+
+    const provider = payments.getProvider(PAYMENT_PROVIDERS.FAKE);
+    const { rawBody, headers } = provider.buildWebhook(reference, outcome, {
+      amount: attendee.ticket.amount,
+      currency: attendee.ticket.currency
+    });
+    await payments.handleWebhook(PAYMENT_PROVIDERS.FAKE, rawBody, headers);
+
+    res.json({
+      success: true,
+      message: 'Test payment sent'
+    });
+
+  } catch (error) {
+    console.error('Test ticket payment error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to send test payment'
+    });
+  }
+};
+
+/**
+ * Check in a ticket holder by scanning their ticket's QR code. A ticket
+ * still waiting for payment, cancelled or already used is refused.
+ * @route POST /api/events/:id/tickets/check-in
+ * @access Private (Admin/Staff/Volunteer)
+ */
+const checkInTicket = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const scanned = verifyTicketToken(req.body.token);
+    if (scanned.error || scanned.eventId !== id) {
+      return res.status(400).json({
+        success: false,
+        message: scanned.error ? 'This is not a valid ticket' : 'This ticket is for a different event'
+      });
+    }
+
+    const event = await Event.findById(id).populate('attendees.user', 'name');
+    const attendee = event && event.attendees.id(scanned.attendeeId);
+
+    if (!attendee) {
+      return res.status(404).json({
+        success: false,
+        message: 'Registration not found'
+      });
+    }
+
+    const holder = attendee.contact && attendee.contact.email
+      ? `${attendee.contact.firstName} ${attendee.contact.lastName || ''}`.trim()
+      : (attendee.user && attendee.user.name) || 'This member';
+    const ticket = {
+      holder,
+      name: attendee.ticket.name,
+      people: partySize(attendee),
+      occurrence: attendee.occurrence || null,
+      paymentStatus: attendee.paymentStatus
+    };
+    let problem = null;
+    if (attendee.status === 'Cancelled') problem = 'This ticket was cancelled';
+    else if (attendee.paymentStatus === 'Pending') problem = 'This ticket has not been paid for';
+    else if (attendee.paymentStatus === 'Refunded') problem = 'This ticket was refunded';
+    else if (attendee.occurrence && attendee.occurrence !== dayKey(new Date())) problem = `This ticket is for ${describeOccurrence(occurrenceTiming(event, attendee.occurrence).startDate)}`;
+    if (problem) {
+      return res.status(400).json({
+        success: false,
+        message: problem,
+        data: ticket
+      });
+    }
+    if (attendee.status === 'Attended') {
+      return res.status(409).json({
+        success: false,
+        message: `${holder} has already checked in`,
+        data: ticket
+      });
+    }
+
+    attendee.status = 'Attended';
+    event.stats.attendance = event.attendees.filter((entry) => entry.status === 'Attended').length;
+    event.depopulate('attendees.user');
+    await event.save();
+
+    res.json({
+      success: true,
+      message: `${holder} checked in (${ticket.people} ${ticket.people === 1 ? 'person' : 'people'})`,
+      data: ticket
+    });
+
+  } catch (error) {
+    console.error('Ticket check-in error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during ticket check-in',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Cancel a registration and refund its ticket, whatever the refund cutoff.
+ * The freed places go to the waitlist.
+ * @route POST /api/events/:id/attendees/:attendeeId/refund
+ * @access Private (Admin/Staff)
+ */
+const refundAttendee = async (req, res) => {
+  try {
+    const { id, attendeeId } = req.params;
+    const event = await Event.findById(id);
+    const attendee = event && event.attendees.id(attendeeId);
+
+    if (!attendee) {
+      return res.status(404).json({
+        success: false,
+        message: 'Registration not found'
+      });
+    }
+
+    if (attendee.paymentStatus !== 'Paid' || attendee.ticket.refundRequestedAt) {
+      return res.status(400).json({
+        success: false,
+        message: attendee.paymentStatus === 'Paid' ? 'A refund has already been requested' : 'Only paid tickets can be refunded'
+      });
+    }
+
+    let offers = [];
+    if (attendee.status !== 'Cancelled') {
+      releaseRegistration(event, attendee);
+      offers = fillFromWaitlist(event, attendee.occurrence || null);
+    }
+    await event.save();
+    notifyOffers(event, offers).catch((error) => console.error('Error notifying waitlist:', error.message));
+
+    if (!(await refundTicket(event, attendee))) {
+      return res.status(502).json({
+        success: false,
+        message: 'The registration was cancelled, but the refund could not be started. Please try again.'
+      });
+    }
+
+    await logActivity({
+      user: req.user.id,
+      action: 'update',
+      targetType: 'Event',
+      targetId: event._id,
+      description: `Refunded ticket ${attendee.ticket.reference} for ${event.title}`,
+      metadata: { attendeeId, amount: attendee.ticket.amount },
+      ip: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+
+    res.json({
+      success: true,
+      message: attendee.paymentStatus === 'Refunded' ? 'Ticket refunded' : 'Refund requested',
+      data: attendee
+    });
+
+  } catch (error) {
+    console.error('Refund attendee error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while refunding ticket',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+const feedWindow = () => {
+  const today = dayKey(new Date());
+  return { from: addDays(today, -FEED_PAST_DAYS), to: addDays(today, FEED_FUTURE_DAYS) };
+};
+
+const sendCalendar = (res, calendar, filename) => {
+  res.set('Content-Type', 'text/calendar; charset=utf-8');
+  res.set('Content-Disposition', `${filename ? 'attachment' : 'inline'}; filename="${filename || 'events.ics'}"`);
+  res.send(calendar);
+};
+
+const personalFeedLinks = (req, token) => {
+  const url = `${req.protocol}://${req.get('host')}${req.baseUrl}/calendar/${token}.ics`;
+  return { url, webcalUrl: url.replace(/^https?:/, 'webcal:') };
+};
+
+/**
+ * Public calendar feed of church events, for subscribing in a calendar app
+ * Narrow it with `category` or `ministry` (ID).
+ * @route GET /api/events/calendar.ics
+ * @access Public
+ */
+const getCalendarFeed = async (req, res) => {
+  try {
+    const { category, ministry } = req.query;
+    const { from, to } = feedWindow();
+    const query = { status: { $in: FEED_STATUSES }, visibility: 'Public', $and: [windowFilter(from, to)] };
+    let name = 'Haven Word Church Events';
+
+    if (category) {
+      if (!Event.schema.path('category').enumValues.includes(category)) {
+        return res.status(400).json({ success: false, message: 'Unknown event category' });
+      }
+      query.category = category;
+      name = `Haven Word Church: ${category}`;
+    }
+
+    if (ministry) {
+      const found = mongoose.isValidObjectId(ministry) && await Ministry.findById(ministry).select('name');
+      if (!found) {
+        return res.status(404).json({ success: false, message: 'Ministry not found' });
+      }
+      query.ministry = found._id;
+      name = `Haven Word Church: ${found.name}`;
+    }
+
+    const events = await Event.find(query).select('-attendees -waitlist').lean();
+    sendCalendar(res, buildCalendar(name, events.flatMap(eventComponents)));
+
+  } catch (error) {
+    console.error('Get calendar feed error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while building calendar feed',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * A member's personal calendar feed: the dates they are registered for
+ * The token in the URL stands in for signing in, as calendar apps cannot.
+ * @route GET /api/events/calendar/:token.ics
+ * @access Public (feed token)
+ */
+const getPersonalCalendarFeed = async (req, res) => {
+  try {
+    const user = await User.findOne({ calendarFeedToken: req.params.token }).select('_id name');
+    if (!user) {
+      return res.status(404).json({ success: false, message: 'Calendar feed not found' });
+    }
+
+    const { from } = feedWindow();
+    const events = await Event.find({
+      status: { $in: FEED_STATUSES },
+      attendees: { $elemMatch: { user: user._id, status: { $ne: 'Cancelled' } } }
+    }).lean();
+
+    // One entry per registered date; a recurring event's other dates are not theirs
+    const components = events.flatMap((event) => {
+      const occurrences = new Set(event.attendees
+        .filter((attendee) => String(attendee.user) === String(user._id) && attendee.status !== 'Cancelled')
+        .map((attendee) => (isRecurring(event) ? attendee.occurrence : null))
+        .filter((occurrence) => occurrence === null || occurrence >= from));
+      return [...occurrences].flatMap((occurrence) => occurrenceComponent(event, occurrence));
+    });
+
+    sendCalendar(res, buildCalendar(`${user.name}: Haven Word Church`, components));
+
+  } catch (error) {
+    console.error('Get personal calendar feed error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while building calendar feed',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Get the caller's personal calendar feed links, creating the feed on first use
+ * @route GET /api/events/calendar/feed
+ * @access Private
+ */
+const getCalendarFeedLink = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select('+calendarFeedToken');
+    if (!user.calendarFeedToken) {
+      user.calendarFeedToken = crypto.randomBytes(24).toString('hex');
+      await user.save();
+    }
+
+    res.json({
+      success: true,
+      data: personalFeedLinks(req, user.calendarFeedToken)
+    });
+
+  } catch (error) {
+    console.error('Get calendar feed link error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching calendar feed',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Replace the caller's personal feed link, so the old one stops working
+ * @route POST /api/events/calendar/feed/reset
+ * @access Private
+ */
+const resetCalendarFeedLink = async (req, res) => {
+  try {
+    const token = crypto.randomBytes(24).toString('hex');
+    await User.updateOne({ _id: req.user.id }, { calendarFeedToken: token });
+
+    await logActivity({
+      user: req.user.id,
+      action: 'update',
+      targetType: 'User',
+      targetId: req.user.id,
+      description: 'Reset personal calendar feed link',
+      ip: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+
+    res.json({
+      success: true,
+      message: 'Calendar feed link reset. Subscribe again with the new link.',
+      data: personalFeedLinks(req, token)
+    });
+
+  } catch (error) {
+    console.error('Reset calendar feed link error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while resetting calendar feed',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Download an event as an .ics file ("Add to calendar")
+ * Pass `occurrence` for one date of a recurring event; without it the
+ * whole series is included.
+ * @route GET /api/events/:identifier/calendar.ics
+ * @access Public
+ */
+const getEventCalendar = async (req, res) => {
+  try {
+    const { identifier } = req.params;
+    const { occurrence } = req.query;
+
+    const event = await (mongoose.isValidObjectId(identifier)
+      ? Event.findById(identifier)
+      : Event.findOne({ slug: identifier })).select('-attendees -waitlist').lean();
+
+    if (!event || !FEED_STATUSES.includes(event.status)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found'
+      });
+    }
+
+    let components;
+    if (occurrence !== undefined) {
+      if (!isRecurring(event) || !isOccurrence(event, occurrence)) {
+        return res.status(404).json({
+          success: false,
+          message: 'This event does not take place on that date'
+        });
+      }
+      components = occurrenceComponent(event, occurrence);
+    } else {
+      components = eventComponents(event);
+    }
+
+    const filename = `${event.slug || event._id}${occurrence ? `-${occurrence}` : ''}.ics`;
+    sendCalendar(res, buildCalendar(event.title, components), filename);
+
+  } catch (error) {
+    console.error('Get event calendar error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while building calendar file',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
 module.exports = {
   getAllEvents,
   getEvent,
@@ -577,7 +2094,23 @@ module.exports = {
   deleteEvent,
   getFeaturedEvents,
   getUpcomingEvents,
+  getManagedEvents,
+  getEventOccurrences,
+  restoreOccurrence,
   registerForEvent,
   unregisterFromEvent,
-  getEventAttendees
+  getMyRegistration,
+  submitRsvp,
+  getEventAttendees,
+  getEventWaitlist,
+  updateAttendance,
+  getTicket,
+  sendTestTicketPayment,
+  checkInTicket,
+  refundAttendee,
+  getCalendarFeed,
+  getPersonalCalendarFeed,
+  getCalendarFeedLink,
+  resetCalendarFeedLink,
+  getEventCalendar
 };
\ No newline at end of file
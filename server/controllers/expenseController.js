@@ -0,0 +1,318 @@
+const mongoose = require('mongoose');
+const Ministry = require('../models/Ministry');
+const MinistryExpense = require('../models/MinistryExpense');
+const { logActivity } = require('../utils/activityLogger');
+const { isMinistryLeader } = require('../utils/permissions');
+const {
+  budgetYear,
+  ledMinistryIds,
+  spendingByMinistry,
+  budgetSummary,
+  alertBudgetThresholds
+} = require('../utils/ministryBudget');
+const { EXPENSE_STATUS, MINISTRY_BUDGET } = require('../../shared/constants');
+
+const populateExpense = (query) => query
+  .populate('ministry', 'name')
+  .populate('requestedBy', 'name email')
+  .populate('reviewedBy', 'name');
+
+const logExpenseChange = (req, expense, action, description, metadata) => logActivity({
+  user: req.user.id,
+  action,
+  targetType: 'MinistryExpense',
+  targetId: expense._id,
+  description,
+  metadata,
+  ip: req.ip,
+  userAgent: req.get('User-Agent')
+});
+
+// Budget managers see every ministry; leaders only the ministries they lead
+const visibleMinistryIds = async (req) => (req.permissionScope === 'all'
+  ? Ministry.distinct('_id')
+  : ledMinistryIds(req.user));
+
+const parseYear = (value) => {
+  if (value === undefined || value === '') return budgetYear(new Date());
+  const year = Number(value);
+  return Number.isInteger(year) && year >= 2000 && year <= 2100 ? year : null;
+};
+
+const parseReceipts = (receipts) => {
+  if (!Array.isArray(receipts) || receipts.length === 0 || receipts.length > MINISTRY_BUDGET.MAX_RECEIPTS) return null;
+  const parsed = receipts.map((receipt) => ({
+    url: String((receipt && receipt.url) || ''),
+    publicId: receipt && receipt.publicId ? String(receipt.publicId) : undefined,
+    fileName: receipt && receipt.fileName ? String(receipt.fileName).slice(0, 200) : undefined,
+    format: receipt && receipt.format ? String(receipt.format).slice(0, 20) : undefined
+  }));
+  return parsed.every((receipt) => /^https?:\/\/\S+$/.test(receipt.url)) ? parsed : null;
+};
+
+const parseExpense = (body, existing) => {
+  const updates = {};
+  const errors = {};
+  if (body.title !== undefined || !existing) {
+    const title = String(body.title || '').trim();
+    if (title && title.length <= 120) updates.title = title;
+    else errors.title = 'Title is required (up to 120 characters)';
+  }
+  if (body.description !== undefined) updates.description = String(body.description).trim().slice(0, 1000);
+  if (body.amount !== undefined || !existing) {
+    const amount = Number(body.amount);
+    if (Number.isFinite(amount) && amount >= 1) updates.amount = Math.round(amount * 100) / 100;
+    else errors.amount = 'Amount must be a positive amount';
+  }
+  if (body.spentOn !== undefined || !existing) {
+    const spentOn = body.spentOn ? new Date(body.spentOn) : null;
+    if (spentOn && !Number.isNaN(spentOn.getTime())) {
+      updates.spentOn = spentOn;
+      updates.year = budgetYear(spentOn);
+    } else {
+      errors.spentOn = 'Enter the date the money was spent';
+    }
+  }
+  if (body.receipts !== undefined || !existing) {
+    const receipts = parseReceipts(body.receipts);
+    if (receipts) updates.receipts = receipts;
+    else errors.receipts = `Attach between 1 and ${MINISTRY_BUDGET.MAX_RECEIPTS} receipts`;
+  }
+  return { updates, errors };
+};
+
+// Lets ministry leaders without MANAGE_MINISTRY_BUDGETS use the expense routes
+exports.leadsAMinistry = async (req) => (await ledMinistryIds(req.user)).length > 0;
+
+// GET /api/expenses/budgets - Budget against actual per ministry for a year
+exports.getBudgets = async (req, res) => {
+  try {
+    const year = parseYear(req.query.year);
+    if (!year) return res.status(400).json({ message: 'Invalid year.' });
+    const ministries = await Ministry.find({ _id: { $in: await visibleMinistryIds(req) } })
+      .select('name leader budget')
+      .sort({ name: 1 });
+    const data = await budgetSummary(ministries, year);
+    const totals = data.reduce((sum, row) => ({
+      budget: sum.budget + (row.budget || 0),
+      approved: sum.approved + row.approved,
+      pending: sum.pending + row.pending
+    }), { budget: 0, approved: 0, pending: 0 });
+    res.json({
+      message: 'Ministry budgets retrieved successfully.',
+      data,
+      year,
+      totals,
+      canManage: req.permissionScope === 'all'
+    });
+  } catch (err) {
+    res.status(500).json({ message: 'Failed to fetch ministry budgets.' });
+  }
+};
+
+// PUT /api/expenses/budgets/:ministryId - Set a ministry's budget for a year
+exports.setBudget = async (req, res) => {
+  try {
+    const ministry = mongoose.isValidObjectId(req.params.ministryId) && await Ministry.findById(req.params.ministryId);
+    if (!ministry) return res.status(404).json({ message: 'Ministry not found.' });
+
+    const errors = {};
+    const year = parseYear(req.body.year);
+    if (!year) errors.year = 'Invalid year';
+    // An empty amount removes the year's own budget, falling back to the annual one
+    const clearing = req.body.amount === null || req.body.amount === '';
+    const amount = Number(req.body.amount);
+    if (!clearing && !(Number.isFinite(amount) && amount >= 0)) errors.amount = 'Budget must be zero or more';
+    if (Object.keys(errors).length) {
+      return res.status(400).json({ message: 'Please correct the highlighted fields.', errors });
+    }
+
+    if (!ministry.budget) ministry.budget = {};
+    const years = (ministry.budget.years || []).filter((entry) => entry.year !== year);
+    if (!clearing) years.push({ year, amount });
+    ministry.budget.years = years.sort((a, b) => a.year - b.year);
+    await ministry.save();
+
+    await logActivity({
+      user: req.user.id,
+      action: 'update',
+      targetType: 'Ministry',
+      targetId: ministry._id,
+      description: `Set ${ministry.name} budget for ${year}`,
+      metadata: { year, amount: clearing ? null : amount },
+      ip: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+    const [data] = await budgetSummary([ministry], year);
+    res.json({ message: `${ministry.name} budget for ${year} saved.`, data });
+  } catch (err) {
+    res.status(500).json({ message: 'Failed to save budget.' });
+  }
+};
+
+// GET /api/expenses - Expense requests, newest first
+exports.getExpenses = async (req, res) => {
+  try {
+    const visible = await visibleMinistryIds(req);
+    const query = { ministry: { $in: visible } };
+    if (req.query.ministry) {
+      if (!visible.some((id) => id.toString() === req.query.ministry)) {
+        return res.status(403).json({ message: 'You can only see expenses for ministries you lead.' });
+      }
+      query.ministry = req.query.ministry;
+    }
+    if (req.query.status) {
+      if (!Object.values(EXPENSE_STATUS).includes(req.query.status)) return res.status(400).json({ message: 'Invalid status.' });
+      query.status = req.query.status;
+    }
+    if (req.query.year) {
+      const year = parseYear(req.query.year);
+      if (!year) return res.status(400).json({ message: 'Invalid year.' });
+      query.year = year;
+    }
+
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+    const [expenses, total] = await Promise.all([
+      populateExpense(MinistryExpense.find(query))
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      MinistryExpense.countDocuments(query)
+    ]);
+    res.json({
+      message: 'Expenses retrieved successfully.',
+      data: expenses,
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+    });
+  } catch (err) {
+    res.status(500).json({ message: 'Failed to fetch expenses.' });
+  }
+};
+
+// POST /api/expenses - Request an expense for a ministry
+exports.createExpense = async (req, res) => {
+  try {
+    const ministry = mongoose.isValidObjectId(req.body.ministry) && await Ministry.findById(req.body.ministry).select('name');
+    if (!ministry) {
+      return res.status(400).json({ message: 'Please correct the highlighted fields.', errors: { ministry: 'Choose a ministry' } });
+    }
+    if (req.permissionScope !== 'all' && !(await isMinistryLeader(req.user, ministry._id))) {
+      return res.status(403).json({ message: 'You can only request expenses for ministries you lead.' });
+    }
+
+    const { updates, errors } = parseExpense(req.body);
+    if (Object.keys(errors).length) {
+      return res.status(400).json({ message: 'Please correct the highlighted fields.', errors });
+    }
+    const expense = await MinistryExpense.create({ ...updates, ministry: ministry._id, requestedBy: req.user.id });
+    await logExpenseChange(req, expense, 'create', `Requested ${ministry.name} expense ${expense.title}`, {
+      amount: expense.amount
+    });
+    res.status(201).json({ message: 'Expense submitted for approval.', data: await populateExpense(MinistryExpense.findById(expense._id)) });
+  } catch (err) {
+    res.status(500).json({ message: 'Failed to submit expense.' });
+  }
+};
+
+// Loads a pending expense the current user requested
+const findOwnPendingExpense = async (req, res) => {
+  const expense = mongoose.isValidObjectId(req.params.id) && await MinistryExpense.findById(req.params.id);
+  if (!expense || expense.requestedBy.toString() !== req.user.id) {
+    res.status(404).json({ message: 'Expense not found.' });
+    return null;
+  }
+  if (expense.status !== EXPENSE_STATUS.PENDING) {
+    res.status(400).json({ message: 'Only a pending expense can be changed.' });
+    return null;
+  }
+  return expense;
+};
+
+// PUT /api/expenses/:id - Change a pending expense
+exports.updateExpense = async (req, res) => {
+  try {
+    const expense = await findOwnPendingExpense(req, res);
+    if (!expense) return;
+
+    const { updates, errors } = parseExpense(req.body, expense);
+    if (Object.keys(errors).length) {
+      return res.status(400).json({ message: 'Please correct the highlighted fields.', errors });
+    }
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({ message: 'Nothing to update.' });
+    }
+    expense.set(updates);
+    await expense.save();
+    await logExpenseChange(req, expense, 'update', `Updated expense ${expense.title}`, { fields: Object.keys(updates) });
+    res.json({ message: 'Expense updated.', data: await populateExpense(MinistryExpense.findById(expense._id)) });
+  } catch (err) {
+    res.status(500).json({ message: 'Failed to update expense.' });
+  }
+};
+
+// DELETE /api/expenses/:id - Withdraw a pending expense
+exports.deleteExpense = async (req, res) => {
+  try {
+    const expense = await findOwnPendingExpense(req, res);
+    if (!expense) return;
+
+    await expense.deleteOne();
+    await logExpenseChange(req, expense, 'delete', `Withdrew expense ${expense.title}`);
+    res.json({ message: 'Expense withdrawn.' });
+  } catch (err) {
+    res.status(500).json({ message: 'Failed to withdraw expense.' });
+  }
+};
+
+// POST /api/expenses/:id/review - Approve or reject a pending expense
+exports.reviewExpense = async (req, res) => {
+  try {
+    const expense = mongoose.isValidObjectId(req.params.id) && await MinistryExpense.findById(req.params.id);
+    if (!expense) return res.status(404).json({ message: 'Expense not found.' });
+    if (expense.status !== EXPENSE_STATUS.PENDING) {
+      return res.status(400).json({ message: 'This expense has already been reviewed.' });
+    }
+    if (expense.requestedBy.toString() === req.user.id) {
+      return res.status(403).json({ message: 'Someone other than the requester must review this expense.' });
+    }
+
+    const { decision } = req.body;
+    const note = String(req.body.note || '').trim().slice(0, 500);
+    if (![EXPENSE_STATUS.APPROVED, EXPENSE_STATUS.REJECTED].includes(decision)) {
+      return res.status(400).json({ message: 'Please correct the highlighted fields.', errors: { decision: 'Approve or reject the expense' } });
+    }
+    if (decision === EXPENSE_STATUS.REJECTED && !note) {
+      return res.status(400).json({ message: 'Please correct the highlighted fields.', errors: { note: 'Say why the expense is rejected' } });
+    }
+
+    const ministry = await Ministry.findById(expense.ministry).select('name leader budget');
+    const before = ministry && decision === EXPENSE_STATUS.APPROVED
+      ? (await spendingByMinistry([ministry._id], expense.year)).get(ministry._id.toString()).approved
+      : 0;
+
+    expense.status = decision;
+    expense.reviewedBy = req.user.id;
+    expense.reviewedAt = new Date();
+    expense.reviewNote = note || undefined;
+    await expense.save();
+
+    const action = decision === EXPENSE_STATUS.APPROVED ? 'approve' : 'reject';
+    await logExpenseChange(req, expense, action, `${decision === EXPENSE_STATUS.APPROVED ? 'Approved' : 'Rejected'} expense ${expense.title}`, {
+      amount: expense.amount,
+      note
+    });
+
+    let alert = null;
+    if (ministry && decision === EXPENSE_STATUS.APPROVED) {
+      alert = await alertBudgetThresholds(ministry, expense.year, before, before + expense.amount);
+    }
+    res.json({
+      message: decision === EXPENSE_STATUS.APPROVED ? 'Expense approved.' : 'Expense rejected.',
+      data: await populateExpense(MinistryExpense.findById(expense._id)),
+      budgetAlert: alert
+    });
+  } catch (err) {
+    res.status(500).json({ message: 'Failed to review expense.' });
+  }
+};
@@ -5,12 +5,21 @@ const User = require('../models/User');
 const Ministry = require('../models/Ministry');
 const Attendance = require('../models/Attendance');
 const Contact = require('../models/Contact');
+const Household = require('../models/Household');
 const fs = require('fs').promises;
+const { createWriteStream } = require('fs');
 const path = require('path');
 const archiver = require('archiver');
 const { Parser } = require('json2csv');
 const xml2js = require('xml2js');
 const { logActivity } = require('../utils/activityLogger');
+const {
+  statementPeriod,
+  findGivers,
+  buildStatement,
+  statementFileName,
+  renderStatementPdf
+} = require('../utils/givingStatement');
 
 /**
  * Content Export Controller for Haven Word Church
@@ -80,6 +89,13 @@ const getExportOptions = async (req, res) => {
           fields: ['user', 'activityType', 'activityTitle', 'attendanceDate', 'checkInTime'],
           estimatedSize: 'Large'
         },
+        {
+          id: 'households',
+          name: 'Household Mailing List',
+          description: 'One row per household, addressed to its primary contact',
+          fields: ['household', 'addressee', 'email', 'phone', 'street', 'city', 'state', 'country', 'adults', 'children'],
+          estimatedSize: 'Small'
+        },
         {
           id: 'contacts',
           name: 'Contact Submissions',
@@ -224,6 +240,71 @@ const createExport = async (req, res) => {
   }
 };
 
+/**
+ * Create a zip of giving statements for every member who gave in a period
+ * @route POST /api/admin/export/giving-statements
+ * @access Private (Admin)
+ */
+const createGivingStatementsExport = async (req, res) => {
+  try {
+    const period = statementPeriod(req.body);
+    if (period.error) {
+      return res.status(400).json({
+        success: false,
+        message: period.error
+      });
+    }
+
+    const label = period.label.toLowerCase().replace(/[^a-z0-9]+/g, '_');
+    const exportJob = {
+      id: `export_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      contentTypes: ['givingStatements'],
+      format: 'pdf',
+      filters: { from: period.from, to: period.to },
+      compress: true,
+      fileName: `haven_word_church_giving_statements_${label}`,
+      status: 'processing',
+      progress: 0,
+      createdAt: new Date(),
+      createdBy: req.user.id,
+      totalItems: 0,
+      processedItems: 0
+    };
+
+    global.exportJobs = global.exportJobs || new Map();
+    global.exportJobs.set(exportJob.id, exportJob);
+
+    processGivingStatementsExport(exportJob, period).catch(error => {
+      console.error('Giving statements export error:', error);
+    });
+
+    await logActivity({
+      user: req.user.id,
+      action: 'export',
+      targetType: 'Donation',
+      description: `Exported giving statements for ${period.label}`,
+      ip: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+
+    res.json({
+      success: true,
+      message: 'Export job created successfully',
+      data: {
+        jobId: exportJob.id,
+        status: exportJob.status
+      }
+    });
+  } catch (error) {
+    console.error('Create giving statements export error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error creating export job',
+      error: error.message
+    });
+  }
+};
+
 /**
  * Get export job status
  * @route GET /api/admin/export/:jobId
@@ -468,6 +549,52 @@ const processExport = async (job) => {
   }
 };
 
+/**
+ * Render each giver's statement into a zip, one PDF at a time
+ */
+const processGivingStatementsExport = async (job, period) => {
+  try {
+    const givers = await findGivers(period);
+    job.totalItems = givers.length;
+
+    const exportDir = path.join(__dirname, '../exports');
+    await fs.mkdir(exportDir, { recursive: true });
+    const filePath = path.join(exportDir, `${job.fileName}.zip`);
+
+    await new Promise((resolve, reject) => {
+      const output = createWriteStream(filePath);
+      const archive = archiver('zip', { zlib: { level: 9 } });
+
+      output.on('close', () => resolve());
+      archive.on('error', (err) => reject(err));
+      archive.pipe(output);
+
+      (async () => {
+        for (const userId of givers) {
+          const statement = await buildStatement(userId, period);
+          if (statement) {
+            archive.append(await renderStatementPdf(statement), { name: statementFileName(statement) });
+          }
+          job.processedItems += 1;
+          job.progress = Math.round((job.processedItems / job.totalItems) * 100);
+        }
+        await archive.finalize();
+      })().catch(reject);
+    });
+
+    job.status = 'completed';
+    job.progress = 100;
+    job.completedAt = new Date();
+    job.filePath = filePath;
+    job.fileSize = (await fs.stat(filePath)).size;
+  } catch (error) {
+    console.error('Giving statements export error:', error);
+    job.status = 'failed';
+    job.error = error.message;
+    throw error;
+  }
+};
+
 /**
  * Get content count for progress tracking
  */
@@ -487,6 +614,8 @@ const getContentCount = async (contentType, filters) => {
       return await Ministry.countDocuments(query);
     case 'attendance':
       return await Attendance.countDocuments(query);
+    case 'households':
+      return await Household.countDocuments(query);
     case 'contacts':
       return await Contact.countDocuments(query);
     default:
@@ -530,6 +659,11 @@ const exportContentType = async (contentType, filters, includeMedia) => {
       return await Attendance.find(query, select)
         .populate('user', 'firstName lastName email')
         .lean();
+    case 'households':
+      return toMailingList(await Household.find(query)
+        .populate('primaryContact', 'name email phone address')
+        .sort({ name: 1 })
+        .lean());
     case 'contacts':
       return await Contact.find(query, select).lean();
     default:
@@ -537,6 +671,28 @@ const exportContentType = async (contentType, filters, includeMedia) => {
   }
 };
 
+/**
+ * Flatten households into mailing rows; the household address wins, else
+ * the primary contact's own address is used
+ */
+const toMailingList = (households) => households.map((household) => {
+  const contact = household.primaryContact || {};
+  const address = household.address && household.address.street ? household.address : (contact.address || {});
+  const count = (role) => household.members.filter((m) => m.role === role).length;
+  return {
+    household: household.name,
+    addressee: contact.name || '',
+    email: contact.email || '',
+    phone: contact.phone || '',
+    street: address.street || '',
+    city: address.city || '',
+    state: address.state || '',
+    country: address.country || '',
+    adults: count('adult'),
+    children: count('child')
+  };
+});
+
 /**
  * Build query based on filters
  */
@@ -716,6 +872,7 @@ const estimateExportTime = (job) => {
 module.exports = {
   getExportOptions,
   createExport,
+  createGivingStatementsExport,
   getExportStatus,
   downloadExport,
   getExportHistory,
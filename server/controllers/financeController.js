@@ -0,0 +1,689 @@
+const mongoose = require('mongoose');
+const { Parser } = require('json2csv');
+const Donation = require('../models/Donation');
+const Fund = require('../models/Fund');
+const OfferingBatch = require('../models/OfferingBatch');
+const BankStatementLine = require('../models/BankStatementLine');
+const User = require('../models/User');
+const { listFunds, renameFundReferences } = require('../utils/funds');
+const { importStatement, autoMatch, bankedBatchIds } = require('../utils/bankReconciliation');
+const { statementPeriod } = require('../utils/givingStatement');
+const { logActivity } = require('../utils/activityLogger');
+const {
+  DONATION_STATUS,
+  DONATION_LIMITS,
+  OFFERING_BATCH,
+  BANK_LINE_STATUS,
+  TIMEZONE
+} = require('../../shared/constants');
+
+const { STATUS } = OFFERING_BATCH;
+const GIVEN = { status: { $in: [DONATION_STATUS.PAID, null] } };
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const round = (amount) => Math.round(amount * 100) / 100;
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+const sameId = (a, b) => Boolean(a && b) && a.toString() === b.toString();
+// Service days are church-local dates
+const startOfDay = (key) => new Date(`${key}T00:00:00${TIMEZONE.UTC_OFFSET}`);
+
+const logFinance = (req, action, targetType, targetId, description, metadata) => logActivity({
+  user: req.user.id,
+  action,
+  targetType,
+  targetId,
+  description,
+  metadata,
+  ip: req.ip,
+  userAgent: req.get('User-Agent')
+});
+
+const invalid = (res, errors) => res.status(400).json({ message: 'Please correct the highlighted fields.', errors });
+
+// GET /api/finance/members?search= - Members to credit envelope gifts to
+exports.searchMembers = async (req, res) => {
+  try {
+    const search = String(req.query.search || '').trim();
+    if (search.length < 2) return res.json({ data: [] });
+    const pattern = new RegExp(escapeRegex(search), 'i');
+    const members = await User.find({ $or: [{ name: pattern }, { email: pattern }, { phone: pattern }] })
+      .select('name email phone')
+      .sort({ name: 1 })
+      .limit(10)
+      .lean();
+    res.json({ data: members });
+  } catch (err) {
+    res.status(500).json({ message: 'Failed to search members.' });
+  }
+};
+
+// ---------------------------------------------------------------------------
+// Donations
+// ---------------------------------------------------------------------------
+
+// GET /api/finance/donations - Every gift, with filters
+exports.getDonations = async (req, res) => {
+  try {
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit, 10) || 25));
+    const { fund, status, source, from, to } = req.query;
+    const search = String(req.query.search || '').trim();
+
+    const query = {};
+    if (fund && fund !== 'all') query.type = fund;
+    if (status && status !== 'all') query.status = status === DONATION_STATUS.PAID ? GIVEN.status : status;
+    if (source === 'online') query.provider = { $exists: true };
+    if (source === 'batch') query.batch = { $exists: true };
+    if (DATE_PATTERN.test(from || '') || DATE_PATTERN.test(to || '')) {
+      query.date = {};
+      if (DATE_PATTERN.test(from || '')) query.date.$gte = startOfDay(from);
+      if (DATE_PATTERN.test(to || '')) query.date.$lt = new Date(startOfDay(to).getTime() + 24 * 60 * 60 * 1000);
+    }
+    if (search) {
+      const pattern = new RegExp(escapeRegex(search), 'i');
+      const members = await User.find({ $or: [{ name: pattern }, { email: pattern }] }).distinct('_id');
+      query.$or = [{ user: { $in: members } }, { reference: pattern }, { chequeNumber: pattern }];
+    }
+
+    const [donations, total, totals] = await Promise.all([
+      Donation.find(query)
+        .select('-checkoutUrl')
+        .populate('user', 'name email')
+        .populate('campaign', 'title')
+        .sort({ date: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      Donation.countDocuments(query),
+      Donation.aggregate([
+        { $match: { ...query, ...(query.status ? {} : GIVEN) } },
+        { $group: { _id: null, total: { $sum: '$amount' } } }
+      ])
+    ]);
+
+    res.json({
+      data: donations,
+      total,
+      totalPages: Math.ceil(total / limit),
+      currentPage: page,
+      totalAmount: totals[0]?.total || 0
+    });
+  } catch (err) {
+    res.status(500).json({ message: 'Failed to load donations.' });
+  }
+};
+
+// ---------------------------------------------------------------------------
+// Funds
+// ---------------------------------------------------------------------------
+
+// GET /api/finance/funds - Every fund, including retired ones, with gift totals
+exports.getFunds = async (req, res) => {
+  try {
+    const funds = await listFunds({ includeRetired: true });
+    const totals = await Donation.aggregate([
+      { $match: { ...GIVEN, type: { $in: funds.map((fund) => fund.name) } } },
+      { $group: { _id: '$type', total: { $sum: '$amount' }, count: { $sum: 1 } } }
+    ]);
+    const byName = new Map(totals.map((row) => [row._id, row]));
+    res.json({
+      data: funds.map((fund) => ({
+        ...fund,
+        total: byName.get(fund.name)?.total || 0,
+        count: byName.get(fund.name)?.count || 0
+      }))
+    });
+  } catch (err) {
+    res.status(500).json({ message: 'Failed to load funds.' });
+  }
+};
+
+const parseFund = (body, existing) => {
+  const updates = {};
+  const errors = {};
+  if (body.name !== undefined || !existing) {
+    const name = String(body.name || '').trim();
+    if (name && name.length <= 60) updates.name = name;
+    else errors.name = 'Name is required (up to 60 characters)';
+  }
+  if (body.description !== undefined) updates.description = String(body.description || '').trim().slice(0, 500);
+  if (body.sortOrder !== undefined) {
+    const sortOrder = Number(body.sortOrder);
+    if (Number.isInteger(sortOrder)) updates.sortOrder = sortOrder;
+    else errors.sortOrder = 'Order must be a whole number';
+  }
+  if (body.active !== undefined) updates.active = Boolean(body.active);
+  return { updates, errors };
+};
+
+// POST /api/finance/funds
+exports.createFund = async (req, res) => {
+  try {
+    const { updates, errors } = parseFund(req.body);
+    if (!errors.name && await Fund.exists({ name: updates.name })) errors.name = 'A fund with this name already exists';
+    if (Object.keys(errors).length) return invalid(res, errors);
+
+    // Create the default funds first so this one does not stand in for them
+    await listFunds();
+    const fund = await Fund.create({ ...updates, createdBy: req.user.id });
+    await logFinance(req, 'create', 'Fund', fund._id, `Created fund ${fund.name}`);
+    res.status(201).json({ message: 'Fund created.', data: fund });
+  } catch (err) {
+    res.status(500).json({ message: 'Failed to create fund.' });
+  }
+};
+
+// PUT /api/finance/funds/:id - Rename, describe, reorder, retire or restore a fund
+exports.updateFund = async (req, res) => {
+  try {
+    const fund = mongoose.isValidObjectId(req.params.id) && await Fund.findById(req.params.id);
+    if (!fund) return res.status(404).json({ message: 'Fund not found.' });
+
+    const { updates, errors } = parseFund(req.body, fund);
+    const renamed = updates.name && updates.name !== fund.name;
+    if (renamed && await Fund.exists({ name: updates.name, _id: { $ne: fund._id } })) {
+      errors.name = 'A fund with this name already exists';
+    }
+    if (updates.active === false && fund.active && await Fund.countDocuments({ active: true }) <= 1) {
+      errors.active = 'At least one fund must stay open for gifts';
+    }
+    if (Object.keys(errors).length) return invalid(res, errors);
+
+    const previousName = fund.name;
+    fund.set(updates);
+    await fund.save();
+    // Gifts, schedules, campaigns and batches refer to the fund by name
+    if (renamed) await renameFundReferences(previousName, fund.name);
+
+    await logFinance(req, 'update', 'Fund', fund._id,
+      renamed ? `Renamed fund ${previousName} to ${fund.name}` : `Updated fund ${fund.name}`,
+      { changes: Object.keys(updates) });
+    res.json({ message: 'Fund updated.', data: fund });
+  } catch (err) {
+    res.status(500).json({ message: 'Failed to update fund.' });
+  }
+};
+
+// ---------------------------------------------------------------------------
+// Offering batches
+// ---------------------------------------------------------------------------
+
+const populateBatch = (query) => query
+  .populate('countedBy', 'name')
+  .populate('submittedBy', 'name')
+  .populate('verifiedBy', 'name')
+  .populate('editors', 'name')
+  .populate('returns.by', 'name')
+  .populate('entries.member', 'name email');
+
+const loadBatch = async (req, res) => {
+  const batch = mongoose.isValidObjectId(req.params.id) && await OfferingBatch.findById(req.params.id);
+  if (!batch) res.status(404).json({ message: 'Batch not found.' });
+  return batch;
+};
+
+/**
+ * Validate a batch's service details and entries
+ * @param {Object} body
+ * @param {Object} [existing]
+ * @returns {Promise<{ updates: Object, errors: Object }>}
+ */
+const parseBatch = async (body, existing) => {
+  const updates = {};
+  const errors = {};
+
+  if (body.serviceDate !== undefined || !existing) {
+    if (DATE_PATTERN.test(body.serviceDate || '') && startOfDay(body.serviceDate) <= new Date()) {
+      updates.serviceDate = startOfDay(body.serviceDate);
+    } else {
+      errors.serviceDate = 'Give the service date (not in the future)';
+    }
+  }
+  if (body.service !== undefined) updates.service = String(body.service || '').trim().slice(0, 80);
+  if (body.event !== undefined) {
+    if (!body.event) updates.event = undefined;
+    else if (mongoose.isValidObjectId(body.event)) updates.event = body.event;
+    else errors.event = 'Invalid event';
+  }
+
+  if (body.entries !== undefined) {
+    if (!Array.isArray(body.entries)) {
+      errors.entries = 'Entries must be a list';
+    } else {
+      // Counting can go to a fund retired since the service, but not to one that does not exist
+      const funds = new Set((await listFunds({ includeRetired: true })).map((fund) => fund.name));
+      updates.entries = body.entries.map((entry, index) => {
+        const amount = round(Number(entry.amount));
+        const parsed = {
+          fund: String(entry.fund || '').trim(),
+          method: entry.method,
+          amount,
+          member: entry.member && (entry.member._id || entry.member),
+          chequeNumber: String(entry.chequeNumber || '').trim() || undefined,
+          bank: String(entry.bank || '').trim() || undefined,
+          note: String(entry.note || '').trim().slice(0, 200) || undefined
+        };
+        const field = (name) => `entries.${index}.${name}`;
+        if (!funds.has(parsed.fund)) errors[field('fund')] = 'Choose a fund';
+        if (!OFFERING_BATCH.METHODS.includes(parsed.method)) errors[field('method')] = 'Choose cash or cheque';
+        if (!Number.isFinite(amount) || amount <= 0 || amount > DONATION_LIMITS.MAX_AMOUNT) {
+          errors[field('amount')] = 'Enter an amount';
+        }
+        if (parsed.member && !mongoose.isValidObjectId(parsed.member)) errors[field('member')] = 'Invalid member';
+        if (parsed.method === 'Cheque' && !parsed.chequeNumber) errors[field('chequeNumber')] = 'Cheques need a number';
+        if (!parsed.member) delete parsed.member;
+        return parsed;
+      });
+    }
+  }
+  return { updates, errors };
+};
+
+// GET /api/finance/batches?status= - Offering batches, newest service first
+exports.getBatches = async (req, res) => {
+  try {
+    const query = {};
+    if (Object.values(STATUS).includes(req.query.status)) query.status = req.query.status;
+    const [batches, banked] = await Promise.all([
+      OfferingBatch.find(query)
+        .select('-entries')
+        .populate('countedBy', 'name')
+        .populate('submittedBy', 'name')
+        .populate('verifiedBy', 'name')
+        .sort({ serviceDate: -1, createdAt: -1 })
+        .limit(200)
+        .lean(),
+      bankedBatchIds()
+    ]);
+    const bankedIds = new Set(banked.map(String));
+    res.json({ data: batches.map((batch) => ({ ...batch, banked: bankedIds.has(batch._id.toString()) })) });
+  } catch (err) {
+    res.status(500).json({ message: 'Failed to load batches.' });
+  }
+};
+
+// GET /api/finance/batches/:id
+exports.getBatch = async (req, res) => {
+  try {
+    const batch = mongoose.isValidObjectId(req.params.id)
+      && await populateBatch(OfferingBatch.findById(req.params.id)).lean();
+    if (!batch) return res.status(404).json({ message: 'Batch not found.' });
+    res.json({ data: batch });
+  } catch (err) {
+    res.status(500).json({ message: 'Failed to load batch.' });
+  }
+};
+
+// POST /api/finance/batches - Start counting a service's offering
+exports.createBatch = async (req, res) => {
+  try {
+    const { updates, errors } = await parseBatch(req.body);
+    if (Object.keys(errors).length) return invalid(res, errors);
+
+    const batch = await OfferingBatch.create({
+      ...updates,
+      countedBy: req.user.id,
+      editors: [req.user.id]
+    });
+    await logFinance(req, 'create', 'OfferingBatch', batch._id,
+      `Started offering batch for ${batch.serviceDate.toDateString()}`, { total: batch.total });
+    res.status(201).json({ message: 'Batch created.', data: batch });
+  } catch (err) {
+    res.status(500).json({ message: 'Failed to create batch.' });
+  }
+};
+
+// PUT /api/finance/batches/:id - Change a draft batch
+exports.updateBatch = async (req, res) => {
+  try {
+    const batch = await loadBatch(req, res);
+    if (!batch) return;
+    if (batch.status !== STATUS.DRAFT) {
+      return res.status(409).json({ message: 'Only draft batches can be changed. Ask the verifier to return it.' });
+    }
+
+    const { updates, errors } = await parseBatch(req.body, batch);
+    if (Object.keys(errors).length) return invalid(res, errors);
+
+    batch.set(updates);
+    if (!batch.editors.some((id) => sameId(id, req.user.id))) batch.editors.push(req.user.id);
+    await batch.save();
+    await logFinance(req, 'update', 'OfferingBatch', batch._id, 'Updated offering batch', { total: batch.total });
+    res.json({ message: 'Batch saved.', data: batch });
+  } catch (err) {
+    res.status(500).json({ message: 'Failed to save batch.' });
+  }
+};
+
+// DELETE /api/finance/batches/:id - Discard a draft batch
+exports.deleteBatch = async (req, res) => {
+  try {
+    const batch = await loadBatch(req, res);
+    if (!batch) return;
+    if (batch.status !== STATUS.DRAFT) return res.status(409).json({ message: 'Only draft batches can be discarded.' });
+
+    await batch.deleteOne();
+    await logFinance(req, 'delete', 'OfferingBatch', batch._id, 'Discarded draft offering batch', { total: batch.total });
+    res.json({ message: 'Batch discarded.' });
+  } catch (err) {
+    res.status(500).json({ message: 'Failed to discard batch.' });
+  }
+};
+
+// POST /api/finance/batches/:id/submit - Hand the count over for verification
+exports.submitBatch = async (req, res) => {
+  try {
+    const batch = await loadBatch(req, res);
+    if (!batch) return;
+    if (batch.status !== STATUS.DRAFT) return res.status(409).json({ message: 'This batch has already been submitted.' });
+    if (batch.entries.length === 0) return res.status(400).json({ message: 'Add at least one entry before submitting.' });
+
+    batch.status = STATUS.SUBMITTED;
+    batch.submittedBy = req.user.id;
+    batch.submittedAt = new Date();
+    await batch.save();
+    await logFinance(req, 'update', 'OfferingBatch', batch._id, 'Submitted offering batch for verification', { total: batch.total });
+    res.json({ message: 'Batch submitted for verification.', data: batch });
+  } catch (err) {
+    res.status(500).json({ message: 'Failed to submit batch.' });
+  }
+};
+
+// POST /api/finance/batches/:id/verify - Second count; records the gifts when it agrees
+exports.verifyBatch = async (req, res) => {
+  try {
+    const batch = await loadBatch(req, res);
+    if (!batch) return;
+    if (batch.status !== STATUS.SUBMITTED) return res.status(409).json({ message: 'Only submitted batches can be verified.' });
+
+    // Two-person rule: nobody who counted or changed the batch may verify it
+    const counters = [batch.countedBy, batch.submittedBy, ...batch.editors];
+    if (counters.some((id) => sameId(id, req.user.id))) {
+      return res.status(403).json({ message: 'Someone who did not count this batch must verify it.' });
+    }
+    const verifiedTotal = round(Number(req.body.total));
+    if (verifiedTotal !== batch.total) {
+      return res.status(400).json({
+        message: 'Your count does not match the batch. Recount, or return the batch to the counters.',
+        errors: { total: 'Does not match the counted total' }
+      });
+    }
+
+    // Claim the batch in one step, so a double submit or a second verifier
+    // cannot record its gifts twice. A batch returned and resubmitted since
+    // it was loaded has a new submittedAt and is not claimed.
+    const verified = await OfferingBatch.findOneAndUpdate(
+      { _id: batch._id, status: STATUS.SUBMITTED, submittedAt: batch.submittedAt },
+      { $set: { status: STATUS.VERIFIED, verifiedBy: req.user.id, verifiedAt: new Date() } },
+      { new: true }
+    );
+    if (!verified) return res.status(409).json({ message: 'This batch has already been verified or was changed. Reload it.' });
+
+    try {
+      await Donation.insertMany(verified.entries.map((entry) => ({
+        user: entry.member,
+        amount: entry.amount,
+        type: entry.fund,
+        method: entry.method,
+        chequeNumber: entry.chequeNumber,
+        date: verified.serviceDate,
+        status: DONATION_STATUS.PAID,
+        paidAt: verified.verifiedAt,
+        batch: verified._id
+      })));
+    } catch (err) {
+      // Put the batch back so it can be verified again
+      await Donation.deleteMany({ batch: verified._id });
+      await OfferingBatch.updateOne(
+        { _id: verified._id, status: STATUS.VERIFIED },
+        { $set: { status: STATUS.SUBMITTED }, $unset: { verifiedBy: 1, verifiedAt: 1 } }
+      );
+      throw err;
+    }
+
+    await logFinance(req, 'approve', 'OfferingBatch', verified._id, 'Verified offering batch', {
+      total: verified.total,
+      entries: verified.entries.length
+    });
+    res.json({ message: 'Batch verified and gifts recorded.', data: verified });
+  } catch (err) {
+    res.status(500).json({ message: 'Failed to verify batch.' });
+  }
+};
+
+// POST /api/finance/batches/:id/return - Send a submitted batch back to the counters
+exports.returnBatch = async (req, res) => {
+  try {
+    const batch = await loadBatch(req, res);
+    if (!batch) return;
+    if (batch.status !== STATUS.SUBMITTED) return res.status(409).json({ message: 'Only submitted batches can be returned.' });
+    const reason = String(req.body.reason || '').trim();
+    if (!reason) return invalid(res, { reason: 'Say what needs to be checked' });
+
+    batch.status = STATUS.DRAFT;
+    batch.returns.push({ by: req.user.id, reason: reason.slice(0, 500) });
+    batch.submittedBy = undefined;
+    batch.submittedAt = undefined;
+    await batch.save();
+    await logFinance(req, 'update', 'OfferingBatch', batch._id, 'Returned offering batch to the counters', { reason });
+    res.json({ message: 'Batch returned to the counters.', data: batch });
+  } catch (err) {
+    res.status(500).json({ message: 'Failed to return batch.' });
+  }
+};
+
+// ---------------------------------------------------------------------------
+// Bank reconciliation
+// ---------------------------------------------------------------------------
+
+// POST /api/finance/reconciliation/import - Import a CSV bank statement (field "statement")
+exports.importBankStatement = async (req, res) => {
+  try {
+    if (!req.file) return res.status(400).json({ message: 'Attach the bank statement as a CSV file.' });
+
+    const result = await importStatement(req.file.buffer.toString('utf8'), {
+      fileName: req.file.originalname,
+      importedBy: req.user.id
+    });
+    if (result.error) return res.status(400).json({ message: result.error });
+
+    const matched = result.lines.length ? await autoMatch(result.lines) : 0;
+    await logFinance(req, 'import', 'BankStatementLine', undefined, `Imported bank statement ${req.file.originalname}`, {
+      imported: result.imported,
+      duplicates: result.duplicates,
+      matched
+    });
+    res.status(201).json({
+      message: `Imported ${result.imported} credit${result.imported === 1 ? '' : 's'}; ${matched} matched automatically.`,
+      data: { imported: result.imported, duplicates: result.duplicates, skipped: result.skipped, matched }
+    });
+  } catch (err) {
+    res.status(500).json({ message: 'Failed to import bank statement.' });
+  }
+};
+
+// GET /api/finance/reconciliation - Statement lines, and verified batches not yet matched to a deposit
+exports.getReconciliation = async (req, res) => {
+  try {
+    const status = Object.values(BANK_LINE_STATUS).includes(req.query.status) ? req.query.status : BANK_LINE_STATUS.UNMATCHED;
+    const [lines, counts, banked] = await Promise.all([
+      BankStatementLine.find({ status })
+        .populate('batches', 'serviceDate service total')
+        .populate({ path: 'donation', select: 'reference amount type user', populate: { path: 'user', select: 'name' } })
+        .populate('matchedBy', 'name')
+        .sort({ date: -1 })
+        .limit(200)
+        .lean(),
+      BankStatementLine.aggregate([{ $group: { _id: '$status', count: { $sum: 1 }, total: { $sum: '$amount' } } }]),
+      bankedBatchIds()
+    ]);
+    const unbanked = await OfferingBatch.find({ status: STATUS.VERIFIED, _id: { $nin: banked } })
+      .select('serviceDate service total')
+      .sort({ serviceDate: -1 })
+      .lean();
+
+    res.json({
+      data: lines.map((line) => {
+        const matchedTotal = line.donation
+          ? line.donation.amount
+          : (line.batches || []).reduce((sum, batch) => sum + batch.total, 0);
+        return { ...line, difference: line.status === BANK_LINE_STATUS.MATCHED ? round(line.amount - matchedTotal) : 0 };
+      }),
+      summary: Object.fromEntries(counts.map((row) => [row._id, { count: row.count, total: row.total }])),
+      unbankedBatches: unbanked
+    });
+  } catch (err) {
+    res.status(500).json({ message: 'Failed to load reconciliation.' });
+  }
+};
+
+// PUT /api/finance/reconciliation/:id - Match a line by hand, ignore it, or undo either
+exports.updateStatementLine = async (req, res) => {
+  try {
+    const line = mongoose.isValidObjectId(req.params.id) && await BankStatementLine.findById(req.params.id);
+    if (!line) return res.status(404).json({ message: 'Statement line not found.' });
+    const { status } = req.body;
+
+    if (status === BANK_LINE_STATUS.UNMATCHED || status === BANK_LINE_STATUS.IGNORED) {
+      line.set({
+        status,
+        batches: [],
+        donation: undefined,
+        matchedAutomatically: false,
+        matchedBy: status === BANK_LINE_STATUS.IGNORED ? req.user.id : undefined,
+        matchedAt: status === BANK_LINE_STATUS.IGNORED ? new Date() : undefined
+      });
+    } else if (status === BANK_LINE_STATUS.MATCHED) {
+      const batchIds = Array.isArray(req.body.batches) ? req.body.batches : [];
+      if (req.body.donation) {
+        const donation = mongoose.isValidObjectId(req.body.donation) && await Donation.findById(req.body.donation).select('_id');
+        if (!donation) return invalid(res, { donation: 'Gift not found' });
+        if (await BankStatementLine.exists({ donation: donation._id, _id: { $ne: line._id } })) {
+          return invalid(res, { donation: 'That gift is already matched to another deposit' });
+        }
+        line.set({ donation: donation._id, batches: [] });
+      } else {
+        if (batchIds.length === 0 || !batchIds.every((id) => mongoose.isValidObjectId(id))) {
+          return invalid(res, { batches: 'Choose the batches in this deposit' });
+        }
+        const batches = await OfferingBatch.find({ _id: { $in: batchIds }, status: STATUS.VERIFIED }).select('_id');
+        if (batches.length !== batchIds.length) return invalid(res, { batches: 'Only verified batches can be matched' });
+        if (await BankStatementLine.exists({ _id: { $ne: line._id }, status: BANK_LINE_STATUS.MATCHED, batches: { $in: batchIds } })) {
+          return invalid(res, { batches: 'One of those batches is already matched to another deposit' });
+        }
+        line.set({ batches: batches.map((batch) => batch._id), donation: undefined });
+      }
+      line.set({ status, matchedAutomatically: false, matchedBy: req.user.id, matchedAt: new Date() });
+    } else {
+      return invalid(res, { status: 'Invalid status' });
+    }
+
+    await line.save();
+    await logFinance(req, 'update', 'BankStatementLine', line._id, `Marked bank credit of ${line.amount} as ${status}`);
+    res.json({ message: 'Statement line updated.', data: line });
+  } catch (err) {
+    res.status(500).json({ message: 'Failed to update statement line.' });
+  }
+};
+
+// POST /api/finance/reconciliation/auto-match - Try automatic matching on every unmatched line again
+exports.rematchStatementLines = async (req, res) => {
+  try {
+    const matched = await autoMatch();
+    res.json({ message: `${matched} line${matched === 1 ? '' : 's'} matched.`, data: { matched } });
+  } catch (err) {
+    res.status(500).json({ message: 'Failed to match statement lines.' });
+  }
+};
+
+// ---------------------------------------------------------------------------
+// Reports
+// ---------------------------------------------------------------------------
+
+// GET /api/finance/reports/funds - Totals per fund by source and month (?year= or ?from=&to=, ?format=csv)
+exports.getFundReport = async (req, res) => {
+  try {
+    const { year, from, to } = req.query;
+    const period = statementPeriod(from || to ? { from, to } : { year: year || new Date().getFullYear() });
+    if (period.error) return res.status(400).json({ message: period.error });
+    const dates = { date: { $gte: period.from, $lt: period.to } };
+
+    const [rows, refunds, pending] = await Promise.all([
+      Donation.aggregate([
+        { $match: { ...GIVEN, ...dates } },
+        {
+          $group: {
+            _id: {
+              fund: '$type',
+              month: { $dateToString: { format: '%Y-%m', date: '$date', timezone: TIMEZONE.NIGERIA } },
+              source: {
+                $switch: {
+                  branches: [
+                    { case: { $gt: ['$provider', null] }, then: 'online' },
+                    { case: { $eq: ['$method', 'Cash'] }, then: 'cash' },
+                    { case: { $eq: ['$method', 'Cheque'] }, then: 'cheque' }
+                  ],
+                  default: 'other'
+                }
+              }
+            },
+            total: { $sum: '$amount' },
+            count: { $sum: 1 }
+          }
+        }
+      ]),
+      Donation.aggregate([
+        { $match: { status: DONATION_STATUS.REFUNDED, ...dates } },
+        { $group: { _id: '$type', total: { $sum: '$amount' }, count: { $sum: 1 } } }
+      ]),
+      OfferingBatch.aggregate([
+        { $match: { status: { $ne: STATUS.VERIFIED }, serviceDate: { $gte: period.from, $lt: period.to } } },
+        { $group: { _id: null, total: { $sum: '$total' }, count: { $sum: 1 } } }
+      ])
+    ]);
+
+    const funds = new Map();
+    const fundFor = (name) => {
+      if (!funds.has(name)) {
+        funds.set(name, { fund: name, total: 0, count: 0, online: 0, cash: 0, cheque: 0, other: 0, refunded: 0, months: {} });
+      }
+      return funds.get(name);
+    };
+    for (const row of rows) {
+      const fund = fundFor(row._id.fund);
+      fund.total += row.total;
+      fund.count += row.count;
+      fund[row._id.source] += row.total;
+      fund.months[row._id.month] = (fund.months[row._id.month] || 0) + row.total;
+    }
+    for (const row of refunds) fundFor(row._id).refunded = row.total;
+
+    const report = [...funds.values()]
+      .map((fund) => ({ ...fund, total: round(fund.total) }))
+      .sort((a, b) => b.total - a.total);
+
+    if (req.query.format === 'csv') {
+      const months = [...new Set(report.flatMap((fund) => Object.keys(fund.months)))].sort();
+      const parser = new Parser({
+        fields: ['fund', 'total', 'count', 'online', 'cash', 'cheque', 'other', 'refunded', ...months]
+      });
+      const csv = parser.parse(report.map(({ months: byMonth, ...fund }) => ({
+        ...fund,
+        ...Object.fromEntries(months.map((month) => [month, round(byMonth[month] || 0)]))
+      })));
+      await logFinance(req, 'export', 'Donation', undefined, `Exported fund report for ${period.label}`);
+      res.setHeader('Content-Type', 'text/csv');
+      res.setHeader('Content-Disposition', `attachment; filename="fund-report-${period.label.toLowerCase().replace(/[^a-z0-9]+/g, '-')}.csv"`);
+      return res.send(csv);
+    }
+
+    res.json({
+      data: report,
+      period: { from: period.from, to: period.to, label: period.label },
+      total: round(report.reduce((sum, fund) => sum + fund.total, 0)),
+      uncountedBatches: { total: pending[0]?.total || 0, count: pending[0]?.count || 0 }
+    });
+  } catch (err) {
+    res.status(500).json({ message: 'Failed to build fund report.' });
+  }
+};
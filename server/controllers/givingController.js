@@ -0,0 +1,553 @@
+const mongoose = require('mongoose');
+const Donation = require('../models/Donation');
+const RecurringGift = require('../models/RecurringGift');
+const PledgeCampaign = require('../models/PledgeCampaign');
+const Pledge = require('../models/Pledge');
+const User = require('../models/User');
+const payments = require('../services/payments');
+const emailNotificationService = require('../services/emailNotificationService');
+const { nextGiftDate } = require('../utils/recurringGiving');
+const { listFunds, isActiveFund } = require('../utils/funds');
+const {
+  statementPeriod,
+  findGivers,
+  buildStatement,
+  statementFileName,
+  renderStatementPdf
+} = require('../utils/givingStatement');
+const { logActivity } = require('../utils/activityLogger');
+const {
+  DONATION_STATUS,
+  DONATION_LIMITS,
+  RECURRING_GIVING,
+  PLEDGE_CAMPAIGN_STATUS
+} = require('../../shared/constants');
+
+const { STATUS } = RECURRING_GIVING;
+const PAID = { status: { $in: [DONATION_STATUS.PAID, null] } };
+
+const isValidAmount = (amount) => Number.isFinite(amount)
+  && amount >= DONATION_LIMITS.MIN_AMOUNT && amount <= DONATION_LIMITS.MAX_AMOUNT;
+const amountError = `Amount must be between ${DONATION_LIMITS.MIN_AMOUNT} and ${DONATION_LIMITS.MAX_AMOUNT} naira.`;
+
+const startOfToday = () => {
+  const today = new Date();
+  today.setHours(0, 0, 0, 0);
+  return today;
+};
+
+// What a schedule gives in an average month
+const monthlyEquivalent = (gift) => (gift.frequency === 'weekly' ? (gift.amount * 52) / 12 : gift.amount);
+
+const findActiveCampaign = (id) => (mongoose.isValidObjectId(id)
+  ? PledgeCampaign.findOne({ _id: id, status: PLEDGE_CAMPAIGN_STATUS.ACTIVE })
+  : null);
+
+/**
+ * Pledged and given totals for campaigns, optionally for one member too
+ * @param {Array<ObjectId>} campaignIds
+ * @param {string} [userId]
+ * @returns {Promise<Map<string, Object>>} campaign id -> { pledged, given, pledgers, myPledge, myGiven }
+ */
+const campaignProgress = async (campaignIds, userId) => {
+  const [pledges, gifts] = await Promise.all([
+    Pledge.find({ campaign: { $in: campaignIds } }).select('campaign user amount').lean(),
+    Donation.aggregate([
+      { $match: { campaign: { $in: campaignIds }, ...PAID } },
+      { $group: { _id: { campaign: '$campaign', user: '$user' }, total: { $sum: '$amount' } } }
+    ])
+  ]);
+
+  const progress = new Map(campaignIds.map((id) => [id.toString(), {
+    pledged: 0, given: 0, pledgers: 0, givers: 0, myPledge: 0, myGiven: 0
+  }]));
+  for (const pledge of pledges) {
+    const entry = progress.get(pledge.campaign.toString());
+    entry.pledged += pledge.amount;
+    entry.pledgers += 1;
+    if (userId && pledge.user.toString() === userId) entry.myPledge = pledge.amount;
+  }
+  for (const row of gifts) {
+    const entry = progress.get(row._id.campaign.toString());
+    entry.given += row.total;
+    entry.givers += 1;
+    if (userId && row._id.user.toString() === userId) entry.myGiven = row.total;
+  }
+  return progress;
+};
+
+const withProgress = async (campaigns, userId) => {
+  const progress = await campaignProgress(campaigns.map((c) => c._id), userId);
+  return campaigns.map((campaign) => {
+    const entry = progress.get(campaign._id.toString());
+    return {
+      ...(campaign.toObject ? campaign.toObject() : campaign),
+      ...entry,
+      percentGiven: Math.min(100, Math.round((entry.given / campaign.targetAmount) * 100)),
+      percentPledged: Math.min(100, Math.round((entry.pledged / campaign.targetAmount) * 100))
+    };
+  });
+};
+
+// GET /api/giving/funds - Funds members can give to
+exports.getFunds = async (req, res) => {
+  try {
+    const funds = await listFunds();
+    res.json({ data: funds.map(({ _id, name, description }) => ({ _id, name, description })) });
+  } catch (err) {
+    res.status(500).json({ message: 'Failed to load funds.' });
+  }
+};
+
+// ---------------------------------------------------------------------------
+// Recurring giving
+// ---------------------------------------------------------------------------
+
+// Loads one of the signed-in member's schedules for the routes below
+exports.loadRecurringGift = async (req, res, next) => {
+  try {
+    const gift = mongoose.isValidObjectId(req.params.id)
+      && await RecurringGift.findOne({ _id: req.params.id, user: req.user.id }).select('+authorization.code');
+    if (!gift) return res.status(404).json({ message: 'Recurring gift not found.' });
+    req.gift = gift;
+    next();
+  } catch (err) {
+    res.status(500).json({ message: 'Failed to load recurring gift.' });
+  }
+};
+
+// GET /api/giving/recurring - My recurring gifts
+exports.getRecurringGifts = async (req, res) => {
+  try {
+    const gifts = await RecurringGift.find({ user: req.user.id, status: { $ne: STATUS.CANCELLED } })
+      .populate('campaign', 'title')
+      .sort({ createdAt: -1 });
+    const active = gifts.filter((gift) => gift.status === STATUS.ACTIVE);
+    res.json({
+      data: gifts,
+      summary: {
+        active: active.length,
+        monthlyTotal: Math.round(active.reduce((sum, gift) => sum + monthlyEquivalent(gift), 0))
+      }
+    });
+  } catch (err) {
+    res.status(500).json({ message: 'Failed to load recurring gifts.' });
+  }
+};
+
+// POST /api/giving/recurring - Set up a schedule; returns checkout for the first gift
+exports.createRecurringGift = async (req, res) => {
+  let gift;
+  try {
+    const amount = Number(req.body.amount);
+    const { frequency, type = 'Tithe' } = req.body;
+    const startDate = req.body.startDate ? new Date(req.body.startDate) : new Date();
+    const endDate = req.body.endDate ? new Date(req.body.endDate) : undefined;
+    const errors = {};
+
+    if (!isValidAmount(amount)) errors.amount = amountError;
+    if (!RECURRING_GIVING.FREQUENCIES.includes(frequency)) errors.frequency = 'Choose weekly or monthly';
+    if (!(await isActiveFund(type))) errors.type = 'Invalid fund';
+    if (Number.isNaN(startDate.getTime()) || startDate < startOfToday()) {
+      errors.startDate = 'Start date cannot be in the past';
+    }
+    if (endDate && (Number.isNaN(endDate.getTime()) || endDate <= startDate)) {
+      errors.endDate = 'End date must be after the start date';
+    }
+    let campaign;
+    if (req.body.campaign) {
+      campaign = await findActiveCampaign(req.body.campaign);
+      if (!campaign) errors.campaign = 'That campaign is not open for gifts';
+    }
+    if (Object.keys(errors).length) {
+      return res.status(400).json({ message: 'Please correct the highlighted fields.', errors });
+    }
+
+    const user = await User.findById(req.user.id).select('name email');
+    gift = await RecurringGift.create({
+      user: user._id,
+      amount: Math.round(amount * 100) / 100,
+      type: campaign ? campaign.type : type,
+      campaign: campaign ? campaign._id : undefined,
+      frequency,
+      startDate,
+      endDate,
+      provider: payments.getProvider().name,
+      email: user.email
+    });
+    const donation = await payments.startCheckout(user, {
+      amount: gift.amount,
+      type: gift.type,
+      campaign: gift.campaign,
+      recurringGift: gift._id
+    });
+
+    res.status(201).json({
+      message: 'Pay your first gift to start the schedule.',
+      data: gift,
+      checkoutUrl: donation.checkoutUrl,
+      reference: donation.reference
+    });
+  } catch (err) {
+    if (gift) await RecurringGift.deleteOne({ _id: gift._id }).catch(() => {});
+    res.status(err.statusCode || 500).json({ message: err.statusCode ? err.message : 'Failed to set up recurring gift.' });
+  }
+};
+
+// POST /api/giving/recurring/:id/checkout - Try the first gift again
+exports.retryRecurringSetup = async (req, res) => {
+  try {
+    if (req.gift.status !== STATUS.PENDING_SETUP) {
+      return res.status(400).json({ message: 'This recurring gift is already set up.' });
+    }
+    const user = await User.findById(req.user.id).select('name email');
+    const donation = await payments.startCheckout(user, {
+      amount: req.gift.amount,
+      type: req.gift.type,
+      campaign: req.gift.campaign,
+      recurringGift: req.gift._id
+    });
+    res.json({ message: 'Checkout started.', checkoutUrl: donation.checkoutUrl, reference: donation.reference });
+  } catch (err) {
+    res.status(err.statusCode || 500).json({ message: err.statusCode ? err.message : 'Failed to start checkout.' });
+  }
+};
+
+// PUT /api/giving/recurring/:id - Change the amount or end date, or pause and resume
+exports.updateRecurringGift = async (req, res) => {
+  try {
+    const { gift } = req;
+    if ([STATUS.CANCELLED, STATUS.ENDED].includes(gift.status)) {
+      return res.status(400).json({ message: 'This recurring gift has finished.' });
+    }
+    const errors = {};
+
+    if (req.body.amount !== undefined) {
+      const amount = Number(req.body.amount);
+      if (isValidAmount(amount)) gift.amount = Math.round(amount * 100) / 100;
+      else errors.amount = amountError;
+    }
+    if (req.body.endDate !== undefined) {
+      const endDate = req.body.endDate ? new Date(req.body.endDate) : undefined;
+      if (endDate && (Number.isNaN(endDate.getTime()) || endDate < startOfToday())) {
+        errors.endDate = 'End date cannot be in the past';
+      } else {
+        gift.endDate = endDate;
+      }
+    }
+    if (req.body.status !== undefined) {
+      if (req.body.status === STATUS.PAUSED && gift.status === STATUS.ACTIVE) {
+        gift.status = STATUS.PAUSED;
+      } else if (req.body.status === STATUS.ACTIVE && gift.status === STATUS.PAUSED) {
+        gift.status = STATUS.ACTIVE;
+        gift.failures = 0;
+        gift.lastFailureReason = undefined;
+      } else if (req.body.status !== gift.status) {
+        errors.status = 'Only an active gift can be paused, and only a paused gift resumed';
+      }
+    }
+    if (Object.keys(errors).length) {
+      return res.status(400).json({ message: 'Please correct the highlighted fields.', errors });
+    }
+
+    if (gift.status === STATUS.ACTIVE) {
+      // Dates missed while paused are skipped, not charged on resuming
+      const now = new Date();
+      if (!gift.nextChargeAt || gift.nextChargeAt <= now) gift.nextChargeAt = nextGiftDate(gift, now);
+      if (!gift.nextChargeAt || (gift.endDate && gift.nextChargeAt > gift.endDate)) {
+        gift.status = STATUS.ENDED;
+        gift.nextChargeAt = undefined;
+      }
+    }
+    await gift.save();
+
+    res.json({ message: 'Recurring gift updated.', data: await RecurringGift.findById(gift._id).populate('campaign', 'title') });
+  } catch (err) {
+    res.status(500).json({ message: 'Failed to update recurring gift.' });
+  }
+};
+
+// DELETE /api/giving/recurring/:id - Stop a schedule and forget its card
+exports.cancelRecurringGift = async (req, res) => {
+  try {
+    const { gift } = req;
+    gift.status = STATUS.CANCELLED;
+    gift.cancelledAt = new Date();
+    gift.nextChargeAt = undefined;
+    gift.authorization = { last4: gift.authorization.last4, brand: gift.authorization.brand };
+    await gift.save();
+    res.json({ message: 'Recurring gift cancelled.' });
+  } catch (err) {
+    res.status(500).json({ message: 'Failed to cancel recurring gift.' });
+  }
+};
+
+// ---------------------------------------------------------------------------
+// Pledge campaigns
+// ---------------------------------------------------------------------------
+
+// GET /api/giving/campaigns - Open campaigns with my pledge and gifts
+exports.getCampaigns = async (req, res) => {
+  try {
+    const campaigns = await PledgeCampaign.find({ status: PLEDGE_CAMPAIGN_STATUS.ACTIVE }).sort({ startDate: -1 });
+    res.json({ data: await withProgress(campaigns, req.user.id) });
+  } catch (err) {
+    res.status(500).json({ message: 'Failed to load campaigns.' });
+  }
+};
+
+// PUT /api/giving/campaigns/:id/pledge - Make, change or withdraw (amount 0) my pledge
+exports.pledgeToCampaign = async (req, res) => {
+  try {
+    const campaign = await findActiveCampaign(req.params.id);
+    if (!campaign) return res.status(404).json({ message: 'Campaign not found.' });
+
+    const amount = Number(req.body.amount);
+    if (!Number.isFinite(amount) || amount < 0 || amount > DONATION_LIMITS.MAX_AMOUNT * 100) {
+      return res.status(400).json({ message: 'Please enter a valid pledge amount.' });
+    }
+    if (amount === 0) {
+      await Pledge.deleteOne({ campaign: campaign._id, user: req.user.id });
+      return res.json({ message: 'Pledge withdrawn.' });
+    }
+
+    const pledge = await Pledge.findOneAndUpdate(
+      { campaign: campaign._id, user: req.user.id },
+      { $set: { amount: Math.round(amount * 100) / 100 } },
+      { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+    );
+    res.json({ message: 'Thank you for your pledge.', data: pledge });
+  } catch (err) {
+    res.status(500).json({ message: 'Failed to save pledge.' });
+  }
+};
+
+// GET /api/giving/campaigns/manage - Every campaign with progress, for staff
+exports.getCampaignsForAdmin = async (req, res) => {
+  try {
+    const query = req.query.status && req.query.status !== 'all' ? { status: req.query.status } : {};
+    const campaigns = await PledgeCampaign.find(query).populate('createdBy', 'name').sort({ createdAt: -1 });
+    const activeGifts = await RecurringGift.find({ status: STATUS.ACTIVE }).select('amount frequency').lean();
+
+    res.json({
+      data: await withProgress(campaigns),
+      recurring: {
+        active: activeGifts.length,
+        monthlyTotal: Math.round(activeGifts.reduce((sum, gift) => sum + monthlyEquivalent(gift), 0))
+      }
+    });
+  } catch (err) {
+    res.status(500).json({ message: 'Failed to load campaigns.' });
+  }
+};
+
+const parseCampaign = async (body, existing) => {
+  const updates = {};
+  const errors = {};
+  if (body.title !== undefined || !existing) {
+    const title = String(body.title || '').trim();
+    if (title && title.length <= 120) updates.title = title;
+    else errors.title = 'Title is required (up to 120 characters)';
+  }
+  if (body.description !== undefined) updates.description = String(body.description).trim().slice(0, 2000);
+  // A campaign can keep a fund that has since been retired
+  if (body.type !== undefined && !(existing && body.type === existing.type)) {
+    if (await isActiveFund(body.type)) updates.type = body.type;
+    else errors.type = 'Invalid fund';
+  }
+  if (body.targetAmount !== undefined || !existing) {
+    const target = Number(body.targetAmount);
+    if (Number.isFinite(target) && target >= 1) updates.targetAmount = target;
+    else errors.targetAmount = 'Target must be a positive amount';
+  }
+  for (const field of ['startDate', 'endDate']) {
+    if (body[field] === undefined) continue;
+    const date = body[field] ? new Date(body[field]) : undefined;
+    if (date && Number.isNaN(date.getTime())) errors[field] = 'Invalid date';
+    else updates[field] = date;
+  }
+  const start = updates.startDate || (existing && existing.startDate);
+  const end = 'endDate' in updates ? updates.endDate : existing && existing.endDate;
+  if (start && end && end <= start) errors.endDate = 'End date must be after the start date';
+  if (body.status !== undefined) {
+    if (Object.values(PLEDGE_CAMPAIGN_STATUS).includes(body.status)) updates.status = body.status;
+    else errors.status = 'Invalid status';
+  }
+  return { updates, errors };
+};
+
+// POST /api/giving/campaigns
+exports.createCampaign = async (req, res) => {
+  try {
+    const { updates, errors } = await parseCampaign(req.body);
+    if (Object.keys(errors).length) {
+      return res.status(400).json({ message: 'Please correct the highlighted fields.', errors });
+    }
+    const campaign = await PledgeCampaign.create({ ...updates, createdBy: req.user.id });
+    await logActivity({
+      user: req.user.id,
+      action: 'create',
+      targetType: 'PledgeCampaign',
+      targetId: campaign._id,
+      description: `Created pledge campaign ${campaign.title}`,
+      ip: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+    res.status(201).json({ message: 'Campaign created.', data: campaign });
+  } catch (err) {
+    res.status(500).json({ message: 'Failed to create campaign.' });
+  }
+};
+
+// PUT /api/giving/campaigns/:id
+exports.updateCampaign = async (req, res) => {
+  try {
+    const campaign = mongoose.isValidObjectId(req.params.id) && await PledgeCampaign.findById(req.params.id);
+    if (!campaign) return res.status(404).json({ message: 'Campaign not found.' });
+
+    const { updates, errors } = await parseCampaign(req.body, campaign);
+    if (Object.keys(errors).length) {
+      return res.status(400).json({ message: 'Please correct the highlighted fields.', errors });
+    }
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({ message: 'Nothing to update.' });
+    }
+    campaign.set(updates);
+    await campaign.save();
+    await logActivity({
+      user: req.user.id,
+      action: 'update',
+      targetType: 'PledgeCampaign',
+      targetId: campaign._id,
+      description: `Updated pledge campaign ${campaign.title}`,
+      metadata: { fields: Object.keys(updates) },
+      ip: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+    res.json({ message: 'Campaign updated.', data: campaign });
+  } catch (err) {
+    res.status(500).json({ message: 'Failed to update campaign.' });
+  }
+};
+
+// GET /api/giving/campaigns/:id/pledges - Who has pledged and given, for staff
+exports.getCampaignPledges = async (req, res) => {
+  try {
+    const campaign = mongoose.isValidObjectId(req.params.id) && await PledgeCampaign.findById(req.params.id);
+    if (!campaign) return res.status(404).json({ message: 'Campaign not found.' });
+
+    const [pledges, gifts] = await Promise.all([
+      Pledge.find({ campaign: campaign._id }).populate('user', 'name email phone').lean(),
+      Donation.aggregate([
+        { $match: { campaign: campaign._id, ...PAID } },
+        { $group: { _id: '$user', given: { $sum: '$amount' }, lastGift: { $max: '$date' } } }
+      ])
+    ]);
+    const givenByUser = new Map(gifts.map((row) => [row._id.toString(), row]));
+    const pledgedIds = new Set(pledges.filter((p) => p.user).map((p) => p.user._id.toString()));
+    // Members who gave without pledging are listed too
+    const unpledged = await User.find({ _id: { $in: gifts.map((row) => row._id).filter((id) => !pledgedIds.has(id.toString())) } })
+      .select('name email phone')
+      .lean();
+
+    const rows = [
+      ...pledges.filter((p) => p.user).map((pledge) => ({ member: pledge.user, pledged: pledge.amount })),
+      ...unpledged.map((member) => ({ member, pledged: 0 }))
+    ].map((row) => {
+      const gift = givenByUser.get(row.member._id.toString());
+      return { ...row, given: gift ? gift.given : 0, lastGift: gift ? gift.lastGift : null };
+    }).sort((a, b) => b.pledged - a.pledged || b.given - a.given);
+
+    res.json({ data: rows });
+  } catch (err) {
+    res.status(500).json({ message: 'Failed to load pledges.' });
+  }
+};
+
+// ---------------------------------------------------------------------------
+// Giving statements
+// ---------------------------------------------------------------------------
+
+const sendStatementPdf = async (res, statement) => {
+  const pdf = await renderStatementPdf(statement);
+  res.set({
+    'Content-Type': 'application/pdf',
+    'Content-Disposition': `attachment; filename="${statementFileName(statement)}"`,
+    'Content-Length': pdf.length
+  });
+  res.send(pdf);
+};
+
+// GET /api/giving/statement - My statement as a PDF (?year= or ?from=&to=)
+exports.getMyStatement = async (req, res) => {
+  try {
+    const period = statementPeriod(req.query);
+    if (period.error) return res.status(400).json({ message: period.error });
+    const statement = await buildStatement(req.user.id, period);
+    if (!statement) return res.status(404).json({ message: 'Member not found.' });
+    await sendStatementPdf(res, statement);
+  } catch (err) {
+    res.status(500).json({ message: 'Failed to create statement.' });
+  }
+};
+
+// GET /api/giving/statements/:userId - A member's statement as a PDF, for staff
+exports.getMemberStatement = async (req, res) => {
+  try {
+    const period = statementPeriod(req.query);
+    if (period.error) return res.status(400).json({ message: period.error });
+    const statement = mongoose.isValidObjectId(req.params.userId) && await buildStatement(req.params.userId, period);
+    if (!statement) return res.status(404).json({ message: 'Member not found.' });
+    await sendStatementPdf(res, statement);
+  } catch (err) {
+    res.status(500).json({ message: 'Failed to create statement.' });
+  }
+};
+
+const emailStatement = async (userId, period) => {
+  const statement = await buildStatement(userId, period);
+  if (!statement) return { success: false, error: 'Member not found' };
+  const pdf = await renderStatementPdf(statement);
+  return emailNotificationService.sendGivingStatement(statement, pdf, statementFileName(statement));
+};
+
+// POST /api/giving/statements/email - Email statements to one member or everyone who gave
+exports.emailStatements = async (req, res) => {
+  try {
+    const period = statementPeriod(req.body);
+    if (period.error) return res.status(400).json({ message: period.error });
+
+    if (req.body.userId) {
+      if (!mongoose.isValidObjectId(req.body.userId)) return res.status(404).json({ message: 'Member not found.' });
+      const result = await emailStatement(req.body.userId, period);
+      if (!result.success) {
+        return res.status(502).json({ message: `Statement not sent: ${result.error || 'the email could not be delivered'}.` });
+      }
+      return res.json({ message: 'Statement sent.' });
+    }
+
+    // Everyone: send in the background, one at a time
+    const givers = await findGivers(period);
+    (async () => {
+      const summary = { sent: 0, failed: 0 };
+      for (const userId of givers) {
+        const result = await emailStatement(userId, period).catch((error) => ({ success: false, error: error.message }));
+        if (result.success) summary.sent += 1;
+        else summary.failed += 1;
+      }
+      console.log(`Giving statements for ${period.label}: ${summary.sent} sent, ${summary.failed} failed`);
+    })();
+
+    await logActivity({
+      user: req.user.id,
+      action: 'bulk_action',
+      targetType: 'Donation',
+      description: `Emailed giving statements for ${period.label} to ${givers.length} members`,
+      ip: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+    res.status(202).json({ message: `Sending statements to ${givers.length} members.`, data: { queued: givers.length } });
+  } catch (err) {
+    res.status(500).json({ message: 'Failed to send statements.' });
+  }
+};
@@ -0,0 +1,311 @@
+const Household = require('../models/Household');
+const User = require('../models/User');
+const { logActivity } = require('../utils/activityLogger');
+const { parseProfileUpdate } = require('../utils/memberProfile');
+const { validateStringLength } = require('../../shared/validators');
+const { HOUSEHOLD_ROLES } = require('../../shared/constants');
+
+// What a parent can record for a child without a login
+const CHILD_PROFILE_FIELDS = ['name', 'dateOfBirth', 'phone', 'emergencyContact', 'allergies', 'medicalNotes'];
+const MEMBER_FIELDS = 'name email phone dateOfBirth avatar hasLogin membershipStatus allergies medicalNotes';
+
+const populateHousehold = (query) => query
+  .populate('members.user', MEMBER_FIELDS)
+  .populate('primaryContact', 'name email');
+
+/**
+ * Validate the household's own fields (name, address, primary contact)
+ * @returns {{ updates: Object|null, errors: Object }}
+ */
+const parseHouseholdUpdate = (body = {}, household) => {
+  const errors = {};
+  const updates = {};
+  if (body.name !== undefined) {
+    const result = validateStringLength(body.name, 2, 100, 'Household name');
+    if (result.isValid) updates.name = result.value;
+    else errors.name = result.error;
+  }
+  if (body.address !== undefined) {
+    const { updates: parsed, errors: addressErrors } = parseProfileUpdate({ address: body.address }, ['address']);
+    if (parsed) updates.address = parsed.address;
+    else Object.assign(errors, addressErrors);
+  }
+  if (body.primaryContact !== undefined) {
+    if (household && household.roleOf(body.primaryContact) === HOUSEHOLD_ROLES.ADULT) {
+      updates.primaryContact = body.primaryContact;
+    } else {
+      errors.primaryContact = 'The primary contact must be an adult in the household';
+    }
+  }
+  return { updates: Object.keys(errors).length ? null : updates, errors };
+};
+
+const logHouseholdChange = (req, household, description, metadata) => logActivity({
+  user: req.user.id,
+  action: 'update',
+  targetType: 'Household',
+  targetId: household._id,
+  description,
+  metadata,
+  ip: req.ip,
+  userAgent: req.get('User-Agent')
+});
+
+// Loads the signed-in user's household; only adults may change it
+exports.loadMyHousehold = async (req, res, next) => {
+  try {
+    const household = await Household.findOne({ 'members.user': req.user.id });
+    if (!household) {
+      return res.status(404).json({ message: 'You are not part of a household yet.' });
+    }
+    if (req.method !== 'GET' && household.roleOf(req.user.id) !== HOUSEHOLD_ROLES.ADULT) {
+      return res.status(403).json({ message: 'Only adults in the household can make changes.' });
+    }
+    req.household = household;
+    req.householdScope = 'own';
+    next();
+  } catch (err) {
+    res.status(500).json({ message: 'Failed to load household.' });
+  }
+};
+
+// Loads any household by id for staff (permission checked on the route)
+exports.loadHousehold = async (req, res, next) => {
+  try {
+    const household = await Household.findById(req.params.id);
+    if (!household) return res.status(404).json({ message: 'Household not found.' });
+    req.household = household;
+    req.householdScope = 'staff';
+    next();
+  } catch (err) {
+    res.status(500).json({ message: 'Failed to load household.' });
+  }
+};
+
+// GET /api/households/mine, GET /api/households/:id
+exports.getHousehold = async (req, res) => {
+  try {
+    const household = await populateHousehold(Household.findById(req.household._id));
+    res.json({ data: household });
+  } catch (err) {
+    res.status(500).json({ message: 'Failed to load household.' });
+  }
+};
+
+// POST /api/households/mine - Start a household with yourself as the first adult
+exports.createMyHousehold = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select('name household address');
+    if (!user) return res.status(404).json({ message: 'User not found.' });
+    if (user.household) {
+      return res.status(400).json({ message: 'You already belong to a household.' });
+    }
+    const surname = user.name.trim().split(/\s+/).pop();
+    const { updates, errors } = parseHouseholdUpdate({ name: `The ${surname} Family`, ...req.body, primaryContact: undefined });
+    if (!updates) return res.status(400).json({ message: 'Please correct the highlighted fields.', errors });
+
+    const household = await Household.create({
+      ...updates,
+      members: [{ user: user._id, role: HOUSEHOLD_ROLES.ADULT }],
+      primaryContact: user._id,
+      createdBy: user._id
+    });
+    user.household = household._id;
+    await user.save();
+
+    res.status(201).json({
+      message: 'Household created.',
+      data: await populateHousehold(Household.findById(household._id))
+    });
+  } catch (err) {
+    res.status(500).json({ message: 'Failed to create household.' });
+  }
+};
+
+// POST /api/households - Staff create a household from existing accounts
+exports.createHousehold = async (req, res) => {
+  try {
+    const members = Array.isArray(req.body.members) ? req.body.members : [];
+    if (!members.some((m) => m.role === HOUSEHOLD_ROLES.ADULT)) {
+      return res.status(400).json({ message: 'A household needs at least one adult.' });
+    }
+    if (members.some((m) => !Object.values(HOUSEHOLD_ROLES).includes(m.role))) {
+      return res.status(400).json({ message: 'Invalid household role.' });
+    }
+    const users = await User.find({ _id: { $in: members.map((m) => m.user) } }).select('name household');
+    if (users.length !== members.length) {
+      return res.status(400).json({ message: 'One or more people could not be found.' });
+    }
+    const linked = users.find((u) => u.household);
+    if (linked) {
+      return res.status(400).json({ message: `${linked.name} already belongs to a household.` });
+    }
+    const firstAdult = members.find((m) => m.role === HOUSEHOLD_ROLES.ADULT);
+    const { updates, errors } = parseHouseholdUpdate({ ...req.body, primaryContact: undefined });
+    if (!updates) return res.status(400).json({ message: 'Please correct the highlighted fields.', errors });
+    if (!updates.name) return res.status(400).json({ message: 'Household name is required.' });
+
+    const household = await Household.create({
+      ...updates,
+      members: members.map((m) => ({ user: m.user, role: m.role })),
+      primaryContact: firstAdult.user,
+      createdBy: req.user.id
+    });
+    await User.updateMany({ _id: { $in: members.map((m) => m.user) } }, { household: household._id });
+    await logHouseholdChange(req, household, `Created household ${household.name}`, { members: members.length });
+
+    res.status(201).json({
+      message: 'Household created.',
+      data: await populateHousehold(Household.findById(household._id))
+    });
+  } catch (err) {
+    res.status(500).json({ message: 'Failed to create household.' });
+  }
+};
+
+// GET /api/households - Staff list, searchable by household name
+exports.listHouseholds = async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+    const query = {};
+    if (req.query.search) {
+      const escaped = req.query.search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      query.name = { $regex: escaped, $options: 'i' };
+    }
+    const [households, total] = await Promise.all([
+      populateHousehold(Household.find(query)).sort({ name: 1 }).skip((page - 1) * limit).limit(limit),
+      Household.countDocuments(query)
+    ]);
+    res.json({ data: households, total, page, totalPages: Math.ceil(total / limit) });
+  } catch (err) {
+    res.status(500).json({ message: 'Failed to load households.' });
+  }
+};
+
+// PUT /api/households/mine, PUT /api/households/:id
+exports.updateHousehold = async (req, res) => {
+  try {
+    const { updates, errors } = parseHouseholdUpdate(req.body, req.household);
+    if (!updates) return res.status(400).json({ message: 'Please correct the highlighted fields.', errors });
+    req.household.set(updates);
+    await req.household.save();
+    res.json({
+      message: 'Household updated.',
+      data: await populateHousehold(Household.findById(req.household._id))
+    });
+  } catch (err) {
+    res.status(500).json({ message: 'Failed to update household.' });
+  }
+};
+
+// POST /api/households/mine/children, POST /api/households/:id/children
+// Children get a profile without a login
+exports.addChild = async (req, res) => {
+  try {
+    if (!req.body.name) return res.status(400).json({ message: 'Please correct the highlighted fields.', errors: { name: 'Name is required' } });
+    const { updates, errors } = parseProfileUpdate(req.body, CHILD_PROFILE_FIELDS);
+    if (!updates) return res.status(400).json({ message: 'Please correct the highlighted fields.', errors });
+
+    const child = await User.create({ ...updates, hasLogin: false, household: req.household._id });
+    req.household.members.push({ user: child._id, role: HOUSEHOLD_ROLES.CHILD });
+    await req.household.save();
+
+    res.status(201).json({
+      message: 'Child added to household.',
+      data: await populateHousehold(Household.findById(req.household._id))
+    });
+  } catch (err) {
+    res.status(500).json({ message: 'Failed to add child.' });
+  }
+};
+
+// PUT /api/households/mine/children/:userId - A parent updates their child's profile
+exports.updateChild = async (req, res) => {
+  try {
+    if (req.household.roleOf(req.params.userId) !== HOUSEHOLD_ROLES.CHILD) {
+      return res.status(404).json({ message: 'Child not found in your household.' });
+    }
+    const { updates, errors } = parseProfileUpdate(req.body, CHILD_PROFILE_FIELDS);
+    if (!updates) return res.status(400).json({ message: 'Please correct the highlighted fields.', errors });
+
+    const child = await User.findById(req.params.userId).select(MEMBER_FIELDS);
+    if (!child) return res.status(404).json({ message: 'Child not found in your household.' });
+    child.set(updates);
+    await child.save();
+
+    res.json({ message: 'Profile updated successfully.', data: child });
+  } catch (err) {
+    res.status(500).json({ message: 'Failed to update profile.' });
+  }
+};
+
+// POST /api/households/:id/members - Staff link an existing account
+exports.addHouseholdMember = async (req, res) => {
+  try {
+    const { userId, role } = req.body;
+    if (!Object.values(HOUSEHOLD_ROLES).includes(role)) {
+      return res.status(400).json({ message: 'Invalid household role.' });
+    }
+    const user = await User.findById(userId).select('name household');
+    if (!user) return res.status(404).json({ message: 'User not found.' });
+    if (user.household) {
+      return res.status(400).json({ message: `${user.name} already belongs to a household.` });
+    }
+    req.household.members.push({ user: user._id, role });
+    await req.household.save();
+    user.household = req.household._id;
+    await user.save();
+    await logHouseholdChange(req, req.household, `Added ${user.name} to ${req.household.name}`, { member: user._id, role });
+
+    res.json({
+      message: 'Member added to household.',
+      data: await populateHousehold(Household.findById(req.household._id))
+    });
+  } catch (err) {
+    res.status(500).json({ message: 'Failed to add household member.' });
+  }
+};
+
+// DELETE /api/households/mine/members/:userId, DELETE /api/households/:id/members/:userId
+// Parents can only remove children; staff can remove anyone
+exports.removeHouseholdMember = async (req, res) => {
+  try {
+    const { household } = req;
+    const role = household.roleOf(req.params.userId);
+    if (!role) return res.status(404).json({ message: 'Not a member of this household.' });
+    if (req.householdScope === 'own' && role !== HOUSEHOLD_ROLES.CHILD) {
+      return res.status(403).json({ message: 'Contact the church office to change the adults in your household.' });
+    }
+    const remaining = household.members.filter((m) => m.user.toString() !== req.params.userId);
+    if (!remaining.some((m) => m.role === HOUSEHOLD_ROLES.ADULT) && remaining.length) {
+      return res.status(400).json({ message: 'A household needs at least one adult.' });
+    }
+
+    household.members = remaining;
+    if (household.primaryContact && household.primaryContact.toString() === req.params.userId) {
+      const nextAdult = remaining.find((m) => m.role === HOUSEHOLD_ROLES.ADULT);
+      household.primaryContact = nextAdult ? nextAdult.user : undefined;
+    }
+    await household.save();
+
+    // A child without a login has no life outside the household; keep the
+    // record for attendance history but retire it
+    const user = await User.findById(req.params.userId).select('name hasLogin household active');
+    if (user) {
+      user.household = undefined;
+      if (!user.hasLogin) user.active = false;
+      await user.save();
+    }
+    if (req.householdScope === 'staff') {
+      await logHouseholdChange(req, household, `Removed ${user ? user.name : 'a member'} from ${household.name}`, { member: req.params.userId });
+    }
+
+    res.json({
+      message: 'Removed from household.',
+      data: await populateHousehold(Household.findById(household._id))
+    });
+  } catch (err) {
+    res.status(500).json({ message: 'Failed to remove household member.' });
+  }
+};
@@ -0,0 +1,95 @@
+const crypto = require('crypto');
+const Invitation = require('../models/Invitation');
+const User = require('../models/User');
+const { logActivity } = require('../utils/activityLogger');
+const { sendInvitationEmail } = require('../utils/sendEmail');
+const { hashToken } = require('../utils/tokenService');
+const { canGrantRole } = require('../utils/permissions');
+
+const INVITATION_TTL_DAYS = parseInt(process.env.INVITATION_TTL_DAYS) || 7;
+
+// GET /api/invitations - List invitations (manage_roles)
+exports.listInvitations = async (req, res) => {
+  try {
+    const invitations = await Invitation.find()
+      .populate('invitedBy', 'name email')
+      .populate('acceptedBy', 'name email')
+      .sort({ createdAt: -1 });
+    res.json(invitations);
+  } catch (err) {
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// POST /api/invitations - Invite someone to a privileged account (manage_roles)
+exports.createInvitation = async (req, res) => {
+  try {
+    const { name, role } = req.body;
+    const email = (req.body.email || '').trim().toLowerCase();
+    if (!/^\S+@\S+\.\S+$/.test(email)) {
+      return res.status(400).json({ message: 'Please enter a valid email address' });
+    }
+    if (!Invitation.INVITABLE_ROLES.includes(role)) {
+      return res.status(400).json({ message: 'Invalid role' });
+    }
+    if (!canGrantRole(req.user.role, role)) {
+      return res.status(403).json({ message: 'You cannot assign a role above your own' });
+    }
+    if (await User.exists({ email })) {
+      return res.status(400).json({ message: 'A user with this email already exists. Change their role instead' });
+    }
+
+    // Only the newest invitation for an address stays valid
+    await Invitation.updateMany(Invitation.usableFilter({ email }), { revokedAt: new Date() });
+
+    const token = crypto.randomBytes(32).toString('hex');
+    const invitation = await Invitation.create({
+      email,
+      name,
+      role,
+      tokenHash: hashToken(token),
+      invitedBy: req.user.id,
+      expiresAt: new Date(Date.now() + INVITATION_TTL_DAYS * 24 * 60 * 60 * 1000)
+    });
+
+    await logActivity({ user: req.user.id, action: 'create', targetType: 'Invitation', targetId: invitation._id, description: `Invited ${email} as ${role}`, metadata: { email, role }, ip: req.ip, userAgent: req.get('User-Agent') });
+
+    try {
+      await sendInvitationEmail(email, name, role, token, invitation.expiresAt);
+    } catch (emailErr) {
+      console.error('Invitation email failed:', emailErr.message);
+      return res.status(201).json({ message: 'Invitation created but the email could not be sent. Revoke it and try again', invitation });
+    }
+
+    res.status(201).json({ message: 'Invitation sent', invitation });
+  } catch (err) {
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// DELETE /api/invitations/:id - Revoke a pending invitation (manage_roles)
+exports.revokeInvitation = async (req, res) => {
+  try {
+    const invitation = await Invitation.findOneAndUpdate(
+      Invitation.usableFilter({ _id: req.params.id }),
+      { revokedAt: new Date() },
+      { new: true }
+    );
+    if (!invitation) return res.status(404).json({ message: 'Pending invitation not found' });
+    await logActivity({ user: req.user.id, action: 'delete', targetType: 'Invitation', targetId: invitation._id, description: `Revoked invitation for ${invitation.email}`, ip: req.ip, userAgent: req.get('User-Agent') });
+    res.json({ message: 'Invitation revoked' });
+  } catch (err) {
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// GET /api/invitations/token/:token - Look up an invitation from its emailed link (public)
+exports.getInvitationByToken = async (req, res) => {
+  try {
+    const invitation = await Invitation.findOne(Invitation.usableFilter({ tokenHash: hashToken(req.params.token) }));
+    if (!invitation) return res.status(404).json({ message: 'Invitation is invalid or has expired' });
+    res.json({ email: invitation.email, name: invitation.name, role: invitation.role, expiresAt: invitation.expiresAt });
+  } catch (err) {
+    res.status(500).json({ message: 'Server error' });
+  }
+};
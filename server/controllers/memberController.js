@@ -1,3 +1,4 @@
+const mongoose = require('mongoose');
 const Attendance = require('../models/Attendance');
 const Event = require('../models/Event');
 const Sermon = require('../models/Sermon');
@@ -6,6 +7,15 @@ const Donation = require('../models/Donation');
 const PrayerRequest = require('../models/PrayerRequest');
 const Notification = require('../models/Notification');
 const SpiritualGrowth = require('../models/SpiritualGrowth');
+const Session = require('../models/Session');
+const PledgeCampaign = require('../models/PledgeCampaign');
+const { parseProfileUpdate } = require('../utils/memberProfile');
+const payments = require('../services/payments');
+const { isActiveFund } = require('../utils/funds');
+const { DONATION_STATUS, DONATION_LIMITS, PAYMENT_PROVIDERS, PLEDGE_CAMPAIGN_STATUS } = require('../../shared/constants');
+
+// Gifts that count towards totals; records from before online giving have no status
+const GIVEN = { status: { $in: [DONATION_STATUS.PAID, null] } };
 
 exports.getDashboard = async (req, res) => {
   try {
@@ -18,7 +28,7 @@ exports.getDashboard = async (req, res) => {
     const attendanceRate = totalServices ? Math.round((attendanceRecords.length / totalServices) * 100) : 0;
 
     // Giving
-    const donations = await Donation.find({ user: userId }).sort({ date: -1 });
+    const donations = await Donation.find({ user: userId, ...GIVEN }).sort({ date: -1 });
     const currentYear = new Date().getFullYear();
     const givingThisYear = donations
       .filter(d => new Date(d.date).getFullYear() === currentYear)
@@ -182,12 +192,15 @@ exports.deletePrayerRequest = async (req, res) => {
 exports.getDonations = async (req, res) => {
   try {
     const userId = req.user.id;
-    const { page = 1, limit = 10, type, year } = req.query;
+    const { page = 1, limit = 10, type, year, status } = req.query;
     
     const query = { user: userId };
     if (type && type !== 'all') {
       query.type = type;
     }
+    if (status && status !== 'all') {
+      query.status = status === DONATION_STATUS.PAID ? GIVEN.status : status;
+    }
     if (year) {
       const startDate = new Date(year, 0, 1);
       const endDate = new Date(year, 11, 31, 23, 59, 59);
@@ -195,15 +208,17 @@ exports.getDonations = async (req, res) => {
     }
 
     const donations = await Donation.find(query)
+      .select('-checkoutUrl')
       .sort({ date: -1 })
       .limit(limit * 1)
       .skip((page - 1) * limit)
       .exec();
 
     const total = await Donation.countDocuments(query);
+    // Only money actually received counts towards the totals
     const totalAmount = await Donation.aggregate([
-      { $match: query },
-      { $group: { _id: null, total: { $sum: '$amount' } } }
+      { $match: { ...query, ...GIVEN, user: new mongoose.Types.ObjectId(userId) } },
+      { $group: { _id: null, total: { $sum: '$amount' }, count: { $sum: 1 } } }
     ]);
 
     res.json({
@@ -211,37 +226,98 @@ exports.getDonations = async (req, res) => {
       totalPages: Math.ceil(total / limit),
       currentPage: page,
       total,
-      totalAmount: totalAmount[0]?.total || 0
+      totalAmount: totalAmount[0]?.total || 0,
+      paidCount: totalAmount[0]?.count || 0,
+      testPayments: (process.env.PAYMENT_PROVIDER === PAYMENT_PROVIDERS.FAKE && process.env.NODE_ENV !== 'production')
     });
   } catch (err) {
     res.status(500).json({ message: 'Failed to load donations.' });
   }
 };
 
+// POST /api/members/donations - Start an online gift; returns the provider's checkout page
 exports.createDonation = async (req, res) => {
   try {
-    const userId = req.user.id;
-    const { amount, type, method } = req.body;
+    const amount = Number(req.body.amount);
+    let type = req.body.type || 'Offering';
+    let campaign;
 
-    if (!amount || amount <= 0) {
-      return res.status(400).json({ message: 'Valid amount is required.' });
+    if (!Number.isFinite(amount) || amount < DONATION_LIMITS.MIN_AMOUNT || amount > DONATION_LIMITS.MAX_AMOUNT) {
+      return res.status(400).json({
+        message: `Amount must be between ${DONATION_LIMITS.MIN_AMOUNT} and ${DONATION_LIMITS.MAX_AMOUNT} naira.`
+      });
+    }
+    if (!req.body.campaign && !(await isActiveFund(type))) {
+      return res.status(400).json({ message: 'Invalid donation type.' });
+    }
+    // Gifts towards a pledge campaign go to the campaign's fund
+    if (req.body.campaign) {
+      campaign = mongoose.isValidObjectId(req.body.campaign)
+        && await PledgeCampaign.findOne({ _id: req.body.campaign, status: PLEDGE_CAMPAIGN_STATUS.ACTIVE });
+      if (!campaign) {
+        return res.status(400).json({ message: 'That campaign is not open for gifts.' });
+      }
+      type = campaign.type;
     }
 
-    const donation = new Donation({
-      user: userId,
-      amount,
-      type: type || 'Offering',
-      method: method || 'Bank Transfer'
+    const user = await User.findById(req.user.id).select('name email');
+    const donation = await payments.startCheckout(user, {
+      amount: Math.round(amount * 100) / 100,
+      type,
+      campaign: campaign ? campaign._id : undefined
     });
 
-    await donation.save();
-
     res.status(201).json({ 
-      message: 'Donation recorded successfully.',
-      donation 
+      message: 'Checkout started.',
+      donation,
+      checkoutUrl: donation.checkoutUrl,
+      reference: donation.reference
     });
   } catch (err) {
-    res.status(500).json({ message: 'Failed to record donation.' });
+    res.status(err.statusCode || 500).json({ message: err.statusCode ? err.message : 'Failed to start donation.' });
+  }
+};
+
+// GET /api/members/donations/:reference - Payment status after returning from checkout
+exports.getDonationStatus = async (req, res) => {
+  try {
+    const donation = await Donation.findOne({ reference: req.params.reference, user: req.user.id });
+    if (!donation) {
+      return res.status(404).json({ message: 'Donation not found.' });
+    }
+    const current = await payments.refreshDonation(donation);
+    res.json({ donation: current });
+  } catch (err) {
+    res.status(500).json({ message: 'Failed to check donation.' });
+  }
+};
+
+// POST /api/members/donations/:reference/test-payment - Complete, decline or refund with the fake provider
+exports.simulateDonationPayment = async (req, res) => {
+  try {
+    const { outcome } = req.body;
+    if (![DONATION_STATUS.PAID, DONATION_STATUS.FAILED, DONATION_STATUS.REFUNDED].includes(outcome)) {
+      return res.status(400).json({ message: 'Outcome must be paid, failed or refunded.' });
+    }
+    const donation = await Donation.findOne({
+      reference: req.params.reference,
+      user: req.user.id,
+      provider: PAYMENT_PROVIDERS.FAKE
+    });
+    if (!donation) {
+      return res.status(404).json({ message: 'Donation not found.' });
+    }
+
+    const provider = payments.getProvider(PAYMENT_PROVIDERS.FAKE);
+    const { rawBody, headers } = provider.buildWebhook(donation.reference, outcome, {
+      amount: donation.amount,
+      currency: donation.currency
+    });
+    await payments.handleWebhook(PAYMENT_PROVIDERS.FAKE, rawBody, headers);
+
+    res.json({ message: 'Test payment sent.', donation: await Donation.findById(donation._id) });
+  } catch (err) {
+    res.status(err.statusCode || 500).json({ message: err.statusCode ? err.message : 'Failed to send test payment.' });
   }
 };
 
@@ -264,20 +340,18 @@ exports.getProfile = async (req, res) => {
 exports.updateProfile = async (req, res) => {
   try {
     const userId = req.user.id;
-    const { name, phone, address, dateOfBirth, emergencyContact } = req.body;
+    // Membership status, baptism and pastoral notes are kept by staff
+    const { updates, errors } = parseProfileUpdate(req.body, User.SELF_PROFILE_FIELDS);
+    if (!updates) {
+      return res.status(400).json({ message: 'Please correct the highlighted fields.', errors });
+    }
 
-    const user = await User.findById(userId);
+    const user = await User.findById(userId).select('-password');
     if (!user) {
       return res.status(404).json({ message: 'User not found.' });
     }
 
-    // Update allowed fields
-    if (name) user.name = name;
-    if (phone) user.phone = phone;
-    if (address) user.address = address;
-    if (dateOfBirth) user.dateOfBirth = dateOfBirth;
-    if (emergencyContact) user.emergencyContact = emergencyContact;
-
+    user.set(updates);
     await user.save();
 
     res.json({ 
@@ -309,6 +383,11 @@ exports.changePassword = async (req, res) => {
     user.password = newPassword;
     await user.save();
 
+    // Sign out every other device that knew the old password
+    const otherSessions = { user: userId, revokedAt: null };
+    if (req.user.sid) otherSessions._id = { $ne: req.user.sid };
+    await Session.updateMany(otherSessions, { revokedAt: new Date(), revokedReason: 'password_change' });
+
     res.json({ message: 'Password changed successfully.' });
   } catch (err) {
     res.status(500).json({ message: 'Failed to change password.' });
@@ -328,8 +407,8 @@ exports.uploadProfilePhoto = async (req, res) => {
       return res.status(404).json({ message: 'User not found.' });
     }
 
-    // Update user's avatar field with the uploaded file URL
-    user.avatar = req.file.path; // Assuming multer saves the file path
+    // Served statically from /uploads
+    user.avatar = `/uploads/profiles/${req.file.filename}`;
     await user.save();
 
     res.json({ 
@@ -1,5 +1,14 @@
 const Ministry = require('../models/Ministry');
 const asyncHandler = require('express-async-handler');
+const { syncMemberCount } = require('../utils/ministryMembership');
+
+// What a leader may change about their own ministry. Who leads it, its
+// status, whether it is featured and its budget are for admins.
+const LEADER_EDITABLE_FIELDS = [
+  'name', 'description', 'detailedDescription', 'category', 'type', 'assistantLeaders',
+  'meetingSchedule', 'membership', 'contact', 'goals', 'upcomingActivities', 'resources',
+  'visibility', 'seo', 'images'
+];
 
 /**
  * Ministry Controller for Haven Word Church
@@ -220,6 +229,9 @@ const getMinistrySummaries = asyncHandler(async (req, res) => {
  */
 const createMinistry = asyncHandler(async (req, res) => {
   try {
+    // The member count comes from the roster
+    if (req.body.membership && typeof req.body.membership === 'object') delete req.body.membership.currentCount;
+
     const ministry = await Ministry.create(req.body);
 
     res.status(201).json({
@@ -268,9 +280,25 @@ const updateMinistry = asyncHandler(async (req, res) => {
       });
     }
 
+    // Fields are checked by their top-level name, so dotted paths such as
+    // 'leader.user' are held to the same rules. Update operators are refused.
+    const changes = Object.keys(req.body).reduce((fields, key) => {
+      const field = key.split('.')[0];
+      if (key.startsWith('$') || (req.permissionScope === 'owner' && !LEADER_EDITABLE_FIELDS.includes(field))) {
+        return fields;
+      }
+      return { ...fields, [key]: req.body[key] };
+    }, {});
+
+    // The member count comes from the roster
+    delete changes['membership.currentCount'];
+    if (changes.membership && typeof changes.membership === 'object') {
+      changes.membership = { ...changes.membership, currentCount: ministry.membership.currentCount };
+    }
+
     const updatedMinistry = await Ministry.findByIdAndUpdate(
       req.params.id,
-      req.body,
+      changes,
       {
         new: true,
         runValidators: true
@@ -332,26 +360,13 @@ const deleteMinistry = asyncHandler(async (req, res) => {
 });
 
 /**
- * @desc    Update ministry member count
+ * @desc    Recount ministry members from the roster
  * @route   PATCH /api/ministries/:id/members
  * @access  Private (Admin/Leader only)
  */
 const updateMemberCount = asyncHandler(async (req, res) => {
-  const { count } = req.body;
-
-  if (typeof count !== 'number' || count < 0) {
-    return res.status(400).json({
-      success: false,
-      message: 'Valid member count is required'
-    });
-  }
-
   try {
-    const ministry = await Ministry.findByIdAndUpdate(
-      req.params.id,
-      { 'membership.currentCount': count },
-      { new: true, runValidators: true }
-    );
+    const ministry = await Ministry.findById(req.params.id);
 
     if (!ministry) {
       return res.status(404).json({
@@ -360,6 +375,8 @@ const updateMemberCount = asyncHandler(async (req, res) => {
       });
     }
 
+    ministry.membership.currentCount = await syncMemberCount(ministry._id);
+
     res.json({
       success: true,
       message: 'Member count updated successfully',
@@ -0,0 +1,334 @@
+const mongoose = require('mongoose');
+const Ministry = require('../models/Ministry');
+const MinistryMember = require('../models/MinistryMember');
+const User = require('../models/User');
+const NotificationService = require('../utils/notificationService');
+const { logActivity } = require('../utils/activityLogger');
+const { isMinistryLeader } = require('../utils/permissions');
+const { ageOn } = require('../utils/childCheckIn');
+const {
+  eligibilityProblems,
+  syncMemberCount,
+  managesRoster,
+  notifyRosterManagers
+} = require('../utils/ministryMembership');
+const { MINISTRY_MEMBER_ROLES, MINISTRY_MEMBER_STATUS } = require('../../shared/constants');
+
+const ELIGIBILITY_FIELDS = 'name email phone avatar dateOfBirth gender';
+
+const loadMinistry = (id) => (mongoose.isValidObjectId(id)
+  ? Ministry.findById(id).select('name slug status visibility leader membership meetingSchedule')
+  : null);
+
+const notifyMember = (entry, ministry, title, message) => NotificationService
+  .sendToUser(entry.user.toString(), title, message, 'ministry', { ministryId: ministry._id })
+  .catch((error) => console.error('Error notifying ministry member:', error.message));
+
+const logRosterChange = (req, entry, action, description, metadata) => logActivity({
+  user: req.user.id,
+  action,
+  targetType: 'MinistryMember',
+  targetId: entry._id,
+  description,
+  metadata,
+  ip: req.ip,
+  userAgent: req.get('User-Agent')
+});
+
+// Lets leaders and assistants without EDIT_MINISTRIES run their ministry's roster
+exports.managesRoster = (req) => managesRoster(req.user, req.params.id);
+
+// GET /api/ministries/mine - Ministries the current user belongs to or has asked to join
+exports.getMyMinistries = async (req, res) => {
+  try {
+    const entries = await MinistryMember.find({
+      user: req.user.id,
+      status: { $in: [MINISTRY_MEMBER_STATUS.ACTIVE, MINISTRY_MEMBER_STATUS.PENDING] }
+    })
+      .populate('ministry', 'name slug category meetingSchedule membership.currentCount leader.name leader.user')
+      .sort({ status: 1, joinedAt: -1 });
+    const data = entries
+      .filter((entry) => entry.ministry)
+      .map((entry) => ({
+        _id: entry._id,
+        role: entry.role,
+        status: entry.status,
+        requestedAt: entry.requestedAt,
+        joinedAt: entry.joinedAt,
+        ministry: {
+          _id: entry.ministry._id,
+          name: entry.ministry.name,
+          slug: entry.ministry.slug,
+          category: entry.ministry.category,
+          meetingSchedule: entry.ministry.meetingSchedule,
+          memberCount: entry.ministry.membership.currentCount,
+          leader: entry.ministry.leader && entry.ministry.leader.name
+        },
+        // Linked leaders count as leading even before they are on the roster
+        leads: entry.role === MINISTRY_MEMBER_ROLES.LEADER
+          || Boolean(entry.ministry.leader && entry.ministry.leader.user && entry.ministry.leader.user.toString() === req.user.id)
+      }));
+    res.json({ message: 'Your ministries retrieved successfully.', data });
+  } catch (err) {
+    res.status(500).json({ message: 'Failed to fetch your ministries.' });
+  }
+};
+
+// GET /api/ministries/:id/membership - The current user's place in a ministry
+exports.getMyMembership = async (req, res) => {
+  try {
+    const ministry = await loadMinistry(req.params.id);
+    if (!ministry) return res.status(404).json({ message: 'Ministry not found.' });
+
+    const [entry, user, canManage] = await Promise.all([
+      MinistryMember.findOne({ ministry: ministry._id, user: req.user.id }).select('role status requestedAt joinedAt declineReason'),
+      User.findById(req.user.id).select(ELIGIBILITY_FIELDS),
+      managesRoster(req.user, ministry._id)
+    ]);
+    res.json({
+      message: 'Membership retrieved successfully.',
+      data: {
+        membership: entry,
+        // What would stop the user joining, so the page can say so up front
+        problems: user ? eligibilityProblems(ministry, user) : {},
+        canManage
+      }
+    });
+  } catch (err) {
+    res.status(500).json({ message: 'Failed to fetch membership.' });
+  }
+};
+
+// POST /api/ministries/:id/join - Ask to join a ministry
+exports.joinMinistry = async (req, res) => {
+  try {
+    const ministry = await loadMinistry(req.params.id);
+    if (!ministry || ministry.visibility === 'private') return res.status(404).json({ message: 'Ministry not found.' });
+    if (ministry.status !== 'active') {
+      return res.status(400).json({ message: `${ministry.name} is not taking new members.` });
+    }
+
+    let entry = await MinistryMember.findOne({ ministry: ministry._id, user: req.user.id });
+    if (entry && entry.status === MINISTRY_MEMBER_STATUS.ACTIVE) {
+      return res.status(400).json({ message: `You are already a member of ${ministry.name}.` });
+    }
+    if (entry && entry.status === MINISTRY_MEMBER_STATUS.PENDING) {
+      return res.status(400).json({ message: `You have already asked to join ${ministry.name}.` });
+    }
+
+    const user = await User.findById(req.user.id).select(ELIGIBILITY_FIELDS);
+    if (!user) return res.status(404).json({ message: 'User not found.' });
+    const errors = eligibilityProblems(ministry, user);
+    if ((ministry.membership.requirements || []).length > 0 && req.body.meetsRequirements !== true) {
+      errors.requirements = 'Confirm that you meet the requirements to join';
+    }
+    if (Object.keys(errors).length) {
+      return res.status(400).json({ message: 'Please correct the highlighted fields.', errors });
+    }
+
+    const message = String(req.body.message || '').trim().slice(0, 500) || undefined;
+    if (entry) {
+      // Someone who left or was declined asks again on the same entry
+      entry.set({
+        status: MINISTRY_MEMBER_STATUS.PENDING,
+        role: MINISTRY_MEMBER_ROLES.MEMBER,
+        message,
+        requestedAt: new Date(),
+        decidedBy: undefined,
+        decidedAt: undefined,
+        declineReason: undefined,
+        joinedAt: undefined,
+        leftAt: undefined
+      });
+      await entry.save();
+    } else {
+      entry = await MinistryMember.create({ ministry: ministry._id, user: req.user.id, message });
+    }
+
+    notifyRosterManagers(ministry, 'New ministry join request', `${user.name} has asked to join ${ministry.name}.`, {
+      ministryMemberId: entry._id
+    });
+    res.status(201).json({ message: `Your request to join ${ministry.name} has been sent to its leaders.`, data: entry });
+  } catch (err) {
+    res.status(500).json({ message: 'Failed to send join request.' });
+  }
+};
+
+// POST /api/ministries/:id/leave - Leave a ministry, or withdraw a join request
+exports.leaveMinistry = async (req, res) => {
+  try {
+    const ministry = await loadMinistry(req.params.id);
+    if (!ministry) return res.status(404).json({ message: 'Ministry not found.' });
+
+    const entry = await MinistryMember.findOne({
+      ministry: ministry._id,
+      user: req.user.id,
+      status: { $in: [MINISTRY_MEMBER_STATUS.ACTIVE, MINISTRY_MEMBER_STATUS.PENDING] }
+    });
+    if (!entry) return res.status(400).json({ message: `You are not a member of ${ministry.name}.` });
+
+    const wasActive = entry.status === MINISTRY_MEMBER_STATUS.ACTIVE;
+    entry.status = MINISTRY_MEMBER_STATUS.LEFT;
+    entry.leftAt = new Date();
+    await entry.save();
+    if (wasActive) await syncMemberCount(ministry._id);
+
+    res.json({ message: wasActive ? `You have left ${ministry.name}.` : 'Your join request has been withdrawn.' });
+  } catch (err) {
+    res.status(500).json({ message: 'Failed to leave ministry.' });
+  }
+};
+
+// GET /api/ministries/:id/roster - Members and join requests
+exports.getRoster = async (req, res) => {
+  try {
+    const ministry = await loadMinistry(req.params.id);
+    if (!ministry) return res.status(404).json({ message: 'Ministry not found.' });
+
+    const statuses = req.query.status
+      ? [req.query.status]
+      : [MINISTRY_MEMBER_STATUS.ACTIVE, MINISTRY_MEMBER_STATUS.PENDING];
+    if (!statuses.every((status) => Object.values(MINISTRY_MEMBER_STATUS).includes(status))) {
+      return res.status(400).json({ message: 'Invalid status.' });
+    }
+
+    const entries = await MinistryMember.find({ ministry: ministry._id, status: { $in: statuses } })
+      .populate('user', ELIGIBILITY_FIELDS)
+      .populate('decidedBy', 'name')
+      .sort({ requestedAt: 1 });
+    const roleOrder = Object.values(MINISTRY_MEMBER_ROLES);
+    const data = entries
+      .filter((entry) => entry.user)
+      .map((entry) => ({
+        ...entry.toObject(),
+        age: ageOn(entry.user.dateOfBirth),
+        // Pending requests are checked against the member's profile as it is now
+        problems: entry.status === MINISTRY_MEMBER_STATUS.PENDING ? eligibilityProblems(ministry, entry.user) : undefined
+      }))
+      .sort((a, b) => roleOrder.indexOf(a.role) - roleOrder.indexOf(b.role) || a.user.name.localeCompare(b.user.name));
+
+    res.json({
+      message: 'Roster retrieved successfully.',
+      data,
+      ministry: {
+        _id: ministry._id,
+        name: ministry.name,
+        requirements: ministry.membership.requirements || [],
+        ageRange: ministry.membership.ageRange,
+        gender: ministry.membership.gender,
+        memberCount: ministry.membership.currentCount
+      },
+      canAssignLeaders: req.permissionScope === 'all' || await isMinistryLeader(req.user, ministry._id)
+    });
+  } catch (err) {
+    res.status(500).json({ message: 'Failed to fetch roster.' });
+  }
+};
+
+// PUT /api/ministries/:id/roster/:memberId - Approve or decline a request, or change a member's role
+exports.updateRosterEntry = async (req, res) => {
+  try {
+    const ministry = await loadMinistry(req.params.id);
+    const entry = ministry && mongoose.isValidObjectId(req.params.memberId)
+      && await MinistryMember.findOne({ _id: req.params.memberId, ministry: ministry._id });
+    if (!entry) return res.status(404).json({ message: 'Roster entry not found.' });
+    // Only the ministry's leader (or ministry admins) appoint or change leaders
+    const canAssignLeaders = req.permissionScope === 'all' || await isMinistryLeader(req.user, ministry._id);
+    const member = await User.findById(entry.user).select(ELIGIBILITY_FIELDS);
+
+    const { decision } = req.body;
+    if (decision !== undefined) {
+      if (entry.status !== MINISTRY_MEMBER_STATUS.PENDING) {
+        return res.status(400).json({ message: 'This request has already been decided.' });
+      }
+      if (!['approve', 'decline'].includes(decision)) {
+        return res.status(400).json({ message: 'Please correct the highlighted fields.', errors: { decision: 'Approve or decline the request' } });
+      }
+
+      if (decision === 'approve') {
+        const errors = member ? eligibilityProblems(ministry, member) : { user: 'This person no longer has an account' };
+        if ((ministry.membership.requirements || []).length > 0 && req.body.requirementsMet !== true) {
+          errors.requirementsMet = 'Confirm that the member meets the ministry requirements';
+        }
+        if (Object.keys(errors).length) {
+          return res.status(400).json({ message: 'This request cannot be approved.', errors });
+        }
+        entry.status = MINISTRY_MEMBER_STATUS.ACTIVE;
+        entry.joinedAt = new Date();
+      } else {
+        entry.status = MINISTRY_MEMBER_STATUS.DECLINED;
+        entry.declineReason = String(req.body.reason || '').trim().slice(0, 500) || undefined;
+      }
+      entry.decidedBy = req.user.id;
+      entry.decidedAt = new Date();
+      await entry.save();
+      if (entry.status === MINISTRY_MEMBER_STATUS.ACTIVE) await syncMemberCount(ministry._id);
+
+      const approved = entry.status === MINISTRY_MEMBER_STATUS.ACTIVE;
+      await logRosterChange(req, entry, approved ? 'approve' : 'reject',
+        `${approved ? 'Approved' : 'Declined'} ${member ? member.name : 'a member'} for ${ministry.name}`, {
+          ministry: ministry._id,
+          reason: entry.declineReason
+        });
+      notifyMember(entry, ministry,
+        approved ? `Welcome to ${ministry.name}` : `Your request to join ${ministry.name}`,
+        approved
+          ? `Your request to join ${ministry.name} has been approved.`
+          : `Your request to join ${ministry.name} was not approved.${entry.declineReason ? ` ${entry.declineReason}` : ''}`);
+      return res.json({ message: approved ? 'Member approved.' : 'Request declined.', data: entry });
+    }
+
+    const { role } = req.body;
+    if (!Object.values(MINISTRY_MEMBER_ROLES).includes(role)) {
+      return res.status(400).json({ message: 'Please correct the highlighted fields.', errors: { role: 'Invalid role' } });
+    }
+    if (entry.status !== MINISTRY_MEMBER_STATUS.ACTIVE) {
+      return res.status(400).json({ message: 'Only active members can be given a role.' });
+    }
+    if ((role === MINISTRY_MEMBER_ROLES.LEADER || entry.role === MINISTRY_MEMBER_ROLES.LEADER) && !canAssignLeaders) {
+      return res.status(403).json({ message: 'Only the ministry leader can appoint or change leaders.' });
+    }
+    const previousRole = entry.role;
+    entry.role = role;
+    await entry.save();
+    await logRosterChange(req, entry, 'update', `Changed ${member ? member.name : 'a member'}'s role in ${ministry.name} to ${role}`, {
+      ministry: ministry._id,
+      from: previousRole,
+      to: role
+    });
+    res.json({ message: 'Role updated.', data: entry });
+  } catch (err) {
+    res.status(500).json({ message: 'Failed to update roster.' });
+  }
+};
+
+// DELETE /api/ministries/:id/roster/:memberId - Remove a member from the roster
+exports.removeRosterEntry = async (req, res) => {
+  try {
+    const ministry = await loadMinistry(req.params.id);
+    const entry = ministry && mongoose.isValidObjectId(req.params.memberId)
+      && await MinistryMember.findOne({ _id: req.params.memberId, ministry: ministry._id, status: MINISTRY_MEMBER_STATUS.ACTIVE });
+    if (!entry) return res.status(404).json({ message: 'Roster entry not found.' });
+    if (entry.role === MINISTRY_MEMBER_ROLES.LEADER
+      && !(req.permissionScope === 'all' || await isMinistryLeader(req.user, ministry._id))) {
+      return res.status(403).json({ message: 'Only the ministry leader can remove a leader.' });
+    }
+
+    entry.status = MINISTRY_MEMBER_STATUS.LEFT;
+    entry.leftAt = new Date();
+    entry.decidedBy = req.user.id;
+    entry.decidedAt = new Date();
+    await entry.save();
+    await syncMemberCount(ministry._id);
+
+    const member = await User.findById(entry.user).select('name');
+    await logRosterChange(req, entry, 'delete', `Removed ${member ? member.name : 'a member'} from ${ministry.name}`, {
+      ministry: ministry._id
+    });
+    notifyMember(entry, ministry, `You have been removed from ${ministry.name}`,
+      `A leader of ${ministry.name} has removed you from its roster. Speak to them if you think this is a mistake.`);
+    res.json({ message: 'Member removed.' });
+  } catch (err) {
+    res.status(500).json({ message: 'Failed to remove member.' });
+  }
+};
@@ -0,0 +1,16 @@
+const payments = require('../services/payments');
+
+// POST /api/webhooks/:provider - Payment provider notifications
+exports.handleWebhook = async (req, res) => {
+  try {
+    const { changed } = await payments.handleWebhook(req.params.provider, req.body, req.headers);
+    res.json({ message: changed ? 'Webhook processed.' : 'Webhook ignored.' });
+  } catch (err) {
+    if (err.statusCode) {
+      return res.status(err.statusCode).json({ message: err.message });
+    }
+    // A 5xx makes the provider retry later
+    console.error(`Error processing ${req.params.provider} webhook:`, err.message);
+    res.status(500).json({ message: 'Failed to process webhook.' });
+  }
+};
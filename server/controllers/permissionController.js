@@ -0,0 +1,97 @@
+const RolePermission = require('../models/RolePermission');
+const { logActivity } = require('../utils/activityLogger');
+const {
+  getRoleGrants,
+  clearPermissionCache,
+  getPermissionsForRole
+} = require('../utils/permissions');
+const {
+  USER_ROLES,
+  ROLE_HIERARCHY,
+  PERMISSIONS,
+  DEFAULT_ROLE_PERMISSIONS
+} = require('../../shared/constants');
+
+const ALL_PERMISSIONS = Object.values(PERMISSIONS);
+
+// Admins may only change roles below their own level; super_admin can change any other role
+const canEditRole = (editorRole, role) =>
+  role !== USER_ROLES.SUPER_ADMIN &&
+  (editorRole === USER_ROLES.SUPER_ADMIN || ROLE_HIERARCHY[role] < ROLE_HIERARCHY[editorRole]);
+
+// GET /api/admin/permissions - Role -> permission matrix
+exports.getRolePermissions = async (req, res) => {
+  try {
+    const grants = await getRoleGrants();
+    const overrides = await RolePermission.find().select('role').lean();
+    const overridden = new Set(overrides.map((o) => o.role));
+
+    const roles = await Promise.all(
+      Object.entries(ROLE_HIERARCHY)
+        .sort(([, a], [, b]) => a - b)
+        .map(async ([role, level]) => ({
+          role,
+          level,
+          grants: grants[role] || [],
+          permissions: await getPermissionsForRole(role, grants),
+          isDefault: !overridden.has(role),
+          editable: canEditRole(req.user.role, role)
+        }))
+    );
+
+    res.json({ roles, permissions: ALL_PERMISSIONS });
+  } catch (err) {
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// PUT /api/admin/permissions/:role - Set the permissions a role adds at its level
+exports.updateRolePermissions = async (req, res) => {
+  try {
+    const { role } = req.params;
+    const { permissions } = req.body;
+    if (ROLE_HIERARCHY[role] === undefined) {
+      return res.status(400).json({ message: 'Invalid role' });
+    }
+    if (!canEditRole(req.user.role, role)) {
+      return res.status(403).json({ message: 'You cannot change permissions for this role' });
+    }
+    if (!Array.isArray(permissions) || permissions.some((p) => !ALL_PERMISSIONS.includes(p))) {
+      return res.status(400).json({ message: 'Invalid permissions' });
+    }
+
+    const previous = (await getRoleGrants())[role] || [];
+    const rolePermission = await RolePermission.findOneAndUpdate(
+      { role },
+      { permissions: [...new Set(permissions)], updatedBy: req.user.id },
+      { new: true, upsert: true, runValidators: true }
+    );
+    clearPermissionCache();
+
+    await logActivity({ user: req.user.id, action: 'settings_change', targetType: 'RolePermission', targetId: rolePermission._id, description: `Updated permissions for ${role}`, metadata: { role, from: previous, to: rolePermission.permissions }, ip: req.ip, userAgent: req.get('User-Agent') });
+    res.json({ message: 'Permissions updated', role, grants: rolePermission.permissions });
+  } catch (err) {
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// DELETE /api/admin/permissions/:role - Restore the shared default permissions for a role
+exports.resetRolePermissions = async (req, res) => {
+  try {
+    const { role } = req.params;
+    if (ROLE_HIERARCHY[role] === undefined) {
+      return res.status(400).json({ message: 'Invalid role' });
+    }
+    if (!canEditRole(req.user.role, role)) {
+      return res.status(403).json({ message: 'You cannot change permissions for this role' });
+    }
+
+    await RolePermission.deleteOne({ role });
+    clearPermissionCache();
+
+    await logActivity({ user: req.user.id, action: 'settings_change', targetType: 'RolePermission', description: `Reset permissions for ${role} to defaults`, metadata: { role }, ip: req.ip, userAgent: req.get('User-Agent') });
+    res.json({ message: 'Permissions reset to defaults', role, grants: DEFAULT_ROLE_PERMISSIONS[role] || [] });
+  } catch (err) {
+    res.status(500).json({ message: 'Server error' });
+  }
+};
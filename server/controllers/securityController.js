@@ -0,0 +1,90 @@
+const ActivityLog = require('../models/ActivityLog');
+const LoginThrottle = require('../models/LoginThrottle');
+const User = require('../models/User');
+const { logActivity } = require('../utils/activityLogger');
+const { clearIp } = require('../utils/loginProtection');
+
+const MAX_HOURS = 24 * 30;
+
+// GET /api/admin/security/login-sources - Suspicious sign-in sources from the activity log
+exports.getLoginSources = async (req, res) => {
+  try {
+    const hours = Math.min(parseInt(req.query.hours) || 24, MAX_HOURS);
+    const minFailures = Math.max(parseInt(req.query.minFailures) || 5, 1);
+    const since = new Date(Date.now() - hours * 60 * 60 * 1000);
+
+    const sources = await ActivityLog.aggregate([
+      {
+        $match: {
+          action: { $in: ['login', 'two_factor'] },
+          createdAt: { $gte: since },
+          ip: { $nin: [null, ''] },
+          // Sign-ins only; 2FA enrollment changes are not attempts
+          $or: [{ action: 'login' }, { status: 'failure' }]
+        }
+      },
+      { $sort: { createdAt: 1 } },
+      {
+        $group: {
+          _id: '$ip',
+          failures: { $sum: { $cond: [{ $eq: ['$status', 'failure'] }, 1, 0] } },
+          successes: { $sum: { $cond: [{ $eq: ['$status', 'success'] }, 1, 0] } },
+          // Accounts tried: the known user, or the email typed for unknown accounts
+          accounts: {
+            $addToSet: {
+              $cond: [
+                { $eq: ['$status', 'failure'] },
+                { $ifNull: [{ $toString: '$user' }, '$metadata.email'] },
+                null
+              ]
+            }
+          },
+          userAgents: { $addToSet: '$userAgent' },
+          firstSeen: { $min: '$createdAt' },
+          lastSeen: { $max: '$createdAt' },
+          lastError: { $last: '$error' }
+        }
+      },
+      { $match: { failures: { $gte: minFailures } } },
+      { $sort: { failures: -1, lastSeen: -1 } },
+      { $limit: 100 }
+    ]);
+
+    const throttles = await LoginThrottle.find({ ip: { $in: sources.map((s) => s._id) } }).lean();
+    const blockedUntil = new Map(throttles
+      .filter((t) => t.blockedUntil && t.blockedUntil > new Date())
+      .map((t) => [t.ip, t.blockedUntil]));
+
+    const lockedAccounts = await User.find({ lockedUntil: { $gt: new Date() } })
+      .select('name email role lockedUntil lastFailedLoginAt')
+      .sort({ lockedUntil: -1 })
+      .lean();
+
+    res.json({
+      hours,
+      minFailures,
+      sources: sources.map(({ _id, accounts, userAgents, ...source }) => ({
+        ip: _id,
+        ...source,
+        accountsTargeted: accounts.filter(Boolean).length,
+        userAgents: userAgents.filter(Boolean).slice(0, 5),
+        blockedUntil: blockedUntil.get(_id) || null
+      })),
+      lockedAccounts
+    });
+  } catch (err) {
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// DELETE /api/admin/security/blocked-ips/:ip - Lift a sign-in block on an IP address
+exports.unblockIp = async (req, res) => {
+  try {
+    const removed = await clearIp(req.params.ip);
+    if (!removed) return res.status(404).json({ message: 'No block found for this address' });
+    await logActivity({ user: req.user.id, action: 'account_unlock', targetType: 'IP', description: `Unblocked sign-in from ${req.params.ip}`, metadata: { ip: req.params.ip }, ip: req.ip, userAgent: req.get('User-Agent') });
+    res.json({ message: 'Address unblocked' });
+  } catch (err) {
+    res.status(500).json({ message: 'Server error' });
+  }
+};
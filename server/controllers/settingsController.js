@@ -44,10 +44,10 @@ exports.updateSettings = async (req, res) => {
     });
 
     await settings.save();
-    await logActivity({ user: req.user?._id, action: 'settings_change', targetType: 'Settings', status: 'success', ip: req.ip, userAgent: req.get('User-Agent') });
+    await logActivity({ user: req.user?.id, action: 'settings_change', targetType: 'Settings', status: 'success', ip: req.ip, userAgent: req.get('User-Agent') });
     res.json(settings);
   } catch (err) {
-    await logActivity({ user: req.user?._id, action: 'settings_change', targetType: 'Settings', status: 'failure', ip: req.ip, userAgent: req.get('User-Agent'), error: err.message });
+    await logActivity({ user: req.user?.id, action: 'settings_change', targetType: 'Settings', status: 'failure', ip: req.ip, userAgent: req.get('User-Agent'), error: err.message });
     res.status(500).json({ message: 'Failed to update settings', error: err.message });
   }
 };
@@ -1,11 +1,14 @@
 const User = require('../models/User');
+const Session = require('../models/Session');
+const { logActivity } = require('../utils/activityLogger');
+const { canGrantRole } = require('../utils/permissions');
+const { resetAccount } = require('../utils/loginProtection');
+const { parseProfileUpdate } = require('../utils/memberProfile');
+const { PERMISSIONS } = require('../../shared/constants');
 
-// GET /api/users - List all users (admin only)
+// GET /api/users - List all users (view_users)
 exports.listUsers = async (req, res) => {
   try {
-    if (!req.user || req.user.role !== 'admin') {
-      return res.status(403).json({ message: 'Forbidden' });
-    }
     const users = await User.find({}, '-password');
     res.json(users);
   } catch (err) {
@@ -13,55 +16,77 @@ exports.listUsers = async (req, res) => {
   }
 };
 
-// PATCH /api/users/:id/role - Update user role (admin only)
+// PATCH /api/users/:id/role - Update user role (manage_roles)
 exports.updateUserRole = async (req, res) => {
   try {
-    if (!req.user || req.user.role !== 'admin') {
-      return res.status(403).json({ message: 'Forbidden' });
-    }
     const { role } = req.body;
-    if (!['admin', 'member', 'pastor', 'staff'].includes(role)) {
+    if (!User.ACCOUNT_ROLES.includes(role)) {
       return res.status(400).json({ message: 'Invalid role' });
     }
-    const user = await User.findByIdAndUpdate(
-      req.params.id,
-      { role },
-      { new: true, runValidators: true, select: '-password' }
-    );
+    const user = await User.findById(req.params.id).select('-password');
     if (!user) return res.status(404).json({ message: 'User not found' });
+    const previousRole = user.role;
+    // Nobody can grant, or take away, a role above their own
+    if (!canGrantRole(req.user.role, role) || !canGrantRole(req.user.role, previousRole)) {
+      return res.status(403).json({ message: 'You cannot assign a role above your own' });
+    }
+    if (previousRole !== role) {
+      user.role = role;
+      await user.save();
+      await logActivity({ user: req.user.id, action: 'role_change', targetType: 'User', targetId: user._id, description: `Changed ${user.email} from ${previousRole} to ${role}`, metadata: { from: previousRole, to: role, via: 'updateUserRole' }, ip: req.ip, userAgent: req.get('User-Agent') });
+    }
     res.json(user);
   } catch (err) {
     res.status(500).json({ message: 'Server error' });
   }
 };
 
-// PATCH /api/users/:id/status - Deactivate/reactivate user (admin only)
+// PATCH /api/users/:id/status - Deactivate/reactivate user (edit_users)
 exports.updateUserStatus = async (req, res) => {
   try {
-    if (!req.user || req.user.role !== 'admin') {
-      return res.status(403).json({ message: 'Forbidden' });
-    }
     const { active } = req.body;
     if (typeof active !== 'boolean') {
       return res.status(400).json({ message: 'Invalid status' });
     }
-    const user = await User.findByIdAndUpdate(
-      req.params.id,
-      { active },
-      { new: true, runValidators: true, select: '-password' }
-    );
+    if (!active && req.params.id === String(req.user.id)) {
+      return res.status(400).json({ message: 'You cannot deactivate your own account' });
+    }
+    const user = await User.findById(req.params.id).select('-password');
     if (!user) return res.status(404).json({ message: 'User not found' });
+    if (!canGrantRole(req.user.role, user.role)) {
+      return res.status(403).json({ message: 'You cannot change an account above your own role' });
+    }
+    user.active = active;
+    await user.save();
+    // Deactivation must log the user out everywhere, not just block new logins
+    if (!active) await Session.revokeAllForUser(user._id, 'deactivated');
     res.json(user);
   } catch (err) {
     res.status(500).json({ message: 'Server error' });
   }
 };
 
+// PATCH /api/users/:id/unlock - Lift a sign-in lockout early (edit_users)
+exports.unlockUser = async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id).select('-password');
+    if (!user) return res.status(404).json({ message: 'User not found' });
+    if (!canGrantRole(req.user.role, user.role)) {
+      return res.status(403).json({ message: 'You cannot change an account above your own role' });
+    }
+    await resetAccount(user);
+    await logActivity({ user: req.user.id, action: 'account_unlock', targetType: 'User', targetId: user._id, description: `Unlocked sign-in for ${user.email}`, ip: req.ip, userAgent: req.get('User-Agent') });
+    res.json(await User.findById(user._id).select('-password'));
+  } catch (err) {
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
 // GET /api/users/profile - Get current user's profile
 exports.getProfile = async (req, res) => {
   try {
     if (!req.user) return res.status(401).json({ message: 'Unauthorized' });
-    const user = await User.findById(req.user._id, '-password');
+    const user = await User.findById(req.user.id, '-password');
     if (!user) return res.status(404).json({ message: 'User not found' });
     res.json(user);
   } catch (err) {
@@ -73,16 +98,54 @@ exports.getProfile = async (req, res) => {
 exports.updateProfile = async (req, res) => {
   try {
     if (!req.user) return res.status(401).json({ message: 'Unauthorized' });
-    const updates = req.body;
-    delete updates.password; // Prevent password update here
-    const user = await User.findByIdAndUpdate(
-      req.user._id,
-      updates,
-      { new: true, runValidators: true, select: '-password' }
-    );
+    const { updates, errors } = parseProfileUpdate(req.body, User.SELF_PROFILE_FIELDS);
+    if (!updates) return res.status(400).json({ message: 'Invalid profile details', errors });
+    const user = await User.findById(req.user.id).select('-password');
     if (!user) return res.status(404).json({ message: 'User not found' });
+    user.set(updates);
+    await user.save();
     res.json(user);
   } catch (err) {
     res.status(500).json({ message: 'Server error' });
   }
-}; 
\ No newline at end of file
+};
+
+// GET /api/users/:id - Full member profile (view_users; pastoral notes need view_pastoral_notes)
+exports.getUser = async (req, res) => {
+  try {
+    const canSeeNotes = req.permissions.includes(PERMISSIONS.VIEW_PASTORAL_NOTES);
+    const user = await User.findById(req.params.id).select(canSeeNotes ? '-password +pastoralNotes' : '-password');
+    if (!user) return res.status(404).json({ message: 'User not found' });
+    res.json(user);
+  } catch (err) {
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// PUT /api/users/:id/profile - Update a member's profile (edit_users)
+exports.updateUserProfile = async (req, res) => {
+  try {
+    const canSeeNotes = req.permissions.includes(PERMISSIONS.VIEW_PASTORAL_NOTES);
+    if (req.body.pastoralNotes !== undefined && !canSeeNotes) {
+      return res.status(403).json({ message: 'You cannot edit pastoral notes' });
+    }
+    const fields = canSeeNotes ? [...User.STAFF_PROFILE_FIELDS, 'pastoralNotes'] : User.STAFF_PROFILE_FIELDS;
+    const { updates, errors } = parseProfileUpdate(req.body, fields);
+    if (!updates) return res.status(400).json({ message: 'Invalid profile details', errors });
+    const user = await User.findById(req.params.id).select(canSeeNotes ? '-password +pastoralNotes' : '-password');
+    if (!user) return res.status(404).json({ message: 'User not found' });
+    if (!canGrantRole(req.user.role, user.role)) {
+      return res.status(403).json({ message: 'You cannot change an account above your own role' });
+    }
+    user.set(updates);
+    const changed = user.modifiedPaths().filter((path) => !path.includes('.'));
+    await user.save();
+    if (changed.length) {
+      // Record which fields changed, never the values: notes are confidential
+      await logActivity({ user: req.user.id, action: 'update', targetType: 'User', targetId: user._id, description: `Updated profile of ${user.email}`, metadata: { fields: changed }, ip: req.ip, userAgent: req.get('User-Agent') });
+    }
+    res.json(user);
+  } catch (err) {
+    res.status(500).json({ message: 'Server error' });
+  }
+};
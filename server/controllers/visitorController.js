@@ -0,0 +1,293 @@
+const mongoose = require('mongoose');
+const CareTask = require('../models/CareTask');
+const Settings = require('../models/Settings');
+const User = require('../models/User');
+const Event = require('../models/Event');
+const NotificationService = require('../utils/notificationService');
+const { logActivity } = require('../utils/activityLogger');
+const { getPermissionsForRole } = require('../utils/permissions');
+const { recordVisitor, completeStep } = require('../utils/visitorFollowUp');
+const { validateVisitorCard, validateStringLength } = require('../../shared/validators');
+const {
+  CARE_TASK_TYPES,
+  FOLLOW_UP_STAGES,
+  FIELD_LIMITS,
+  PERMISSIONS,
+  ROLE_HIERARCHY
+} = require('../../shared/constants');
+
+const STAGE_IDS = FOLLOW_UP_STAGES.map((stage) => stage.id);
+// Closed visitors stay on the board this long
+const CLOSED_VISIBLE_DAYS = 30;
+
+const populateTask = (query) => query
+  .populate('visitor')
+  .populate('assignedTo', 'name email')
+  .populate('notes.author', 'name');
+
+const logTaskChange = (req, task, description, metadata) => logActivity({
+  user: req.user.id,
+  action: 'update',
+  targetType: 'CareTask',
+  targetId: task._id,
+  description,
+  metadata,
+  ip: req.ip,
+  userAgent: req.get('User-Agent')
+});
+
+/**
+ * Active users whose role lets them work the follow-up board
+ */
+const findFollowUpStaff = async (filter = {}) => {
+  const roles = [];
+  for (const role of Object.keys(ROLE_HIERARCHY)) {
+    if ((await getPermissionsForRole(role)).includes(PERMISSIONS.FOLLOW_UP_VISITORS)) roles.push(role);
+  }
+  return User.find({ ...filter, role: { $in: roles }, active: true }).select('name email role').sort({ name: 1 });
+};
+
+// POST /api/visitors/card - Public visitor card; no account needed
+exports.submitVisitorCard = async (req, res) => {
+  try {
+    const { isValid, fields, data } = validateVisitorCard(req.body);
+    if (!isValid) {
+      const errors = Object.fromEntries(Object.entries(fields)
+        .filter(([, result]) => !result.isValid)
+        .map(([field, result]) => [field, result.error]));
+      return res.status(400).json({ message: 'Please correct the highlighted fields.', errors });
+    }
+
+    const event = mongoose.isValidObjectId(req.body.event) && await Event.exists({ _id: req.body.event });
+    await recordVisitor({
+      ...data,
+      email: data.email || undefined,
+      phone: data.phone || undefined,
+      howHeard: data.howHeard || undefined,
+      prayerRequest: data.prayerRequest || undefined,
+      event: event ? req.body.event : undefined,
+      source: 'visitor_card'
+    });
+
+    res.status(201).json({ message: 'Thank you for visiting! Someone from our welcome team will be in touch soon.' });
+  } catch (err) {
+    res.status(500).json({ message: 'Failed to submit visitor card.' });
+  }
+};
+
+// Loads a follow-up task by id for the routes below
+exports.loadTask = async (req, res, next) => {
+  try {
+    const task = mongoose.isValidObjectId(req.params.id)
+      && await CareTask.findOne({ _id: req.params.id, type: CARE_TASK_TYPES.VISITOR_FOLLOW_UP });
+    if (!task) return res.status(404).json({ message: 'Follow-up not found.' });
+    req.task = task;
+    next();
+  } catch (err) {
+    res.status(500).json({ message: 'Failed to load follow-up.' });
+  }
+};
+
+// GET /api/visitors/board - Follow-up tasks grouped by stage
+exports.getBoard = async (req, res) => {
+  try {
+    const closedSince = new Date();
+    closedSince.setDate(closedSince.getDate() - CLOSED_VISIBLE_DAYS);
+    const query = {
+      type: CARE_TASK_TYPES.VISITOR_FOLLOW_UP,
+      $or: [{ status: 'open' }, { closedAt: { $gte: closedSince } }]
+    };
+    if (req.query.assignedTo === 'me') query.assignedTo = req.user.id;
+    else if (req.query.assignedTo === 'none') query.assignedTo = null;
+    else if (mongoose.isValidObjectId(req.query.assignedTo)) query.assignedTo = req.query.assignedTo;
+
+    const tasks = await populateTask(CareTask.find(query)).sort({ createdAt: -1 });
+    const columns = FOLLOW_UP_STAGES.map((stage) => ({
+      ...stage,
+      tasks: tasks.filter((task) => task.stage === stage.id)
+    }));
+
+    res.json({ data: columns });
+  } catch (err) {
+    res.status(500).json({ message: 'Failed to load follow-up board.' });
+  }
+};
+
+// GET /api/visitors/tasks/:id
+exports.getTask = async (req, res) => {
+  try {
+    res.json({ data: await populateTask(CareTask.findById(req.task._id)) });
+  } catch (err) {
+    res.status(500).json({ message: 'Failed to load follow-up.' });
+  }
+};
+
+// PUT /api/visitors/tasks/:id/stage - Move a card on the board
+exports.moveTask = async (req, res) => {
+  try {
+    const { stage } = req.body;
+    if (!STAGE_IDS.includes(stage)) {
+      return res.status(400).json({ message: 'Invalid stage.' });
+    }
+    const from = req.task.stage;
+    req.task.stage = stage;
+    req.task.status = stage === 'closed' ? 'closed' : 'open';
+    req.task.closedAt = stage === 'closed' ? new Date() : undefined;
+    await req.task.save();
+    await logTaskChange(req, req.task, `Moved visitor follow-up from ${from} to ${stage}`, { from, to: stage });
+
+    res.json({ message: 'Follow-up moved.', data: await populateTask(CareTask.findById(req.task._id)) });
+  } catch (err) {
+    res.status(500).json({ message: 'Failed to move follow-up.' });
+  }
+};
+
+// POST /api/visitors/tasks/:id/steps/:key/complete
+exports.completeTaskStep = async (req, res) => {
+  try {
+    if (req.body.skip) {
+      const step = req.task.steps.find((s) => s.key === req.params.key);
+      if (!step || step.status !== 'pending') {
+        return res.status(400).json({ message: 'That step is not pending.' });
+      }
+      step.status = 'skipped';
+      step.completedAt = new Date();
+      step.completedBy = req.user.id;
+    } else if (!completeStep(req.task, req.params.key, req.user.id)) {
+      return res.status(400).json({ message: 'That step is not pending.' });
+    }
+    await req.task.save();
+
+    res.json({
+      message: req.body.skip ? 'Step skipped.' : 'Step completed.',
+      data: await populateTask(CareTask.findById(req.task._id))
+    });
+  } catch (err) {
+    res.status(500).json({ message: 'Failed to update step.' });
+  }
+};
+
+// PUT /api/visitors/tasks/:id/assign
+exports.assignTask = async (req, res) => {
+  try {
+    const { assignedTo } = req.body;
+    let assignee = null;
+    if (assignedTo) {
+      [assignee] = mongoose.isValidObjectId(assignedTo) ? await findFollowUpStaff({ _id: assignedTo }) : [];
+      if (!assignee) {
+        return res.status(400).json({ message: 'That person cannot be assigned follow-ups.' });
+      }
+    }
+    req.task.assignedTo = assignee ? assignee._id : undefined;
+    await req.task.save();
+    await logTaskChange(req, req.task, assignee ? `Assigned visitor follow-up to ${assignee.name}` : 'Unassigned visitor follow-up');
+
+    if (assignee && assignee._id.toString() !== req.user.id) {
+      const task = await populateTask(CareTask.findById(req.task._id));
+      NotificationService.sendToUser(
+        assignee._id.toString(),
+        'Visitor follow-up assigned to you',
+        `${req.user.name} assigned ${task.visitor ? task.visitor.name : 'a visitor'} to you.`,
+        'follow_up',
+        { careTaskId: task._id }
+      ).catch((error) => console.error('Error notifying follow-up assignee:', error.message));
+    }
+
+    res.json({
+      message: assignee ? 'Follow-up assigned.' : 'Follow-up unassigned.',
+      data: await populateTask(CareTask.findById(req.task._id))
+    });
+  } catch (err) {
+    res.status(500).json({ message: 'Failed to assign follow-up.' });
+  }
+};
+
+// POST /api/visitors/tasks/:id/notes
+exports.addTaskNote = async (req, res) => {
+  try {
+    const result = validateStringLength(req.body.text, 1, FIELD_LIMITS.CARE_NOTE_MAX, 'Note');
+    if (!result.isValid) return res.status(400).json({ message: result.error });
+    req.task.notes.push({ text: result.value, author: req.user.id });
+    await req.task.save();
+
+    res.status(201).json({ message: 'Note added.', data: await populateTask(CareTask.findById(req.task._id)) });
+  } catch (err) {
+    res.status(500).json({ message: 'Failed to add note.' });
+  }
+};
+
+// GET /api/visitors/team - Follow-up team, their open tasks, and who can join
+exports.getTeam = async (req, res) => {
+  try {
+    const settings = await Settings.findOne().select('followUp');
+    const followUp = (settings && settings.followUp) || {};
+    const teamIds = (followUp.team || []).map(String);
+
+    const [candidates, load] = await Promise.all([
+      findFollowUpStaff(),
+      CareTask.aggregate([
+        { $match: { type: CARE_TASK_TYPES.VISITOR_FOLLOW_UP, status: 'open' } },
+        { $group: { _id: '$assignedTo', open: { $sum: 1 } } }
+      ])
+    ]);
+    const openById = Object.fromEntries(load.map((entry) => [String(entry._id), entry.open]));
+
+    res.json({
+      data: {
+        team: candidates
+          .filter((user) => teamIds.includes(user._id.toString()))
+          .map((user) => ({ ...user.toObject(), openTasks: openById[user._id.toString()] || 0 })),
+        unassigned: openById.null || 0,
+        newcomersClass: followUp.newcomersClass || '',
+        candidates
+      }
+    });
+  } catch (err) {
+    res.status(500).json({ message: 'Failed to load follow-up team.' });
+  }
+};
+
+// PUT /api/visitors/team - Choose the team and the newcomers class details
+exports.updateTeam = async (req, res) => {
+  try {
+    const updates = {};
+    if (req.body.team !== undefined) {
+      const ids = Array.isArray(req.body.team) ? [...new Set(req.body.team.map(String))] : [];
+      const members = ids.every((id) => mongoose.isValidObjectId(id))
+        ? await findFollowUpStaff({ _id: { $in: ids } })
+        : [];
+      if (members.length !== ids.length) {
+        return res.status(400).json({ message: 'Everyone on the team must be staff who can follow up visitors.' });
+      }
+      updates['followUp.team'] = members.map((member) => member._id);
+    }
+    if (req.body.newcomersClass !== undefined) {
+      const result = validateStringLength(req.body.newcomersClass, 0, 300, 'Newcomers class details');
+      if (!result.isValid) return res.status(400).json({ message: result.error });
+      updates['followUp.newcomersClass'] = result.value;
+    }
+
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({ message: 'Nothing to update.' });
+    }
+
+    const settings = await Settings.findOneAndUpdate({}, { $set: updates }, { new: true });
+    if (!settings) {
+      return res.status(400).json({ message: 'Save the church settings before setting up the follow-up team.' });
+    }
+    await logActivity({
+      user: req.user.id,
+      action: 'settings_change',
+      targetType: 'Settings',
+      targetId: settings._id,
+      description: 'Updated visitor follow-up team',
+      metadata: { team: settings.followUp.team.length },
+      ip: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+
+    res.json({ message: 'Follow-up team saved.' });
+  } catch (err) {
+    res.status(500).json({ message: 'Failed to save follow-up team.' });
+  }
+};
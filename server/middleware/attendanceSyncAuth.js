@@ -0,0 +1,37 @@
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const auth = require('./auth');
+
+/**
+ * Authentication for replaying the offline usher queue.
+ * Accepts a normal access token, or the attendance_sync token the service
+ * worker keeps (POST /api/attendance/sync-token). The sync token takes the
+ * user's current role from the database, so the permission check that
+ * follows still applies. Mount only on POST /api/attendance/bulk.
+ */
+module.exports = async (req, res, next) => {
+  const authHeader = req.headers.authorization;
+  if (!authHeader || !authHeader.startsWith('Bearer ')) return auth(req, res, next);
+
+  let decoded;
+  try {
+    decoded = jwt.verify(authHeader.split(' ')[1], process.env.JWT_SECRET, { audience: 'attendance_sync' });
+  } catch (err) {
+    // Anything else, including an ordinary access token, goes through auth
+    return auth(req, res, next);
+  }
+
+  try {
+    const session = decoded.sid && await Session.findOne({ _id: decoded.sid, revokedAt: null }).select('_id');
+    if (!session) return res.status(401).json({ message: 'Session has been revoked' });
+    const user = await User.findById(decoded.id).select('active role name email');
+    if (!user || !user.active) {
+      return res.status(401).json({ message: 'Account is inactive' });
+    }
+    req.user = { id: user._id.toString(), role: user.role, name: user.name, email: user.email, sid: decoded.sid };
+    next();
+  } catch (err) {
+    res.status(500).json({ message: 'Server error' });
+  }
+};
@@ -1,16 +1,37 @@
 const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const Session = require('../models/Session');
 
-module.exports = (req, res, next) => {
+module.exports = async (req, res, next) => {
   const authHeader = req.headers.authorization;
   if (!authHeader || !authHeader.startsWith('Bearer ')) {
     return res.status(401).json({ message: 'No token provided' });
   }
   const token = authHeader.split(' ')[1];
+  let decoded;
   try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (err) {
+    return res.status(401).json({ message: 'Invalid token' });
+  }
+  // Emailed action tokens (verify_email, password_reset) carry an audience
+  if (decoded.aud) {
+    return res.status(401).json({ message: 'Invalid token' });
+  }
+
+  try {
+    // Tokens issued before sessions existed carry no sid; they still get the active check
+    if (decoded.sid) {
+      const session = await Session.findOne({ _id: decoded.sid, revokedAt: null }).select('_id');
+      if (!session) return res.status(401).json({ message: 'Session has been revoked' });
+    }
+    const user = await User.findById(decoded.id).select('active');
+    if (!user || !user.active) {
+      return res.status(401).json({ message: 'Account is inactive' });
+    }
     req.user = decoded;
     next();
   } catch (err) {
-    res.status(401).json({ message: 'Invalid token' });
+    res.status(500).json({ message: 'Server error' });
   }
 };
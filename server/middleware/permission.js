@@ -0,0 +1,39 @@
+const { getPermissionsForRole } = require('../utils/permissions');
+
+/**
+ * Require one or more permissions (all of them) for a route.
+ * Must run after the auth middleware.
+ *
+ * Options:
+ * - orOwner: async (req) => boolean. When the user lacks the permission but
+ *   owns the resource (e.g. leads the ministry), the request goes through with
+ *   req.permissionScope = 'owner' so the controller can narrow what they change.
+ *
+ * @param {string|string[]} required - Permission(s) from shared PERMISSIONS
+ * @param {Object} [options]
+ * @returns {Function} Express middleware
+ */
+const requirePermission = (required, options = {}) => async (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({ message: 'Not authorized' });
+  }
+  try {
+    const needed = Array.isArray(required) ? required : [required];
+    const permissions = await getPermissionsForRole(req.user.role);
+    req.permissions = permissions;
+
+    if (needed.every((permission) => permissions.includes(permission))) {
+      req.permissionScope = 'all';
+      return next();
+    }
+    if (options.orOwner && await options.orOwner(req)) {
+      req.permissionScope = 'owner';
+      return next();
+    }
+    res.status(403).json({ message: 'Forbidden: missing permission', required: needed });
+  } catch (err) {
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+module.exports = requirePermission;
@@ -1,6 +1,11 @@
-module.exports = (...roles) => (req, res, next) => {
-  if (!req.user || !roles.includes(req.user.role)) {
-    return res.status(403).json({ message: 'Forbidden: insufficient role' });
-  }
-  next();
+// Literal role matching; prefer middleware/permission.js for new routes.
+// super_admin passes every role check.
+module.exports = (...roles) => {
+  const allowed = roles.flat();
+  return (req, res, next) => {
+    if (!req.user || !(allowed.includes(req.user.role) || req.user.role === 'super_admin')) {
+      return res.status(403).json({ message: 'Forbidden: insufficient role' });
+    }
+    next();
+  };
 };
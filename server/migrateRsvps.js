@@ -0,0 +1,134 @@
+const mongoose = require('mongoose');
+const Event = require('./models/Event');
+const User = require('./models/User');
+const { dayKey, isRecurring, isOccurrence, isRegistrant } = require('./utils/eventOccurrences');
+require('dotenv').config();
+
+/**
+ * Move RSVPs from the old `rsvps` collection onto their events as
+ * registrations. RSVPs from an email with an account are linked to that
+ * member; the rest keep the visitor's contact details. Capacity is not
+ * checked: these people already had their places.
+ *
+ * Each RSVP is marked once handled, so the script can be run again. RSVPs
+ * it cannot place are listed and left for someone to look at.
+ *
+ * Usage: npm run migrate:rsvps [-- --dry-run]
+ */
+
+const dryRun = process.argv.includes('--dry-run');
+const TRANSPORTATION = ['own', 'church_bus', 'carpool', 'public', 'taxi'];
+
+// The old form sent numbers and flags as strings
+const toCount = (value) => Math.max(parseInt(value) || 0, 0);
+const toFlag = (value) => value === true || value === 'true' || value === 'on';
+
+/**
+ * Which event, and which of its dates, an RSVP was for
+ * @returns {Promise<Object>} { event, occurrence } or { problem }
+ */
+const findTarget = async (rsvp) => {
+  if (!rsvp.eventId || !mongoose.isValidObjectId(rsvp.eventId)) {
+    return { problem: `no event id (was "${rsvp.eventTitle || 'untitled'}")` };
+  }
+  const event = await Event.findById(rsvp.eventId);
+  if (!event) return { problem: `event ${rsvp.eventId} not found` };
+  if (!isRecurring(event)) return { event, occurrence: null };
+
+  const date = rsvp.date && !Number.isNaN(new Date(rsvp.date).getTime()) ? dayKey(rsvp.date) : null;
+  return isOccurrence(event, date)
+    ? { event, occurrence: date }
+    : { problem: `${event.title} does not take place on "${rsvp.date}"` };
+};
+
+const toAttendee = (rsvp, occurrence, user) => {
+  const guestCount = toCount(rsvp.guestCount);
+  const email = String(rsvp.email).toLowerCase().trim();
+  return {
+    user: user ? user._id : undefined,
+    contact: user ? undefined : { firstName: rsvp.firstName, lastName: rsvp.lastName, email, phone: rsvp.phone },
+    occurrence: occurrence || undefined,
+    guestCount,
+    guests: (rsvp.guests || []).slice(0, guestCount).map((guest) => ({
+      name: guest.name,
+      age: toCount(guest.age) || undefined,
+      dietary: guest.dietary || guest.dietaryRestrictions
+    })),
+    dietaryRestrictions: rsvp.dietaryRestrictions,
+    accessibilityNeeds: rsvp.accessibilityNeeds,
+    transportation: TRANSPORTATION.includes(rsvp.transportation) ? rsvp.transportation : undefined,
+    pickupLocation: rsvp.pickupLocation,
+    volunteerAreas: rsvp.volunteerAreas || [],
+    emergencyContact: rsvp.emergencyContact || rsvp.emergencyPhone
+      ? { name: rsvp.emergencyContact, phone: rsvp.emergencyPhone }
+      : undefined,
+    newsletter: toFlag(rsvp.newsletter),
+    notes: rsvp.comments ? String(rsvp.comments).slice(0, 500) : undefined,
+    registeredAt: rsvp.timestamp && !Number.isNaN(new Date(rsvp.timestamp).getTime())
+      ? new Date(rsvp.timestamp)
+      : rsvp._id.getTimestamp(),
+    status: 'Registered',
+    source: 'rsvp_import'
+  };
+};
+
+async function migrateRsvps() {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    const rsvps = mongoose.connection.collection('rsvps');
+    const pending = await rsvps.find({ migratedTo: { $exists: false }, migrationNote: { $exists: false } }).toArray();
+    const mark = (rsvp, fields) => (dryRun ? null : rsvps.updateOne({ _id: rsvp._id }, { $set: fields }));
+    const counts = { migrated: 0, duplicate: 0, declined: 0, unmatched: 0 };
+    const unmatched = [];
+
+    console.log(`${dryRun ? '[dry run] ' : ''}${pending.length} RSVPs to migrate`);
+
+    for (const rsvp of pending) {
+      if (rsvp.attendance === 'no') {
+        counts.declined += 1;
+        await mark(rsvp, { migrationNote: 'declined' });
+        continue;
+      }
+
+      const { event, occurrence, problem } = await findTarget(rsvp);
+      if (problem || !rsvp.email) {
+        counts.unmatched += 1;
+        unmatched.push(`${rsvp._id} ${rsvp.email || 'no email'}: ${problem || 'no email'}`);
+        continue;
+      }
+
+      const user = await User.findOne({ email: String(rsvp.email).toLowerCase().trim() }).select('_id');
+      const attendee = toAttendee(rsvp, occurrence, user);
+      const registrant = user ? { userId: user._id.toString() } : { email: attendee.contact.email };
+      const already = event.attendees.some((entry) => isRegistrant(entry, registrant)
+        && (entry.occurrence || null) === occurrence
+        && entry.status !== 'Cancelled');
+      if (already) {
+        counts.duplicate += 1;
+        await mark(rsvp, { migrationNote: 'already registered' });
+        continue;
+      }
+
+      event.attendees.push(attendee);
+      event.stats.registrations = (event.stats.registrations || 0) + 1;
+      try {
+        await (dryRun ? event.validate() : event.save());
+      } catch (err) {
+        counts.unmatched += 1;
+        unmatched.push(`${rsvp._id} ${rsvp.email}: ${err.message}`);
+        continue;
+      }
+      await mark(rsvp, { migratedTo: event._id });
+      counts.migrated += 1;
+    }
+
+    console.log(`✅ Migrated ${counts.migrated}, already registered ${counts.duplicate}, declined ${counts.declined}, unmatched ${counts.unmatched}`);
+    unmatched.forEach((line) => console.log(`   ⚠️  ${line}`));
+    process.exit(0);
+  } catch (err) {
+    console.error('❌ Error migrating RSVPs:', err);
+    process.exit(1);
+  }
+}
+
+migrateRsvps();
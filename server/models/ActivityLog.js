@@ -35,6 +35,7 @@ const activityLogSchema = new mongoose.Schema({
       'registration', // Added registration as a valid action
       'approve', 'reject', 'export', 'import',
       'bulk_action', 'settings_change', 'password_change',
+      'role_change', 'two_factor', 'account_lock', 'account_unlock',
       'error', 'other'
     ],
     default: 'other',
@@ -82,5 +83,7 @@ const activityLogSchema = new mongoose.Schema({
 });
 
 activityLogSchema.index({ user: 1, action: 1, targetType: 1, createdAt: -1 });
+// Failed sign-ins grouped by source (suspicious login sources view)
+activityLogSchema.index({ action: 1, status: 1, createdAt: -1 });
 
 module.exports = mongoose.model('ActivityLog', activityLogSchema); 
\ No newline at end of file
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { CHILDREN_CLASSROOMS, FIELD_LIMITS } = require('../../shared/constants');
 
 /**
  * Attendance Schema for Haven Word Church
@@ -39,6 +40,12 @@ const attendanceSchema = new mongoose.Schema({
     index: true
   },
 
+  // For a recurring event, the original date of the occurrence attended
+  occurrence: {
+    type: String,
+    match: [/^\d{4}-\d{2}-\d{2}$/, 'Occurrence must be a date (YYYY-MM-DD)']
+  },
+
   // Activity details for easier querying
   activityTitle: {
     type: String,
@@ -132,10 +139,47 @@ const attendanceSchema = new mongoose.Schema({
   // Device/method used for recording
   recordingMethod: {
     type: String,
-    enum: ['manual', 'qr_code', 'rfid', 'mobile_app', 'web_portal'],
+    enum: ['manual', 'qr_code', 'rfid', 'mobile_app', 'web_portal', 'kiosk'],
     default: 'manual'
   },
 
+  // Children's ministry secure check-in (only set for kiosk check-ins)
+  childCheckIn: {
+    classroom: {
+      type: String,
+      enum: CHILDREN_CLASSROOMS.map((room) => room.id)
+    },
+    household: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Household'
+    },
+    // Adult who dropped the child off
+    guardian: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    // Printed on the child tag and the guardian slip; required at pickup
+    pickupCode: {
+      type: String,
+      select: false
+    },
+    // Copied from the child's profile at check-in so the roster shows what
+    // the teacher was told that day
+    allergies: {
+      type: String,
+      maxlength: FIELD_LIMITS.ALLERGIES_MAX
+    },
+    medicalNotes: {
+      type: String,
+      maxlength: FIELD_LIMITS.MEDICAL_NOTES_MAX
+    },
+    pickedUpAt: Date,
+    releasedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  },
+
   // Active status
   isActive: {
     type: Boolean,
@@ -157,6 +201,7 @@ attendanceSchema.index({ activityType: 1, attendanceDate: -1 });
 attendanceSchema.index({ activityId: 1, attendanceDate: -1 });
 attendanceSchema.index({ attendanceDate: -1, status: 1 });
 attendanceSchema.index({ isFirstTime: 1, attendanceDate: -1 });
+attendanceSchema.index({ activityId: 1, 'childCheckIn.classroom': 1, attendanceDate: -1 });
 
 // Text index for searching
 attendanceSchema.index({ 
@@ -258,6 +303,7 @@ attendanceSchema.statics.getMemberAttendanceHistory = async function(userId, opt
   }
 
   return this.find(query)
+    .select('-childCheckIn')
     .sort({ attendanceDate: -1 })
     .limit(options.limit || 50)
     .populate('recordedBy', 'firstName lastName')
@@ -307,9 +353,22 @@ attendanceSchema.pre('save', function(next) {
     }
   }
 
+  this.$locals.wasNew = this.isNew;
   next();
 });
 
+/**
+ * Open a visitor follow-up the first time someone attends
+ */
+attendanceSchema.post('save', function(doc) {
+  if (!doc.$locals.wasNew || !doc.isFirstTime) return;
+  // Required here to avoid a load-order cycle with the follow-up models
+  const { followUpFirstTimer } = require('../utils/visitorFollowUp');
+  followUpFirstTimer(doc).catch((error) => {
+    console.error('Error opening first-timer follow-up:', error.message);
+  });
+});
+
 /**
  * Pre-remove middleware to maintain data integrity
  */
@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+const { BANK_LINE_STATUS } = require('../../shared/constants');
+
+// One credit from an imported bank statement
+const bankStatementLineSchema = new mongoose.Schema({
+  date: { type: Date, required: true },
+  description: { type: String, trim: true },
+  reference: { type: String, trim: true },
+  amount: { type: Number, required: true },
+  // Identifies the line across imports so a statement can be imported twice
+  fingerprint: { type: String, required: true, unique: true },
+  status: {
+    type: String,
+    enum: Object.values(BANK_LINE_STATUS),
+    default: BANK_LINE_STATUS.UNMATCHED
+  },
+  // What the money was: one or more offering batches banked together, or a gift
+  batches: [{ type: mongoose.Schema.Types.ObjectId, ref: 'OfferingBatch' }],
+  donation: { type: mongoose.Schema.Types.ObjectId, ref: 'Donation' },
+  matchedAutomatically: { type: Boolean, default: false },
+  matchedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  matchedAt: Date,
+  fileName: String,
+  importedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+}, { timestamps: true });
+
+bankStatementLineSchema.index({ status: 1, date: -1 });
+bankStatementLineSchema.index({ batches: 1 });
+
+module.exports = mongoose.model('BankStatementLine', bankStatementLineSchema);
@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+const { CARE_TASK_TYPES, FOLLOW_UP_STAGES, ABSENTEE_CARE_STAGES, FIELD_LIMITS } = require('../../shared/constants');
+
+// Each task type has its own board columns
+const STAGE_IDS = [...new Set([...FOLLOW_UP_STAGES, ...ABSENTEE_CARE_STAGES].map((s) => s.id))];
+
+/**
+ * CareTask: a person the pastoral team has been asked to look after, and
+ * who is looking after them. A task has a list of dated steps; the
+ * scheduler carries out automatic steps as they fall due and reminds the
+ * assignee of the rest.
+ */
+const careTaskSchema = new mongoose.Schema({
+  type: { type: String, enum: Object.values(CARE_TASK_TYPES), required: true },
+  // Who the task is about: a visitor, a member, or both once a visitor signs up
+  visitor: { type: mongoose.Schema.Types.ObjectId, ref: 'Visitor' },
+  member: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  assignedTo: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  stage: { type: String, enum: STAGE_IDS, default: 'new' },
+  // Absentee care: the streak that raised the task
+  absence: {
+    missedServices: Number,
+    lastAttended: Date,
+  },
+  steps: [{
+    _id: false,
+    key: { type: String, required: true },
+    dueAt: { type: Date, required: true },
+    status: { type: String, enum: ['pending', 'done', 'skipped'], default: 'pending' },
+    completedAt: Date,
+    // Empty when the scheduler completed the step
+    completedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    // When the assignee was told the step is due
+    notifiedAt: Date,
+  }],
+  notes: [{
+    text: { type: String, required: true, trim: true, maxlength: FIELD_LIMITS.CARE_NOTE_MAX },
+    author: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    createdAt: { type: Date, default: Date.now },
+  }],
+  status: { type: String, enum: ['open', 'closed'], default: 'open' },
+  closedAt: Date,
+}, { timestamps: true });
+
+careTaskSchema.index({ type: 1, status: 1, stage: 1 });
+careTaskSchema.index({ assignedTo: 1, status: 1 });
+careTaskSchema.index({ status: 1, 'steps.status': 1, 'steps.dueAt': 1 });
+
+module.exports = mongoose.model('CareTask', careTaskSchema);
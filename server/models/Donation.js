@@ -1,11 +1,39 @@
 const mongoose = require('mongoose');
+const { DONATION_STATUS, PAYMENT_PROVIDERS, CURRENCY } = require('../../shared/constants');
 
 const donationSchema = new mongoose.Schema({
-  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  // Loose cash and cheques counted in an offering batch have no giver
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: function() { return !this.batch; } },
   amount: { type: Number, required: true },
-  type: { type: String, enum: ['Tithe', 'Offering', 'Building Fund', 'Missions', 'Other'], default: 'Offering' },
+  // Name of the fund (see Fund)
+  type: { type: String, trim: true, default: 'Offering' },
   method: { type: String, default: 'Bank Transfer' },
   date: { type: Date, default: Date.now },
+  currency: { type: String, default: CURRENCY.CODE },
+  // Gifts recorded before online giving have no status and count as paid
+  status: { type: String, enum: Object.values(DONATION_STATUS), default: DONATION_STATUS.PAID },
+  // Online payment
+  provider: { type: String, enum: Object.values(PAYMENT_PROVIDERS) },
+  reference: { type: String, unique: true, sparse: true },
+  providerReference: String,
+  checkoutUrl: String,
+  channel: String,
+  paidAt: Date,
+  failedAt: Date,
+  failureReason: String,
+  refundedAt: Date,
+  // Set for gifts charged by a recurring giving schedule (including its first)
+  recurringGift: { type: mongoose.Schema.Types.ObjectId, ref: 'RecurringGift' },
+  // Set for gifts towards a pledge campaign
+  campaign: { type: mongoose.Schema.Types.ObjectId, ref: 'PledgeCampaign' },
+  // Set for cash and cheque gifts recorded from a verified offering batch
+  batch: { type: mongoose.Schema.Types.ObjectId, ref: 'OfferingBatch' },
+  chequeNumber: String,
 }, { timestamps: true });
 
+donationSchema.index({ user: 1, date: -1 });
+donationSchema.index({ campaign: 1, status: 1 });
+donationSchema.index({ type: 1, date: -1 });
+donationSchema.index({ batch: 1 });
+
 module.exports = mongoose.model('Donation', donationSchema);
@@ -6,6 +6,59 @@
  */
 
 const mongoose = require('mongoose');
+const { EVENT_TICKETS } = require('../../shared/constants');
+
+/**
+ * Contact details of a visitor registering without an account
+ */
+const contactSchema = new mongoose.Schema({
+  firstName: { type: String, trim: true, maxlength: 50 },
+  lastName: { type: String, trim: true, maxlength: 50 },
+  email: { type: String, trim: true, lowercase: true },
+  phone: { type: String, trim: true }
+}, { _id: false });
+
+/**
+ * A kind of ticket for a paid event, such as early bird or family. A ticket
+ * admits `admits` people; `quantity` limits how many are sold for each date.
+ */
+const ticketTypeSchema = new mongoose.Schema({
+  name: { type: String, required: [true, 'Ticket name is required'], trim: true, maxlength: 60 },
+  description: { type: String, trim: true, maxlength: 200 },
+  price: { type: Number, required: [true, 'Ticket price is required'], min: [0, 'Ticket price cannot be negative'] },
+  admits: { type: Number, min: 1, max: 10, default: 1 },
+  quantity: { type: Number, min: [1, 'Ticket quantity must be at least 1'] },
+  salesStart: Date,
+  salesEnd: Date,
+  isActive: { type: Boolean, default: true }
+});
+
+/**
+ * A promo code taking a percentage or a fixed amount off a registration's
+ * tickets, optionally only for some ticket types
+ */
+const promoCodeSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: [true, 'Promo code is required'],
+    uppercase: true,
+    trim: true,
+    match: [/^[A-Z0-9-]{3,20}$/, 'Promo codes are 3 to 20 letters, numbers or dashes']
+  },
+  discountType: { type: String, enum: EVENT_TICKETS.PROMO_DISCOUNT_TYPES, default: 'percent' },
+  value: { type: Number, required: [true, 'Discount is required'], min: [0, 'Discount cannot be negative'] },
+  maxUses: { type: Number, min: 1 },
+  // Registrations using it, including those still being paid for
+  uses: { type: Number, min: 0, default: 0 },
+  validUntil: Date,
+  ticketTypes: [{ type: mongoose.Schema.Types.ObjectId }],
+  isActive: { type: Boolean, default: true }
+});
+
+// Registrations and waitlist entries belong to a member unless they carry contact details
+function hasNoContact() {
+  return !this.contact || !this.contact.email;
+}
 
 /**
  * Event Schema Definition
@@ -107,6 +160,43 @@ const eventSchema = new mongoose.Schema({
     occurrences: {
       type: Number,
       min: [1, 'Number of occurrences must be at least 1']
+    },
+    // Changes to single occurrences, keyed by the occurrence's original date
+    exceptions: [{
+      date: {
+        type: String,
+        required: true,
+        match: [/^\d{4}-\d{2}-\d{2}$/, 'Occurrence date must be YYYY-MM-DD']
+      },
+      cancelled: {
+        type: Boolean,
+        default: false
+      },
+      // Set when the occurrence moves to another day
+      startDate: Date,
+      startTime: {
+        type: String,
+        match: [/^([01]?[0-9]|2[0-3]):[0-5][0-9]$/, 'Please provide a valid time format (HH:MM)']
+      },
+      endTime: {
+        type: String,
+        match: [/^([01]?[0-9]|2[0-3]):[0-5][0-9]$/, 'Please provide a valid time format (HH:MM)']
+      },
+      venue: {
+        type: String,
+        trim: true,
+        maxlength: [200, 'Venue cannot exceed 200 characters']
+      },
+      reason: {
+        type: String,
+        trim: true,
+        maxlength: [300, 'Reason cannot exceed 300 characters']
+      }
+    }],
+    // The series this one continues, when an edit to "this and following" split it
+    splitFrom: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Event'
     }
   },
 
@@ -144,6 +234,11 @@ const eventSchema = new mongoose.Schema({
         trim: true
       }
     },
+    // Seats in the venue; attendance forecasts warn when this will be exceeded
+    capacity: {
+      type: Number,
+      min: [1, 'Venue capacity must be at least 1']
+    },
     coordinates: {
       latitude: {
         type: Number,
@@ -233,6 +328,28 @@ const eventSchema = new mongoose.Schema({
     type: Date
   },
 
+  // When the event (or an occurrence) is full, people join the waitlist and
+  // are offered freed places in turn, with this long to claim each offer
+  waitlistEnabled: {
+    type: Boolean,
+    default: true
+  },
+
+  waitlistClaimHours: {
+    type: Number,
+    min: [1, 'The claim window must be at least 1 hour'],
+    max: [168, 'The claim window cannot be longer than a week'],
+    default: 24
+  },
+
+  // Guests a registrant may bring; each takes a place
+  maxGuestsPerRegistration: {
+    type: Number,
+    min: [0, 'Guests per registration cannot be negative'],
+    max: [20, 'Guests per registration cannot exceed 20'],
+    default: 5
+  },
+
   registrationFee: {
     amount: {
       type: Number,
@@ -245,11 +362,64 @@ const eventSchema = new mongoose.Schema({
     }
   },
 
+  // Paid events sell these; without any, registrationFee is the price per person
+  ticketTypes: [ticketTypeSchema],
+  promoCodes: [promoCodeSchema],
+
   attendees: [{
     user: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User',
-      required: true
+      required: [hasNoContact, 'A registration needs a member or contact details']
+    },
+    // Visitors who RSVP without an account
+    contact: contactSchema,
+    guestCount: {
+      type: Number,
+      min: [0, 'Guest count cannot be negative'],
+      default: 0
+    },
+    guests: [{
+      _id: false,
+      name: { type: String, trim: true, maxlength: 100 },
+      age: { type: Number, min: 0, max: 120 },
+      dietary: { type: String, trim: true, maxlength: 200 }
+    }],
+    dietaryRestrictions: {
+      type: String,
+      maxlength: [500, 'Dietary restrictions cannot exceed 500 characters']
+    },
+    accessibilityNeeds: {
+      type: String,
+      maxlength: [500, 'Accessibility needs cannot exceed 500 characters']
+    },
+    transportation: {
+      type: String,
+      enum: ['own', 'church_bus', 'carpool', 'public', 'taxi']
+    },
+    pickupLocation: {
+      type: String,
+      trim: true
+    },
+    volunteerAreas: [String],
+    emergencyContact: {
+      name: { type: String, trim: true },
+      phone: { type: String, trim: true }
+    },
+    newsletter: {
+      type: Boolean,
+      default: false
+    },
+    // How the registration was made
+    source: {
+      type: String,
+      enum: ['member', 'rsvp_form', 'rsvp_import'],
+      default: 'member'
+    },
+    // Original date (YYYY-MM-DD) of the occurrence registered for; unset for one-off events
+    occurrence: {
+      type: String,
+      match: [/^\d{4}-\d{2}-\d{2}$/, 'Occurrence date must be YYYY-MM-DD']
     },
     registeredAt: {
       type: Date,
@@ -265,12 +435,65 @@ const eventSchema = new mongoose.Schema({
       enum: ['Not Required', 'Pending', 'Paid', 'Refunded'],
       default: 'Not Required'
     },
+    // What a paid registration bought and how it was paid; see utils/eventTickets.js
+    ticket: {
+      ticketType: mongoose.Schema.Types.ObjectId,
+      name: String,
+      unitPrice: Number,
+      quantity: Number,
+      promoCode: String,
+      discount: Number,
+      amount: Number,
+      currency: String,
+      provider: String,
+      reference: String,
+      providerReference: String,
+      checkoutUrl: String,
+      // Unpaid registrations are released after this
+      holdExpiresAt: Date,
+      paidAt: Date,
+      refundRequestedAt: Date,
+      refundedAt: Date,
+      failureReason: String
+    },
     notes: {
       type: String,
       maxlength: [500, 'Notes cannot exceed 500 characters']
     }
   }],
 
+  // In order of joining; see utils/eventWaitlist.js
+  waitlist: [{
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [hasNoContact, 'A waitlist entry needs a member or contact details']
+    },
+    contact: contactSchema,
+    // Guests coming with them; an offer is made when there is room for all
+    guestCount: {
+      type: Number,
+      min: 0,
+      default: 0
+    },
+    // Original date (YYYY-MM-DD) of the occurrence waited for; unset for one-off events
+    occurrence: {
+      type: String,
+      match: [/^\d{4}-\d{2}-\d{2}$/, 'Occurrence date must be YYYY-MM-DD']
+    },
+    joinedAt: {
+      type: Date,
+      default: Date.now
+    },
+    status: {
+      type: String,
+      enum: ['Waiting', 'Offered', 'Claimed', 'Expired', 'Left'],
+      default: 'Waiting'
+    },
+    offeredAt: Date,
+    offerExpiresAt: Date
+  }],
+
   // Event Content and Media
   agenda: [{
     time: {
@@ -467,6 +690,10 @@ eventSchema.index({ category: 1, startDate: 1 });
 eventSchema.index({ organizer: 1, startDate: -1 });
 eventSchema.index({ ministry: 1, startDate: 1 });
 eventSchema.index({ visibility: 1, status: 1, startDate: 1 });
+eventSchema.index({ 'recurrence.pattern': 1, status: 1 });
+eventSchema.index({ 'waitlist.status': 1, 'waitlist.offerExpiresAt': 1 });
+eventSchema.index({ 'attendees.ticket.reference': 1 }, { sparse: true });
+eventSchema.index({ 'attendees.paymentStatus': 1, 'attendees.ticket.holdExpiresAt': 1 });
 
 // Text search index
 eventSchema.index({
@@ -521,10 +748,12 @@ eventSchema.virtual('isPast').get(function() {
 });
 
 /**
- * Virtual field to get current attendee count
+ * Virtual field to get current attendee count, guests included
  */
 eventSchema.virtual('currentAttendeeCount').get(function() {
-  return this.attendees ? this.attendees.filter(a => a.status !== 'Cancelled').length : 0;
+  return this.attendees
+    ? this.attendees.filter(a => a.status !== 'Cancelled').reduce((total, a) => total + 1 + (a.guestCount || 0), 0)
+    : 0;
 });
 
 /**
@@ -567,17 +796,10 @@ eventSchema.pre('save', function(next) {
     return next(new Error('Registration deadline must be before event start date'));
   }
 
-  // Auto-set registration fee payment requirement
-  if (this.attendees) {
-    this.attendees.forEach(attendee => {
-      if (this.registrationFee.amount > 0) {
-        if (attendee.paymentStatus === 'Not Required') {
-          attendee.paymentStatus = 'Pending';
-        }
-      } else {
-        attendee.paymentStatus = 'Not Required';
-      }
-    });
+  // Promo codes must be unique within an event
+  const codes = (this.promoCodes || []).map(promo => promo.code);
+  if (new Set(codes).size !== codes.length) {
+    return next(new Error('Each promo code can only be used once per event'));
   }
 
   next();
@@ -660,7 +882,7 @@ eventSchema.methods.registerUser = async function(userId, options = {}) {
 
   // Check if user is already registered
   const existingRegistration = this.attendees.find(
-    attendee => attendee.user.toString() === userId.toString()
+    attendee => String(attendee.user) === userId.toString()
   );
 
   if (existingRegistration) {
@@ -688,7 +910,7 @@ eventSchema.methods.registerUser = async function(userId, options = {}) {
  */
 eventSchema.methods.cancelRegistration = async function(userId) {
   const attendeeIndex = this.attendees.findIndex(
-    attendee => attendee.user.toString() === userId.toString()
+    attendee => String(attendee.user) === userId.toString()
   );
 
   if (attendeeIndex === -1) {
@@ -711,7 +933,7 @@ eventSchema.methods.cancelRegistration = async function(userId) {
  */
 eventSchema.methods.markAttended = async function(userId) {
   const attendee = this.attendees.find(
-    attendee => attendee.user.toString() === userId.toString()
+    attendee => String(attendee.user) === userId.toString()
   );
 
   if (!attendee) {
@@ -0,0 +1,13 @@
+const mongoose = require('mongoose');
+
+// A fund gifts are given to. Donations record the fund's name as `type`.
+const fundSchema = new mongoose.Schema({
+  name: { type: String, required: true, unique: true, trim: true, maxlength: 60 },
+  description: { type: String, trim: true, maxlength: 500 },
+  // Retired funds keep their history but cannot receive new gifts
+  active: { type: Boolean, default: true },
+  sortOrder: { type: Number, default: 0 },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+}, { timestamps: true });
+
+module.exports = mongoose.model('Fund', fundSchema);
@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+const { HOUSEHOLD_ROLES, FIELD_LIMITS } = require('../../shared/constants');
+
+/**
+ * Household: the people who live together and are contacted, checked in
+ * and written to as one family. Each person belongs to at most one
+ * household (User.household points back here).
+ */
+const householdSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true, maxlength: 100 },
+  members: [{
+    _id: false,
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    role: { type: String, enum: Object.values(HOUSEHOLD_ROLES), required: true },
+  }],
+  // Who household letters are addressed to
+  primaryContact: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  // Mailing address; falls back to the primary contact's own address when empty
+  address: {
+    street: { type: String, trim: true, maxlength: FIELD_LIMITS.ADDRESS_MAX },
+    city: { type: String, trim: true },
+    state: { type: String, trim: true },
+    country: { type: String, trim: true, default: 'Nigeria' },
+  },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+}, { timestamps: true });
+
+householdSchema.index({ 'members.user': 1 });
+
+/**
+ * Role of a user in this household
+ * @param {string|ObjectId} userId
+ * @returns {string|null} 'adult', 'child' or null if not a member
+ */
+householdSchema.methods.roleOf = function(userId) {
+  const member = this.members.find((m) => m.user.toString() === userId.toString());
+  return member ? member.role : null;
+};
+
+/**
+ * Whether `actorId` may act for `memberId`: themselves, or an adult
+ * acting for a child in the same household.
+ * @param {string} actorId - Signed-in user
+ * @param {string} memberId - Person being acted for
+ * @returns {Promise<boolean>}
+ */
+householdSchema.statics.canActFor = async function(actorId, memberId) {
+  if (actorId.toString() === memberId.toString()) return true;
+  const household = await this.findOne({ 'members.user': { $all: [actorId, memberId] } });
+  return Boolean(household)
+    && household.roleOf(actorId) === HOUSEHOLD_ROLES.ADULT
+    && household.roleOf(memberId) === HOUSEHOLD_ROLES.CHILD;
+};
+
+module.exports = mongoose.model('Household', householdSchema);
@@ -0,0 +1,96 @@
+const mongoose = require('mongoose');
+const { USER_ROLES } = require('../../shared/constants');
+
+// Members self-register; every role above member needs an invitation
+const INVITABLE_ROLES = Object.values(USER_ROLES)
+  .filter((role) => ![USER_ROLES.GUEST, USER_ROLES.MEMBER].includes(role));
+
+/**
+ * Invitation Schema for Haven Word Church
+ * Admin-issued invitations for accounts above member (volunteer, leader, staff, pastor, admin...)
+ *
+ * Features:
+ * - Role fixed by the inviting admin (registration never takes a role from the client)
+ * - Emailed token, only its SHA-256 hash is stored
+ * - Expiry and single use (acceptedAt / acceptedBy)
+ * - Revocation by an admin
+ */
+
+const invitationSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true,
+    index: true
+  },
+  name: {
+    type: String,
+    trim: true,
+    maxlength: 100
+  },
+  role: {
+    type: String,
+    enum: INVITABLE_ROLES,
+    required: true
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  acceptedAt: {
+    type: Date,
+    default: null
+  },
+  acceptedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  }
+}, { timestamps: true });
+
+/**
+ * Current state of the invitation
+ * @returns {string} 'pending' | 'accepted' | 'revoked' | 'expired'
+ */
+invitationSchema.virtual('status').get(function() {
+  if (this.acceptedAt) return 'accepted';
+  if (this.revokedAt) return 'revoked';
+  if (this.expiresAt <= new Date()) return 'expired';
+  return 'pending';
+});
+
+invitationSchema.set('toJSON', {
+  virtuals: true,
+  transform: (doc, ret) => {
+    delete ret.tokenHash;
+    return ret;
+  }
+});
+
+/**
+ * Query for invitations that can still be accepted
+ * @param {Object} [conditions] - Extra conditions
+ * @returns {Object} Mongo filter
+ */
+invitationSchema.statics.usableFilter = function(conditions = {}) {
+  return { ...conditions, acceptedAt: null, revokedAt: null, expiresAt: { $gt: new Date() } };
+};
+
+invitationSchema.statics.INVITABLE_ROLES = INVITABLE_ROLES;
+
+module.exports = mongoose.model('Invitation', invitationSchema);
@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+/**
+ * Login Throttle Schema for Haven Word Church
+ * Failed sign-in counter for one client IP address
+ *
+ * Features:
+ * - Failure count within a rolling window
+ * - Temporary block once the IP reaches the failure limit
+ * - Automatic cleanup via TTL index once the window and block have passed
+ *
+ * Per-account counters live on the User document.
+ */
+
+const loginThrottleSchema = new mongoose.Schema({
+  ip: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  failures: {
+    type: Number,
+    default: 0
+  },
+  firstFailureAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastFailureAt: {
+    type: Date,
+    default: Date.now
+  },
+  blockedUntil: {
+    type: Date
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+loginThrottleSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('LoginThrottle', loginThrottleSchema);
@@ -87,6 +87,11 @@ const ministrySchema = new mongoose.Schema({
 
   // Leadership Information
   leader: {
+    // Linked account; lets the leader manage this ministry and its events
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
     name: {
       type: String,
       required: [true, 'Ministry leader name is required'],
@@ -329,6 +334,7 @@ const ministrySchema = new mongoose.Schema({
 
   // Budget and Financial (optional)
   budget: {
+    // Standing budget, used for any year without its own amount below
     annual: {
       type: Number,
       min: [0, 'Budget cannot be negative']
@@ -337,7 +343,19 @@ const ministrySchema = new mongoose.Schema({
       type: String,
       default: 'NGN',
       enum: ['NGN', 'USD', 'EUR', 'GBP']
-    }
+    },
+    years: [{
+      year: {
+        type: Number,
+        required: true
+      },
+      amount: {
+        type: Number,
+        required: true,
+        min: [0, 'Budget cannot be negative']
+      },
+      _id: false
+    }]
   },
 
   // SEO and Metadata
@@ -396,6 +414,7 @@ ministrySchema.index({ name: 'text', description: 'text' });
 ministrySchema.index({ category: 1, status: 1 });
 ministrySchema.index({ featured: -1, createdAt: -1 });
 ministrySchema.index({ 'meetingSchedule.dayOfWeek': 1, 'meetingSchedule.time': 1 });
+ministrySchema.index({ 'leader.user': 1 });
 
 /**
  * Virtual for member count display
@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+const { EXPENSE_STATUS } = require('../../shared/constants');
+
+// Money a ministry has spent or wants to spend, with its receipts
+const ministryExpenseSchema = new mongoose.Schema({
+  ministry: { type: mongoose.Schema.Types.ObjectId, ref: 'Ministry', required: true },
+  title: { type: String, required: true, trim: true, maxlength: 120 },
+  description: { type: String, trim: true, maxlength: 1000 },
+  amount: { type: Number, required: true, min: 1 },
+  // When the money was (or will be) spent; decides the budget year
+  spentOn: { type: Date, required: true },
+  year: { type: Number, required: true },
+  receipts: [{
+    url: { type: String, required: true },
+    publicId: String,
+    fileName: String,
+    format: String,
+    _id: false
+  }],
+  status: {
+    type: String,
+    enum: Object.values(EXPENSE_STATUS),
+    default: EXPENSE_STATUS.PENDING
+  },
+  requestedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  reviewedAt: Date,
+  reviewNote: { type: String, trim: true, maxlength: 500 },
+}, { timestamps: true });
+
+ministryExpenseSchema.index({ ministry: 1, year: 1, status: 1 });
+ministryExpenseSchema.index({ status: 1, createdAt: -1 });
+
+module.exports = mongoose.model('MinistryExpense', ministryExpenseSchema);
@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+const { MINISTRY_MEMBER_ROLES, MINISTRY_MEMBER_STATUS } = require('../../shared/constants');
+
+// One person's place on a ministry's roster, from join request to leaving
+const ministryMemberSchema = new mongoose.Schema({
+  ministry: { type: mongoose.Schema.Types.ObjectId, ref: 'Ministry', required: true },
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  role: {
+    type: String,
+    enum: Object.values(MINISTRY_MEMBER_ROLES),
+    default: MINISTRY_MEMBER_ROLES.MEMBER
+  },
+  status: {
+    type: String,
+    enum: Object.values(MINISTRY_MEMBER_STATUS),
+    default: MINISTRY_MEMBER_STATUS.PENDING
+  },
+  // What the person said when asking to join
+  message: { type: String, trim: true, maxlength: 500 },
+  requestedAt: { type: Date, default: Date.now },
+  // Who approved or declined the request, or removed the member
+  decidedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  decidedAt: Date,
+  declineReason: { type: String, trim: true, maxlength: 500 },
+  joinedAt: Date,
+  leftAt: Date,
+}, { timestamps: true });
+
+// Rejoining reuses the person's existing entry
+ministryMemberSchema.index({ ministry: 1, user: 1 }, { unique: true });
+ministryMemberSchema.index({ ministry: 1, status: 1 });
+ministryMemberSchema.index({ user: 1, status: 1 });
+
+module.exports = mongoose.model('MinistryMember', ministryMemberSchema);
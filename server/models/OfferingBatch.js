@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+const { OFFERING_BATCH } = require('../../shared/constants');
+
+const entrySchema = new mongoose.Schema({
+  fund: { type: String, required: true, trim: true },
+  method: { type: String, enum: OFFERING_BATCH.METHODS, required: true },
+  amount: { type: Number, required: true, min: 0.01 },
+  // Envelope gifts are credited to the member
+  member: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  chequeNumber: { type: String, trim: true, maxlength: 30 },
+  bank: { type: String, trim: true, maxlength: 60 },
+  note: { type: String, trim: true, maxlength: 200 },
+});
+
+const offeringBatchSchema = new mongoose.Schema({
+  serviceDate: { type: Date, required: true },
+  service: { type: String, trim: true, maxlength: 80 },
+  event: { type: mongoose.Schema.Types.ObjectId, ref: 'Event' },
+  status: {
+    type: String,
+    enum: Object.values(OFFERING_BATCH.STATUS),
+    default: OFFERING_BATCH.STATUS.DRAFT
+  },
+  entries: [entrySchema],
+  total: { type: Number, default: 0 },
+  countedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  // Everyone who entered or changed the count; none of them may verify it
+  editors: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+  submittedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  submittedAt: Date,
+  verifiedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  verifiedAt: Date,
+  // Sent back to the counters
+  returns: [{
+    by: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    at: { type: Date, default: Date.now },
+    reason: { type: String, trim: true, maxlength: 500 }
+  }],
+}, { timestamps: true });
+
+offeringBatchSchema.pre('save', function(next) {
+  this.total = Math.round(this.entries.reduce((sum, entry) => sum + entry.amount, 0) * 100) / 100;
+  next();
+});
+
+offeringBatchSchema.index({ status: 1, serviceDate: -1 });
+
+module.exports = mongoose.model('OfferingBatch', offeringBatchSchema);
@@ -0,0 +1,12 @@
+const mongoose = require('mongoose');
+
+// What a member has promised to give towards a campaign
+const pledgeSchema = new mongoose.Schema({
+  campaign: { type: mongoose.Schema.Types.ObjectId, ref: 'PledgeCampaign', required: true },
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  amount: { type: Number, required: true, min: 1 },
+}, { timestamps: true });
+
+pledgeSchema.index({ campaign: 1, user: 1 }, { unique: true });
+
+module.exports = mongoose.model('Pledge', pledgeSchema);
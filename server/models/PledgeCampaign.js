@@ -0,0 +1,20 @@
+const mongoose = require('mongoose');
+const { PLEDGE_CAMPAIGN_STATUS } = require('../../shared/constants');
+
+const pledgeCampaignSchema = new mongoose.Schema({
+  title: { type: String, required: true, trim: true, maxlength: 120 },
+  description: { type: String, trim: true, maxlength: 2000 },
+  // Gifts towards the campaign are recorded against this fund
+  type: { type: String, trim: true, default: 'Building Fund' },
+  targetAmount: { type: Number, required: true, min: 1 },
+  startDate: { type: Date, default: Date.now },
+  endDate: Date,
+  status: {
+    type: String,
+    enum: Object.values(PLEDGE_CAMPAIGN_STATUS),
+    default: PLEDGE_CAMPAIGN_STATUS.ACTIVE
+  },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+}, { timestamps: true });
+
+module.exports = mongoose.model('PledgeCampaign', pledgeCampaignSchema);
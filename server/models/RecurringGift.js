@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+const { RECURRING_GIVING, PAYMENT_PROVIDERS, DONATION_LIMITS } = require('../../shared/constants');
+
+const recurringGiftSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  amount: { type: Number, required: true, min: DONATION_LIMITS.MIN_AMOUNT, max: DONATION_LIMITS.MAX_AMOUNT },
+  // The fund, as on Donation
+  type: { type: String, trim: true, default: 'Tithe' },
+  campaign: { type: mongoose.Schema.Types.ObjectId, ref: 'PledgeCampaign' },
+  frequency: { type: String, enum: RECURRING_GIVING.FREQUENCIES, required: true },
+  // Gifts fall on this date and every week or month after it
+  startDate: { type: Date, required: true },
+  endDate: Date,
+  nextChargeAt: Date,
+  status: {
+    type: String,
+    enum: Object.values(RECURRING_GIVING.STATUS),
+    default: RECURRING_GIVING.STATUS.PENDING_SETUP
+  },
+  provider: { type: String, enum: Object.values(PAYMENT_PROVIDERS) },
+  // Saved card from the first gift; the code is only read when charging
+  authorization: {
+    code: { type: String, select: false },
+    last4: String,
+    brand: String,
+    expiry: String
+  },
+  email: String,
+  failures: { type: Number, default: 0 },
+  lastFailureReason: String,
+  lastChargedAt: Date,
+  cancelledAt: Date,
+}, { timestamps: true });
+
+recurringGiftSchema.index({ status: 1, nextChargeAt: 1 });
+
+module.exports = mongoose.model('RecurringGift', recurringGiftSchema);
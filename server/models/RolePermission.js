@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+const { USER_ROLES, PERMISSIONS } = require('../../shared/constants');
+
+/**
+ * Role Permission Schema for Haven Word Church
+ * Admin overrides of the permissions a role adds on top of the roles below it
+ *
+ * Features:
+ * - One document per role (absent = shared DEFAULT_ROLE_PERMISSIONS apply)
+ * - Permissions restricted to the shared PERMISSIONS list
+ * - Tracks who last changed the grants
+ */
+
+const rolePermissionSchema = new mongoose.Schema({
+  role: {
+    type: String,
+    enum: Object.values(USER_ROLES),
+    required: true,
+    unique: true
+  },
+  permissions: [{
+    type: String,
+    enum: Object.values(PERMISSIONS)
+  }],
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, { timestamps: true });
+
+module.exports = mongoose.model('RolePermission', rolePermissionSchema);
@@ -0,0 +1,84 @@
+const mongoose = require('mongoose');
+
+/**
+ * Session Schema for Haven Word Church
+ * One document per signed-in device, holding the current refresh token hash
+ *
+ * Features:
+ * - Rotating refresh tokens (only the SHA-256 hash is stored)
+ * - Reuse detection through the previous token hash
+ * - Device details for the "active sessions" list
+ * - Server-side revocation (logout, admin deactivation)
+ * - Automatic cleanup of expired sessions via TTL index
+ */
+
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  previousTokenHash: {
+    type: String,
+    index: true
+  },
+  deviceName: {
+    type: String,
+    trim: true,
+    maxlength: 100
+  },
+  userAgent: {
+    type: String
+  },
+  ip: {
+    type: String
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'user_revoked', 'deactivated', 'token_reuse', 'password_change', null],
+    default: null
+  }
+}, { timestamps: true });
+
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+/**
+ * Whether the session can still be used to refresh or authorise requests
+ * @returns {boolean}
+ */
+sessionSchema.methods.isActive = function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+/**
+ * Revoke every open session for a user
+ * @param {ObjectId|string} userId - User ID
+ * @param {string} reason - Revocation reason
+ * @returns {Promise<Object>} Mongo update result
+ */
+sessionSchema.statics.revokeAllForUser = function(userId, reason) {
+  return this.updateMany(
+    { user: userId, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
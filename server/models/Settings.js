@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { USER_ROLES, ABSENTEE_DETECTION } = require('../../shared/constants');
 
 const SettingsSchema = new mongoose.Schema({
   churchName: { type: String, required: true },
@@ -16,6 +17,28 @@ const SettingsSchema = new mongoose.Schema({
   mapsLink: { type: String },
   welcomeMessage: { type: String },
   logo: { type: String }, // URL or path to uploaded logo
+  security: {
+    requireEmailVerification: { type: Boolean, default: false },
+    // Failed sign-ins before an account is locked, and for how long
+    maxLoginAttempts: { type: Number, default: 5, min: 3, max: 20 },
+    lockoutMinutes: { type: Number, default: 15, min: 1, max: 1440 },
+    // Roles that must set up two-factor authentication before they can sign in
+    enforceTwoFactorRoles: { type: [{ type: String, enum: Object.values(USER_ROLES) }], default: [] },
+  },
+  followUp: {
+    // Staff who share first-timer follow-up; new visitors go to whoever has fewest open tasks
+    team: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+    // Date, time and place of the next newcomers class, as written in the day-7 invitation
+    newcomersClass: { type: String, trim: true, maxlength: 300 },
+  },
+  care: {
+    // Consecutive missed services before a regular member is flagged
+    absenceThreshold: { type: Number, default: ABSENTEE_DETECTION.DEFAULT_THRESHOLD, min: 2, max: 12 },
+    // Services out of the previous REGULAR_WINDOW that make someone a regular
+    regularMinServices: { type: Number, default: ABSENTEE_DETECTION.DEFAULT_REGULAR_MIN, min: 1, max: ABSENTEE_DETECTION.REGULAR_WINDOW },
+    // Pastoral care team; absentees go to whoever has fewest open care tasks
+    team: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+  },
 }, { timestamps: true });
 
 module.exports = mongoose.model('Settings', SettingsSchema);
@@ -1,18 +1,91 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { USER_ROLES, MEMBERSHIP_STATUS, MARITAL_STATUS, GENDER, FIELD_LIMITS } = require('../../shared/constants');
+
+// Every shared role except the anonymous guest
+const ACCOUNT_ROLES = Object.values(USER_ROLES).filter((role) => role !== USER_ROLES.GUEST);
+
+// Profile fields members maintain themselves; staff also record the church's side
+const SELF_PROFILE_FIELDS = ['name', 'phone', 'address', 'dateOfBirth', 'gender', 'maritalStatus', 'weddingAnniversary', 'emergencyContact'];
+const STAFF_PROFILE_FIELDS = [...SELF_PROFILE_FIELDS, 'allergies', 'medicalNotes', 'membershipStatus', 'membershipDate', 'baptismDate'];
 
 const userSchema = new mongoose.Schema({
   name: { type: String, required: true },
-  email: { type: String, required: true, unique: true },
-  password: { type: String, required: true },
+  // Children added to a household may have no login, so no email or password
+  email: { type: String, required: function() { return this.hasLogin; }, unique: true, sparse: true },
+  password: { type: String, required: function() { return this.hasLogin; } },
+  hasLogin: { type: Boolean, default: true },
   role: {
     type: String,
-    enum: ['admin', 'member', 'pastor', 'staff'],
+    enum: ACCOUNT_ROLES,
     default: 'member',
   },
   active: { type: Boolean, default: true },
+  emailVerified: { type: Boolean, default: false },
+  emailVerifiedAt: { type: Date },
+
+  // Member profile (validated by validateMemberProfile in shared/validators.js)
+  phone: { type: String, trim: true, maxlength: FIELD_LIMITS.PHONE_MAX },
+  address: {
+    street: { type: String, trim: true, maxlength: FIELD_LIMITS.ADDRESS_MAX },
+    city: { type: String, trim: true },
+    state: { type: String, trim: true },
+    country: { type: String, trim: true, default: 'Nigeria' },
+  },
+  dateOfBirth: { type: Date },
+  // Checked against ministries open to one gender only
+  gender: { type: String, enum: [...Object.values(GENDER), null] },
+  maritalStatus: { type: String, enum: [...Object.values(MARITAL_STATUS), null] },
+  weddingAnniversary: { type: Date },
+  avatar: { type: String }, // URL or path to uploaded profile photo
+  baptismDate: { type: Date },
+  membershipStatus: {
+    type: String,
+    enum: Object.values(MEMBERSHIP_STATUS),
+    default: MEMBERSHIP_STATUS.VISITOR,
+    index: true,
+  },
+  membershipDate: { type: Date },
+  emergencyContact: {
+    name: { type: String, trim: true },
+    relationship: { type: String, trim: true, maxlength: FIELD_LIMITS.RELATIONSHIP_MAX },
+    phone: { type: String, trim: true },
+  },
+  household: { type: mongoose.Schema.Types.ObjectId, ref: 'Household', index: true },
+  // Shown on children's check-in tags and the classroom roster
+  allergies: { type: String, trim: true, maxlength: FIELD_LIMITS.ALLERGIES_MAX },
+  medicalNotes: { type: String, trim: true, maxlength: FIELD_LIMITS.MEDICAL_NOTES_MAX },
+  // Only returned to users with the view_pastoral_notes permission
+  pastoralNotes: { type: String, maxlength: FIELD_LIMITS.PASTORAL_NOTES_MAX, default: '', select: false },
+
+  twoFactor: {
+    enabled: { type: Boolean, default: false },
+    secret: { type: String, select: false },
+    // Secret awaiting confirmation while the user sets up their authenticator
+    pendingSecret: { type: String, select: false },
+    // sha256 hashes of unused recovery codes
+    recoveryCodes: { type: [String], select: false },
+    // Time step of the last accepted code, so a code cannot be replayed
+    lastUsedStep: { type: Number, select: false },
+    enabledAt: { type: Date },
+  },
+  // Secret in the URL of the member's personal calendar feed of registered events
+  calendarFeedToken: { type: String, select: false, unique: true, sparse: true },
+  // Brute-force protection (see utils/loginProtection.js)
+  failedLoginCount: { type: Number, default: 0 },
+  lastFailedLoginAt: { type: Date },
+  lockedUntil: { type: Date },
 }, { timestamps: true });
 
+// Record when someone first becomes a member (worker implies member)
+userSchema.pre('save', function(next) {
+  const isMember = [MEMBERSHIP_STATUS.MEMBER, MEMBERSHIP_STATUS.WORKER].includes(this.membershipStatus);
+  if (this.isModified('membershipStatus') && isMember && !this.membershipDate) {
+    this.membershipDate = new Date();
+  }
+  next();
+});
+
 userSchema.pre('save', async function(next) {
   if (!this.isModified('password')) return next();
   this.password = await bcrypt.hash(this.password, 10);
@@ -23,4 +96,8 @@ userSchema.methods.comparePassword = function(candidatePassword) {
   return bcrypt.compare(candidatePassword, this.password);
 };
 
+userSchema.statics.ACCOUNT_ROLES = ACCOUNT_ROLES;
+userSchema.statics.SELF_PROFILE_FIELDS = SELF_PROFILE_FIELDS;
+userSchema.statics.STAFF_PROFILE_FIELDS = STAFF_PROFILE_FIELDS;
+
 module.exports = mongoose.model('User', userSchema);
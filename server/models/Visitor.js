@@ -0,0 +1,26 @@
+const mongoose = require('mongoose');
+const { VISITOR_SOURCES, FIELD_LIMITS } = require('../../shared/constants');
+
+/**
+ * Visitor: someone who came for the first time, from a visitor card or a
+ * first-time check-in. Visitors need not have an account; `user` is set
+ * when they have one or create one later.
+ */
+const visitorSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true, maxlength: 100 },
+  email: { type: String, trim: true, lowercase: true, maxlength: FIELD_LIMITS.EMAIL_MAX },
+  phone: { type: String, trim: true, maxlength: FIELD_LIMITS.PHONE_MAX },
+  howHeard: { type: String, enum: Object.values(VISITOR_SOURCES) },
+  prayerRequest: { type: String, trim: true, maxlength: FIELD_LIMITS.MESSAGE_MAX },
+  visitDate: { type: Date, default: Date.now },
+  event: { type: mongoose.Schema.Types.ObjectId, ref: 'Event' },
+  // Member who invited them, if any
+  broughtBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  source: { type: String, enum: ['visitor_card', 'attendance'], default: 'visitor_card' },
+}, { timestamps: true });
+
+visitorSchema.index({ email: 1 });
+visitorSchema.index({ user: 1 });
+
+module.exports = mongoose.model('Visitor', visitorSchema);
@@ -1,24 +1,36 @@
 const express = require('express');
 const router = express.Router();
 const auth = require('../middleware/auth');
-const role = require('../middleware/role');
+const requirePermission = require('../middleware/permission');
+const { PERMISSIONS } = require('../../shared/constants');
 const Blog = require('../models/Blog');
 const Sermon = require('../models/Sermon');
 const ActivityLog = require('../models/ActivityLog');
 const { getAnalytics, getUserActivityChart, getContentPerformanceChart } = require('../controllers/analyticsController');
 const exportController = require('../controllers/exportController');
+const permissionController = require('../controllers/permissionController');
+const securityController = require('../controllers/securityController');
 const { Parser } = require('json2csv');
 
-// Middleware to ensure admin access
-const adminOnly = [auth, role(['admin'])];
+// Authenticate, then require a permission resolved through the role hierarchy
+const can = (permission) => [auth, requirePermission(permission)];
 
 // Analytics routes
-router.get('/analytics', adminOnly, getAnalytics);
-router.get('/analytics/user-activity', adminOnly, getUserActivityChart);
-router.get('/analytics/content-performance', adminOnly, getContentPerformanceChart);
+router.get('/analytics', can(PERMISSIONS.VIEW_ANALYTICS), getAnalytics);
+router.get('/analytics/user-activity', can(PERMISSIONS.VIEW_ANALYTICS), getUserActivityChart);
+router.get('/analytics/content-performance', can(PERMISSIONS.VIEW_ANALYTICS), getContentPerformanceChart);
+
+// Role permissions
+router.get('/permissions', can(PERMISSIONS.MANAGE_ROLES), permissionController.getRolePermissions);
+router.put('/permissions/:role', can(PERMISSIONS.MANAGE_ROLES), permissionController.updateRolePermissions);
+router.delete('/permissions/:role', can(PERMISSIONS.MANAGE_ROLES), permissionController.resetRolePermissions);
+
+// Sign-in security: suspicious sources and blocked addresses
+router.get('/security/login-sources', can(PERMISSIONS.VIEW_AUDIT_LOGS), securityController.getLoginSources);
+router.delete('/security/blocked-ips/:ip', can(PERMISSIONS.EDIT_USERS), securityController.unblockIp);
 
 // Get all blogs for moderation (admin only)
-router.get('/blogs', adminOnly, async (req, res) => {
+router.get('/blogs', can(PERMISSIONS.PUBLISH_CONTENT), async (req, res) => {
   try {
     const { status, page = 1, limit = 10 } = req.query;
     const skip = (page - 1) * limit;
@@ -52,7 +64,7 @@ router.get('/blogs', adminOnly, async (req, res) => {
 });
 
 // Get all sermons for moderation (admin only)
-router.get('/sermons', adminOnly, async (req, res) => {
+router.get('/sermons', can(PERMISSIONS.PUBLISH_CONTENT), async (req, res) => {
   try {
     const { status, page = 1, limit = 10 } = req.query;
     const skip = (page - 1) * limit;
@@ -85,7 +97,7 @@ router.get('/sermons', adminOnly, async (req, res) => {
 });
 
 // Approve a blog post (admin only)
-router.patch('/blogs/:id/approve', adminOnly, async (req, res) => {
+router.patch('/blogs/:id/approve', can(PERMISSIONS.PUBLISH_CONTENT), async (req, res) => {
   try {
     const { moderationNotes } = req.body;
     const blog = await Blog.findByIdAndUpdate(
@@ -112,7 +124,7 @@ router.patch('/blogs/:id/approve', adminOnly, async (req, res) => {
 });
 
 // Reject a blog post (admin only)
-router.patch('/blogs/:id/reject', adminOnly, async (req, res) => {
+router.patch('/blogs/:id/reject', can(PERMISSIONS.PUBLISH_CONTENT), async (req, res) => {
   try {
     const { moderationNotes } = req.body;
     const blog = await Blog.findByIdAndUpdate(
@@ -138,7 +150,7 @@ router.patch('/blogs/:id/reject', adminOnly, async (req, res) => {
 });
 
 // Approve a sermon (admin only)
-router.patch('/sermons/:id/approve', adminOnly, async (req, res) => {
+router.patch('/sermons/:id/approve', can(PERMISSIONS.PUBLISH_CONTENT), async (req, res) => {
   try {
     const { moderationNotes } = req.body;
     const sermon = await Sermon.findByIdAndUpdate(
@@ -164,7 +176,7 @@ router.patch('/sermons/:id/approve', adminOnly, async (req, res) => {
 });
 
 // Reject a sermon (admin only)
-router.patch('/sermons/:id/reject', adminOnly, async (req, res) => {
+router.patch('/sermons/:id/reject', can(PERMISSIONS.PUBLISH_CONTENT), async (req, res) => {
   try {
     const { moderationNotes } = req.body;
     const sermon = await Sermon.findByIdAndUpdate(
@@ -190,7 +202,7 @@ router.patch('/sermons/:id/reject', adminOnly, async (req, res) => {
 });
 
 // Update blog content (admin only)
-router.put('/blogs/:id', adminOnly, async (req, res) => {
+router.put('/blogs/:id', can(PERMISSIONS.EDIT_CONTENT), async (req, res) => {
   try {
     const { title, excerpt, content, category, tags, featuredImage } = req.body;
     
@@ -218,7 +230,7 @@ router.put('/blogs/:id', adminOnly, async (req, res) => {
 });
 
 // Update sermon content (admin only)
-router.put('/sermons/:id', adminOnly, async (req, res) => {
+router.put('/sermons/:id', can(PERMISSIONS.EDIT_CONTENT), async (req, res) => {
   try {
     const { title, description, scriptureReference, keyVerse, speaker, serviceType, category } = req.body;
     
@@ -247,7 +259,7 @@ router.put('/sermons/:id', adminOnly, async (req, res) => {
 });
 
 // Delete blog (admin only)
-router.delete('/blogs/:id', adminOnly, async (req, res) => {
+router.delete('/blogs/:id', can(PERMISSIONS.DELETE_CONTENT), async (req, res) => {
   try {
     const blog = await Blog.findByIdAndDelete(req.params.id);
     
@@ -262,7 +274,7 @@ router.delete('/blogs/:id', adminOnly, async (req, res) => {
 });
 
 // Delete sermon (admin only)
-router.delete('/sermons/:id', adminOnly, async (req, res) => {
+router.delete('/sermons/:id', can(PERMISSIONS.DELETE_CONTENT), async (req, res) => {
   try {
     const sermon = await Sermon.findByIdAndDelete(req.params.id);
     
@@ -277,15 +289,16 @@ router.delete('/sermons/:id', adminOnly, async (req, res) => {
 });
 
 // Content Export (Backup/Migration)
-router.get('/export/options', adminOnly, exportController.getExportOptions);
-router.post('/export', adminOnly, exportController.createExport);
-router.get('/export/:jobId', adminOnly, exportController.getExportStatus);
-router.get('/export/:jobId/download', adminOnly, exportController.downloadExport);
-router.get('/export/history', adminOnly, exportController.getExportHistory);
-router.delete('/export/:jobId', adminOnly, exportController.deleteExport);
+router.get('/export/options', can(PERMISSIONS.EXPORT_DATA), exportController.getExportOptions);
+router.post('/export', can(PERMISSIONS.EXPORT_DATA), exportController.createExport);
+router.post('/export/giving-statements', can(PERMISSIONS.EXPORT_DATA), exportController.createGivingStatementsExport);
+router.get('/export/:jobId', can(PERMISSIONS.EXPORT_DATA), exportController.getExportStatus);
+router.get('/export/:jobId/download', can(PERMISSIONS.EXPORT_DATA), exportController.downloadExport);
+router.get('/export/history', can(PERMISSIONS.EXPORT_DATA), exportController.getExportHistory);
+router.delete('/export/:jobId', can(PERMISSIONS.EXPORT_DATA), exportController.deleteExport);
 
 // Admin: Get activity logs (with filters/search)
-router.get('/activity-logs', adminOnly, async (req, res) => {
+router.get('/activity-logs', can(PERMISSIONS.VIEW_AUDIT_LOGS), async (req, res) => {
   try {
     const { user, action, targetType, status, q, page = 1, limit = 20, sort = '-createdAt' } = req.query;
     const query = {};
@@ -319,7 +332,7 @@ router.get('/activity-logs', adminOnly, async (req, res) => {
 });
 
 // Admin: Export activity logs (CSV/JSON)
-router.get('/activity-logs/export', adminOnly, async (req, res) => {
+router.get('/activity-logs/export', can(PERMISSIONS.VIEW_AUDIT_LOGS), async (req, res) => {
   try {
     const { format = 'csv', ...filters } = req.query;
     const logs = await ActivityLog.find(filters).populate('user', 'name email role').lean();
@@ -340,7 +353,7 @@ router.get('/activity-logs/export', adminOnly, async (req, res) => {
 });
 
 // Admin: Delete activity log
-router.delete('/activity-logs/:id', adminOnly, async (req, res) => {
+router.delete('/activity-logs/:id', can(PERMISSIONS.SYSTEM_CONFIG), async (req, res) => {
   try {
     await ActivityLog.findByIdAndDelete(req.params.id);
     res.json({ success: true, message: 'Activity log deleted' });
@@ -1,15 +1,29 @@
 const express = require('express');
 const { body, param, query } = require('express-validator');
-// const auth = require('../middleware/auth');
+const auth = require('../middleware/auth');
+const attendanceSyncAuth = require('../middleware/attendanceSyncAuth');
+const requirePermission = require('../middleware/permission');
+const Attendance = require('../models/Attendance');
+const { PERMISSIONS, CHILDREN_CLASSROOMS, ATTENDANCE_FORECAST } = require('../../shared/constants');
 const {
   createAttendance,
   bulkCreateAttendance,
+  checkInHousehold,
+  lookupCheckInHouseholds,
+  checkInChildren,
+  getClassroomRoster,
+  getAttendanceRoster,
+  issueSyncToken,
+  getCheckInEvents,
+  getCheckInQr,
+  scanCheckInQr,
   getAllAttendance,
   getAttendanceById,
   updateAttendance,
   checkOut,
   deleteAttendance,
   getAttendanceStats,
+  getAttendanceForecast,
   getMemberAttendanceHistory
 } = require('../controllers/attendanceController');
 
@@ -100,7 +114,7 @@ const validateCreateAttendance = [
   
   body('recordingMethod')
     .optional()
-    .isIn(['manual', 'qr_code', 'rfid', 'mobile_app', 'web_portal'])
+    .isIn(['manual', 'qr_code', 'rfid', 'mobile_app', 'web_portal', 'kiosk'])
     .withMessage('Valid recording method is required')
 ];
 
@@ -130,6 +144,97 @@ const validateBulkAttendance = [
     .withMessage('Activity title must be between 1 and 200 characters for each record')
 ];
 
+/**
+ * Validation middleware for whole-family check-in
+ */
+const validateHouseholdCheckIn = [
+  param('householdId')
+    .isMongoId()
+    .withMessage('Valid household ID is required'),
+  
+  body('activityType')
+    .isIn(['service', 'event', 'ministry', 'prayer_meeting', 'bible_study', 'youth_service', 'children_service'])
+    .withMessage('Valid activity type is required'),
+  
+  body('activityId')
+    .isMongoId()
+    .withMessage('Valid activity ID is required'),
+  
+  body('activityTitle')
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Activity title must be between 1 and 200 characters'),
+  
+  body('memberIds')
+    .optional()
+    .isArray()
+    .withMessage('memberIds must be an array'),
+  
+  body('memberIds.*')
+    .isMongoId()
+    .withMessage('Valid member ID is required')
+];
+
+const CLASSROOM_IDS = CHILDREN_CLASSROOMS.map((room) => room.id);
+
+/**
+ * Validation middleware for children's kiosk check-in
+ */
+const validateChildrenCheckIn = [
+  body('householdId')
+    .isMongoId()
+    .withMessage('Valid household ID is required'),
+  
+  body('guardianId')
+    .isMongoId()
+    .withMessage('Valid guardian ID is required'),
+  
+  body('activityId')
+    .isMongoId()
+    .withMessage('Valid activity ID is required'),
+  
+  body('activityTitle')
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Activity title must be between 1 and 200 characters'),
+  
+  body('children')
+    .isArray({ min: 1 })
+    .withMessage('Select at least one child'),
+  
+  body('children.*.userId')
+    .isMongoId()
+    .withMessage('Valid child ID is required'),
+  
+  body('children.*.classroom')
+    .isIn(CLASSROOM_IDS)
+    .withMessage('Valid classroom is required for each child')
+];
+
+/**
+ * Validation middleware for the classroom roster
+ */
+const validateClassroomRoster = [
+  query('activityId')
+    .optional()
+    .isMongoId()
+    .withMessage('Valid activity ID is required'),
+  
+  query('classroom')
+    .optional()
+    .isIn(CLASSROOM_IDS)
+    .withMessage('Valid classroom is required')
+];
+
+/**
+ * Validation middleware for the usher QR code
+ */
+const validateCheckInQr = [
+  param('eventId')
+    .isMongoId()
+    .withMessage('Valid event ID is required')
+];
+
 /**
  * Validation middleware for updating attendance
  */
@@ -166,7 +271,7 @@ const validateUpdateAttendance = [
   
   body('recordingMethod')
     .optional()
-    .isIn(['manual', 'qr_code', 'rfid', 'mobile_app', 'web_portal'])
+    .isIn(['manual', 'qr_code', 'rfid', 'mobile_app', 'web_portal', 'kiosk'])
     .withMessage('Valid recording method is required')
 ];
 
@@ -234,6 +339,22 @@ const validateAttendanceStats = [
     .withMessage('Location cannot exceed 100 characters')
 ];
 
+/**
+ * Validation middleware for attendance forecasts
+ */
+const validateAttendanceForecast = [
+  query('days')
+    .optional()
+    .isInt({ min: 1, max: ATTENDANCE_FORECAST.MAX_DAYS })
+    .withMessage(`Days must be between 1 and ${ATTENDANCE_FORECAST.MAX_DAYS}`),
+  
+  query('category')
+    .optional()
+    .trim()
+    .isLength({ max: 50 })
+    .withMessage('Category cannot exceed 50 characters')
+];
+
 /**
  * Validation middleware for getting all attendance
  */
@@ -369,6 +490,18 @@ const canAccessAttendance = async (req, res, next) => {
   }
 };
 
+/**
+ * Lets members check themselves out of their own attendance records
+ */
+const ownsAttendanceRecord = async (req) => Boolean(
+  await Attendance.exists({ _id: req.params.id, user: req.user.id })
+);
+
+/**
+ * Lets members read their own attendance history
+ */
+const readsOwnHistory = async (req) => req.params.userId === req.user.id;
+
 // ===============================
 // ATTENDANCE ROUTES
 // ===============================
@@ -376,49 +509,172 @@ const canAccessAttendance = async (req, res, next) => {
 /**
  * @route   POST /api/attendance
  * @desc    Create new attendance record
- * @access  Private (Admin, Usher)
+ * @access  Private (manage_attendance)
  */
 router.post('/', 
+  auth,
+  requirePermission(PERMISSIONS.MANAGE_ATTENDANCE),
   validateCreateAttendance, 
   createAttendance
 );
 
 /**
  * @route   POST /api/attendance/bulk
- * @desc    Create multiple attendance records
- * @access  Private (Admin, Usher)
+ * @desc    Create multiple attendance records (also replays the offline usher queue)
+ * @access  Private (manage_attendance; also accepts the attendance sync token)
  */
 router.post('/bulk', 
+  attendanceSyncAuth,
+  requirePermission(PERMISSIONS.MANAGE_ATTENDANCE),
   validateBulkAttendance, 
   bulkCreateAttendance
 );
 
+/**
+ * @route   POST /api/attendance/sync-token
+ * @desc    Longer-lived token for replaying the offline usher queue
+ * @access  Private (manage_attendance)
+ */
+router.post('/sync-token', 
+  auth,
+  requirePermission(PERMISSIONS.MANAGE_ATTENDANCE),
+  issueSyncToken
+);
+
+/**
+ * @route   GET /api/attendance/roster
+ * @desc    Members to keep on an usher's device for offline check-in
+ * @access  Private (manage_attendance)
+ */
+router.get('/roster', 
+  auth,
+  requirePermission(PERMISSIONS.MANAGE_ATTENDANCE),
+  getAttendanceRoster
+);
+
+/**
+ * @route   POST /api/attendance/household/:householdId
+ * @desc    Check in a whole family (or chosen members of it)
+ * @access  Private (manage_attendance)
+ */
+router.post('/household/:householdId', 
+  auth,
+  requirePermission(PERMISSIONS.MANAGE_ATTENDANCE),
+  validateHouseholdCheckIn, 
+  checkInHousehold
+);
+
+/**
+ * @route   GET /api/attendance/children/households
+ * @desc    Find a family at the children's check-in kiosk
+ * @access  Private (manage_attendance)
+ */
+router.get('/children/households', 
+  auth,
+  requirePermission(PERMISSIONS.MANAGE_ATTENDANCE),
+  lookupCheckInHouseholds
+);
+
+/**
+ * @route   POST /api/attendance/children/check-in
+ * @desc    Check children in and issue tags with a shared pickup code
+ * @access  Private (manage_attendance)
+ */
+router.post('/children/check-in', 
+  auth,
+  requirePermission(PERMISSIONS.MANAGE_ATTENDANCE),
+  validateChildrenCheckIn, 
+  checkInChildren
+);
+
+/**
+ * @route   GET /api/attendance/children/roster
+ * @desc    Today's live roster for a children's classroom
+ * @access  Private (manage_attendance)
+ */
+router.get('/children/roster', 
+  auth,
+  requirePermission(PERMISSIONS.MANAGE_ATTENDANCE),
+  validateClassroomRoster, 
+  getClassroomRoster
+);
+
+/**
+ * @route   GET /api/attendance/qr/events
+ * @desc    Today's events and whether self check-in is open
+ * @access  Private
+ */
+router.get('/qr/events', 
+  auth,
+  getCheckInEvents
+);
+
+/**
+ * @route   POST /api/attendance/qr/scan
+ * @desc    Check yourself in from a scanned QR code
+ * @access  Private
+ */
+router.post('/qr/scan', 
+  auth,
+  scanCheckInQr
+);
+
+/**
+ * @route   GET /api/attendance/qr/:eventId
+ * @desc    Current rotating QR code for ushers to display
+ * @access  Private (manage_attendance)
+ */
+router.get('/qr/:eventId', 
+  auth,
+  requirePermission(PERMISSIONS.MANAGE_ATTENDANCE),
+  validateCheckInQr,
+  getCheckInQr
+);
+
 /**
  * @route   GET /api/attendance/stats
  * @desc    Get attendance statistics
- * @access  Private (Admin, Usher)
+ * @access  Private (manage_attendance)
  */
 router.get('/stats', 
+  auth,
+  requirePermission(PERMISSIONS.MANAGE_ATTENDANCE),
   validateAttendanceStats, 
   getAttendanceStats
 );
 
+/**
+ * @route   GET /api/attendance/forecast
+ * @desc    Expected attendance for upcoming events, with capacity warnings
+ * @access  Private (view_analytics)
+ */
+router.get('/forecast', 
+  auth,
+  requirePermission(PERMISSIONS.VIEW_ANALYTICS),
+  validateAttendanceForecast, 
+  getAttendanceForecast
+);
+
 /**
  * @route   GET /api/attendance/member/:userId
  * @desc    Get member attendance history
- * @access  Private (Admin, Usher, Owner)
+ * @access  Private (manage_attendance, Owner)
  */
 router.get('/member/:userId', 
+  auth,
   validateMemberAttendanceHistory, 
+  requirePermission(PERMISSIONS.MANAGE_ATTENDANCE, { orOwner: readsOwnHistory }),
   getMemberAttendanceHistory
 );
 
 /**
  * @route   GET /api/attendance
  * @desc    Get all attendance records with filtering
- * @access  Private (Admin, Usher)
+ * @access  Private (manage_attendance)
  */
 router.get('/', 
+  auth,
+  requirePermission(PERMISSIONS.MANAGE_ATTENDANCE),
   validateGetAllAttendance, 
   getAllAttendance
 );
@@ -426,39 +682,47 @@ router.get('/',
 /**
  * @route   GET /api/attendance/:id
  * @desc    Get attendance record by ID
- * @access  Private (Admin, Usher, Owner)
+ * @access  Private (manage_attendance, Owner)
  */
 router.get('/:id', 
+  auth,
   validateGetAttendanceById, 
+  requirePermission(PERMISSIONS.MANAGE_ATTENDANCE, { orOwner: ownsAttendanceRecord }),
   getAttendanceById
 );
 
 /**
  * @route   PUT /api/attendance/:id
- * @desc    Update attendance record
- * @access  Private (Admin, Usher)
+ * @desc    Update attendance record; children are checked out with their pickup code instead
+ * @access  Private (manage_attendance)
  */
 router.put('/:id', 
+  auth,
+  requirePermission(PERMISSIONS.MANAGE_ATTENDANCE),
   validateUpdateAttendance, 
   updateAttendance
 );
 
 /**
  * @route   PATCH /api/attendance/:id/checkout
- * @desc    Check out attendance (mark departure)
- * @access  Private (Admin, Usher, Owner)
+ * @desc    Check out attendance (mark departure); children need their pickup code
+ * @access  Private (manage_attendance, Owner)
  */
 router.patch('/:id/checkout', 
+  auth,
   validateGetAttendanceById, 
+  requirePermission(PERMISSIONS.MANAGE_ATTENDANCE, { orOwner: ownsAttendanceRecord }),
   checkOut
 );
 
 /**
  * @route   DELETE /api/attendance/:id
  * @desc    Soft delete attendance record
- * @access  Private (Admin only)
+ * @access  Private (manage_attendance)
  */
 router.delete('/:id', 
+  auth,
+  requirePermission(PERMISSIONS.MANAGE_ATTENDANCE),
   validateGetAttendanceById, 
   deleteAttendance
 );
@@ -1,10 +1,38 @@
 const express = require('express');
 const router = express.Router();
 const authController = require('../controllers/authController');
+const auth = require('../middleware/auth');
+
+// 2FA setup runs either signed in or mid-login with the setup token from /login
+const authOrSetupToken = (req, res, next) => (req.body && req.body.setupToken ? next() : auth(req, res, next));
 
 // Registration
 router.post('/register', authController.register);
 // Login
 router.post('/login', authController.login);
+// Refresh access token (rotates the refresh token)
+router.post('/refresh', authController.refresh);
+// Logout (revokes the session behind the refresh token)
+router.post('/logout', authController.logout);
+
+// Email verification
+router.post('/verify-email', authController.verifyEmail);
+router.post('/resend-verification', authController.resendVerification);
+// Password reset
+router.post('/forgot-password', authController.forgotPassword);
+router.post('/reset-password', authController.resetPassword);
+
+// Two-factor authentication
+router.post('/2fa/verify', authController.verifyTwoFactor);
+router.get('/2fa', auth, authController.getTwoFactorStatus);
+router.post('/2fa/setup', authOrSetupToken, authController.setupTwoFactor);
+router.post('/2fa/enable', authOrSetupToken, authController.enableTwoFactor);
+router.post('/2fa/disable', auth, authController.disableTwoFactor);
+router.post('/2fa/recovery-codes', auth, authController.regenerateRecoveryCodes);
+
+// Active sessions for the current user
+router.get('/sessions', auth, authController.getSessions);
+router.delete('/sessions', auth, authController.revokeOtherSessions);
+router.delete('/sessions/:id', auth, authController.revokeSession);
 
 module.exports = router;
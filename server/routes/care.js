@@ -0,0 +1,23 @@
+const express = require('express');
+const router = express.Router();
+const careController = require('../controllers/careController');
+const auth = require('../middleware/auth');
+const requirePermission = require('../middleware/permission');
+const { PERMISSIONS } = require('../../shared/constants');
+
+const { loadAbsenteeTask, isAssignedCare } = careController;
+
+// Care givers without PASTORAL_CARE can work the tasks assigned to them
+const careGiver = [auth, requirePermission(PERMISSIONS.PASTORAL_CARE, { orOwner: isAssignedCare })];
+const careAdmin = [auth, requirePermission([PERMISSIONS.PASTORAL_CARE, PERMISSIONS.EDIT_USERS])];
+
+router.get('/absentees', ...careGiver, careController.getAbsentees);
+router.post('/absentees/detect', ...careAdmin, careController.runAbsenteeDetection);
+router.put('/absentees/:id/stage', ...careGiver, loadAbsenteeTask, careController.moveAbsentee);
+router.put('/absentees/:id/assign', auth, requirePermission(PERMISSIONS.PASTORAL_CARE), loadAbsenteeTask, careController.assignAbsentee);
+router.post('/absentees/:id/notes', ...careGiver, loadAbsenteeTask, careController.addAbsenteeNote);
+
+router.get('/settings', auth, requirePermission(PERMISSIONS.PASTORAL_CARE), careController.getSettings);
+router.put('/settings', ...careAdmin, careController.updateSettings);
+
+module.exports = router;
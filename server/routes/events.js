@@ -1,6 +1,13 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const { body } = require('express-validator');
-// const auth = require('../middleware/auth');
+const auth = require('../middleware/auth');
+const requirePermission = require('../middleware/permission');
+const Event = require('../models/Event');
+const { isMinistryLeader } = require('../utils/permissions');
+const { ledMinistryIds } = require('../utils/ministryBudget');
+const { dayKey } = require('../utils/eventOccurrences');
+const { PERMISSIONS, EVENT_TICKETS, PAYMENT_PROVIDERS } = require('../../shared/constants');
 const {
   getAllEvents,
   getEvent,
@@ -9,9 +16,24 @@ const {
   deleteEvent,
   getFeaturedEvents,
   getUpcomingEvents,
+  getManagedEvents,
+  getEventOccurrences,
+  restoreOccurrence,
   registerForEvent,
   unregisterFromEvent,
-  getEventAttendees
+  getMyRegistration,
+  getEventAttendees,
+  getEventWaitlist,
+  updateAttendance,
+  getTicket,
+  sendTestTicketPayment,
+  checkInTicket,
+  refundAttendee,
+  getCalendarFeed,
+  getPersonalCalendarFeed,
+  getCalendarFeedLink,
+  resetCalendarFeedLink,
+  getEventCalendar
 } = require('../controllers/eventController');
 
 const router = express.Router();
@@ -21,229 +43,304 @@ const router = express.Router();
  * Handles all event-related API endpoints with proper validation and authorization
  * 
  * Public Routes:
- * - GET /api/events - Get all published events
+ * - GET /api/events - Get all published events (occurrences with ?from=&to=)
  * - GET /api/events/featured - Get featured events
- * - GET /api/events/upcoming - Get upcoming events
+ * - GET /api/events/upcoming - Get upcoming occurrences
+ * - GET /api/events/calendar.ics - iCalendar feed (?category=, ?ministry=)
+ * - GET /api/events/calendar/:token.ics - A member's feed of their registrations
+ * - GET /api/events/tickets/:reference - A ticket and its payment, with its QR code once paid
  * - GET /api/events/:identifier - Get single event
+ * - GET /api/events/:identifier/calendar.ics - Download event as .ics
  * 
  * Protected Routes (Member):
- * - POST /api/events/:id/register - Register for event
- * - DELETE /api/events/:id/register - Unregister from event
+ * - GET /api/events/calendar/feed - Personal calendar feed links
+ * - POST /api/events/calendar/feed/reset - Replace the personal feed link
+ * - GET /api/events/:id/register - Own registrations and waitlist places
+ * - POST /api/events/:id/register - Register for event (or one occurrence), or join its waitlist when full
+ * - DELETE /api/events/:id/register - Unregister from event, or leave its waitlist
+ * - POST /api/events/tickets/:reference/test-payment - Complete a test checkout for an own ticket (fake provider only)
  * 
- * Admin Routes:
- * - POST /api/events - Create event
- * - PUT /api/events/:id - Update event
- * - DELETE /api/events/:id - Delete event
- * - GET /api/events/:id/attendees - Get event attendees
+ * Permission Routes (or the leader of the event's ministry):
+ * - GET /api/events/manage - Events in any status (edit_events)
+ * - GET /api/events/manage/:id/occurrences - An event's occurrences (edit_events)
+ * - POST /api/events - Create event (create_events)
+ * - PUT /api/events/:id - Update event, one occurrence or the rest of a series (edit_events)
+ * - DELETE /api/events/:id/occurrences/:date - Undo changes to one occurrence (edit_events)
+ * - DELETE /api/events/:id - Delete event, cancel an occurrence or end a series (delete_events)
+ * - GET /api/events/:id/attendees - Get event attendees (manage_attendance)
+ * - GET /api/events/:id/waitlist - Get an event's waitlist in order (manage_attendance)
+ * - PATCH /api/events/:id/attendees/:attendeeId - Record attendance (manage_attendance)
+ * - POST /api/events/:id/tickets/check-in - Check in by scanning a ticket (manage_attendance)
+ * - POST /api/events/:id/attendees/:attendeeId/refund - Cancel and refund a paid ticket (edit_events)
  */
 
-// Validation rules for creating/updating events
-const eventValidationRules = [
-  body('title')
-    .notEmpty()
-    .withMessage('Event title is required')
-    .isLength({ min: 3, max: 200 })
-    .withMessage('Title must be between 3 and 200 characters')
-    .trim(),
-  
-  body('description')
-    .notEmpty()
-    .withMessage('Event description is required')
-    .isLength({ min: 10, max: 2000 })
-    .withMessage('Description must be between 10 and 2000 characters')
-    .trim(),
-  
-  body('eventType')
-    .notEmpty()
-    .withMessage('Event type is required')
-    .isIn(['Service', 'Conference', 'Workshop', 'Fellowship', 'Outreach', 'Youth Event', 'Children Event', 'Prayer Meeting', 'Special Service', 'Community Service'])
-    .withMessage('Invalid event type'),
-  
-  body('category')
-    .notEmpty()
-    .withMessage('Event category is required')
-    .isIn(['Worship', 'Teaching', 'Fellowship', 'Outreach', 'Youth', 'Children', 'Prayer', 'Special', 'Community'])
-    .withMessage('Invalid event category'),
-  
-  body('startDate')
-    .notEmpty()
-    .withMessage('Start date is required')
-    .isISO8601()
-    .withMessage('Start date must be a valid date')
-    .custom((value) => {
-      if (new Date(value) < new Date()) {
-        throw new Error('Start date cannot be in the past');
-      }
-      return true;
-    }),
-  
-  body('endDate')
-    .notEmpty()
-    .withMessage('End date is required')
-    .isISO8601()
-    .withMessage('End date must be a valid date')
-    .custom((value, { req }) => {
-      if (new Date(value) <= new Date(req.body.startDate)) {
-        throw new Error('End date must be after start date');
-      }
-      return true;
-    }),
-  
-  body('location.venue')
-    .notEmpty()
-    .withMessage('Venue is required')
-    .isLength({ min: 3, max: 200 })
-    .withMessage('Venue must be between 3 and 200 characters')
-    .trim(),
-  
-  body('location.address')
-    .optional()
-    .isLength({ max: 300 })
-    .withMessage('Address cannot exceed 300 characters')
-    .trim(),
-  
-  body('location.city')
-    .optional()
-    .isLength({ max: 100 })
-    .withMessage('City cannot exceed 100 characters')
-    .trim(),
-  
-  body('location.state')
-    .optional()
-    .isLength({ max: 100 })
-    .withMessage('State cannot exceed 100 characters')
-    .trim(),
-  
-  body('capacity')
-    .optional()
-    .isInt({ min: 1 })
-    .withMessage('Capacity must be a positive integer'),
-  
-  body('cost.amount')
-    .optional()
-    .isFloat({ min: 0 })
-    .withMessage('Cost amount must be a positive number'),
-  
-  body('cost.currency')
-    .optional()
-    .isIn(['NGN', 'USD', 'EUR', 'GBP'])
-    .withMessage('Invalid currency'),
-  
-  body('organizer.department')
-    .optional()
-    .isLength({ max: 100 })
-    .withMessage('Department cannot exceed 100 characters')
-    .trim(),
-  
-  body('organizer.contactPerson')
-    .optional()
-    .isLength({ max: 100 })
-    .withMessage('Contact person cannot exceed 100 characters')
-    .trim(),
-  
-  body('organizer.contactEmail')
-    .optional()
-    .isEmail()
-    .withMessage('Contact email must be valid')
-    .normalizeEmail(),
-  
-  body('organizer.contactPhone')
-    .optional()
-    .matches(/^(\+234|0)[7-9]\d{9}$/)
-    .withMessage('Contact phone must be a valid Nigerian phone number'),
-  
-  body('registration.isRequired')
-    .optional()
-    .isBoolean()
-    .withMessage('Registration required must be a boolean'),
-  
-  body('registration.isOpen')
-    .optional()
-    .isBoolean()
-    .withMessage('Registration open must be a boolean'),
-  
-  body('registration.deadline')
-    .optional()
-    .isISO8601()
-    .withMessage('Registration deadline must be a valid date')
-    .custom((value, { req }) => {
-      if (new Date(value) >= new Date(req.body.startDate)) {
-        throw new Error('Registration deadline must be before event start date');
-      }
-      return true;
-    }),
-  
-  body('tags')
-    .optional()
-    .isArray()
-    .withMessage('Tags must be an array')
-    .custom((tags) => {
-      if (tags.length > 10) {
-        throw new Error('Cannot have more than 10 tags');
-      }
-      return tags.every(tag => 
-        typeof tag === 'string' && 
-        tag.length <= 30 && 
-        tag.trim().length > 0
-      );
-    })
-    .withMessage('Each tag must be a non-empty string with max 30 characters'),
-  
-  body('status')
-    .optional()
-    .isIn(['draft', 'published', 'cancelled', 'completed'])
-    .withMessage('Invalid status'),
-  
-  body('isFeatured')
-    .optional()
-    .isBoolean()
-    .withMessage('Featured must be a boolean'),
-  
-  body('imageUrl')
-    .optional()
-    .isURL()
-    .withMessage('Image URL must be valid'),
-  
-  body('requirements')
-    .optional()
-    .isArray()
-    .withMessage('Requirements must be an array')
-    .custom((requirements) => {
-      return requirements.every(req => 
-        typeof req === 'string' && 
-        req.length <= 200 && 
-        req.trim().length > 0
-      );
-    })
-    .withMessage('Each requirement must be a non-empty string with max 200 characters'),
-  
-  body('metaDescription')
-    .optional()
-    .isLength({ max: 160 })
-    .withMessage('Meta description cannot exceed 160 characters')
-    .trim()
-];
-
-// Middleware to check admin/staff permissions
-const requireAdminOrStaff = (req, res, next) => {
-  if (!req.user || !['admin', 'staff'].includes(req.user.role)) {
-    return res.status(403).json({
-      success: false,
-      message: 'Access denied. Admin or staff privileges required.'
-    });
-  }
-  next();
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const TIME_FORMAT = /^([01]?[0-9]|2[0-3]):[0-5][0-9]$/;
+const enumValues = (path) => Event.schema.path(path).enumValues;
+
+/**
+ * Validation rules for creating/updating events. Updates only send the
+ * fields that change, so nothing is required of them.
+ * @param {boolean} [isUpdate]
+ */
+const eventValidationRules = (isUpdate = false) => {
+  const field = (name, requiredMessage) => (isUpdate
+    ? body(name).optional()
+    : body(name).notEmpty().withMessage(requiredMessage));
+
+  return [
+    field('title', 'Event title is required')
+      .isLength({ min: 3, max: 100 })
+      .withMessage('Title must be between 3 and 100 characters')
+      .trim(),
+
+    field('description', 'Event description is required')
+      .isLength({ min: 10, max: 2000 })
+      .withMessage('Description must be between 10 and 2000 characters')
+      .trim(),
+
+    field('type', 'Event type is required')
+      .isIn(enumValues('type'))
+      .withMessage('Invalid event type'),
+
+    field('category', 'Event category is required')
+      .isIn(enumValues('category'))
+      .withMessage('Invalid event category'),
+
+    field('startDate', 'Start date is required')
+      .isISO8601()
+      .withMessage('Start date must be a valid date')
+      .custom((value) => {
+        if (dayKey(value) < dayKey(new Date())) {
+          throw new Error('Start date cannot be in the past');
+        }
+        return true;
+      }),
+
+    field('endDate', 'End date is required')
+      .isISO8601()
+      .withMessage('End date must be a valid date')
+      .custom((value, { req }) => {
+        if (req.body.startDate && new Date(value) < new Date(req.body.startDate)) {
+          throw new Error('End date cannot be before start date');
+        }
+        return true;
+      }),
+
+    field('startTime', 'Start time is required')
+      .matches(TIME_FORMAT)
+      .withMessage('Start time must be HH:MM'),
+
+    field('endTime', 'End time is required')
+      .matches(TIME_FORMAT)
+      .withMessage('End time must be HH:MM'),
+
+    field('location.venue', 'Venue is required')
+      .isLength({ min: 3, max: 200 })
+      .withMessage('Venue must be between 3 and 200 characters')
+      .trim(),
+
+    body('location.address.street')
+      .optional()
+      .isLength({ max: 200 })
+      .withMessage('Street address cannot exceed 200 characters')
+      .trim(),
+
+    body('location.address.city')
+      .optional()
+      .isLength({ max: 100 })
+      .withMessage('City cannot exceed 100 characters')
+      .trim(),
+
+    body('location.address.state')
+      .optional()
+      .isLength({ max: 100 })
+      .withMessage('State cannot exceed 100 characters')
+      .trim(),
+
+    body('organizer')
+      .optional()
+      .isMongoId()
+      .withMessage('Invalid organizer'),
+
+    body('ministry')
+      .optional({ values: 'null' })
+      .isMongoId()
+      .withMessage('Invalid ministry'),
+
+    body('maxAttendees')
+      .optional({ values: 'null' })
+      .isInt({ min: 1 })
+      .withMessage('Maximum attendees must be a positive integer'),
+
+    body('registrationFee.amount')
+      .optional()
+      .isFloat({ min: 0 })
+      .withMessage('Registration fee must be a positive number'),
+
+    body('registrationFee.currency')
+      .optional()
+      .isIn(['NGN', 'USD', 'EUR', 'GBP'])
+      .withMessage('Invalid currency'),
+
+    body('ticketTypes')
+      .optional()
+      .isArray({ max: 10 })
+      .withMessage('An event can have up to 10 ticket types'),
+
+    body('ticketTypes.*.name')
+      .isLength({ min: 1, max: 60 })
+      .withMessage('Each ticket type needs a name of up to 60 characters')
+      .trim(),
+
+    body('ticketTypes.*.price')
+      .isFloat({ min: 0 })
+      .withMessage('Ticket prices must be zero or more'),
+
+    body('ticketTypes.*.admits')
+      .optional()
+      .isInt({ min: 1, max: 10 })
+      .withMessage('A ticket can admit between 1 and 10 people'),
+
+    body('ticketTypes.*.quantity')
+      .optional({ values: 'null' })
+      .isInt({ min: 1 })
+      .withMessage('Tickets on sale must be at least 1'),
+
+    body(['ticketTypes.*.salesStart', 'ticketTypes.*.salesEnd', 'promoCodes.*.validUntil'])
+      .optional({ values: 'null' })
+      .isISO8601()
+      .withMessage('Sales dates must be valid dates'),
+
+    body('promoCodes')
+      .optional()
+      .isArray({ max: 50 })
+      .withMessage('An event can have up to 50 promo codes')
+      .custom((codes) => codes.every((promo) => (promo.discountType || 'percent') !== 'percent' || Number(promo.value) <= 100))
+      .withMessage('A percentage discount cannot be more than 100'),
+
+    body('promoCodes.*.code')
+      .matches(/^[A-Za-z0-9-]{3,20}$/)
+      .withMessage('Promo codes are 3 to 20 letters, numbers or dashes'),
+
+    body('promoCodes.*.discountType')
+      .optional()
+      .isIn(EVENT_TICKETS.PROMO_DISCOUNT_TYPES)
+      .withMessage('Discounts are a percent or a fixed amount'),
+
+    body('promoCodes.*.value')
+      .isFloat({ min: 0 })
+      .withMessage('Discounts must be zero or more'),
+
+    body('promoCodes.*.maxUses')
+      .optional({ values: 'null' })
+      .isInt({ min: 1 })
+      .withMessage('Promo code uses must be at least 1'),
+
+    body('requiresRegistration')
+      .optional()
+      .isBoolean()
+      .withMessage('Requires registration must be a boolean'),
+
+    body('waitlistEnabled')
+      .optional()
+      .isBoolean()
+      .withMessage('Waitlist enabled must be a boolean'),
+
+    body('maxGuestsPerRegistration')
+      .optional()
+      .isInt({ min: 0, max: 20 })
+      .withMessage('Guests per registration must be between 0 and 20'),
+
+    body('waitlistClaimHours')
+      .optional()
+      .isInt({ min: 1, max: 168 })
+      .withMessage('The claim window must be between 1 and 168 hours'),
+
+    body('registrationDeadline')
+      .optional({ values: 'null' })
+      .isISO8601()
+      .withMessage('Registration deadline must be a valid date')
+      .custom((value, { req }) => {
+        if (req.body.startDate && new Date(value) >= new Date(req.body.startDate)) {
+          throw new Error('Registration deadline must be before event start date');
+        }
+        return true;
+      }),
+
+    body('recurrence.pattern')
+      .optional()
+      .isIn(enumValues('recurrence.pattern'))
+      .withMessage('Invalid recurrence pattern'),
+
+    body('recurrence.interval')
+      .optional()
+      .isInt({ min: 1, max: 52 })
+      .withMessage('Recurrence interval must be between 1 and 52'),
+
+    body('recurrence.daysOfWeek')
+      .optional()
+      .isArray()
+      .withMessage('Days of the week must be an array')
+      .custom((days) => days.every((day) => WEEKDAYS.includes(day)))
+      .withMessage('Days of the week must be day names, e.g. Sunday'),
+
+    body('recurrence.endRecurrence')
+      .optional({ values: 'null' })
+      .isISO8601()
+      .withMessage('Recurrence end must be a valid date'),
+
+    body('recurrence.occurrences')
+      .optional({ values: 'null' })
+      .isInt({ min: 1 })
+      .withMessage('Number of occurrences must be at least 1'),
+
+    body('tags')
+      .optional()
+      .isArray()
+      .withMessage('Tags must be an array')
+      .custom((tags) => {
+        if (tags.length > 10) {
+          throw new Error('Cannot have more than 10 tags');
+        }
+        return tags.every(tag => 
+          typeof tag === 'string' && 
+          tag.length <= 50 && 
+          tag.trim().length > 0
+        );
+      })
+      .withMessage('Each tag must be a non-empty string with max 50 characters'),
+
+    body('status')
+      .optional()
+      .isIn(enumValues('status'))
+      .withMessage('Invalid status'),
+
+    body('visibility')
+      .optional()
+      .isIn(enumValues('visibility'))
+      .withMessage('Invalid visibility'),
+
+    body('isFeatured')
+      .optional()
+      .isBoolean()
+      .withMessage('Featured must be a boolean')
+  ];
 };
 
-// Middleware to check admin permissions
-const requireAdmin = (req, res, next) => {
-  if (!req.user || req.user.role !== 'admin') {
-    return res.status(403).json({
-      success: false,
-      message: 'Access denied. Admin privileges required.'
-    });
-  }
-  next();
+// Ministry leaders may create events for the ministry they lead
+const leadsNewEventMinistry = (req) => isMinistryLeader(req.user, req.body.ministry);
+
+// Ministry leaders may list the events of the ministries they lead
+const leadsAnyMinistry = async (req) => (await ledMinistryIds(req.user)).length > 0;
+
+// Ministry leaders may manage their ministry's events, but not move them to another ministry
+const leadsEventMinistry = async (req) => {
+  if (!mongoose.isValidObjectId(req.params.id)) return false;
+  const event = await Event.findById(req.params.id).select('ministry');
+  if (!event || !event.ministry || !(await isMinistryLeader(req.user, event.ministry))) return false;
+  if (!req.body || !req.body.ministry || String(req.body.ministry) === String(event.ministry)) return true;
+  return isMinistryLeader(req.user, req.body.ministry);
 };
 
 // Public Routes
@@ -256,28 +353,68 @@ router.get('/featured', getFeaturedEvents);
 // Get upcoming events
 router.get('/upcoming', getUpcomingEvents);
 
+// Events in any status, for organisers
+router.get('/manage', auth, requirePermission(PERMISSIONS.EDIT_EVENTS, { orOwner: leadsAnyMinistry }), getManagedEvents);
+
+// An event's occurrences, including cancelled ones
+router.get('/manage/:id/occurrences', auth, requirePermission(PERMISSIONS.EDIT_EVENTS, { orOwner: leadsEventMinistry }), getEventOccurrences);
+
+// Calendar feeds for calendar apps to subscribe to
+router.get('/calendar.ics', getCalendarFeed);
+router.get('/calendar/:token.ics', getPersonalCalendarFeed);
+
+// The caller's personal feed links
+router.get('/calendar/feed', auth, getCalendarFeedLink);
+router.post('/calendar/feed/reset', auth, resetCalendarFeedLink);
+
+// Tickets, by the reference on them
+router.get('/tickets/:reference', getTicket);
+if (process.env.PAYMENT_PROVIDER === PAYMENT_PROVIDERS.FAKE) {
+  router.post('/tickets/:reference/test-payment', auth, sendTestTicketPayment);
+}
+
 // Get single event by ID or slug
 router.get('/:identifier', getEvent);
 
+// Download an event, or one of its dates, for a calendar app
+router.get('/:identifier/calendar.ics', getEventCalendar);
+
 // Protected Member Routes
+// The caller's registrations and waitlist places
+router.get('/:id/register', auth, getMyRegistration);
+
 // Register for an event
-router.post('/:id/register', registerForEvent);
+router.post('/:id/register', auth, registerForEvent);
 
 // Unregister from an event
-router.delete('/:id/register', unregisterFromEvent);
+router.delete('/:id/register', auth, unregisterFromEvent);
 
-// Admin/Staff Routes
+// Permission Routes
 // Create new event
-router.post('/', eventValidationRules, createEvent);
+router.post('/', auth, requirePermission(PERMISSIONS.CREATE_EVENTS, { orOwner: leadsNewEventMinistry }), eventValidationRules(), createEvent);
 
 // Update existing event
-router.put('/:id', eventValidationRules, updateEvent);
+router.put('/:id', auth, requirePermission(PERMISSIONS.EDIT_EVENTS, { orOwner: leadsEventMinistry }), eventValidationRules(true), updateEvent);
+
+// Undo a cancellation or move of one occurrence
+router.delete('/:id/occurrences/:date', auth, requirePermission(PERMISSIONS.EDIT_EVENTS, { orOwner: leadsEventMinistry }), restoreOccurrence);
+
+// Get event attendees
+router.get('/:id/attendees', auth, requirePermission(PERMISSIONS.MANAGE_ATTENDANCE, { orOwner: leadsEventMinistry }), getEventAttendees);
+
+// Get an event's waitlist
+router.get('/:id/waitlist', auth, requirePermission(PERMISSIONS.MANAGE_ATTENDANCE, { orOwner: leadsEventMinistry }), getEventWaitlist);
+
+// Record attendance for a registration
+router.patch('/:id/attendees/:attendeeId', auth, requirePermission(PERMISSIONS.MANAGE_ATTENDANCE, { orOwner: leadsEventMinistry }), updateAttendance);
+
+// Check in a ticket holder by scanning their ticket
+router.post('/:id/tickets/check-in', auth, requirePermission(PERMISSIONS.MANAGE_ATTENDANCE, { orOwner: leadsEventMinistry }), checkInTicket);
 
-// Get event attendees (Admin/Staff only)
-router.get('/:id/attendees', getEventAttendees);
+// Cancel a registration and refund its ticket
+router.post('/:id/attendees/:attendeeId/refund', auth, requirePermission(PERMISSIONS.EDIT_EVENTS, { orOwner: leadsEventMinistry }), refundAttendee);
 
-// Admin Only Routes
 // Delete event
-router.delete('/:id', deleteEvent);
+router.delete('/:id', auth, requirePermission(PERMISSIONS.DELETE_EVENTS, { orOwner: leadsEventMinistry }), deleteEvent);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,21 @@
+const express = require('express');
+const router = express.Router();
+const expenseController = require('../controllers/expenseController');
+const auth = require('../middleware/auth');
+const requirePermission = require('../middleware/permission');
+const { PERMISSIONS } = require('../../shared/constants');
+
+// Ministry leaders without MANAGE_MINISTRY_BUDGETS work with their own ministries
+const budgetUser = [auth, requirePermission(PERMISSIONS.MANAGE_MINISTRY_BUDGETS, { orOwner: expenseController.leadsAMinistry })];
+const budgetManager = [auth, requirePermission(PERMISSIONS.MANAGE_MINISTRY_BUDGETS)];
+
+router.get('/budgets', ...budgetUser, expenseController.getBudgets);
+router.put('/budgets/:ministryId', ...budgetManager, expenseController.setBudget);
+
+router.get('/', ...budgetUser, expenseController.getExpenses);
+router.post('/', ...budgetUser, expenseController.createExpense);
+router.put('/:id', ...budgetUser, expenseController.updateExpense);
+router.delete('/:id', ...budgetUser, expenseController.deleteExpense);
+router.post('/:id/review', ...budgetManager, expenseController.reviewExpense);
+
+module.exports = router;
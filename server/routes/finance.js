@@ -0,0 +1,54 @@
+const express = require('express');
+const router = express.Router();
+const multer = require('multer');
+const financeController = require('../controllers/financeController');
+const auth = require('../middleware/auth');
+const requirePermission = require('../middleware/permission');
+const { PERMISSIONS } = require('../../shared/constants');
+
+// Statements are read straight from memory and never written to disk
+const statementUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 2 * 1024 * 1024 },
+  fileFilter: (req, file, cb) => {
+    if (/\.csv$/i.test(file.originalname)) cb(null, true);
+    else cb(new Error('Bank statements must be CSV files'));
+  }
+});
+
+const uploadStatement = (req, res, next) => statementUpload.single('statement')(req, res, (err) => {
+  if (err) return res.status(400).json({ message: err.message });
+  next();
+});
+
+// Everything here is money; only finance staff may see or change it
+router.use(auth, requirePermission(PERMISSIONS.FINANCE));
+
+router.get('/members', financeController.searchMembers);
+router.get('/donations', financeController.getDonations);
+
+// Funds
+router.get('/funds', financeController.getFunds);
+router.post('/funds', financeController.createFund);
+router.put('/funds/:id', financeController.updateFund);
+
+// Offering batches
+router.get('/batches', financeController.getBatches);
+router.post('/batches', financeController.createBatch);
+router.get('/batches/:id', financeController.getBatch);
+router.put('/batches/:id', financeController.updateBatch);
+router.delete('/batches/:id', financeController.deleteBatch);
+router.post('/batches/:id/submit', financeController.submitBatch);
+router.post('/batches/:id/verify', financeController.verifyBatch);
+router.post('/batches/:id/return', financeController.returnBatch);
+
+// Bank reconciliation
+router.get('/reconciliation', financeController.getReconciliation);
+router.post('/reconciliation/import', uploadStatement, financeController.importBankStatement);
+router.post('/reconciliation/auto-match', financeController.rematchStatementLines);
+router.put('/reconciliation/:id', financeController.updateStatementLine);
+
+// Reports
+router.get('/reports/funds', financeController.getFundReport);
+
+module.exports = router;
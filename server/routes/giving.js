@@ -0,0 +1,34 @@
+const express = require('express');
+const router = express.Router();
+const givingController = require('../controllers/givingController');
+const auth = require('../middleware/auth');
+const requirePermission = require('../middleware/permission');
+const { PERMISSIONS } = require('../../shared/constants');
+
+const { loadRecurringGift } = givingController;
+const pledgeAdmin = [auth, requirePermission(PERMISSIONS.MANAGE_PLEDGES)];
+const statementAdmin = [auth, requirePermission(PERMISSIONS.ISSUE_GIVING_STATEMENTS)];
+
+router.get('/funds', auth, givingController.getFunds);
+
+// Recurring gifts
+router.get('/recurring', auth, givingController.getRecurringGifts);
+router.post('/recurring', auth, givingController.createRecurringGift);
+router.put('/recurring/:id', auth, loadRecurringGift, givingController.updateRecurringGift);
+router.delete('/recurring/:id', auth, loadRecurringGift, givingController.cancelRecurringGift);
+router.post('/recurring/:id/checkout', auth, loadRecurringGift, givingController.retryRecurringSetup);
+
+// Pledge campaigns
+router.get('/campaigns', auth, givingController.getCampaigns);
+router.get('/campaigns/manage', ...pledgeAdmin, givingController.getCampaignsForAdmin);
+router.post('/campaigns', ...pledgeAdmin, givingController.createCampaign);
+router.put('/campaigns/:id', ...pledgeAdmin, givingController.updateCampaign);
+router.get('/campaigns/:id/pledges', ...pledgeAdmin, givingController.getCampaignPledges);
+router.put('/campaigns/:id/pledge', auth, givingController.pledgeToCampaign);
+
+// Giving statements
+router.get('/statement', auth, givingController.getMyStatement);
+router.post('/statements/email', ...statementAdmin, givingController.emailStatements);
+router.get('/statements/:userId', ...statementAdmin, givingController.getMemberStatement);
+
+module.exports = router;
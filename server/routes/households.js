@@ -0,0 +1,27 @@
+const express = require('express');
+const router = express.Router();
+const householdController = require('../controllers/householdController');
+const auth = require('../middleware/auth');
+const requirePermission = require('../middleware/permission');
+const { PERMISSIONS } = require('../../shared/constants');
+
+const { loadMyHousehold, loadHousehold } = householdController;
+
+// The signed-in member's own household
+router.get('/mine', auth, loadMyHousehold, householdController.getHousehold);
+router.post('/mine', auth, householdController.createMyHousehold);
+router.put('/mine', auth, loadMyHousehold, householdController.updateHousehold);
+router.post('/mine/children', auth, loadMyHousehold, householdController.addChild);
+router.put('/mine/children/:userId', auth, loadMyHousehold, householdController.updateChild);
+router.delete('/mine/members/:userId', auth, loadMyHousehold, householdController.removeHouseholdMember);
+
+// Staff management of any household
+router.get('/', auth, requirePermission(PERMISSIONS.VIEW_USERS), householdController.listHouseholds);
+router.post('/', auth, requirePermission(PERMISSIONS.EDIT_USERS), householdController.createHousehold);
+router.get('/:id', auth, requirePermission(PERMISSIONS.VIEW_USERS), loadHousehold, householdController.getHousehold);
+router.put('/:id', auth, requirePermission(PERMISSIONS.EDIT_USERS), loadHousehold, householdController.updateHousehold);
+router.post('/:id/members', auth, requirePermission(PERMISSIONS.EDIT_USERS), loadHousehold, householdController.addHouseholdMember);
+router.post('/:id/children', auth, requirePermission(PERMISSIONS.EDIT_USERS), loadHousehold, householdController.addChild);
+router.delete('/:id/members/:userId', auth, requirePermission(PERMISSIONS.EDIT_USERS), loadHousehold, householdController.removeHouseholdMember);
+
+module.exports = router;
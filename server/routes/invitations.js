@@ -0,0 +1,19 @@
+const express = require('express');
+const router = express.Router();
+const invitationController = require('../controllers/invitationController');
+const auth = require('../middleware/auth');
+const requirePermission = require('../middleware/permission');
+const { PERMISSIONS } = require('../../shared/constants');
+
+const canManageRoles = requirePermission(PERMISSIONS.MANAGE_ROLES);
+
+// GET /api/invitations/token/:token - Look up an invitation (public, used by the register page)
+router.get('/token/:token', invitationController.getInvitationByToken);
+// GET /api/invitations - List invitations
+router.get('/', auth, canManageRoles, invitationController.listInvitations);
+// POST /api/invitations - Send an invitation
+router.post('/', auth, canManageRoles, invitationController.createInvitation);
+// DELETE /api/invitations/:id - Revoke an invitation
+router.delete('/:id', auth, canManageRoles, invitationController.revokeInvitation);
+
+module.exports = router;
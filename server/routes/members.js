@@ -2,6 +2,26 @@ const express = require('express');
 const router = express.Router();
 const auth = require('../middleware/auth');
 const memberController = require('../controllers/memberController');
+const multer = require('multer');
+const path = require('path');
+
+// Profile photos are stored locally and served from /uploads/profiles
+const photoStorage = multer.diskStorage({
+  destination: function (req, file, cb) {
+    cb(null, path.join(__dirname, '../uploads/profiles'));
+  },
+  filename: function (req, file, cb) {
+    cb(null, `${req.user.id}-${Date.now()}${path.extname(file.originalname).toLowerCase()}`);
+  },
+});
+const photoUpload = multer({
+  storage: photoStorage,
+  limits: { fileSize: 5 * 1024 * 1024 },
+  fileFilter: (req, file, cb) => {
+    if (['image/jpeg', 'image/png', 'image/webp'].includes(file.mimetype)) return cb(null, true);
+    cb(new Error('Profile photo must be a JPEG, PNG or WebP image'));
+  },
+});
 
 // Dashboard
 router.get('/dashboard', auth, memberController.getDashboard);
@@ -15,12 +35,14 @@ router.delete('/prayer-requests/:id', auth, memberController.deletePrayerRequest
 // Donations
 router.get('/donations', auth, memberController.getDonations);
 router.post('/donations', auth, memberController.createDonation);
+router.get('/donations/:reference', auth, memberController.getDonationStatus);
+router.post('/donations/:reference/test-payment', auth, memberController.simulateDonationPayment);
 
 // Profile Management
 router.get('/profile', auth, memberController.getProfile);
 router.put('/profile', auth, memberController.updateProfile);
 router.put('/change-password', auth, memberController.changePassword);
-router.post('/upload-photo', auth, memberController.uploadProfilePhoto);
+router.post('/upload-photo', auth, photoUpload.single('photo'), memberController.uploadProfilePhoto);
 
 // Event RSVP
 router.get('/my-events', auth, memberController.getMyEvents);
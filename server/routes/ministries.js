@@ -13,7 +13,11 @@ const {
   updateGoalStatus,
   getMinistryStats
 } = require('../controllers/ministryController');
-// const { protect, adminOnly, leadersOnly } = require('../middleware/auth');
+const ministryMemberController = require('../controllers/ministryMemberController');
+const auth = require('../middleware/auth');
+const requirePermission = require('../middleware/permission');
+const { isMinistryLeader } = require('../utils/permissions');
+const { PERMISSIONS } = require('../../shared/constants');
 
 /**
  * Ministry Routes for Haven Word Church
@@ -26,23 +30,40 @@ const {
  * - GET /api/ministries/category/:category - Get ministries by category
  * - GET /api/ministries/:identifier - Get single ministry
  * 
- * Protected Routes (Admin only):
- * - POST /api/ministries - Create ministry
- * - PUT /api/ministries/:id - Update ministry
- * - DELETE /api/ministries/:id - Delete ministry
- * - GET /api/ministries/stats - Get ministry statistics
+ * Protected Routes (permission):
+ * - POST /api/ministries - Create ministry (create_ministries)
+ * - DELETE /api/ministries/:id - Delete ministry (delete_ministries)
+ * - GET /api/ministries/stats - Get ministry statistics (view_analytics)
  * 
- * Protected Routes (Admin/Leader):
- * - PATCH /api/ministries/:id/members - Update member count
+ * Protected Routes (edit_ministries, or the leader of that ministry):
+ * - PUT /api/ministries/:id - Update ministry
+ * - PATCH /api/ministries/:id/members - Recount members from the roster
  * - POST /api/ministries/:id/activities - Add activity
  * - PATCH /api/ministries/:id/goals/:goalId - Update goal status
  * 
+ * Membership Routes (any signed-in user):
+ * - GET /api/ministries/mine - Ministries the user belongs to
+ * - GET /api/ministries/:id/membership - The user's membership of a ministry
+ * - POST /api/ministries/:id/join - Ask to join
+ * - POST /api/ministries/:id/leave - Leave or withdraw a request
+ * 
+ * Roster Routes (edit_ministries, or a leader or assistant of that ministry):
+ * - GET /api/ministries/:id/roster - Members and join requests
+ * - PUT /api/ministries/:id/roster/:memberId - Approve, decline or change role
+ * - DELETE /api/ministries/:id/roster/:memberId - Remove a member
+ * 
  * @author Haven Word Church Dev Team
  * @version 1.0.0
  */
 
 const router = express.Router();
 
+// Ministry leaders manage their own ministry without the global permission
+const leadsMinistry = (req) => isMinistryLeader(req.user, req.params.id);
+const canEditMinistry = [auth, requirePermission(PERMISSIONS.EDIT_MINISTRIES, { orOwner: leadsMinistry })];
+// Assistants on the roster share the leader's roster work
+const canManageRoster = [auth, requirePermission(PERMISSIONS.EDIT_MINISTRIES, { orOwner: ministryMemberController.managesRoster })];
+
 // Public routes - no authentication required
 // These routes are accessible to all visitors
 
@@ -78,68 +99,129 @@ router.get('/summaries', getMinistrySummaries);
  */
 router.get('/category/:category', getMinistriesByCategory);
 
-// Admin-only routes - require authentication and admin privileges
+// Permission routes - require authentication and a permission from the shared list
 
 /**
  * @route   GET /api/ministries/stats
  * @desc    Get ministry statistics and analytics
- * @access  Private (Admin only)
+ * @access  Private (view_analytics)
  */
-router.get('/stats', getMinistryStats);
+router.get('/stats', auth, requirePermission(PERMISSIONS.VIEW_ANALYTICS), getMinistryStats);
 
 /**
  * @route   POST /api/ministries
  * @desc    Create new ministry
- * @access  Private (Admin only)
+ * @access  Private (create_ministries)
  * @body    Ministry object with all required fields
  */
-router.post('/', createMinistry);
+router.post('/', auth, requirePermission(PERMISSIONS.CREATE_MINISTRIES), createMinistry);
 
 /**
  * @route   PUT /api/ministries/:id
  * @desc    Update ministry by ID
- * @access  Private (Admin only)
+ * @access  Private (edit_ministries or ministry leader)
  * @params  id - Ministry ID
  * @body    Updated ministry fields
  */
-router.put('/:id', updateMinistry);
+router.put('/:id', canEditMinistry, updateMinistry);
 
 /**
  * @route   DELETE /api/ministries/:id
  * @desc    Delete ministry by ID
- * @access  Private (Admin only)
+ * @access  Private (delete_ministries)
  * @params  id - Ministry ID
  */
-router.delete('/:id', deleteMinistry);
+router.delete('/:id', auth, requirePermission(PERMISSIONS.DELETE_MINISTRIES), deleteMinistry);
 
-// Admin/Leader routes - require authentication and admin or leader privileges
+// Leader routes - require edit_ministries or leading the ministry
 
 /**
  * @route   PATCH /api/ministries/:id/members
- * @desc    Update ministry member count
- * @access  Private (Admin/Leader only)
+ * @desc    Recount ministry members from the roster
+ * @access  Private (edit_ministries or ministry leader)
  * @params  id - Ministry ID
- * @body    { count: number }
  */
-router.patch('/:id/members', updateMemberCount);
+router.patch('/:id/members', canEditMinistry, updateMemberCount);
 
 /**
  * @route   POST /api/ministries/:id/activities
  * @desc    Add new activity to ministry
- * @access  Private (Admin/Leader only)
+ * @access  Private (edit_ministries or ministry leader)
  * @params  id - Ministry ID
  * @body    { title, description, date, location }
  */
-router.post('/:id/activities', addActivity);
+router.post('/:id/activities', canEditMinistry, addActivity);
 
 /**
  * @route   PATCH /api/ministries/:id/goals/:goalId
  * @desc    Update ministry goal status
- * @access  Private (Admin/Leader only)
+ * @access  Private (edit_ministries or ministry leader)
  * @params  id - Ministry ID, goalId - Goal ID
  * @body    { status: 'not-started'|'in-progress'|'completed'|'on-hold' }
  */
-router.patch('/:id/goals/:goalId', updateGoalStatus);
+router.patch('/:id/goals/:goalId', canEditMinistry, updateGoalStatus);
+
+// Membership routes - any signed-in member
+
+/**
+ * @route   GET /api/ministries/mine
+ * @desc    Ministries the current user belongs to or has asked to join
+ * @access  Private
+ */
+router.get('/mine', auth, ministryMemberController.getMyMinistries);
+
+/**
+ * @route   GET /api/ministries/:id/membership
+ * @desc    The current user's membership, what would stop them joining, and whether they run the roster
+ * @access  Private
+ * @params  id - Ministry ID
+ */
+router.get('/:id/membership', auth, ministryMemberController.getMyMembership);
+
+/**
+ * @route   POST /api/ministries/:id/join
+ * @desc    Ask to join a ministry; its leaders approve the request
+ * @access  Private
+ * @params  id - Ministry ID
+ * @body    { message?, meetsRequirements: boolean (when the ministry has requirements) }
+ */
+router.post('/:id/join', auth, ministryMemberController.joinMinistry);
+
+/**
+ * @route   POST /api/ministries/:id/leave
+ * @desc    Leave a ministry or withdraw a join request
+ * @access  Private
+ * @params  id - Ministry ID
+ */
+router.post('/:id/leave', auth, ministryMemberController.leaveMinistry);
+
+// Roster routes - require edit_ministries or leading the ministry
+
+/**
+ * @route   GET /api/ministries/:id/roster
+ * @desc    Ministry members and pending join requests
+ * @access  Private (edit_ministries or ministry leader/assistant)
+ * @params  id - Ministry ID
+ * @query   status (optional: pending, active, declined, left)
+ */
+router.get('/:id/roster', canManageRoster, ministryMemberController.getRoster);
+
+/**
+ * @route   PUT /api/ministries/:id/roster/:memberId
+ * @desc    Approve or decline a join request, or change a member's role
+ * @access  Private (edit_ministries or ministry leader/assistant)
+ * @params  id - Ministry ID, memberId - Roster entry ID
+ * @body    { decision: 'approve'|'decline', reason?, requirementsMet? } or { role: 'leader'|'assistant'|'member' }
+ */
+router.put('/:id/roster/:memberId', canManageRoster, ministryMemberController.updateRosterEntry);
+
+/**
+ * @route   DELETE /api/ministries/:id/roster/:memberId
+ * @desc    Remove a member from the roster
+ * @access  Private (edit_ministries or ministry leader/assistant)
+ * @params  id - Ministry ID, memberId - Roster entry ID
+ */
+router.delete('/:id/roster/:memberId', canManageRoster, ministryMemberController.removeRosterEntry);
 
 /**
  * @route   GET /api/ministries/:identifier
@@ -1,113 +1,111 @@
 const express = require('express');
+const rateLimit = require('express-rate-limit');
+const { body } = require('express-validator');
+const { submitRsvp } = require('../controllers/eventController');
+const { isDayKey } = require('../utils/eventOccurrences');
+
 const router = express.Router();
-const mongoose = require('mongoose');
-const { google } = require('googleapis');
-const fs = require('fs');
-const path = require('path');
-const nodemailer = require('nodemailer');
-require('dotenv').config();
-
-// RSVP Mongoose model (define inline for now)
-const RSVP = mongoose.models.RSVP || mongoose.model('RSVP', new mongoose.Schema({
-  firstName: String,
-  lastName: String,
-  email: String,
-  phone: String,
-  attendance: String,
-  guestCount: Number,
-  guests: Array,
-  dietaryRestrictions: String,
-  accessibilityNeeds: String,
-  transportation: String,
-  pickupLocation: String,
-  volunteer: Boolean,
-  volunteerAreas: Array,
-  comments: String,
-  emergencyContact: String,
-  emergencyPhone: String,
-  newsletter: Boolean,
-  eventId: String,
-  eventTitle: String,
-  date: String,
-  time: String,
-  location: String,
-  timestamp: String,
-  source: String,
-  totalAttendees: Number
-}));
-
-// Google Sheets setup
-const SHEETS_CREDENTIALS_PATH = process.env.GOOGLE_SHEETS_CREDENTIALS;
-const SHEET_ID = process.env.GOOGLE_SHEET_ID;
-async function getSheetsClient() {
-  const credentials = JSON.parse(
-    fs.readFileSync(path.resolve(__dirname, '..', SHEETS_CREDENTIALS_PATH), 'utf8')
-  );
-  const auth = new google.auth.GoogleAuth({
-    credentials,
-    scopes: ['https://www.googleapis.com/auth/spreadsheets'],
-  });
-  return google.sheets({ version: 'v4', auth });
-}
-async function appendRSVPToSheet(rsvpData) {
-  const sheets = await getSheetsClient();
-  const values = [[
-    new Date().toLocaleString(),
-    rsvpData.firstName,
-    rsvpData.lastName,
-    rsvpData.email,
-    rsvpData.phone,
-    rsvpData.eventTitle || '',
-    rsvpData.date || '',
-    rsvpData.time || '',
-    rsvpData.location || '',
-    rsvpData.attendance || '',
-    rsvpData.guestCount || 0,
-    rsvpData.comments || '',
-  ]];
-  await sheets.spreadsheets.values.append({
-    spreadsheetId: SHEET_ID,
-    range: 'Sheet1!A1',
-    valueInputOption: 'USER_ENTERED',
-    resource: { values },
-  });
-}
-
-// Nodemailer setup
-const transporter = nodemailer.createTransport({
-  host: process.env.EMAIL_HOST || 'smtp.gmail.com',
-  port: process.env.EMAIL_PORT || 587,
-  secure: process.env.EMAIL_SECURE === 'true',
-  auth: {
-    user: process.env.EMAIL_USER,
-    pass: process.env.EMAIL_PASS,
-  },
-});
 
-// RSVP endpoint
-router.post('/', async (req, res) => {
-  try {
-    // 1. Save to MongoDB
-    const rsvp = new RSVP(req.body);
-    await rsvp.save();
-
-    // 2. Append to Google Sheets
-    await appendRSVPToSheet(req.body);
-
-    // 3. Send email notification
-    await transporter.sendMail({
-      from: process.env.EMAIL_FROM || process.env.EMAIL_USER,
-      to: process.env.EMAIL_USER, // send to yourself; add req.body.email to send to user too
-      subject: `New RSVP: ${req.body.firstName} ${req.body.lastName}`,
-      text: `New RSVP received:\n\n${JSON.stringify(req.body, null, 2)}`,
-      html: `<h2>New RSVP Received</h2><pre>${JSON.stringify(req.body, null, 2)}</pre>`
-    });
+/**
+ * RSVP Routes for Haven Word Church
+ * The public RSVP form, for visitors without an account. RSVPs become
+ * registrations on the event, sharing its places and waitlist.
+ */
 
-    res.status(201).json({ message: 'RSVP submitted successfully!' });
-  } catch (err) {
-    console.error('RSVP error:', err);
-    res.status(500).json({ message: 'Failed to submit RSVP.' });
+// Rate limiting for RSVP submissions (public endpoint)
+const rsvpLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 10,
+  standardHeaders: true,
+  legacyHeaders: false,
+  handler: (req, res) => {
+    res.status(429).json({
+      success: false,
+      message: 'Too many RSVPs from this IP. Please try again in 15 minutes.'
+    });
   }
 });
 
-module.exports = router; 
\ No newline at end of file
+const rsvpValidationRules = [
+  body('eventId')
+    .isMongoId()
+    .withMessage('Choose an event to RSVP for'),
+
+  body('occurrence')
+    .optional({ nullable: true })
+    .custom(isDayKey)
+    .withMessage('Occurrence must be a YYYY-MM-DD date'),
+
+  body('firstName')
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('First name is required'),
+
+  body('lastName')
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Last name is required'),
+
+  body('email')
+    .isEmail()
+    .withMessage('A valid email address is required')
+    .normalizeEmail({ gmail_remove_dots: false }),
+
+  body('phone')
+    .optional({ checkFalsy: true })
+    .trim()
+    .isLength({ max: 20 })
+    .withMessage('Phone number cannot exceed 20 characters'),
+
+  body('attendance')
+    .optional()
+    .isIn(['yes', 'no', 'maybe'])
+    .withMessage('Attendance must be yes, no or maybe'),
+
+  body('guestCount')
+    .optional()
+    .isInt({ min: 0, max: 20 })
+    .withMessage('Guest count must be between 0 and 20'),
+
+  body('guests')
+    .optional()
+    .isArray({ max: 20 })
+    .withMessage('Guests must be a list')
+    .custom((guests, { req }) => guests.length <= (parseInt(req.body.guestCount) || 0))
+    .withMessage('List no more guests than you are bringing'),
+
+  body('transportation')
+    .optional({ checkFalsy: true })
+    .isIn(['own', 'church_bus', 'carpool', 'public', 'taxi'])
+    .withMessage('Invalid transportation option'),
+
+  body('volunteerAreas')
+    .optional()
+    .isArray()
+    .withMessage('Volunteer areas must be a list'),
+
+  body('newsletter')
+    .optional()
+    .isBoolean()
+    .withMessage('Newsletter must be a boolean'),
+
+  body(['dietaryRestrictions', 'accessibilityNeeds', 'notes'])
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('Cannot exceed 500 characters'),
+
+  body('ticketType')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid ticket type'),
+
+  body('promoCode')
+    .optional({ values: 'falsy' })
+    .isLength({ max: 20 })
+    .withMessage('Invalid promo code')
+];
+
+// RSVP to an event
+router.post('/', rsvpLimiter, rsvpValidationRules, submitRsvp);
+
+module.exports = router;
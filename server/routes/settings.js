@@ -3,6 +3,9 @@ const router = express.Router();
 const settingsController = require('../controllers/settingsController');
 const multer = require('multer');
 const path = require('path');
+const auth = require('../middleware/auth');
+const requirePermission = require('../middleware/permission');
+const { PERMISSIONS } = require('../../shared/constants');
 
 // Set up multer for logo upload
 const storage = multer.diskStorage({
@@ -16,6 +19,6 @@ const storage = multer.diskStorage({
 const upload = multer({ storage });
 
 router.get('/', settingsController.getSettings);
-router.put('/', upload.single('logo'), settingsController.updateSettings);
+router.put('/', auth, requirePermission(PERMISSIONS.SYSTEM_CONFIG), upload.single('logo'), settingsController.updateSettings);
 
 module.exports = router;
@@ -28,10 +28,12 @@ const upload = multer({
     const allowedTypes = {
       image: ['image/jpeg', 'image/png', 'image/webp', 'image/gif'],
       audio: ['audio/mpeg', 'audio/wav', 'audio/m4a', 'audio/ogg'],
-      video: ['video/mp4', 'video/webm', 'video/ogg', 'video/avi']
+      video: ['video/mp4', 'video/webm', 'video/ogg', 'video/avi'],
+      receipt: ['image/jpeg', 'image/png', 'image/webp', 'application/pdf']
     };
 
-    const fileType = req.body.type || 'image'; // Default to image
+    // Routes that only take one kind of file set req.uploadType
+    const fileType = req.uploadType || req.body.type || 'image'; // Default to image
     if (allowedTypes[fileType] && allowedTypes[fileType].includes(file.mimetype)) {
       cb(null, true);
     } else {
@@ -166,6 +168,42 @@ router.post('/document', auth, upload.single('document'), async (req, res) => {
   }
 });
 
+// Upload expense receipt (photo or PDF)
+router.post('/receipt', auth, (req, res, next) => {
+  req.uploadType = 'receipt';
+  next();
+}, upload.single('receipt'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'No receipt file provided'
+      });
+    }
+
+    const fileName = req.file.originalname;
+
+    // Upload to Cloudinary
+    const result = await uploadToCloudinary(req.file.path, 'expense-receipts');
+
+    res.json({
+      success: true,
+      message: 'Receipt uploaded successfully',
+      url: result.secure_url,
+      publicId: result.public_id,
+      fileName,
+      format: result.format
+    });
+  } catch (error) {
+    console.error('Receipt upload error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error uploading receipt',
+      error: error.message
+    });
+  }
+});
+
 // Delete uploaded file
 router.delete('/:publicId', auth, async (req, res) => {
   try {
@@ -2,16 +2,24 @@ const express = require('express');
 const router = express.Router();
 const userController = require('../controllers/userController');
 const auth = require('../middleware/auth');
+const requirePermission = require('../middleware/permission');
+const { PERMISSIONS } = require('../../shared/constants');
 
-// GET /api/users - List all users (admin only)
-router.get('/', auth, userController.listUsers);
-// PATCH /api/users/:id/role - Update user role (admin only)
-router.patch('/:id/role', auth, userController.updateUserRole);
-// PATCH /api/users/:id/status - Update user status (admin only)
-router.patch('/:id/status', auth, userController.updateUserStatus);
+// GET /api/users - List all users
+router.get('/', auth, requirePermission(PERMISSIONS.VIEW_USERS), userController.listUsers);
+// PATCH /api/users/:id/role - Update user role
+router.patch('/:id/role', auth, requirePermission(PERMISSIONS.MANAGE_ROLES), userController.updateUserRole);
+// PATCH /api/users/:id/status - Update user status
+router.patch('/:id/status', auth, requirePermission(PERMISSIONS.EDIT_USERS), userController.updateUserStatus);
+// PATCH /api/users/:id/unlock - Lift a sign-in lockout
+router.patch('/:id/unlock', auth, requirePermission(PERMISSIONS.EDIT_USERS), userController.unlockUser);
 // GET /api/users/profile - Get current user's profile
 router.get('/profile', auth, userController.getProfile);
 // PUT /api/users/profile - Update current user's profile
 router.put('/profile', auth, userController.updateProfile);
+// GET /api/users/:id - Full member profile
+router.get('/:id', auth, requirePermission(PERMISSIONS.VIEW_USERS), userController.getUser);
+// PUT /api/users/:id/profile - Update a member's profile
+router.put('/:id/profile', auth, requirePermission(PERMISSIONS.EDIT_USERS), userController.updateUserProfile);
 
 module.exports = router; 
\ No newline at end of file
@@ -0,0 +1,38 @@
+const express = require('express');
+const router = express.Router();
+const rateLimit = require('express-rate-limit');
+const visitorController = require('../controllers/visitorController');
+const auth = require('../middleware/auth');
+const requirePermission = require('../middleware/permission');
+const { PERMISSIONS } = require('../../shared/constants');
+
+const { loadTask } = visitorController;
+
+// Visitor cards are public. Allow for a room of first-timers sharing the church Wi-Fi.
+const visitorCardLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 20,
+  standardHeaders: true,
+  legacyHeaders: false,
+  handler: (req, res) => {
+    res.status(429).json({
+      message: 'Too many visitor cards from this connection. Please try again later.',
+      retryAfter: Math.ceil(req.rateLimit.resetTime / 1000)
+    });
+  }
+});
+
+router.post('/card', visitorCardLimiter, visitorController.submitVisitorCard);
+
+// Follow-up board
+const followUp = [auth, requirePermission(PERMISSIONS.FOLLOW_UP_VISITORS)];
+router.get('/board', ...followUp, visitorController.getBoard);
+router.get('/team', ...followUp, visitorController.getTeam);
+router.put('/team', auth, requirePermission([PERMISSIONS.FOLLOW_UP_VISITORS, PERMISSIONS.EDIT_USERS]), visitorController.updateTeam);
+router.get('/tasks/:id', ...followUp, loadTask, visitorController.getTask);
+router.put('/tasks/:id/stage', ...followUp, loadTask, visitorController.moveTask);
+router.put('/tasks/:id/assign', ...followUp, loadTask, visitorController.assignTask);
+router.post('/tasks/:id/steps/:key/complete', ...followUp, loadTask, visitorController.completeTaskStep);
+router.post('/tasks/:id/notes', ...followUp, loadTask, visitorController.addTaskNote);
+
+module.exports = router;
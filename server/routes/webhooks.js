@@ -0,0 +1,9 @@
+const express = require('express');
+const router = express.Router();
+const paymentController = require('../controllers/paymentController');
+
+// Public: providers are authenticated by the signature on the raw body,
+// which server.js keeps unparsed for this router
+router.post('/:provider', paymentController.handleWebhook);
+
+module.exports = router;
@@ -16,6 +16,9 @@ const { errorHandler } = require('./middleware/errorHandler');
 const { corsMiddleware } = require('./middleware/cors');
 const activityLogger = require('./middleware/activityLogger');
 
+// Import services
+const scheduledTaskService = require('./services/scheduledTaskService');
+
 // Import routes
 const authRoutes = require('./routes/auth');
 const eventRoutes = require('./routes/events');
@@ -29,11 +32,19 @@ const ministryRoutes = require('./routes/ministries');
 const settingsRoutes = require('./routes/settings');
 const spiritualGrowthRoutes = require('./routes/spiritualGrowth');
 const usersRoutes = require('./routes/users');
+const invitationRoutes = require('./routes/invitations');
 const adminRoutes = require('./routes/admin');
 const uploadRoutes = require('./routes/upload');
 const notificationRoutes = require('./routes/notifications');
 const prayerRequestRoutes = require('./routes/prayerRequests');
 const rsvpRoutes = require('./routes/rsvp');
+const householdRoutes = require('./routes/households');
+const visitorRoutes = require('./routes/visitors');
+const careRoutes = require('./routes/care');
+const webhookRoutes = require('./routes/webhooks');
+const givingRoutes = require('./routes/giving');
+const financeRoutes = require('./routes/finance');
+const expenseRoutes = require('./routes/expenses');
 
 const app = express();
 app.set('trust proxy', 1);
@@ -86,11 +97,15 @@ io.on('connection', (socket) => {
 global.io = io;
 global.connectedUsers = connectedUsers;
 
-// Connect to database and start server only after DB is ready
-connectDB().then(() => {
-  const PORT = process.env.PORT || 5000;
-  server.listen(PORT, () => {
-    console.log(`
+// Connect to database and start server only after DB is ready. Tests
+// connect to their own database and call the app directly.
+if (process.env.NODE_ENV !== 'test') {
+  connectDB().then(() => {
+    scheduledTaskService.init();
+
+    const PORT = process.env.PORT || 5000;
+    server.listen(PORT, () => {
+      console.log(`
 🚀 Haven Word Church Server is running!
 📍 Environment: ${process.env.NODE_ENV || 'development'}
 🌐 Port: ${PORT}
@@ -98,8 +113,9 @@ connectDB().then(() => {
 🔌 WebSocket: ws://localhost:${PORT}
 💾 Database: ${process.env.MONGODB_URI ? 'Connected' : 'Not configured'}
     `);
+    });
   });
-});
+}
 
 // Security middleware
 app.use(helmet({
@@ -120,7 +136,9 @@ const limiter = rateLimit({
   max: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS) || 100, // limit each IP to 100 requests per windowMs
   message: {
     error: 'Too many requests from this IP, please try again later.'
-  }
+  },
+  // Payment providers send webhooks from a few shared addresses
+  skip: (req) => req.originalUrl.startsWith('/api/webhooks/')
 });
 app.use('/api/', limiter);
 
@@ -138,6 +156,8 @@ if (process.env.NODE_ENV === 'development') {
 }
 
 // Body parsing middleware
+// Webhook signatures are checked against the body exactly as sent
+app.use('/api/webhooks', express.raw({ type: '*/*', limit: '1mb' }));
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
@@ -170,11 +190,19 @@ app.use('/api/ministries', ministryRoutes);
 app.use('/api/settings', settingsRoutes);
 app.use('/api/spiritual-growth', spiritualGrowthRoutes);
 app.use('/api/users', usersRoutes);
+app.use('/api/invitations', invitationRoutes);
 app.use('/api/admin', adminRoutes);
 app.use('/api/upload', uploadRoutes);
 app.use('/api/notifications', notificationRoutes);
 app.use('/api/prayer-requests', prayerRequestRoutes);
 app.use('/api/rsvp', rsvpRoutes);
+app.use('/api/households', householdRoutes);
+app.use('/api/visitors', visitorRoutes);
+app.use('/api/care', careRoutes);
+app.use('/api/giving', givingRoutes);
+app.use('/api/finance', financeRoutes);
+app.use('/api/expenses', expenseRoutes);
+app.use('/api/webhooks', webhookRoutes);
 
 // Serve static files in production
 // if (process.env.NODE_ENV === 'production') {
@@ -1,5 +1,6 @@
 const { sendEmail } = require('../config/email');
 const User = require('../models/User');
+const { CURRENCY } = require('../../shared/constants');
 
 /**
  * Email Notification Service
@@ -217,6 +218,89 @@ class EmailNotificationService {
     });
   }
 
+  /**
+   * Send a member their giving statement with the PDF attached
+   */
+  async sendGivingStatement(statement, pdf, fileName) {
+    try {
+      const { member } = statement;
+      if (!member.email) {
+        console.log('No email for giving statement');
+        return { success: false, error: 'No email address' };
+      }
+
+      const formatAmount = (amount) => `${CURRENCY.SYMBOL}${amount.toLocaleString(CURRENCY.LOCALE, { minimumFractionDigits: 2 })}`;
+      const templateData = {
+        memberName: member.name,
+        period: statement.period.label,
+        total: formatAmount(statement.total),
+        funds: statement.funds.map((fund) => ({ ...fund, total: formatAmount(fund.total) })),
+        dashboardUrl: `${process.env.FRONTEND_URL}/member/my-donations`,
+        churchLogo: `${process.env.FRONTEND_URL}/logo.jpeg`
+      };
+
+      const result = await sendEmail({
+        to: member.email,
+        subject: `Your Giving Statement - ${statement.period.label}`,
+        template: 'giving-statement',
+        templateData,
+        attachments: [{ filename: fileName, content: pdf, contentType: 'application/pdf' }]
+      });
+
+      console.log(`Giving statement email sent to ${member.email}:`, result.success);
+      return result;
+    } catch (error) {
+      console.error('Error sending giving statement email:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Send an event ticket, with its QR code attached for scanning at the door
+   */
+  async sendEventTicket(event, attendee, recipient, { when, qrCode }) {
+    try {
+      if (!recipient.email) {
+        console.log('No email for event ticket');
+        return { success: false, error: 'No email address' };
+      }
+
+      const { ticket } = attendee;
+      const templateData = {
+        memberName: recipient.name,
+        event: {
+          title: event.title,
+          date: when,
+          time: event.startTime,
+          location: event.location && event.location.venue
+        },
+        ticket: {
+          name: ticket.name,
+          quantity: ticket.quantity,
+          people: attendee.guestCount > 0 ? `${attendee.guestCount + 1} people` : '1 person',
+          amount: ticket.amount > 0 ? `${CURRENCY.SYMBOL}${ticket.amount.toLocaleString(CURRENCY.LOCALE)}` : 'Free',
+          reference: ticket.reference
+        },
+        ticketUrl: `${process.env.FRONTEND_URL}/events/${event._id}?ticket=${ticket.reference}`,
+        churchLogo: `${process.env.FRONTEND_URL}/logo.jpeg`
+      };
+
+      const result = await sendEmail({
+        to: recipient.email,
+        subject: `Your Ticket: ${event.title}`,
+        template: 'event-ticket',
+        templateData,
+        attachments: [{ filename: `ticket-${ticket.reference}.png`, content: qrCode, contentType: 'image/png', cid: 'ticket-qr' }]
+      });
+
+      console.log(`Event ticket email sent to ${recipient.email}:`, result.success);
+      return result;
+    } catch (error) {
+      console.error('Error sending event ticket email:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
   /**
    * Send custom notification email
    */
@@ -0,0 +1,83 @@
+const crypto = require('crypto');
+
+/**
+ * Local provider for development and testing. Checkout sends the member
+ * straight back to the donations page, where the payment can be completed,
+ * declined or refunded. Those outcomes are delivered as signed webhooks so
+ * they take the same path as a real provider's. Saved cards are always
+ * charged successfully.
+ */
+
+const secret = () => process.env.FAKE_PAYMENT_SECRET || process.env.JWT_SECRET;
+
+const signBody = (rawBody) => crypto.createHmac('sha256', secret()).update(rawBody).digest('hex');
+
+module.exports = {
+  name: 'fake',
+
+  isConfigured: () => Boolean(secret()),
+
+  async createCheckout({ reference, callbackUrl }) {
+    const separator = callbackUrl.includes('?') ? '&' : '?';
+    return { checkoutUrl: `${callbackUrl}${separator}checkout=test`, providerReference: `fake_${reference}` };
+  },
+
+  // Saved test cards always go through
+  async chargeAuthorization({ reference, amount, currency }) {
+    return {
+      reference,
+      status: 'paid',
+      amount,
+      currency,
+      providerReference: `fake_${reference}`,
+      channel: 'test'
+    };
+  },
+
+  /**
+   * Build the webhook a real provider would send
+   * @param {string} reference
+   * @param {string} status - paid, failed or refunded
+   * @param {Object} [details] - amount and currency
+   * @returns {{ rawBody: Buffer, headers: Object }}
+   */
+  buildWebhook(reference, status, details = {}) {
+    const rawBody = Buffer.from(JSON.stringify({ event: `payment.${status}`, data: { reference, ...details } }));
+    return { rawBody, headers: { 'x-fake-signature': signBody(rawBody) } };
+  },
+
+  verifySignature(rawBody, headers) {
+    const signature = headers['x-fake-signature'];
+    if (!signature || !secret()) return false;
+    const expected = signBody(rawBody);
+    return signature.length === expected.length
+      && crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected));
+  },
+
+  parseEvent({ event, data = {} }) {
+    const status = String(event || '').replace(/^payment\./, '');
+    if (!['paid', 'failed', 'refunded'].includes(status)) return null;
+    return {
+      reference: data.reference,
+      status,
+      amount: data.amount,
+      currency: data.currency,
+      providerReference: `fake_${data.reference}`,
+      channel: 'test',
+      failureReason: status === 'failed' ? 'Declined by test checkout' : undefined,
+      authorization: status === 'paid'
+        ? { code: `fake_auth_${data.reference}`, reusable: true, last4: '4242', brand: 'Test card', expiry: '12/99' }
+        : undefined
+    };
+  },
+
+  // Test refunds go through at once
+  async refund({ reference, amount, currency }) {
+    return { reference, status: 'refunded', amount, currency };
+  },
+
+  // Nothing to look up; outcomes only arrive by webhook
+  async fetchTransaction() {
+    return null;
+  }
+};
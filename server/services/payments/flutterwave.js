@@ -0,0 +1,102 @@
+const crypto = require('crypto');
+const axios = require('axios');
+
+/**
+ * Flutterwave (https://developer.flutterwave.com). Amounts go in naira.
+ * Flutterwave does not sign webhooks; it sends the secret hash set on the
+ * dashboard in the verif-hash header, which must match
+ * FLUTTERWAVE_WEBHOOK_HASH.
+ */
+
+const API_URL = 'https://api.flutterwave.com/v3';
+
+const secret = () => process.env.FLUTTERWAVE_SECRET_KEY;
+const webhookHash = () => process.env.FLUTTERWAVE_WEBHOOK_HASH;
+
+const client = () => axios.create({
+  baseURL: API_URL,
+  timeout: 15000,
+  headers: { Authorization: `Bearer ${secret()}` }
+});
+
+// Flutterwave transaction status -> donation status
+const STATUSES = {
+  successful: 'paid',
+  failed: 'failed',
+  cancelled: 'failed'
+};
+
+const toResult = (data) => ({
+  reference: data.tx_ref,
+  status: STATUSES[data.status] || 'pending',
+  amount: data.amount,
+  currency: data.currency,
+  providerReference: data.id ? String(data.id) : undefined,
+  channel: data.payment_type,
+  paidAt: data.created_at,
+  failureReason: data.processor_response,
+  authorization: data.card && data.card.token ? {
+    code: data.card.token,
+    reusable: true,
+    last4: data.card.last_4digits,
+    brand: data.card.type,
+    expiry: data.card.expiry
+  } : undefined
+});
+
+module.exports = {
+  name: 'flutterwave',
+
+  isConfigured: () => Boolean(secret() && webhookHash()),
+
+  async createCheckout({ reference, amount, currency, email, name, callbackUrl, metadata }) {
+    const { data } = await client().post('/payments', {
+      tx_ref: reference,
+      amount,
+      currency,
+      redirect_url: callbackUrl,
+      customer: { email, name },
+      meta: metadata,
+      customizations: { title: 'Haven Word Church' }
+    });
+    return { checkoutUrl: data.data.link };
+  },
+
+  // Charge a card saved from an earlier payment
+  async chargeAuthorization({ authorization, email, reference, amount, currency }) {
+    const { data } = await client().post('/tokenized-charges', {
+      token: authorization,
+      email,
+      tx_ref: reference,
+      amount,
+      currency
+    });
+    return toResult(data.data);
+  },
+
+  verifySignature(rawBody, headers) {
+    const hash = headers['verif-hash'];
+    if (!hash || !webhookHash()) return false;
+    return hash.length === webhookHash().length
+      && crypto.timingSafeEqual(Buffer.from(hash), Buffer.from(webhookHash()));
+  },
+
+  parseEvent({ event, data = {} }) {
+    if (event === 'charge.completed') return toResult(data);
+    if (event === 'refund.completed') {
+      return { reference: data.tx_ref, status: 'refunded' };
+    }
+    return null;
+  },
+
+  // Refunds go by Flutterwave's transaction id, learned when the payment completed
+  async refund({ reference, providerReference, amount }) {
+    const { data } = await client().post(`/transactions/${encodeURIComponent(providerReference)}/refund`, { amount });
+    return { reference, status: data.data.status === 'completed' ? 'refunded' : 'pending' };
+  },
+
+  async fetchTransaction(reference) {
+    const { data } = await client().get('/transactions/verify_by_reference', { params: { tx_ref: reference } });
+    return toResult(data.data);
+  }
+};
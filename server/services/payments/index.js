@@ -0,0 +1,270 @@
+const crypto = require('crypto');
+const Donation = require('../../models/Donation');
+const NotificationService = require('../../utils/notificationService');
+const { DONATION_STATUS, PAYMENT_PROVIDERS, CURRENCY, EVENT_TICKETS } = require('../../../shared/constants');
+const paystack = require('./paystack');
+const flutterwave = require('./flutterwave');
+const fake = require('./fake');
+
+/**
+ * Online giving. A checkout session creates a pending donation and sends
+ * the member to the provider's payment page; the provider's webhook then
+ * marks the donation paid, failed or refunded. Recurring gifts are charged
+ * to the card saved from their first payment.
+ *
+ * Every provider module exposes the same interface:
+ * - createCheckout({ reference, amount, currency, email, name, callbackUrl, metadata })
+ *   -> { checkoutUrl, providerReference }
+ * - chargeAuthorization({ authorization, email, reference, amount, currency, metadata })
+ *   -> payment result
+ * - verifySignature(rawBody, headers) -> boolean
+ * - parseEvent(payload) -> payment result, or null for events we ignore
+ * - fetchTransaction(reference) -> payment result, or null if unknown
+ * - refund({ reference, providerReference, amount, currency })
+ *   -> { reference, status }, status being refunded or, until the
+ *   provider's webhook confirms it, pending
+ *
+ * Event tickets are paid through the same providers; their references
+ * start with EVENT_TICKETS.REFERENCE_PREFIX and their results are applied
+ * by utils/eventTickets.js.
+ *
+ * A payment result is { reference, status, amount, currency,
+ * providerReference, channel, paidAt, failureReason, authorization }, where
+ * authorization describes a card that can be charged again.
+ */
+
+const PROVIDERS = {
+  [PAYMENT_PROVIDERS.PAYSTACK]: paystack,
+  [PAYMENT_PROVIDERS.FLUTTERWAVE]: flutterwave,
+  [PAYMENT_PROVIDERS.FAKE]: fake
+};
+
+// Which status a donation may move to from each status
+const TRANSITIONS = {
+  [DONATION_STATUS.PAID]: [DONATION_STATUS.PENDING, DONATION_STATUS.FAILED],
+  [DONATION_STATUS.FAILED]: [DONATION_STATUS.PENDING],
+  [DONATION_STATUS.REFUNDED]: [DONATION_STATUS.PAID]
+};
+
+const paymentError = (message, statusCode) => Object.assign(new Error(message), { statusCode });
+
+/**
+ * A provider by name, defaulting to PAYMENT_PROVIDER
+ * @param {string} [name]
+ * @returns {Object} Provider module
+ */
+const getProvider = (name = process.env.PAYMENT_PROVIDER || PAYMENT_PROVIDERS.PAYSTACK) => {
+  const provider = PROVIDERS[name];
+  if (!provider) throw paymentError(`Unknown payment provider: ${name}`, 404);
+  if (name === PAYMENT_PROVIDERS.FAKE && process.env.NODE_ENV === 'production') {
+    throw paymentError('The fake payment provider cannot be used in production', 404);
+  }
+  return provider;
+};
+
+const newReference = () => `HWC-${Date.now().toString(36)}-${crypto.randomBytes(4).toString('hex')}`.toUpperCase();
+
+const isTicketReference = (reference) => String(reference || '').startsWith(EVENT_TICKETS.REFERENCE_PREFIX);
+
+/**
+ * Open a checkout session for a gift
+ * @param {Object} user - The giver (needs _id, name and email)
+ * @param {Object} gift - { amount, type, campaign, recurringGift }
+ * @returns {Promise<Object>} The pending donation, with checkoutUrl
+ */
+const startCheckout = async (user, { amount, type, campaign, recurringGift }) => {
+  const provider = getProvider();
+  if (!provider.isConfigured()) {
+    throw paymentError('Online giving is not set up yet.', 503);
+  }
+
+  const reference = newReference();
+  const donation = await Donation.create({
+    user: user._id,
+    amount,
+    type,
+    method: 'Online',
+    currency: CURRENCY.CODE,
+    status: DONATION_STATUS.PENDING,
+    provider: provider.name,
+    reference,
+    campaign,
+    recurringGift
+  });
+
+  try {
+    const session = await provider.createCheckout({
+      reference,
+      amount,
+      currency: CURRENCY.CODE,
+      email: user.email,
+      name: user.name,
+      callbackUrl: `${process.env.FRONTEND_URL || ''}/member/donations?reference=${reference}`,
+      metadata: { donationId: donation._id.toString(), type }
+    });
+    donation.checkoutUrl = session.checkoutUrl;
+    donation.providerReference = session.providerReference;
+    await donation.save();
+    return donation;
+  } catch (error) {
+    console.error(`Could not open ${provider.name} checkout for ${reference}:`, error.message);
+    donation.status = DONATION_STATUS.FAILED;
+    donation.failedAt = new Date();
+    donation.failureReason = 'Could not reach the payment provider';
+    await donation.save();
+    throw paymentError('Could not start the payment. Please try again.', 502);
+  }
+};
+
+/**
+ * Apply a payment result to its donation. Results that do not move the
+ * donation forward (replayed webhooks, a failure after payment) are ignored.
+ * @param {string} providerName
+ * @param {Object} result - Payment result
+ * @returns {Promise<{ donation: Object|null, changed: boolean }>}
+ */
+const applyPaymentResult = async (providerName, result) => {
+  if (!result || !result.reference) return { donation: null, changed: false };
+  const donation = await Donation.findOne({ reference: result.reference, provider: providerName });
+  if (!donation) return { donation: null, changed: false };
+
+  const allowedFrom = TRANSITIONS[result.status] || [];
+  if (!allowedFrom.includes(donation.status)) return { donation, changed: false };
+
+  if (result.status === DONATION_STATUS.PAID) {
+    // Only accept the amount and currency we asked for
+    if ((result.currency && result.currency !== donation.currency)
+      || (result.amount !== undefined && Number(result.amount) < donation.amount)) {
+      console.error(`Payment for ${donation.reference} was ${result.currency} ${result.amount}, expected ${donation.currency} ${donation.amount}`);
+      donation.failureReason = 'Amount paid did not match the gift';
+      await donation.save();
+      return { donation, changed: false };
+    }
+    donation.paidAt = result.paidAt ? new Date(result.paidAt) : new Date();
+    donation.date = donation.paidAt;
+    donation.channel = result.channel;
+    donation.failureReason = undefined;
+  } else if (result.status === DONATION_STATUS.FAILED) {
+    donation.failedAt = new Date();
+    donation.failureReason = result.failureReason || 'Payment was not completed';
+  } else if (result.status === DONATION_STATUS.REFUNDED) {
+    donation.refundedAt = new Date();
+  }
+  if (result.providerReference) donation.providerReference = result.providerReference;
+  donation.status = result.status;
+  await donation.save();
+
+  if (donation.status === DONATION_STATUS.PAID) {
+    NotificationService.sendToUser(
+      donation.user.toString(),
+      'Thank you for your gift',
+      `We have received your ${donation.type.toLowerCase()} of ${CURRENCY.SYMBOL}${donation.amount.toLocaleString(CURRENCY.LOCALE)}.`,
+      'donation',
+      { donationId: donation._id }
+    ).catch((error) => console.error('Error sending donation receipt notification:', error.message));
+  }
+
+  // Lazy require: recurring giving charges through this module
+  if (donation.recurringGift) {
+    await require('../../utils/recurringGiving').onRecurringDonationUpdate(donation, result);
+  }
+
+  return { donation, changed: true };
+};
+
+/**
+ * Charge a recurring gift to its saved card. The result is applied like a
+ * webhook, so a gift that the provider confirms later is handled there.
+ * @param {Object} gift - RecurringGift selected with +authorization.code
+ * @returns {Promise<Object>} The donation for this charge
+ */
+const chargeRecurringGift = async (gift) => {
+  const provider = getProvider(gift.provider);
+  const reference = newReference();
+  const donation = await Donation.create({
+    user: gift.user,
+    amount: gift.amount,
+    type: gift.type,
+    method: 'Online',
+    currency: CURRENCY.CODE,
+    status: DONATION_STATUS.PENDING,
+    provider: provider.name,
+    reference,
+    campaign: gift.campaign,
+    recurringGift: gift._id
+  });
+
+  let result;
+  try {
+    result = await provider.chargeAuthorization({
+      authorization: gift.authorization.code,
+      email: gift.email,
+      reference,
+      amount: gift.amount,
+      currency: CURRENCY.CODE,
+      metadata: { donationId: donation._id.toString(), recurringGiftId: gift._id.toString() }
+    });
+  } catch (error) {
+    console.error(`Could not charge recurring gift ${gift._id}:`, error.message);
+    result = { reference, status: DONATION_STATUS.FAILED, failureReason: 'Could not reach the payment provider' };
+  }
+
+  const { donation: updated } = await applyPaymentResult(provider.name, result);
+  return updated || donation;
+};
+
+/**
+ * Verify and apply a provider webhook
+ * @param {string} providerName - From the webhook URL
+ * @param {Buffer} rawBody - Body exactly as received
+ * @param {Object} headers
+ * @returns {Promise<{ changed: boolean }>}
+ */
+const handleWebhook = async (providerName, rawBody, headers) => {
+  const provider = getProvider(providerName);
+  if (!Buffer.isBuffer(rawBody) || !provider.verifySignature(rawBody, headers)) {
+    throw paymentError('Invalid webhook signature', 401);
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(rawBody.toString('utf8'));
+  } catch (error) {
+    throw paymentError('Invalid webhook body', 400);
+  }
+
+  const result = provider.parseEvent(payload);
+  // Lazy require: tickets start their checkouts through this module
+  const { changed } = result && isTicketReference(result.reference)
+    ? await require('../../utils/eventTickets').applyTicketPayment(provider.name, result)
+    : await applyPaymentResult(provider.name, result);
+  return { changed };
+};
+
+/**
+ * Ask the provider about a donation that is still pending, for when the
+ * member returns from checkout before the webhook has arrived
+ * @param {Object} donation
+ * @returns {Promise<Object>} The donation, updated if the provider knew more
+ */
+const refreshDonation = async (donation) => {
+  if (donation.status !== DONATION_STATUS.PENDING || !donation.provider) return donation;
+  try {
+    const result = await getProvider(donation.provider).fetchTransaction(donation.reference);
+    const { donation: updated } = await applyPaymentResult(donation.provider, result);
+    return updated || donation;
+  } catch (error) {
+    console.error(`Could not check payment ${donation.reference}:`, error.message);
+    return donation;
+  }
+};
+
+module.exports = {
+  paymentError,
+  getProvider,
+  startCheckout,
+  applyPaymentResult,
+  chargeRecurringGift,
+  handleWebhook,
+  refreshDonation
+};
@@ -0,0 +1,106 @@
+const crypto = require('crypto');
+const axios = require('axios');
+
+/**
+ * Paystack (https://paystack.com/docs/api). Amounts go to Paystack in kobo.
+ * Webhooks are signed with an HMAC-SHA512 of the raw body using the
+ * secret key, sent as X-Paystack-Signature.
+ */
+
+const API_URL = 'https://api.paystack.co';
+
+const secret = () => process.env.PAYSTACK_SECRET_KEY;
+
+const client = () => axios.create({
+  baseURL: API_URL,
+  timeout: 15000,
+  headers: { Authorization: `Bearer ${secret()}` }
+});
+
+// Paystack transaction status -> donation status
+const STATUSES = {
+  success: 'paid',
+  failed: 'failed',
+  abandoned: 'failed',
+  reversed: 'refunded'
+};
+
+const toResult = (data) => ({
+  reference: data.reference,
+  status: STATUSES[data.status] || 'pending',
+  amount: data.amount / 100,
+  currency: data.currency,
+  providerReference: data.id ? String(data.id) : undefined,
+  channel: data.channel,
+  paidAt: data.paid_at || data.paidAt,
+  failureReason: data.gateway_response,
+  authorization: data.authorization && data.authorization.authorization_code ? {
+    code: data.authorization.authorization_code,
+    reusable: data.authorization.reusable,
+    last4: data.authorization.last4,
+    brand: data.authorization.brand || data.authorization.card_type,
+    expiry: `${data.authorization.exp_month}/${data.authorization.exp_year}`
+  } : undefined
+});
+
+module.exports = {
+  name: 'paystack',
+
+  isConfigured: () => Boolean(secret()),
+
+  async createCheckout({ reference, amount, currency, email, callbackUrl, metadata }) {
+    const { data } = await client().post('/transaction/initialize', {
+      reference,
+      amount: Math.round(amount * 100),
+      currency,
+      email,
+      callback_url: callbackUrl,
+      metadata
+    });
+    return { checkoutUrl: data.data.authorization_url, providerReference: data.data.access_code };
+  },
+
+  // Charge a card saved from an earlier payment
+  async chargeAuthorization({ authorization, email, reference, amount, currency, metadata }) {
+    const { data } = await client().post('/transaction/charge_authorization', {
+      authorization_code: authorization,
+      email,
+      reference,
+      amount: Math.round(amount * 100),
+      currency,
+      metadata
+    });
+    return toResult(data.data);
+  },
+
+  verifySignature(rawBody, headers) {
+    const signature = headers['x-paystack-signature'];
+    if (!signature || !secret()) return false;
+    const expected = crypto.createHmac('sha512', secret()).update(rawBody).digest('hex');
+    return signature.length === expected.length
+      && crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected));
+  },
+
+  parseEvent({ event, data = {} }) {
+    if (event === 'charge.success') return toResult(data);
+    if (event === 'refund.processed') {
+      return { reference: data.transaction_reference, status: 'refunded' };
+    }
+    return null;
+  },
+
+  // Refunds are processed later and confirmed by webhook
+  async refund({ reference, amount, currency }) {
+    const { data } = await client().post('/refund', {
+      transaction: reference,
+      amount: Math.round(amount * 100),
+      currency
+    });
+    return { reference, status: data.data.status === 'processed' ? 'refunded' : 'pending' };
+  },
+
+  async fetchTransaction(reference) {
+    const { data } = await client().get(`/transaction/verify/${encodeURIComponent(reference)}`);
+    return toResult(data.data);
+  }
+};
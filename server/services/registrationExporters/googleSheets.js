@@ -0,0 +1,76 @@
+const fs = require('fs');
+const path = require('path');
+const User = require('../../models/User');
+const { dayKey, occurrenceTiming } = require('../../utils/eventOccurrences');
+
+/**
+ * Appends each registration as a row to a Google Sheet.
+ *
+ * GOOGLE_SHEETS_CREDENTIALS is the path of a service account key, relative
+ * to the server directory; the sheet must be shared with that account.
+ * GOOGLE_SHEET_ID is the spreadsheet's id and GOOGLE_SHEET_RANGE where rows
+ * are appended (default Sheet1!A1).
+ */
+
+let sheetsClient = null;
+
+const getSheetsClient = () => {
+  if (!sheetsClient) {
+    // Only loaded when the exporter is in use
+    const { google } = require('googleapis');
+    const credentials = JSON.parse(
+      fs.readFileSync(path.resolve(__dirname, '../..', process.env.GOOGLE_SHEETS_CREDENTIALS), 'utf8')
+    );
+    const auth = new google.auth.GoogleAuth({
+      credentials,
+      scopes: ['https://www.googleapis.com/auth/spreadsheets']
+    });
+    sheetsClient = google.sheets({ version: 'v4', auth });
+  }
+  return sheetsClient;
+};
+
+// Who registered: the visitor's contact details, or the member's account
+const registrantDetails = async (attendee) => {
+  if (attendee.contact && attendee.contact.email) return attendee.contact;
+  const user = await User.findById(attendee.user).select('name email phone').lean();
+  if (!user) return {};
+  const [firstName, ...rest] = user.name.split(' ');
+  return { firstName, lastName: rest.join(' '), email: user.email, phone: user.phone };
+};
+
+module.exports = {
+  name: 'google_sheets',
+
+  isConfigured: () => Boolean(process.env.GOOGLE_SHEETS_CREDENTIALS && process.env.GOOGLE_SHEET_ID),
+
+  async exportRegistration(event, attendee) {
+    const person = await registrantDetails(attendee);
+    const timing = occurrenceTiming(event, attendee.occurrence || dayKey(event.startDate));
+    const values = [[
+      new Date(attendee.registeredAt || Date.now()).toLocaleString('en-NG', { timeZone: 'Africa/Lagos' }),
+      person.firstName || '',
+      person.lastName || '',
+      person.email || '',
+      person.phone || '',
+      event.title,
+      dayKey(timing.startDate),
+      timing.startTime,
+      timing.venue || '',
+      attendee.source,
+      attendee.guestCount || 0,
+      attendee.dietaryRestrictions || '',
+      attendee.accessibilityNeeds || '',
+      attendee.transportation || '',
+      (attendee.volunteerAreas || []).join(', '),
+      attendee.notes || ''
+    ]];
+
+    await getSheetsClient().spreadsheets.values.append({
+      spreadsheetId: process.env.GOOGLE_SHEET_ID,
+      range: process.env.GOOGLE_SHEET_RANGE || 'Sheet1!A1',
+      valueInputOption: 'USER_ENTERED',
+      resource: { values }
+    });
+  }
+};
@@ -0,0 +1,50 @@
+const googleSheets = require('./googleSheets');
+
+/**
+ * Copies of event registrations kept outside the app, such as the
+ * spreadsheet the events team works from. Exporters are switched on with
+ * REGISTRATION_EXPORTERS, a comma-separated list of names; one that is
+ * listed but not configured is skipped.
+ *
+ * Every exporter module exposes the same interface:
+ * - name
+ * - isConfigured() -> boolean
+ * - exportRegistration(event, attendee) -> Promise, rejecting on failure
+ *
+ * The registration is already saved by then, so a failed export is logged
+ * and never fails the request.
+ */
+
+const EXPORTERS = {
+  [googleSheets.name]: googleSheets
+};
+
+/**
+ * The exporters switched on and configured
+ * @returns {Object[]} Exporter modules
+ */
+const activeExporters = () => (process.env.REGISTRATION_EXPORTERS || '')
+  .split(',')
+  .map((name) => name.trim())
+  .filter(Boolean)
+  .map((name) => {
+    if (!EXPORTERS[name]) console.warn(`Unknown registration exporter: ${name}`);
+    return EXPORTERS[name];
+  })
+  .filter((exporter) => exporter && exporter.isConfigured());
+
+/**
+ * Send a new registration to every active exporter
+ * @param {Object} event
+ * @param {Object} attendee - The registration, as saved on the event
+ * @returns {Promise<void>} Never rejects
+ */
+const exportRegistration = async (event, attendee) => {
+  await Promise.all(activeExporters().map((exporter) => exporter.exportRegistration(event, attendee)
+    .catch((error) => console.error(`Error exporting registration to ${exporter.name}:`, error.message))));
+};
+
+module.exports = {
+  activeExporters,
+  exportRegistration
+};
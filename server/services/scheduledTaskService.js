@@ -2,8 +2,14 @@ const cron = require('node-cron');
 const Event = require('../models/Event');
 const User = require('../models/User');
 const Sermon = require('../models/Sermon');
+const PrayerRequest = require('../models/PrayerRequest');
 const emailNotificationService = require('./emailNotificationService');
 const { sendNotification } = require('../utils/notificationService');
+const { runDueFollowUps } = require('../utils/visitorFollowUp');
+const { detectAbsentees } = require('../utils/absenteeCare');
+const { chargeDueGifts } = require('../utils/recurringGiving');
+const { processLapsedOffers } = require('../utils/eventWaitlist');
+const { releaseLapsedTickets } = require('../utils/eventTickets');
 
 /**
  * Scheduled Task Service
@@ -16,22 +22,27 @@ class ScheduledTaskService {
   }
 
   /**
-   * Initialize all scheduled tasks
+   * Initialize the scheduled tasks the server runs. The event reminder,
+   * sermon notification, prayer request follow-up and newsletter emails
+   * below are not started: sending those to members is turned on separately.
    */
   init() {
     console.log('🚀 Initializing scheduled tasks...');
     
-    // Event reminders - run daily at 8 AM
-    this.scheduleEventReminders();
+    // First-timer follow-up steps - run daily at 9 AM
+    this.scheduleVisitorFollowUps();
     
-    // Weekly sermon notifications - run every Sunday at 6 PM
-    this.scheduleSermonNotifications();
+    // Absentee detection - run nightly at 11 PM
+    this.scheduleAbsenteeDetection();
     
-    // Daily prayer request follow-ups - run daily at 9 AM
-    this.schedulePrayerRequestFollowUps();
+    // Recurring gifts - charge daily at 7 AM
+    this.scheduleRecurringGiving();
     
-    // Monthly newsletter - run first Sunday of each month at 10 AM
-    this.scheduleMonthlyNewsletter();
+    // Event waitlist offers - pass lapsed ones on every 15 minutes
+    this.scheduleWaitlistOffers();
+    
+    // Unpaid event tickets - release lapsed holds every 15 minutes
+    this.scheduleUnpaidTickets();
     
     console.log('✅ Scheduled tasks initialized');
   }
@@ -100,6 +111,84 @@ class ScheduledTaskService {
     console.log('📧 Monthly newsletter scheduled for 10:00 AM first Sunday of each month');
   }
 
+  /**
+   * Schedule first-timer follow-ups
+   */
+  scheduleVisitorFollowUps() {
+    const task = cron.schedule('0 9 * * *', async () => {
+      console.log('👋 Running visitor follow-ups task...');
+      await this.sendVisitorFollowUps();
+    }, {
+      scheduled: true,
+      timezone: "Africa/Lagos"
+    });
+
+    this.tasks.set('visitorFollowUps', task);
+    console.log('👋 Visitor follow-ups scheduled for 9:00 AM daily');
+  }
+
+  /**
+   * Schedule absentee detection
+   */
+  scheduleAbsenteeDetection() {
+    const task = cron.schedule('0 23 * * *', async () => {
+      console.log('💛 Running absentee detection task...');
+      await this.flagAbsentMembers();
+    }, {
+      scheduled: true,
+      timezone: "Africa/Lagos"
+    });
+
+    this.tasks.set('absenteeDetection', task);
+    console.log('💛 Absentee detection scheduled for 11:00 PM daily');
+  }
+
+  /**
+   * Schedule recurring gift charges
+   */
+  scheduleRecurringGiving() {
+    const task = cron.schedule('0 7 * * *', async () => {
+      console.log('💳 Running recurring giving task...');
+      await this.chargeRecurringGifts();
+    }, {
+      scheduled: true,
+      timezone: "Africa/Lagos"
+    });
+
+    this.tasks.set('recurringGiving', task);
+    console.log('💳 Recurring gifts scheduled for 7:00 AM daily');
+  }
+
+  /**
+   * Schedule waitlist offer expiry
+   */
+  scheduleWaitlistOffers() {
+    const task = cron.schedule('*/15 * * * *', async () => {
+      await this.passOnLapsedOffers();
+    }, {
+      scheduled: true,
+      timezone: "Africa/Lagos"
+    });
+
+    this.tasks.set('waitlistOffers', task);
+    console.log('🎟️ Waitlist offers checked every 15 minutes');
+  }
+
+  /**
+   * Schedule the release of unpaid ticket holds
+   */
+  scheduleUnpaidTickets() {
+    const task = cron.schedule('*/15 * * * *', async () => {
+      await this.releaseUnpaidTickets();
+    }, {
+      scheduled: true,
+      timezone: "Africa/Lagos"
+    });
+
+    this.tasks.set('unpaidTickets', task);
+    console.log('🎫 Unpaid tickets checked every 15 minutes');
+  }
+
   /**
    * Send event reminders for events happening tomorrow
    */
@@ -207,6 +296,70 @@ class ScheduledTaskService {
     }
   }
 
+  /**
+   * Carry out first-timer follow-up steps that are due today
+   */
+  async sendVisitorFollowUps() {
+    try {
+      const result = await runDueFollowUps();
+      console.log(`Visitor follow-ups: ${result.emailed} emails sent, ${result.reminded} reminders, ${result.failed} failed`);
+    } catch (error) {
+      console.error('Error running visitor follow-ups:', error);
+    }
+  }
+
+  /**
+   * Flag regular members who have stopped coming to services
+   */
+  async flagAbsentMembers() {
+    try {
+      const result = await detectAbsentees();
+      console.log(`Absentee detection: ${result.flagged} members flagged, ${result.returned} returned`);
+    } catch (error) {
+      console.error('Error running absentee detection:', error);
+    }
+  }
+
+  /**
+   * Charge recurring gifts that have fallen due
+   */
+  async chargeRecurringGifts() {
+    try {
+      const result = await chargeDueGifts();
+      console.log(`Recurring giving: ${result.charged} charged, ${result.failed} failed, ${result.pending} pending, ${result.ended} ended`);
+    } catch (error) {
+      console.error('Error charging recurring gifts:', error);
+    }
+  }
+
+  /**
+   * Offer the places of lapsed waitlist offers to the next people waiting
+   */
+  async passOnLapsedOffers() {
+    try {
+      const result = await processLapsedOffers();
+      if (result.events > 0) {
+        console.log(`Waitlist offers: ${result.offered} new offers across ${result.events} events`);
+      }
+    } catch (error) {
+      console.error('Error passing on waitlist offers:', error);
+    }
+  }
+
+  /**
+   * Release registrations whose tickets were not paid for in time
+   */
+  async releaseUnpaidTickets() {
+    try {
+      const result = await releaseLapsedTickets();
+      if (result.released > 0 || result.paid > 0) {
+        console.log(`Unpaid tickets: ${result.released} released, ${result.paid} paid after all`);
+      }
+    } catch (error) {
+      console.error('Error releasing unpaid tickets:', error);
+    }
+  }
+
   /**
    * Send monthly newsletter
    */
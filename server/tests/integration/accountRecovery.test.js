@@ -0,0 +1,158 @@
+/**
+ * Email Verification and Password Reset Integration Tests
+ *
+ * Follows the emailed links end to end: the tokens are taken from the
+ * (mocked) emails, so no mail is sent.
+ */
+
+jest.mock('../../utils/sendEmail');
+
+const request = require('supertest');
+const { app } = require('../../server');
+const User = require('../../models/User');
+const Session = require('../../models/Session');
+const { signActionToken } = require('../../utils/tokenService');
+const { sendWelcomeEmail, sendVerificationEmail, sendPasswordResetEmail } = require('../../utils/sendEmail');
+
+const PASSWORD = 'SecurePass123!';
+
+// The token is the last argument of each email helper
+const emailedToken = (send) => send.mock.calls[send.mock.calls.length - 1][2];
+
+describe('Account recovery API', () => {
+  let user;
+
+  beforeEach(async () => {
+    [sendWelcomeEmail, sendVerificationEmail, sendPasswordResetEmail].forEach((send) => {
+      send.mockReset();
+      send.mockResolvedValue({});
+    });
+    user = await User.create({ name: 'Ada Obi', email: 'ada@example.com', password: PASSWORD });
+  });
+
+  describe('Email verification', () => {
+    test('should verify the address from the welcome email', async () => {
+      await request(app)
+        .post('/api/auth/register')
+        .send({ name: 'Bola Ade', email: 'bola@example.com', password: PASSWORD })
+        .expect(201);
+      expect(sendWelcomeEmail).toHaveBeenCalledWith('bola@example.com', 'Bola', expect.any(String));
+
+      await request(app)
+        .post('/api/auth/verify-email')
+        .send({ token: emailedToken(sendWelcomeEmail) })
+        .expect(200);
+
+      const bola = await User.findOne({ email: 'bola@example.com' });
+      expect(bola.emailVerified).toBe(true);
+      expect(bola.emailVerifiedAt).toBeInstanceOf(Date);
+    });
+
+    test('should send a new link only to unverified accounts', async () => {
+      const answer = await request(app)
+        .post('/api/auth/resend-verification')
+        .send({ email: 'ada@example.com' })
+        .expect(200);
+      expect(sendVerificationEmail).toHaveBeenCalledTimes(1);
+
+      await User.updateOne({ _id: user._id }, { emailVerified: true });
+      const verified = await request(app).post('/api/auth/resend-verification').send({ email: 'ada@example.com' });
+      const unknown = await request(app).post('/api/auth/resend-verification').send({ email: 'nobody@example.com' });
+      expect(sendVerificationEmail).toHaveBeenCalledTimes(1);
+      expect(verified.body).toEqual(answer.body);
+      expect(unknown.body).toEqual(answer.body);
+    });
+
+    test('should refuse other kinds of token', async () => {
+      const { body: session } = await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'ada@example.com', password: PASSWORD });
+
+      for (const token of [session.token, signActionToken(user, 'password_reset'), 'not-a-token']) {
+        await request(app).post('/api/auth/verify-email').send({ token }).expect(400);
+      }
+      expect((await User.findById(user._id)).emailVerified).toBe(false);
+    });
+
+    test('should not let an emailed token act as an access token', async () => {
+      await request(app)
+        .get('/api/auth/sessions')
+        .set('Authorization', `Bearer ${signActionToken(user, 'verify_email')}`)
+        .expect(401);
+    });
+  });
+
+  describe('Password reset', () => {
+    test('should give the same answer whether or not the account exists', async () => {
+      const known = await request(app).post('/api/auth/forgot-password').send({ email: 'ada@example.com' }).expect(200);
+      const unknown = await request(app).post('/api/auth/forgot-password').send({ email: 'nobody@example.com' }).expect(200);
+
+      expect(unknown.body).toEqual(known.body);
+      expect(sendPasswordResetEmail).toHaveBeenCalledTimes(1);
+      expect(sendPasswordResetEmail).toHaveBeenCalledWith('ada@example.com', 'Ada', expect.any(String));
+    });
+
+    test('should not send a link to an inactive account', async () => {
+      await User.updateOne({ _id: user._id }, { active: false });
+      await request(app).post('/api/auth/forgot-password').send({ email: 'ada@example.com' }).expect(200);
+      expect(sendPasswordResetEmail).not.toHaveBeenCalled();
+    });
+
+    test('should set the new password and sign out every device', async () => {
+      const { body: session } = await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'ada@example.com', password: PASSWORD });
+      await request(app).post('/api/auth/forgot-password').send({ email: 'ada@example.com' });
+
+      await request(app)
+        .post('/api/auth/reset-password')
+        .send({ token: emailedToken(sendPasswordResetEmail), password: 'NewSecurePass456!' })
+        .expect(200);
+
+      expect(await Session.countDocuments({ user: user._id, revokedAt: null })).toBe(0);
+      await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: session.refreshToken })
+        .expect(401);
+      await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'ada@example.com', password: PASSWORD })
+        .expect(401);
+      await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'ada@example.com', password: 'NewSecurePass456!' })
+        .expect(200);
+
+      // Following the link proved the address
+      expect((await User.findById(user._id)).emailVerified).toBe(true);
+    });
+
+    test('should accept each reset link only once', async () => {
+      const token = signActionToken(user, 'password_reset');
+      await request(app).post('/api/auth/reset-password').send({ token, password: 'NewSecurePass456!' }).expect(200);
+
+      const reused = await request(app)
+        .post('/api/auth/reset-password')
+        .send({ token, password: 'AnotherPass789!' })
+        .expect(400);
+      expect(reused.body.message).toBe('Invalid or expired token');
+    });
+
+    test('should refuse a short password', async () => {
+      const response = await request(app)
+        .post('/api/auth/reset-password')
+        .send({ token: signActionToken(user, 'password_reset'), password: 'short' })
+        .expect(400);
+
+      expect(response.body.errors.password).toMatch(/at least 8 characters/);
+      expect(await (await User.findById(user._id)).comparePassword(PASSWORD)).toBe(true);
+    });
+
+    test('should refuse a verification token', async () => {
+      await request(app)
+        .post('/api/auth/reset-password')
+        .send({ token: signActionToken(user, 'verify_email'), password: 'NewSecurePass456!' })
+        .expect(400);
+    });
+  });
+});
@@ -0,0 +1,175 @@
+/**
+ * Online Giving Integration Tests
+ *
+ * Starts gifts through the members API and settles them with signed
+ * provider webhooks, checking signatures, replays and amount checks.
+ */
+
+const crypto = require('crypto');
+const request = require('supertest');
+
+process.env.PAYMENT_PROVIDER = 'fake';
+process.env.PAYSTACK_SECRET_KEY = 'sk_test_webhook_secret';
+
+const { app } = require('../../server');
+const User = require('../../models/User');
+const Fund = require('../../models/Fund');
+const Donation = require('../../models/Donation');
+
+const PASSWORD = 'SecurePass123!';
+
+const paystackWebhook = (payload, secret = process.env.PAYSTACK_SECRET_KEY) => {
+  const body = JSON.stringify(payload);
+  return request(app)
+    .post('/api/webhooks/paystack')
+    .set('Content-Type', 'application/json')
+    .set('X-Paystack-Signature', crypto.createHmac('sha512', secret).update(body).digest('hex'))
+    .send(body);
+};
+
+const chargeSuccess = (reference, amount, overrides = {}) => ({
+  event: 'charge.success',
+  data: { id: 4099260516, reference, status: 'success', amount: amount * 100, currency: 'NGN', channel: 'card', paid_at: '2026-10-18T09:30:00.000Z', ...overrides }
+});
+
+describe('Online giving API', () => {
+  let user;
+  let token;
+
+  beforeEach(async () => {
+    await Fund.create({ name: 'Offering' });
+    user = await User.create({ name: 'Ada Obi', email: 'ada@example.com', password: PASSWORD, emailVerified: true });
+    const { body } = await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'ada@example.com', password: PASSWORD });
+    token = body.token;
+  });
+
+  const pendingGift = (overrides = {}) => Donation.create({
+    user: user._id,
+    amount: 5000,
+    type: 'Offering',
+    method: 'Online',
+    status: 'pending',
+    provider: 'paystack',
+    reference: 'HWC-TEST-0001',
+    ...overrides
+  });
+
+  describe('Checkout', () => {
+    test('should start a pending gift and complete it by webhook', async () => {
+      const started = await request(app)
+        .post('/api/members/donations')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ amount: 2500, type: 'Offering' })
+        .expect(201);
+
+      expect(started.body.checkoutUrl).toContain('checkout=test');
+      expect(started.body.donation).toMatchObject({ status: 'pending', provider: 'fake', amount: 2500 });
+
+      const settled = await request(app)
+        .post(`/api/members/donations/${started.body.reference}/test-payment`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ outcome: 'paid' })
+        .expect(200);
+
+      expect(settled.body.donation.status).toBe('paid');
+      expect(settled.body.donation.paidAt).toBeDefined();
+    });
+
+    test('should refuse an amount outside the limits or an unknown fund', async () => {
+      await request(app)
+        .post('/api/members/donations')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ amount: 0, type: 'Offering' })
+        .expect(400);
+      await request(app)
+        .post('/api/members/donations')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ amount: 2500, type: 'Holiday Fund' })
+        .expect(400);
+      expect(await Donation.countDocuments()).toBe(0);
+    });
+  });
+
+  describe('POST /api/webhooks/:provider', () => {
+    test('should mark a gift paid from a signed webhook', async () => {
+      await pendingGift();
+
+      const response = await paystackWebhook(chargeSuccess('HWC-TEST-0001', 5000)).expect(200);
+      expect(response.body.message).toBe('Webhook processed.');
+
+      const donation = await Donation.findOne({ reference: 'HWC-TEST-0001' });
+      expect(donation.status).toBe('paid');
+      expect(donation.channel).toBe('card');
+      expect(donation.providerReference).toBe('4099260516');
+      expect(donation.paidAt).toEqual(new Date('2026-10-18T09:30:00.000Z'));
+    });
+
+    test('should reject a webhook with a bad signature', async () => {
+      await pendingGift();
+
+      await paystackWebhook(chargeSuccess('HWC-TEST-0001', 5000), 'sk_wrong_secret').expect(401);
+      await request(app)
+        .post('/api/webhooks/paystack')
+        .set('Content-Type', 'application/json')
+        .send(JSON.stringify(chargeSuccess('HWC-TEST-0001', 5000)))
+        .expect(401);
+
+      expect((await Donation.findOne({ reference: 'HWC-TEST-0001' })).status).toBe('pending');
+    });
+
+    test('should reject an unknown provider', async () => {
+      await request(app).post('/api/webhooks/paypal').send('{}').expect(404);
+    });
+
+    test('should ignore a replayed webhook', async () => {
+      await pendingGift();
+
+      await paystackWebhook(chargeSuccess('HWC-TEST-0001', 5000)).expect(200);
+      const replay = await paystackWebhook(chargeSuccess('HWC-TEST-0001', 5000, { paid_at: '2026-10-19T10:00:00.000Z' })).expect(200);
+
+      expect(replay.body.message).toBe('Webhook ignored.');
+      const donation = await Donation.findOne({ reference: 'HWC-TEST-0001' });
+      expect(donation.paidAt).toEqual(new Date('2026-10-18T09:30:00.000Z'));
+    });
+
+    test('should not mark a gift paid for less than was asked', async () => {
+      await pendingGift();
+
+      await paystackWebhook(chargeSuccess('HWC-TEST-0001', 500)).expect(200);
+      await paystackWebhook(chargeSuccess('HWC-TEST-0001', 5000, { currency: 'USD' })).expect(200);
+
+      const donation = await Donation.findOne({ reference: 'HWC-TEST-0001' });
+      expect(donation.status).toBe('pending');
+      expect(donation.failureReason).toBe('Amount paid did not match the gift');
+    });
+
+    test('should not let a late failure undo a payment', async () => {
+      await pendingGift();
+
+      await paystackWebhook(chargeSuccess('HWC-TEST-0001', 5000));
+      await paystackWebhook(chargeSuccess('HWC-TEST-0001', 5000, { status: 'failed', gateway_response: 'Declined' }));
+
+      expect((await Donation.findOne({ reference: 'HWC-TEST-0001' })).status).toBe('paid');
+    });
+
+    test('should apply a refund to a paid gift', async () => {
+      await pendingGift({ status: 'paid', paidAt: new Date() });
+
+      await paystackWebhook({ event: 'refund.processed', data: { transaction_reference: 'HWC-TEST-0001' } }).expect(200);
+
+      const donation = await Donation.findOne({ reference: 'HWC-TEST-0001' });
+      expect(donation.status).toBe('refunded');
+      expect(donation.refundedAt).toBeInstanceOf(Date);
+    });
+
+    test('should only settle gifts made through the same provider', async () => {
+      await pendingGift({ provider: 'flutterwave' });
+
+      const response = await paystackWebhook(chargeSuccess('HWC-TEST-0001', 5000)).expect(200);
+      expect(response.body.message).toBe('Webhook ignored.');
+      expect((await Donation.findOne({ reference: 'HWC-TEST-0001' })).status).toBe('pending');
+    });
+  });
+});
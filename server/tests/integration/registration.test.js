@@ -0,0 +1,151 @@
+/**
+ * Registration and Invitation Integration Tests
+ *
+ * Self-registration always creates a member; every other role comes from
+ * an admin-issued invitation. Emails are mocked and the invitation token is
+ * taken from the mocked invitation email.
+ */
+
+jest.mock('../../utils/sendEmail');
+
+const request = require('supertest');
+const { app } = require('../../server');
+const User = require('../../models/User');
+const Invitation = require('../../models/Invitation');
+const { sendWelcomeEmail, sendInvitationEmail } = require('../../utils/sendEmail');
+
+const PASSWORD = 'SecurePass123!';
+
+const register = (data) => request(app)
+  .post('/api/auth/register')
+  .send({ name: 'Bola Ade', email: 'bola@example.com', password: PASSWORD, ...data });
+
+describe('Registration API', () => {
+  let adminToken;
+
+  beforeEach(async () => {
+    [sendWelcomeEmail, sendInvitationEmail].forEach((send) => {
+      send.mockReset();
+      send.mockResolvedValue({});
+    });
+    await User.create({ name: 'Admin User', email: 'admin@example.com', password: PASSWORD, role: 'admin', emailVerified: true });
+    const { body } = await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'admin@example.com', password: PASSWORD });
+    adminToken = body.token;
+  });
+
+  const invite = (data) => request(app)
+    .post('/api/invitations')
+    .set('Authorization', `Bearer ${adminToken}`)
+    .send({ name: 'Bola Ade', email: 'bola@example.com', role: 'staff', ...data });
+
+  // The token is the fourth argument of sendInvitationEmail
+  const invitationToken = () => sendInvitationEmail.mock.calls[sendInvitationEmail.mock.calls.length - 1][3];
+
+  describe('POST /api/auth/register', () => {
+    test('should register a member waiting for email verification', async () => {
+      const response = await register().expect(201);
+
+      expect(response.body.requiresVerification).toBe(true);
+      const user = await User.findOne({ email: 'bola@example.com' });
+      expect(user.role).toBe('member');
+      expect(user.emailVerified).toBe(false);
+      expect(user.password).not.toBe(PASSWORD);
+      expect(sendWelcomeEmail).toHaveBeenCalledTimes(1);
+    });
+
+    test('should ignore a role sent by the client', async () => {
+      await register({ role: 'admin', emailVerified: true }).expect(201);
+
+      const user = await User.findOne({ email: 'bola@example.com' });
+      expect(user.role).toBe('member');
+      expect(user.emailVerified).toBe(false);
+    });
+
+    test('should refuse an email already in use', async () => {
+      await register().expect(201);
+      const response = await register({ name: 'Someone Else' }).expect(400);
+
+      expect(response.body.message).toBe('Email already in use');
+      expect(await User.countDocuments({ email: 'bola@example.com' })).toBe(1);
+    });
+  });
+
+  describe('Invitations', () => {
+    test('should register with the invited role and a verified email', async () => {
+      await invite().expect(201);
+      const token = invitationToken();
+
+      const lookup = await request(app).get(`/api/invitations/token/${token}`).expect(200);
+      expect(lookup.body).toMatchObject({ email: 'bola@example.com', role: 'staff' });
+
+      const response = await register({ inviteToken: token, role: 'admin' }).expect(201);
+      expect(response.body.requiresVerification).toBe(false);
+      expect(sendWelcomeEmail).not.toHaveBeenCalled();
+
+      const user = await User.findOne({ email: 'bola@example.com' });
+      expect(user.role).toBe('staff');
+      expect(user.emailVerified).toBe(true);
+      const invitation = await Invitation.findOne({ email: 'bola@example.com' });
+      expect(invitation.acceptedBy).toEqual(user._id);
+    });
+
+    test('should accept each invitation only once', async () => {
+      await invite().expect(201);
+      const token = invitationToken();
+      await register({ inviteToken: token }).expect(201);
+
+      const response = await register({ email: 'cleo@example.com', inviteToken: token }).expect(400);
+      expect(response.body.message).toBe('Invitation is invalid or has expired');
+      expect(await User.exists({ email: 'cleo@example.com' })).toBeNull();
+    });
+
+    test('should keep the invitation for its own address', async () => {
+      await invite().expect(201);
+      const token = invitationToken();
+
+      const response = await register({ email: 'cleo@example.com', inviteToken: token }).expect(400);
+      expect(response.body.message).toBe('This invitation was sent to a different email address');
+
+      // The right person can still use it
+      await register({ inviteToken: token }).expect(201);
+      expect((await User.findOne({ email: 'bola@example.com' })).role).toBe('staff');
+    });
+
+    test('should refuse a revoked or replaced invitation', async () => {
+      await invite().expect(201);
+      const first = invitationToken();
+      const { body } = await invite({ role: 'pastor' }).expect(201);
+      const second = invitationToken();
+
+      await register({ inviteToken: first }).expect(400);
+
+      await request(app)
+        .delete(`/api/invitations/${body.invitation._id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+      await register({ inviteToken: second }).expect(400);
+      await request(app).get(`/api/invitations/token/${second}`).expect(404);
+    });
+
+    test('should not let an admin invite above their own role', async () => {
+      await invite({ role: 'super_admin' }).expect(403);
+      expect(sendInvitationEmail).not.toHaveBeenCalled();
+    });
+
+    test('should only let role managers send invitations', async () => {
+      await User.create({ name: 'Staff User', email: 'staff@example.com', password: PASSWORD, role: 'staff', emailVerified: true });
+      const { body } = await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'staff@example.com', password: PASSWORD });
+
+      await request(app)
+        .post('/api/invitations')
+        .set('Authorization', `Bearer ${body.token}`)
+        .send({ email: 'bola@example.com', role: 'admin' })
+        .expect(403);
+      expect(await Invitation.countDocuments()).toBe(0);
+    });
+  });
+});
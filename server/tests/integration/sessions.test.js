@@ -0,0 +1,194 @@
+/**
+ * Session API Integration Tests
+ *
+ * Covers signing in, refresh token rotation and reuse detection, logging
+ * out, and listing and revoking sessions from other devices.
+ */
+
+const request = require('supertest');
+const { app } = require('../../server');
+const User = require('../../models/User');
+const Session = require('../../models/Session');
+
+const PASSWORD = 'SecurePass123!';
+
+const login = (deviceName) => request(app)
+  .post('/api/auth/login')
+  .send({ email: 'ada@example.com', password: PASSWORD, deviceName });
+
+describe('Session API', () => {
+  let user;
+
+  beforeEach(async () => {
+    user = await User.create({ name: 'Ada Obi', email: 'ada@example.com', password: PASSWORD, emailVerified: true });
+  });
+
+  describe('POST /api/auth/login', () => {
+    test('should issue an access token and a refresh token', async () => {
+      const response = await login('Phone').expect(200);
+
+      expect(response.body.token).toEqual(expect.any(String));
+      expect(response.body.refreshToken).toEqual(expect.any(String));
+      expect(response.body.user).toMatchObject({ name: 'Ada Obi', role: 'member', email: 'ada@example.com' });
+
+      const session = await Session.findOne({ user: user._id });
+      expect(session.deviceName).toBe('Phone');
+      expect(session.tokenHash).not.toBe(response.body.refreshToken);
+    });
+
+    test('should refuse a wrong password', async () => {
+      const response = await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'ada@example.com', password: 'WrongPass123!' })
+        .expect(401);
+
+      expect(response.body.message).toBe('Invalid credentials');
+      expect(await Session.countDocuments()).toBe(0);
+    });
+
+    test('should refuse an inactive account', async () => {
+      await User.updateOne({ _id: user._id }, { active: false });
+      await login().expect(403);
+    });
+  });
+
+  describe('POST /api/auth/refresh', () => {
+    test('should rotate the refresh token', async () => {
+      const { body: first } = await login();
+
+      const response = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: first.refreshToken })
+        .expect(200);
+
+      expect(response.body.refreshToken).not.toBe(first.refreshToken);
+      expect(response.body.token).toEqual(expect.any(String));
+      expect(await Session.countDocuments({ user: user._id })).toBe(1);
+    });
+
+    test('should revoke the session when an old refresh token is used again', async () => {
+      const { body: first } = await login();
+      const { body: second } = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: first.refreshToken });
+
+      const replay = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: first.refreshToken })
+        .expect(401);
+      expect(replay.body.message).toBe('Invalid refresh token');
+
+      const session = await Session.findOne({ user: user._id });
+      expect(session.revokedReason).toBe('token_reuse');
+
+      // The token handed out by the rotation dies with the session
+      await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: second.refreshToken })
+        .expect(401);
+      await request(app)
+        .get('/api/auth/sessions')
+        .set('Authorization', `Bearer ${second.token}`)
+        .expect(401);
+    });
+
+    test('should refuse an unknown refresh token', async () => {
+      await request(app).post('/api/auth/refresh').send({ refreshToken: 'not-a-token' }).expect(401);
+      await request(app).post('/api/auth/refresh').send({}).expect(400);
+    });
+  });
+
+  describe('POST /api/auth/logout', () => {
+    test('should revoke the session behind the refresh token', async () => {
+      const { body } = await login();
+
+      await request(app)
+        .post('/api/auth/logout')
+        .send({ refreshToken: body.refreshToken })
+        .expect(200);
+
+      const session = await Session.findOne({ user: user._id });
+      expect(session.revokedReason).toBe('logout');
+      await request(app)
+        .get('/api/auth/sessions')
+        .set('Authorization', `Bearer ${body.token}`)
+        .expect(401);
+      await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: body.refreshToken })
+        .expect(401);
+    });
+  });
+
+  describe('Sessions', () => {
+    test('should list active sessions and mark the current one', async () => {
+      const { body: phone } = await login('Phone');
+      await login('Laptop');
+
+      const response = await request(app)
+        .get('/api/auth/sessions')
+        .set('Authorization', `Bearer ${phone.token}`)
+        .expect(200);
+
+      expect(response.body).toHaveLength(2);
+      const current = response.body.filter((session) => session.current);
+      expect(current.map((session) => session.deviceName)).toEqual(['Phone']);
+      expect(response.body[0]).not.toHaveProperty('tokenHash');
+    });
+
+    test('should revoke one session', async () => {
+      const { body: phone } = await login('Phone');
+      const { body: laptop } = await login('Laptop');
+      const laptopSession = await Session.findOne({ deviceName: 'Laptop' });
+
+      await request(app)
+        .delete(`/api/auth/sessions/${laptopSession._id}`)
+        .set('Authorization', `Bearer ${phone.token}`)
+        .expect(200);
+
+      await request(app)
+        .get('/api/auth/sessions')
+        .set('Authorization', `Bearer ${laptop.token}`)
+        .expect(401);
+      await request(app)
+        .delete(`/api/auth/sessions/${laptopSession._id}`)
+        .set('Authorization', `Bearer ${phone.token}`)
+        .expect(404);
+    });
+
+    test('should not revoke another member\'s session', async () => {
+      const { body: own } = await login();
+      await User.create({ name: 'Bola Ade', email: 'bola@example.com', password: PASSWORD });
+      const { body: other } = await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'bola@example.com', password: PASSWORD });
+      const otherSession = await Session.findOne({ user: { $ne: user._id } });
+
+      await request(app)
+        .delete(`/api/auth/sessions/${otherSession._id}`)
+        .set('Authorization', `Bearer ${own.token}`)
+        .expect(404);
+      await request(app)
+        .get('/api/auth/sessions')
+        .set('Authorization', `Bearer ${other.token}`)
+        .expect(200);
+    });
+
+    test('should revoke every other session', async () => {
+      const { body: phone } = await login('Phone');
+      await login('Laptop');
+      await login('Tablet');
+
+      const response = await request(app)
+        .delete('/api/auth/sessions')
+        .set('Authorization', `Bearer ${phone.token}`)
+        .expect(200);
+
+      expect(response.body.revoked).toBe(2);
+      const { body: sessions } = await request(app)
+        .get('/api/auth/sessions')
+        .set('Authorization', `Bearer ${phone.token}`);
+      expect(sessions.map((session) => session.deviceName)).toEqual(['Phone']);
+    });
+  });
+});
@@ -0,0 +1,131 @@
+/**
+ * Attendance Forecast Unit Tests
+ *
+ * Checks the holiday calendar and the forecast for one event against a
+ * made-up history, so no database is needed.
+ */
+
+const { easterSunday, holidayOn, forecastEvent } = require('../../utils/attendanceForecast');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const addDays = (key, days) => new Date(new Date(`${key}T12:00:00Z`).getTime() + days * DAY_MS).toISOString().slice(0, 10);
+
+/**
+ * Past Sunday services, newest first, as loadHistory() returns them
+ */
+const sundayHistory = (latest, weeks, turnoutOn = () => 200) => Array.from({ length: weeks }, (_, i) => {
+  const day = addDays(latest, -7 * i);
+  return {
+    _id: `past-${day}`,
+    title: 'Sunday Service',
+    category: 'Service',
+    startTime: '09:00',
+    day,
+    holiday: holidayOn(day),
+    registered: 0,
+    turnout: turnoutOn(day)
+  };
+});
+
+const sundayService = (day, overrides = {}) => ({
+  _id: 'upcoming',
+  title: 'Sunday Service',
+  category: 'Service',
+  startDate: new Date(`${day}T09:00:00+01:00`),
+  startTime: '09:00',
+  location: { venue: 'Main Auditorium', capacity: 300 },
+  attendees: [],
+  ...overrides
+});
+
+describe('Attendance forecast', () => {
+  describe('easterSunday', () => {
+    test.each([
+      [2024, '2024-03-31'],
+      [2025, '2025-04-20'],
+      [2026, '2026-04-05'],
+      [2027, '2027-03-28']
+    ])('should date Easter %i', (year, day) => {
+      expect(easterSunday(year)).toBe(day);
+    });
+  });
+
+  describe('holidayOn', () => {
+    test('should name fixed and Easter holidays', () => {
+      expect(holidayOn('2026-10-01')).toBe('Independence Day');
+      expect(holidayOn('2026-04-03')).toBe('Good Friday');
+      expect(holidayOn('2026-04-05')).toBe('Easter Sunday');
+      expect(holidayOn('2026-04-06')).toBe('Easter Monday');
+    });
+
+    test('should mark a Sunday after a Friday holiday or before a Monday holiday as a long weekend', () => {
+      // Democracy Day 2026 is a Friday
+      expect(holidayOn('2026-06-14')).toBe('Long weekend');
+      // New Year's Day 2029 is a Monday
+      expect(holidayOn('2028-12-31')).toBe('Long weekend');
+    });
+
+    test('should return null for an ordinary day', () => {
+      expect(holidayOn('2026-10-18')).toBeNull();
+    });
+  });
+
+  describe('forecastEvent', () => {
+    const history = sundayHistory('2026-10-11', 30);
+
+    test('should expect the usual turnout of the same service', () => {
+      const forecast = forecastEvent(sundayService('2026-10-25'), history);
+      expect(forecast.expected).toBe(200);
+      expect(forecast.range).toEqual({ low: 180, high: 220 });
+      expect(forecast.utilisation).toBe(67);
+      expect(forecast.warning).toBeNull();
+      expect(forecast.confidence).toBe('high');
+      expect(forecast.factors).toMatchObject({ basis: 'title', baseline: 200, weekOfMonth: 1, holiday: null });
+    });
+
+    test('should warn when the venue is nearly or over full', () => {
+      const near = forecastEvent(sundayService('2026-10-25', { location: { capacity: 210 } }), history);
+      expect(near.warning).toBe('near_capacity');
+      const over = forecastEvent(sundayService('2026-10-25', { location: { capacity: 180 } }), history);
+      expect(over.warning).toBe('overflow');
+      expect(over.utilisation).toBe(111);
+    });
+
+    test('should weight recent services most', () => {
+      const growing = sundayHistory('2026-10-11', 12, (day) => (day >= '2026-09-20' ? 300 : 200));
+      const forecast = forecastEvent(sundayService('2026-10-25'), growing);
+      expect(forecast.expected).toBeGreaterThan(250);
+      expect(forecast.expected).toBeLessThan(300);
+    });
+
+    test('should apply the default holiday factor when there is no history for it', () => {
+      // Since July, so no past long weekend
+      const forecast = forecastEvent(sundayService('2026-12-27'), sundayHistory('2026-10-11', 14));
+      expect(forecast.factors.holiday).toEqual({ name: 'Long weekend', factor: 0.85, source: 'default' });
+      expect(forecast.expected).toBe(170);
+    });
+
+    test('should learn a holiday factor from last year', () => {
+      const withEaster = sundayHistory('2027-03-21', 60, (day) => (day === '2026-04-05' ? 400 : 200));
+      const forecast = forecastEvent(sundayService('2027-03-28'), withEaster);
+      expect(forecast.factors.holiday).toEqual({ name: 'Easter Sunday', factor: 2, source: 'history' });
+      expect(forecast.expected).toBe(400);
+    });
+
+    test('should fall back to registrations when there is no history', () => {
+      const attendees = Array.from({ length: 50 }, (_, i) => ({ status: i < 40 ? 'Registered' : 'Cancelled', guestCount: i < 10 ? 1 : 0 }));
+      const forecast = forecastEvent(sundayService('2026-10-25', { title: 'Youth Retreat', category: 'Youth Program', attendees }), history);
+      expect(forecast.factors).toMatchObject({ basis: 'none', registered: 50, showUpRate: 0.7, fromHistory: null, fromRegistrations: 35 });
+      expect(forecast.expected).toBe(35);
+      expect(forecast.confidence).toBe('medium');
+    });
+
+    test('should have no forecast with neither history nor registrations', () => {
+      const forecast = forecastEvent(sundayService('2026-10-25', { category: 'Conference' }), history);
+      expect(forecast.expected).toBeNull();
+      expect(forecast.range).toBeNull();
+      expect(forecast.warning).toBeNull();
+      expect(forecast.confidence).toBe('low');
+    });
+  });
+});
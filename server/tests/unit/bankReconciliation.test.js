@@ -0,0 +1,175 @@
+/**
+ * Bank Reconciliation Unit Tests
+ *
+ * Checks statement parsing, repeat imports and automatic matching. The
+ * models are stubbed so no database is needed.
+ */
+
+const BankStatementLine = require('../../models/BankStatementLine');
+const OfferingBatch = require('../../models/OfferingBatch');
+const Donation = require('../../models/Donation');
+const { readStatement, importStatement, autoMatch } = require('../../utils/bankReconciliation');
+const { BANK_LINE_STATUS } = require('../../../shared/constants');
+
+const lagos = (day) => new Date(`${day}T00:00:00+01:00`);
+
+const STATEMENT = [
+  'Account Name,Haven Word Church',
+  'Account Number,0123456789',
+  '',
+  'Trans Date,Narration,Reference,Debit,Credit,Balance',
+  '09/03/2025,"LODGEMENT, SUNDAY OFFERING",FT001,,"150,000.00","1,150,000.00"',
+  '09-Mar-2025,TRANSFER HWC-M7K2-9QX4,FT002,,25000,"1,175,000.00"',
+  '10/03/2025,DIESEL PURCHASE,FT003,"40,000.00",,"1,135,000.00"',
+  '31/02/2025,BAD DATE,FT004,,100,',
+  'Closing Balance,,,,,"1,135,000.00"'
+].join('\r\n');
+
+describe('Bank reconciliation', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('readStatement', () => {
+    test('should find the header below account details and keep only credits', () => {
+      const { lines, skipped } = readStatement(STATEMENT);
+      expect(lines).toEqual([
+        { date: lagos('2025-03-09'), amount: 150000, description: 'LODGEMENT, SUNDAY OFFERING', reference: 'FT001' },
+        { date: lagos('2025-03-09'), amount: 25000, description: 'TRANSFER HWC-M7K2-9QX4', reference: 'FT002' }
+      ]);
+      // The debit, the impossible date and the closing balance
+      expect(skipped).toBe(3);
+    });
+
+    test.each([
+      ['2025-03-09'],
+      ['09/03/2025'],
+      ['9.3.2025'],
+      ['09-Mar-2025'],
+      ['9 March 2025'],
+      ['09/03/2025 14:32:10'],
+      ['2025-03-09T14:32:10']
+    ])('should read the date %s', (date) => {
+      const { lines } = readStatement(`Date,Amount\n${date},100`);
+      expect(lines[0].date).toEqual(lagos('2025-03-09'));
+    });
+
+    test('should read amounts with currency, separators and credit marks', () => {
+      const { lines, skipped } = readStatement('Value Date,Deposit\n2025-03-09,NGN 1500\n2025-03-09,"1,500.50 CR"\n2025-03-09,(200.00)\n2025-03-09,-5\n2025-03-09,1500.00 DR');
+      expect(lines.map((line) => line.amount)).toEqual([1500, 1500.5]);
+      expect(skipped).toBe(3);
+    });
+
+    test('should ignore a byte order mark', () => {
+      expect(readStatement('\uFEFFDate,Amount\n2025-03-09,100').lines).toHaveLength(1);
+    });
+
+    test('should explain a statement without a header row', () => {
+      expect(readStatement('Narration,Balance\nOFFERING,100').error).toMatch(/header row/);
+    });
+  });
+
+  describe('importStatement', () => {
+    const meta = { fileName: 'march.csv', importedBy: 'user-id' };
+
+    test('should fingerprint identical deposits on the same day differently', async () => {
+      const insertMany = jest.spyOn(BankStatementLine, 'insertMany').mockImplementation(async (docs) => docs);
+      const result = await importStatement('Date,Amount\n2025-03-09,5000\n2025-03-09,5000', meta);
+      const [first, second] = insertMany.mock.calls[0][0];
+      expect(first.fingerprint).toMatch(/^[a-f0-9]{64}$/);
+      expect(first.fingerprint).not.toBe(second.fingerprint);
+      expect(first).toMatchObject(meta);
+      expect(result).toMatchObject({ imported: 2, duplicates: 0, skipped: 0 });
+    });
+
+    test('should give the same fingerprints when a statement is imported again', async () => {
+      const insertMany = jest.spyOn(BankStatementLine, 'insertMany').mockImplementation(async (docs) => docs);
+      await importStatement(STATEMENT, meta);
+      await importStatement(STATEMENT, meta);
+      const fingerprints = insertMany.mock.calls.map(([docs]) => docs.map((doc) => doc.fingerprint));
+      expect(fingerprints[1]).toEqual(fingerprints[0]);
+    });
+
+    test('should count lines already imported as duplicates', async () => {
+      const error = Object.assign(new Error('E11000 duplicate key'), {
+        writeErrors: [{ err: { code: 11000 } }],
+        insertedDocs: [{ amount: 25000 }]
+      });
+      jest.spyOn(BankStatementLine, 'insertMany').mockRejectedValue(error);
+      const result = await importStatement(STATEMENT, meta);
+      expect(result).toEqual({ imported: 1, duplicates: 1, skipped: 3, lines: [{ amount: 25000 }] });
+    });
+
+    test('should pass on other insert errors', async () => {
+      const error = Object.assign(new Error('Validation failed'), { writeErrors: [{ code: 121 }] });
+      jest.spyOn(BankStatementLine, 'insertMany').mockRejectedValue(error);
+      await expect(importStatement(STATEMENT, meta)).rejects.toThrow('Validation failed');
+    });
+
+    test('should refuse a statement with no credits', async () => {
+      const result = await importStatement('Date,Amount\n2025-03-09,-100', meta);
+      expect(result.error).toMatch(/no credits/);
+    });
+  });
+
+  describe('autoMatch', () => {
+    const line = (overrides) => ({
+      status: BANK_LINE_STATUS.UNMATCHED,
+      date: lagos('2025-03-10'),
+      description: '',
+      reference: '',
+      set(changes) { Object.assign(this, changes); },
+      save: jest.fn().mockResolvedValue(undefined),
+      ...overrides
+    });
+    const batch = (id, day, total) => ({ _id: id, serviceDate: lagos(day), total });
+
+    const stubBatches = (batches, banked = []) => {
+      jest.spyOn(BankStatementLine, 'distinct').mockResolvedValue(banked);
+      jest.spyOn(OfferingBatch, 'find').mockReturnValue({ select: () => ({ lean: () => Promise.resolve(batches) }) });
+    };
+
+    test('should match a gift reference in the narration', async () => {
+      stubBatches([]);
+      jest.spyOn(Donation, 'findOne').mockReturnValue({ select: () => Promise.resolve({ _id: 'donation-id' }) });
+      jest.spyOn(BankStatementLine, 'exists').mockResolvedValue(null);
+      const transfer = line({ amount: 25000, description: 'Transfer hwc-m7k2-9qx4 from Ada' });
+
+      expect(await autoMatch([transfer])).toBe(1);
+      expect(Donation.findOne).toHaveBeenCalledWith({ reference: 'HWC-M7K2-9QX4', status: 'paid' });
+      expect(transfer).toMatchObject({ donation: 'donation-id', status: BANK_LINE_STATUS.MATCHED, matchedAutomatically: true });
+    });
+
+    test('should match the one batch with the same total', async () => {
+      stubBatches([batch('a', '2025-03-09', 150000), batch('b', '2025-03-09', 40000)]);
+      const lodgement = line({ amount: 150000 });
+      expect(await autoMatch([lodgement])).toBe(1);
+      expect(lodgement.batches).toEqual(['a']);
+    });
+
+    test('should match a service day banked together', async () => {
+      stubBatches([batch('a', '2025-03-09', 100000), batch('b', '2025-03-09', 50000.5), batch('c', '2025-03-05', 20000)]);
+      const lodgement = line({ amount: 150000.5 });
+      expect(await autoMatch([lodgement])).toBe(1);
+      expect(lodgement.batches).toEqual(['a', 'b']);
+    });
+
+    test('should leave ambiguous lines for finance staff', async () => {
+      stubBatches([batch('a', '2025-03-09', 50000), batch('b', '2025-03-08', 50000)]);
+      const lodgement = line({ amount: 50000 });
+      expect(await autoMatch([lodgement])).toBe(0);
+      expect(lodgement.save).not.toHaveBeenCalled();
+    });
+
+    test('should not match a batch twice', async () => {
+      stubBatches([batch('a', '2025-03-09', 150000)], ['a']);
+      expect(await autoMatch([line({ amount: 150000 })])).toBe(0);
+
+      stubBatches([batch('b', '2025-03-09', 80000)]);
+      const first = line({ amount: 80000 });
+      const second = line({ amount: 80000 });
+      expect(await autoMatch([first, second])).toBe(1);
+      expect(second.status).toBe(BANK_LINE_STATUS.UNMATCHED);
+    });
+  });
+});
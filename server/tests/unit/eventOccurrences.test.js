@@ -0,0 +1,228 @@
+/**
+ * Event Occurrences Unit Tests
+ *
+ * Checks how recurring events expand into dated occurrences, with their
+ * exceptions applied, and how a series is ended or split.
+ */
+
+const {
+  dayKey,
+  atTime,
+  occurrenceKeys,
+  isOccurrence,
+  expandEvent,
+  windowProblem,
+  truncateSeries,
+  splitSeries
+} = require('../../utils/eventOccurrences');
+
+// 2026-01-04 is a Sunday
+const sundayService = (recurrence = {}, overrides = {}) => ({
+  _id: 'event-id',
+  title: 'Sunday Service',
+  status: 'Published',
+  startDate: atTime('2026-01-04', '09:00'),
+  endDate: atTime('2026-01-04', '11:00'),
+  startTime: '09:00',
+  endTime: '11:00',
+  location: { venue: 'Main Auditorium' },
+  recurrence: { pattern: 'Weekly', interval: 1, daysOfWeek: [], exceptions: [], ...recurrence },
+  attendees: [],
+  waitlist: [],
+  ...overrides
+});
+
+// Shaped like a Mongoose document for the functions that call toObject()
+const asDocument = (fields) => Object.defineProperty({ ...fields }, 'toObject', {
+  value() { return structuredClone({ ...this }); }
+});
+
+describe('Event occurrences', () => {
+  describe('dayKey and atTime', () => {
+    test('should use church-local days', () => {
+      expect(dayKey(new Date('2026-10-18T23:30:00Z'))).toBe('2026-10-19');
+      expect(atTime('2026-10-18', '09:30')).toEqual(new Date('2026-10-18T08:30:00Z'));
+      expect(atTime('2026-10-18')).toEqual(new Date('2026-10-17T23:00:00Z'));
+    });
+  });
+
+  describe('occurrenceKeys', () => {
+    test('should give a weekly series from its start', () => {
+      expect(occurrenceKeys(sundayService(), '2026-01-25')).toEqual(['2026-01-04', '2026-01-11', '2026-01-18', '2026-01-25']);
+    });
+
+    test('should give only the dates within a window', () => {
+      expect(occurrenceKeys(sundayService(), '2026-10-31', '2026-10-01'))
+        .toEqual(['2026-10-04', '2026-10-11', '2026-10-18', '2026-10-25']);
+    });
+
+    test('should honour weekdays and the interval of a bi-weekly series', () => {
+      // Starts on a Wednesday, so that week's Tuesday is not part of it
+      const event = sundayService(
+        { pattern: 'Bi-weekly', daysOfWeek: ['Thursday', 'Tuesday'] },
+        { startDate: atTime('2026-01-07', '18:00'), endDate: atTime('2026-01-07', '19:00') }
+      );
+      expect(occurrenceKeys(event, '2026-01-31')).toEqual(['2026-01-08', '2026-01-20', '2026-01-22']);
+    });
+
+    test('should stop after the occurrence count, counted from the first date', () => {
+      const event = sundayService({ pattern: 'Daily', interval: 2, occurrences: 3 });
+      expect(occurrenceKeys(event, '2026-02-01')).toEqual(['2026-01-04', '2026-01-06', '2026-01-08']);
+      expect(occurrenceKeys(event, '2026-02-01', '2026-01-07')).toEqual(['2026-01-08']);
+    });
+
+    test('should stop at the end date', () => {
+      const event = sundayService({ endRecurrence: atTime('2026-01-18', '23:59') });
+      expect(occurrenceKeys(event, '2026-02-28')).toEqual(['2026-01-04', '2026-01-11', '2026-01-18']);
+    });
+
+    test('should skip months without the start day', () => {
+      const event = sundayService({ pattern: 'Monthly' }, { startDate: atTime('2026-01-31', '18:00'), endDate: atTime('2026-01-31', '20:00') });
+      expect(occurrenceKeys(event, '2026-06-30')).toEqual(['2026-01-31', '2026-03-31', '2026-05-31']);
+      expect(occurrenceKeys({ ...event, recurrence: { ...event.recurrence, occurrences: 3 } }, '2026-12-31', '2026-04-01'))
+        .toEqual(['2026-05-31']);
+    });
+
+    test('should give this month of a series started years ago', () => {
+      const event = sundayService({ pattern: 'Daily' }, { startDate: atTime('2019-01-01', '06:00'), endDate: atTime('2019-01-01', '07:00') });
+      const keys = occurrenceKeys(event, '2026-10-31', '2026-10-01');
+      expect(keys).toHaveLength(31);
+      expect(keys[0]).toBe('2026-10-01');
+      expect(isOccurrence(event, '2026-10-18')).toBe(true);
+    });
+
+    test('should cap an open-ended series asked for from its start', () => {
+      const event = sundayService({ pattern: 'Daily' }, { startDate: atTime('2019-01-01', '06:00'), endDate: atTime('2019-01-01', '07:00') });
+      expect(occurrenceKeys(event, '2026-12-31')).toHaveLength(2000);
+    });
+
+    test('should give a one-off event its own date', () => {
+      const event = sundayService({ pattern: 'None' });
+      expect(occurrenceKeys(event, '2026-12-31')).toEqual(['2026-01-04']);
+      expect(occurrenceKeys(event, '2026-12-31', '2026-01-05')).toEqual([]);
+    });
+  });
+
+  describe('isOccurrence', () => {
+    test('should accept only dates of the series', () => {
+      const event = sundayService();
+      expect(isOccurrence(event, '2026-10-18')).toBe(true);
+      expect(isOccurrence(event, '2026-10-19')).toBe(false);
+      expect(isOccurrence(event, '2025-12-28')).toBe(false);
+      expect(isOccurrence(event, '18/10/2026')).toBe(false);
+    });
+  });
+
+  describe('expandEvent', () => {
+    const event = sundayService({
+      exceptions: [
+        // Moved into October from September
+        { date: '2026-09-27', startDate: atTime('2026-10-02', '00:00'), startTime: '18:00' },
+        { date: '2026-10-11', cancelled: true, reason: 'Convention' },
+        { date: '2026-10-18', venue: 'Youth Hall' },
+        // Moved out of October
+        { date: '2026-10-25', startDate: atTime('2026-11-01', '00:00') }
+      ]
+    }, {
+      attendees: [
+        { user: 'a', occurrence: '2026-10-18', status: 'Registered', guestCount: 2 },
+        { user: 'b', occurrence: '2026-10-18', status: 'Cancelled' },
+        { user: 'c', occurrence: '2026-10-04', status: 'Registered' }
+      ],
+      waitlist: [{ user: 'd', occurrence: '2026-10-18', status: 'Waiting' }]
+    });
+
+    test('should apply moves and venue changes and leave out cancelled dates', () => {
+      const occurrences = expandEvent(event, '2026-10-01', '2026-10-31');
+      expect(occurrences.map((occurrence) => occurrence.occurrence)).toEqual(['2026-09-27', '2026-10-04', '2026-10-18']);
+
+      const [moved, ordinary, elsewhere] = occurrences;
+      expect(moved).toMatchObject({ startDate: atTime('2026-10-02', '18:00'), startTime: '18:00', isRescheduled: true });
+      expect(ordinary).toMatchObject({ _id: 'event-id', startDate: atTime('2026-10-04', '09:00'), isRescheduled: false });
+      expect(elsewhere.location.venue).toBe('Youth Hall');
+      expect(elsewhere.isRescheduled).toBe(true);
+    });
+
+    test('should keep cancelled dates when asked', () => {
+      const cancelled = expandEvent(event, '2026-10-11', '2026-10-11', { includeCancelled: true });
+      expect(cancelled).toHaveLength(1);
+      expect(cancelled[0]).toMatchObject({ occurrence: '2026-10-11', status: 'Cancelled', exceptionReason: 'Convention' });
+    });
+
+    test('should count places and the waitlist per date, without the lists themselves', () => {
+      const [sunday] = expandEvent(event, '2026-10-18', '2026-10-18');
+      expect(sunday.registeredCount).toBe(3);
+      expect(sunday.waitlistCount).toBe(1);
+      expect(sunday.attendees).toBeUndefined();
+      expect(sunday.waitlist).toBeUndefined();
+      expect(sunday.recurrence.exceptions).toBeUndefined();
+      expect(expandEvent(event, '2026-10-04', '2026-10-04')[0].registeredCount).toBe(1);
+    });
+
+    test('should include a one-off event on any day it spans', () => {
+      const conference = sundayService({ pattern: 'None' }, {
+        startDate: atTime('2026-10-30', '09:00'),
+        endDate: atTime('2026-11-01', '17:00')
+      });
+      const [occurrence] = expandEvent(asDocument(conference), '2026-11-01', '2026-11-01');
+      expect(occurrence.occurrence).toBeNull();
+      expect(occurrence.startDate).toEqual(atTime('2026-10-30', '09:00'));
+      expect(occurrence.endDate).toEqual(atTime('2026-11-01', '11:00'));
+    });
+  });
+
+  describe('windowProblem', () => {
+    test('should accept a window of up to 366 days', () => {
+      expect(windowProblem('2026-01-01', '2026-12-31')).toBeNull();
+      expect(windowProblem('2026-01-01', '2027-01-03')).toMatch(/366 days/);
+    });
+
+    test('should reject bad or reversed dates', () => {
+      expect(windowProblem('2026-1-1', '2026-12-31')).toMatch(/YYYY-MM-DD/);
+      expect(windowProblem('2026-12-31', '2026-01-01')).toMatch(/not be before/);
+    });
+  });
+
+  describe('truncateSeries and splitSeries', () => {
+    const counted = () => sundayService({
+      occurrences: 10,
+      exceptions: [{ date: '2026-01-11', cancelled: true }, { date: '2026-02-01', venue: 'Youth Hall' }]
+    }, {
+      attendees: [
+        { user: 'a', occurrence: '2026-01-11', status: 'Registered' },
+        { user: 'b', occurrence: '2026-02-01', status: 'Registered' }
+      ],
+      waitlist: [{ user: 'c', occurrence: '2026-02-01', status: 'Waiting' }]
+    });
+
+    test('should end a series before a date and drop what follows', () => {
+      const event = counted();
+      truncateSeries(event, '2026-01-25');
+      expect(event.recurrence.endRecurrence).toEqual(atTime('2026-01-24', '23:59'));
+      expect(event.recurrence.occurrences).toBe(3);
+      expect(event.recurrence.exceptions.map((exception) => exception.date)).toEqual(['2026-01-11']);
+      expect(event.attendees.map((attendee) => attendee.user)).toEqual(['a']);
+      expect(event.waitlist).toEqual([]);
+    });
+
+    test('should not split at the first date', () => {
+      expect(splitSeries(asDocument(counted()), '2026-01-04')).toBeNull();
+    });
+
+    test('should move later dates, registrations and waitlists to the new series', () => {
+      const event = asDocument(counted());
+      const data = splitSeries(event, '2026-01-25');
+
+      expect(data._id).toBeUndefined();
+      expect(data.startDate).toEqual(atTime('2026-01-25', '00:00'));
+      expect(data.recurrence).toMatchObject({ occurrences: 7, splitFrom: 'event-id' });
+      expect(data.recurrence.exceptions.map((exception) => exception.date)).toEqual(['2026-02-01']);
+      expect(data.attendees.map((attendee) => attendee.user)).toEqual(['b']);
+      expect(data.waitlist.map((entry) => entry.user)).toEqual(['c']);
+
+      expect(event.recurrence.occurrences).toBe(3);
+      expect(occurrenceKeys(event, '2026-12-31')).toEqual(['2026-01-04', '2026-01-11', '2026-01-18']);
+      expect(occurrenceKeys(data, '2026-12-31')).toHaveLength(7);
+    });
+  });
+});
@@ -0,0 +1,127 @@
+/**
+ * iCalendar Unit Tests
+ *
+ * Checks the VEVENTs written for one-off and recurring events, including
+ * recurrence rules, cancelled and moved dates, and line folding.
+ */
+
+const { eventComponents, occurrenceComponent, buildCalendar } = require('../../utils/icalendar');
+const { atTime } = require('../../utils/eventOccurrences');
+
+// 2026-01-04 is a Sunday
+const sundayService = (recurrence = {}, overrides = {}) => ({
+  _id: 'event-id',
+  title: 'Sunday Service',
+  description: 'Worship, word and fellowship',
+  category: 'Service',
+  status: 'Published',
+  startDate: atTime('2026-01-04', '09:00'),
+  endDate: atTime('2026-01-04', '11:00'),
+  startTime: '09:00',
+  endTime: '11:00',
+  location: { venue: 'Main Auditorium', address: { street: '12 Church Road', city: 'Ikeja', state: 'Lagos' } },
+  recurrence: { pattern: 'Weekly', interval: 1, daysOfWeek: ['Sunday'], exceptions: [], ...recurrence },
+  ...overrides
+});
+
+const property = (lines, name) => lines.find((line) => line.startsWith(`${name}:`) || line.startsWith(`${name};`));
+const blocks = (lines) => lines.filter((line) => line === 'BEGIN:VEVENT').length;
+
+describe('iCalendar', () => {
+  describe('eventComponents', () => {
+    test('should write a one-off event in church-local time', () => {
+      const lines = eventComponents(sundayService({ pattern: 'None' }, { title: 'Harvest; Thanksgiving, 2026' }));
+      expect(blocks(lines)).toBe(1);
+      expect(property(lines, 'UID')).toBe('UID:event-id@havenwordchurch.com');
+      expect(property(lines, 'DTSTART')).toBe('DTSTART;TZID=Africa/Lagos:20260104T090000');
+      expect(property(lines, 'DTEND')).toBe('DTEND;TZID=Africa/Lagos:20260104T110000');
+      expect(property(lines, 'SUMMARY')).toBe('SUMMARY:Harvest\\; Thanksgiving\\, 2026');
+      expect(property(lines, 'LOCATION')).toBe('LOCATION:Main Auditorium\\, 12 Church Road\\, Ikeja\\, Lagos');
+      expect(property(lines, 'STATUS')).toBe('STATUS:CONFIRMED');
+      expect(property(lines, 'RRULE')).toBeUndefined();
+    });
+
+    test('should mark postponed and cancelled events', () => {
+      expect(property(eventComponents(sundayService({ pattern: 'None' }, { status: 'Postponed' })), 'STATUS')).toBe('STATUS:TENTATIVE');
+      expect(property(eventComponents(sundayService({ pattern: 'None' }, { status: 'Cancelled' })), 'STATUS')).toBe('STATUS:CANCELLED');
+    });
+
+    test('should write a weekly series as one event with a rule', () => {
+      const lines = eventComponents(sundayService());
+      expect(blocks(lines)).toBe(1);
+      expect(property(lines, 'RRULE')).toBe('RRULE:FREQ=WEEKLY;BYDAY=SU;WKST=SU');
+    });
+
+    test.each([
+      [{ pattern: 'Bi-weekly', daysOfWeek: ['Tuesday', 'Thursday'] }, 'RRULE:FREQ=WEEKLY;INTERVAL=2;BYDAY=TU,TH;WKST=SU'],
+      [{ pattern: 'Quarterly', daysOfWeek: [] }, 'RRULE:FREQ=MONTHLY;INTERVAL=3'],
+      [{ pattern: 'Daily', interval: 2, occurrences: 10 }, 'RRULE:FREQ=DAILY;INTERVAL=2;COUNT=10'],
+      [{ endRecurrence: atTime('2026-03-29', '23:59') }, 'RRULE:FREQ=WEEKLY;BYDAY=SU;WKST=SU;UNTIL=20260329T225959Z']
+    ])('should write the rule for %o', (recurrence, rule) => {
+      expect(property(eventComponents(sundayService(recurrence)), 'RRULE')).toBe(rule);
+    });
+
+    test('should end the rule with whichever of the count and end date comes first', () => {
+      const countFirst = sundayService({ occurrences: 4, endRecurrence: atTime('2026-12-27', '23:59') });
+      expect(property(eventComponents(countFirst), 'RRULE')).toMatch(/;COUNT=4$/);
+      const dateFirst = sundayService({ occurrences: 40, endRecurrence: atTime('2026-01-25', '23:59') });
+      expect(property(eventComponents(dateFirst), 'RRULE')).toMatch(/;UNTIL=20260125T225959Z$/);
+    });
+
+    test('should start the series on its first real date', () => {
+      const lines = eventComponents(sundayService({ daysOfWeek: ['Tuesday'] }));
+      expect(property(lines, 'DTSTART')).toBe('DTSTART;TZID=Africa/Lagos:20260106T090000');
+    });
+
+    test('should exclude cancelled dates and override moved ones', () => {
+      const lines = eventComponents(sundayService({
+        exceptions: [
+          { date: '2026-10-11', cancelled: true },
+          { date: '2026-10-25', cancelled: true },
+          { date: '2026-10-18', startDate: atTime('2026-10-17', '00:00'), startTime: '16:00', endTime: '18:00', reason: 'Joint service' },
+          // Left over from an earlier pattern; no longer a date of the series
+          { date: '2026-10-20', venue: 'Youth Hall' }
+        ]
+      }));
+      expect(blocks(lines)).toBe(2);
+      expect(property(lines, 'EXDATE')).toBe('EXDATE;TZID=Africa/Lagos:20261011T090000,20261025T090000');
+
+      const override = lines.slice(lines.lastIndexOf('BEGIN:VEVENT'));
+      expect(property(override, 'UID')).toBe('UID:event-id@havenwordchurch.com');
+      expect(property(override, 'RECURRENCE-ID')).toBe('RECURRENCE-ID;TZID=Africa/Lagos:20261018T090000');
+      expect(property(override, 'DTSTART')).toBe('DTSTART;TZID=Africa/Lagos:20261017T160000');
+      expect(property(override, 'DESCRIPTION')).toContain('Joint service');
+    });
+  });
+
+  describe('occurrenceComponent', () => {
+    test('should give one date its own UID and timing', () => {
+      const event = sundayService({ exceptions: [{ date: '2026-10-18', venue: 'Youth Hall' }] });
+      const lines = occurrenceComponent(event, '2026-10-18');
+      expect(property(lines, 'UID')).toBe('UID:event-id-2026-10-18@havenwordchurch.com');
+      expect(property(lines, 'DTSTART')).toBe('DTSTART;TZID=Africa/Lagos:20261018T090000');
+      expect(property(lines, 'LOCATION')).toMatch(/^LOCATION:Youth Hall\\,/);
+      expect(property(lines, 'RRULE')).toBeUndefined();
+    });
+  });
+
+  describe('buildCalendar', () => {
+    test('should wrap the events with the Lagos time zone', () => {
+      const text = buildCalendar('Haven Word Church Events', eventComponents(sundayService()));
+      const lines = text.split('\r\n');
+      expect(lines[0]).toBe('BEGIN:VCALENDAR');
+      expect(text.endsWith('END:VCALENDAR\r\n')).toBe(true);
+      expect(lines).toContain('X-WR-CALNAME:Haven Word Church Events');
+      expect(lines).toContain('TZID:Africa/Lagos');
+      expect(lines).toContain('TZOFFSETTO:+0100');
+    });
+
+    test('should fold long lines at 75 octets without splitting characters', () => {
+      const description = 'Ẹ káàbọ̀ — all are welcome to our thanksgiving service. '.repeat(6);
+      const text = buildCalendar('Events', eventComponents(sundayService({ pattern: 'None' }, { description })));
+      text.split('\r\n').forEach((line) => expect(Buffer.byteLength(line)).toBeLessThanOrEqual(75));
+      expect(text).not.toContain('�');
+      expect(text.replace(/\r\n /g, '')).toContain(`DESCRIPTION:${description.replace(/,/g, '\\,')}`);
+    });
+  });
+});
@@ -0,0 +1,182 @@
+/**
+ * Login Protection Unit Tests
+ *
+ * Checks the per-account and per-IP delays, lockouts and resets. The
+ * models are stubbed so no database is needed.
+ */
+
+const User = require('../../models/User');
+const LoginThrottle = require('../../models/LoginThrottle');
+const {
+  checkIp,
+  recordIpFailure,
+  checkAccount,
+  recordAccountFailure,
+  resetAccount
+} = require('../../utils/loginProtection');
+
+const NOW = new Date('2026-10-18T09:00:00Z');
+const secondsAgo = (seconds) => new Date(NOW.getTime() - seconds * 1000);
+
+const leanResult = (value) => ({ lean: () => Promise.resolve(value) });
+
+describe('Login protection', () => {
+  beforeEach(() => {
+    jest.useFakeTimers({ now: NOW, doNotFake: ['nextTick', 'setImmediate'] });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  describe('checkAccount', () => {
+    test('should allow an account with no recent failures', () => {
+      expect(checkAccount({ failedLoginCount: 0 })).toBeNull();
+      expect(checkAccount({ failedLoginCount: 4, lastFailedLoginAt: secondsAgo(16 * 60) })).toBeNull();
+    });
+
+    test('should give two free attempts before delaying', () => {
+      expect(checkAccount({ failedLoginCount: 1, lastFailedLoginAt: secondsAgo(0) })).toBeNull();
+      expect(checkAccount({ failedLoginCount: 2, lastFailedLoginAt: secondsAgo(0) }))
+        .toEqual({ code: 'LOGIN_THROTTLED', retryAfter: 2 });
+    });
+
+    test('should double the delay with each further failure', () => {
+      expect(checkAccount({ failedLoginCount: 3, lastFailedLoginAt: secondsAgo(1) }))
+        .toEqual({ code: 'LOGIN_THROTTLED', retryAfter: 3 });
+      expect(checkAccount({ failedLoginCount: 3, lastFailedLoginAt: secondsAgo(4) })).toBeNull();
+    });
+
+    test('should cap the delay at a minute', () => {
+      expect(checkAccount({ failedLoginCount: 20, lastFailedLoginAt: secondsAgo(0) }))
+        .toEqual({ code: 'LOGIN_THROTTLED', retryAfter: 60 });
+    });
+
+    test('should report a locked account until the lock ends', () => {
+      const lockedUntil = new Date(NOW.getTime() + 90 * 1000);
+      expect(checkAccount({ lockedUntil })).toEqual({ code: 'ACCOUNT_LOCKED', retryAfter: 90 });
+      expect(checkAccount({ lockedUntil: secondsAgo(1) })).toBeNull();
+    });
+  });
+
+  describe('recordAccountFailure', () => {
+    const user = { _id: 'user-id', failedLoginCount: 0 };
+
+    const stubFailures = (failedLoginCount) => {
+      const findByIdAndUpdate = jest.spyOn(User, 'findByIdAndUpdate').mockReturnValue({
+        select: () => Promise.resolve({ failedLoginCount })
+      });
+      const updateOne = jest.spyOn(User, 'updateOne').mockResolvedValue({});
+      return { findByIdAndUpdate, updateOne };
+    };
+
+    test('should start counting again after the failure window', async () => {
+      const { findByIdAndUpdate } = stubFailures(1);
+      await recordAccountFailure({ ...user, lastFailedLoginAt: secondsAgo(16 * 60) });
+      expect(findByIdAndUpdate.mock.calls[0][1]).toEqual({ $set: { failedLoginCount: 1, lastFailedLoginAt: NOW } });
+    });
+
+    test('should add to recent failures without locking below the limit', async () => {
+      const { findByIdAndUpdate, updateOne } = stubFailures(3);
+      const result = await recordAccountFailure({ ...user, lastFailedLoginAt: secondsAgo(10) });
+      expect(findByIdAndUpdate.mock.calls[0][1]).toEqual({ $inc: { failedLoginCount: 1 }, $set: { lastFailedLoginAt: NOW } });
+      expect(result).toEqual({ locked: false, failures: 3 });
+      expect(updateOne).not.toHaveBeenCalled();
+    });
+
+    test('should lock the account at the configured limit', async () => {
+      const { updateOne } = stubFailures(3);
+      const result = await recordAccountFailure(user, { maxLoginAttempts: 3, lockoutMinutes: 30 });
+      const lockedUntil = new Date(NOW.getTime() + 30 * 60 * 1000);
+      expect(result).toEqual({ locked: true, lockedUntil, failures: 3 });
+      expect(updateOne).toHaveBeenCalledWith({ _id: 'user-id' }, { $set: { lockedUntil, failedLoginCount: 0 } });
+    });
+
+    test('should default to five attempts and a fifteen-minute lock', async () => {
+      stubFailures(4);
+      expect((await recordAccountFailure(user)).locked).toBe(false);
+      stubFailures(5);
+      const result = await recordAccountFailure(user);
+      expect(result.lockedUntil).toEqual(new Date(NOW.getTime() + 15 * 60 * 1000));
+    });
+  });
+
+  describe('resetAccount', () => {
+    test('should clear failures and the lock by document or id', async () => {
+      const updateOne = jest.spyOn(User, 'updateOne').mockResolvedValue({});
+      await resetAccount({ _id: 'user-id' });
+      await resetAccount('user-id');
+      const expected = [{ _id: 'user-id' }, { $set: { failedLoginCount: 0 }, $unset: { lastFailedLoginAt: 1, lockedUntil: 1 } }];
+      expect(updateOne.mock.calls).toEqual([expected, expected]);
+    });
+  });
+
+  describe('checkIp', () => {
+    test('should allow unknown addresses', async () => {
+      jest.spyOn(LoginThrottle, 'findOne').mockReturnValue(leanResult(null));
+      expect(await checkIp('10.0.0.1')).toBeNull();
+      expect(await checkIp('')).toBeNull();
+    });
+
+    test('should give five free attempts before delaying', async () => {
+      const findOne = jest.spyOn(LoginThrottle, 'findOne');
+      findOne.mockReturnValue(leanResult({ failures: 4, lastFailureAt: secondsAgo(0) }));
+      expect(await checkIp('10.0.0.1')).toBeNull();
+      findOne.mockReturnValue(leanResult({ failures: 6, lastFailureAt: secondsAgo(1) }));
+      expect(await checkIp('10.0.0.1')).toEqual({ code: 'LOGIN_THROTTLED', retryAfter: 3 });
+    });
+
+    test('should report a blocked address', async () => {
+      const blockedUntil = new Date(NOW.getTime() + 10 * 60 * 1000);
+      jest.spyOn(LoginThrottle, 'findOne').mockReturnValue(leanResult({ failures: 0, blockedUntil }));
+      expect(await checkIp('10.0.0.1')).toEqual({ code: 'IP_BLOCKED', retryAfter: 600 });
+    });
+  });
+
+  describe('recordIpFailure', () => {
+    const stubThrottle = (failures) => {
+      const updateOne = jest.spyOn(LoginThrottle, 'updateOne').mockResolvedValue({});
+      const findOneAndUpdate = jest.spyOn(LoginThrottle, 'findOneAndUpdate')
+        .mockResolvedValue({ _id: 'throttle-id', failures });
+      return { updateOne, findOneAndUpdate };
+    };
+
+    test('should count a failure with one upsert', async () => {
+      const { updateOne, findOneAndUpdate } = stubThrottle(1);
+      const result = await recordIpFailure('10.0.0.1');
+      expect(result.blocked).toBe(false);
+      expect(updateOne).toHaveBeenCalledWith(
+        { ip: '10.0.0.1', lastFailureAt: { $lte: secondsAgo(15 * 60) } },
+        { $set: { failures: 0, firstFailureAt: NOW } }
+      );
+      expect(findOneAndUpdate).toHaveBeenCalledWith(
+        { ip: '10.0.0.1' },
+        {
+          $inc: { failures: 1 },
+          $set: { lastFailureAt: NOW },
+          $max: { expiresAt: new Date(NOW.getTime() + 15 * 60 * 1000) },
+          $setOnInsert: { firstFailureAt: NOW }
+        },
+        { upsert: true, new: true }
+      );
+      expect(updateOne).toHaveBeenCalledTimes(1);
+    });
+
+    test('should block an address at the limit', async () => {
+      const { updateOne } = stubThrottle(20);
+      const blockedUntil = new Date(NOW.getTime() + 30 * 60 * 1000);
+      expect(await recordIpFailure('10.0.0.1')).toEqual({ blocked: true, blockedUntil });
+      expect(updateOne).toHaveBeenLastCalledWith(
+        { _id: 'throttle-id' },
+        { $set: { blockedUntil, failures: 0 }, $max: { expiresAt: blockedUntil } }
+      );
+    });
+
+    test('should not count anything without an address', async () => {
+      const { findOneAndUpdate } = stubThrottle(1);
+      expect(await recordIpFailure('')).toEqual({ blocked: false });
+      expect(findOneAndUpdate).not.toHaveBeenCalled();
+    });
+  });
+});
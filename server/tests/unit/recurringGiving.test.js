@@ -0,0 +1,185 @@
+/**
+ * Recurring Giving Unit Tests
+ *
+ * Checks gift dates, how a schedule follows its donations and the daily
+ * charge run. Models, payments and notifications are stubbed.
+ */
+
+const RecurringGift = require('../../models/RecurringGift');
+const NotificationService = require('../../utils/notificationService');
+const payments = require('../../services/payments');
+const { nextGiftDate, onRecurringDonationUpdate, chargeDueGifts } = require('../../utils/recurringGiving');
+const { RECURRING_GIVING, DONATION_STATUS } = require('../../../shared/constants');
+
+const { STATUS } = RECURRING_GIVING;
+
+// Midnight in Lagos
+const lagos = (day) => new Date(`${day}T00:00:00+01:00`);
+
+const schedule = (overrides = {}) => ({
+  _id: 'gift-id',
+  user: 'user-id',
+  type: 'Tithe',
+  amount: 10000,
+  frequency: 'monthly',
+  startDate: lagos('2026-01-31'),
+  status: STATUS.ACTIVE,
+  failures: 0,
+  save: jest.fn().mockResolvedValue(undefined),
+  ...overrides
+});
+
+describe('Recurring giving', () => {
+  beforeEach(() => {
+    jest.spyOn(NotificationService, 'sendToUser').mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('nextGiftDate', () => {
+    test('should keep the start day, or the last day of a shorter month', () => {
+      const gift = schedule();
+      expect(nextGiftDate(gift, lagos('2026-02-01'))).toEqual(lagos('2026-02-28'));
+      expect(nextGiftDate(gift, lagos('2026-03-01'))).toEqual(lagos('2026-03-31'));
+      expect(nextGiftDate(gift, lagos('2026-04-01'))).toEqual(lagos('2026-04-30'));
+    });
+
+    test('should give the date after a gift date, not the date itself', () => {
+      const gift = schedule({ frequency: 'weekly', startDate: lagos('2026-10-04') });
+      expect(nextGiftDate(gift, lagos('2026-10-18'))).toEqual(lagos('2026-10-25'));
+      expect(nextGiftDate(gift, new Date('2026-10-18T12:00:00+01:00'))).toEqual(lagos('2026-10-25'));
+    });
+
+    test('should give the start date before the schedule begins', () => {
+      const gift = schedule({ frequency: 'weekly', startDate: lagos('2026-11-01') });
+      expect(nextGiftDate(gift, lagos('2026-10-18'))).toEqual(lagos('2026-11-01'));
+    });
+
+    test('should count from years back', () => {
+      expect(nextGiftDate(schedule({ startDate: lagos('2019-01-15') }), lagos('2026-10-18'))).toEqual(lagos('2026-11-15'));
+      expect(nextGiftDate(schedule({ startDate: lagos('2019-01-31') }), lagos('2026-11-01'))).toEqual(lagos('2026-11-30'));
+      expect(nextGiftDate(schedule({ frequency: 'weekly', startDate: lagos('2019-01-06') }), lagos('2026-10-18'))).toEqual(lagos('2026-10-25'));
+    });
+
+    test('should return null once the end date has passed', () => {
+      const gift = schedule({ endDate: lagos('2026-03-15') });
+      expect(nextGiftDate(gift, lagos('2026-02-01'))).toEqual(lagos('2026-02-28'));
+      expect(nextGiftDate(gift, lagos('2026-03-01'))).toBeNull();
+    });
+  });
+
+  describe('onRecurringDonationUpdate', () => {
+    const card = { code: 'AUTH_abc', last4: '4081', brand: 'visa', expiry: '12/30', reusable: true };
+
+    test('should activate a schedule when its setup gift is paid with a reusable card', async () => {
+      const gift = schedule({ status: STATUS.PENDING_SETUP, startDate: new Date(Date.now() - 60 * 1000) });
+      jest.spyOn(RecurringGift, 'findById').mockResolvedValue(gift);
+      const paidAt = new Date();
+      await onRecurringDonationUpdate({ recurringGift: 'gift-id', status: DONATION_STATUS.PAID, paidAt }, { authorization: card });
+      expect(gift.status).toBe(STATUS.ACTIVE);
+      expect(gift.authorization).toEqual({ code: 'AUTH_abc', last4: '4081', brand: 'visa', expiry: '12/30' });
+      expect(gift.nextChargeAt).toEqual(nextGiftDate(gift));
+      expect(gift.lastChargedAt).toBe(paidAt);
+      expect(gift.save).toHaveBeenCalled();
+    });
+
+    test('should not activate a schedule paid without a reusable card', async () => {
+      const gift = schedule({ status: STATUS.PENDING_SETUP });
+      jest.spyOn(RecurringGift, 'findById').mockResolvedValue(gift);
+      await onRecurringDonationUpdate({ status: DONATION_STATUS.PAID }, { authorization: { ...card, reusable: false } });
+      expect(gift.status).toBe(STATUS.PENDING_SETUP);
+      expect(gift.lastFailureReason).toMatch(/cannot be charged automatically/);
+      expect(NotificationService.sendToUser).toHaveBeenCalledWith('user-id', 'Recurring gift not set up', expect.any(String), 'giving', { recurringGiftId: 'gift-id' });
+    });
+
+    test('should clear failures when a charge is paid', async () => {
+      const gift = schedule({ failures: 2, lastFailureReason: 'Declined', nextChargeAt: lagos('2026-11-30') });
+      jest.spyOn(RecurringGift, 'findById').mockResolvedValue(gift);
+      await onRecurringDonationUpdate({ status: DONATION_STATUS.PAID, paidAt: new Date() }, {});
+      expect(gift.failures).toBe(0);
+      expect(gift.lastFailureReason).toBeUndefined();
+      expect(gift.status).toBe(STATUS.ACTIVE);
+    });
+
+    test('should retry a failed charge tomorrow', async () => {
+      const gift = schedule({ failures: 0 });
+      jest.spyOn(RecurringGift, 'findById').mockResolvedValue(gift);
+      await onRecurringDonationUpdate({ status: DONATION_STATUS.FAILED, failureReason: 'Insufficient funds' }, {});
+      expect(gift.failures).toBe(1);
+      expect(gift.status).toBe(STATUS.ACTIVE);
+      expect(gift.nextChargeAt.getTime()).toBeGreaterThan(Date.now());
+      expect(gift.nextChargeAt.getTime() - Date.now()).toBeLessThanOrEqual(24 * 60 * 60 * 1000);
+      expect(NotificationService.sendToUser.mock.calls[0][1]).toBe('Recurring gift not received');
+    });
+
+    test('should pause the schedule after too many failures', async () => {
+      const gift = schedule({ failures: RECURRING_GIVING.MAX_FAILURES - 1 });
+      jest.spyOn(RecurringGift, 'findById').mockResolvedValue(gift);
+      await onRecurringDonationUpdate({ status: DONATION_STATUS.FAILED }, {});
+      expect(gift.status).toBe(STATUS.PAUSED);
+      expect(NotificationService.sendToUser.mock.calls[0][2]).toContain('₦10,000');
+    });
+
+    test('should ignore a failed setup checkout', async () => {
+      const gift = schedule({ status: STATUS.PENDING_SETUP });
+      jest.spyOn(RecurringGift, 'findById').mockResolvedValue(gift);
+      await onRecurringDonationUpdate({ status: DONATION_STATUS.FAILED }, {});
+      expect(gift.failures).toBe(0);
+      expect(gift.save).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('chargeDueGifts', () => {
+    const now = lagos('2026-10-18');
+
+    const stubDue = (gifts) => jest.spyOn(RecurringGift, 'find').mockReturnValue({ select: () => Promise.resolve(gifts) });
+
+    test('should claim each gift date and charge it once', async () => {
+      const gift = schedule({ nextChargeAt: lagos('2026-09-30') });
+      stubDue([gift]);
+      const updateOne = jest.spyOn(RecurringGift, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+      jest.spyOn(payments, 'chargeRecurringGift').mockResolvedValue({ status: DONATION_STATUS.PAID });
+
+      expect(await chargeDueGifts(now)).toEqual({ charged: 1, failed: 0, pending: 0, ended: 0 });
+      expect(updateOne).toHaveBeenCalledWith(
+        { _id: 'gift-id', status: STATUS.ACTIVE, nextChargeAt: lagos('2026-09-30') },
+        { $set: { nextChargeAt: lagos('2026-10-31') } }
+      );
+    });
+
+    test('should skip a gift another run already claimed', async () => {
+      stubDue([schedule({ nextChargeAt: lagos('2026-09-30') })]);
+      jest.spyOn(RecurringGift, 'updateOne').mockResolvedValue({ modifiedCount: 0 });
+      const charge = jest.spyOn(payments, 'chargeRecurringGift');
+
+      expect(await chargeDueGifts(now)).toEqual({ charged: 0, failed: 0, pending: 0, ended: 0 });
+      expect(charge).not.toHaveBeenCalled();
+    });
+
+    test('should end a schedule whose last gift date has passed', async () => {
+      const gift = schedule({ nextChargeAt: lagos('2026-09-30'), endDate: lagos('2026-09-15') });
+      stubDue([gift]);
+      expect(await chargeDueGifts(now)).toEqual({ charged: 0, failed: 0, pending: 0, ended: 1 });
+      expect(gift.status).toBe(STATUS.ENDED);
+      expect(gift.nextChargeAt).toBeUndefined();
+    });
+
+    test('should count failed, pending and thrown charges', async () => {
+      stubDue([
+        schedule({ _id: 'a', nextChargeAt: now }),
+        schedule({ _id: 'b', nextChargeAt: now }),
+        schedule({ _id: 'c', nextChargeAt: now })
+      ]);
+      jest.spyOn(RecurringGift, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      jest.spyOn(payments, 'chargeRecurringGift')
+        .mockResolvedValueOnce({ status: DONATION_STATUS.FAILED })
+        .mockResolvedValueOnce({ status: DONATION_STATUS.PENDING })
+        .mockRejectedValueOnce(new Error('Provider unavailable'));
+
+      expect(await chargeDueGifts(now)).toEqual({ charged: 0, failed: 2, pending: 1, ended: 0 });
+    });
+  });
+});
@@ -0,0 +1,116 @@
+/**
+ * TOTP Unit Tests
+ *
+ * Checks codes against the RFC 6238 SHA-1 test vectors, clock drift,
+ * replay protection and recovery code handling.
+ */
+
+const {
+  generateSecret,
+  generateCode,
+  verifyCode,
+  buildOtpAuthUrl,
+  generateRecoveryCodes,
+  normalizeRecoveryCode
+} = require('../../utils/totp');
+
+// "12345678901234567890" in base32, the RFC 6238 SHA-1 seed
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+const stepAt = (seconds) => Math.floor(seconds / 30);
+
+describe('TOTP', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('generateCode', () => {
+    test.each([
+      [59, '287082'],
+      [1111111109, '081804'],
+      [1111111111, '050471'],
+      [1234567890, '005924'],
+      [2000000000, '279037'],
+      [20000000000, '353130']
+    ])('should match the RFC 6238 vector at %i seconds', (seconds, code) => {
+      expect(generateCode(RFC_SECRET, stepAt(seconds))).toBe(code);
+    });
+
+    test('should ignore case and spaces in the secret', () => {
+      const spaced = RFC_SECRET.toLowerCase().replace(/(.{4})/g, '$1 ');
+      expect(generateCode(spaced, stepAt(59))).toBe('287082');
+    });
+
+    test('should reject a secret that is not base32', () => {
+      expect(() => generateCode('NOT-BASE32!', 1)).toThrow('Invalid base32 character');
+    });
+  });
+
+  describe('generateSecret', () => {
+    test('should generate a 160-bit base32 secret', () => {
+      const secret = generateSecret();
+      expect(secret).toMatch(/^[A-Z2-7]{32}$/);
+      expect(generateSecret()).not.toBe(secret);
+    });
+  });
+
+  describe('verifyCode', () => {
+    const now = 1234567890;
+
+    beforeEach(() => {
+      jest.spyOn(Date, 'now').mockReturnValue(now * 1000);
+    });
+
+    test('should accept the current code and return its step', () => {
+      expect(verifyCode(RFC_SECRET, '005924')).toBe(stepAt(now));
+    });
+
+    test('should accept a code one step either side for clock drift', () => {
+      const step = stepAt(now);
+      expect(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step - 1))).toBe(step - 1);
+      expect(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step + 1))).toBe(step + 1);
+    });
+
+    test('should reject a code two steps away', () => {
+      expect(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, stepAt(now) - 2))).toBeNull();
+    });
+
+    test('should reject a code whose step was already used', () => {
+      expect(verifyCode(RFC_SECRET, '005924', stepAt(now))).toBeNull();
+    });
+
+    test('should allow spaces but not other formats', () => {
+      expect(verifyCode(RFC_SECRET, '005 924')).toBe(stepAt(now));
+      expect(verifyCode(RFC_SECRET, '5924')).toBeNull();
+      expect(verifyCode(RFC_SECRET, 'abcdef')).toBeNull();
+      expect(verifyCode(RFC_SECRET, undefined)).toBeNull();
+    });
+  });
+
+  describe('buildOtpAuthUrl', () => {
+    test('should label the account with the issuer', () => {
+      const link = buildOtpAuthUrl(RFC_SECRET, 'pastor@havenword.com');
+      expect(link.startsWith('otpauth://totp/Haven%20Word%20Church%3Apastor%40havenword.com?')).toBe(true);
+      const url = new URL(link);
+      expect(url.searchParams.get('secret')).toBe(RFC_SECRET);
+      expect(url.searchParams.get('digits')).toBe('6');
+      expect(url.searchParams.get('period')).toBe('30');
+    });
+  });
+
+  describe('recovery codes', () => {
+    test('should generate the requested number of distinct codes', () => {
+      const codes = generateRecoveryCodes(8);
+      expect(codes).toHaveLength(8);
+      expect(new Set(codes).size).toBe(8);
+      codes.forEach((code) => expect(code).toMatch(/^[0-9a-f]{5}-[0-9a-f]{5}$/));
+    });
+
+    test('should normalize codes as typed', () => {
+      expect(normalizeRecoveryCode(' AB12C 34DEF ')).toBe('ab12c-34def');
+      expect(normalizeRecoveryCode('ab12c-34def')).toBe('ab12c-34def');
+      expect(normalizeRecoveryCode('ab12c')).toBe('');
+      expect(normalizeRecoveryCode(null)).toBe('');
+    });
+  });
+});
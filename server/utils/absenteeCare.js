@@ -0,0 +1,192 @@
+const Attendance = require('../models/Attendance');
+const CareTask = require('../models/CareTask');
+const Ministry = require('../models/Ministry');
+const MinistryMember = require('../models/MinistryMember');
+const Settings = require('../models/Settings');
+const User = require('../models/User');
+const { pickLeastLoaded, notifyAssignee } = require('./careTasks');
+const {
+  CARE_TASK_TYPES,
+  ABSENTEE_DETECTION,
+  MINISTRY_MEMBER_ROLES,
+  MINISTRY_MEMBER_STATUS
+} = require('../../shared/constants');
+
+/**
+ * Absentee detection. Regular members who stop coming to services are
+ * flagged with a care task for one of their ministry leaders or the pastoral
+ * care team, and the task closes itself when they come back. The scheduler
+ * runs detectAbsentees() nightly.
+ */
+
+// Service days are church-local dates (Lagos is UTC+1 all year)
+const DAY_FORMAT = { format: '%Y-%m-%d', date: '$attendanceDate', timezone: 'Africa/Lagos' };
+const startOfDay = (day) => new Date(`${day}T00:00:00+01:00`);
+
+/**
+ * Care settings with defaults filled in
+ * @returns {Promise<{ absenceThreshold: number, regularMinServices: number, team: Array }>}
+ */
+const getCareSettings = async () => {
+  const settings = await Settings.findOne().select('care');
+  const care = (settings && settings.care) || {};
+  return {
+    absenceThreshold: care.absenceThreshold || ABSENTEE_DETECTION.DEFAULT_THRESHOLD,
+    regularMinServices: care.regularMinServices || ABSENTEE_DETECTION.DEFAULT_REGULAR_MIN,
+    team: care.team || []
+  };
+};
+
+/**
+ * The most recent service days, newest first, as "YYYY-MM-DD".
+ * A service day is any day with service attendance recorded.
+ * @param {number} limit
+ * @returns {Promise<string[]>}
+ */
+const recentServiceDays = async (limit) => {
+  const rows = await Attendance.aggregate([
+    { $match: { activityType: 'service', isActive: true, attendanceDate: { $lte: new Date() } } },
+    { $group: { _id: { $dateToString: DAY_FORMAT } } },
+    { $sort: { _id: -1 } },
+    { $limit: limit }
+  ]);
+  return rows.map((row) => row._id);
+};
+
+/**
+ * Which of `days` each member attended a service on
+ * @param {string[]} days - Service days, newest first
+ * @param {Array<ObjectId>} [userIds] - Limit to these members
+ * @returns {Promise<Map<string, Set<string>>>} user id -> days attended
+ */
+const attendedDays = async (days, userIds) => {
+  if (days.length === 0) return new Map();
+  const since = startOfDay(days[days.length - 1]);
+  const match = { activityType: 'service', isActive: true, attendanceDate: { $gte: since } };
+  if (userIds) match.user = { $in: userIds };
+
+  const rows = await Attendance.aggregate([
+    { $match: match },
+    { $group: { _id: '$user', days: { $addToSet: { $dateToString: DAY_FORMAT } } } }
+  ]);
+  return new Map(rows.map((row) => [row._id.toString(), new Set(row.days)]));
+};
+
+/**
+ * Who looks after an absent member.
+ * A leader of one of the member's ministries knows them best, so the task
+ * goes to whichever of those leaders has the fewest open tasks. Members in
+ * no ministry go to the pastoral care team member with the fewest.
+ * @param {Object} care - From getCareSettings()
+ * @param {ObjectId} memberId - The absent member
+ * @returns {Promise<ObjectId|null>}
+ */
+const findCareLeader = async (care, memberId) => {
+  const active = MINISTRY_MEMBER_STATUS.ACTIVE;
+  const ministryIds = await MinistryMember.distinct('ministry', { user: memberId, status: active });
+  if (ministryIds.length > 0) {
+    const [rosterLeaders, linkedLeaders] = await Promise.all([
+      MinistryMember.distinct('user', { ministry: { $in: ministryIds }, status: active, role: MINISTRY_MEMBER_ROLES.LEADER }),
+      Ministry.distinct('leader.user', { _id: { $in: ministryIds } })
+    ]);
+    const leaders = [...rosterLeaders, ...linkedLeaders]
+      .filter((id) => id && id.toString() !== memberId.toString());
+    const leader = await pickLeastLoaded(leaders);
+    if (leader) return leader;
+  }
+  return pickLeastLoaded(care.team);
+};
+
+/**
+ * Close absentee tasks for members who have been to a service since the
+ * task was opened
+ * @returns {Promise<number>} Tasks closed
+ */
+const closeReturnedAbsentees = async () => {
+  const open = await CareTask.find({ type: CARE_TASK_TYPES.ABSENTEE_CARE, status: 'open' });
+  let returned = 0;
+
+  for (const task of open) {
+    const back = await Attendance.exists({
+      user: task.member,
+      activityType: 'service',
+      isActive: true,
+      attendanceDate: { $gt: task.createdAt }
+    });
+    if (!back) continue;
+    task.stage = 'returned';
+    task.status = 'closed';
+    task.closedAt = new Date();
+    await task.save();
+    if (task.assignedTo) {
+      const member = await User.findById(task.member).select('name');
+      notifyAssignee(task, 'Welcome back', `${member ? member.name : 'A member you were caring for'} is back at church.`);
+    }
+    returned += 1;
+  }
+  return returned;
+};
+
+/**
+ * Flag regular members who have missed the last `absenceThreshold` services
+ * and close the tasks of those who have returned
+ * @returns {Promise<{ flagged: number, returned: number }>}
+ */
+const detectAbsentees = async () => {
+  const care = await getCareSettings();
+  const returned = await closeReturnedAbsentees();
+
+  const days = await recentServiceDays(care.absenceThreshold + ABSENTEE_DETECTION.REGULAR_WINDOW);
+  if (days.length < care.absenceThreshold + care.regularMinServices) {
+    return { flagged: 0, returned };
+  }
+  const recent = days.slice(0, care.absenceThreshold);
+  const before = days.slice(care.absenceThreshold);
+
+  const attendance = await attendedDays(days);
+  const candidates = [...attendance.entries()]
+    .filter(([, attended]) => recent.every((day) => !attended.has(day))
+      && before.filter((day) => attended.has(day)).length >= care.regularMinServices)
+    .map(([userId, attended]) => ({ userId, lastAttended: before.find((day) => attended.has(day)) }));
+  if (candidates.length === 0) return { flagged: 0, returned };
+
+  const members = await User.find({ _id: { $in: candidates.map((c) => c.userId) }, active: true }).select('name');
+  const byId = new Map(members.map((member) => [member._id.toString(), member]));
+
+  let flagged = 0;
+  for (const { userId, lastAttended } of candidates) {
+    const member = byId.get(userId);
+    if (!member) continue;
+    // One task per absence: skip anyone already flagged since they last came
+    const alreadyFlagged = await CareTask.exists({
+      type: CARE_TASK_TYPES.ABSENTEE_CARE,
+      member: member._id,
+      $or: [{ status: 'open' }, { createdAt: { $gt: startOfDay(lastAttended) } }]
+    });
+    if (alreadyFlagged) continue;
+
+    const assignedTo = await findCareLeader(care, member._id);
+    const task = await CareTask.create({
+      type: CARE_TASK_TYPES.ABSENTEE_CARE,
+      member: member._id,
+      assignedTo,
+      absence: {
+        missedServices: care.absenceThreshold,
+        lastAttended: startOfDay(lastAttended)
+      }
+    });
+    if (assignedTo) {
+      notifyAssignee(task, 'Member may need care', `${member.name} has missed the last ${care.absenceThreshold} services. Please reach out.`);
+    }
+    flagged += 1;
+  }
+
+  return { flagged, returned };
+};
+
+module.exports = {
+  getCareSettings,
+  recentServiceDays,
+  attendedDays,
+  detectAbsentees
+};
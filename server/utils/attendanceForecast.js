@@ -0,0 +1,296 @@
+const Attendance = require('../models/Attendance');
+const Event = require('../models/Event');
+const { ATTENDANCE_FORECAST } = require('../../shared/constants');
+
+/**
+ * Attendance forecasting for upcoming events and services.
+ *
+ * Each upcoming event is compared with past events like it: the same title,
+ * otherwise the same category at the same weekday and time, otherwise the
+ * same category. A recency-weighted baseline of their turnout is adjusted
+ * for week of the month (first-Sunday services often run larger) and for
+ * holidays, then raised to what current registrations suggest if higher.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const RECENCY_WEIGHT = 0.85;
+
+// Calendar days are church-local
+const dayKey = (date) => new Date(date).toLocaleDateString('en-CA', { timeZone: 'Africa/Lagos' });
+const keyToDate = (key) => new Date(`${key}T12:00:00Z`);
+const addDays = (key, days) => new Date(keyToDate(key).getTime() + days * DAY_MS).toISOString().slice(0, 10);
+const weekdayOf = (key) => keyToDate(key).getUTCDay();
+const weekOfMonth = (key) => Math.ceil(Number(key.slice(8, 10)) / 7);
+
+/**
+ * Easter Sunday for a year (anonymous Gregorian algorithm)
+ * @param {number} year
+ * @returns {string} "YYYY-MM-DD"
+ */
+const easterSunday = (year) => {
+  const a = year % 19;
+  const b = Math.floor(year / 100);
+  const c = year % 100;
+  const d = Math.floor(b / 4);
+  const e = b % 4;
+  const f = Math.floor((b + 8) / 25);
+  const g = Math.floor((b - f + 1) / 3);
+  const h = (19 * a + b - d - g + 15) % 30;
+  const i = Math.floor(c / 4);
+  const k = c % 4;
+  const l = (32 + 2 * e + 2 * i - h - k) % 7;
+  const m = Math.floor((a + 11 * h + 22 * l) / 451);
+  const month = Math.floor((h + l - 7 * m + 114) / 31);
+  const day = ((h + l - 7 * m + 114) % 31) + 1;
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+};
+
+/**
+ * Nigerian public holidays and the Easter dates for a year. Eid holidays
+ * follow the moon and are announced each year, so they are not included.
+ * @param {number} year
+ * @returns {Object} "YYYY-MM-DD" -> holiday name
+ */
+const holidaysFor = (year) => {
+  const easter = easterSunday(year);
+  return {
+    [`${year}-01-01`]: "New Year's Day",
+    [addDays(easter, -2)]: 'Good Friday',
+    [easter]: 'Easter Sunday',
+    [addDays(easter, 1)]: 'Easter Monday',
+    [`${year}-05-01`]: "Workers' Day",
+    [`${year}-06-12`]: 'Democracy Day',
+    [`${year}-10-01`]: 'Independence Day',
+    [`${year}-12-25`]: 'Christmas Day',
+    [`${year}-12-26`]: 'Boxing Day'
+  };
+};
+
+/**
+ * The holiday a day falls on, or "Long weekend" for a Sunday between a
+ * Friday or Monday public holiday
+ * @param {string} key - "YYYY-MM-DD"
+ * @returns {string|null}
+ */
+const holidayOn = (key) => {
+  const year = Number(key.slice(0, 4));
+  const holidays = { ...holidaysFor(year - 1), ...holidaysFor(year), ...holidaysFor(year + 1) };
+  if (holidays[key]) return holidays[key];
+  if (weekdayOf(key) === 0 && (holidays[addDays(key, 1)] || holidays[addDays(key, -2)])) return 'Long weekend';
+  return null;
+};
+
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+const mean = (values) => values.reduce((sum, v) => sum + v, 0) / values.length;
+
+/**
+ * Recency-weighted mean and standard deviation, newest first
+ */
+const weightedStats = (values) => {
+  const weights = values.map((_, i) => RECENCY_WEIGHT ** i);
+  const total = weights.reduce((sum, w) => sum + w, 0);
+  const avg = values.reduce((sum, v, i) => sum + v * weights[i], 0) / total;
+  const variance = values.reduce((sum, v, i) => sum + weights[i] * (v - avg) ** 2, 0) / total;
+  return { mean: avg, sd: Math.sqrt(variance) };
+};
+
+// Registrations' guests are expected too
+const registeredCount = (event) => (event.attendees || [])
+  .filter((a) => a.status !== 'Cancelled')
+  .reduce((sum, a) => sum + 1 + (a.guestCount || 0), 0);
+
+/**
+ * Past events with the turnout that was recorded for them
+ * @param {Date} since
+ * @param {Date} until
+ * @returns {Promise<Array<Object>>} lean events with `turnout`, `day` and `holiday`
+ */
+const loadHistory = async (since, until) => {
+  const events = await Event.find({
+    startDate: { $gte: since, $lt: until },
+    status: { $in: ['Published', 'Completed'] }
+  }).select('title category startDate startTime attendees stats').lean();
+  if (events.length === 0) return [];
+
+  const counts = await Attendance.aggregate([
+    { $match: { activityId: { $in: events.map((e) => e._id) }, isActive: true } },
+    { $group: { _id: '$activityId', count: { $sum: 1 } } }
+  ]);
+  const countById = Object.fromEntries(counts.map((row) => [row._id.toString(), row.count]));
+
+  return events
+    .map((event) => {
+      const day = dayKey(event.startDate);
+      return {
+        ...event,
+        day,
+        holiday: holidayOn(day),
+        registered: registeredCount(event),
+        turnout: Math.max(
+          countById[event._id.toString()] || 0,
+          (event.stats && event.stats.attendance) || 0,
+          (event.attendees || []).filter((a) => a.status === 'Attended').length
+        )
+      };
+    })
+    // Events with nothing recorded tell us nothing about turnout
+    .filter((event) => event.turnout > 0)
+    .sort((a, b) => (a.day < b.day ? 1 : -1));
+};
+
+/**
+ * Past events comparable to `event`, newest first
+ * @returns {{ basis: string, series: Array }}
+ */
+const comparableEvents = (event, history, day) => {
+  const title = String(event.title || '').trim().toLowerCase();
+  const candidates = [
+    ['title', history.filter((past) => past.category === event.category && String(past.title).trim().toLowerCase() === title)],
+    ['time_slot', history.filter((past) => past.category === event.category
+      && past.startTime === event.startTime && weekdayOf(past.day) === weekdayOf(day))],
+    ['category', history.filter((past) => past.category === event.category)]
+  ];
+  const enough = candidates.find(([, series]) => series.length >= 3);
+  if (enough) return { basis: enough[0], series: enough[1] };
+  const some = candidates.find(([, series]) => series.length > 0);
+  return some ? { basis: some[0], series: some[1] } : { basis: 'none', series: [] };
+};
+
+/**
+ * Turnout on a past holiday relative to the ordinary weeks around it
+ */
+const learnedHolidayFactor = (holiday, series) => {
+  const ordinary = series.filter((past) => !past.holiday);
+  const ratios = series
+    .filter((past) => past.holiday === holiday)
+    .map((past) => {
+      const nearby = [...ordinary]
+        .sort((a, b) => Math.abs(keyToDate(a.day) - keyToDate(past.day)) - Math.abs(keyToDate(b.day) - keyToDate(past.day)))
+        .slice(0, 4);
+      return nearby.length ? past.turnout / mean(nearby.map((n) => n.turnout)) : null;
+    })
+    .filter((ratio) => ratio !== null);
+  return ratios.length ? clamp(mean(ratios), 0.3, 3) : null;
+};
+
+/**
+ * Forecast one upcoming event against the history
+ * @param {Object} event - Upcoming event (lean)
+ * @param {Array} history - From loadHistory()
+ * @returns {Object}
+ */
+const forecastEvent = (event, history) => {
+  const day = dayKey(event.startDate);
+  const { basis, series } = comparableEvents(event, history, day);
+  const ordinary = series.filter((past) => !past.holiday);
+  const recent = ordinary.slice(0, ATTENDANCE_FORECAST.BASELINE_OCCURRENCES);
+
+  let baseline = null;
+  let spread = 0.25;
+  let weekFactor = 1;
+  let holidayFactor = 1;
+  const holiday = holidayOn(day);
+  let holidaySource = null;
+
+  if (recent.length) {
+    const stats = weightedStats(recent.map((past) => past.turnout));
+    baseline = stats.mean;
+    spread = Math.max(0.1, stats.sd / stats.mean);
+
+    const sameWeek = ordinary.filter((past) => weekOfMonth(past.day) === weekOfMonth(day));
+    if (sameWeek.length >= 2 && ordinary.length >= 4) {
+      weekFactor = clamp(mean(sameWeek.map((p) => p.turnout)) / mean(ordinary.map((p) => p.turnout)), 0.7, 1.5);
+    }
+  }
+  if (holiday) {
+    const learned = learnedHolidayFactor(holiday, series);
+    holidayFactor = learned || ATTENDANCE_FORECAST.HOLIDAY_FACTORS[holiday] || 1;
+    holidaySource = learned ? 'history' : 'default';
+  }
+
+  const fromHistory = baseline !== null ? Math.round(baseline * weekFactor * holidayFactor) : null;
+
+  // Show-up rate of past registrations for this kind of event
+  const registered = registeredCount(event);
+  const withRegistrations = history.filter((past) => past.category === event.category && past.registered > 0);
+  const showUpRate = withRegistrations.length >= 2
+    ? clamp(withRegistrations.reduce((sum, p) => sum + p.turnout, 0) / withRegistrations.reduce((sum, p) => sum + p.registered, 0), 0.1, 1.5)
+    : ATTENDANCE_FORECAST.DEFAULT_SHOW_UP_RATE;
+  const fromRegistrations = registered > 0 ? Math.round(registered * showUpRate) : null;
+
+  const expected = fromHistory === null && fromRegistrations === null
+    ? null
+    : Math.max(fromHistory || 0, fromRegistrations || 0);
+
+  const capacity = (event.location && event.location.capacity) || event.maxAttendees || null;
+  const high = expected === null ? null : Math.round(expected * (1 + spread));
+  let warning = null;
+  if (capacity && expected !== null) {
+    if (expected >= capacity) warning = 'overflow';
+    else if (high >= capacity || expected >= capacity * ATTENDANCE_FORECAST.NEAR_CAPACITY_RATIO) warning = 'near_capacity';
+  }
+
+  let confidence = 'low';
+  if (series.length >= 6 && basis !== 'category') confidence = 'high';
+  else if (series.length >= 3 || fromRegistrations !== null) confidence = 'medium';
+
+  return {
+    event: {
+      _id: event._id,
+      title: event.title,
+      category: event.category,
+      startDate: event.startDate,
+      startTime: event.startTime,
+      venue: event.location ? event.location.venue : null
+    },
+    expected,
+    range: expected === null ? null : { low: Math.max(0, Math.round(expected * (1 - spread))), high },
+    capacity,
+    utilisation: capacity && expected !== null ? Math.round((expected / capacity) * 100) : null,
+    warning,
+    confidence,
+    factors: {
+      basis,
+      comparableEvents: series.length,
+      baseline: baseline === null ? null : Math.round(baseline),
+      weekOfMonth: Number(weekFactor.toFixed(2)),
+      holiday: holiday ? { name: holiday, factor: Number(holidayFactor.toFixed(2)), source: holidaySource } : null,
+      registered,
+      showUpRate: Number(showUpRate.toFixed(2)),
+      fromHistory,
+      fromRegistrations
+    }
+  };
+};
+
+/**
+ * Forecast every published event in the next `days` days
+ * @param {Object} [options]
+ * @param {number} [options.days]
+ * @param {string} [options.category] - Only this event category
+ * @returns {Promise<Array<Object>>} Soonest first
+ */
+const forecastUpcoming = async ({ days = ATTENDANCE_FORECAST.DEFAULT_DAYS, category } = {}) => {
+  const today = new Date();
+  today.setHours(0, 0, 0, 0);
+  const until = new Date(today.getTime() + days * DAY_MS);
+
+  const query = { startDate: { $gte: today, $lt: until }, status: 'Published' };
+  if (category) query.category = category;
+  const [upcoming, history] = await Promise.all([
+    Event.find(query)
+      .select('title category startDate startTime location maxAttendees attendees')
+      .sort({ startDate: 1, startTime: 1 })
+      .lean(),
+    loadHistory(new Date(today.getTime() - ATTENDANCE_FORECAST.HISTORY_DAYS * DAY_MS), today)
+  ]);
+
+  return upcoming.map((event) => forecastEvent(event, history));
+};
+
+module.exports = {
+  easterSunday,
+  holidayOn,
+  forecastEvent,
+  forecastUpcoming
+};
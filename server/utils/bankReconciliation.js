@@ -0,0 +1,272 @@
+const crypto = require('crypto');
+const BankStatementLine = require('../models/BankStatementLine');
+const OfferingBatch = require('../models/OfferingBatch');
+const Donation = require('../models/Donation');
+const { BANK_LINE_STATUS, OFFERING_BATCH, DONATION_STATUS, TIMEZONE } = require('../../shared/constants');
+
+/**
+ * Bank reconciliation. Finance staff import the church account's statement
+ * as CSV; each credit becomes a line to be matched with the offering batches
+ * that were banked or with an online gift. Debits are ignored. Importing the
+ * same statement again adds only lines not seen before.
+ */
+
+const DAY = 24 * 60 * 60 * 1000;
+// Offerings are usually banked within a week of the service
+const BANKING_WINDOW_DAYS = 7;
+
+// Column names used by Nigerian bank exports, lower-cased
+const COLUMNS = {
+  date: ['date', 'transaction date', 'trans date', 'value date', 'posted date', 'txn date'],
+  description: ['description', 'narration', 'details', 'remarks', 'transaction details'],
+  reference: ['reference', 'ref', 'transaction reference', 'ref no', 'reference number'],
+  amount: ['amount', 'credit', 'credits', 'deposit', 'credit amount', 'lodgement'],
+  debit: ['debit', 'debits', 'withdrawal', 'debit amount']
+};
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+/**
+ * Split CSV text into rows of cells, honouring quoted cells
+ * @param {string} text
+ * @returns {Array<Array<string>>}
+ */
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i += 1) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(cell.trim());
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i += 1;
+      row.push(cell.trim());
+      if (row.some(Boolean)) rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  row.push(cell.trim());
+  if (row.some(Boolean)) rows.push(row);
+  return rows;
+};
+
+const pad = (value) => String(value).padStart(2, '0');
+
+/**
+ * Read a statement date as a church-local day
+ * Accepts 2025-03-09, 09/03/2025, 09-03-2025, 09-Mar-2025 and 9 Mar 2025, with or without a time.
+ * @param {string} value
+ * @returns {Date|null}
+ */
+const parseDate = (value) => {
+  const text = String(value || '').trim().split(/[ T](?=\d{1,2}:)/)[0];
+  let day;
+  let month;
+  let year;
+  let match = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+  if (match) {
+    [, year, month, day] = match;
+  } else if ((match = text.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})$/))) {
+    [, day, month, year] = match;
+  } else if ((match = text.match(/^(\d{1,2})[\s-]([A-Za-z]{3})[A-Za-z]*[\s-,]+(\d{4})$/))) {
+    day = match[1];
+    month = MONTHS.indexOf(match[2].toLowerCase()) + 1;
+    year = match[3];
+  } else {
+    return null;
+  }
+
+  const key = `${year}-${pad(month)}-${pad(day)}`;
+  const date = new Date(`${key}T00:00:00${TIMEZONE.UTC_OFFSET}`);
+  if (Number.isNaN(date.getTime())) return null;
+  // Reject days that roll over, e.g. 31/02
+  return date.toLocaleDateString('en-CA', { timeZone: TIMEZONE.NIGERIA }) === key ? date : null;
+};
+
+/**
+ * Read an amount such as "1,500.00", "NGN 1500", "(200.00)" or "1,500.00 CR"
+ * @param {string} value
+ * @returns {number} NaN when blank or unreadable
+ */
+const parseAmount = (value) => {
+  const text = String(value || '').trim();
+  if (!text) return NaN;
+  const negative = /^\(.*\)$/.test(text) || /^-/.test(text) || /\bDR\b/i.test(text);
+  const amount = Number(text.replace(/[^0-9.]/g, ''));
+  if (!Number.isFinite(amount) || !/\d/.test(text)) return NaN;
+  return negative ? -amount : amount;
+};
+
+/**
+ * Turn a CSV statement into credit lines
+ * @param {string} text
+ * @returns {{ lines: Array<Object>, skipped: number }|{ error: string }}
+ */
+const readStatement = (text) => {
+  const rows = parseCsv(String(text || '').replace(/^\uFEFF/, ''));
+  // Banks often put account details above the table; the header is the first row naming a date and an amount
+  const headerIndex = rows.findIndex((row) => {
+    const names = row.map((cell) => cell.toLowerCase());
+    return names.some((name) => COLUMNS.date.includes(name)) && names.some((name) => COLUMNS.amount.includes(name));
+  });
+  if (headerIndex === -1) {
+    return { error: 'Could not find the header row. The statement needs a date column and an amount or credit column.' };
+  }
+
+  const header = rows[headerIndex].map((cell) => cell.toLowerCase());
+  const column = (key) => header.findIndex((name) => COLUMNS[key].includes(name));
+  const index = {
+    date: column('date'),
+    description: column('description'),
+    reference: column('reference'),
+    amount: column('amount'),
+    debit: column('debit')
+  };
+
+  const lines = [];
+  let skipped = 0;
+  for (const row of rows.slice(headerIndex + 1)) {
+    const date = parseDate(row[index.date]);
+    const amount = parseAmount(row[index.amount]);
+    const debit = index.debit === -1 ? NaN : parseAmount(row[index.debit]);
+    // Debits, balances and summary rows are not offerings
+    if (!date || !(amount > 0) || debit > 0) {
+      skipped += 1;
+      continue;
+    }
+    lines.push({
+      date,
+      amount: Math.round(amount * 100) / 100,
+      description: index.description === -1 ? '' : row[index.description] || '',
+      reference: index.reference === -1 ? '' : row[index.reference] || ''
+    });
+  }
+  return { lines, skipped };
+};
+
+/**
+ * Identify lines across imports. Identical lines in one statement (two equal
+ * deposits on the same day) are told apart by their order.
+ * @param {Array<Object>} lines
+ */
+const addFingerprints = (lines) => {
+  const seen = new Map();
+  for (const line of lines) {
+    const key = [line.date.toISOString(), line.amount.toFixed(2), line.reference, line.description].join('|');
+    const count = (seen.get(key) || 0) + 1;
+    seen.set(key, count);
+    line.fingerprint = crypto.createHash('sha256').update(`${key}|${count}`).digest('hex');
+  }
+  return lines;
+};
+
+/**
+ * Save a statement's credit lines, skipping any already imported
+ * @param {string} text - CSV contents
+ * @param {Object} meta - { fileName, importedBy }
+ * @returns {Promise<{ imported: number, duplicates: number, skipped: number, lines: Array<Object> }|{ error: string }>}
+ */
+const importStatement = async (text, { fileName, importedBy }) => {
+  const result = readStatement(text);
+  if (result.error) return result;
+  if (result.lines.length === 0) return { error: 'The statement has no credits to import.' };
+
+  const docs = addFingerprints(result.lines).map((line) => ({ ...line, fileName, importedBy }));
+  let inserted = [];
+  try {
+    inserted = await BankStatementLine.insertMany(docs, { ordered: false });
+  } catch (error) {
+    // Duplicate fingerprints are lines from an earlier import. Mongoose copies
+    // the driver's write errors, so the code is on the wrapped error.
+    const isDuplicate = (writeError) => (writeError.code ?? writeError.err?.code) === 11000;
+    if (!error.writeErrors || !error.writeErrors.every(isDuplicate)) throw error;
+    inserted = error.insertedDocs || [];
+  }
+
+  return {
+    imported: inserted.length,
+    duplicates: docs.length - inserted.length,
+    skipped: result.skipped,
+    lines: inserted
+  };
+};
+
+// Batches already matched to a bank line
+const bankedBatchIds = async () => BankStatementLine.distinct('batches', { status: BANK_LINE_STATUS.MATCHED });
+
+/**
+ * Match unmatched lines where the answer is unambiguous:
+ * a gift reference in the narration, one verified batch of the same total
+ * from the week before, or all of one service day's batches banked together.
+ * @param {Array<Object>} [lines] - Defaults to every unmatched line
+ * @returns {Promise<number>} Lines matched
+ */
+const autoMatch = async (lines) => {
+  const candidates = lines || await BankStatementLine.find({ status: BANK_LINE_STATUS.UNMATCHED });
+  const banked = new Set((await bankedBatchIds()).map(String));
+  let matched = 0;
+
+  for (const line of candidates) {
+    if (line.status !== BANK_LINE_STATUS.UNMATCHED) continue;
+    const update = {};
+
+    const reference = `${line.description} ${line.reference}`.toUpperCase().match(/HWC-[A-Z0-9]+-[A-Z0-9]+/);
+    if (reference) {
+      const donation = await Donation.findOne({ reference: reference[0], status: DONATION_STATUS.PAID }).select('_id');
+      if (donation && !(await BankStatementLine.exists({ donation: donation._id }))) update.donation = donation._id;
+    }
+
+    if (!update.donation) {
+      const batches = (await OfferingBatch.find({
+        status: OFFERING_BATCH.STATUS.VERIFIED,
+        serviceDate: { $gte: new Date(line.date.getTime() - BANKING_WINDOW_DAYS * DAY), $lt: new Date(line.date.getTime() + DAY) }
+      }).select('serviceDate total').lean()).filter((batch) => !banked.has(batch._id.toString()));
+
+      const sameTotal = batches.filter((batch) => batch.total === line.amount);
+      if (sameTotal.length === 1) {
+        update.batches = [sameTotal[0]._id];
+      } else if (sameTotal.length === 0) {
+        const byDay = new Map();
+        for (const batch of batches) {
+          const key = batch.serviceDate.toISOString();
+          byDay.set(key, [...(byDay.get(key) || []), batch]);
+        }
+        const days = [...byDay.values()].filter((group) => group.length > 1
+          && Math.round(group.reduce((sum, batch) => sum + batch.total, 0) * 100) / 100 === line.amount);
+        if (days.length === 1) update.batches = days[0].map((batch) => batch._id);
+      }
+    }
+
+    if (!update.donation && !update.batches) continue;
+    line.set({ ...update, status: BANK_LINE_STATUS.MATCHED, matchedAutomatically: true, matchedAt: new Date() });
+    await line.save();
+    (update.batches || []).forEach((id) => banked.add(id.toString()));
+    matched += 1;
+  }
+  return matched;
+};
+
+module.exports = {
+  readStatement,
+  importStatement,
+  bankedBatchIds,
+  autoMatch
+};
@@ -0,0 +1,44 @@
+const CareTask = require('../models/CareTask');
+const User = require('../models/User');
+const NotificationService = require('./notificationService');
+
+/**
+ * Helpers shared by the care task workflows (visitor follow-up, absentee care)
+ */
+
+/**
+ * The active team member with the fewest open care tasks of any kind
+ * @param {Array<ObjectId>} teamIds
+ * @returns {Promise<ObjectId|null>} null when the team is empty
+ */
+const pickLeastLoaded = async (teamIds = []) => {
+  if (teamIds.length === 0) return null;
+
+  const team = await User.find({ _id: { $in: teamIds }, active: true }).select('_id');
+  if (team.length === 0) return null;
+
+  const load = await CareTask.aggregate([
+    { $match: { status: 'open', assignedTo: { $in: team.map((member) => member._id) } } },
+    { $group: { _id: '$assignedTo', open: { $sum: 1 } } }
+  ]);
+  const openById = Object.fromEntries(load.map((entry) => [entry._id.toString(), entry.open]));
+
+  return team
+    .map((member) => member._id)
+    .sort((a, b) => (openById[a.toString()] || 0) - (openById[b.toString()] || 0))[0];
+};
+
+/**
+ * Notify a task's assignee without failing the caller
+ * @param {Object} task - CareTask with assignedTo set (id or populated)
+ * @param {string} title
+ * @param {string} message
+ */
+const notifyAssignee = (task, title, message) => NotificationService
+  .sendToUser(String(task.assignedTo._id || task.assignedTo), title, message, 'care', { careTaskId: task._id, type: task.type })
+  .catch((error) => console.error('Error notifying care task assignee:', error.message));
+
+module.exports = {
+  pickLeastLoaded,
+  notifyAssignee
+};
@@ -0,0 +1,134 @@
+const crypto = require('crypto');
+const { QR_CHECKIN } = require('../../shared/constants');
+const { dayKey, atTime } = require('./eventOccurrences');
+
+/**
+ * Rotating QR codes for self check-in. A token names the event and the
+ * time step it was issued in, signed so it cannot be made up or reused
+ * once the code on screen has moved on.
+ *
+ * Printed codes cannot rotate, so they use the step "p" instead and are
+ * only limited by the event's check-in window.
+ */
+
+const PRINTED_STEP = 'p';
+const MINUTE_MS = 60 * 1000;
+
+const secret = () => process.env.CHECKIN_QR_SECRET || process.env.JWT_SECRET;
+
+const currentStep = (now = Date.now()) => Math.floor(now / 1000 / QR_CHECKIN.ROTATE_SECONDS);
+
+const sign = (eventId, step) => crypto
+  .createHmac('sha256', secret())
+  .update(`checkin:${eventId}:${step}`)
+  .digest('base64url')
+  .slice(0, 22);
+
+/**
+ * Issue the token for an event's current step
+ * @param {string} eventId
+ * @param {Object} [options]
+ * @param {boolean} [options.printed] - Issue the non-rotating printed code
+ * @returns {{ token: string, expiresAt: Date|null }}
+ */
+const issueCheckInToken = (eventId, { printed = false } = {}) => {
+  if (printed) {
+    return { token: `${eventId}.${PRINTED_STEP}.${sign(eventId, PRINTED_STEP)}`, expiresAt: null };
+  }
+  const step = currentStep();
+  return {
+    token: `${eventId}.${step}.${sign(eventId, step)}`,
+    expiresAt: new Date((step + 1) * QR_CHECKIN.ROTATE_SECONDS * 1000)
+  };
+};
+
+/**
+ * Verify a scanned token
+ * @param {string} token
+ * @returns {{ eventId: string }|{ error: string }} error is 'invalid' or 'expired'
+ */
+const verifyCheckInToken = (token) => {
+  const [eventId, stepText, signature] = String(token || '').split('.');
+  const printed = stepText === PRINTED_STEP;
+  const step = printed ? PRINTED_STEP : Number(stepText);
+  if (!/^[a-f\d]{24}$/i.test(eventId || '') || (!printed && !Number.isInteger(step)) || !signature) {
+    return { error: 'invalid' };
+  }
+  const expected = sign(eventId, step);
+  if (signature.length !== expected.length
+    || !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+    return { error: 'invalid' };
+  }
+  if (printed) return { eventId };
+  const now = currentStep();
+  if (step !== now && step !== now - 1) return { error: 'expired' };
+  return { eventId };
+};
+
+/**
+ * Issue the token for the QR code on an event ticket. Tickets name their
+ * registration rather than a time step, so they do not rotate; the
+ * registration's attendance stops one being used twice.
+ * @param {string} eventId
+ * @param {string} attendeeId
+ * @returns {string}
+ */
+const issueTicketToken = (eventId, attendeeId) => `ticket.${eventId}.${attendeeId}.${sign(eventId, `ticket:${attendeeId}`)}`;
+
+/**
+ * Verify a scanned ticket
+ * @param {string} token
+ * @returns {{ eventId: string, attendeeId: string }|{ error: string }} error is 'invalid'
+ */
+const verifyTicketToken = (token) => {
+  const [kind, eventId, attendeeId, signature] = String(token || '').split('.');
+  if (kind !== 'ticket' || !/^[a-f\d]{24}$/i.test(eventId || '') || !/^[a-f\d]{24}$/i.test(attendeeId || '') || !signature) {
+    return { error: 'invalid' };
+  }
+  const expected = sign(eventId, `ticket:${attendeeId}`);
+  if (signature.length !== expected.length
+    || !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+    return { error: 'invalid' };
+  }
+  return { eventId, attendeeId };
+};
+
+/**
+ * When self check-in is open for an event
+ * @param {Object} event - Event document
+ * @returns {{ opensAt: Date, closesAt: Date }}
+ */
+const checkInWindow = (event) => {
+  // Event days and times are church-local, whatever the server's time zone
+  const startsAt = atTime(dayKey(event.startDate), event.startTime);
+  const endsAt = atTime(dayKey(event.endDate || event.startDate), event.endTime);
+  return {
+    opensAt: new Date(startsAt.getTime() - QR_CHECKIN.OPENS_BEFORE_MINUTES * MINUTE_MS),
+    closesAt: new Date(endsAt.getTime() + QR_CHECKIN.CLOSES_AFTER_MINUTES * MINUTE_MS)
+  };
+};
+
+// Event categories that have their own attendance activity type
+const ACTIVITY_TYPES = {
+  'Service': 'service',
+  'Prayer Meeting': 'prayer_meeting',
+  'Bible Study': 'bible_study',
+  'Youth Program': 'youth_service',
+  'Children Program': 'children_service'
+};
+
+/**
+ * Attendance activity type for an event
+ * @param {Object} event
+ * @returns {string}
+ */
+const activityTypeFor = (event) => ACTIVITY_TYPES[event.category] || 'event';
+
+module.exports = {
+  issueCheckInToken,
+  verifyCheckInToken,
+  issueTicketToken,
+  verifyTicketToken,
+  checkInWindow,
+  activityTypeFor
+};
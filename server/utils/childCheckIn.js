@@ -0,0 +1,77 @@
+const crypto = require('crypto');
+const { CHILDREN_CLASSROOMS } = require('../../shared/constants');
+
+/**
+ * Helpers for children's ministry secure check-in: the pickup code shared
+ * by a child's tag and the guardian's slip, and classroom placement by age.
+ */
+
+// No 0/O, 1/I/L or 5/S so codes survive being read out across a classroom
+const CODE_ALPHABET = 'ABCDEFGHJKMNPQRTUVWXYZ2346789';
+const CODE_LENGTH = 4;
+
+/**
+ * Generate a pickup code
+ * @returns {string} e.g. "K7RW"
+ */
+const generatePickupCode = () => {
+  let code = '';
+  for (let i = 0; i < CODE_LENGTH; i += 1) {
+    code += CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)];
+  }
+  return code;
+};
+
+/**
+ * Normalize a code typed at pickup (case and spaces ignored)
+ * @param {string} code
+ * @returns {string}
+ */
+const normalizePickupCode = (code) => String(code || '').toUpperCase().replace(/\s/g, '');
+
+/**
+ * Compare a presented code with the one issued at check-in
+ * @param {string} presented - Code from the guardian slip
+ * @param {string} issued - Code stored on the attendance record
+ * @returns {boolean}
+ */
+const pickupCodeMatches = (presented, issued) => {
+  const normalized = normalizePickupCode(presented);
+  if (!issued || normalized.length !== issued.length) return false;
+  return crypto.timingSafeEqual(Buffer.from(normalized), Buffer.from(issued));
+};
+
+/**
+ * Whole years between a date of birth and a given day
+ * @param {Date|string} dateOfBirth
+ * @param {Date} [on=new Date()]
+ * @returns {number|null}
+ */
+const ageOn = (dateOfBirth, on = new Date()) => {
+  if (!dateOfBirth) return null;
+  const dob = new Date(dateOfBirth);
+  let age = on.getFullYear() - dob.getFullYear();
+  if (on.getMonth() < dob.getMonth() || (on.getMonth() === dob.getMonth() && on.getDate() < dob.getDate())) {
+    age -= 1;
+  }
+  return age;
+};
+
+/**
+ * Suggested classroom for a child's age
+ * @param {Date|string} dateOfBirth
+ * @returns {string|null} Classroom id, or null when unknown or too old
+ */
+const classroomForAge = (dateOfBirth) => {
+  const age = ageOn(dateOfBirth);
+  if (age === null) return null;
+  const room = CHILDREN_CLASSROOMS.find((r) => age >= r.minAge && age <= r.maxAge);
+  return room ? room.id : null;
+};
+
+module.exports = {
+  generatePickupCode,
+  pickupCodeMatches,
+  ageOn,
+  classroomForAge
+};
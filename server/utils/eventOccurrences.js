@@ -0,0 +1,350 @@
+/**
+ * Recurring event expansion.
+ *
+ * A recurring event is stored once, as the master of its series. Its
+ * occurrences are worked out from `recurrence` when they are asked for, over
+ * a date window, with each occurrence's exception (cancelled, moved to
+ * another day or time, another venue) applied. Occurrences are identified by
+ * their original church-local date, "YYYY-MM-DD", which stays the same when
+ * one is moved; registrations and exceptions both use it.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const WEEK_STEPS = { Weekly: 1, 'Bi-weekly': 2 };
+const MONTH_STEPS = { Monthly: 1, Quarterly: 3, Yearly: 12 };
+// Most dates an open-ended series gives at once
+const MAX_OCCURRENCES = 2000;
+const MAX_WINDOW_DAYS = 366;
+const KEY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Calendar days are church-local; Lagos keeps UTC+1 all year
+const dayKey = (date) => new Date(date).toLocaleDateString('en-CA', { timeZone: 'Africa/Lagos' });
+const keyToDate = (key) => new Date(`${key}T12:00:00Z`);
+const addDays = (key, days) => new Date(keyToDate(key).getTime() + days * DAY_MS).toISOString().slice(0, 10);
+const daysBetween = (fromKey, toKey) => Math.round((keyToDate(toKey) - keyToDate(fromKey)) / DAY_MS);
+const isDayKey = (value) => typeof value === 'string' && KEY_PATTERN.test(value) && !Number.isNaN(keyToDate(value).getTime());
+
+/**
+ * The instant a church-local date and "HH:MM" time refer to
+ * @param {string} key - "YYYY-MM-DD"
+ * @param {string} [time] - "HH:MM"; midnight when missing
+ * @returns {Date}
+ */
+const atTime = (key, time) => {
+  const [hours = '0', minutes = '0'] = String(time || '00:00').split(':');
+  return new Date(`${key}T${hours.padStart(2, '0')}:${minutes.padStart(2, '0')}:00+01:00`);
+};
+
+/**
+ * A date some whole months after another, or null when that month has no
+ * such day (a series on the 31st skips the shorter months)
+ */
+const addMonths = (key, months) => {
+  const [year, month, day] = key.split('-').map(Number);
+  const index = month - 1 + months;
+  const target = new Date(Date.UTC(year + Math.floor(index / 12), ((index % 12) + 12) % 12, day, 12));
+  return target.getUTCDate() === day ? target.toISOString().slice(0, 10) : null;
+};
+
+const isRecurring = (event) => Boolean(event.recurrence && event.recurrence.pattern && event.recurrence.pattern !== 'None');
+
+/**
+ * Original dates of an event's occurrences within a range, in order. Honours
+ * the pattern, interval, weekdays, end date and occurrence count, which is
+ * counted from the series' first date. Daily and weekly series skip straight
+ * to `fromKey`, so an old open-ended series costs no more than a new one.
+ * Without an occurrence count, at most MAX_OCCURRENCES dates are returned.
+ * @param {Object} event
+ * @param {string} untilKey - Last day to include, "YYYY-MM-DD"
+ * @param {string} [fromKey] - First day to include; the series' start when missing
+ * @returns {string[]}
+ */
+const occurrenceKeys = (event, untilKey, fromKey) => {
+  const startKey = dayKey(event.startDate);
+  const firstKey = fromKey && fromKey > startKey ? fromKey : startKey;
+  if (!isRecurring(event)) return startKey === firstKey && startKey <= untilKey ? [startKey] : [];
+
+  const { pattern, interval = 1, daysOfWeek = [], endRecurrence, occurrences } = event.recurrence;
+  const step = Math.max(1, interval || 1);
+  const endKey = endRecurrence ? dayKey(endRecurrence) : null;
+  const lastKey = endKey && endKey < untilKey ? endKey : untilKey;
+  // The nth date (from 0) of the series exists while n < limit
+  const limit = occurrences || Infinity;
+  const maxKeys = occurrences || MAX_OCCURRENCES;
+  const keys = [];
+
+  if (pattern === 'Daily') {
+    for (let n = Math.max(0, Math.ceil(daysBetween(startKey, firstKey) / step)); n < limit && keys.length < maxKeys; n += 1) {
+      const key = addDays(startKey, n * step);
+      if (key > lastKey) break;
+      keys.push(key);
+    }
+  } else if (WEEK_STEPS[pattern]) {
+    const startDay = keyToDate(startKey).getUTCDay();
+    const weekdays = daysOfWeek.length
+      ? [...new Set(daysOfWeek.map((day) => WEEKDAYS.indexOf(day)))].filter((day) => day >= 0).sort((a, b) => a - b)
+      : [startDay];
+    // Weekdays of the first week that fall before the start are not dates of the series
+    const skipped = weekdays.filter((day) => day < startDay).length;
+    const firstWeek = addDays(startKey, -startDay);
+    const weekLength = 7 * step * WEEK_STEPS[pattern];
+    for (let week = Math.floor(daysBetween(firstWeek, firstKey) / weekLength); ; week += 1) {
+      const weekStart = addDays(firstWeek, week * weekLength);
+      if (weekStart > lastKey) break;
+      for (let i = 0; i < weekdays.length; i += 1) {
+        const n = week * weekdays.length + i - skipped;
+        const key = addDays(weekStart, weekdays[i]);
+        if (n < 0 || key < firstKey) continue;
+        if (key > lastKey || n >= limit || keys.length >= maxKeys) return keys;
+        keys.push(key);
+      }
+    }
+  } else if (MONTH_STEPS[pattern]) {
+    const monthStep = step * MONTH_STEPS[pattern];
+    // Months without the start's day are skipped, so a counted series is walked from its start
+    const [startYear, startMonth] = startKey.split('-').map(Number);
+    const [firstYear, firstMonth] = firstKey.split('-').map(Number);
+    const monthsIn = (firstYear - startYear) * 12 + firstMonth - startMonth;
+    let count = 0;
+    for (let n = occurrences ? 0 : Math.max(0, Math.floor(monthsIn / monthStep) - 1); count < limit && keys.length < maxKeys; n += 1) {
+      const key = n === 0 ? startKey : addMonths(startKey, n * monthStep);
+      if (!key) continue;
+      if (key > lastKey) break;
+      count += 1;
+      if (key >= firstKey) keys.push(key);
+    }
+  }
+  return keys;
+};
+
+/**
+ * Whether a date is one of an event's occurrences
+ * @param {Object} event
+ * @param {string} key - "YYYY-MM-DD"
+ * @returns {boolean}
+ */
+const isOccurrence = (event, key) => {
+  if (!isDayKey(key)) return false;
+  return occurrenceKeys(event, key, key)[0] === key;
+};
+
+const findException = (event, key) => ((event.recurrence && event.recurrence.exceptions) || []).find((exception) => exception.date === key);
+
+/**
+ * When and where one occurrence takes place, with its exception applied
+ * @param {Object} event
+ * @param {string} key - The occurrence's original date
+ * @returns {{ startDate: Date, endDate: Date, startTime: string, endTime: string, venue: string, cancelled: boolean, rescheduled: boolean, reason: string|undefined }}
+ */
+const occurrenceTiming = (event, key) => {
+  const exception = findException(event, key) || {};
+  const spanDays = daysBetween(dayKey(event.startDate), dayKey(event.endDate));
+  const startKey = exception.startDate ? dayKey(exception.startDate) : key;
+  const startTime = exception.startTime || event.startTime;
+  const endTime = exception.endTime || event.endTime;
+  const venue = exception.venue || (event.location && event.location.venue);
+  return {
+    startDate: atTime(startKey, startTime),
+    endDate: atTime(addDays(startKey, spanDays), endTime),
+    startTime,
+    endTime,
+    venue,
+    cancelled: Boolean(exception.cancelled),
+    rescheduled: startKey !== key || startTime !== event.startTime || endTime !== event.endTime
+      || venue !== (event.location && event.location.venue),
+    reason: exception.reason
+  };
+};
+
+/**
+ * Registrations for one occurrence (or for a one-off event), excluding cancelled ones
+ * @param {Object} event
+ * @param {string|null} key
+ * @returns {Object[]}
+ */
+const occurrenceAttendees = (event, key) => (event.attendees || []).filter(
+  (attendee) => attendee.status !== 'Cancelled' && (attendee.occurrence || null) === (isRecurring(event) ? key : null)
+);
+
+/**
+ * Places a registration or waitlist entry takes: the registrant and their guests
+ * @param {Object} entry
+ * @returns {number}
+ */
+const partySize = (entry) => 1 + (entry.guestCount || 0);
+
+/**
+ * Places taken at an occurrence (or a one-off event), guests included
+ * @param {Object} event
+ * @param {string|null} key
+ * @returns {number}
+ */
+const placesTaken = (event, key) => occurrenceAttendees(event, key)
+  .reduce((total, attendee) => total + partySize(attendee), 0);
+
+/**
+ * Whether a registration or waitlist entry is someone's. Members are known
+ * by user ID; visitors who registered without an account by email.
+ * @param {Object} entry
+ * @param {{userId?: string, email?: string}} registrant
+ * @returns {boolean}
+ */
+const isRegistrant = (entry, { userId, email }) => (userId
+  ? Boolean(entry.user) && entry.user.toString() === String(userId)
+  : !entry.user && Boolean(entry.contact && email) && entry.contact.email === email.toLowerCase());
+
+/**
+ * An event's occurrences that fall within a window, as plain objects shaped
+ * like the event. Each keeps the master's `_id` and carries its original
+ * date as `occurrence` (null for one-off events). Attendee lists and
+ * waitlists are left out; `registeredCount` gives the places taken at the
+ * occurrence (guests included) and `waitlistCount` the people waiting for it.
+ * @param {Object} event - Document or plain object
+ * @param {string} fromKey - First day, "YYYY-MM-DD"
+ * @param {string} toKey - Last day, "YYYY-MM-DD"
+ * @param {Object} [options]
+ * @param {boolean} [options.includeCancelled] - Keep cancelled occurrences (marked with status Cancelled)
+ * @returns {Object[]}
+ */
+const expandEvent = (event, fromKey, toKey, { includeCancelled = false } = {}) => {
+  const source = typeof event.toObject === 'function' ? event.toObject() : event;
+  const { recurrence = {}, ...base } = source;
+  delete base.attendees;
+  delete base.waitlist;
+  delete base.promoCodes;
+  const recurring = isRecurring(source);
+  // Occurrences spanning several days can start before the window
+  const spanDays = daysBetween(dayKey(source.startDate), dayKey(source.endDate));
+  const windowKeys = occurrenceKeys(source, addDays(toKey, 1), addDays(fromKey, -spanDays - 1));
+  // Moved occurrences can land in the window from outside it
+  const movedKeys = (recurrence.exceptions || [])
+    .filter((exception) => exception.startDate && !windowKeys.includes(exception.date) && isOccurrence(source, exception.date))
+    .map((exception) => exception.date);
+
+  return [...windowKeys, ...movedKeys].sort().reduce((list, key) => {
+    const timing = occurrenceTiming(source, key);
+    if (timing.cancelled && !includeCancelled) return list;
+    if (dayKey(timing.endDate) < fromKey || dayKey(timing.startDate) > toKey) return list;
+    list.push({
+      ...base,
+      recurrence: { ...recurrence, exceptions: undefined },
+      occurrence: recurring ? key : null,
+      startDate: timing.startDate,
+      endDate: timing.endDate,
+      startTime: timing.startTime,
+      endTime: timing.endTime,
+      location: { ...(base.location || {}), venue: timing.venue },
+      status: timing.cancelled ? 'Cancelled' : base.status,
+      isRescheduled: timing.rescheduled,
+      exceptionReason: timing.reason,
+      registeredCount: placesTaken(source, recurring ? key : null),
+      waitlistCount: (source.waitlist || []).filter((entry) => entry.status === 'Waiting'
+        && (entry.occurrence || null) === (recurring ? key : null)).length
+    });
+    return list;
+  }, []);
+};
+
+/**
+ * Mongo filter for events that may have occurrences within a window
+ * @param {string} fromKey
+ * @param {string} toKey
+ * @returns {Object}
+ */
+const windowFilter = (fromKey, toKey) => {
+  const windowStart = atTime(addDays(fromKey, -1), '00:00');
+  const windowEnd = atTime(addDays(toKey, 1), '00:00');
+  return {
+    $or: [
+      { 'recurrence.pattern': { $in: [null, 'None'] }, startDate: { $lt: windowEnd }, endDate: { $gte: windowStart } },
+      {
+        'recurrence.pattern': { $nin: [null, 'None'] },
+        startDate: { $lt: windowEnd },
+        $or: [{ 'recurrence.endRecurrence': null }, { 'recurrence.endRecurrence': { $gte: windowStart } }]
+      },
+      { 'recurrence.exceptions.startDate': { $gte: windowStart, $lt: windowEnd } }
+    ]
+  };
+};
+
+/**
+ * Check a from/to window from a query string
+ * @param {string} from - "YYYY-MM-DD"
+ * @param {string} to - "YYYY-MM-DD"
+ * @returns {string|null} What is wrong with it, or null when valid
+ */
+const windowProblem = (from, to) => {
+  if (!isDayKey(from) || !isDayKey(to)) return 'from and to must be dates (YYYY-MM-DD)';
+  if (to < from) return 'to must not be before from';
+  if (daysBetween(from, to) > MAX_WINDOW_DAYS) return `The date window cannot be longer than ${MAX_WINDOW_DAYS} days`;
+  return null;
+};
+
+/**
+ * End a series before an occurrence, dropping later exceptions, registrations
+ * and waitlist entries
+ * @param {Document} event - Series master (not saved here)
+ * @param {string} key - First occurrence to drop
+ */
+const truncateSeries = (event, key) => {
+  const earlier = occurrenceKeys(event, addDays(key, -1)).length;
+  event.recurrence.endRecurrence = atTime(addDays(key, -1), '23:59');
+  if (event.recurrence.occurrences) event.recurrence.occurrences = earlier;
+  event.recurrence.exceptions = event.recurrence.exceptions.filter((exception) => exception.date < key);
+  event.attendees = event.attendees.filter((attendee) => !attendee.occurrence || attendee.occurrence < key);
+  event.waitlist = event.waitlist.filter((entry) => !entry.occurrence || entry.occurrence < key);
+};
+
+/**
+ * Split a series at an occurrence for a "this and following" change. The
+ * original series ends the day before; the returned new master takes over
+ * from the occurrence, with its later exceptions, registrations and waitlists.
+ * @param {Document} event - Series master (not saved here)
+ * @param {string} key - First occurrence of the new series
+ * @returns {Object|null} Fields for the new master, or null when `key` is the first occurrence
+ */
+const splitSeries = (event, key) => {
+  const earlier = occurrenceKeys(event, addDays(key, -1)).length;
+  if (earlier === 0) return null;
+
+  const data = event.toObject();
+  const spanDays = daysBetween(dayKey(event.startDate), dayKey(event.endDate));
+  ['_id', 'id', '__v', 'createdAt', 'updatedAt', 'registrationDeadline'].forEach((field) => delete data[field]);
+
+  data.startDate = atTime(key, '00:00');
+  data.endDate = atTime(addDays(key, spanDays), '00:00');
+  data.stats = {};
+  data.recurrence = {
+    ...data.recurrence,
+    occurrences: event.recurrence.occurrences ? Math.max(event.recurrence.occurrences - earlier, 1) : undefined,
+    exceptions: data.recurrence.exceptions.filter((exception) => exception.date >= key),
+    splitFrom: event._id
+  };
+  data.attendees = data.attendees.filter((attendee) => attendee.occurrence && attendee.occurrence >= key);
+  data.waitlist = data.waitlist.filter((entry) => entry.occurrence && entry.occurrence >= key);
+
+  truncateSeries(event, key);
+  return data;
+};
+
+module.exports = {
+  dayKey,
+  addDays,
+  atTime,
+  isDayKey,
+  isRecurring,
+  occurrenceKeys,
+  isOccurrence,
+  findException,
+  occurrenceTiming,
+  occurrenceAttendees,
+  partySize,
+  placesTaken,
+  isRegistrant,
+  expandEvent,
+  windowFilter,
+  windowProblem,
+  splitSeries,
+  truncateSeries
+};
@@ -0,0 +1,462 @@
+const crypto = require('crypto');
+const QRCode = require('qrcode');
+const Event = require('../models/Event');
+const User = require('../models/User');
+const emailNotificationService = require('../services/emailNotificationService');
+const payments = require('../services/payments');
+const { issueTicketToken } = require('./checkInQr');
+const { dayKey, occurrenceTiming, occurrenceAttendees, partySize } = require('./eventOccurrences');
+const { fillFromWaitlist, notifyOffers } = require('./eventWaitlist');
+const { EVENT_TICKETS, CURRENCY, TIMEZONE } = require('../../shared/constants');
+
+/**
+ * Paid event tickets. An event sells ticket types (early bird, family,
+ * student...), each admitting one or more people; without any, its
+ * registration fee is the price per person. Promo codes take a percentage
+ * or a fixed amount off.
+ *
+ * A paid registration holds its places for EVENT_TICKETS.HOLD_MINUTES
+ * while the registrant pays at the provider's checkout. The provider's
+ * webhook marks it Paid and the ticket, with a QR code to scan at the door,
+ * is emailed; an unpaid hold is released and its places go to the
+ * waitlist. A payment arriving after its hold was released is refunded.
+ * Free registrations get their ticket straight away.
+ */
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+
+const newTicketReference = () => `${EVENT_TICKETS.REFERENCE_PREFIX}${Date.now().toString(36)}-${crypto.randomBytes(8).toString('hex')}`.toUpperCase();
+
+const ticketUrl = (event, reference) => `${process.env.FRONTEND_URL || ''}/events/${event._id}?ticket=${reference}`;
+
+const formatAmount = (amount) => `${CURRENCY.SYMBOL}${amount.toLocaleString(CURRENCY.LOCALE)}`;
+
+const canTakePayment = () => {
+  try {
+    return payments.getProvider().isConfigured();
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Whether registering for an event costs anything
+ * @param {Object} event
+ * @returns {boolean}
+ */
+const isPaidEvent = (event) => (event.ticketTypes || []).some((type) => type.isActive && type.price > 0)
+  || (event.registrationFee && event.registrationFee.amount > 0);
+
+/**
+ * Work out the ticket for a registration: which type, how many, and what
+ * they cost after any promo code
+ * @param {Object} event
+ * @param {Object} choice - { ticketType, promoCode, guestCount } from the request
+ * @param {string|null} occurrence
+ * @param {Date} [now]
+ * @returns {{ ticket: Object|null }|{ problem: string }} ticket is null when the event sells none
+ */
+const priceTicket = (event, { ticketType, promoCode, guestCount = 0 }, occurrence, now = new Date()) => {
+  const types = (event.ticketTypes || []).filter((type) => type.isActive);
+  if (types.length === 0 && !isPaidEvent(event)) return { ticket: null };
+
+  const people = guestCount + 1;
+  let type = null;
+  if (types.length > 0) {
+    type = ticketType
+      ? types.find((item) => String(item._id) === String(ticketType))
+      : types.length === 1 ? types[0] : null;
+    if (!type) return { problem: 'Choose a ticket type' };
+    if (type.salesStart && now < type.salesStart) return { problem: `${type.name} tickets are not on sale yet` };
+    if (type.salesEnd && now > type.salesEnd) return { problem: `${type.name} tickets are no longer on sale` };
+  }
+
+  const admits = type ? type.admits : 1;
+  const unitPrice = type ? type.price : event.registrationFee.amount;
+  const quantity = Math.ceil(people / admits);
+  if (type && type.quantity) {
+    const sold = occurrenceAttendees(event, occurrence)
+      .filter((attendee) => String(attendee.ticket.ticketType) === String(type._id))
+      .reduce((total, attendee) => total + attendee.ticket.quantity, 0);
+    const left = Math.max(type.quantity - sold, 0);
+    if (quantity > left) {
+      return { problem: left > 0 ? `Only ${left} ${type.name} ${left === 1 ? 'ticket is' : 'tickets are'} left` : `${type.name} tickets are sold out` };
+    }
+  }
+
+  const subtotal = unitPrice * quantity;
+  let discount = 0;
+  let code;
+  if (promoCode) {
+    const promo = (event.promoCodes || []).find((item) => item.code === String(promoCode).trim().toUpperCase());
+    if (!promo || !promo.isActive || (promo.validUntil && now > promo.validUntil)
+      || (promo.maxUses && promo.uses >= promo.maxUses)) {
+      return { problem: 'That promo code is not valid for this event' };
+    }
+    if (type && promo.ticketTypes.length > 0 && !promo.ticketTypes.some((id) => String(id) === String(type._id))) {
+      return { problem: `That promo code does not apply to ${type.name} tickets` };
+    }
+    discount = promo.discountType === 'percent'
+      ? Math.round(subtotal * Math.min(promo.value, 100)) / 100
+      : Math.min(promo.value, subtotal);
+    code = promo.code;
+  }
+
+  const amount = subtotal - discount;
+  if (amount > 0 && !canTakePayment()) {
+    return { problem: 'Online payment is not set up yet, so tickets for this event cannot be bought.' };
+  }
+
+  return {
+    ticket: {
+      ticketType: type ? type._id : undefined,
+      name: type ? type.name : 'Registration',
+      unitPrice,
+      quantity,
+      promoCode: code,
+      discount,
+      amount,
+      currency: (event.registrationFee && event.registrationFee.currency) || CURRENCY.CODE,
+      reference: newTicketReference(),
+      holdExpiresAt: amount > 0
+        ? new Date(Math.min(now.getTime() + EVENT_TICKETS.HOLD_MINUTES * MINUTE_MS, occurrenceTiming(event, occurrence || dayKey(event.startDate)).startDate.getTime()))
+        : undefined
+    }
+  };
+};
+
+/**
+ * Count a registration's promo code as used, or give the use back
+ * @param {Document} event - Not saved here
+ * @param {Object} ticket
+ * @param {number} change - 1 or -1
+ */
+const countPromoUse = (event, ticket, change) => {
+  const promo = ticket && ticket.promoCode && event.promoCodes.find((item) => item.code === ticket.promoCode);
+  if (promo) promo.uses = Math.max(promo.uses + change, 0);
+};
+
+/**
+ * Cancel a ticketed registration and give back its places and promo code
+ * use. Its payment is left as it is: refunds are separate.
+ * @param {Document} event - Not saved here; fill the waitlist before saving
+ * @param {Object} attendee
+ * @param {string} [reason] - Why an unpaid hold was released
+ */
+const releaseRegistration = (event, attendee, reason) => {
+  attendee.status = 'Cancelled';
+  if (reason) attendee.ticket.failureReason = reason;
+  countPromoUse(event, attendee.ticket, -1);
+  event.stats.registrations = Math.max((event.stats.registrations || 1) - 1, 0);
+};
+
+// Who a ticket is for: the member, or the visitor's contact details
+const recipientOf = async (attendee) => {
+  if (!attendee.user) return { name: attendee.contact.firstName, email: attendee.contact.email };
+  return User.findById(attendee.user).select('name email');
+};
+
+const describeOccurrence = (event, attendee) => occurrenceTiming(event, attendee.occurrence || dayKey(event.startDate))
+  .startDate.toLocaleDateString('en-NG', { timeZone: TIMEZONE.NIGERIA, weekday: 'long', day: 'numeric', month: 'long', year: 'numeric' });
+
+/**
+ * The QR code printed on a ticket, as a data URL
+ * @returns {Promise<string>}
+ */
+const ticketQrCode = (event, attendee) => QRCode.toDataURL(
+  issueTicketToken(event._id.toString(), attendee._id.toString()),
+  { width: 300, margin: 1 }
+);
+
+/**
+ * Email a registration its ticket
+ * @param {Object} event
+ * @param {Object} attendee
+ * @returns {Promise<void>}
+ */
+const sendTicket = async (event, attendee) => {
+  const recipient = await recipientOf(attendee);
+  if (!recipient) return;
+  const qrCode = await QRCode.toBuffer(issueTicketToken(event._id.toString(), attendee._id.toString()), { width: 300, margin: 1 });
+  await emailNotificationService.sendEventTicket(event, attendee, recipient, { when: describeOccurrence(event, attendee), qrCode });
+};
+
+/**
+ * Open the provider's checkout for a registration waiting for payment. If
+ * the provider cannot be reached the registration is released.
+ * @param {Document} event - Saved here
+ * @param {Object} attendee
+ * @returns {Promise<string>} Checkout URL
+ */
+const startTicketCheckout = async (event, attendee) => {
+  const provider = payments.getProvider();
+  const { ticket } = attendee;
+  ticket.provider = provider.name;
+
+  try {
+    const recipient = await recipientOf(attendee);
+    const session = await provider.createCheckout({
+      reference: ticket.reference,
+      amount: ticket.amount,
+      currency: ticket.currency,
+      email: recipient.email,
+      name: recipient.name,
+      callbackUrl: ticketUrl(event, ticket.reference),
+      metadata: { eventId: event._id.toString(), attendeeId: attendee._id.toString() }
+    });
+    ticket.checkoutUrl = session.checkoutUrl;
+    ticket.providerReference = session.providerReference;
+    await event.save();
+    return session.checkoutUrl;
+  } catch (error) {
+    console.error(`Could not open ${provider.name} checkout for ${ticket.reference}:`, error.message);
+    releaseRegistration(event, attendee, 'Could not reach the payment provider');
+    const offers = fillFromWaitlist(event, attendee.occurrence || null);
+    await event.save();
+    notifyOffers(event, offers).catch((err) => console.error('Error notifying waitlist:', err.message));
+    throw payments.paymentError('Could not start the payment. Please try again.', 502);
+  }
+};
+
+/**
+ * Refund a paid ticket through the provider it was paid with. Providers
+ * that refund later confirm it by webhook.
+ * @param {Document} event - Saved here
+ * @param {Object} attendee
+ * @returns {Promise<boolean>} Whether the refund was accepted
+ */
+const refundTicket = async (event, attendee) => {
+  const { ticket } = attendee;
+  if (attendee.paymentStatus !== 'Paid' || ticket.refundRequestedAt) return false;
+
+  try {
+    const result = await payments.getProvider(ticket.provider).refund({
+      reference: ticket.reference,
+      providerReference: ticket.providerReference,
+      amount: ticket.amount,
+      currency: ticket.currency
+    });
+    ticket.refundRequestedAt = new Date();
+    if (result.status === 'refunded') {
+      attendee.paymentStatus = 'Refunded';
+      ticket.refundedAt = ticket.refundRequestedAt;
+    }
+    await event.save();
+    return true;
+  } catch (error) {
+    console.error(`Could not refund ticket ${ticket.reference}:`, error.message);
+    ticket.failureReason = 'The refund could not be started';
+    await event.save();
+    return false;
+  }
+};
+
+/**
+ * Refund the paid tickets among some registrations, as when the organisers
+ * cancel the event or one of its dates
+ * @param {Document} event - Saved here
+ * @param {Object[]} attendees
+ * @returns {Promise<number>} Refunds accepted
+ */
+const refundTickets = async (event, attendees) => {
+  let refunded = 0;
+  for (const attendee of attendees.filter((item) => item.paymentStatus === 'Paid')) {
+    if (await refundTicket(event, attendee)) refunded += 1;
+  }
+  return refunded;
+};
+
+/**
+ * Whether someone cancelling now is refunded: up to
+ * EVENT_TICKETS.REFUND_CUTOFF_HOURS before their date starts
+ * @param {Object} event
+ * @param {Object} attendee
+ * @param {Date} [now]
+ * @returns {boolean}
+ */
+const isRefundable = (event, attendee, now = new Date()) => {
+  const { startDate } = occurrenceTiming(event, attendee.occurrence || dayKey(event.startDate));
+  return startDate.getTime() - now.getTime() >= EVENT_TICKETS.REFUND_CUTOFF_HOURS * HOUR_MS;
+};
+
+/**
+ * Apply a payment result to a registration. Results that do not move the
+ * payment forward (replayed webhooks, a failure after payment) are ignored.
+ * @param {Document} event - Saved here
+ * @param {Object} attendee
+ * @param {Object} result - Payment result
+ * @returns {Promise<{ changed: boolean }>}
+ */
+const applyToAttendee = async (event, attendee, result) => {
+  const { ticket } = attendee;
+
+  if (result.status === 'paid') {
+    if (attendee.paymentStatus !== 'Pending') return { changed: false };
+    // Only accept the amount and currency we asked for
+    if ((result.currency && result.currency !== ticket.currency)
+      || (result.amount !== undefined && Number(result.amount) < ticket.amount)) {
+      console.error(`Payment for ${ticket.reference} was ${result.currency} ${result.amount}, expected ${ticket.currency} ${ticket.amount}`);
+      ticket.failureReason = 'Amount paid did not match the ticket';
+      await event.save();
+      return { changed: false };
+    }
+    attendee.paymentStatus = 'Paid';
+    ticket.paidAt = result.paidAt ? new Date(result.paidAt) : new Date();
+    ticket.holdExpiresAt = undefined;
+    if (result.providerReference) ticket.providerReference = result.providerReference;
+
+    // Paid after the hold was released: the places may have gone, so refund
+    if (attendee.status === 'Cancelled') {
+      await event.save();
+      await refundTicket(event, attendee);
+      return { changed: true };
+    }
+    ticket.failureReason = undefined;
+    await event.save();
+    sendTicket(event, attendee).catch((error) => console.error('Error emailing event ticket:', error.message));
+    return { changed: true };
+  }
+
+  if (result.status === 'failed') {
+    if (attendee.paymentStatus !== 'Pending' || attendee.status === 'Cancelled') return { changed: false };
+    releaseRegistration(event, attendee, result.failureReason || 'Payment was not completed');
+    const offers = fillFromWaitlist(event, attendee.occurrence || null);
+    await event.save();
+    notifyOffers(event, offers).catch((error) => console.error('Error notifying waitlist:', error.message));
+    return { changed: true };
+  }
+
+  if (result.status === 'refunded') {
+    if (attendee.paymentStatus !== 'Paid') return { changed: false };
+    attendee.paymentStatus = 'Refunded';
+    ticket.refundedAt = new Date();
+    // Refunded from the provider's dashboard: the registration goes too
+    let offers = [];
+    if (attendee.status !== 'Cancelled') {
+      releaseRegistration(event, attendee);
+      offers = fillFromWaitlist(event, attendee.occurrence || null);
+    }
+    await event.save();
+    notifyOffers(event, offers).catch((error) => console.error('Error notifying waitlist:', error.message));
+    return { changed: true };
+  }
+
+  return { changed: false };
+};
+
+/**
+ * Apply a provider's payment result to the registration whose ticket it is
+ * for. Called by the payment service for ticket references.
+ * @param {string} providerName
+ * @param {Object} result - Payment result
+ * @returns {Promise<{ changed: boolean }>}
+ */
+const applyTicketPayment = async (providerName, result) => {
+  if (!result || !result.reference) return { changed: false };
+  const event = await Event.findOne({ 'attendees.ticket.reference': result.reference });
+  const attendee = event && event.attendees.find((item) => item.ticket.reference === result.reference
+    && item.ticket.provider === providerName);
+  if (!attendee) return { changed: false };
+  return applyToAttendee(event, attendee, result);
+};
+
+/**
+ * Ask the provider about a ticket still waiting for payment, for when the
+ * registrant returns from checkout before the webhook has arrived
+ * @param {Document} event - Saved here if the provider knew more
+ * @param {Object} attendee
+ * @returns {Promise<void>}
+ */
+const refreshTicket = async (event, attendee) => {
+  if (attendee.paymentStatus !== 'Pending' || !attendee.ticket.provider) return;
+  try {
+    const result = await payments.getProvider(attendee.ticket.provider).fetchTransaction(attendee.ticket.reference);
+    if (result) await applyToAttendee(event, attendee, result);
+  } catch (error) {
+    console.error(`Could not check ticket payment ${attendee.ticket.reference}:`, error.message);
+  }
+};
+
+/**
+ * Release registrations whose payment hold has lapsed, checking with the
+ * provider first in case a payment is on its way, and offer their places
+ * to the waitlist
+ * @param {Date} [now]
+ * @returns {Promise<{ events: number, released: number, paid: number }>}
+ */
+const releaseLapsedTickets = async (now = new Date()) => {
+  const isLapsed = (attendee) => attendee.paymentStatus === 'Pending'
+    && attendee.status !== 'Cancelled'
+    && attendee.ticket.holdExpiresAt <= now;
+  const events = await Event.find({
+    attendees: { $elemMatch: { paymentStatus: 'Pending', status: { $ne: 'Cancelled' }, 'ticket.holdExpiresAt': { $lte: now } } }
+  });
+
+  let released = 0;
+  let paid = 0;
+  for (const event of events) {
+    const keys = new Set();
+    for (const attendee of event.attendees.filter(isLapsed)) {
+      await refreshTicket(event, attendee);
+      if (attendee.paymentStatus === 'Paid') {
+        paid += 1;
+      } else if (isLapsed(attendee)) {
+        releaseRegistration(event, attendee, 'Not paid in time');
+        keys.add(attendee.occurrence || null);
+        released += 1;
+      }
+    }
+    const offers = [...keys].flatMap((key) => fillFromWaitlist(event, key, now));
+    await event.save();
+    await notifyOffers(event, offers);
+  }
+  return { events: events.length, released, paid };
+};
+
+/**
+ * What the registrant sees of their ticket
+ * @param {Object} event
+ * @param {Object} attendee
+ * @returns {Promise<Object>}
+ */
+const ticketSummary = async (event, attendee) => {
+  const { ticket } = attendee;
+  const valid = attendee.status !== 'Cancelled' && ['Paid', 'Not Required'].includes(attendee.paymentStatus);
+  return {
+    reference: ticket.reference,
+    event: { _id: event._id, title: event.title, startTime: event.startTime, venue: event.location && event.location.venue },
+    occurrence: attendee.occurrence || null,
+    date: occurrenceTiming(event, attendee.occurrence || dayKey(event.startDate)).startDate,
+    name: ticket.name,
+    quantity: ticket.quantity,
+    people: partySize(attendee),
+    amount: ticket.amount,
+    discount: ticket.discount,
+    currency: ticket.currency,
+    price: ticket.amount > 0 ? formatAmount(ticket.amount) : 'Free',
+    status: attendee.status,
+    paymentStatus: attendee.paymentStatus,
+    holdExpiresAt: attendee.paymentStatus === 'Pending' ? ticket.holdExpiresAt : null,
+    checkoutUrl: attendee.paymentStatus === 'Pending' && attendee.status !== 'Cancelled' ? ticket.checkoutUrl : null,
+    failureReason: ticket.failureReason,
+    refundedAt: ticket.refundedAt,
+    qrCode: valid ? await ticketQrCode(event, attendee) : null
+  };
+};
+
+module.exports = {
+  isPaidEvent,
+  priceTicket,
+  countPromoUse,
+  releaseRegistration,
+  sendTicket,
+  startTicketCheckout,
+  refundTicket,
+  refundTickets,
+  isRefundable,
+  applyTicketPayment,
+  refreshTicket,
+  releaseLapsedTickets,
+  ticketSummary
+};
@@ -0,0 +1,186 @@
+const Event = require('../models/Event');
+const User = require('../models/User');
+const NotificationService = require('./notificationService');
+const emailNotificationService = require('../services/emailNotificationService');
+const { dayKey, isRecurring, occurrenceTiming, partySize, placesTaken, isRegistrant } = require('./eventOccurrences');
+const { TIMEZONE } = require('../../shared/constants');
+
+/**
+ * Event waitlists. When an event, or one date of a recurring event, is full,
+ * registering joins its waitlist instead. A freed place is offered to the
+ * longest-waiting person, who has the event's claim window (or until the
+ * date starts) to register. Until the offer is claimed or lapses, the place
+ * is held for them; a lapsed offer passes to the next person. People bringing
+ * guests wait until there is room for the whole party, and those behind
+ * them wait too, so the queue stays in order.
+ */
+
+const HOUR_MS = 60 * 60 * 1000;
+const OPEN_STATUSES = ['Waiting', 'Offered'];
+
+const isActiveOffer = (entry, now) => entry.status === 'Offered' && entry.offerExpiresAt > now;
+
+/**
+ * Open waitlist entries for an occurrence (or a one-off event), in the order people joined
+ * @param {Object} event
+ * @param {string|null} key
+ * @returns {Object[]}
+ */
+const occurrenceWaitlist = (event, key) => (event.waitlist || [])
+  .filter((entry) => OPEN_STATUSES.includes(entry.status)
+    && (entry.occurrence || null) === (isRecurring(event) ? key : null))
+  .sort((a, b) => a.joinedAt - b.joinedAt);
+
+/**
+ * Someone's open waitlist entry for an occurrence
+ * @param {Object} event
+ * @param {string|null} key
+ * @param {{userId?: string, email?: string}} registrant
+ * @returns {Object|undefined}
+ */
+const findWaitlistEntry = (event, key, registrant) => occurrenceWaitlist(event, key)
+  .find((entry) => isRegistrant(entry, registrant));
+
+/**
+ * Places neither taken by registrations (with their guests) nor held by an unexpired offer
+ * @param {Object} event
+ * @param {string|null} key
+ * @param {Date} [now]
+ * @returns {number} Infinity when the event has no limit
+ */
+const placesLeft = (event, key, now = new Date()) => {
+  if (!event.maxAttendees) return Infinity;
+  const held = occurrenceWaitlist(event, key)
+    .filter((entry) => isActiveOffer(entry, now))
+    .reduce((total, entry) => total + partySize(entry), 0);
+  return Math.max(event.maxAttendees - placesTaken(event, key) - held, 0);
+};
+
+/**
+ * Someone's place in the queue, counting only people still waiting
+ * @returns {number|null} 1 for next in line; null when not waiting
+ */
+const waitlistPosition = (event, key, registrant) => {
+  const index = occurrenceWaitlist(event, key)
+    .filter((entry) => entry.status === 'Waiting')
+    .findIndex((entry) => isRegistrant(entry, registrant));
+  return index === -1 ? null : index + 1;
+};
+
+/**
+ * Lapse expired offers for an occurrence and offer its free places to the
+ * next people waiting. Nothing is offered once the date has started, or
+ * while the event or date is cancelled.
+ * @param {Document} event - Not saved here
+ * @param {string|null} key
+ * @param {Date} [now]
+ * @returns {Object[]} Entries offered a place, to notify once saved
+ */
+const fillFromWaitlist = (event, key, now = new Date()) => {
+  const entries = occurrenceWaitlist(event, key);
+  entries
+    .filter((entry) => entry.status === 'Offered' && !isActiveOffer(entry, now))
+    .forEach((entry) => { entry.status = 'Expired'; });
+
+  const timing = occurrenceTiming(event, key || dayKey(event.startDate));
+  if (event.status !== 'Published' || timing.cancelled || timing.startDate <= now) return [];
+
+  const offers = [];
+  let free = placesLeft(event, key, now);
+  for (const entry of entries.filter((item) => item.status === 'Waiting')) {
+    if (partySize(entry) > free) break;
+    entry.status = 'Offered';
+    entry.offeredAt = now;
+    entry.offerExpiresAt = new Date(Math.min(now.getTime() + event.waitlistClaimHours * HOUR_MS, timing.startDate.getTime()));
+    offers.push(entry);
+    free -= partySize(entry);
+  }
+  return offers;
+};
+
+/**
+ * fillFromWaitlist for every date of an event with an open waitlist, as
+ * after its capacity changes
+ * @param {Document} event - Not saved here
+ * @param {Date} [now]
+ * @returns {Object[]} Entries offered a place
+ */
+const fillAllFromWaitlists = (event, now = new Date()) => {
+  const keys = new Set((event.waitlist || [])
+    .filter((entry) => OPEN_STATUSES.includes(entry.status))
+    .map((entry) => entry.occurrence || null));
+  return [...keys].flatMap((key) => fillFromWaitlist(event, key, now));
+};
+
+/**
+ * Tell people they have been offered a place, in the app and by email.
+ * Visitors without an account are only emailed.
+ * @param {Object} event
+ * @param {Object[]} offers - From fillFromWaitlist, after the event is saved
+ */
+const notifyOffers = async (event, offers) => {
+  if (offers.length === 0) return;
+  const users = await User.find({ _id: { $in: offers.filter((offer) => offer.user).map((offer) => offer.user) } })
+    .select('name email');
+
+  for (const offer of offers) {
+    const user = offer.user
+      ? users.find((candidate) => candidate._id.equals(offer.user))
+      : { name: offer.contact.firstName, email: offer.contact.email };
+    if (!user) continue;
+    const key = offer.occurrence || null;
+    const when = occurrenceTiming(event, key || dayKey(event.startDate)).startDate.toLocaleDateString('en-NG', {
+      timeZone: TIMEZONE.NIGERIA, weekday: 'long', day: 'numeric', month: 'long'
+    });
+    const deadline = offer.offerExpiresAt.toLocaleString('en-NG', {
+      timeZone: TIMEZONE.NIGERIA, weekday: 'long', day: 'numeric', month: 'long', hour: 'numeric', minute: '2-digit'
+    });
+    const places = partySize(offer) > 1 ? `${partySize(offer)} places are` : 'A place is';
+    const title = `A place has opened up at ${event.title}`;
+    const message = `${places} free for ${event.title} on ${when}. Register by ${deadline} to claim it; `
+      + 'after that it goes to the next person waiting.';
+
+    if (user._id) {
+      NotificationService.sendToUser(user._id.toString(), title, message, 'event', { eventId: event._id, occurrence: key })
+        .catch((error) => console.error('Error sending waitlist offer:', error.message));
+    }
+    emailNotificationService.sendCustomNotification(
+      user,
+      title,
+      message,
+      `${process.env.FRONTEND_URL}/events/${event._id}${key ? `?occurrence=${key}` : ''}`,
+      'Claim Your Place'
+    ).catch((error) => console.error('Error emailing waitlist offer:', error.message));
+  }
+};
+
+/**
+ * Pass lapsed offers on to the next people waiting
+ * @param {Date} [now]
+ * @returns {Promise<{events: number, offered: number}>}
+ */
+const processLapsedOffers = async (now = new Date()) => {
+  const events = await Event.find({
+    waitlist: { $elemMatch: { status: 'Offered', offerExpiresAt: { $lte: now } } }
+  });
+
+  let offered = 0;
+  for (const event of events) {
+    const offers = fillAllFromWaitlists(event, now);
+    await event.save();
+    await notifyOffers(event, offers);
+    offered += offers.length;
+  }
+  return { events: events.length, offered };
+};
+
+module.exports = {
+  occurrenceWaitlist,
+  findWaitlistEntry,
+  placesLeft,
+  waitlistPosition,
+  fillFromWaitlist,
+  fillAllFromWaitlists,
+  notifyOffers,
+  processLapsedOffers
+};
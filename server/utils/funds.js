@@ -0,0 +1,69 @@
+const Fund = require('../models/Fund');
+const Donation = require('../models/Donation');
+const RecurringGift = require('../models/RecurringGift');
+const PledgeCampaign = require('../models/PledgeCampaign');
+const OfferingBatch = require('../models/OfferingBatch');
+const { DEFAULT_FUNDS } = require('../../shared/constants');
+
+/**
+ * Funds are kept in the database so finance staff can change them. Gifts,
+ * schedules, campaigns and batches refer to a fund by name. The default
+ * funds are created the first time funds are read.
+ */
+
+let seeded = false;
+
+const ensureDefaultFunds = async () => {
+  if (seeded) return;
+  if (await Fund.estimatedDocumentCount() === 0) {
+    await Fund.insertMany(DEFAULT_FUNDS.map((name, index) => ({ name, sortOrder: index })), { ordered: false })
+      .catch((error) => {
+        // Another request seeded them first
+        if (error.code !== 11000) throw error;
+      });
+  }
+  seeded = true;
+};
+
+/**
+ * @param {Object} [options]
+ * @param {boolean} [options.includeRetired]
+ * @returns {Promise<Array<Object>>} Funds in display order
+ */
+const listFunds = async ({ includeRetired = false } = {}) => {
+  await ensureDefaultFunds();
+  return Fund.find(includeRetired ? {} : { active: true }).sort({ sortOrder: 1, name: 1 }).lean();
+};
+
+/**
+ * Whether new gifts can go to a fund
+ * @param {string} name
+ * @returns {Promise<boolean>}
+ */
+const isActiveFund = async (name) => {
+  if (!name || typeof name !== 'string') return false;
+  await ensureDefaultFunds();
+  return Boolean(await Fund.exists({ name, active: true }));
+};
+
+/**
+ * Carry a fund's new name onto everything recorded against it
+ * @param {string} from
+ * @param {string} to
+ */
+const renameFundReferences = (from, to) => Promise.all([
+  Donation.updateMany({ type: from }, { $set: { type: to } }),
+  RecurringGift.updateMany({ type: from }, { $set: { type: to } }),
+  PledgeCampaign.updateMany({ type: from }, { $set: { type: to } }),
+  OfferingBatch.updateMany(
+    { 'entries.fund': from },
+    { $set: { 'entries.$[entry].fund': to } },
+    { arrayFilters: [{ 'entry.fund': from }] }
+  )
+]);
+
+module.exports = {
+  listFunds,
+  isActiveFund,
+  renameFundReferences
+};
@@ -0,0 +1,240 @@
+const PDFDocument = require('pdfkit');
+const Donation = require('../models/Donation');
+const User = require('../models/User');
+const { DONATION_STATUS, CURRENCY, TIMEZONE } = require('../../shared/constants');
+
+/**
+ * Contribution statements. A statement lists a member's paid gifts for a
+ * year or a date range, totalled by fund. Pending, failed and refunded
+ * gifts are left out. Periods are church-local (Lagos) days.
+ */
+
+const GIVEN = { status: { $in: [DONATION_STATUS.PAID, null] } };
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const startOfDay = (key) => new Date(`${key}T00:00:00${TIMEZONE.UTC_OFFSET}`);
+const dayKey = (date) => date.toLocaleDateString('en-CA', { timeZone: TIMEZONE.NIGERIA });
+const formatDate = (date) => date.toLocaleDateString(CURRENCY.LOCALE, {
+  timeZone: TIMEZONE.NIGERIA, day: 'numeric', month: 'short', year: 'numeric'
+});
+// The PDF's built-in fonts have no naira sign
+const formatAmount = (amount) => `${CURRENCY.CODE} ${amount.toLocaleString(CURRENCY.LOCALE, {
+  minimumFractionDigits: 2, maximumFractionDigits: 2
+})}`;
+
+/**
+ * Work out a statement period from query or body fields
+ * @param {Object} input - { year } or { from, to } as YYYY-MM-DD; defaults to last year
+ * @returns {{ from: Date, to: Date, label: string }|{ error: string }} `to` is exclusive
+ */
+const statementPeriod = ({ year, from, to } = {}) => {
+  if (from || to) {
+    if (!DATE_PATTERN.test(from || '') || !DATE_PATTERN.test(to || '')) {
+      return { error: 'Give both from and to as YYYY-MM-DD' };
+    }
+    const start = startOfDay(from);
+    const end = new Date(startOfDay(to).getTime() + 24 * 60 * 60 * 1000);
+    if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime()) || end <= start) {
+      return { error: 'The end date must not be before the start date' };
+    }
+    return { from: start, to: end, label: `${formatDate(start)} to ${formatDate(startOfDay(to))}` };
+  }
+
+  const thisYear = Number(dayKey(new Date()).slice(0, 4));
+  const statementYear = year === undefined ? thisYear - 1 : Number(year);
+  if (!Number.isInteger(statementYear) || statementYear < 2000 || statementYear > thisYear) {
+    return { error: 'Invalid statement year' };
+  }
+  return {
+    from: startOfDay(`${statementYear}-01-01`),
+    to: startOfDay(`${statementYear + 1}-01-01`),
+    label: String(statementYear)
+  };
+};
+
+/**
+ * Members with at least one paid gift in the period
+ * @param {{ from: Date, to: Date }} period
+ * @returns {Promise<Array<ObjectId>>}
+ */
+const findGivers = (period) => Donation.distinct('user', {
+  ...GIVEN,
+  // Loose cash from offering batches has no giver
+  user: { $ne: null },
+  date: { $gte: period.from, $lt: period.to }
+});
+
+/**
+ * Gather one member's statement
+ * @param {string|ObjectId} userId
+ * @param {{ from: Date, to: Date, label: string }} period
+ * @returns {Promise<Object|null>} null if the member does not exist
+ */
+const buildStatement = async (userId, period) => {
+  const member = await User.findById(userId).select('name email address').lean();
+  if (!member) return null;
+
+  const gifts = await Donation.find({
+    user: member._id,
+    ...GIVEN,
+    date: { $gte: period.from, $lt: period.to }
+  })
+    .select('date type method reference amount')
+    .sort({ date: 1 })
+    .lean();
+
+  const byFund = new Map();
+  for (const gift of gifts) {
+    const fund = byFund.get(gift.type) || { type: gift.type, count: 0, total: 0 };
+    fund.count += 1;
+    fund.total += gift.amount;
+    byFund.set(gift.type, fund);
+  }
+
+  return {
+    member,
+    period,
+    issuedAt: new Date(),
+    funds: [...byFund.values()].sort((a, b) => b.total - a.total),
+    gifts,
+    total: gifts.reduce((sum, gift) => sum + gift.amount, 0)
+  };
+};
+
+/**
+ * A file name for a statement, e.g. giving-statement-2025-ada-obi.pdf
+ * @param {Object} statement
+ * @returns {string}
+ */
+const statementFileName = (statement) => {
+  const name = (statement.member.name || 'member').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+  const period = statement.period.label.toLowerCase().replace(/[^a-z0-9]+/g, '-');
+  return `giving-statement-${period}-${name}-${statement.member._id.toString().slice(-6)}.pdf`;
+};
+
+/**
+ * Render a statement as a PDF
+ * @param {Object} statement - From buildStatement()
+ * @returns {Promise<Buffer>}
+ */
+const renderStatementPdf = (statement) => new Promise((resolve, reject) => {
+  const doc = new PDFDocument({ size: 'A4', margin: 50, info: { Title: `Giving Statement ${statement.period.label}` } });
+  const chunks = [];
+  doc.on('data', (chunk) => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+
+  const left = doc.page.margins.left;
+  const width = doc.page.width - left - doc.page.margins.right;
+  const { member } = statement;
+
+  // Letterhead
+  doc.font('Helvetica-Bold').fontSize(18).fillColor('#1976d2').text('Haven Word Church', { align: 'center' });
+  doc.font('Helvetica').fontSize(9).fillColor('#555555')
+    .text(`Lagos, Nigeria  |  ${process.env.CHURCH_MAIN_EMAIL || 'info@havenwordchurch.org'}`, { align: 'center' });
+  doc.moveDown(1.5);
+  doc.font('Helvetica-Bold').fontSize(14).fillColor('#000000').text(`Giving Statement: ${statement.period.label}`);
+  doc.font('Helvetica').fontSize(9).fillColor('#555555').text(`Issued ${formatDate(statement.issuedAt)}`);
+  doc.moveDown();
+
+  // Member
+  const address = member.address || {};
+  doc.font('Helvetica-Bold').fontSize(11).fillColor('#000000').text(member.name);
+  doc.font('Helvetica').fontSize(10);
+  [address.street, [address.city, address.state].filter(Boolean).join(', '), address.country, member.email]
+    .filter(Boolean)
+    .forEach((line) => doc.text(line));
+  doc.moveDown(1.5);
+
+  // Table helper; starts a new page (with the header again) when full
+  const drawRow = (columns, { bold = false, header } = {}) => {
+    if (doc.y > doc.page.height - doc.page.margins.bottom - 40) {
+      doc.addPage();
+      if (header) drawRow(header, { bold: true });
+    }
+    const y = doc.y;
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(10).fillColor('#000000');
+    let x = left;
+    for (const column of columns) {
+      doc.text(column.text, x, y, { width: column.width * width - 6, align: column.align || 'left' });
+      x += column.width * width;
+    }
+    doc.x = left;
+    doc.y = Math.max(doc.y, y + 14) + 2;
+  };
+  const rule = () => {
+    doc.moveTo(left, doc.y).lineTo(left + width, doc.y).strokeColor('#cccccc').stroke();
+    doc.y += 4;
+  };
+
+  // Summary by fund
+  doc.font('Helvetica-Bold').fontSize(12).text('Summary by fund');
+  doc.moveDown(0.5);
+  const summaryHeader = [
+    { text: 'Fund', width: 0.5 },
+    { text: 'Gifts', width: 0.2, align: 'right' },
+    { text: 'Total', width: 0.3, align: 'right' }
+  ];
+  drawRow(summaryHeader, { bold: true });
+  rule();
+  for (const fund of statement.funds) {
+    drawRow([
+      { text: fund.type, width: 0.5 },
+      { text: String(fund.count), width: 0.2, align: 'right' },
+      { text: formatAmount(fund.total), width: 0.3, align: 'right' }
+    ]);
+  }
+  rule();
+  drawRow([
+    { text: 'Total given', width: 0.5 },
+    { text: String(statement.gifts.length), width: 0.2, align: 'right' },
+    { text: formatAmount(statement.total), width: 0.3, align: 'right' }
+  ], { bold: true });
+  doc.moveDown(1.5);
+
+  // Every gift
+  if (statement.gifts.length === 0) {
+    doc.font('Helvetica').fontSize(10).text('No gifts were received in this period.');
+  } else {
+    doc.font('Helvetica-Bold').fontSize(12).text('Gifts');
+    doc.moveDown(0.5);
+    const giftHeader = [
+      { text: 'Date', width: 0.17 },
+      { text: 'Fund', width: 0.2 },
+      { text: 'Method', width: 0.17 },
+      { text: 'Reference', width: 0.24 },
+      { text: 'Amount', width: 0.22, align: 'right' }
+    ];
+    drawRow(giftHeader, { bold: true });
+    rule();
+    for (const gift of statement.gifts) {
+      drawRow([
+        { text: formatDate(gift.date), width: 0.17 },
+        { text: gift.type, width: 0.2 },
+        { text: gift.method || '', width: 0.17 },
+        { text: gift.reference || '', width: 0.24 },
+        { text: formatAmount(gift.amount), width: 0.22, align: 'right' }
+      ], { header: giftHeader });
+    }
+  }
+
+  doc.moveDown(2);
+  doc.font('Helvetica').fontSize(9).fillColor('#555555').text(
+    'This statement lists the gifts Haven Word Church received from you in the period above. '
+    + 'No goods or services were given in return. Refunded gifts are not included. '
+    + 'Please contact the church office if anything looks wrong.',
+    left,
+    doc.y,
+    { width }
+  );
+
+  doc.end();
+});
+
+module.exports = {
+  statementPeriod,
+  findGivers,
+  buildStatement,
+  statementFileName,
+  renderStatementPdf
+};
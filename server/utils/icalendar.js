@@ -0,0 +1,212 @@
+const { dayKey, addDays, isRecurring, isOccurrence, occurrenceKeys, occurrenceTiming } = require('./eventOccurrences');
+
+/**
+ * iCalendar (RFC 5545) output for events, for calendar feeds and "Add to
+ * calendar" downloads.
+ *
+ * Times are written in church-local time with an Africa/Lagos VTIMEZONE, so
+ * recurrence rules land on the right weekday wherever the subscriber is. A
+ * recurring event is one VEVENT with an RRULE; cancelled dates become
+ * EXDATEs and moved dates are overriding VEVENTs with a RECURRENCE-ID.
+ */
+
+const TIMEZONE = 'Africa/Lagos';
+const UID_DOMAIN = 'havenwordchurch.com';
+const FREQUENCIES = {
+  Daily: ['DAILY', 1],
+  Weekly: ['WEEKLY', 1],
+  'Bi-weekly': ['WEEKLY', 2],
+  Monthly: ['MONTHLY', 1],
+  Quarterly: ['MONTHLY', 3],
+  Yearly: ['YEARLY', 1]
+};
+const WEEKDAY_CODES = { Sunday: 'SU', Monday: 'MO', Tuesday: 'TU', Wednesday: 'WE', Thursday: 'TH', Friday: 'FR', Saturday: 'SA' };
+const STATUSES = { Cancelled: 'CANCELLED', Postponed: 'TENTATIVE' };
+
+const VTIMEZONE = [
+  'BEGIN:VTIMEZONE',
+  `TZID:${TIMEZONE}`,
+  'BEGIN:STANDARD',
+  'DTSTART:19700101T000000',
+  'TZOFFSETFROM:+0100',
+  'TZOFFSETTO:+0100',
+  'TZNAME:WAT',
+  'END:STANDARD',
+  'END:VTIMEZONE'
+];
+
+const escapeText = (value) => String(value || '')
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+/**
+ * Fold a content line at 75 octets, without splitting a character
+ * @param {string} line
+ * @returns {string}
+ */
+const fold = (line) => {
+  const parts = [];
+  let current = '';
+  let octets = 0;
+  for (const char of line) {
+    const size = Buffer.byteLength(char);
+    if (octets + size > (parts.length ? 74 : 75)) {
+      parts.push(current);
+      current = '';
+      octets = 0;
+    }
+    current += char;
+    octets += size;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+};
+
+// "YYYY-MM-DD" and "HH:MM" as a local DATE-TIME value
+const localDateTime = (key, time) => {
+  const [hours, minutes] = String(time || '00:00').split(':');
+  return `${key.replace(/-/g, '')}T${hours.padStart(2, '0')}${minutes.padStart(2, '0')}00`;
+};
+
+const utcDateTime = (date) => new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+const frontendUrl = () => process.env.FRONTEND_URL || 'https://havenwordchurch.com';
+
+const describeLocation = (location = {}, venue) => {
+  const address = location.address || {};
+  return [venue || location.venue, address.street, address.city, address.state].filter(Boolean).join(', ');
+};
+
+/**
+ * The RRULE for an event's recurrence. Where both an end date and a count
+ * are set, whichever ends the series first is used.
+ * @param {Object} event
+ * @returns {string}
+ */
+const recurrenceRule = (event) => {
+  const { pattern, interval = 1, daysOfWeek = [], endRecurrence, occurrences } = event.recurrence;
+  const [frequency, multiplier] = FREQUENCIES[pattern];
+  const parts = [`FREQ=${frequency}`];
+  const step = Math.max(1, interval || 1) * multiplier;
+  if (step > 1) parts.push(`INTERVAL=${step}`);
+  if (frequency === 'WEEKLY') {
+    if (daysOfWeek.length) parts.push(`BYDAY=${daysOfWeek.map((day) => WEEKDAY_CODES[day]).join(',')}`);
+    // Weeks are counted from Sunday, as the church's calendar does
+    parts.push('WKST=SU');
+  }
+
+  const endKey = endRecurrence ? dayKey(endRecurrence) : null;
+  const countEndsFirst = occurrences && (!endKey || occurrenceKeys(event, endKey).length >= occurrences);
+  if (countEndsFirst) {
+    parts.push(`COUNT=${occurrences}`);
+  } else if (endKey) {
+    // UNTIL is UTC when DTSTART has a time zone: the last moment of the end day in Lagos
+    parts.push(`UNTIL=${utcDateTime(new Date(`${addDays(endKey, 1)}T00:00:00+01:00`).getTime() - 1000)}`);
+  }
+  return `RRULE:${parts.join(';')}`;
+};
+
+/**
+ * The properties every VEVENT for an event shares
+ * @param {Object} event
+ * @param {Object} timing - occurrenceTiming() of the date being written
+ */
+const commonProperties = (event, timing) => {
+  const url = `${frontendUrl()}/events/${event._id}`;
+  const lines = [
+    `DTSTAMP:${utcDateTime(new Date())}`,
+    `DTSTART;TZID=${TIMEZONE}:${localDateTime(dayKey(timing.startDate), timing.startTime)}`,
+    `DTEND;TZID=${TIMEZONE}:${localDateTime(dayKey(timing.endDate), timing.endTime)}`,
+    `SUMMARY:${escapeText(event.title)}`,
+    `DESCRIPTION:${escapeText([event.description, timing.reason, url].filter(Boolean).join('\n\n'))}`,
+    `LOCATION:${escapeText(describeLocation(event.location, timing.venue))}`,
+    `URL:${url}`,
+    `CATEGORIES:${escapeText(event.category)}`,
+    `STATUS:${timing.cancelled ? 'CANCELLED' : STATUSES[event.status] || 'CONFIRMED'}`
+  ];
+  if (event.updatedAt) lines.push(`LAST-MODIFIED:${utcDateTime(event.updatedAt)}`);
+  return lines;
+};
+
+/**
+ * VEVENTs for a whole event: one for a one-off event, or the series with
+ * its cancelled and moved dates
+ * @param {Object} event
+ * @returns {string[]} Content lines
+ */
+const eventComponents = (event) => {
+  const uid = `UID:${event._id}@${UID_DOMAIN}`;
+  const startKey = dayKey(event.startDate);
+  if (!isRecurring(event)) {
+    return ['BEGIN:VEVENT', uid, ...commonProperties(event, occurrenceTiming(event, startKey)), 'END:VEVENT'];
+  }
+
+  // DTSTART is always the series' first instance, so it must be a date the
+  // pattern produces (a weekly event may start before its first weekday)
+  const firstKey = occurrenceKeys(event, addDays(startKey, 7))[0] || startKey;
+  const series = { ...event, recurrence: { ...event.recurrence, exceptions: [] } };
+  const base = { ...occurrenceTiming(series, firstKey), cancelled: false };
+  const exceptions = (event.recurrence.exceptions || []).filter((exception) => isOccurrence(event, exception.date));
+  const cancelled = exceptions.filter((exception) => exception.cancelled);
+  const lines = ['BEGIN:VEVENT', uid, ...commonProperties(event, base), recurrenceRule(event)];
+  if (cancelled.length) {
+    lines.push(`EXDATE;TZID=${TIMEZONE}:${cancelled.map((exception) => localDateTime(exception.date, event.startTime)).join(',')}`);
+  }
+  lines.push('END:VEVENT');
+
+  for (const exception of exceptions.filter((item) => !item.cancelled)) {
+    lines.push(
+      'BEGIN:VEVENT',
+      uid,
+      `RECURRENCE-ID;TZID=${TIMEZONE}:${localDateTime(exception.date, event.startTime)}`,
+      ...commonProperties(event, occurrenceTiming(event, exception.date)),
+      'END:VEVENT'
+    );
+  }
+  return lines;
+};
+
+/**
+ * A VEVENT for one date of an event, standing on its own
+ * @param {Object} event
+ * @param {string|null} occurrence - Original date; null for a one-off event
+ * @returns {string[]} Content lines
+ */
+const occurrenceComponent = (event, occurrence) => {
+  const key = occurrence || dayKey(event.startDate);
+  return [
+    'BEGIN:VEVENT',
+    `UID:${event._id}${occurrence ? `-${occurrence}` : ''}@${UID_DOMAIN}`,
+    ...commonProperties(event, occurrenceTiming(event, key)),
+    'END:VEVENT'
+  ];
+};
+
+/**
+ * A complete calendar
+ * @param {string} name - Shown by calendar apps for subscribed feeds
+ * @param {string[]} components - Content lines from eventComponents/occurrenceComponent
+ * @returns {string}
+ */
+const buildCalendar = (name, components) => [
+  'BEGIN:VCALENDAR',
+  'VERSION:2.0',
+  'PRODID:-//Haven Word Church//Events//EN',
+  'CALSCALE:GREGORIAN',
+  'METHOD:PUBLISH',
+  `X-WR-CALNAME:${escapeText(name)}`,
+  `X-WR-TIMEZONE:${TIMEZONE}`,
+  'REFRESH-INTERVAL;VALUE=DURATION:PT6H',
+  'X-PUBLISHED-TTL:PT6H',
+  ...VTIMEZONE,
+  ...components,
+  'END:VCALENDAR'
+].map(fold).join('\r\n') + '\r\n';
+
+module.exports = {
+  eventComponents,
+  occurrenceComponent,
+  buildCalendar
+};
@@ -0,0 +1,153 @@
+const User = require('../models/User');
+const LoginThrottle = require('../models/LoginThrottle');
+
+/**
+ * Brute-force protection for sign-in (password and two-factor steps)
+ *
+ * Failures are counted per account (on the User document) and per client IP
+ * (LoginThrottle). After a few free attempts each further failure doubles the
+ * wait before the next attempt is accepted; at the limit the account or IP is
+ * locked for a while. Account limits come from the security site settings.
+ */
+
+const MINUTE = 60 * 1000;
+const FAILURE_WINDOW_MS = (parseInt(process.env.LOGIN_FAILURE_WINDOW_MINUTES) || 15) * MINUTE;
+const IP_MAX_FAILURES = parseInt(process.env.LOGIN_IP_MAX_FAILURES) || 20;
+const IP_BLOCK_MS = (parseInt(process.env.LOGIN_IP_BLOCK_MINUTES) || 30) * MINUTE;
+const ACCOUNT_FREE_ATTEMPTS = 2;
+const IP_FREE_ATTEMPTS = 5;
+const MAX_DELAY_SECONDS = 60;
+
+const DEFAULT_MAX_ATTEMPTS = 5;
+const DEFAULT_LOCKOUT_MINUTES = 15;
+
+const secondsUntil = (date) => Math.max(1, Math.ceil((date.getTime() - Date.now()) / 1000));
+
+// 2s, 4s, 8s... once the free attempts are used up
+const delayAfter = (failures, freeAttempts) => (
+  failures < freeAttempts ? 0 : Math.min(2 ** (failures - freeAttempts + 1), MAX_DELAY_SECONDS)
+);
+
+const isRecent = (date) => Boolean(date) && Date.now() - date.getTime() < FAILURE_WINDOW_MS;
+
+/**
+ * Whether another attempt from this IP is allowed right now
+ * @param {string} ip
+ * @returns {Promise<Object|null>} { code, retryAfter } when throttled
+ */
+const checkIp = async (ip) => {
+  if (!ip) return null;
+  const throttle = await LoginThrottle.findOne({ ip }).lean();
+  if (!throttle) return null;
+  if (throttle.blockedUntil && throttle.blockedUntil > new Date()) {
+    return { code: 'IP_BLOCKED', retryAfter: secondsUntil(throttle.blockedUntil) };
+  }
+  if (!isRecent(throttle.lastFailureAt)) return null;
+  const nextAttemptAt = new Date(throttle.lastFailureAt.getTime() + delayAfter(throttle.failures, IP_FREE_ATTEMPTS) * 1000);
+  return nextAttemptAt > new Date() ? { code: 'LOGIN_THROTTLED', retryAfter: secondsUntil(nextAttemptAt) } : null;
+};
+
+/**
+ * Count a failed attempt from an IP
+ * @param {string} ip
+ * @returns {Promise<Object>} { blocked, blockedUntil }
+ */
+const recordIpFailure = async (ip) => {
+  if (!ip) return { blocked: false };
+  const now = new Date();
+  const windowEnd = new Date(now.getTime() + FAILURE_WINDOW_MS);
+
+  // Failures from before the window no longer count
+  await LoginThrottle.updateOne(
+    { ip, lastFailureAt: { $lte: new Date(now.getTime() - FAILURE_WINDOW_MS) } },
+    { $set: { failures: 0, firstFailureAt: now } }
+  );
+  // A single upsert, so simultaneous first failures from an address cannot both insert
+  const throttle = await LoginThrottle.findOneAndUpdate(
+    { ip },
+    {
+      $inc: { failures: 1 },
+      $set: { lastFailureAt: now },
+      $max: { expiresAt: windowEnd },
+      $setOnInsert: { firstFailureAt: now }
+    },
+    { upsert: true, new: true }
+  );
+  if (throttle.failures < IP_MAX_FAILURES) {
+    return { blocked: false, blockedUntil: throttle.blockedUntil };
+  }
+
+  const blockedUntil = new Date(now.getTime() + IP_BLOCK_MS);
+  await LoginThrottle.updateOne(
+    { _id: throttle._id },
+    { $set: { blockedUntil, failures: 0 }, $max: { expiresAt: blockedUntil } }
+  );
+  return { blocked: true, blockedUntil };
+};
+
+/**
+ * Lift an IP block and forget its failures
+ * @param {string} ip
+ * @returns {Promise<boolean>} Whether anything was removed
+ */
+const clearIp = async (ip) => {
+  const result = await LoginThrottle.deleteOne({ ip });
+  return result.deletedCount > 0;
+};
+
+/**
+ * Whether the account accepts another attempt right now
+ * @param {Object} user - User document (with the lockout fields)
+ * @returns {Object|null} { code, retryAfter } when locked or throttled
+ */
+const checkAccount = (user) => {
+  if (user.lockedUntil && user.lockedUntil > new Date()) {
+    return { code: 'ACCOUNT_LOCKED', retryAfter: secondsUntil(user.lockedUntil) };
+  }
+  if (!isRecent(user.lastFailedLoginAt)) return null;
+  const nextAttemptAt = new Date(user.lastFailedLoginAt.getTime() + delayAfter(user.failedLoginCount, ACCOUNT_FREE_ATTEMPTS) * 1000);
+  return nextAttemptAt > new Date() ? { code: 'LOGIN_THROTTLED', retryAfter: secondsUntil(nextAttemptAt) } : null;
+};
+
+/**
+ * Count a failed attempt against an account, locking it at the limit
+ * @param {Object} user - User document
+ * @param {Object} [security] - Security site settings
+ * @returns {Promise<Object>} { locked, lockedUntil, failures }
+ */
+const recordAccountFailure = async (user, security = {}) => {
+  const now = new Date();
+  const update = isRecent(user.lastFailedLoginAt)
+    ? { $inc: { failedLoginCount: 1 }, $set: { lastFailedLoginAt: now } }
+    : { $set: { failedLoginCount: 1, lastFailedLoginAt: now } };
+  const updated = await User.findByIdAndUpdate(user._id, update, { new: true }).select('failedLoginCount');
+  const failures = updated ? updated.failedLoginCount : 0;
+
+  const maxAttempts = security.maxLoginAttempts || DEFAULT_MAX_ATTEMPTS;
+  if (failures < maxAttempts) return { locked: false, failures };
+
+  const lockedUntil = new Date(now.getTime() + (security.lockoutMinutes || DEFAULT_LOCKOUT_MINUTES) * MINUTE);
+  await User.updateOne({ _id: user._id }, { $set: { lockedUntil, failedLoginCount: 0 } });
+  return { locked: true, lockedUntil, failures };
+};
+
+/**
+ * Clear an account's failures and any lock (successful sign-in or admin unlock)
+ * @param {Object|string} userOrId - User document or id
+ */
+const resetAccount = async (userOrId) => {
+  const userId = userOrId._id || userOrId;
+  await User.updateOne(
+    { _id: userId },
+    { $set: { failedLoginCount: 0 }, $unset: { lastFailedLoginAt: 1, lockedUntil: 1 } }
+  );
+};
+
+module.exports = {
+  checkIp,
+  recordIpFailure,
+  clearIp,
+  checkAccount,
+  recordAccountFailure,
+  resetAccount
+};
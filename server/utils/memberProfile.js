@@ -0,0 +1,20 @@
+const { validateMemberProfile } = require('../../shared/validators');
+
+/**
+ * Validate a profile update against the fields the caller may change.
+ * Anything outside `allowedFields` is ignored rather than rejected, so
+ * clients can send back the whole profile they loaded.
+ * @param {Object} body - Request body
+ * @param {string[]} allowedFields - Fields the caller may edit
+ * @returns {{ updates: Object|null, errors: Object }}
+ */
+const parseProfileUpdate = (body = {}, allowedFields) => {
+  const picked = {};
+  allowedFields.forEach((field) => {
+    if (Object.prototype.hasOwnProperty.call(body, field)) picked[field] = body[field];
+  });
+  const result = validateMemberProfile(picked);
+  return { updates: result.data, errors: result.errors };
+};
+
+module.exports = { parseProfileUpdate };
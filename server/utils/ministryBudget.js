@@ -0,0 +1,160 @@
+const Ministry = require('../models/Ministry');
+const MinistryExpense = require('../models/MinistryExpense');
+const User = require('../models/User');
+const NotificationService = require('./notificationService');
+const emailNotificationService = require('../services/emailNotificationService');
+const { getPermissionsForRole } = require('./permissions');
+const {
+  EXPENSE_STATUS,
+  MINISTRY_BUDGET,
+  PERMISSIONS,
+  ROLE_HIERARCHY,
+  CURRENCY,
+  TIMEZONE
+} = require('../../shared/constants');
+
+/**
+ * Ministry budgets against spending. A ministry's budget for a year is the
+ * amount set for that year, or its standing annual budget. Spending is its
+ * approved expenses dated in the year (church-local).
+ */
+
+const formatAmount = (amount) => `${CURRENCY.SYMBOL}${amount.toLocaleString(CURRENCY.LOCALE)}`;
+
+/**
+ * The church-local year a date falls in
+ * @param {Date} date
+ * @returns {number}
+ */
+const budgetYear = (date) => Number(date.toLocaleDateString('en-CA', { timeZone: TIMEZONE.NIGERIA }).slice(0, 4));
+
+/**
+ * @param {Object} ministry
+ * @param {number} year
+ * @returns {number|null} null when the ministry has no budget
+ */
+const budgetFor = (ministry, year) => {
+  const budget = ministry.budget || {};
+  const entry = (budget.years || []).find((item) => item.year === year);
+  if (entry) return entry.amount;
+  return typeof budget.annual === 'number' ? budget.annual : null;
+};
+
+/**
+ * Ministries a user leads
+ * Older ministries only record the leader's email
+ * @param {Object} user - Decoded token user ({ id, email })
+ * @returns {Promise<Array<ObjectId>>}
+ */
+const ledMinistryIds = (user) => Ministry.distinct('_id', {
+  $or: [{ 'leader.user': user.id }, { 'leader.email': String(user.email || '').toLowerCase() }]
+});
+
+/**
+ * Approved and pending spending per ministry for a year
+ * @param {Array<ObjectId>} ministryIds
+ * @param {number} year
+ * @returns {Promise<Map<string, { approved: number, pending: number }>>}
+ */
+const spendingByMinistry = async (ministryIds, year) => {
+  const rows = await MinistryExpense.aggregate([
+    {
+      $match: {
+        ministry: { $in: ministryIds },
+        year,
+        status: { $in: [EXPENSE_STATUS.APPROVED, EXPENSE_STATUS.PENDING] }
+      }
+    },
+    { $group: { _id: { ministry: '$ministry', status: '$status' }, total: { $sum: '$amount' } } }
+  ]);
+  const spending = new Map(ministryIds.map((id) => [id.toString(), { approved: 0, pending: 0 }]));
+  for (const row of rows) {
+    spending.get(row._id.ministry.toString())[row._id.status] = row.total;
+  }
+  return spending;
+};
+
+/**
+ * Budget against actual for each ministry
+ * @param {Array<Object>} ministries - With name, leader and budget
+ * @param {number} year
+ * @returns {Promise<Array<Object>>}
+ */
+const budgetSummary = async (ministries, year) => {
+  const spending = await spendingByMinistry(ministries.map((ministry) => ministry._id), year);
+  return ministries.map((ministry) => {
+    const budget = budgetFor(ministry, year);
+    const { approved, pending } = spending.get(ministry._id.toString());
+    return {
+      ministry: { _id: ministry._id, name: ministry.name, leader: ministry.leader && ministry.leader.name },
+      year,
+      budget,
+      approved,
+      pending,
+      remaining: budget === null ? null : budget - approved,
+      percentUsed: budget ? Math.round((approved / budget) * 100) : null
+    };
+  });
+};
+
+// Users whose role can approve expenses
+const findBudgetManagers = async () => {
+  const roles = [];
+  for (const role of Object.keys(ROLE_HIERARCHY)) {
+    if ((await getPermissionsForRole(role)).includes(PERMISSIONS.MANAGE_MINISTRY_BUDGETS)) roles.push(role);
+  }
+  return User.find({ role: { $in: roles }, active: true }).select('name email');
+};
+
+/**
+ * Alert the ministry leader and budget managers when approving an expense
+ * takes spending past an alert threshold. Only the highest threshold crossed
+ * is reported, and each threshold is reported once as spending rises.
+ * @param {Object} ministry
+ * @param {number} year
+ * @param {number} before - Approved spending before the expense
+ * @param {number} after - Approved spending including it
+ * @returns {Promise<number|null>} The threshold crossed, if any
+ */
+const alertBudgetThresholds = async (ministry, year, before, after) => {
+  const budget = budgetFor(ministry, year);
+  if (!budget) return null;
+  const crossed = MINISTRY_BUDGET.ALERT_PERCENTS
+    .filter((percent) => before < (budget * percent) / 100 && after >= (budget * percent) / 100);
+  if (crossed.length === 0) return null;
+
+  const percent = Math.max(...crossed);
+  const title = percent >= 100
+    ? `${ministry.name} is over its ${year} budget`
+    : `${ministry.name} has used ${percent}% of its ${year} budget`;
+  const message = `Approved spending is ${formatAmount(after)} of a ${formatAmount(budget)} budget `
+    + `(${Math.round((after / budget) * 100)}%).`;
+
+  const recipients = new Map((await findBudgetManagers()).map((user) => [user._id.toString(), user]));
+  const leader = ministry.leader && ministry.leader.user
+    ? await User.findById(ministry.leader.user).select('name email')
+    : null;
+  if (leader) recipients.set(leader._id.toString(), leader);
+
+  for (const user of recipients.values()) {
+    NotificationService.sendToUser(user._id.toString(), title, message, 'ministry', { ministryId: ministry._id, year })
+      .catch((error) => console.error('Error sending budget alert:', error.message));
+    emailNotificationService.sendCustomNotification(
+      user,
+      title,
+      message,
+      `${process.env.FRONTEND_URL}/member/ministry-expenses`,
+      'View Budget'
+    ).catch((error) => console.error('Error emailing budget alert:', error.message));
+  }
+  return percent;
+};
+
+module.exports = {
+  budgetYear,
+  budgetFor,
+  ledMinistryIds,
+  spendingByMinistry,
+  budgetSummary,
+  alertBudgetThresholds
+};
@@ -0,0 +1,97 @@
+const mongoose = require('mongoose');
+const Ministry = require('../models/Ministry');
+const MinistryMember = require('../models/MinistryMember');
+const NotificationService = require('./notificationService');
+const { isMinistryLeader } = require('./permissions');
+const { ageOn } = require('./childCheckIn');
+const { MINISTRY_MEMBER_ROLES, MINISTRY_MEMBER_STATUS } = require('../../shared/constants');
+
+const ROSTER_MANAGER_ROLES = [MINISTRY_MEMBER_ROLES.LEADER, MINISTRY_MEMBER_ROLES.ASSISTANT];
+
+/**
+ * Why a person cannot belong to a ministry under its age range and gender.
+ * Members whose profile lacks the detail are asked to add it rather than
+ * being let through.
+ * @param {Object} ministry - With membership.ageRange and membership.gender
+ * @param {Object} user - With dateOfBirth and gender
+ * @returns {Object} Problems keyed by field; empty when eligible
+ */
+const eligibilityProblems = (ministry, user) => {
+  const problems = {};
+  const { ageRange = {}, gender = 'all' } = ministry.membership || {};
+  const hasMin = typeof ageRange.min === 'number';
+  const hasMax = typeof ageRange.max === 'number';
+
+  if (hasMin || hasMax) {
+    const age = ageOn(user.dateOfBirth);
+    if (age === null) {
+      problems.dateOfBirth = 'Add your date of birth to your profile; this ministry is for an age group';
+    } else if ((hasMin && age < ageRange.min) || (hasMax && age > ageRange.max)) {
+      const range = hasMin && hasMax ? `${ageRange.min} to ${ageRange.max}`
+        : hasMin ? `${ageRange.min} and over` : `${ageRange.max} and under`;
+      problems.dateOfBirth = `This ministry is for ages ${range}`;
+    }
+  }
+  if (gender && gender !== 'all') {
+    if (!user.gender) problems.gender = 'Add your gender to your profile; this ministry is for one gender';
+    else if (user.gender !== gender) problems.gender = `This ministry is for ${gender === 'male' ? 'men' : 'women'}`;
+  }
+  return problems;
+};
+
+/**
+ * Set a ministry's member count from its roster
+ * @param {ObjectId|string} ministryId
+ * @returns {Promise<number>} Active members
+ */
+const syncMemberCount = async (ministryId) => {
+  const count = await MinistryMember.countDocuments({ ministry: ministryId, status: MINISTRY_MEMBER_STATUS.ACTIVE });
+  await Ministry.updateOne({ _id: ministryId }, { 'membership.currentCount': count });
+  return count;
+};
+
+/**
+ * Whether a user runs a ministry's roster: its linked leader, or an active
+ * leader or assistant on the roster
+ * @param {Object} user - Decoded token user ({ id, email })
+ * @param {ObjectId|string} ministryId
+ * @returns {Promise<boolean>}
+ */
+const managesRoster = async (user, ministryId) => {
+  if (!user || !mongoose.isValidObjectId(ministryId)) return false;
+  if (await isMinistryLeader(user, ministryId)) return true;
+  return Boolean(await MinistryMember.exists({
+    ministry: ministryId,
+    user: user.id,
+    status: MINISTRY_MEMBER_STATUS.ACTIVE,
+    role: { $in: ROSTER_MANAGER_ROLES }
+  }));
+};
+
+/**
+ * Notify everyone who runs a ministry's roster
+ * @param {Object} ministry - With leader
+ * @param {string} title
+ * @param {string} message
+ * @param {Object} [data]
+ */
+const notifyRosterManagers = async (ministry, title, message, data = {}) => {
+  const managers = await MinistryMember.distinct('user', {
+    ministry: ministry._id,
+    status: MINISTRY_MEMBER_STATUS.ACTIVE,
+    role: { $in: ROSTER_MANAGER_ROLES }
+  });
+  const recipients = new Set(managers.map((id) => id.toString()));
+  if (ministry.leader && ministry.leader.user) recipients.add(ministry.leader.user.toString());
+  for (const userId of recipients) {
+    NotificationService.sendToUser(userId, title, message, 'ministry', { ministryId: ministry._id, ...data })
+      .catch((error) => console.error('Error notifying ministry leaders:', error.message));
+  }
+};
+
+module.exports = {
+  eligibilityProblems,
+  syncMemberCount,
+  managesRoster,
+  notifyRosterManagers
+};
@@ -0,0 +1,109 @@
+const mongoose = require('mongoose');
+const RolePermission = require('../models/RolePermission');
+const Ministry = require('../models/Ministry');
+const {
+  USER_ROLES,
+  ROLE_HIERARCHY,
+  PERMISSIONS,
+  DEFAULT_ROLE_PERMISSIONS
+} = require('../../shared/constants');
+
+/**
+ * Permission resolution for Haven Word Church
+ * A role holds the permissions granted at its own level plus those of every
+ * role below it in ROLE_HIERARCHY. Per-role grants come from the shared
+ * defaults unless an admin has saved an override in RolePermission.
+ */
+
+const CACHE_TTL_MS = 60 * 1000;
+let grantsCache = null;
+let grantsLoadedAt = 0;
+
+/**
+ * Load the grants each role adds at its own level
+ * @returns {Promise<Object>} Map of role -> permission array
+ */
+const getRoleGrants = async () => {
+  if (grantsCache && Date.now() - grantsLoadedAt < CACHE_TTL_MS) return grantsCache;
+
+  const grants = { ...DEFAULT_ROLE_PERMISSIONS };
+  const overrides = await RolePermission.find().lean();
+  overrides.forEach((override) => {
+    grants[override.role] = override.permissions;
+  });
+
+  grantsCache = grants;
+  grantsLoadedAt = Date.now();
+  return grants;
+};
+
+/**
+ * Drop cached grants (call after saving an override)
+ */
+const clearPermissionCache = () => {
+  grantsCache = null;
+};
+
+/**
+ * Resolve the full permission set of a role through the hierarchy
+ * @param {string} role - User role
+ * @param {Object} [grants] - Grants map (loaded when omitted)
+ * @returns {Promise<string[]>}
+ */
+const getPermissionsForRole = async (role, grants) => {
+  if (role === USER_ROLES.SUPER_ADMIN) return Object.values(PERMISSIONS);
+  const level = ROLE_HIERARCHY[role];
+  if (level === undefined) return [];
+
+  const roleGrants = grants || await getRoleGrants();
+  const permissions = new Set();
+  Object.entries(ROLE_HIERARCHY).forEach(([otherRole, otherLevel]) => {
+    if (otherLevel <= level) (roleGrants[otherRole] || []).forEach((p) => permissions.add(p));
+  });
+  return [...permissions];
+};
+
+/**
+ * Check whether a role holds a permission
+ * @param {string} role - User role
+ * @param {string} permission - Permission from PERMISSIONS
+ * @returns {Promise<boolean>}
+ */
+const hasPermission = async (role, permission) => {
+  const permissions = await getPermissionsForRole(role);
+  return permissions.includes(permission);
+};
+
+/**
+ * Whether one role may grant another (no one grants above their own level)
+ * @param {string} granterRole - Role of the user making the change
+ * @param {string} role - Role being granted
+ * @returns {boolean}
+ */
+const canGrantRole = (granterRole, role) =>
+  granterRole === USER_ROLES.SUPER_ADMIN || ROLE_HIERARCHY[role] <= ROLE_HIERARCHY[granterRole];
+
+/**
+ * Check whether a user leads a ministry
+ * Ministries created before leaders were linked to accounts only have the leader email
+ * @param {Object} user - Decoded token user ({ id, email })
+ * @param {ObjectId|string} ministryId - Ministry ID
+ * @returns {Promise<boolean>}
+ */
+const isMinistryLeader = async (user, ministryId) => {
+  if (!user || !mongoose.isValidObjectId(ministryId)) return false;
+  const ministry = await Ministry.exists({
+    _id: ministryId,
+    $or: [{ 'leader.user': user.id }, { 'leader.email': String(user.email || '').toLowerCase() }]
+  });
+  return Boolean(ministry);
+};
+
+module.exports = {
+  getRoleGrants,
+  clearPermissionCache,
+  getPermissionsForRole,
+  hasPermission,
+  canGrantRole,
+  isMinistryLeader
+};
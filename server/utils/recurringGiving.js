@@ -0,0 +1,154 @@
+const RecurringGift = require('../models/RecurringGift');
+const NotificationService = require('./notificationService');
+const payments = require('../services/payments');
+const { RECURRING_GIVING, DONATION_STATUS, CURRENCY } = require('../../shared/constants');
+
+/**
+ * Recurring giving. A schedule is set up by paying its first gift at
+ * checkout, which saves the card. The scheduler calls chargeDueGifts()
+ * each morning to charge the gifts that have fallen due; failed charges
+ * are retried the next day until RECURRING_GIVING.MAX_FAILURES, when the
+ * schedule is paused for the member to sort out.
+ */
+
+const { STATUS } = RECURRING_GIVING;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Gift dates are church-local days (Lagos is UTC+1 all year)
+const dayKey = (date) => new Date(date).toLocaleDateString('en-CA', { timeZone: 'Africa/Lagos' });
+const startOfDay = (key) => new Date(`${key}T00:00:00+01:00`);
+const utcKey = (date) => date.toISOString().slice(0, 10);
+
+/**
+ * The n-th gift date of a schedule, counting the start date as 0. Monthly
+ * gifts keep the start date's day, or fall on the last day of a shorter month.
+ */
+const giftDate = (gift, n) => {
+  const [year, month, day] = dayKey(gift.startDate).split('-').map(Number);
+  if (gift.frequency === 'weekly') {
+    return startOfDay(utcKey(new Date(Date.UTC(year, month - 1, day + 7 * n))));
+  }
+  const lastDay = new Date(Date.UTC(year, month + n, 0)).getUTCDate();
+  return startOfDay(utcKey(new Date(Date.UTC(year, month - 1 + n, Math.min(day, lastDay)))));
+};
+
+/**
+ * The first gift date after `after`
+ * @param {Object} gift
+ * @param {Date} [after]
+ * @returns {Date|null} null once the schedule's end date has passed
+ */
+const nextGiftDate = (gift, after = new Date()) => {
+  // Start just before the answer rather than counting up from the start date
+  let n;
+  if (gift.frequency === 'weekly') {
+    n = Math.floor((after - new Date(gift.startDate)) / (7 * DAY_MS)) - 1;
+  } else {
+    const [startYear, startMonth] = dayKey(gift.startDate).split('-').map(Number);
+    const [year, month] = dayKey(after).split('-').map(Number);
+    n = (year - startYear) * 12 + (month - startMonth) - 1;
+  }
+  n = Math.max(0, n);
+  while (giftDate(gift, n) <= after) n += 1;
+  const next = giftDate(gift, n);
+  return gift.endDate && next > gift.endDate ? null : next;
+};
+
+const formatAmount = (amount) => `${CURRENCY.SYMBOL}${amount.toLocaleString(CURRENCY.LOCALE)}`;
+
+const notifyGiver = (gift, title, message) => {
+  NotificationService.sendToUser(gift.user.toString(), title, message, 'giving', { recurringGiftId: gift._id })
+    .catch((error) => console.error('Error notifying giver about recurring gift:', error.message));
+};
+
+/**
+ * Keep a schedule in step with one of its donations. Called by the payment
+ * service whenever a recurring donation's status changes.
+ * @param {Object} donation - The updated donation
+ * @param {Object} result - Payment result that changed it
+ */
+const onRecurringDonationUpdate = async (donation, result) => {
+  const gift = await RecurringGift.findById(donation.recurringGift);
+  if (!gift) return;
+
+  if (donation.status === DONATION_STATUS.PAID) {
+    if (gift.status === STATUS.PENDING_SETUP) {
+      const card = result.authorization;
+      if (!card || !card.code || card.reusable === false) {
+        gift.lastFailureReason = 'This payment method cannot be charged automatically. Please set up the gift again with a card.';
+        await gift.save();
+        notifyGiver(gift, 'Recurring gift not set up', gift.lastFailureReason);
+        return;
+      }
+      gift.authorization = { code: card.code, last4: card.last4, brand: card.brand, expiry: card.expiry };
+      gift.status = STATUS.ACTIVE;
+      gift.nextChargeAt = nextGiftDate(gift);
+    }
+    gift.lastChargedAt = donation.paidAt;
+    gift.failures = 0;
+    gift.lastFailureReason = undefined;
+    if (gift.status === STATUS.ACTIVE && !gift.nextChargeAt) gift.status = STATUS.ENDED;
+    await gift.save();
+    return;
+  }
+
+  // A failed setup checkout is simply tried again by the member
+  if (donation.status === DONATION_STATUS.FAILED && gift.status === STATUS.ACTIVE) {
+    gift.failures += 1;
+    gift.lastFailureReason = donation.failureReason;
+    if (gift.failures >= RECURRING_GIVING.MAX_FAILURES) {
+      gift.status = STATUS.PAUSED;
+      notifyGiver(gift, 'Recurring gift paused', `We could not charge your ${gift.frequency} ${gift.type.toLowerCase()} of ${formatAmount(gift.amount)} ${gift.failures} times, so it has been paused. Please check your card and resume it.`);
+    } else {
+      gift.nextChargeAt = startOfDay(dayKey(new Date(Date.now() + DAY_MS)));
+      notifyGiver(gift, 'Recurring gift not received', `We could not charge your ${gift.frequency} ${gift.type.toLowerCase()} of ${formatAmount(gift.amount)}. We will try again tomorrow.`);
+    }
+    await gift.save();
+  }
+};
+
+/**
+ * Charge every active schedule whose next gift has fallen due
+ * @param {Date} [now]
+ * @returns {Promise<{ charged: number, failed: number, pending: number, ended: number }>}
+ */
+const chargeDueGifts = async (now = new Date()) => {
+  const summary = { charged: 0, failed: 0, pending: 0, ended: 0 };
+  const due = await RecurringGift.find({ status: STATUS.ACTIVE, nextChargeAt: { $lte: now } })
+    .select('+authorization.code');
+
+  for (const gift of due) {
+    if (gift.endDate && gift.nextChargeAt > gift.endDate) {
+      gift.status = STATUS.ENDED;
+      gift.nextChargeAt = undefined;
+      await gift.save();
+      summary.ended += 1;
+      continue;
+    }
+
+    // Claim this gift date first so an overlapping run cannot charge it twice
+    const claimed = await RecurringGift.updateOne(
+      { _id: gift._id, status: STATUS.ACTIVE, nextChargeAt: gift.nextChargeAt },
+      { $set: { nextChargeAt: nextGiftDate(gift, now) } }
+    );
+    if (claimed.modifiedCount === 0) continue;
+
+    try {
+      const donation = await payments.chargeRecurringGift(gift);
+      if (donation.status === DONATION_STATUS.PAID) summary.charged += 1;
+      else if (donation.status === DONATION_STATUS.FAILED) summary.failed += 1;
+      else summary.pending += 1;
+    } catch (error) {
+      console.error(`Error charging recurring gift ${gift._id}:`, error.message);
+      summary.failed += 1;
+    }
+  }
+
+  return summary;
+};
+
+module.exports = {
+  nextGiftDate,
+  onRecurringDonationUpdate,
+  chargeDueGifts
+};
@@ -16,7 +16,7 @@ const initializeTransporter = async () => {
   try {
     if (process.env.NODE_ENV === 'production') {
       // Production: Use actual email service
-      transporter = nodemailer.createTransporter({
+      transporter = nodemailer.createTransport({
         service: process.env.EMAIL_SERVICE || 'gmail',
         auth: {
           user: process.env.EMAIL_USER,
@@ -26,7 +26,7 @@ const initializeTransporter = async () => {
     } else {
       // Development: Use Ethereal Email for testing
       const testAccount = await nodemailer.createTestAccount();
-      transporter = nodemailer.createTransporter({
+      transporter = nodemailer.createTransport({
         host: 'smtp.ethereal.email',
         port: 587,
         secure: false,
@@ -184,6 +184,67 @@ const sendWelcomeEmail = async (email, firstName, verificationToken) => {
   return sendEmail(mailOptions);
 };
 
+/**
+ * Send (or re-send) the email address verification link
+ * @param {string} email - Recipient email
+ * @param {string} firstName - User's first name
+ * @param {string} verificationToken - Email verification token
+ * @returns {Promise<Object>} Email send result
+ */
+const sendVerificationEmail = async (email, firstName, verificationToken) => {
+  const verificationUrl = `${process.env.FRONTEND_URL}/verify-email?token=${verificationToken}`;
+
+  const mailOptions = {
+    to: email,
+    subject: '✉️ Verify your email - Haven Word Church',
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
+        <div style="text-align: center; margin-bottom: 30px;">
+          <h1 style="color: #2c5aa0; margin-bottom: 10px;">Haven Word Church</h1>
+        </div>
+        
+        <div style="background: #f8f9fa; padding: 30px; border-radius: 10px; margin-bottom: 20px;">
+          <h2 style="color: #2c5aa0; margin-bottom: 20px;">Confirm Your Email Address</h2>
+          
+          <p style="font-size: 16px; line-height: 1.6; color: #333;">
+            Hello ${firstName},
+          </p>
+          
+          <p style="font-size: 16px; line-height: 1.6; color: #333;">
+            Please confirm that this is your email address so you can sign in to your member account:
+          </p>
+          
+          <div style="text-align: center; margin: 30px 0;">
+            <a href="${verificationUrl}" 
+               style="background: #2c5aa0; color: white; padding: 15px 30px; text-decoration: none; border-radius: 5px; font-weight: bold; display: inline-block;">
+              Verify Email Address
+            </a>
+          </div>
+          
+          <p style="font-size: 14px; color: #666;">
+            If the button doesn't work, copy and paste this link in your browser:<br>
+            <a href="${verificationUrl}" style="color: #2c5aa0;">${verificationUrl}</a>
+          </p>
+          
+          <div style="background: #fff3cd; padding: 15px; border-radius: 5px; margin-top: 20px;">
+            <p style="color: #856404; margin: 0; font-size: 14px;">
+              ⚠️ This link will expire in 24 hours.
+            </p>
+          </div>
+        </div>
+        
+        <div style="text-align: center; margin-top: 30px; padding-top: 20px; border-top: 1px solid #eee;">
+          <p style="color: #999; font-size: 12px;">
+            This email was sent to ${email}. If you didn't create an account, please ignore this email.
+          </p>
+        </div>
+      </div>
+    `
+  };
+
+  return sendEmail(mailOptions);
+};
+
 /**
  * Send password reset email
  * @param {string} email - Recipient email
@@ -254,6 +315,133 @@ const sendPasswordResetEmail = async (email, firstName, resetToken) => {
   return sendEmail(mailOptions);
 };
 
+/**
+ * Send account lockout notice after repeated failed sign-ins
+ * @param {string} email - Recipient email
+ * @param {string} firstName - User's first name
+ * @param {Date} lockedUntil - When sign-in is allowed again
+ * @param {string} [ip] - Address the failed attempts came from
+ * @returns {Promise<Object>} Email send result
+ */
+const sendAccountLockedEmail = async (email, firstName, lockedUntil, ip) => {
+  const resetUrl = `${process.env.FRONTEND_URL}/login`;
+  const unlockTime = new Date(lockedUntil).toLocaleString('en-NG', {
+    dateStyle: 'medium',
+    timeStyle: 'short'
+  });
+
+  const mailOptions = {
+    to: email,
+    subject: '⚠️ Your account has been temporarily locked - Haven Word Church',
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
+        <div style="text-align: center; margin-bottom: 30px;">
+          <h1 style="color: #2c5aa0; margin-bottom: 10px;">Haven Word Church</h1>
+        </div>
+
+        <div style="background: #f8f9fa; padding: 30px; border-radius: 10px; margin-bottom: 20px;">
+          <h2 style="color: #2c5aa0; margin-bottom: 20px;">Account Temporarily Locked</h2>
+
+          <p style="font-size: 16px; line-height: 1.6; color: #333;">
+            Hello ${firstName},
+          </p>
+
+          <p style="font-size: 16px; line-height: 1.6; color: #333;">
+            There were several unsuccessful attempts to sign in to your Haven Word Church account${ip ? ` from the address <strong>${ip}</strong>` : ''}.
+            To protect you, sign-in has been locked until <strong>${unlockTime}</strong>.
+          </p>
+
+          <div style="background: #fff3cd; padding: 15px; border-radius: 5px; margin-top: 20px;">
+            <p style="color: #856404; margin: 0; font-size: 14px;">
+              If this wasn't you, someone may be trying to guess your password. Once the lock ends,
+              use "Forgot password?" on the <a href="${resetUrl}" style="color: #856404;">sign-in page</a> to choose a new one.
+            </p>
+          </div>
+        </div>
+
+        <div style="background: #d1ecf1; padding: 20px; border-radius: 5px; margin-bottom: 20px;">
+          <p style="color: #0c5460; margin: 0; font-size: 14px;">
+            <strong>Need access sooner?</strong> Contact the church office and an administrator can unlock your account.
+          </p>
+        </div>
+
+        <div style="text-align: center; margin-top: 30px; padding-top: 20px; border-top: 1px solid #eee;">
+          <p style="color: #666; font-size: 12px;">
+            This email was sent to ${email}.
+          </p>
+        </div>
+      </div>
+    `
+  };
+
+  return sendEmail(mailOptions);
+};
+
+/**
+ * Send staff/pastor/admin invitation email
+ * @param {string} email - Recipient email
+ * @param {string} name - Invitee name (may be empty)
+ * @param {string} role - Role the account will be created with
+ * @param {string} inviteToken - Invitation token
+ * @param {Date} expiresAt - When the invitation stops working
+ * @returns {Promise<Object>} Email send result
+ */
+const sendInvitationEmail = async (email, name, role, inviteToken, expiresAt) => {
+  const inviteUrl = `${process.env.FRONTEND_URL}/register?invite=${inviteToken}`;
+
+  const mailOptions = {
+    to: email,
+    subject: '✉️ You have been invited to Haven Word Church',
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
+        <div style="text-align: center; margin-bottom: 30px;">
+          <h1 style="color: #2c5aa0; margin-bottom: 10px;">Haven Word Church</h1>
+        </div>
+
+        <div style="background: #f8f9fa; padding: 30px; border-radius: 10px; margin-bottom: 20px;">
+          <h2 style="color: #2c5aa0; margin-bottom: 20px;">You're Invited</h2>
+
+          <p style="font-size: 16px; line-height: 1.6; color: #333;">
+            Hello${name ? ` ${name}` : ''},
+          </p>
+
+          <p style="font-size: 16px; line-height: 1.6; color: #333;">
+            You have been invited to create a <strong>${role}</strong> account on the Haven Word Church website.
+            Click the button below to set up your account:
+          </p>
+
+          <div style="text-align: center; margin: 30px 0;">
+            <a href="${inviteUrl}"
+               style="background: #2c5aa0; color: white; padding: 15px 30px; text-decoration: none; border-radius: 5px; font-weight: bold; display: inline-block;">
+              Accept Invitation
+            </a>
+          </div>
+
+          <p style="font-size: 14px; color: #666;">
+            If the button doesn't work, copy and paste this link in your browser:<br>
+            <a href="${inviteUrl}" style="color: #2c5aa0;">${inviteUrl}</a>
+          </p>
+
+          <div style="background: #fff3cd; padding: 15px; border-radius: 5px; margin-top: 20px;">
+            <p style="color: #856404; margin: 0; font-size: 14px;">
+              ⚠️ This invitation can be used once and expires on ${new Date(expiresAt).toDateString()}.
+            </p>
+          </div>
+        </div>
+
+        <div style="text-align: center; margin-top: 30px; padding-top: 20px; border-top: 1px solid #eee;">
+          <p style="color: #666; font-size: 12px;">
+            Not expecting this? You can safely ignore this email.
+            This email was sent to ${email}.
+          </p>
+        </div>
+      </div>
+    `
+  };
+
+  return sendEmail(mailOptions);
+};
+
 /**
  * Send event notification email
  * @param {string} email - Recipient email
@@ -391,6 +579,114 @@ const sendContactAutoResponse = async (email, name, originalMessage) => {
   return sendEmail(mailOptions);
 };
 
+// Visitor-card names are typed by the public; keep them from becoming markup
+const escapeHtml = (value = '') => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+/**
+ * Send the day-one welcome email to a first-time visitor
+ * @param {string} email - Recipient email
+ * @param {string} name - Visitor's name
+ * @returns {Promise<Object>} Email send result
+ */
+const sendVisitorWelcomeEmail = async (email, name) => {
+  const mailOptions = {
+    to: email,
+    subject: '🙏 It was a joy to have you at Haven Word Church',
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
+        <div style="text-align: center; margin-bottom: 30px;">
+          <h1 style="color: #2c5aa0; margin-bottom: 10px;">Haven Word Church</h1>
+        </div>
+
+        <div style="background: #f8f9fa; padding: 30px; border-radius: 10px; margin-bottom: 20px;">
+          <h2 style="color: #2c5aa0; margin-bottom: 20px;">Thank You for Visiting!</h2>
+
+          <p style="font-size: 16px; line-height: 1.6; color: #333;">
+            Dear ${escapeHtml(name)},
+          </p>
+
+          <p style="font-size: 16px; line-height: 1.6; color: #333;">
+            Thank you for worshipping with us. We hope you felt at home, and we would love to see you again.
+            Someone from our welcome team will be in touch over the next few days to say hello and answer any questions you have.
+          </p>
+
+          <div style="text-align: center; margin: 30px 0;">
+            <a href="${process.env.FRONTEND_URL}/events"
+               style="background: #2c5aa0; color: white; padding: 12px 30px; text-decoration: none; border-radius: 5px; font-weight: bold;">
+              See What's On
+            </a>
+          </div>
+        </div>
+
+        <div style="text-align: center; margin-top: 30px; padding-top: 20px; border-top: 1px solid #eee;">
+          <p style="color: #666; font-size: 12px;">
+            You are receiving this because you filled in a visitor card. This email was sent to ${email}.
+          </p>
+        </div>
+      </div>
+    `
+  };
+
+  return sendEmail(mailOptions);
+};
+
+/**
+ * Invite a first-time visitor to the newcomers class
+ * @param {string} email - Recipient email
+ * @param {string} name - Visitor's name
+ * @param {string} [classDetails] - When and where the next class meets
+ * @returns {Promise<Object>} Email send result
+ */
+const sendNewcomersClassInvite = async (email, name, classDetails) => {
+  const mailOptions = {
+    to: email,
+    subject: '📖 You are invited: Newcomers Class at Haven Word Church',
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
+        <div style="text-align: center; margin-bottom: 30px;">
+          <h1 style="color: #2c5aa0; margin-bottom: 10px;">Haven Word Church</h1>
+        </div>
+
+        <div style="background: #f8f9fa; padding: 30px; border-radius: 10px; margin-bottom: 20px;">
+          <h2 style="color: #2c5aa0; margin-bottom: 20px;">Join Our Newcomers Class</h2>
+
+          <p style="font-size: 16px; line-height: 1.6; color: #333;">
+            Dear ${escapeHtml(name)},
+          </p>
+
+          <p style="font-size: 16px; line-height: 1.6; color: #333;">
+            Our newcomers class is a relaxed time to meet the pastors, hear the story of Haven Word Church
+            and find out how to get connected. We would love for you to come.
+          </p>
+
+          ${classDetails ? `
+            <div style="background: white; padding: 20px; border-radius: 8px; margin: 20px 0; border-left: 4px solid #2c5aa0;">
+              <p style="color: #333; margin: 0;"><strong>Next class:</strong> ${escapeHtml(classDetails)}</p>
+            </div>
+          ` : `
+            <p style="font-size: 16px; line-height: 1.6; color: #333;">
+              Our welcome team will let you know the date of the next class.
+            </p>
+          `}
+        </div>
+
+        <div style="text-align: center; margin-top: 30px; padding-top: 20px; border-top: 1px solid #eee;">
+          <p style="color: #666; font-size: 12px;">
+            You are receiving this because you filled in a visitor card. This email was sent to ${email}.
+          </p>
+        </div>
+      </div>
+    `
+  };
+
+  return sendEmail(mailOptions);
+};
+
 /**
  * Send notification email to church staff
  * @param {string} subject - Email subject
@@ -444,9 +740,14 @@ const sendStaffNotification = async (subject, message, data = {}) => {
 module.exports = {
   sendEmail,
   sendWelcomeEmail,
+  sendVerificationEmail,
   sendPasswordResetEmail,
+  sendAccountLockedEmail,
+  sendInvitationEmail,
   sendEventNotificationEmail,
   sendContactAutoResponse,
+  sendVisitorWelcomeEmail,
+  sendNewcomersClassInvite,
   sendStaffNotification,
   initializeTransporter
 };
\ No newline at end of file
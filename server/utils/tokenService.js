@@ -0,0 +1,152 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+const User = require('../models/User');
+
+/**
+ * Token helpers for Haven Word Church authentication
+ * Short-lived JWT access tokens plus opaque, rotating refresh tokens
+ * that are stored (hashed) per device in the Session collection.
+ */
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+/**
+ * Hash a refresh token for storage and lookup
+ * @param {string} token - Raw refresh token
+ * @returns {string} Hex encoded SHA-256 hash
+ */
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Generate a new random refresh token
+ * @returns {string} Raw refresh token
+ */
+const generateRefreshToken = () => crypto.randomBytes(48).toString('hex');
+
+/**
+ * Sign an access token bound to a session
+ * @param {Object} user - User document
+ * @param {ObjectId|string} sessionId - Session the token belongs to
+ * @returns {string} Signed JWT
+ */
+const signAccessToken = (user, sessionId) => jwt.sign(
+  { id: user._id, role: user.role, name: user.name, email: user.email, sid: sessionId },
+  process.env.JWT_SECRET,
+  { expiresIn: ACCESS_TOKEN_TTL }
+);
+
+/**
+ * Compute the expiry date of a refresh token issued now
+ * @returns {Date}
+ */
+const refreshTokenExpiry = () => new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+/**
+ * Start a new session for a user and issue its first token pair
+ * @param {Object} user - User document
+ * @param {Object} req - Express request (for IP / user agent)
+ * @param {string} [deviceName] - Optional friendly device name
+ * @returns {Promise<{session: Object, token: string, refreshToken: string}>}
+ */
+const createSession = async (user, req, deviceName) => {
+  const refreshToken = generateRefreshToken();
+  const session = await Session.create({
+    user: user._id,
+    tokenHash: hashToken(refreshToken),
+    deviceName,
+    userAgent: req.get('User-Agent'),
+    ip: req.ip,
+    expiresAt: refreshTokenExpiry()
+  });
+
+  return { session, token: signAccessToken(user, session._id), refreshToken };
+};
+
+/**
+ * Rotate the refresh token of an existing session
+ * @param {Object} session - Session document
+ * @param {Object} user - User document
+ * @param {Object} req - Express request
+ * @returns {Promise<{token: string, refreshToken: string}>}
+ */
+const rotateSession = async (session, user, req) => {
+  const refreshToken = generateRefreshToken();
+  session.previousTokenHash = session.tokenHash;
+  session.tokenHash = hashToken(refreshToken);
+  session.lastUsedAt = new Date();
+  session.expiresAt = refreshTokenExpiry();
+  session.ip = req.ip;
+  session.userAgent = req.get('User-Agent');
+  await session.save();
+
+  return { token: signAccessToken(user, session._id), refreshToken };
+};
+
+/**
+ * Single-purpose tokens (emailed links and login challenges). The purpose is the
+ * JWT audience, so these can never be used as access tokens (and vice versa).
+ */
+const ACTION_TOKENS = {
+  verify_email: '24h',
+  password_reset: '1h',
+  // Password accepted, waiting for the authenticator code
+  two_factor: '5m',
+  // Password accepted, but the role requires 2FA to be set up first
+  two_factor_setup: '15m',
+  // Lets an usher's service worker replay offline check-ins after the
+  // access token has expired; only POST /api/attendance/bulk accepts it
+  attendance_sync: '24h'
+};
+
+/**
+ * Fingerprint of the current password hash; a reset link stops working
+ * as soon as the password changes, which makes it single use
+ * @param {Object} user - User document
+ * @returns {string}
+ */
+const passwordFingerprint = (user) => hashToken(user.password).slice(0, 16);
+
+/**
+ * Sign an action token
+ * @param {Object} user - User document
+ * @param {string} purpose - One of ACTION_TOKENS
+ * @param {ObjectId|string} [sessionId] - Session the token dies with
+ * @returns {string} Signed JWT
+ */
+const signActionToken = (user, purpose, sessionId) => {
+  const payload = { id: user._id, email: user.email };
+  if (purpose === 'password_reset') payload.fp = passwordFingerprint(user);
+  if (sessionId) payload.sid = sessionId;
+  return jwt.sign(payload, process.env.JWT_SECRET, { expiresIn: ACTION_TOKENS[purpose], audience: purpose });
+};
+
+/**
+ * Verify an action token and load its user
+ * @param {string} token - Token from the link
+ * @param {string} purpose - Expected purpose
+ * @returns {Promise<Object|null>} User document, or null when invalid/expired/used
+ */
+const verifyActionToken = async (token, purpose) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET, { audience: purpose });
+  } catch (err) {
+    return null;
+  }
+  const user = await User.findById(decoded.id);
+  if (!user || user.email !== decoded.email) return null;
+  if (purpose === 'password_reset' && decoded.fp !== passwordFingerprint(user)) return null;
+  return user;
+};
+
+module.exports = {
+  hashToken,
+  generateRefreshToken,
+  signAccessToken,
+  createSession,
+  rotateSession,
+  signActionToken,
+  verifyActionToken
+};
@@ -0,0 +1,196 @@
+const CareTask = require('../models/CareTask');
+const Visitor = require('../models/Visitor');
+const Settings = require('../models/Settings');
+const User = require('../models/User');
+const Event = require('../models/Event');
+const { pickLeastLoaded, notifyAssignee } = require('./careTasks');
+const { sendVisitorWelcomeEmail, sendNewcomersClassInvite } = require('./sendEmail');
+const { CARE_TASK_TYPES, FOLLOW_UP_STAGES, FOLLOW_UP_STEPS } = require('../../shared/constants');
+
+/**
+ * First-timer follow-up. Every new visitor gets a care task assigned to a
+ * member of the follow-up team, with the steps from FOLLOW_UP_STEPS dated
+ * from their visit. The scheduler calls runDueFollowUps() each morning.
+ */
+
+const STAGE_ORDER = FOLLOW_UP_STAGES.map((stage) => stage.id);
+
+// Steps fall due at the start of their day so the morning run picks them up
+const stepsFrom = (visitDate) => FOLLOW_UP_STEPS.map((step) => {
+  const dueAt = new Date(visitDate);
+  dueAt.setDate(dueAt.getDate() + step.day);
+  dueAt.setHours(0, 0, 0, 0);
+  return { key: step.key, dueAt };
+});
+
+/**
+ * Move a task forward to `stage`; never back
+ */
+const advanceStage = (task, stage) => {
+  if (STAGE_ORDER.indexOf(stage) > STAGE_ORDER.indexOf(task.stage)) {
+    task.stage = stage;
+  }
+};
+
+/**
+ * The follow-up team member with the fewest open tasks
+ * @returns {Promise<ObjectId|null>} null when no team has been set up
+ */
+const pickAssignee = async () => {
+  const settings = await Settings.findOne().select('followUp');
+  return pickLeastLoaded((settings && settings.followUp && settings.followUp.team) || []);
+};
+
+/**
+ * Save a visitor and open their follow-up task. Someone who already has an
+ * open follow-up (same account or email) is not given a second one.
+ * @param {Object} details - Visitor fields (see models/Visitor.js)
+ * @returns {Promise<{ visitor: Object, task: Object, created: boolean }>}
+ */
+const recordVisitor = async (details) => {
+  const match = [];
+  if (details.user) match.push({ user: details.user });
+  if (details.email) match.push({ email: details.email.toLowerCase() });
+
+  if (match.length) {
+    const previous = await Visitor.find({ $or: match }).select('_id');
+    const openTask = await CareTask.findOne({
+      type: CARE_TASK_TYPES.VISITOR_FOLLOW_UP,
+      visitor: { $in: previous.map((v) => v._id) },
+      status: 'open'
+    });
+    if (openTask) {
+      const visitor = await Visitor.findById(openTask.visitor);
+      return { visitor, task: openTask, created: false };
+    }
+  }
+
+  const visitor = await Visitor.create(details);
+  const assignedTo = await pickAssignee();
+  const task = await CareTask.create({
+    type: CARE_TASK_TYPES.VISITOR_FOLLOW_UP,
+    visitor: visitor._id,
+    member: visitor.user,
+    assignedTo,
+    steps: stepsFrom(visitor.visitDate)
+  });
+
+  if (assignedTo) {
+    notifyAssignee(task, 'New visitor to follow up', `${visitor.name} visited for the first time and has been assigned to you.`);
+  }
+
+  return { visitor, task, created: true };
+};
+
+/**
+ * Open a follow-up for someone whose attendance was recorded as their first
+ * @param {Object} attendance - Saved attendance document
+ */
+const followUpFirstTimer = async (attendance) => {
+  const user = await User.findById(attendance.user).select('name email phone');
+  if (!user) return;
+  const isEvent = attendance.activityId && await Event.exists({ _id: attendance.activityId });
+
+  await recordVisitor({
+    name: user.name,
+    email: user.email,
+    phone: user.phone,
+    user: user._id,
+    visitDate: attendance.attendanceDate || attendance.checkInTime,
+    event: isEvent ? attendance.activityId : undefined,
+    broughtBy: attendance.guestBroughtBy,
+    source: 'attendance'
+  });
+};
+
+/**
+ * Mark a step done and move the task to the step's stage
+ * @param {Object} task - CareTask document (not saved)
+ * @param {string} key - Step key
+ * @param {string} [userId] - Who completed it; empty for the scheduler
+ * @returns {boolean} false if the task has no such pending step
+ */
+const completeStep = (task, key, userId) => {
+  const step = task.steps.find((s) => s.key === key);
+  if (!step || step.status !== 'pending') return false;
+  step.status = 'done';
+  step.completedAt = new Date();
+  step.completedBy = userId;
+  const definition = FOLLOW_UP_STEPS.find((s) => s.key === key);
+  if (definition) advanceStage(task, definition.stage);
+  return true;
+};
+
+const AUTOMATIC_EMAILS = {
+  welcome_email: (visitor) => sendVisitorWelcomeEmail(visitor.email, visitor.name),
+  newcomers_invite: (visitor, settings) => sendNewcomersClassInvite(
+    visitor.email,
+    visitor.name,
+    settings && settings.followUp ? settings.followUp.newcomersClass : ''
+  )
+};
+
+/**
+ * Carry out every follow-up step that has fallen due. Automatic steps are
+ * emailed to the visitor; a step that cannot be emailed, and every manual
+ * step, is sent to the assignee once as a reminder. Failed emails are
+ * retried on the next run.
+ * @param {Date} [now]
+ * @returns {Promise<{ emailed: number, reminded: number, failed: number }>}
+ */
+const runDueFollowUps = async (now = new Date()) => {
+  const summary = { emailed: 0, reminded: 0, failed: 0 };
+  const settings = await Settings.findOne().select('followUp');
+  const tasks = await CareTask.find({
+    type: CARE_TASK_TYPES.VISITOR_FOLLOW_UP,
+    status: 'open',
+    steps: { $elemMatch: { status: 'pending', dueAt: { $lte: now } } }
+  }).populate('visitor');
+
+  for (const task of tasks) {
+    const { visitor } = task;
+    if (!visitor) continue;
+
+    for (const step of task.steps) {
+      if (step.status !== 'pending' || step.dueAt > now) continue;
+      const definition = FOLLOW_UP_STEPS.find((s) => s.key === step.key);
+      const sendEmail = AUTOMATIC_EMAILS[step.key];
+
+      if (definition && definition.automatic && sendEmail && visitor.email) {
+        try {
+          await sendEmail(visitor, settings);
+        } catch (error) {
+          console.error(`Follow-up ${step.key} email to visitor ${visitor._id} failed:`, error.message);
+          summary.failed += 1;
+          continue;
+        }
+        completeStep(task, step.key);
+        summary.emailed += 1;
+        if (step.key === 'newcomers_invite' && task.assignedTo) {
+          notifyAssignee(task, 'Newcomers class invitation sent', `${visitor.name} has been invited to the newcomers class. A personal word from you helps them come.`);
+        }
+        continue;
+      }
+
+      if (!step.notifiedAt && task.assignedTo) {
+        const label = definition ? definition.label : step.key;
+        notifyAssignee(task, `Follow-up due: ${label}`, `${label} is due for ${visitor.name}${visitor.phone ? ` (${visitor.phone})` : ''}.`);
+        step.notifiedAt = now;
+        summary.reminded += 1;
+      }
+    }
+
+    await task.save();
+  }
+
+  return summary;
+};
+
+module.exports = {
+  recordVisitor,
+  followUpFirstTimer,
+  completeStep,
+  advanceStage,
+  pickAssignee,
+  runDueFollowUps
+};
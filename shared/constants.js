@@ -17,11 +17,12 @@
  * User roles hierarchy (lowest to highest privilege)
  * @type {Object}
  */
-export const USER_ROLES = {
+const USER_ROLES = {
   GUEST: 'guest',
   MEMBER: 'member',
   VOLUNTEER: 'volunteer',
   LEADER: 'leader',
+  STAFF: 'staff',
   PASTOR: 'pastor',
   ADMIN: 'admin',
   SUPER_ADMIN: 'super_admin'
@@ -31,21 +32,22 @@ export const USER_ROLES = {
  * Role hierarchy levels for permission checking
  * @type {Object}
  */
-export const ROLE_HIERARCHY = {
+const ROLE_HIERARCHY = {
   [USER_ROLES.GUEST]: 0,
   [USER_ROLES.MEMBER]: 1,
   [USER_ROLES.VOLUNTEER]: 2,
   [USER_ROLES.LEADER]: 3,
-  [USER_ROLES.PASTOR]: 4,
-  [USER_ROLES.ADMIN]: 5,
-  [USER_ROLES.SUPER_ADMIN]: 6
+  [USER_ROLES.STAFF]: 4,
+  [USER_ROLES.PASTOR]: 5,
+  [USER_ROLES.ADMIN]: 6,
+  [USER_ROLES.SUPER_ADMIN]: 7
 };
 
 /**
  * Permission groups for role-based access control
  * @type {Object}
  */
-export const PERMISSIONS = {
+const PERMISSIONS = {
   // Content Management
   CREATE_CONTENT: 'create_content',
   EDIT_CONTENT: 'edit_content',
@@ -57,24 +59,127 @@ export const PERMISSIONS = {
   EDIT_USERS: 'edit_users',
   DELETE_USERS: 'delete_users',
   MANAGE_ROLES: 'manage_roles',
+  VIEW_PASTORAL_NOTES: 'view_pastoral_notes',
   
   // Event Management
   CREATE_EVENTS: 'create_events',
   EDIT_EVENTS: 'edit_events',
   DELETE_EVENTS: 'delete_events',
   MANAGE_ATTENDANCE: 'manage_attendance',
+  FOLLOW_UP_VISITORS: 'follow_up_visitors',
+  PASTORAL_CARE: 'pastoral_care',
+  
+  // Giving
+  MANAGE_PLEDGES: 'manage_pledges',
+  ISSUE_GIVING_STATEMENTS: 'issue_giving_statements',
+  FINANCE: 'finance',
   
   // Ministry Management
   CREATE_MINISTRIES: 'create_ministries',
   EDIT_MINISTRIES: 'edit_ministries',
   DELETE_MINISTRIES: 'delete_ministries',
+  MANAGE_MINISTRY_BUDGETS: 'manage_ministry_budgets',
   
   // System Administration
   SYSTEM_CONFIG: 'system_config',
   VIEW_ANALYTICS: 'view_analytics',
+  VIEW_AUDIT_LOGS: 'view_audit_logs',
+  EXPORT_DATA: 'export_data',
   MANAGE_BACKUPS: 'manage_backups'
 };
 
+/**
+ * Default permissions granted at each role level.
+ * A role also holds every permission of the roles below it in ROLE_HIERARCHY,
+ * so each entry only lists what that level adds. super_admin always holds all.
+ * Admins can override these per role; overrides are stored server-side.
+ * Ministry leaders get no global grants: they may manage their own ministry
+ * (and its events) through ownership checks on the ministry and event routes.
+ * @type {Object}
+ */
+const DEFAULT_ROLE_PERMISSIONS = {
+  [USER_ROLES.GUEST]: [],
+  [USER_ROLES.MEMBER]: [],
+  [USER_ROLES.VOLUNTEER]: [PERMISSIONS.MANAGE_ATTENDANCE],
+  [USER_ROLES.LEADER]: [],
+  [USER_ROLES.STAFF]: [
+    PERMISSIONS.CREATE_CONTENT,
+    PERMISSIONS.EDIT_CONTENT,
+    PERMISSIONS.CREATE_EVENTS,
+    PERMISSIONS.EDIT_EVENTS,
+    PERMISSIONS.VIEW_USERS,
+    PERMISSIONS.FOLLOW_UP_VISITORS,
+    PERMISSIONS.PASTORAL_CARE
+  ],
+  [USER_ROLES.PASTOR]: [
+    PERMISSIONS.PUBLISH_CONTENT,
+    PERMISSIONS.DELETE_CONTENT,
+    PERMISSIONS.DELETE_EVENTS,
+    PERMISSIONS.CREATE_MINISTRIES,
+    PERMISSIONS.EDIT_MINISTRIES,
+    PERMISSIONS.EDIT_USERS,
+    PERMISSIONS.VIEW_PASTORAL_NOTES,
+    PERMISSIONS.VIEW_ANALYTICS,
+    PERMISSIONS.MANAGE_PLEDGES,
+    PERMISSIONS.ISSUE_GIVING_STATEMENTS,
+    PERMISSIONS.MANAGE_MINISTRY_BUDGETS
+  ],
+  [USER_ROLES.ADMIN]: [
+    PERMISSIONS.DELETE_USERS,
+    PERMISSIONS.MANAGE_ROLES,
+    PERMISSIONS.DELETE_MINISTRIES,
+    PERMISSIONS.SYSTEM_CONFIG,
+    PERMISSIONS.VIEW_AUDIT_LOGS,
+    PERMISSIONS.EXPORT_DATA,
+    PERMISSIONS.MANAGE_BACKUPS,
+    PERMISSIONS.FINANCE
+  ],
+  [USER_ROLES.SUPER_ADMIN]: []
+};
+
+/**
+ * Membership journey, in order: first visit to serving in a ministry.
+ * Independent of the account role, which controls access.
+ * @type {Object}
+ */
+const MEMBERSHIP_STATUS = {
+  VISITOR: 'visitor',
+  REGULAR: 'regular',
+  MEMBER: 'member',
+  WORKER: 'worker'
+};
+
+/**
+ * Marital status options for member profiles
+ * @type {Object}
+ */
+const MARITAL_STATUS = {
+  SINGLE: 'single',
+  MARRIED: 'married',
+  WIDOWED: 'widowed',
+  DIVORCED: 'divorced',
+  SEPARATED: 'separated'
+};
+
+/**
+ * Gender options for member profiles
+ * @type {Object}
+ */
+const GENDER = {
+  MALE: 'male',
+  FEMALE: 'female'
+};
+
+/**
+ * How a person belongs to a household. Adults manage the household and
+ * its children; children may have no login of their own.
+ * @type {Object}
+ */
+const HOUSEHOLD_ROLES = {
+  ADULT: 'adult',
+  CHILD: 'child'
+};
+
 // =============================================================================
 // CONTENT STATUS & TYPES
 // =============================================================================
@@ -83,7 +188,7 @@ export const PERMISSIONS = {
  * Content publication status
  * @type {Object}
  */
-export const CONTENT_STATUS = {
+const CONTENT_STATUS = {
   DRAFT: 'draft',
   PENDING_REVIEW: 'pending_review',
   APPROVED: 'approved',
@@ -96,7 +201,7 @@ export const CONTENT_STATUS = {
  * Event status types
  * @type {Object}
  */
-export const EVENT_STATUS = {
+const EVENT_STATUS = {
   UPCOMING: 'upcoming',
   ONGOING: 'ongoing',
   COMPLETED: 'completed',
@@ -108,7 +213,7 @@ export const EVENT_STATUS = {
  * Event types for Nigerian church context
  * @type {Object}
  */
-export const EVENT_TYPES = {
+const EVENT_TYPES = {
   SUNDAY_SERVICE: 'sunday_service',
   MIDWEEK_SERVICE: 'midweek_service',
   PRAYER_MEETING: 'prayer_meeting',
@@ -131,7 +236,7 @@ export const EVENT_TYPES = {
  * Ministry categories
  * @type {Object}
  */
-export const MINISTRY_TYPES = {
+const MINISTRY_TYPES = {
   CHILDREN: 'children',
   YOUTH: 'youth',
   YOUNG_ADULTS: 'young_adults',
@@ -150,11 +255,34 @@ export const MINISTRY_TYPES = {
   INTERCESSION: 'intercession'
 };
 
+/**
+ * A member's role on a ministry roster. Leaders and assistants review
+ * join requests and manage the roster.
+ * @type {Object}
+ */
+const MINISTRY_MEMBER_ROLES = {
+  LEADER: 'leader',
+  ASSISTANT: 'assistant',
+  MEMBER: 'member'
+};
+
+/**
+ * Where a person stands with a ministry. Only active members count
+ * towards the ministry's membership.
+ * @type {Object}
+ */
+const MINISTRY_MEMBER_STATUS = {
+  PENDING: 'pending',
+  ACTIVE: 'active',
+  DECLINED: 'declined',
+  LEFT: 'left'
+};
+
 /**
  * Sermon series and categories
  * @type {Object}
  */
-export const SERMON_CATEGORIES = {
+const SERMON_CATEGORIES = {
   SUNDAY_MESSAGE: 'sunday_message',
   MIDWEEK_TEACHING: 'midweek_teaching',
   REVIVAL_MESSAGE: 'revival_message',
@@ -174,7 +302,7 @@ export const SERMON_CATEGORIES = {
  * Attendance status types
  * @type {Object}
  */
-export const ATTENDANCE_STATUS = {
+const ATTENDANCE_STATUS = {
   PRESENT: 'present',
   ABSENT: 'absent',
   LATE: 'late',
@@ -182,11 +310,137 @@ export const ATTENDANCE_STATUS = {
   PARTIAL: 'partial'
 };
 
+/**
+ * Children's ministry classrooms, youngest first.
+ * Ages are whole years on the day of check-in; the kiosk suggests the
+ * classroom for a child's age but the volunteer can override it.
+ * @type {Array<Object>}
+ */
+const CHILDREN_CLASSROOMS = [
+  { id: 'nursery', name: 'Nursery', minAge: 0, maxAge: 2 },
+  { id: 'preschool', name: 'Preschool', minAge: 3, maxAge: 5 },
+  { id: 'primary', name: 'Primary', minAge: 6, maxAge: 9 },
+  { id: 'juniors', name: 'Juniors', minAge: 10, maxAge: 12 }
+];
+
+/**
+ * QR self check-in.
+ * The code on the usher's screen changes every ROTATE_SECONDS; a scan is
+ * accepted for the current and the previous code so a slow phone still works.
+ * Check-in opens before the start time and closes after the end time.
+ * @type {Object}
+ */
+const QR_CHECKIN = {
+  ROTATE_SECONDS: 30,
+  OPENS_BEFORE_MINUTES: 60,
+  CLOSES_AFTER_MINUTES: 30
+};
+
+/**
+ * Attendance forecasting. Expected turnout comes from comparable past
+ * events, adjusted for week of the month and holidays, and is never below
+ * what current registrations suggest. Holiday factors are used until the
+ * church has its own history for that holiday.
+ * @type {Object}
+ */
+const ATTENDANCE_FORECAST = {
+  DEFAULT_DAYS: 28,
+  MAX_DAYS: 90,
+  // Long enough to include last year's Easter and Christmas
+  HISTORY_DAYS: 380,
+  // Recent occurrences used for the baseline, newest weighted most
+  BASELINE_OCCURRENCES: 12,
+  DEFAULT_SHOW_UP_RATE: 0.7,
+  NEAR_CAPACITY_RATIO: 0.9,
+  HOLIDAY_FACTORS: {
+    'Easter Sunday': 1.5,
+    'Good Friday': 1.3,
+    'Christmas Day': 1.4,
+    "New Year's Day": 1.3,
+    // A Sunday next to a Friday or Monday public holiday; many travel
+    'Long weekend': 0.85
+  }
+};
+
+/**
+ * Kinds of pastoral care task
+ * @type {Object}
+ */
+const CARE_TASK_TYPES = {
+  VISITOR_FOLLOW_UP: 'visitor_follow_up',
+  ABSENTEE_CARE: 'absentee_care'
+};
+
+/**
+ * First-timer follow-up board columns, in order
+ * @type {Array<Object>}
+ */
+const FOLLOW_UP_STAGES = [
+  { id: 'new', name: 'New' },
+  { id: 'welcomed', name: 'Welcomed' },
+  { id: 'called', name: 'Called' },
+  { id: 'invited', name: 'Invited to Newcomers Class' },
+  { id: 'connected', name: 'Connected' },
+  { id: 'closed', name: 'Closed' }
+];
+
+/**
+ * Follow-up steps, counted in days from the first visit.
+ * Automatic steps are emailed by the scheduler when the visitor gave an
+ * email address; otherwise they fall to the assigned team member.
+ * Completing a step moves the visitor to its stage.
+ * @type {Array<Object>}
+ */
+const FOLLOW_UP_STEPS = [
+  { key: 'welcome_email', label: 'Welcome email', day: 1, stage: 'welcomed', automatic: true },
+  { key: 'call', label: 'Phone call', day: 3, stage: 'called', automatic: false },
+  { key: 'newcomers_invite', label: 'Invite to newcomers class', day: 7, stage: 'invited', automatic: true }
+];
+
+/**
+ * Absentee care task stages, in order
+ * @type {Array<Object>}
+ */
+const ABSENTEE_CARE_STAGES = [
+  { id: 'new', name: 'Needs Contact' },
+  { id: 'contacted', name: 'Contacted' },
+  { id: 'returned', name: 'Returned' },
+  { id: 'closed', name: 'Closed' }
+];
+
+/**
+ * Absentee detection. A member is flagged after missing the last
+ * `threshold` services (Settings.care.absenceThreshold) if they came to at
+ * least `regularMin` of the REGULAR_WINDOW services before that.
+ * A service is any day with service attendance recorded.
+ * @type {Object}
+ */
+const ABSENTEE_DETECTION = {
+  DEFAULT_THRESHOLD: 3,
+  DEFAULT_REGULAR_MIN: 4,
+  REGULAR_WINDOW: 8,
+  // Services shown in the dashboard trend
+  TREND_SERVICES: 12
+};
+
+/**
+ * How a visitor heard about the church (visitor card)
+ * @type {Object}
+ */
+const VISITOR_SOURCES = {
+  FRIEND: 'friend_or_family',
+  SOCIAL_MEDIA: 'social_media',
+  WEBSITE: 'website',
+  OUTREACH: 'outreach',
+  PASSING_BY: 'passing_by',
+  OTHER: 'other'
+};
+
 /**
  * RSVP status for events
  * @type {Object}
  */
-export const RSVP_STATUS = {
+const RSVP_STATUS = {
   PENDING: 'pending',
   CONFIRMED: 'confirmed',
   DECLINED: 'declined',
@@ -194,6 +448,136 @@ export const RSVP_STATUS = {
   NO_RESPONSE: 'no_response'
 };
 
+/**
+ * Paid event tickets. A registration waiting for payment holds its places
+ * for HOLD_MINUTES, then is released. People who cancel are refunded up to
+ * REFUND_CUTOFF_HOURS before the date starts; when the organisers cancel,
+ * everyone is refunded. Ticket payment references start with
+ * REFERENCE_PREFIX so provider webhooks can tell them from gifts.
+ * @type {Object}
+ */
+const EVENT_TICKETS = {
+  HOLD_MINUTES: 30,
+  REFUND_CUTOFF_HOURS: 48,
+  REFERENCE_PREFIX: 'TKT-',
+  PROMO_DISCOUNT_TYPES: ['percent', 'fixed']
+};
+
+// =============================================================================
+// GIVING
+// =============================================================================
+
+/**
+ * Donation payment status. Online gifts start pending and are moved on by
+ * the payment provider's webhook.
+ * @type {Object}
+ */
+const DONATION_STATUS = {
+  PENDING: 'pending',
+  PAID: 'paid',
+  FAILED: 'failed',
+  REFUNDED: 'refunded'
+};
+
+/**
+ * Payment providers for online giving. The fake provider completes
+ * payments locally and is refused in production.
+ * @type {Object}
+ */
+const PAYMENT_PROVIDERS = {
+  PAYSTACK: 'paystack',
+  FLUTTERWAVE: 'flutterwave',
+  FAKE: 'fake'
+};
+
+/**
+ * Online gift limits in naira
+ * @type {Object}
+ */
+const DONATION_LIMITS = {
+  MIN_AMOUNT: 100,
+  MAX_AMOUNT: 10000000
+};
+
+/**
+ * Recurring giving. The first gift is paid at checkout, which saves the
+ * card; later gifts are charged to it by the scheduler. A schedule is
+ * paused after MAX_FAILURES failed charges in a row.
+ * @type {Object}
+ */
+const RECURRING_GIVING = {
+  FREQUENCIES: ['weekly', 'monthly'],
+  STATUS: {
+    PENDING_SETUP: 'pending_setup',
+    ACTIVE: 'active',
+    PAUSED: 'paused',
+    CANCELLED: 'cancelled',
+    ENDED: 'ended'
+  },
+  MAX_FAILURES: 3
+};
+
+/**
+ * Pledge campaign status
+ * @type {Object}
+ */
+const PLEDGE_CAMPAIGN_STATUS = {
+  ACTIVE: 'active',
+  CLOSED: 'closed'
+};
+
+/**
+ * Funds a church starts with. Finance staff can add, rename and retire
+ * funds; a donation's `type` is the name of its fund.
+ * @type {string[]}
+ */
+const DEFAULT_FUNDS = ['Tithe', 'Offering', 'Building Fund', 'Missions', 'Other'];
+
+/**
+ * Cash and cheque offering batches. Counters enter and submit a batch; a
+ * second person recounts and verifies it, which records its donations.
+ * @type {Object}
+ */
+const OFFERING_BATCH = {
+  STATUS: {
+    DRAFT: 'draft',
+    SUBMITTED: 'submitted',
+    VERIFIED: 'verified'
+  },
+  METHODS: ['Cash', 'Cheque']
+};
+
+/**
+ * Bank statement line status for reconciliation
+ * @type {Object}
+ */
+const BANK_LINE_STATUS = {
+  UNMATCHED: 'unmatched',
+  MATCHED: 'matched',
+  IGNORED: 'ignored'
+};
+
+/**
+ * Ministry expense request status. Leaders submit; pastors and admins
+ * approve or reject. Approved expenses count against the ministry's budget.
+ * @type {Object}
+ */
+const EXPENSE_STATUS = {
+  PENDING: 'pending',
+  APPROVED: 'approved',
+  REJECTED: 'rejected'
+};
+
+/**
+ * Ministry budget tracking
+ * @type {Object}
+ */
+const MINISTRY_BUDGET = {
+  // Leaders and approvers are alerted when approved spending passes these shares of the budget
+  ALERT_PERCENTS: [80, 100],
+  MAX_RECEIPTS: 5
+};
+
 // =============================================================================
 // COMMUNICATION & CONTACT
 // =============================================================================
@@ -202,7 +586,7 @@ export const RSVP_STATUS = {
  * Contact message categories
  * @type {Object}
  */
-export const CONTACT_CATEGORIES = {
+const CONTACT_CATEGORIES = {
   GENERAL_INQUIRY: 'general_inquiry',
   PRAYER_REQUEST: 'prayer_request',
   COUNSELING: 'counseling',
@@ -219,7 +603,7 @@ export const CONTACT_CATEGORIES = {
  * Contact message priority levels
  * @type {Object}
  */
-export const MESSAGE_PRIORITY = {
+const MESSAGE_PRIORITY = {
   LOW: 'low',
   NORMAL: 'normal',
   HIGH: 'high',
@@ -230,7 +614,7 @@ export const MESSAGE_PRIORITY = {
  * Communication channels
  * @type {Object}
  */
-export const COMMUNICATION_CHANNELS = {
+const COMMUNICATION_CHANNELS = {
   EMAIL: 'email',
   SMS: 'sms',
   WHATSAPP: 'whatsapp',
@@ -248,7 +632,7 @@ export const COMMUNICATION_CHANNELS = {
  * Field length limits
  * @type {Object}
  */
-export const FIELD_LIMITS = {
+const FIELD_LIMITS = {
   // User fields
   NAME_MIN: 2,
   NAME_MAX: 50,
@@ -256,6 +640,12 @@ export const FIELD_LIMITS = {
   PHONE_MAX: 20,
   PASSWORD_MIN: 8,
   PASSWORD_MAX: 128,
+  ADDRESS_MAX: 200,
+  RELATIONSHIP_MAX: 50,
+  PASTORAL_NOTES_MAX: 5000,
+  ALLERGIES_MAX: 200,
+  MEDICAL_NOTES_MAX: 1000,
+  CARE_NOTE_MAX: 1000,
   
   // Content fields
   TITLE_MIN: 3,
@@ -278,7 +668,7 @@ export const FIELD_LIMITS = {
  * File upload limits
  * @type {Object}
  */
-export const FILE_LIMITS = {
+const FILE_LIMITS = {
   // Image files
   IMAGE_MAX_SIZE: 5 * 1024 * 1024, // 5MB
   IMAGE_TYPES: ['image/jpeg', 'image/jpg', 'image/png', 'image/webp'],
@@ -304,7 +694,7 @@ export const FILE_LIMITS = {
  * API response status codes
  * @type {Object}
  */
-export const HTTP_STATUS = {
+const HTTP_STATUS = {
   OK: 200,
   CREATED: 201,
   NO_CONTENT: 204,
@@ -323,7 +713,7 @@ export const HTTP_STATUS = {
  * Pagination defaults
  * @type {Object}
  */
-export const PAGINATION = {
+const PAGINATION = {
   DEFAULT_PAGE: 1,
   DEFAULT_LIMIT: 10,
   MAX_LIMIT: 100,
@@ -340,7 +730,7 @@ export const PAGINATION = {
  * Cache durations (in seconds)
  * @type {Object}
  */
-export const CACHE_DURATION = {
+const CACHE_DURATION = {
   SHORT: 300,      // 5 minutes
   MEDIUM: 1800,    // 30 minutes
   LONG: 3600,      // 1 hour
@@ -355,7 +745,7 @@ export const CACHE_DURATION = {
  * Nigerian states for location context
  * @type {Array<string>}
  */
-export const NIGERIAN_STATES = [
+const NIGERIAN_STATES = [
   'Abia', 'Adamawa', 'Akwa Ibom', 'Anambra', 'Bauchi', 'Bayelsa',
   'Benue', 'Borno', 'Cross River', 'Delta', 'Ebonyi', 'Edo',
   'Ekiti', 'Enugu', 'FCT', 'Gombe', 'Imo', 'Jigawa', 'Kaduna',
@@ -368,7 +758,7 @@ export const NIGERIAN_STATES = [
  * Nigerian phone number patterns
  * @type {Object}
  */
-export const PHONE_PATTERNS = {
+const PHONE_PATTERNS = {
   MOBILE_REGEX: /^(\+234|234|0)?[789][01]\d{8}$/,
   LANDLINE_REGEX: /^(\+234|234|0)?[1-9]\d{6,7}$/,
   INTERNATIONAL_REGEX: /^\+[1-9]\d{1,14}$/
@@ -378,7 +768,7 @@ export const PHONE_PATTERNS = {
  * Nigerian currency formatting
  * @type {Object}
  */
-export const CURRENCY = {
+const CURRENCY = {
   CODE: 'NGN',
   SYMBOL: '₦',
   LOCALE: 'en-NG'
@@ -388,7 +778,7 @@ export const CURRENCY = {
  * Time zones for Nigeria
  * @type {Object}
  */
-export const TIMEZONE = {
+const TIMEZONE = {
   NIGERIA: 'Africa/Lagos',
   UTC_OFFSET: '+01:00'
 };
@@ -401,7 +791,7 @@ export const TIMEZONE = {
  * Theme configuration
  * @type {Object}
  */
-export const THEMES = {
+const THEMES = {
   LIGHT: 'light',
   DARK: 'dark',
   SYSTEM: 'system'
@@ -411,7 +801,7 @@ export const THEMES = {
  * Language settings
  * @type {Object}
  */
-export const LANGUAGES = {
+const LANGUAGES = {
   ENGLISH: 'en',
   YORUBA: 'yo',
   IGBO: 'ig',
@@ -422,7 +812,7 @@ export const LANGUAGES = {
  * Default application settings
  * @type {Object}
  */
-export const DEFAULT_SETTINGS = {
+const DEFAULT_SETTINGS = {
   THEME: THEMES.LIGHT,
   LANGUAGE: LANGUAGES.ENGLISH,
   TIMEZONE: TIMEZONE.NIGERIA,
@@ -435,7 +825,7 @@ export const DEFAULT_SETTINGS = {
  * Regular expressions for validation
  * @type {Object}
  */
-export const REGEX_PATTERNS = {
+const REGEX_PATTERNS = {
   EMAIL: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
   PHONE: PHONE_PATTERNS.MOBILE_REGEX,
   PASSWORD: /^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)(?=.*[@$!%*?&])[A-Za-z\d@$!%*?&]/,
@@ -448,7 +838,7 @@ export const REGEX_PATTERNS = {
  * Date and time formats
  * @type {Object}
  */
-export const DATE_FORMATS = {
+const DATE_FORMATS = {
   DISPLAY_DATE: 'MMMM DD, YYYY',
   DISPLAY_DATETIME: 'MMMM DD, YYYY [at] h:mm A',
   INPUT_DATE: 'YYYY-MM-DD',
@@ -466,7 +856,7 @@ export const DATE_FORMATS = {
  * Common error messages
  * @type {Object}
  */
-export const ERROR_MESSAGES = {
+const ERROR_MESSAGES = {
   // Authentication
   INVALID_CREDENTIALS: 'Invalid credentials provided',
   TOKEN_EXPIRED: 'Session has expired. Please login again',
@@ -496,7 +886,7 @@ export const ERROR_MESSAGES = {
  * Success messages
  * @type {Object}
  */
-export const SUCCESS_MESSAGES = {
+const SUCCESS_MESSAGES = {
   LOGIN_SUCCESS: 'Welcome back! Login successful',
   LOGOUT_SUCCESS: 'You have been logged out successfully',
   REGISTRATION_SUCCESS: 'Registration successful! Welcome to Haven Word Church',
@@ -514,13 +904,21 @@ export const SUCCESS_MESSAGES = {
 /**
  * Grouped exports for easier importing
  */
-export const ROLES_AND_PERMISSIONS = {
+const ROLES_AND_PERMISSIONS = {
   USER_ROLES,
   ROLE_HIERARCHY,
-  PERMISSIONS
+  PERMISSIONS,
+  DEFAULT_ROLE_PERMISSIONS
+};
+
+const MEMBER_PROFILE = {
+  MEMBERSHIP_STATUS,
+  MARITAL_STATUS,
+  GENDER,
+  HOUSEHOLD_ROLES
 };
 
-export const CONTENT_TYPES = {
+const CONTENT_TYPES = {
   CONTENT_STATUS,
   EVENT_STATUS,
   EVENT_TYPES,
@@ -528,37 +926,64 @@ export const CONTENT_TYPES = {
   SERMON_CATEGORIES
 };
 
-export const VALIDATION_RULES = {
+const VALIDATION_RULES = {
   FIELD_LIMITS,
   FILE_LIMITS,
   REGEX_PATTERNS
 };
 
-export const API_CONFIG = {
+const API_CONFIG = {
   HTTP_STATUS,
   PAGINATION,
   CACHE_DURATION
 };
 
-export const NIGERIAN_DATA = {
+const NIGERIAN_DATA = {
   NIGERIAN_STATES,
   PHONE_PATTERNS,
   CURRENCY,
   TIMEZONE
 };
 
-// Default export for CommonJS compatibility
+// CommonJS, so the server can require it on every supported Node and the client can import it
 module.exports = {
   USER_ROLES,
   ROLE_HIERARCHY,
   PERMISSIONS,
+  DEFAULT_ROLE_PERMISSIONS,
+  MEMBERSHIP_STATUS,
+  MARITAL_STATUS,
+  GENDER,
+  HOUSEHOLD_ROLES,
   CONTENT_STATUS,
   EVENT_STATUS,
   EVENT_TYPES,
   MINISTRY_TYPES,
+  MINISTRY_MEMBER_ROLES,
+  MINISTRY_MEMBER_STATUS,
   SERMON_CATEGORIES,
   ATTENDANCE_STATUS,
+  CHILDREN_CLASSROOMS,
+  QR_CHECKIN,
+  ATTENDANCE_FORECAST,
+  CARE_TASK_TYPES,
+  FOLLOW_UP_STAGES,
+  FOLLOW_UP_STEPS,
+  ABSENTEE_CARE_STAGES,
+  ABSENTEE_DETECTION,
+  VISITOR_SOURCES,
   RSVP_STATUS,
+  EVENT_TICKETS,
+  DONATION_STATUS,
+  PAYMENT_PROVIDERS,
+  DONATION_LIMITS,
+  RECURRING_GIVING,
+  PLEDGE_CAMPAIGN_STATUS,
+  DEFAULT_FUNDS,
+  OFFERING_BATCH,
+  BANK_LINE_STATUS,
+  EXPENSE_STATUS,
+  MINISTRY_BUDGET,
   CONTACT_CATEGORIES,
   MESSAGE_PRIORITY,
   COMMUNICATION_CHANNELS,
@@ -579,6 +1004,7 @@ module.exports = {
   ERROR_MESSAGES,
   SUCCESS_MESSAGES,
   ROLES_AND_PERMISSIONS,
+  MEMBER_PROFILE,
   CONTENT_TYPES,
   VALIDATION_RULES,
   API_CONFIG,
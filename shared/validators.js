@@ -18,7 +18,11 @@ const {
   EVENT_TYPES,
   MINISTRY_TYPES,
   CONTACT_CATEGORIES,
+  VISITOR_SOURCES,
   NIGERIAN_STATES,
+  MEMBERSHIP_STATUS,
+  MARITAL_STATUS,
+  GENDER,
   ERROR_MESSAGES
 } = require('./constants');
 
@@ -346,6 +350,34 @@ const validateFutureDate = (date) => {
   return createValidationResult(true, null, dateObj);
 };
 
+/**
+ * Validates a date that cannot be in the future (birthdays, anniversaries, etc.)
+ * @param {string|Date} date - Date to validate
+ * @param {string} fieldName - Field name for error messages
+ * @returns {ValidationResult}
+ */
+const validatePastDate = (date, fieldName = 'Date') => {
+  if (isEmpty(date)) {
+    return createValidationResult(false, `${fieldName} is required`);
+  }
+  
+  const dateObj = new Date(date);
+  
+  if (isNaN(dateObj.getTime())) {
+    return createValidationResult(false, `${fieldName} is not a valid date`);
+  }
+  
+  if (dateObj > new Date()) {
+    return createValidationResult(false, `${fieldName} cannot be in the future`);
+  }
+  
+  if (dateObj.getFullYear() < 1900) {
+    return createValidationResult(false, `${fieldName} is too far in the past`);
+  }
+  
+  return createValidationResult(true, null, dateObj);
+};
+
 // =============================================================================
 // USER VALIDATORS
 // =============================================================================
@@ -398,6 +430,117 @@ const validateUserRegistration = (userData) => {
   };
 };
 
+/**
+ * Validates member profile data.
+ * Only the fields present are checked, so this also works for partial updates.
+ * Optional fields can be cleared by sending an empty value (stored as null).
+ * @param {Object} profileData - Profile fields to validate
+ * @returns {Object} { isValid, fields, errors, data }
+ */
+const validateMemberProfile = (profileData = {}) => {
+  const results = {};
+  const data = {};
+  const has = (field) => Object.prototype.hasOwnProperty.call(profileData, field);
+  
+  // Optional field: empty clears it, anything else must pass the validator
+  const optional = (field, validator) => {
+    if (!has(field)) return;
+    if (isEmpty(profileData[field])) {
+      results[field] = createValidationResult(true, null, null);
+    } else {
+      results[field] = validator(profileData[field]);
+    }
+  };
+  
+  const oneOf = (values, label) => (value) => (
+    values.includes(value)
+      ? createValidationResult(true, null, value)
+      : createValidationResult(false, `Invalid ${label}`)
+  );
+  
+  const maxLength = (max, label) => (value) => (
+    validateStringLength(typeof value === 'string' ? value : '', 0, max, label)
+  );
+  
+  if (has('name')) results.name = validateName(profileData.name, 'Name');
+  optional('phone', validatePhone);
+  optional('dateOfBirth', (value) => validatePastDate(value, 'Date of birth'));
+  optional('gender', oneOf(Object.values(GENDER), 'gender'));
+  optional('maritalStatus', oneOf(Object.values(MARITAL_STATUS), 'marital status'));
+  optional('weddingAnniversary', (value) => validatePastDate(value, 'Wedding anniversary'));
+  optional('baptismDate', (value) => validatePastDate(value, 'Baptism date'));
+  optional('membershipDate', (value) => validatePastDate(value, 'Membership date'));
+  if (has('membershipStatus')) {
+    results.membershipStatus = oneOf(Object.values(MEMBERSHIP_STATUS), 'membership status')(profileData.membershipStatus);
+  }
+  
+  if (has('address')) {
+    const address = profileData.address || {};
+    const state = sanitizeString(address.state);
+    const country = sanitizeString(address.country) || 'Nigeria';
+    const parts = {
+      street: maxLength(FIELD_LIMITS.ADDRESS_MAX, 'Street address')(address.street),
+      city: maxLength(FIELD_LIMITS.NAME_MAX, 'City')(address.city),
+      state: state && country === 'Nigeria'
+        ? validateNigerianState(state)
+        : maxLength(FIELD_LIMITS.NAME_MAX, 'State')(state),
+      country: maxLength(FIELD_LIMITS.NAME_MAX, 'Country')(country)
+    };
+    const invalid = Object.values(parts).find((part) => !part.isValid);
+    results.address = invalid || createValidationResult(true, null, {
+      street: parts.street.value,
+      city: parts.city.value,
+      state: parts.state.value,
+      country: parts.country.value
+    });
+  }
+  
+  if (has('emergencyContact')) {
+    const contact = profileData.emergencyContact || {};
+    const parts = {
+      name: isEmpty(contact.name) ? createValidationResult(true, null, '') : validateName(contact.name, 'Emergency contact name'),
+      relationship: maxLength(FIELD_LIMITS.RELATIONSHIP_MAX, 'Relationship')(contact.relationship),
+      phone: isEmpty(contact.phone) ? createValidationResult(true, null, '') : validatePhone(contact.phone)
+    };
+    const invalid = Object.values(parts).find((part) => !part.isValid);
+    results.emergencyContact = invalid || createValidationResult(true, null, {
+      name: parts.name.value,
+      relationship: parts.relationship.value,
+      phone: parts.phone.value
+    });
+  }
+  
+  // Free text: keep line breaks, only trim the ends
+  const freeText = (field, max, label) => {
+    if (!has(field)) return;
+    const text = typeof profileData[field] === 'string' ? profileData[field].trim() : '';
+    results[field] = text.length > max
+      ? createValidationResult(false, `${label} must not exceed ${max} characters`)
+      : createValidationResult(true, null, text);
+  };
+  
+  freeText('allergies', FIELD_LIMITS.ALLERGIES_MAX, 'Allergies');
+  freeText('medicalNotes', FIELD_LIMITS.MEDICAL_NOTES_MAX, 'Medical notes');
+  freeText('pastoralNotes', FIELD_LIMITS.PASTORAL_NOTES_MAX, 'Notes');
+  
+  const isValid = Object.values(results).every(result => result.isValid);
+  Object.entries(results).forEach(([field, result]) => {
+    data[field] = result.value;
+  });
+  
+  return {
+    isValid,
+    fields: results,
+    errors: Object.entries(results)
+      .filter(([, result]) => !result.isValid)
+      .reduce((acc, [field, result]) => {
+        acc[field] = result.error;
+        return acc;
+      }, {}),
+    data: isValid ? data : null
+  };
+};
+
 /**
  * Validates password confirmation
  * @param {string} password - Original password
@@ -488,6 +631,52 @@ const validateContactForm = (contactData) => {
   };
 };
 
+/**
+ * Validates a visitor card. Visitors need not give both an email address
+ * and a phone number, but the follow-up team needs one of them.
+ * @param {Object} cardData - Visitor card data to validate
+ * @returns {Object} Validation results for all fields
+ */
+const validateVisitorCard = (cardData = {}) => {
+  const results = {};
+
+  results.name = validateName(cardData.name, 'Full name');
+
+  const hasEmail = !isEmpty(cardData.email);
+  const hasPhone = !isEmpty(cardData.phone);
+  if (!hasEmail && !hasPhone) {
+    results.contact = createValidationResult(false, 'Please give an email address or phone number so we can reach you');
+  }
+  if (hasEmail) {
+    results.email = validateEmail(cardData.email);
+  }
+  if (hasPhone) {
+    results.phone = validatePhone(cardData.phone);
+  }
+
+  if (!isEmpty(cardData.howHeard) && !Object.values(VISITOR_SOURCES).includes(cardData.howHeard)) {
+    results.howHeard = createValidationResult(false, 'Invalid option for how you heard about us');
+  }
+
+  if (!isEmpty(cardData.prayerRequest)) {
+    results.prayerRequest = validateStringLength(cardData.prayerRequest, 0, FIELD_LIMITS.MESSAGE_MAX, 'Prayer request');
+  }
+
+  const isValid = Object.values(results).every(result => result.isValid);
+
+  return {
+    isValid,
+    fields: results,
+    data: isValid ? {
+      name: results.name.value,
+      email: results.email ? results.email.value : null,
+      phone: results.phone ? results.phone.value : null,
+      howHeard: cardData.howHeard || null,
+      prayerRequest: results.prayerRequest ? results.prayerRequest.value : null
+    } : null
+  };
+};
+
 /**
  * Validates contact category
  * @param {string} category - Category to validate
@@ -688,15 +877,18 @@ module.exports = {
   validateEvent,
   validateEventType,
   validateFutureDate,
+  validatePastDate,
   
   // User validators
   validateUserRegistration,
+  validateMemberProfile,
   validatePasswordConfirmation,
   validateUserRole,
   
   // Contact validators
   validateContactForm,
   validateContactCategory,
+  validateVisitorCard,
   
   // File validators
   validateFile,